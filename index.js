@@ -36,6 +36,13 @@ const markaiblePaymentRouter = require('./src/routes/markaiblePaymentRouter');
 const billingRouter = require('./src/routes/billingRouter');
 const phoneProviderRouter = require('./src/routes/phoneProviderRouter');
 const twilioRouter = require('./src/routes/twilioRouter');
+const sipRouter = require('./src/routes/sipRouter');
+const callControlRouter = require('./src/routes/callControlRouter');
+const supervisorRouter = require('./src/routes/supervisorRouter');
+const assistantVersionRouter = require('./src/routes/assistantVersionRouter');
+const recordingRouter = require('./src/routes/recordingRouter');
+const piiRouter = require('./src/routes/piiRouter');
+const teamRouter = require('./src/routes/teamRouter');
 const telephonyCredentialsRouter = require('./src/routes/telephonyCredentialsRouter');
 const providerConfigRouter = require('./src/routes/providerConfigRouter');
 const toolsRouter = require('./src/routes/toolsRouter');
@@ -43,11 +50,14 @@ const watiRouter = require('./src/routes/tools/watiRouter');
 const emailRouter = require('./src/routes/tools/emailRouter');
 const mcpRouter = require('./src/routes/tools/mcpRouter');
 const scheduleCallRouter = require('./src/routes/tools/scheduleCallRouter');
+const callControlToolRouter = require('./src/routes/tools/callControlToolRouter');
 const botIntegrationRouter = require('./src/routes/botIntegrationRouter');
 const mcpHttpRouter = require('./src/routes/mcpHttpRouter');
 const flowsRouter = require('./src/routes/flowsRouter');
 const superadminRouter = require('./src/routes/superadminRouter');
 const superadminTelephonyRouter = require('./src/routes/superadminTelephonyRouter');
+const dncRouter = require('./src/routes/dncRouter');
+const listRouter = require('./src/routes/listRouter');
 const apiKeyValidator = require('./src/middleware/apiKeyValidator')
 const { apiLogger, requestCounter } = require('./src/middleware/apiLogger')
 // const { apiLimiter } = require('./src/middleware/authMiddleware')
@@ -252,6 +262,13 @@ app.use('/api/payment', markaiblePaymentRouter);
 app.use('/billing', billingRouter);
 app.use('/phone-provider', phoneProviderRouter);
 app.use('/twilio', twilioRouter);
+app.use('/sip', sipRouter); // SIP trunk / ARI gateway callbacks
+app.use('/call-control', callControlRouter); // In-call actions (hangup, DTMF, play, hold, transfer) on live calls
+app.use('/supervisor', supervisorRouter); // Live supervisor listen / whisper / barge sessions
+app.use('/assistants', assistantVersionRouter); // Assistant version history, diff, rollback and bot config resolution
+app.use('/recordings', recordingRouter); // Archived call recordings: retention, signed playback, privacy deletion
+app.use('/pii', piiRouter); // PII redaction policy, preview and unredacted transcript view
+app.use('/team', teamRouter); // Team members, invitations and role-based access per client
 app.use('/telephony-credentials', telephonyCredentialsRouter);
 app.use('/provider-config', providerConfigRouter);
 app.use('/api/tools', toolsRouter);
@@ -259,12 +276,15 @@ app.use('/api/tools/wati', watiRouter); // New WATI tool endpoints
 app.use('/api/tools/gmail', emailRouter); // New Gmail tool endpoints
 app.use('/api/tools/mcp', mcpRouter); // New MCP tool endpoints
 app.use('/api/tools/schedule-call', scheduleCallRouter); // Schedule Call tool endpoints
+app.use('/api/tools/call-control', callControlToolRouter); // Call Control tool endpoints
 app.use('/api/bot-integration', botIntegrationRouter); // Unified bot integration API
 app.use('/mcp', mcpHttpRouter); // HTTP MCP server endpoints for cross-server communication
 app.use('/wati', toolsRouter); // Legacy direct mount for WATI endpoints
 app.use('/api/flows', flowsRouter); // Flow-based agent conversation management
 app.use('/superadmin', superadminRouter); // Superadmin operations (Super Key auth)
 app.use('/superadmin/telephony', superadminTelephonyRouter); // Superadmin telephony management (Super Key auth)
+app.use('/dnc', dncRouter); // Do-Not-Call registry (client + global suppression lists)
+app.use('/lists', listRouter); // Contact list management (append, edit, dedupe, merge)
 
 // LEGACY ROUTES - DEPRECATED (DO NOT USE)
 // app.use('/graph', creatorRouter);
@@ -309,7 +329,20 @@ const server = app.listen(port, async function(){
 		console.error('❌ Error initializing container lifecycle:', error);
 		// Continue server startup even if container lifecycle fails
 	}
-}); 
+
+	// Pick up contact list imports interrupted by the previous shutdown (runs in the background)
+	const { resumePendingImports } = require('./src/services/listImportService');
+	resumePendingImports();
+
+	// Leased background jobs (scheduled campaigns, orphan recovery, scheduled calls, retries, billing, cleanup)
+	require('./src/services/backgroundJobs');
+	const { startJobScheduler } = require('./src/services/jobSchedulerService');
+	startJobScheduler();
+});
+
+// Media streams of supervisor listen sessions on calls still with the AI agent
+const { attachSupervisorMediaRelay } = require('./src/services/supervisorMediaRelay');
+attachSupervisorMediaRelay(server);
 
 
 // app.get('/api/tasks', function(req, res){
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+const { BaseMCPServer } = require('../shared/base-server.js');
+const {
+  makeInternalAPIRequest,
+  formatMCPResponse,
+} = require('../shared/utils.js');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: '../../.env' });
+
+const CALL_UUID_PROPERTY = {
+  type: 'string',
+  description: 'UUID of the call you are currently on'
+};
+
+// MCP tool per call control action - input properties besides call_uuid, and their required subset
+const ACTION_TOOLS = {
+  hangup: {
+    name: 'end_call',
+    description: 'End the current call. Say goodbye before using this.',
+    properties: {},
+    required: []
+  },
+  dtmf: {
+    name: 'send_dtmf',
+    description: 'Press keypad digits on the call, e.g. to navigate an IVR menu',
+    properties: {
+      digits: { type: 'string', description: 'Digits to press: 0-9, *, #; w adds a half-second pause (e.g., "1w2#")' }
+    },
+    required: ['digits']
+  },
+  play: {
+    name: 'play_audio',
+    description: 'Play an audio file to the caller',
+    properties: {
+      audio_url: { type: 'string', description: 'URL of the audio file to play' }
+    },
+    required: ['audio_url']
+  },
+  speak: {
+    name: 'speak_message',
+    description: 'Speak a message to the caller with text-to-speech (e.g., a compliance disclosure)',
+    properties: {
+      text: { type: 'string', description: 'Message to speak' }
+    },
+    required: ['text']
+  },
+  hold: {
+    name: 'hold_call',
+    description: 'Put the caller on hold with hold music',
+    properties: {},
+    required: []
+  },
+  unhold: {
+    name: 'resume_call',
+    description: 'Take the caller off hold',
+    properties: {},
+    required: []
+  },
+  transfer: {
+    name: 'transfer_call',
+    description: 'Transfer the caller to a human. The person answering hears a short summary (whisper) before the caller is connected.',
+    properties: {
+      target: { type: 'string', description: 'Name of the transfer target' },
+      whisper: { type: 'string', description: 'Short summary of the call for the person answering (who is calling and why)' }
+    },
+    required: ['target']
+  }
+};
+
+class CallControlMCPServer extends BaseMCPServer {
+  constructor() {
+    super('call-control-mcp-server', '1.0.0');
+    this.agentId = null;
+    this.clientId = null;
+    this.allowedActions = new Set();
+    this.transferTargets = [];
+  }
+
+  async setupDynamicTools() {
+    if (!this.agentId || !this.clientId) {
+      console.error('⚠️ Cannot setup tools without agent and client context');
+      return;
+    }
+
+    try {
+      const response = await makeInternalAPIRequest(`/api/tools/call-control/bot/${this.agentId}`, {
+        method: 'GET'
+      });
+
+      if (!response.success) {
+        console.error('❌ Call Control MCP: Bot endpoint failed:', response.message);
+        return;
+      }
+
+      if (!response.call_control_tools || response.call_control_tools.length === 0) {
+        console.warn('⚠️ Call Control MCP: No tools assigned to agent');
+        return;
+      }
+
+      // Several assigned tools combine: union of actions, all named transfer targets
+      this.allowedActions = new Set();
+      this.transferTargets = [];
+      for (const toolConfig of response.call_control_tools) {
+        (toolConfig.allowed_actions || []).forEach(action => this.allowedActions.add(action));
+        for (const target of toolConfig.transfer_targets || []) {
+          if (!this.transferTargets.some(t => t.name.toLowerCase() === target.name.toLowerCase())) {
+            this.transferTargets.push(target);
+          }
+        }
+      }
+
+      // Clear existing tools
+      this.tools.clear();
+      if (this.toolHandlers) {
+        this.toolHandlers.clear();
+      }
+
+      for (const action of this.allowedActions) {
+        const definition = ACTION_TOOLS[action];
+        if (!definition) continue;
+
+        const properties = { call_uuid: CALL_UUID_PROPERTY, ...definition.properties };
+        let description = definition.description;
+        if (action === 'transfer') {
+          if (this.transferTargets.length === 0) continue;
+          properties.target = { ...properties.target, enum: this.transferTargets.map(t => t.name) };
+          description += ` Targets: ${this.transferTargets.map(t => (t.description ? `${t.name} (${t.description})` : t.name)).join(', ')}`;
+        }
+
+        this.registerTool(
+          definition.name,
+          description,
+          { type: 'object', properties, required: ['call_uuid', ...definition.required] },
+          this.controlCall.bind(this, action)
+        );
+      }
+
+      console.log(`✅ Call Control MCP: Registered ${this.tools.size} tool(s) for agent ${this.agentId}`);
+    } catch (error) {
+      console.error('❌ Error setting up dynamic call control tools:', error);
+    }
+  }
+
+  buildActionParams(action, args) {
+    switch (action) {
+      case 'dtmf':
+        return { digits: args.digits };
+      case 'play':
+        return { audioUrl: args.audio_url };
+      case 'speak':
+        return { text: args.text };
+      case 'transfer': {
+        const target = this.transferTargets.find(t => t.name.toLowerCase() === String(args.target).toLowerCase());
+        if (!target) {
+          throw new Error(`Unknown transfer target: ${args.target}. Available: ${this.transferTargets.map(t => t.name).join(', ')}`);
+        }
+        return { to: target.number, whisper: args.whisper || target.whisper || null };
+      }
+      default:
+        return {};
+    }
+  }
+
+  async controlCall(action, args) {
+    try {
+      this.validateArgs(args, ['call_uuid', ...ACTION_TOOLS[action].required]);
+
+      const params = this.buildActionParams(action, args);
+
+      // agent_id binds the action to this agent - the API refuses calls it isn't on (assistantId / stream URL)
+      const response = await makeInternalAPIRequest(`/call-control/${encodeURIComponent(args.call_uuid)}/${action}`, {
+        method: 'POST',
+        data: {
+          ...params,
+          client_id: this.clientId,
+          agent_id: this.agentId
+        }
+      });
+
+      if (!response.success) {
+        throw new Error(response.message || `Failed to ${action} call`);
+      }
+
+      console.log(`🎛️ Call Control → ${action} on ${args.call_uuid}`);
+
+      return formatMCPResponse(true, {
+        call_uuid: args.call_uuid,
+        action,
+        ...(action === 'transfer' ? { target: args.target } : {})
+      }, response.message);
+
+    } catch (error) {
+      console.error(`❌ Error running call control ${action}:`, error);
+      return formatMCPResponse(false, null, `Failed to ${action} call`, error.message);
+    }
+  }
+
+  async setAgentContext(agentId, clientId) {
+    this.agentId = agentId;
+    this.clientId = clientId;
+    await this.setupDynamicTools();
+  }
+
+  async handleHttpRequest(mcpRequest) {
+    try {
+      if (!mcpRequest || typeof mcpRequest !== 'object') {
+        return {
+          jsonrpc: '2.0',
+          id: 0,
+          error: { code: -32700, message: 'Parse error - invalid request object' }
+        };
+      }
+
+      if (!mcpRequest.jsonrpc || mcpRequest.jsonrpc !== '2.0') {
+        return {
+          jsonrpc: '2.0',
+          id: mcpRequest.id !== undefined ? mcpRequest.id : 0,
+          error: { code: -32600, message: 'Invalid Request - jsonrpc must be "2.0"' }
+        };
+      }
+
+      let result;
+      switch (mcpRequest.method) {
+        case 'initialize':
+          result = {
+            protocolVersion: '2024-11-05',
+            capabilities: { tools: {} },
+            serverInfo: { name: 'call-control-mcp-server', version: '1.0.0' }
+          };
+          break;
+
+        case 'notifications/initialized':
+          if (mcpRequest.id === null || mcpRequest.id === undefined) {
+            return undefined;
+          }
+          return { jsonrpc: '2.0', id: mcpRequest.id, result: null };
+
+        case 'tools/list':
+          result = { tools: Array.from(this.tools.values()) };
+          break;
+
+        case 'tools/call':
+          if (!mcpRequest.params || !mcpRequest.params.name) {
+            return {
+              jsonrpc: '2.0',
+              id: mcpRequest.id !== undefined ? mcpRequest.id : 0,
+              error: { code: -32602, message: 'Invalid params - tool name is required' }
+            };
+          }
+          const toolResult = await this.executeTool(mcpRequest.params.name, mcpRequest.params.arguments || {});
+          result = {
+            content: [{ type: 'text', text: JSON.stringify(toolResult, null, 2) }]
+          };
+          break;
+
+        default:
+          return {
+            jsonrpc: '2.0',
+            id: mcpRequest.id !== undefined ? mcpRequest.id : 0,
+            error: { code: -32601, message: `Method not found: ${mcpRequest.method}` }
+          };
+      }
+
+      return {
+        jsonrpc: '2.0',
+        id: mcpRequest.id !== undefined ? mcpRequest.id : 0,
+        result
+      };
+
+    } catch (error) {
+      console.error('❌ Call Control MCP HTTP request error:', error);
+      return {
+        jsonrpc: '2.0',
+        id: mcpRequest.id !== undefined ? mcpRequest.id : 0,
+        error: { code: -32603, message: 'Internal error', data: error.message }
+      };
+    }
+  }
+}
+
+async function main() {
+  const server = new CallControlMCPServer();
+  await server.start();
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('Server error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { CallControlMCPServer };
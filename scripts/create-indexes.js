@@ -179,11 +179,221 @@ async function createPerformanceIndexes() {
       { background: true, name: "idx_campaign_clientId_createdAt" }
     );
     
+    // 7. DNC registry (checked before every outbound dial in processSingleCall)
+    console.log('Creating unique index on dncRegistry for per-scope lookups...');
+    await database.collection("dncRegistry").createIndex(
+      { phoneKey: 1, scope: 1, clientId: 1 },
+      { background: true, unique: true, name: "idx_dnc_phoneKey_scope_clientId" }
+    );
+
+    console.log('Creating compound index on dncRegistry for listing...');
+    await database.collection("dncRegistry").createIndex(
+      { scope: 1, clientId: 1, createdAt: -1 },
+      { background: true, name: "idx_dnc_scope_clientId_createdAt" }
+    );
+
+    // 8. Campaign retry queue (drained by the campaign-retries background job)
+    console.log('Creating unique index on campaignRetryQueue for webhook idempotency...');
+    await database.collection("campaignRetryQueue").createIndex(
+      { previousCallUUID: 1 },
+      { background: true, unique: true, name: "idx_retry_previousCallUUID" }
+    );
+
+    console.log('Creating compound index on campaignRetryQueue for due-retry polling...');
+    await database.collection("campaignRetryQueue").createIndex(
+      { status: 1, executeAt: 1 },
+      { background: true, name: "idx_retry_status_executeAt" }
+    );
+
+    console.log('Creating compound index on campaignRetryQueue for campaign stats...');
+    await database.collection("campaignRetryQueue").createIndex(
+      { campaignId: 1, status: 1 },
+      { background: true, name: "idx_retry_campaignId_status" }
+    );
+
+    // 9. Webhook signature audit trail (rejected / report-mode provider callbacks)
+    console.log('Creating compound index on webhookSignatureAudit for audit review...');
+    await database.collection("webhookSignatureAudit").createIndex(
+      { provider: 1, timestamp: -1 },
+      { background: true, name: "idx_webhook_audit_provider_timestamp" }
+    );
+
+    // 10. Credit ledger (immutable balance entries + reconciliation)
+    console.log('Creating unique index on creditLedger for entry idempotency...');
+    await database.collection("creditLedger").createIndex(
+      { idempotencyKey: 1 },
+      { unique: true, background: true, name: "idx_ledger_idempotencyKey" }
+    );
+
+    console.log('Creating compound index on creditLedger for statements and balance rebuilds...');
+    await database.collection("creditLedger").createIndex(
+      { clientId: 1, createdAt: 1 },
+      { background: true, name: "idx_ledger_clientId_createdAt" }
+    );
+
+    console.log('Creating compound index on creditLedger for unapplied-entry sweeps...');
+    await database.collection("creditLedger").createIndex(
+      { applied: 1, createdAt: 1 },
+      { background: true, name: "idx_ledger_applied_createdAt" }
+    );
+
+    // 11. Credit reservations (per-call holds)
+    console.log('Creating index on creditReservations for hangup settlement...');
+    await database.collection("creditReservations").createIndex(
+      { callUUID: 1 },
+      { background: true, name: "idx_reservation_callUUID" }
+    );
+
+    console.log('Creating compound index on creditReservations for expiry sweeps...');
+    await database.collection("creditReservations").createIndex(
+      { status: 1, createdAt: 1 },
+      { background: true, name: "idx_reservation_status_createdAt" }
+    );
+
+    // 12. Contact list imports
+    console.log('Creating compound index on listImportJobs for job lookups...');
+    await database.collection("listImportJobs").createIndex(
+      { clientId: 1, createdAt: -1 },
+      { background: true, name: "idx_listImport_clientId_createdAt" }
+    );
+
+    console.log('Creating compound index on listImportJobs for resuming interrupted jobs...');
+    await database.collection("listImportJobs").createIndex(
+      { status: 1, leaseExpiresAt: 1 },
+      { background: true, name: "idx_listImport_status_lease" }
+    );
+
+    console.log('Creating unique index on listImportErrors for error reports...');
+    await database.collection("listImportErrors").createIndex(
+      { jobId: 1, rowNumber: 1 },
+      { unique: true, background: true, name: "idx_listImportErrors_jobId_row" }
+    );
+
+    console.log('Creating compound index on plivo-list-data for list dedupe...');
+    await database.collection("plivo-list-data").createIndex(
+      { listId: 1, number: 1 },
+      { background: true, name: "idx_listData_listId_number" }
+    );
+
+    // 13. List management (edit lock for lists used by active campaigns)
+    console.log('Creating compound index on plivoCampaign for list edit locks...');
+    await database.collection("plivoCampaign").createIndex(
+      { listId: 1, status: 1 },
+      { background: true, name: "idx_campaign_listId_status" }
+    );
+
+    // 14. Call rate-limit buckets (idle buckets refill to full anyway, so drop them after a day)
+    console.log('Creating TTL index on callRateLimitBuckets...');
+    await database.collection("callRateLimitBuckets").createIndex(
+      { updatedAt: 1 },
+      { background: true, expireAfterSeconds: 24 * 60 * 60, name: "idx_rateLimit_updatedAt_ttl" }
+    );
+
+    // 15. Background job run history (inspect + 30 day retention)
+    console.log('Creating compound index on schedulerJobRuns for job history...');
+    await database.collection("schedulerJobRuns").createIndex(
+      { jobName: 1, startedAt: -1 },
+      { background: true, name: "idx_jobRuns_jobName_startedAt" }
+    );
+
+    console.log('Creating TTL index on schedulerJobRuns...');
+    await database.collection("schedulerJobRuns").createIndex(
+      { startedAt: 1 },
+      { background: true, expireAfterSeconds: 30 * 24 * 60 * 60, name: "idx_jobRuns_startedAt_ttl" }
+    );
+
+    // 16. Scheduled follow-up calls (glimpass database) - due-call polling and client listing
+    const glimpassDb = client.db('glimpass');
+    console.log('Creating compound index on scheduledCalls for due-call polling...');
+    await glimpassDb.collection("scheduledCalls").createIndex(
+      { status: 1, executeAt: 1 },
+      { background: true, name: "idx_scheduledCalls_status_executeAt" }
+    );
+
+    console.log('Creating compound index on scheduledCalls for client listing...');
+    await glimpassDb.collection("scheduledCalls").createIndex(
+      { clientId: 1, status: 1, executeAt: 1 },
+      { background: true, name: "idx_scheduledCalls_clientId_status_executeAt" }
+    );
+    
+    // 17. Caller-ID pool numbers (per-client pool listing)
+    console.log('Creating compound index on callerIdNumbers...');
+    await database.collection("callerIdNumbers").createIndex(
+      { clientId: 1, inPool: 1 },
+      { background: true, name: "idx_callerIdNumbers_clientId_inPool" }
+    );
+
+    // 18. Assistant version history - one number per version; concurrent writers retry on the duplicate key
+    console.log('Creating unique index on assistantVersions...');
+    await database.collection("assistantVersions").createIndex(
+      { assistantId: 1, version: 1 },
+      { background: true, unique: true, name: "idx_assistantVersions_assistantId_version" }
+    );
+
+    // 19. Flows and their published snapshots
+    console.log('Creating unique indexes on flows and flowSnapshots...');
+    await database.collection("flows").createIndex(
+      { flowName: 1 },
+      { background: true, unique: true, name: "idx_flows_flowName" }
+    );
+    await database.collection("flowSnapshots").createIndex(
+      { flowName: 1, version: 1 },
+      { background: true, unique: true, name: "idx_flowSnapshots_flowName_version" }
+    );
+
+    // 20. Recording archives - one per call, the archive queue and retention purges
+    console.log('Creating indexes on recordingArchives...');
+    await database.collection("recordingArchives").createIndex(
+      { callUUID: 1 },
+      { background: true, unique: true, name: "idx_recordingArchives_callUUID" }
+    );
+    await database.collection("recordingArchives").createIndex(
+      { status: 1, nextAttemptAt: 1 },
+      { background: true, name: "idx_recordingArchives_status_nextAttemptAt" }
+    );
+    await database.collection("recordingArchives").createIndex(
+      { clientId: 1, status: 1, archivedAt: 1 },
+      { background: true, name: "idx_recordingArchives_clientId_status_archivedAt" }
+    );
+
+    // 21. Team members - login looks members up by email alone, so an email is one member of one client
+    console.log('Creating indexes on teamMembers...');
+    await database.collection("teamMembers").createIndex(
+      { email: 1 },
+      { background: true, unique: true, name: "idx_teamMembers_email" }
+    );
+    await database.collection("teamMembers").createIndex(
+      { clientId: 1, status: 1 },
+      { background: true, name: "idx_teamMembers_clientId_status" }
+    );
+    await database.collection("teamMembers").createIndex(
+      { inviteTokenHash: 1 },
+      { background: true, sparse: true, name: "idx_teamMembers_inviteTokenHash" }
+    );
+
+    // 22. Supervisor sessions - open sessions of live calls and the audit log
+    console.log('Creating indexes on supervisorSessions...');
+    await database.collection("supervisorSessions").createIndex(
+      { callUUID: 1, status: 1 },
+      { background: true, name: "idx_supervisorSessions_callUUID_status" }
+    );
+    await database.collection("supervisorSessions").createIndex(
+      { clientId: 1, startedAt: -1 },
+      { background: true, name: "idx_supervisorSessions_clientId_startedAt" }
+    );
+
+    // 23. Call control tools (glimpass database) - per-client listing and name lookups
+    console.log('Creating index on callControlTools...');
+    await glimpassDb.collection("callControlTools").createIndex(
+      { client_id: 1, tool_name: 1 },
+      { background: true, name: "idx_callControlTools_clientId_toolName" }
+    );
+    
     console.log('✅ All indexes created successfully!');
     
     // List all indexes for verification
     console.log('\n📋 Created indexes:');
-    const collections = ['plivo-list', 'plivo-list-content', 'plivoHangupData', 'logData', 'plivoRecordData', 'billingHistory', 'client', 'campaign'];
+    const collections = ['plivo-list', 'plivo-list-content', 'plivoHangupData', 'logData', 'plivoRecordData', 'billingHistory', 'client', 'campaign', 'dncRegistry', 'campaignRetryQueue', 'webhookSignatureAudit', 'creditLedger', 'creditReservations', 'listImportJobs', 'listImportErrors', 'plivo-list-data', 'callRateLimitBuckets', 'schedulerJobRuns', 'callerIdNumbers', 'assistantVersions', 'flows', 'flowSnapshots', 'recordingArchives', 'teamMembers', 'supervisorSessions'];
     
     for (const collectionName of collections) {
       try {
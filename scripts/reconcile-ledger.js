@@ -0,0 +1,36 @@
+/**
+ * Credit Ledger Reconciliation Job
+ * Rebuilds client.availableBalance from the creditLedger collection.
+ *
+ * Usage:
+ *   node scripts/reconcile-ledger.js                 # all clients
+ *   node scripts/reconcile-ledger.js --dry-run       # report drift only
+ *   node scripts/reconcile-ledger.js --client <id>   # single client
+ *
+ * Schedule it from cron (e.g. hourly) or call POST /superadmin/ledger/reconcile.
+ */
+
+const { reconcileLedgerBalances } = require('../src/apps/billing/creditLedger');
+
+async function run() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const clientIndex = args.indexOf('--client');
+  const clientId = clientIndex !== -1 ? args[clientIndex + 1] : null;
+
+  console.log(`📒 Reconciling credit ledger${clientId ? ` for client ${clientId}` : ''}${dryRun ? ' (dry run)' : ''}...`);
+
+  const result = await reconcileLedgerBalances({ clientId, dryRun });
+  if (!result.success) {
+    console.error('❌ Ledger reconciliation failed:', result.error);
+    process.exit(1);
+  }
+
+  result.corrections.forEach(correction => {
+    console.log(`  - ${correction.clientId}: cached ${correction.previousBalance}, ledger ${correction.ledgerBalance} (drift ${correction.drift})${correction.applied ? ' → fixed' : ''}`);
+  });
+  console.log(`✅ ${result.checked} checked, ${result.corrections.length} drifted, ${result.corrected} corrected, ${result.skipped} skipped`);
+  process.exit(0);
+}
+
+run();
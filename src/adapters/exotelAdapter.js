@@ -0,0 +1,283 @@
+/**
+ * Exotel Adapter
+ * Handles Exotel-specific call implementation
+ *
+ * Exotel can't be handed a stream URL per call. The call is connected to a Voicebot app (flow)
+ * whose Voicebot applet uses a dynamic URL (/exotel/voicebot-url); that endpoint looks up the
+ * stream URL saved on the activeCalls record through the CustomField we send (our callUUID).
+ * Transfers work the same way: a Connect applet after the Voicebot applet asks
+ * /exotel/transfer-destination where to connect once the bot ends the stream. Both applet URLs
+ * carry a static signature (GET /exotel/applet-urls).
+ */
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_SUBDOMAIN = 'api.exotel.com';
+
+class ExotelAdapter {
+  /**
+   * Make a call using Exotel API
+   * @param {Object} callParams - Call parameters
+   * @param {Object} providerConfig - Exotel configuration (accountSid, apiKey, authToken, appId, subdomain)
+   * @returns {Promise<Object>} Call result
+   */
+  static async makeCall(callParams, providerConfig) {
+    // Generate UUID upfront and save call record BEFORE API call (like Twilio) - the voicebot
+    // URL lookup and the status callback find the call through it
+    const preGeneratedUUID = uuidv4();
+    let preSaved = false;
+
+    try {
+      const { from, to, wssUrl, firstName, tag, listId, campaignId, clientId, dynamicFields } = callParams;
+
+      const accountSid = providerConfig?.accountSid || process.env.EXOTEL_ACCOUNT_SID;
+      const apiKey = providerConfig?.apiKey || process.env.EXOTEL_AUTH_KEY;
+      const authToken = providerConfig?.authToken || process.env.EXOTEL_AUTH_TOKEN;
+      const appId = providerConfig?.appId || process.env.EXOTEL_APP_ID;
+      const subdomain = providerConfig?.subdomain || process.env.EXOTEL_SUBDOMAIN || DEFAULT_SUBDOMAIN;
+
+      if (!accountSid || !apiKey || !authToken) {
+        throw new Error('Exotel credentials not configured');
+      }
+      if (!appId) {
+        throw new Error('Exotel Voicebot app (appId) not configured');
+      }
+
+      const campId = campaignId || 'direct';
+      const assistantId = dynamicFields?.assistantId || '';
+      const streamUrl = this.buildStreamUrl(wssUrl, {
+        from,
+        to,
+        callUUID: preGeneratedUUID,
+        listId,
+        clientId,
+        campId
+      });
+
+      const { trackCallStart } = require('../apps/helper/activeCalls.js');
+      const trackResult = await trackCallStart({
+        callUUID: preGeneratedUUID,
+        clientId: clientId,
+        campaignId: campaignId,
+        from: from,
+        to: to,
+        firstName: firstName || '',
+        listId: listId,
+        tag: tag || '',
+        assistantId: assistantId, // Store assistantId for hangup lookup
+        provider: 'exotel'
+      });
+
+      if (!trackResult.success) {
+        throw new Error(`Failed to save call record: ${trackResult.error}`);
+      }
+      preSaved = true;
+
+      const { connectToMongo, client: mongoClient } = require('../../models/mongodb.js');
+      await connectToMongo();
+      const activeCallsCollection = mongoClient.db("talkGlimpass").collection("activeCalls");
+      await activeCallsCollection.updateOne(
+        { callUUID: preGeneratedUUID },
+        { $set: { streamUrl, updatedAt: new Date() } }
+      );
+
+      // Exotel doesn't sign callbacks - hand it a signed URL that the router verifies
+      const { buildExotelCallbackUrl } = require('../middleware/webhookSignatureMiddleware');
+      const statusCallbackUrl = await buildExotelCallbackUrl('/exotel/status-callback', clientId, { callUUID: preGeneratedUUID });
+
+      // Exotel dials "From" first and shows "CallerId" (the ExoPhone) to them
+      const payload = new URLSearchParams({
+        From: to,
+        CallerId: from,
+        Url: `http://my.exotel.com/${accountSid}/exoml/start_voice/${appId}`,
+        CallType: 'trans',
+        TimeLimit: '3600',
+        Record: 'true',
+        CustomField: preGeneratedUUID,
+        StatusCallback: statusCallbackUrl,
+        'StatusCallbackEvents[0]': 'terminal',
+        'StatusCallbackEvents[1]': 'answered',
+        StatusCallbackContentType: 'application/json'
+      });
+
+      console.log(`🟠 Exotel API Call with pre-saved UUID:`);
+      console.log(`   From (ExoPhone): ${from}`);
+      console.log(`   To: ${to}`);
+      console.log(`   Pre-UUID: ${preGeneratedUUID}`);
+      console.log(`   Account SID: ${accountSid}`);
+      console.log(`   Voicebot App: ${appId}`);
+
+      const response = await axios.post(
+        `https://${subdomain}/v1/Accounts/${accountSid}/Calls/connect.json`,
+        payload.toString(),
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Authorization': this.createAuthHeader(apiKey, authToken)
+          },
+          timeout: 30000 // 30 second timeout
+        }
+      );
+
+      const call = response.data?.Call || {};
+      console.log(`✅ Exotel call initiated successfully: ${call.Sid} (mapped to pre-UUID: ${preGeneratedUUID})`);
+
+      // The call is already ringing - a failure here must not be reported as a failed call
+      try {
+        await activeCallsCollection.updateOne(
+          { callUUID: preGeneratedUUID },
+          { $set: { exotelCallSid: call.Sid, updatedAt: new Date() } }
+        );
+      } catch (updateError) {
+        console.error(`⚠️ Exotel call ${call.Sid} placed but CallSid not saved on ${preGeneratedUUID}:`, updateError.message);
+      }
+
+      return {
+        success: true,
+        callUUID: preGeneratedUUID, // Return our UUID, not Exotel's Sid
+        provider: 'exotel',
+        providerResponse: {
+          // Normalize Exotel response to match Plivo format for frontend compatibility
+          api_id: preGeneratedUUID,
+          message: 'Call initiated successfully.',
+          request_uuid: preGeneratedUUID,
+          _exotel: {
+            sid: call.Sid,
+            status: call.Status,
+            direction: call.Direction,
+            dateCreated: call.DateCreated
+          }
+        },
+        webhookUrls: {
+          statusCallback: statusCallbackUrl.split('?')[0],
+          stream: streamUrl
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Exotel adapter error:', error.message);
+
+      // The call never left - drop the pre-saved record so it doesn't hold a concurrency slot
+      if (preSaved) {
+        await this.discardPreSavedCall(preGeneratedUUID);
+      }
+
+      let errorMessage = 'Exotel API call failed';
+      if (error.response) {
+        const status = error.response.status;
+        const restException = error.response.data?.RestException;
+        if (status === 401 || status === 403) {
+          errorMessage = `Exotel authentication failed (${status}): Invalid API key or token`;
+        } else {
+          errorMessage = `Exotel API error (${status}): ${restException?.Message || error.response.statusText}`;
+        }
+      } else if (error.message.includes('credentials') || error.message.includes('appId')) {
+        errorMessage = error.message;
+      } else if (error.code === 'ECONNREFUSED') {
+        errorMessage = 'Unable to connect to Exotel API';
+      } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+        errorMessage = 'Exotel API request timed out';
+      }
+
+      return {
+        success: false,
+        error: errorMessage,
+        provider: 'exotel',
+        errorDetails: {
+          code: error.code,
+          status: error.response?.status,
+          data: error.response?.data
+        }
+      };
+    }
+  }
+
+  /**
+   * Bot WebSocket URL with the call context the other providers pass as stream parameters
+   * @param {string} wssUrl - Bot WebSocket URL
+   * @param {Object} params - { from, to, callUUID, listId, clientId, campId }
+   * @returns {string}
+   */
+  static buildStreamUrl(wssUrl, params) {
+    const sanitizeNumber = (num) => (num ? String(num).replace(/^\+/, '') : '');
+    const url = new URL(wssUrl);
+    url.searchParams.set('from', sanitizeNumber(params.from));
+    url.searchParams.set('to', sanitizeNumber(params.to));
+    url.searchParams.set('callUUID', params.callUUID);
+    url.searchParams.set('provider', 'exotel');
+    if (params.listId) url.searchParams.set('listId', params.listId);
+    if (params.clientId) url.searchParams.set('clientId', params.clientId.toString());
+    if (params.campId) url.searchParams.set('campId', params.campId.toString());
+    return url.toString();
+  }
+
+  /**
+   * Remove the activeCalls record saved before an Exotel API call that failed
+   * @param {string} callUUID - Pre-generated UUID
+   * @returns {Promise<void>}
+   */
+  static async discardPreSavedCall(callUUID) {
+    try {
+      const { connectToMongo, client: mongoClient } = require('../../models/mongodb.js');
+      await connectToMongo();
+      await mongoClient.db("talkGlimpass").collection("activeCalls").deleteOne({ callUUID, exotelCallSid: { $exists: false } });
+      console.log(`🗑️ Discarded pre-saved Exotel call record: ${callUUID}`);
+    } catch (error) {
+      console.error(`❌ Failed to discard pre-saved Exotel call record ${callUUID}:`, error.message);
+    }
+  }
+
+  /**
+   * Create Basic Auth header for Exotel (API key + token)
+   * @param {string} apiKey - API key
+   * @param {string} authToken - API token
+   * @returns {string} Authorization header value
+   */
+  static createAuthHeader(apiKey, authToken) {
+    const credentials = Buffer.from(`${apiKey}:${authToken}`).toString('base64');
+    return `Basic ${credentials}`;
+  }
+
+  /**
+   * Validate Exotel configuration
+   * @param {Object} config - Exotel configuration
+   * @returns {Object} Validation result
+   */
+  static validateConfig(config) {
+    const required = ['accountSid', 'apiKey', 'authToken', 'appId'];
+    const missing = required.filter(field => !config[field]);
+
+    if (missing.length > 0) {
+      return {
+        valid: false,
+        error: `Missing Exotel config: ${missing.join(', ')}`
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Map Exotel call status to internal status
+   * @param {string} exotelStatus - Exotel call status
+   * @returns {string} Internal status
+   */
+  static mapCallStatus(exotelStatus) {
+    const statusMap = {
+      'queued': 'processed',
+      'ringing': 'ringing',
+      'in-progress': 'ongoing',
+      'answered': 'ongoing',
+      'completed': 'completed',
+      'busy': 'failed',
+      'failed': 'failed',
+      'no-answer': 'failed',
+      'canceled': 'failed'
+    };
+
+    return statusMap[exotelStatus] || 'unknown';
+  }
+}
+
+module.exports = ExotelAdapter;
@@ -4,6 +4,7 @@
  */
 
 const axios = require('axios');
+const { buildPlivoAmdParams } = require('../apps/helper/answeringMachine');
 
 class PlivoAdapter {
   /**
@@ -13,12 +14,12 @@ class PlivoAdapter {
    * @returns {Promise<Object>} Call result
    */
   static async makeCall(callParams, providerConfig) {
-    try {
-      const { from, to, wssUrl, firstName, tag, email, listId, campaignId, clientId, dynamicFields } = callParams;
+    // Use provided config or fall back to environment/defaults (outside try - the 401 handler logs them)
+    const accountSid = providerConfig?.accountSid || process.env.PLIVO_ACCOUNT_SID || 'default_account_sid';
+    const authToken = providerConfig?.authToken || process.env.PLIVO_AUTH_TOKEN || 'default_auth_token';
 
-      // Use provided config or fall back to environment/defaults
-      const accountSid = providerConfig?.accountSid || process.env.PLIVO_ACCOUNT_SID || 'default_account_sid';
-      const authToken = providerConfig?.authToken || process.env.PLIVO_AUTH_TOKEN || 'default_auth_token';
+    try {
+      const { from, to, wssUrl, firstName, tag, email, listId, campaignId, clientId, dynamicFields, amd } = callParams;
 
       const plivoApiUrl = `https://api.plivo.com/v1/Account/${accountSid}/Call/`;
       const baseUrl = process.env.BASE_URL || 'https://application.glimpass.com';
@@ -62,6 +63,12 @@ class PlivoAdapter {
         answer_url: answerUrl,
         answer_method: 'POST',
       };
+
+      // Campaign answering machine detection - the result arrives on machine_detection_url while the bot is connected
+      if (amd?.enabled) {
+        Object.assign(payload, buildPlivoAmdParams(amd, `${baseUrl}/plivo/amd-callback`));
+        console.log(`📠 [Plivo] Machine detection enabled (action: ${amd.action})`);
+      }
       
       // Create auth header from credentials
       const authHeader = this.createAuthHeader(accountSid, authToken);
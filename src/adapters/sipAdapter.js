@@ -0,0 +1,337 @@
+/**
+ * SIP Adapter
+ * Originates calls over a customer's own SIP trunk through an Asterisk ARI-style HTTP interface
+ *
+ * The call is originated as POST {ariUrl}/channels with channelId = our callUUID, placed into the
+ * customer's Stasis app. That app (their media gateway) asks GET /sip/stream-instruction for what
+ * to do once the callee answers - the JSON counterpart of the /ip/xml-plivo answer XML - and posts
+ * call events (answer, hangup) to /sip/events, which feed the same hangup + billing path as the
+ * CPaaS providers. Both URLs are handed over as channel variables and carry a signature.
+ */
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_STASIS_APP = 'glimpass';
+const DEFAULT_RING_TIMEOUT = 45; // seconds
+const MAX_CALL_DURATION = 3600; // seconds, same cap as the Plivo stream
+
+class SipAdapter {
+  /**
+   * Make a call through the SIP trunk's ARI interface
+   * @param {Object} callParams - Call parameters
+   * @param {Object} providerConfig - SIP configuration (ariUrl, accountSid = ARI user, authToken = ARI password,
+   *   endpointTemplate, stasisApp, callerIdName, ringTimeout)
+   * @returns {Promise<Object>} Call result
+   */
+  static async makeCall(callParams, providerConfig) {
+    // The channel is created with our UUID as its id - save the record first so events and the
+    // stream instruction can never arrive for a call we don't know yet
+    const preGeneratedUUID = uuidv4();
+    let preSaved = false;
+
+    try {
+      const { from, to, wssUrl, firstName, tag, listId, campaignId, clientId, dynamicFields } = callParams;
+
+      const ariUrl = (providerConfig?.ariUrl || process.env.SIP_ARI_URL || '').replace(/\/$/, '');
+      const username = providerConfig?.accountSid || process.env.SIP_ARI_USERNAME;
+      const password = providerConfig?.authToken || process.env.SIP_ARI_PASSWORD;
+      const endpointTemplate = providerConfig?.endpointTemplate || process.env.SIP_ENDPOINT_TEMPLATE;
+      const stasisApp = providerConfig?.stasisApp || process.env.SIP_STASIS_APP || DEFAULT_STASIS_APP;
+      const ringTimeout = parseInt(providerConfig?.ringTimeout) || DEFAULT_RING_TIMEOUT;
+
+      if (!ariUrl || !username || !password) {
+        throw new Error('SIP trunk credentials not configured');
+      }
+      if (!endpointTemplate) {
+        throw new Error('SIP endpointTemplate not configured');
+      }
+
+      const campId = campaignId || 'direct';
+      const assistantId = dynamicFields?.assistantId || '';
+
+      const { trackCallStart } = require('../apps/helper/activeCalls.js');
+      const trackResult = await trackCallStart({
+        callUUID: preGeneratedUUID,
+        clientId: clientId,
+        campaignId: campaignId,
+        from: from,
+        to: to,
+        firstName: firstName || '',
+        listId: listId,
+        tag: tag || '',
+        assistantId: assistantId, // Store assistantId for hangup lookup
+        provider: 'sip'
+      });
+
+      if (!trackResult.success) {
+        throw new Error(`Failed to save call record: ${trackResult.error}`);
+      }
+      preSaved = true;
+
+      // The stream instruction is built from this when the gateway asks for it
+      const { connectToMongo, client: mongoClient } = require('../../models/mongodb.js');
+      await connectToMongo();
+      const activeCallsCollection = mongoClient.db("talkGlimpass").collection("activeCalls");
+      await activeCallsCollection.updateOne(
+        { callUUID: preGeneratedUUID },
+        { $set: { wssUrl, listId: listId || null, campId, updatedAt: new Date() } }
+      );
+
+      const { buildSipCallbackUrl } = require('../middleware/webhookSignatureMiddleware');
+      const streamInstructionUrl = await buildSipCallbackUrl('/sip/stream-instruction', clientId, preGeneratedUUID);
+      const eventsUrl = await buildSipCallbackUrl('/sip/events', clientId, preGeneratedUUID);
+
+      const endpoint = this.buildEndpoint(endpointTemplate, to);
+      const callerId = providerConfig?.callerIdName
+        ? `"${providerConfig.callerIdName}" <${this.sanitizeNumber(from)}>`
+        : this.sanitizeNumber(from);
+
+      console.log(`🟣 SIP/ARI originate with pre-saved UUID:`);
+      console.log(`   From: ${from}`);
+      console.log(`   To: ${to}`);
+      console.log(`   Endpoint: ${endpoint}`);
+      console.log(`   Pre-UUID: ${preGeneratedUUID}`);
+      console.log(`   ARI: ${ariUrl} (app ${stasisApp})`);
+
+      const response = await axios.post(
+        `${ariUrl}/channels`,
+        {
+          variables: {
+            GLIMPASS_CALL_UUID: preGeneratedUUID,
+            GLIMPASS_STREAM_INSTRUCTION_URL: streamInstructionUrl,
+            GLIMPASS_EVENTS_URL: eventsUrl
+          }
+        },
+        {
+          params: {
+            endpoint,
+            app: stasisApp,
+            appArgs: preGeneratedUUID,
+            callerId,
+            timeout: ringTimeout,
+            channelId: preGeneratedUUID
+          },
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': this.createAuthHeader(username, password)
+          },
+          timeout: 30000 // 30 second timeout
+        }
+      );
+
+      const channel = response.data || {};
+      console.log(`✅ SIP call originated successfully: channel ${channel.id || preGeneratedUUID} (${channel.state || 'Down'})`);
+
+      // The trunk is already dialing - a failure here must not be reported as a failed call
+      try {
+        await activeCallsCollection.updateOne(
+          { callUUID: preGeneratedUUID },
+          { $set: { sipChannelId: channel.id || preGeneratedUUID, sipChannelName: channel.name || null, updatedAt: new Date() } }
+        );
+      } catch (updateError) {
+        console.error(`⚠️ SIP channel ${channel.id} placed but not saved on ${preGeneratedUUID}:`, updateError.message);
+      }
+
+      return {
+        success: true,
+        callUUID: preGeneratedUUID,
+        provider: 'sip',
+        providerResponse: {
+          // Normalize ARI response to match Plivo format for frontend compatibility
+          api_id: preGeneratedUUID,
+          message: 'Call initiated successfully.',
+          request_uuid: preGeneratedUUID,
+          _sip: {
+            channelId: channel.id,
+            channelName: channel.name,
+            state: channel.state,
+            endpoint
+          }
+        },
+        webhookUrls: {
+          streamInstruction: streamInstructionUrl.split('?')[0],
+          events: eventsUrl.split('?')[0]
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ SIP adapter error:', error.message);
+
+      // The call never left - drop the pre-saved record so it doesn't hold a concurrency slot
+      if (preSaved) {
+        await this.discardPreSavedCall(preGeneratedUUID);
+      }
+
+      let errorMessage = 'SIP originate failed';
+      if (error.response) {
+        const status = error.response.status;
+        if (status === 401 || status === 403) {
+          errorMessage = `SIP ARI authentication failed (${status}): Invalid ARI username or password`;
+        } else {
+          errorMessage = `SIP ARI error (${status}): ${error.response.data?.message || error.response.statusText}`;
+        }
+      } else if (error.message.includes('not configured')) {
+        errorMessage = error.message;
+      } else if (error.code === 'ECONNREFUSED') {
+        errorMessage = 'Unable to connect to SIP ARI interface';
+      } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+        errorMessage = 'SIP ARI request timed out';
+      }
+
+      return {
+        success: false,
+        error: errorMessage,
+        provider: 'sip',
+        errorDetails: {
+          code: error.code,
+          status: error.response?.status,
+          data: error.response?.data
+        }
+      };
+    }
+  }
+
+  /**
+   * Media-stream instruction for an answered call - the SIP counterpart of the /ip/xml-plivo XML
+   * @param {Object} callRecord - activeCalls record (callUUID, from, to, wssUrl, listId, clientId, campId)
+   * @param {Object} urls - { eventsUrl } signed URL for call events
+   * @returns {Object} Instruction for the gateway's Stasis app
+   */
+  static buildStreamInstruction(callRecord, urls = {}) {
+    const extraHeaders = {
+      from: this.sanitizeNumber(callRecord.from),
+      to: this.sanitizeNumber(callRecord.to),
+      callUUID: callRecord.callUUID,
+      provider: 'sip'
+    };
+    if (callRecord.listId) extraHeaders.listId = callRecord.listId.toString();
+    if (callRecord.clientId) extraHeaders.clientId = callRecord.clientId.toString();
+    if (callRecord.campId) extraHeaders.campId = callRecord.campId.toString();
+
+    return {
+      callUUID: callRecord.callUUID,
+      record: {
+        enabled: true,
+        maxLength: MAX_CALL_DURATION
+      },
+      stream: {
+        url: callRecord.wssUrl,
+        bidirectional: true,
+        audioTrack: 'inbound',
+        contentType: 'audio/x-mulaw;rate=8000',
+        streamTimeout: MAX_CALL_DURATION,
+        keepCallAlive: true,
+        extraHeaders,
+        // Same comma-separated form Plivo passes, for gateways that forward it verbatim
+        extraHeadersString: Object.entries(extraHeaders).map(([key, value]) => `${key}=${value}`).join(',')
+      },
+      events: {
+        url: urls.eventsUrl || null,
+        method: 'POST'
+      }
+    };
+  }
+
+  /**
+   * Normalize a call event posted by the gateway
+   * Accepts either our flat shape ({ callUUID, event, cause, duration, recordingUrl }) or raw
+   * ARI events forwarded as-is (StasisStart / ChannelStateChange / ChannelDestroyed).
+   * @param {Object} body - Request body
+   * @param {string} callUUID - callUUID from the signed URL (fallback)
+   * @returns {{callUUID: string, event: string|null, causeCode: number|null, cause: string|null,
+   *   duration: number|null, recordingUrl: string|null, timestamp: string|null}}
+   */
+  static parseEvent(body = {}, callUUID = null) {
+    const channel = body.channel || {};
+    let event = body.event ? String(body.event).toLowerCase() : null;
+
+    if (!event && body.type) {
+      if (body.type === 'ChannelDestroyed') {
+        event = 'hangup';
+      } else if ((body.type === 'ChannelStateChange' || body.type === 'StasisStart') && channel.state === 'Up') {
+        event = 'answered';
+      }
+    }
+
+    const rawCause = body.causeCode ?? body.cause;
+    const causeCode = /^\d+$/.test(String(rawCause ?? '')) ? parseInt(rawCause) : null;
+    const duration = body.duration ?? body.billsec;
+
+    return {
+      callUUID: body.callUUID || channel.id || callUUID,
+      event,
+      causeCode,
+      cause: body.cause_txt || (causeCode === null && rawCause ? String(rawCause) : null),
+      duration: duration === undefined || duration === null || duration === '' ? null : Math.max(0, parseInt(duration) || 0),
+      recordingUrl: body.recordingUrl || null,
+      timestamp: body.timestamp || null
+    };
+  }
+
+  /**
+   * Dial string for a number from the endpoint template
+   * {number} is digits only, {e164} keeps the leading +, e.g. PJSIP/{number}@carrier-trunk
+   * @param {string} template - Endpoint template
+   * @param {string} number - Number to dial
+   * @returns {string}
+   */
+  static buildEndpoint(template, number) {
+    const digits = this.sanitizeNumber(number);
+    return template
+      .replace(/\{number\}/g, digits)
+      .replace(/\{e164\}/g, `+${digits}`);
+  }
+
+  static sanitizeNumber(num) {
+    return num ? String(num).replace(/[^\d]/g, '') : '';
+  }
+
+  /**
+   * Remove the activeCalls record saved before an originate that failed
+   * @param {string} callUUID - Pre-generated UUID
+   * @returns {Promise<void>}
+   */
+  static async discardPreSavedCall(callUUID) {
+    try {
+      const { connectToMongo, client: mongoClient } = require('../../models/mongodb.js');
+      await connectToMongo();
+      await mongoClient.db("talkGlimpass").collection("activeCalls").deleteOne({ callUUID, sipChannelId: { $exists: false } });
+      console.log(`🗑️ Discarded pre-saved SIP call record: ${callUUID}`);
+    } catch (error) {
+      console.error(`❌ Failed to discard pre-saved SIP call record ${callUUID}:`, error.message);
+    }
+  }
+
+  /**
+   * Create Basic Auth header for ARI
+   * @param {string} username - ARI user
+   * @param {string} password - ARI password
+   * @returns {string} Authorization header value
+   */
+  static createAuthHeader(username, password) {
+    const credentials = Buffer.from(`${username}:${password}`).toString('base64');
+    return `Basic ${credentials}`;
+  }
+
+  /**
+   * Validate SIP configuration
+   * @param {Object} config - SIP configuration
+   * @returns {Object} Validation result
+   */
+  static validateConfig(config) {
+    const required = ['ariUrl', 'accountSid', 'authToken', 'endpointTemplate'];
+    const missing = required.filter(field => !config[field]);
+
+    if (missing.length > 0) {
+      return {
+        valid: false,
+        error: `Missing SIP config: ${missing.join(', ')}`
+      };
+    }
+
+    return { valid: true };
+  }
+}
+
+module.exports = SipAdapter;
@@ -5,6 +5,7 @@
 
 const twilio = require('twilio');
 const { v4: uuidv4 } = require('uuid');
+const { buildTwilioAmdParams } = require('../apps/helper/answeringMachine');
 
 class TwilioAdapter {
   /**
@@ -14,11 +15,12 @@ class TwilioAdapter {
    * @returns {Promise<Object>} Call result
    */
   static async makeCall(callParams, providerConfig) {
+    // SIMPLE FIX: Generate UUID upfront and save call record BEFORE API call (like legacy Plivo)
+    const preGeneratedUUID = uuidv4();
+    let preSaved = false;
+
     try {
-      const { from, to, wssUrl, firstName, tag, listId, campaignId, clientId, dynamicFields } = callParams;
-      
-      // SIMPLE FIX: Generate UUID upfront and save call record BEFORE API call (like legacy Plivo)
-      const preGeneratedUUID = uuidv4();
+      const { from, to, wssUrl, firstName, tag, listId, campaignId, clientId, dynamicFields, amd } = callParams;
       
       // Extract assistantId from dynamicFields for proper tracking
       const assistantId = dynamicFields?.assistantId || '';
@@ -44,6 +46,7 @@ class TwilioAdapter {
       if (!trackResult.success) {
         throw new Error(`Failed to save call record: ${trackResult.error}`);
       }
+      preSaved = true;
       
       // Use provided config or fall back to environment
       const accountSid = providerConfig?.accountSid || process.env.TWILIO_ACCOUNT_SID;
@@ -99,6 +102,12 @@ class TwilioAdapter {
         recordingStatusCallbackEvent: ['completed'],
         recordingStatusCallbackMethod: 'POST'
       };
+
+      // Campaign answering machine detection - async so the bot stream isn't held up by detection
+      if (amd?.enabled) {
+        Object.assign(twilioPayload, buildTwilioAmdParams(amd, `${baseUrl}/twilio/amd-callback`));
+        console.log(`📠 [Twilio] Machine detection enabled (action: ${amd.action})`);
+      }
       
       console.log(`🔵 Twilio API Call with pre-saved UUID:`);
       console.log(`   From: ${from}`);
@@ -112,23 +121,29 @@ class TwilioAdapter {
       
       console.log(`✅ Twilio call initiated successfully: ${call.sid} (mapped to pre-UUID: ${preGeneratedUUID})`);
       
-      // Update the saved record with the actual Twilio CallSid
-      const { connectToMongo, client: mongoClient } = require('../../models/mongodb.js');
-      await connectToMongo();
-      const database = mongoClient.db("talkGlimpass");
-      const activeCallsCollection = database.collection("activeCalls");
-      
-      await activeCallsCollection.updateOne(
-        { callUUID: preGeneratedUUID },
-        { 
-          $set: { 
-            twilioCallSid: call.sid, // Store the actual CallSid for reference
-            updatedAt: new Date()
-          } 
-        }
-      );
-      
-      console.log(`🔄 Updated call record: ${preGeneratedUUID} -> Twilio SID: ${call.sid}`);
+      // Update the saved record with the actual Twilio CallSid. The call is already ringing,
+      // so a failure here must not be reported as a failed call (it would be dialed again).
+      try {
+        const { connectToMongo, client: mongoClient } = require('../../models/mongodb.js');
+        await connectToMongo();
+        const database = mongoClient.db("talkGlimpass");
+        const activeCallsCollection = database.collection("activeCalls");
+        
+        await activeCallsCollection.updateOne(
+          { callUUID: preGeneratedUUID },
+          { 
+            $set: { 
+              twilioCallSid: call.sid, // Store the actual CallSid for reference
+              twimlUrl: twilioPayload.url, // Call control redirects back here to reconnect the bot
+              updatedAt: new Date()
+            } 
+          }
+        );
+        
+        console.log(`🔄 Updated call record: ${preGeneratedUUID} -> Twilio SID: ${call.sid}`);
+      } catch (updateError) {
+        console.error(`⚠️ Twilio call ${call.sid} placed but CallSid not saved on ${preGeneratedUUID}:`, updateError.message);
+      }
       
       return {
         success: true,
@@ -155,6 +170,12 @@ class TwilioAdapter {
       
     } catch (error) {
       console.error('❌ Twilio adapter error:', error.message);
+
+      // The call never left - drop the pre-saved record so it doesn't hold a concurrency slot
+      // (the caller tracks the failure, or retries the call on another provider)
+      if (preSaved) {
+        await this.discardPreSavedCall(preGeneratedUUID);
+      }
       
       let errorMessage = 'Twilio API call failed';
       if (error.code) {
@@ -179,6 +200,22 @@ class TwilioAdapter {
     }
   }
   
+  /**
+   * Remove the activeCalls record saved before a Twilio API call that failed
+   * @param {string} callUUID - Pre-generated UUID
+   * @returns {Promise<void>}
+   */
+  static async discardPreSavedCall(callUUID) {
+    try {
+      const { connectToMongo, client: mongoClient } = require('../../models/mongodb.js');
+      await connectToMongo();
+      await mongoClient.db("talkGlimpass").collection("activeCalls").deleteOne({ callUUID, twilioCallSid: { $exists: false } });
+      console.log(`🗑️ Discarded pre-saved Twilio call record: ${callUUID}`);
+    } catch (error) {
+      console.error(`❌ Failed to discard pre-saved Twilio call record ${callUUID}:`, error.message);
+    }
+  }
+  
   /**
    * Validate Twilio configuration
    * @param {Object} config - Twilio configuration
@@ -1,5 +1,6 @@
 const { connectToMongo, client } = require('../../../models/mongodb.js');
 const { ObjectId } = require('mongodb');
+const { postLedgerEntry, ENTRY_TYPES } = require('./creditLedger');
 
 // Environment configurations
 const INCOMING_AGGREGATION_TIME = parseInt(process.env.INCOMING_AGGREGATION_TIME) || 3600000; // 1 hour default
@@ -80,56 +81,46 @@ async function saveCallBillingDetail(callData) {
 
 /**
  * Update client balance and lastIncomingAggregationTime if needed
+ * Posts a ledger entry and applies it with an atomic $inc (see creditLedger.js).
  * @param {string} clientId - Client ID
  * @param {number} creditChange - Credit change (negative for deductions)
  * @param {string} callType - Type of call (for aggregation timing)
+ * @param {Object} ledgerDetails - { entryType, referenceId, description, metadata, createdBy }
  * @returns {Object} Result with success status and new balance
  */
-async function updateClientBalance(clientId, creditChange, callType = null) {
+async function updateClientBalance(clientId, creditChange, callType = null, ledgerDetails = {}) {
   try {
-    await connectToMongo();
-    const database = client.db("talkGlimpass");
-    const collection = database.collection("client");
-    
-    const filter = { _id: new ObjectId(clientId) };
-    
-    // Get current client data
-    const currentClient = await collection.findOne(filter);
-    if (!currentClient) {
-      return {
-        success: false,
-        error: 'Client not found'
-      };
-    }
-    
-    const newBalance = (currentClient.availableBalance || 0) + creditChange;
-    
-    // Update object
-    const updateData = {
-      availableBalance: newBalance,
-      lastBalanceUpdate: new Date()
-    };
-    
+    const set = {};
+
     // If this is an incoming call and we're updating aggregation time
     if (callType === 'incoming') {
-      updateData.lastIncomingAggregationTime = new Date();
+      set.lastIncomingAggregationTime = new Date();
     }
-    
-    const result = await collection.updateOne(filter, { $set: updateData });
-    
-    if (result.modifiedCount > 0) {
-      console.log(`✅ Client balance updated: ${clientId} (${creditChange >= 0 ? '+' : ''}${creditChange} credits, new balance: ${newBalance})`);
-      return {
-        success: true,
-        newBalance,
-        previousBalance: currentClient.availableBalance || 0
-      };
-    } else {
+
+    const result = await postLedgerEntry({
+      clientId,
+      entryType: ledgerDetails.entryType || ENTRY_TYPES.CALL_DEBIT,
+      amount: creditChange,
+      referenceId: ledgerDetails.referenceId || null,
+      description: ledgerDetails.description || '',
+      metadata: { callType, ...(ledgerDetails.metadata || {}) },
+      createdBy: ledgerDetails.createdBy || 'system'
+    }, { set });
+
+    if (!result.success) {
       return {
         success: false,
-        error: 'Failed to update client balance'
+        error: result.error || 'Failed to update client balance'
       };
     }
+
+    console.log(`✅ Client balance updated: ${clientId} (${creditChange >= 0 ? '+' : ''}${creditChange} credits, new balance: ${result.newBalance})`);
+    return {
+      success: true,
+      duplicate: result.duplicate,
+      newBalance: result.newBalance,
+      previousBalance: result.previousBalance
+    };
     
   } catch (error) {
     console.error('❌ Error updating client balance:', error);
@@ -140,6 +131,98 @@ async function updateClientBalance(clientId, creditChange, callType = null) {
   }
 }
 
+/**
+ * Bill a finished provider call: ledger call_debit, SSE balance broadcast, billingHistory entry for
+ * non-campaign calls and the callBillingDetails record. Idempotent on callUUID (ledger reference and
+ * billingHistory check), so webhook retries are safe. Campaign calls get their billingHistory entry
+ * at campaign completion.
+ * @param {Object} params - { clientId, callUUID, duration, callType, campaignId, from, to, provider }
+ * @returns {Promise<{success: boolean, newBalance?: number, error?: string}>}
+ */
+async function billProviderCall({ clientId, callUUID, duration, callType, campaignId = null, from, to, provider }) {
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const creditsToDeduct = parseInt(duration) || 0; // 1 second = 1 credit
+
+    let newBalance = null;
+    if (creditsToDeduct > 0) {
+      const ledgerResult = await postLedgerEntry({
+        clientId,
+        entryType: ENTRY_TYPES.CALL_DEBIT,
+        amount: -creditsToDeduct,
+        referenceId: callUUID,
+        description: `${callType} call ${from} -> ${to} for ${creditsToDeduct} seconds`,
+        metadata: { callType, provider, duration: creditsToDeduct, campaignId: callType === 'campaign' ? campaignId : null }
+      });
+      if (!ledgerResult.success) {
+        throw new Error(`Balance update failed for client ${clientId}: ${ledgerResult.error}`);
+      }
+      newBalance = ledgerResult.newBalance;
+      console.log(`💰 ${provider} billing: ${ledgerResult.previousBalance} -> ${newBalance} (${callType}, ${creditsToDeduct}s)`);
+
+      // Broadcast balance update via SSE (lazy require - billingRouter requires this module)
+      const billingRouter = require('../../routes/billingRouter');
+      if (billingRouter.broadcastBalanceUpdate) {
+        try {
+          billingRouter.broadcastBalanceUpdate(clientId.toString(), newBalance, 'call_end');
+        } catch (error) {
+          console.warn(`Failed to broadcast ${provider} balance update:`, error.message);
+        }
+      }
+
+      if (callType !== 'campaign') {
+        const billingHistoryCollection = database.collection("billingHistory");
+        const existingBillingEntry = await billingHistoryCollection.findOne({ callUUID, callType });
+        if (existingBillingEntry) {
+          console.log(`⚠️ ${provider} billing entry already exists for ${callType} call ${callUUID} - skipping duplicate`);
+        } else {
+          const descriptions = {
+            testcall: [`Test call to ${to} for ${creditsToDeduct} seconds`, 'Test Call'],
+            'api-call': [`API call to ${to} for ${creditsToDeduct} seconds`, 'API Call'],
+            incoming: [`Incoming call from ${from} for ${creditsToDeduct} seconds`, 'Incoming Call']
+          };
+          const [billingDescription, campName] = descriptions[callType] || descriptions.incoming;
+          await billingHistoryCollection.insertOne({
+            clientId: clientId.toString(),
+            camp_name: campName,
+            campaignId: '',
+            balanceCount: -creditsToDeduct,
+            date: new Date(),
+            desc: billingDescription,
+            transactionType: 'Dr',
+            newAvailableBalance: newBalance,
+            callUUID,
+            callDuration: creditsToDeduct,
+            callType,
+            from,
+            to
+          });
+        }
+      }
+    }
+
+    await saveCallBillingDetail({
+      clientId: clientId.toString(),
+      callUuid: callUUID,
+      duration: creditsToDeduct,
+      type: callType,
+      from,
+      to,
+      credits: creditsToDeduct,
+      aiCredits: 0,
+      telephonyCredits: creditsToDeduct,
+      campaignId: callType === 'campaign' ? campaignId : null,
+      campaignName: callType === 'campaign' ? `Campaign ${campaignId}` : null
+    });
+
+    return { success: true, newBalance };
+  } catch (error) {
+    console.error(`❌ Error billing ${provider} call ${callUUID}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Get call details with cursor-based pagination
  * @param {string} clientId - Client ID
@@ -406,10 +489,93 @@ async function saveAggregationToBillingHistory(aggregationData) {
   }
 }
 
+/**
+ * Aggregate a client's incoming calls into billing history when the aggregation window has passed
+ * The window is claimed on the client document first, so the billing page and the background
+ * job never write the same period twice.
+ * @param {string} clientId - Client ID
+ * @returns {Object} { aggregationPerformed, aggregationDetails, aggregationCheck }
+ */
+async function runIncomingAggregation(clientId) {
+  const aggregationCheck = await needsIncomingAggregation(clientId);
+  const outcome = { aggregationPerformed: false, aggregationDetails: null, aggregationCheck };
+  if (!aggregationCheck.needed) {
+    return outcome;
+  }
+
+  await connectToMongo();
+  const clientCollection = client.db("talkGlimpass").collection("client");
+  const previousTime = aggregationCheck.lastAggregationTime;
+  const claimTime = new Date();
+
+  const claim = await clientCollection.updateOne(
+    {
+      _id: new ObjectId(clientId),
+      $or: [
+        { lastIncomingAggregationTime: { $lte: previousTime } },
+        { lastIncomingAggregationTime: null }
+      ]
+    },
+    { $set: { lastIncomingAggregationTime: claimTime } }
+  );
+  if (claim.modifiedCount === 0) {
+    console.log(`⏭️  Incoming aggregation for ${clientId} already claimed by another request`);
+    return outcome;
+  }
+
+  console.log(`🔄 Performing incoming call aggregation for client ${clientId}`);
+  const aggregationResult = await aggregateIncomingCallsSince(clientId, previousTime);
+
+  let saved = aggregationResult.success && aggregationResult.totalCalls === 0;
+  if (aggregationResult.success && aggregationResult.totalCalls > 0) {
+    const title = `Incoming Calls (${aggregationResult.startTime.toLocaleDateString()} - ${aggregationResult.endTime.toLocaleDateString()})`;
+
+    const saveResult = await saveAggregationToBillingHistory({
+      clientId,
+      type: 'incoming',
+      title,
+      totalCalls: aggregationResult.totalCalls,
+      totalCredits: aggregationResult.totalCredits,
+      totalDuration: aggregationResult.totalDuration,
+      startTime: aggregationResult.startTime,
+      endTime: aggregationResult.endTime
+    });
+
+    if (saveResult.success) {
+      saved = true;
+      outcome.aggregationPerformed = true;
+      outcome.aggregationDetails = {
+        totalCalls: aggregationResult.totalCalls,
+        totalCredits: aggregationResult.totalCredits,
+        totalDuration: aggregationResult.totalDuration,
+        period: {
+          start: aggregationResult.startTime,
+          end: aggregationResult.endTime
+        }
+      };
+
+      console.log(`✅ Incoming call aggregation completed: ${aggregationResult.totalCalls} calls, ${aggregationResult.totalCredits} credits`);
+    }
+  }
+
+  // Give the window back so the next check retries it
+  if (!saved) {
+    const restore = previousTime.getTime() > 0
+      ? { $set: { lastIncomingAggregationTime: previousTime } }
+      : { $unset: { lastIncomingAggregationTime: '' } };
+    await clientCollection.updateOne({ _id: new ObjectId(clientId), lastIncomingAggregationTime: claimTime }, restore);
+    outcome.error = aggregationResult.error || 'Failed to save incoming call aggregation';
+  }
+
+  return outcome;
+}
+
 /**
  * Update AI credits for an existing call record
+ * The difference from the previously recorded AI credits is debited from the client's
+ * balance as an ai_credit_adjustment ledger entry.
  * @param {string} callUuid - Call UUID
- * @param {number} aiCredits - AI credits to add
+ * @param {number} aiCredits - Total AI credits for the call
  * @returns {Object} Update result
  */
 async function updateCallAICredits(callUuid, aiCredits) {
@@ -418,26 +584,47 @@ async function updateCallAICredits(callUuid, aiCredits) {
     const database = client.db("talkGlimpass");
     const collection = database.collection("callBillingDetails");
     
-    const result = await collection.updateOne(
+    // Swap in the new value atomically and get the old one back to compute the adjustment
+    const previousRecord = await collection.findOneAndUpdate(
       { callUuid },
       { 
         $set: { 
           aiCredits,
           lastAIUpdate: new Date()
-        },
-        $inc: {
-          credits: aiCredits // Add to total credits
         }
-      }
+      },
+      { returnDocument: 'before', projection: { clientId: 1, aiCredits: 1, type: 1, campaignId: 1 } }
     );
     
-    if (result.modifiedCount > 0) {
-      console.log(`✅ AI credits updated for call ${callUuid}: +${aiCredits} credits`);
-      return { success: true };
-    } else {
+    if (!previousRecord) {
       console.warn(`⚠️ Call not found for AI credit update: ${callUuid}`);
       return { success: false, error: 'Call record not found' };
     }
+
+    const previousAICredits = previousRecord.aiCredits || 0;
+    const aiCreditDelta = aiCredits - previousAICredits;
+    if (aiCreditDelta === 0) {
+      return { success: true };
+    }
+
+    await collection.updateOne({ callUuid }, { $inc: { credits: aiCreditDelta } });
+
+    const ledgerResult = await postLedgerEntry({
+      clientId: previousRecord.clientId,
+      entryType: ENTRY_TYPES.AI_CREDIT_ADJUSTMENT,
+      amount: -aiCreditDelta,
+      referenceId: `${callUuid}:${previousAICredits}->${aiCredits}`,
+      description: `AI credits for call ${callUuid} (${previousAICredits} -> ${aiCredits})`,
+      metadata: { callUuid, callType: previousRecord.type, campaignId: previousRecord.campaignId || null }
+    });
+
+    if (!ledgerResult.success) {
+      console.error(`❌ AI credit ledger adjustment failed for call ${callUuid}: ${ledgerResult.error}`);
+      return { success: false, error: ledgerResult.error };
+    }
+
+    console.log(`✅ AI credits updated for call ${callUuid}: ${aiCreditDelta >= 0 ? '+' : ''}${aiCreditDelta} credits`);
+    return { success: true, newBalance: ledgerResult.newBalance };
     
   } catch (error) {
     console.error('❌ Error updating AI credits:', error);
@@ -486,6 +673,16 @@ async function reconcileFinishedCampaigns(clientId) {
     for (const campaign of candidates) {
       const campaignIdStr = campaign._id.toString();
 
+      // Automatic retries still queued will add more billable calls - aggregate once they finish
+      const openRetries = await database.collection("campaignRetryQueue").countDocuments({
+        campaignId: campaignIdStr,
+        status: { $in: ['pending', 'processing'] }
+      });
+      if (openRetries > 0) {
+        console.log(`ℹ️ Campaign ${campaignIdStr} has ${openRetries} retries queued - deferring billing aggregation`);
+        continue;
+      }
+
       // Atomic claim — only one concurrent caller wins
       const claim = await campaignCollection.findOneAndUpdate(
         { _id: campaign._id, isBalanceUpdated: { $ne: true } },
@@ -703,10 +900,12 @@ async function computeRunningCampaignRows(clientId) {
 module.exports = {
   saveCallBillingDetail,
   updateClientBalance,
+  billProviderCall,
   getCallDetails,
   needsIncomingAggregation,
   aggregateIncomingCallsSince,
   saveAggregationToBillingHistory,
+  runIncomingAggregation,
   updateCallAICredits,
   reconcileFinishedCampaigns,
   computeRunningCampaignRows
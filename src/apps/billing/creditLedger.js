@@ -0,0 +1,491 @@
+const { connectToMongo, client } = require('../../../models/mongodb.js');
+const { ObjectId } = require('mongodb');
+
+/**
+ * Credit Ledger
+ *
+ * Every change to a client's availableBalance is written as an immutable double-entry
+ * ledger entry and then applied to the client document with a single atomic $inc.
+ * The ledger is the source of truth: client.availableBalance is a cached running total
+ * that reconcileLedgerBalances() can rebuild at any time.
+ *
+ * Each entry carries two (or more) postings that sum to zero:
+ *   call debit of 42 → client_wallet -42, usage:telephony +42
+ *   top-up of 1000   → client_wallet +1000, payments -1000
+ * `amount` is the net effect on client_wallet, so a client's balance is SUM(amount).
+ *
+ * Entries are idempotent on idempotencyKey (entryType + referenceId, e.g. the call UUID or
+ * payment ID), so webhook retries and double-submitted payments never post twice.
+ *
+ * Clients that existed before the ledger get an opening_balance entry the first time
+ * anything is posted for them.
+ */
+
+const LEDGER_COLLECTION = 'creditLedger';
+const RECONCILIATION_COLLECTION = 'creditLedgerReconciliations';
+
+// Entries inserted but not yet $inc-applied for longer than this are treated as orphaned
+const LEDGER_APPLY_GRACE_MS = parseInt(process.env.LEDGER_APPLY_GRACE_MS) || 5 * 60 * 1000;
+const LEDGER_STATEMENT_MAX_ENTRIES = parseInt(process.env.LEDGER_STATEMENT_MAX_ENTRIES) || 50000;
+
+const WALLET_ACCOUNT = 'client_wallet';
+
+const ENTRY_TYPES = {
+  OPENING_BALANCE: 'opening_balance',
+  TOPUP: 'topup',
+  CALL_DEBIT: 'call_debit',
+  AI_CREDIT_ADJUSTMENT: 'ai_credit_adjustment',
+  SUPERADMIN_CORRECTION: 'superadmin_correction',
+  CAMPAIGN_HOLD: 'campaign_hold',
+  CAMPAIGN_SETTLEMENT: 'campaign_settlement'
+};
+
+// Account on the other side of the wallet for each entry type
+const CONTRA_ACCOUNTS = {
+  opening_balance: 'adjustments',
+  topup: 'payments',
+  call_debit: 'usage:telephony',
+  ai_credit_adjustment: 'usage:ai',
+  superadmin_correction: 'adjustments',
+  campaign_hold: 'holds',
+  campaign_settlement: 'holds'
+};
+
+function roundCredits(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function buildPostings(entryType, amount, postings) {
+  if (Array.isArray(postings) && postings.length > 0) {
+    return postings;
+  }
+  return [
+    { account: WALLET_ACCOUNT, amount },
+    { account: CONTRA_ACCOUNTS[entryType], amount: -amount }
+  ];
+}
+
+// Postings must sum to zero and move exactly `amount` on the client's wallet
+function postingsBalance(amount, postings) {
+  const postingTotal = roundCredits(postings.reduce((sum, posting) => sum + posting.amount, 0));
+  const walletTotal = roundCredits(postings
+    .filter(posting => posting.account === WALLET_ACCOUNT)
+    .reduce((sum, posting) => sum + posting.amount, 0));
+  return postingTotal === 0 && walletTotal === amount;
+}
+
+// One entry per entry type and reference (call UUID, payment ID...); unreferenced entries never collide
+function getIdempotencyKey(entryType, referenceId, entryId) {
+  return `${entryType}:${referenceId || entryId}`;
+}
+
+/**
+ * Running balance and totals for statement entries (oldest first)
+ * @param {number} openingBalance - Balance before the first entry
+ * @param {Object[]} ledgerEntries - Raw ledger entries
+ * @returns {{entries: Object[], closingBalance: number, totalCredits: number, totalDebits: number}}
+ */
+function buildStatementLines(openingBalance, ledgerEntries) {
+  let runningBalance = openingBalance;
+  let totalCredits = 0;
+  let totalDebits = 0;
+  const entries = ledgerEntries.map(entry => {
+    runningBalance = roundCredits(runningBalance + entry.amount);
+    if (entry.amount >= 0) totalCredits += entry.amount;
+    else totalDebits += -entry.amount;
+    return {
+      entryId: entry._id.toString(),
+      date: entry.createdAt,
+      entryType: entry.entryType,
+      description: entry.description,
+      referenceId: entry.referenceId,
+      amount: entry.amount,
+      balance: runningBalance,
+      createdBy: entry.createdBy
+    };
+  });
+
+  return {
+    entries,
+    closingBalance: runningBalance,
+    totalCredits: roundCredits(totalCredits),
+    totalDebits: roundCredits(totalDebits)
+  };
+}
+
+// =============================================================================
+// POSTING
+// =============================================================================
+
+/**
+ * Record the client's pre-ledger balance as an opening_balance entry (first post only)
+ * The claim on ledgerOpenedAt is atomic, so the captured balance never includes a ledger $inc.
+ */
+async function ensureOpeningBalance(database, clientId) {
+  const clientCollection = database.collection("client");
+  const filter = { _id: new ObjectId(clientId) };
+
+  const clientDoc = await clientCollection.findOne(filter, { projection: { ledgerOpenedAt: 1 } });
+  if (!clientDoc) {
+    return { success: false, error: 'Client not found' };
+  }
+  if (clientDoc.ledgerOpenedAt) {
+    return { success: true };
+  }
+
+  const openedAt = new Date();
+  const claimed = await clientCollection.findOneAndUpdate(
+    { ...filter, ledgerOpenedAt: { $exists: false } },
+    { $set: { ledgerOpenedAt: openedAt } },
+    { returnDocument: 'before', projection: { availableBalance: 1 } }
+  );
+  if (!claimed) {
+    return { success: true }; // Another request opened the ledger first
+  }
+
+  const openingBalance = claimed.availableBalance || 0;
+  try {
+    await database.collection(LEDGER_COLLECTION).insertOne({
+      clientId: clientId.toString(),
+      entryType: ENTRY_TYPES.OPENING_BALANCE,
+      amount: openingBalance,
+      postings: buildPostings(ENTRY_TYPES.OPENING_BALANCE, openingBalance),
+      referenceId: clientId.toString(),
+      idempotencyKey: getIdempotencyKey(ENTRY_TYPES.OPENING_BALANCE, clientId),
+      description: 'Opening balance carried over from pre-ledger account',
+      metadata: {},
+      createdBy: 'system',
+      createdAt: openedAt,
+      applied: true,
+      appliedAt: openedAt,
+      balanceAfter: openingBalance
+    });
+    console.log(`📒 Ledger opened for client ${clientId} with balance ${openingBalance}`);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  return { success: true };
+}
+
+/**
+ * Post a ledger entry and apply it to the client's balance atomically
+ * @param {Object} entry - Entry details
+ * @param {string} entry.clientId - Client ID
+ * @param {string} entry.entryType - One of ENTRY_TYPES
+ * @param {number} entry.amount - Net credit change for the client (negative for debits)
+ * @param {string} entry.referenceId - Call UUID / payment ID / campaign ID used for idempotency
+ * @param {string} entry.description - Human-readable line for statements
+ * @param {Object} entry.metadata - Extra context (call type, duration, payment details...)
+ * @param {string} entry.createdBy - 'system', a user email, or 'superadmin'
+ * @param {Array} entry.postings - Explicit postings for multi-leg entries (must sum to zero)
+ * @param {Object} options - { set: extra client fields to $set in the same update }
+ * @returns {Object} { success, duplicate, entryId, newBalance, previousBalance, error }
+ */
+async function postLedgerEntry(entry, options = {}) {
+  const {
+    clientId,
+    entryType,
+    referenceId = null,
+    description = '',
+    metadata = {},
+    createdBy = 'system',
+    postings = null
+  } = entry;
+  const amount = roundCredits(Number(entry.amount));
+
+  try {
+    if (!clientId || !ObjectId.isValid(clientId.toString())) {
+      return { success: false, error: 'Valid clientId is required' };
+    }
+    if (!CONTRA_ACCOUNTS[entryType] || entryType === ENTRY_TYPES.OPENING_BALANCE) {
+      return { success: false, error: `Invalid ledger entry type: ${entryType}` };
+    }
+    if (!Number.isFinite(amount) || amount === 0) {
+      return { success: false, error: 'amount must be a non-zero number' };
+    }
+
+    const entryPostings = buildPostings(entryType, amount, postings);
+    if (!postingsBalance(amount, entryPostings)) {
+      return { success: false, error: 'Ledger postings must balance and match the wallet amount' };
+    }
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const ledgerCollection = database.collection(LEDGER_COLLECTION);
+    const clientCollection = database.collection("client");
+
+    const opening = await ensureOpeningBalance(database, clientId);
+    if (!opening.success) {
+      return opening;
+    }
+
+    const entryId = new ObjectId();
+    const ledgerEntry = {
+      _id: entryId,
+      clientId: clientId.toString(),
+      entryType,
+      amount,
+      postings: entryPostings,
+      referenceId: referenceId ? referenceId.toString() : null,
+      idempotencyKey: getIdempotencyKey(entryType, referenceId, entryId),
+      description,
+      metadata,
+      createdBy,
+      createdAt: new Date(),
+      applied: false
+    };
+
+    try {
+      await ledgerCollection.insertOne(ledgerEntry);
+    } catch (error) {
+      if (error.code === 11000) {
+        const existing = await ledgerCollection.findOne({ idempotencyKey: ledgerEntry.idempotencyKey });
+        console.log(`⚠️ Ledger entry ${ledgerEntry.idempotencyKey} already posted - skipping duplicate`);
+        return {
+          success: true,
+          duplicate: true,
+          entryId: existing?._id.toString(),
+          newBalance: existing?.balanceAfter ?? null
+        };
+      }
+      throw error;
+    }
+
+    // Single atomic $inc - concurrent posts can never lose each other's updates
+    const updatedClient = await clientCollection.findOneAndUpdate(
+      { _id: new ObjectId(clientId) },
+      {
+        $inc: { availableBalance: amount },
+        $set: { lastBalanceUpdate: new Date(), ...(options.set || {}) }
+      },
+      { returnDocument: 'after', projection: { availableBalance: 1 } }
+    );
+
+    if (!updatedClient) {
+      // Entry stays unapplied; reconciliation will account for it
+      console.error(`❌ Ledger entry ${entryId} posted but client ${clientId} was not found for balance update`);
+      return { success: false, entryId: entryId.toString(), error: 'Client not found during balance update' };
+    }
+
+    const newBalance = updatedClient.availableBalance;
+    await ledgerCollection.updateOne(
+      { _id: entryId },
+      { $set: { applied: true, appliedAt: new Date(), balanceAfter: newBalance } }
+    );
+
+    console.log(`📒 Ledger ${entryType}: ${clientId} ${amount >= 0 ? '+' : ''}${amount} credits (balance ${roundCredits(newBalance - amount)} -> ${newBalance})`);
+
+    return {
+      success: true,
+      duplicate: false,
+      entryId: entryId.toString(),
+      newBalance,
+      previousBalance: roundCredits(newBalance - amount)
+    };
+
+  } catch (error) {
+    console.error('❌ Error posting ledger entry:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// =============================================================================
+// RECONCILIATION
+// =============================================================================
+
+/**
+ * Rebuild client balances from the ledger
+ *
+ * For each client: read the cached balance, sum the ledger, and if they differ set the balance
+ * to the ledger total - conditional on the balance not having moved in between. Clients with
+ * in-flight (recently inserted, not yet applied) entries are skipped until the next run.
+ *
+ * @param {Object} options - { clientId: limit to one client, dryRun: report drift without fixing }
+ * @returns {Object} { success, checked, corrected, skipped, corrections, error }
+ */
+async function reconcileLedgerBalances(options = {}) {
+  const { clientId = null, dryRun = false } = options;
+
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const ledgerCollection = database.collection(LEDGER_COLLECTION);
+    const clientCollection = database.collection("client");
+    const startedAt = new Date();
+
+    // Entries whose $inc never happened (process died mid-post): the rebuild below restores their effect
+    const orphanCutoff = new Date(Date.now() - LEDGER_APPLY_GRACE_MS);
+    const orphanFilter = { applied: false, createdAt: { $lt: orphanCutoff } };
+    if (clientId) orphanFilter.clientId = clientId.toString();
+    if (!dryRun) {
+      const orphanResult = await ledgerCollection.updateMany(
+        orphanFilter,
+        { $set: { applied: true, appliedAt: startedAt, appliedBy: 'reconciliation' } }
+      );
+      if (orphanResult.modifiedCount > 0) {
+        console.log(`📒 Marked ${orphanResult.modifiedCount} orphaned ledger entr(ies) as applied via reconciliation`);
+      }
+    }
+
+    const clientIds = clientId
+      ? [clientId.toString()]
+      : await ledgerCollection.distinct('clientId');
+
+    const summary = { checked: 0, corrected: 0, skipped: 0, corrections: [] };
+
+    for (const ledgerClientId of clientIds) {
+      summary.checked++;
+
+      // Read the cached balance BEFORE summing so any concurrent post shows up as a balance change
+      const clientDoc = await clientCollection.findOne(
+        { _id: new ObjectId(ledgerClientId) },
+        { projection: { availableBalance: 1 } }
+      );
+      if (!clientDoc) {
+        summary.skipped++;
+        continue;
+      }
+
+      const [totals] = await ledgerCollection.aggregate([
+        { $match: { clientId: ledgerClientId } },
+        {
+          $group: {
+            _id: '$clientId',
+            ledgerBalance: { $sum: '$amount' },
+            pendingEntries: {
+              $sum: {
+                $cond: [
+                  { $and: [{ $eq: ['$applied', false] }, { $gte: ['$createdAt', orphanCutoff] }] },
+                  1,
+                  0
+                ]
+              }
+            }
+          }
+        }
+      ]).toArray();
+
+      if (!totals || totals.pendingEntries > 0) {
+        summary.skipped++;
+        continue;
+      }
+
+      const cachedBalance = clientDoc.availableBalance || 0;
+      const ledgerBalance = roundCredits(totals.ledgerBalance);
+      const drift = roundCredits(ledgerBalance - cachedBalance);
+      if (drift === 0) continue;
+
+      const correction = { clientId: ledgerClientId, previousBalance: cachedBalance, ledgerBalance, drift, applied: false };
+
+      if (!dryRun) {
+        const updateResult = await clientCollection.updateOne(
+          { _id: clientDoc._id, availableBalance: clientDoc.availableBalance },
+          { $set: { availableBalance: ledgerBalance, lastBalanceUpdate: new Date(), lastLedgerReconciliation: new Date() } }
+        );
+        if (updateResult.modifiedCount === 0) {
+          // Balance moved while we were summing - pick it up next run
+          summary.skipped++;
+          continue;
+        }
+        correction.applied = true;
+        summary.corrected++;
+        console.warn(`⚠️ Ledger drift for client ${ledgerClientId}: cached ${cachedBalance}, ledger ${ledgerBalance} (${drift >= 0 ? '+' : ''}${drift}) - balance rebuilt`);
+      }
+
+      summary.corrections.push(correction);
+    }
+
+    if (!dryRun && summary.corrected > 0) {
+      await database.collection(RECONCILIATION_COLLECTION).insertOne({
+        startedAt,
+        completedAt: new Date(),
+        clientId: clientId ? clientId.toString() : null,
+        ...summary
+      });
+    }
+
+    console.log(`📒 Ledger reconciliation${dryRun ? ' (dry run)' : ''}: ${summary.checked} checked, ${summary.corrections.length} drifted, ${summary.corrected} corrected, ${summary.skipped} skipped`);
+
+    return { success: true, dryRun, ...summary };
+
+  } catch (error) {
+    console.error('❌ Error reconciling ledger balances:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// =============================================================================
+// STATEMENTS
+// =============================================================================
+
+/**
+ * Ledger statement for a date range with opening/closing balances and a running balance per entry
+ * @param {string} clientId - Client ID
+ * @param {Date} from - Range start (inclusive)
+ * @param {Date} to - Range end (inclusive)
+ * @returns {Object} { success, data: { openingBalance, closingBalance, totalCredits, totalDebits, entries, truncated }, error }
+ */
+async function getLedgerStatement(clientId, from, to) {
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const ledgerCollection = database.collection(LEDGER_COLLECTION);
+    const clientIdStr = clientId.toString();
+
+    const [opening] = await ledgerCollection.aggregate([
+      { $match: { clientId: clientIdStr, createdAt: { $lt: from } } },
+      { $group: { _id: null, balance: { $sum: '$amount' } } }
+    ]).toArray();
+    const openingBalance = roundCredits(opening?.balance || 0);
+
+    const rawEntries = await ledgerCollection
+      .find({ clientId: clientIdStr, createdAt: { $gte: from, $lte: to } })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(LEDGER_STATEMENT_MAX_ENTRIES + 1)
+      .toArray();
+
+    const truncated = rawEntries.length > LEDGER_STATEMENT_MAX_ENTRIES;
+    if (truncated) rawEntries.pop();
+
+    const { entries, closingBalance, totalCredits, totalDebits } = buildStatementLines(openingBalance, rawEntries);
+
+    return {
+      success: true,
+      data: {
+        clientId: clientIdStr,
+        from,
+        to,
+        openingBalance,
+        closingBalance,
+        totalCredits,
+        totalDebits,
+        entries,
+        truncated
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Error building ledger statement:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  postingsBalance,
+  getIdempotencyKey,
+  buildStatementLines,
+  postLedgerEntry,
+  reconcileLedgerBalances,
+  getLedgerStatement
+};
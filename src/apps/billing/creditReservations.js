@@ -0,0 +1,279 @@
+const { connectToMongo, client } = require('../../../models/mongodb.js');
+const { ObjectId } = require('mongodb');
+
+/**
+ * Credit Reservations (holds)
+ *
+ * Post-call debits alone let a client with 5 credits start 50 concurrent calls. Instead, every
+ * outbound call places a hold when it is dialed:
+ *   hold = min(expectedCallDuration, availableBalance - reservedBalance)
+ * and a call can only start while the client has unreserved credits left. Holds are released
+ * (call never connected / failed) or settled (hangup billed through the ledger) when the call ends.
+ *
+ * - client.reservedBalance is the sum of open holds and is only changed with $inc here
+ * - client.expectedCallDuration (seconds, 1 credit/second) sets the hold size; with at most
+ *   maxConcurrentCalls holds open, a client needs maxConcurrentCalls × expectedCallDuration credits
+ *   to dial at full concurrency
+ * - holds are not ledger entries: they never move credits, they only fence them off
+ * - holds older than RESERVATION_TTL (missed hangup webhook) expire via sweepExpiredReservations()
+ */
+
+const RESERVATION_COLLECTION = 'creditReservations';
+const DEFAULT_EXPECTED_CALL_DURATION = parseInt(process.env.EXPECTED_CALL_DURATION) || 120; // seconds = credits
+const RESERVATION_TTL = parseInt(process.env.RESERVATION_TTL) || 2 * 60 * 60 * 1000; // 2 hours
+
+// Credits the client can still commit to new calls
+const SPENDABLE_EXPR = {
+  $subtract: [{ $ifNull: ['$availableBalance', 0] }, { $ifNull: ['$reservedBalance', 0] }]
+};
+
+function getHoldAmount(clientDoc) {
+  const expected = clientDoc.expectedCallDuration || DEFAULT_EXPECTED_CALL_DURATION;
+  const spendable = (clientDoc.availableBalance || 0) - (clientDoc.reservedBalance || 0);
+  return Math.max(Math.min(expected, spendable), 0);
+}
+
+function broadcastReservationChange(clientId, clientDoc, changeType) {
+  try {
+    // Lazy require - billingRouter owns the SSE connections
+    const billingRouter = require('../../routes/billingRouter');
+    billingRouter.broadcastBalanceUpdate(clientId.toString(), clientDoc.availableBalance || 0, changeType, clientDoc.reservedBalance || 0);
+  } catch (error) {
+    console.warn('Failed to broadcast reservation update:', error.message);
+  }
+}
+
+/**
+ * Hold credits for a call about to be dialed
+ * @param {string} clientId - Client ID
+ * @param {Object} details - { campaignId, to, from }
+ * @returns {Promise<{success: boolean, reservationId?: string, amount?: number, error?: string, balance?: number, reserved?: number}>}
+ */
+async function reserveCallCredits(clientId, details = {}) {
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const clientCollection = database.collection("client");
+    const clientFilter = { _id: new ObjectId(clientId) };
+
+    // Single conditional pipeline update: check spendable > 0 and add the hold atomically
+    const before = await clientCollection.findOneAndUpdate(
+      { ...clientFilter, $expr: { $gt: [SPENDABLE_EXPR, 0] } },
+      [{
+        $set: {
+          reservedBalance: {
+            $add: [
+              { $ifNull: ['$reservedBalance', 0] },
+              { $min: [{ $ifNull: ['$expectedCallDuration', DEFAULT_EXPECTED_CALL_DURATION] }, SPENDABLE_EXPR] }
+            ]
+          }
+        }
+      }],
+      { returnDocument: 'before', projection: { availableBalance: 1, reservedBalance: 1, expectedCallDuration: 1 } }
+    );
+
+    if (!before) {
+      const clientDoc = await clientCollection.findOne(clientFilter, { projection: { availableBalance: 1, reservedBalance: 1 } });
+      if (!clientDoc) {
+        return { success: false, error: 'Client not found', balance: 0, reserved: 0 };
+      }
+      return {
+        success: false,
+        error: 'insufficient_balance',
+        balance: (clientDoc.availableBalance || 0) - (clientDoc.reservedBalance || 0),
+        reserved: clientDoc.reservedBalance || 0
+      };
+    }
+
+    const amount = getHoldAmount(before);
+    const reservation = {
+      clientId: clientId.toString(),
+      campaignId: details.campaignId ? details.campaignId.toString() : null,
+      to: details.to || null,
+      from: details.from || null,
+      amount,
+      status: 'held',
+      callUUID: null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    try {
+      const result = await database.collection(RESERVATION_COLLECTION).insertOne(reservation);
+      reservation._id = result.insertedId;
+    } catch (insertError) {
+      await clientCollection.updateOne(clientFilter, { $inc: { reservedBalance: -amount } });
+      throw insertError;
+    }
+
+    const reserved = (before.reservedBalance || 0) + amount;
+    console.log(`🔒 Credits held: ${amount} for ${details.to || 'call'} (Client: ${clientId}, reserved ${reserved}/${before.availableBalance || 0})`);
+    broadcastReservationChange(clientId, { availableBalance: before.availableBalance, reservedBalance: reserved }, 'credits_reserved');
+
+    return {
+      success: true,
+      reservationId: reservation._id.toString(),
+      amount,
+      balance: (before.availableBalance || 0) - reserved,
+      reserved
+    };
+
+  } catch (error) {
+    console.error('❌ Error reserving call credits:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Link a hold to the provider call so hangup webhooks can find it
+ * @param {string} reservationId - Reservation ID from reserveCallCredits
+ * @param {string} callUUID - Our call UUID (Plivo request UUID / pre-generated Twilio UUID)
+ */
+async function attachReservationToCall(reservationId, callUUID) {
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    await database.collection(RESERVATION_COLLECTION).updateOne(
+      { _id: new ObjectId(reservationId) },
+      { $set: { callUUID, updatedAt: new Date() } }
+    );
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Error attaching reservation to call:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Close an open hold and give its credits back to the spendable balance
+ * @param {Object} filter - Reservation filter (by _id or callUUID)
+ * @param {string} status - 'released' | 'settled' | 'expired'
+ * @param {Object} details - { reason, actualCredits }
+ */
+async function closeReservation(filter, status, details = {}) {
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    const reservation = await database.collection(RESERVATION_COLLECTION).findOneAndUpdate(
+      { ...filter, status: 'held' },
+      {
+        $set: {
+          status,
+          reason: details.reason || null,
+          actualCredits: details.actualCredits ?? null,
+          closedAt: new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!reservation) {
+      return { success: true, closed: false };
+    }
+
+    const clientDoc = await database.collection("client").findOneAndUpdate(
+      { _id: new ObjectId(reservation.clientId) },
+      { $inc: { reservedBalance: -reservation.amount } },
+      { returnDocument: 'after', projection: { availableBalance: 1, reservedBalance: 1 } }
+    );
+
+    console.log(`🔓 Credit hold ${status}: ${reservation.amount} (Client: ${reservation.clientId}, call: ${reservation.callUUID || 'not placed'}${details.reason ? `, ${details.reason}` : ''})`);
+    if (clientDoc) {
+      broadcastReservationChange(reservation.clientId, clientDoc, status === 'settled' ? 'call_end' : 'credits_released');
+    }
+
+    return {
+      success: true,
+      closed: true,
+      amount: reservation.amount,
+      clientId: reservation.clientId
+    };
+
+  } catch (error) {
+    console.error(`❌ Error closing credit reservation (${status}):`, error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Release a hold for a call that was never placed (slot timeout, warmup/provider failure)
+ * @param {string} reservationId - Reservation ID
+ * @param {string} reason - Why the call did not go out
+ */
+async function releaseReservation(reservationId, reason) {
+  if (!reservationId) return { success: true, closed: false };
+  return closeReservation({ _id: new ObjectId(reservationId) }, 'released', { reason });
+}
+
+/**
+ * Settle the hold for a finished call - the actual debit has already been posted to the ledger
+ * @param {string|string[]} callUUIDs - Call UUID(s) the hangup webhook carries
+ * @param {number} actualCredits - Credits actually billed for the call (0 when unanswered)
+ */
+async function settleCallReservation(callUUIDs, actualCredits = 0) {
+  const ids = (Array.isArray(callUUIDs) ? callUUIDs : [callUUIDs]).filter(Boolean);
+  if (ids.length === 0) return { success: true, closed: false };
+  return closeReservation(
+    { callUUID: { $in: ids } },
+    'settled',
+    { actualCredits, reason: actualCredits > 0 ? 'call_billed' : 'not_answered' }
+  );
+}
+
+/**
+ * Expire holds whose hangup webhook never arrived
+ * @returns {Promise<{expired: number, error?: string}>}
+ */
+async function sweepExpiredReservations() {
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const cutoff = new Date(Date.now() - RESERVATION_TTL);
+
+    const stale = await database.collection(RESERVATION_COLLECTION)
+      .find({ status: 'held', createdAt: { $lt: cutoff } }, { projection: { _id: 1 } })
+      .limit(500)
+      .toArray();
+
+    let expired = 0;
+    for (const reservation of stale) {
+      const result = await closeReservation({ _id: reservation._id }, 'expired', { reason: 'ttl_exceeded' });
+      if (result.closed) expired++;
+    }
+
+    if (expired > 0) {
+      console.log(`🧹 Expired ${expired} stale credit hold(s)`);
+    }
+
+    return { expired };
+
+  } catch (error) {
+    console.error('❌ Error sweeping expired reservations:', error);
+    return {
+      expired: 0,
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  reserveCallCredits,
+  attachReservationToCall,
+  releaseReservation,
+  settleCallReservation,
+  sweepExpiredReservations
+};
@@ -12,6 +12,10 @@ require ('dotenv').config();
 const { zodResponseFormat } = require('openai/helpers/zod');
 const { z } = require('zod');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const { postLedgerEntry, ENTRY_TYPES } = require('../billing/creditLedger.js');
+
+// Exotel campaigns can keep calling back for weeks (schedules, retries)
+const EXOTEL_CAMPAIGN_CALLBACK_TTL_HOURS = parseInt(process.env.EXOTEL_CAMPAIGN_CALLBACK_TTL_HOURS) || 30 * 24;
 
 async function getEmbedding(text) {
   try {
@@ -75,6 +79,13 @@ async function makeCallViaCampaign(listSid, camp_name, clientId, balanceCount, r
         const authB64 = base64.encode(authStr);
         
         try {
+            // Exotel doesn't sign callbacks - hand it signed URLs that the router verifies.
+            // They serve the whole campaign (retries included), so they outlive the per-call expiry.
+            const { buildExotelCallbackUrl } = require('../../middleware/webhookSignatureMiddleware');
+            const callbackOptions = { ttlHours: EXOTEL_CAMPAIGN_CALLBACK_TTL_HOURS };
+            const statusCallbackUrl = await buildExotelCallbackUrl('/exotel/call-back-after-end', clientId, callbackOptions);
+            const scheduleCallbackUrl = await buildExotelCallbackUrl('/exotel/call-back', clientId, callbackOptions);
+
             const response = await axios({
                 method: 'POST',
                 url: `https://api.exotel.com/v2/accounts/${exotel_account_sid}/campaigns`,
@@ -89,8 +100,8 @@ async function makeCallViaCampaign(listSid, camp_name, clientId, balanceCount, r
                             caller_id: callerNumber,
                             url: `http://my.exotel.com/glimpass2/exoml/start_voice/${appId}`,
                             lists: listSid,
-                            call_status_callback: `${process.env.BASE_URL || 'https://application.glimpass.com'}/exotel/call-back-after-end`,
-                            call_schedule_callback: `${process.env.BASE_URL || 'https://application.glimpass.com'}/exotel/call-back`,
+                            call_status_callback: statusCallbackUrl,
+                            call_schedule_callback: scheduleCallbackUrl,
                             retries: retries        
                         }
                     ]
@@ -177,45 +188,66 @@ async function updateClientBalanceCount(camp_name, campaignId, balanceCount, cli
       return 0;
     }
     const date = new Date();
-  
-    let newAvailableBalance = clientDocument.availableBalance;
-    let newBlockedBalance = 0;
-    let camp = 0;
+    const ledgerCampaignId = campaignId ? campaignId.toString() : null;
+
+    // Balance moves go through the credit ledger (atomic $inc, idempotent per campaign);
+    // blockedBalance/isActiveCamp are set in the same update
+    let newAvailableBalance = clientDocument.availableBalance || 0;
+    let ledgerEntry;
+    let set;
     if(report){
-      newAvailableBalance = newAvailableBalance + (clientDocument.blockedBalance - balanceCount);
-      camp = 0;
-      let desc  = '';
-      let transactionType = 'Cr'
-      if((clientDocument.blockedBalance - balanceCount) > 0){
-         desc = `Refunded: ${camp_name}`
-      } else{
-         transactionType = 'Dr'
-         desc = `Additional Deduction: ${camp_name}`
-      }
-      const remainingBalance = (clientDocument.blockedBalance - balanceCount)
-      addBillingHistoryInMongo(camp_name, clientId, remainingBalance, date, campaignId, desc, transactionType, newAvailableBalance)
-      campaignId = ''
+      const blockedBalance = clientDocument.blockedBalance || 0;
+      const remainingBalance = (blockedBalance - balanceCount)
+      set = { blockedBalance: 0, isActiveCamp: 0, activeCampId: '' };
+      ledgerEntry = {
+        entryType: ENTRY_TYPES.CAMPAIGN_SETTLEMENT,
+        amount: remainingBalance,
+        description: remainingBalance > 0 ? `Refunded: ${camp_name}` : `Additional Deduction: ${camp_name}`,
+        // Release the whole hold: unused credits back to the wallet, used credits to telephony usage
+        postings: [
+          { account: 'client_wallet', amount: remainingBalance },
+          { account: 'holds', amount: -blockedBalance },
+          { account: 'usage:telephony', amount: balanceCount }
+        ]
+      };
     } else{
-      newAvailableBalance = newAvailableBalance - balanceCount;
-      newBlockedBalance = newBlockedBalance + balanceCount;
-      camp = 1;
-      const desc = `Blocked: ${camp_name}`
-      const transactionType = 'Dr'
-      addBillingHistoryInMongo(camp_name, clientId, balanceCount, date, campaignId, desc, transactionType, newAvailableBalance)
+      set = { blockedBalance: balanceCount, isActiveCamp: 1, activeCampId: campaignId };
+      ledgerEntry = {
+        entryType: ENTRY_TYPES.CAMPAIGN_HOLD,
+        amount: -balanceCount,
+        description: `Blocked: ${camp_name}`
+      };
     }
 
-    const result = await collection.updateOne(
-      { _id: new ObjectId(clientId) },
-      { $set: { availableBalance: newAvailableBalance, blockedBalance: newBlockedBalance, isActiveCamp: camp, activeCampId: campaignId } }
-    );
-
-    if (result.matchedCount === 0) {
-      console.log("No document found with the provided clientId");
-      return 0;
+    if (ledgerEntry.amount !== 0) {
+      const ledgerResult = await postLedgerEntry({
+        ...ledgerEntry,
+        clientId,
+        referenceId: ledgerCampaignId,
+        metadata: { provider: 'exotel', campaignId: ledgerCampaignId, campaignName: camp_name, credits: balanceCount }
+      }, { set });
+      if (!ledgerResult.success) {
+        console.error("Failed to post campaign ledger entry:", ledgerResult.error);
+        return 0;
+      }
+      if (ledgerResult.duplicate) {
+        console.log(`Campaign ${ledgerEntry.entryType} already posted for ${ledgerCampaignId} - skipping`);
+        return 1;
+      }
+      newAvailableBalance = ledgerResult.newBalance;
     } else {
-      console.log("Balances updated successfully");
-      return 1;
+      await collection.updateOne({ _id: new ObjectId(clientId) }, { $set: set });
+    }
+
+    if(report){
+      const transactionType = ledgerEntry.amount > 0 ? 'Cr' : 'Dr'
+      addBillingHistoryInMongo(camp_name, clientId, ledgerEntry.amount, date, campaignId, ledgerEntry.description, transactionType, newAvailableBalance)
+    } else{
+      addBillingHistoryInMongo(camp_name, clientId, balanceCount, date, campaignId, ledgerEntry.description, 'Dr', newAvailableBalance)
     }
+
+    console.log("Balances updated successfully");
+    return 1;
   } catch(error) {
     console.error("Error running MongoDB queries:", error);
     return 0;
@@ -1232,6 +1264,11 @@ async function saveLogData(data) {
     }
 
     // lead_analysis is already computed by unipipe (via Gemini) and included in data
+
+    // Mask PII per the client's policy before anything is stored (original goes to the PII vault)
+    const { redactTranscriptForStorage } = require('../../services/piiRedactionService');
+    await redactTranscriptForStorage(data);
+
     data.caller = data.caller_number
     data.exophone = data.ai_number
     const database = client.db("talkGlimpass");
@@ -7,6 +7,8 @@ const { connectToMongo, client } = require('../../../models/mongodb.js');
 const { ObjectId } = require('mongodb');
 const { warmupBotWithRetry } = require('../../utils/botWarmup.js');
 const CallProviderService = require('../../services/callProviderService');
+const { isNumberSuppressed } = require('../../services/dncService');
+const { reserveCallCredits, attachReservationToCall, releaseReservation } = require('../billing/creditReservations');
 
 /**
  * Check client-specific concurrency limits
@@ -205,7 +207,7 @@ async function trackCallStart(callData) {
       campaignId: toObjectIdSafe(callData.campaignId),
       from: callData.from,
       to: callData.to,
-      status: callData.failureReason ? 'failed' : 'processed',  // Set 'failed' for API failures, 'processed' for successful calls
+      status: callData.status || (callData.failureReason ? 'failed' : 'processed'),  // 'failed' for API failures, 'processed' for successful calls, explicit status (e.g. 'suppressed') wins
       statusTimestamp: new Date(), // Track when status was set for lazy cleanup
       startTime: new Date(),
       endTime: null,
@@ -215,9 +217,15 @@ async function trackCallStart(callData) {
       warmupAttempts: callData.warmupAttempts || null,
       warmupDuration: callData.warmupDuration || null,
       provider: callData.provider || 'plivo', // NEW: Track provider used
+      providerRouting: callData.providerRouting || null, // Primary provider, failover reason and attempts (provider failover)
       tag: callData.tag || null, // Custom tag for call identification
       assistantId: callData.assistantId || null, // Assistant ID for client lookup
+      wssUrl: callData.wssUrl || null, // Bot stream URL the call was placed with
       firstName: callData.firstName || null, // First name for display
+      // Retry policy tracking
+      attemptNumber: callData.attemptNumber || 1,         // 1 = first dial, 2+ = automatic retries
+      retryOf: callData.retryOf || null,                  // CallUUID of the attempt this retries
+      variantId: callData.variantId || null,              // Campaign A/B variant this contact was assigned to
       // Enhanced tracking for pause/resume
       contactIndex: callData.contactIndex || null,        // Position in campaign list
       sequenceNumber: callData.sequenceNumber || null,    // Unique sequence in campaign
@@ -243,6 +251,7 @@ async function trackCallStart(callData) {
       return {
         success: true,
         callId: result.insertedId.toString(),
+        callUUID: callRecord.callUUID,
         activeCallsCount: await activeCallsCollection.countDocuments({ 
           status: { $in: ['processed', 'ringing', 'ongoing'] } 
         })
@@ -251,6 +260,17 @@ async function trackCallStart(callData) {
       // Handle duplicate key error (E11000)
       if (insertError.code === 11000 && insertError.keyValue?.callUUID) {
         console.warn(`⚠️ Duplicate callUUID detected: ${insertError.keyValue.callUUID} - call already tracked`);
+
+        // Adapters that pre-save the record (Twilio) don't know the campaign context - fill it in
+        const enrichment = {};
+        for (const field of ['attemptNumber', 'retryOf', 'variantId', 'contactIndex', 'sequenceNumber', 'contactData', 'contextFlags', 'warmupAttempts', 'warmupDuration', 'providerRouting', 'assistantId', 'wssUrl']) {
+          if (callData[field] !== undefined && callData[field] !== null) {
+            enrichment[field] = callData[field];
+          }
+        }
+        if (Object.keys(enrichment).length > 0) {
+          await activeCallsCollection.updateOne({ callUUID: insertError.keyValue.callUUID }, { $set: enrichment });
+        }
         
         // Return success since the call is already tracked
         return {
@@ -470,12 +490,30 @@ const activeCalls = {
   callTracker: new Map()  // Deprecated - use database tracking instead
 };
 
-// Start periodic cleanup process
-setInterval(() => {
-  cleanupTimeoutCalls().catch(error => {
-    console.error('❌ Cleanup process error:', error);
+// Periodic cleanup (timed out calls, expired credit holds) runs as the stuck-call-cleanup
+// background job - see src/services/backgroundJobs.js
+
+/**
+ * Queue the campaign retry for a dial the provider API rejected
+ * No call was created, so no hangup webhook will ever schedule it; it's treated as FAILED.
+ * @param {string} campaignId - Campaign ID (non-campaign calls are ignored)
+ * @param {Object} trackResult - trackCallStart result of the failed dial
+ */
+async function scheduleRetryForFailedDial(campaignId, trackResult) {
+  if (!trackResult?.success || !trackResult.callUUID) return;
+
+  // Lazy require - campaignRetryService loads processSingleCall from this module
+  const { scheduleCampaignRetry } = require('../../services/campaignRetryService.js');
+  const retryResult = await scheduleCampaignRetry({
+    callUUID: trackResult.callUUID,
+    campaignId,
+    hangupCause: 'FAILED',
+    duration: 0
   });
-}, parseInt(process.env.CLEANUP_INTERVAL) || 300000); // Default 5 minutes
+  if (!retryResult.success) {
+    console.error(`❌ Failed to schedule retry after API failure (${trackResult.callUUID}): ${retryResult.error}`);
+  }
+}
 
 /**
  * Unified single call processing function
@@ -486,6 +524,8 @@ setInterval(() => {
 async function processSingleCall(callParams) {
   const { clientId, campaignId, from, to, wssUrl, firstName, tag, email, listId, dynamicFields } = callParams;
   const startTime = Date.now();
+  let reservation = null;
+  let callPlaced = false;
 
   try {
     console.log(`🚀 Processing call: ${from} -> ${to} (Client: ${clientId})`);
@@ -495,18 +535,65 @@ async function processSingleCall(callParams) {
     const NON_CAMPAIGN_IDS = ['testcall', 'api-call', 'scheduled-call'];
     const isRealCampaign = campaignId && !NON_CAMPAIGN_IDS.includes(campaignId);
 
+    // Step 0: Do-Not-Call registry (client + global) - never dial suppressed numbers
+    const dncCheck = await isNumberSuppressed(clientId, to);
+    if (dncCheck.unavailable) {
+      // Registry unreachable - don't dial a number that may be on it; the caller defers the contact
+      console.warn(`⚠️ DNC registry unavailable - not dialing ${to} (Client: ${clientId}, campaignId: ${campaignId})`);
+      return {
+        success: false,
+        dncUnavailable: true,
+        error: 'dnc_unavailable',
+        stage: 'dnc'
+      };
+    }
+    if (dncCheck.suppressed) {
+      console.log(`🚫 DNC suppressed: ${to} (Client: ${clientId}, scope: ${dncCheck.entry.scope}, campaignId: ${campaignId})`);
+
+      // Record the outcome so campaign reports/progress account for this contact
+      const trackResult = await trackCallStart({
+        callUUID: `SUPPRESSED_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        clientId,
+        campaignId,
+        from,
+        to,
+        status: 'suppressed',
+        failureReason: 'dnc_suppressed',
+        provider: callParams.provider || null,
+        firstName,
+        listId,
+        contactIndex: callParams.contactIndex,
+        sequenceNumber: callParams.sequenceNumber,
+        contactData: callParams.contactData,
+        attemptNumber: callParams.attemptNumber,
+        variantId: callParams.variantId,
+        retryOf: callParams.retryOf
+      });
+
+      return {
+        success: false,
+        suppressed: true,
+        error: 'suppressed',
+        dncScope: dncCheck.entry.scope,
+        stage: 'dnc',
+        callId: trackResult.callId || null
+      };
+    }
+
+    // Hold estimated credits for this call - a client can only dial while it has unreserved credits,
+    // so a small balance can no longer fan out into many concurrent calls (see creditReservations.js)
     if (clientId) {
-      // Lazy require to avoid circular dependency with plivo.js
-      const { getCurrentClientBalance, pauseCampaign, updateCampaignPauseReason } = require('../plivo/plivo.js');
-      const balanceCheck = await getCurrentClientBalance(clientId);
+      reservation = await reserveCallCredits(clientId, { campaignId, from, to });
 
-      if (!balanceCheck.success || (balanceCheck.balance || 0) <= 0) {
-        const currentBalance = balanceCheck.balance || 0;
-        console.log(`💰 Pre-call balance guard triggered: clientId=${clientId}, balance=${currentBalance}, campaignId=${campaignId}`);
+      if (!reservation.success) {
+        const currentBalance = reservation.balance || 0;
+        console.log(`💰 Pre-call balance guard triggered: clientId=${clientId}, balance=${currentBalance}, reserved=${reservation.reserved || 0}, campaignId=${campaignId}`);
 
         // Auto-pause the campaign if this is a real campaign call
         if (isRealCampaign) {
           try {
+            // Lazy require to avoid circular dependency with plivo.js
+            const { pauseCampaign, updateCampaignPauseReason } = require('../plivo/plivo.js');
             const pauseResult = await pauseCampaign(campaignId);
             if (pauseResult.success) {
               await updateCampaignPauseReason(campaignId, 'insufficient_balance', currentBalance);
@@ -522,13 +609,16 @@ async function processSingleCall(callParams) {
 
         return {
           success: false,
-          error: balanceCheck.success ? 'insufficient_balance' : (balanceCheck.error || 'balance_check_failed'),
+          error: reservation.error === 'insufficient_balance' ? 'insufficient_balance' : (reservation.error || 'balance_check_failed'),
           balance: currentBalance,
+          reserved: reservation.reserved || 0,
           shouldPauseCampaign: isRealCampaign,
           stage: 'balance_guard'
         };
       }
     }
+    // Every exit below that does not place the call must give the hold back
+    const releaseHold = (reason) => releaseReservation(reservation?.reservationId, reason);
 
     // Step 0b: Lazy cleanup of stuck calls
     await lazyCleanupStuckCalls();
@@ -536,6 +626,7 @@ async function processSingleCall(callParams) {
     // Step 1: Wait for concurrency slot
     const slotResult = await waitForSlot(clientId);
     if (!slotResult.success) {
+      await releaseHold('no_concurrency_slot');
       return {
         success: false,
         error: 'System overloaded - no slots available',
@@ -578,10 +669,14 @@ async function processSingleCall(callParams) {
             to,
             failureReason: 'bot_not_ready',
             warmupAttempts: warmupResult.attempts,
-            warmupDuration: warmupResult.duration
+            warmupDuration: warmupResult.duration,
+            attemptNumber: callParams.attemptNumber,
+            variantId: callParams.variantId,
+            retryOf: callParams.retryOf
           };
           
           const trackResult = await trackCallStart(failedCallData);
+          await releaseHold('bot_not_ready');
           
           return {
             success: false,
@@ -603,6 +698,7 @@ async function processSingleCall(callParams) {
       // Validate call parameters
       const validation = CallProviderService.validateCallParams(callParams);
       if (!validation.valid) {
+        await releaseHold('invalid_call_params');
         return {
           success: false,
           error: validation.error,
@@ -622,7 +718,8 @@ async function processSingleCall(callParams) {
         listId,
         campaignId,
         provider: callParams.provider, // Pass provider parameter for explicit routing
-        dynamicFields: dynamicFields || {} // Pass all dynamic CSV fields
+        dynamicFields: dynamicFields || {}, // Pass all dynamic CSV fields
+        amd: callParams.amd || null // Campaign answering machine detection settings
       });
       
       if (!callResult.success) {
@@ -630,6 +727,7 @@ async function processSingleCall(callParams) {
         const failedCallData = {
           callUUID: null, // No CallUUID since API call failed
           provider: callResult.provider || 'unknown',
+          providerRouting: callResult.routing,
           clientId,
           campaignId,
           from,
@@ -640,7 +738,12 @@ async function processSingleCall(callParams) {
           apiError: callResult.error,
           sequenceNumber: callParams.sequenceNumber,
           firstName: callParams.firstName,
-          listId: callParams.listId
+          listId: callParams.listId,
+          contactIndex: callParams.contactIndex,
+          contactData: callParams.contactData,
+          attemptNumber: callParams.attemptNumber,
+          variantId: callParams.variantId,
+          retryOf: callParams.retryOf
         };
         
         const trackResult = await trackCallStart(failedCallData);
@@ -649,6 +752,8 @@ async function processSingleCall(callParams) {
         } else {
           console.error(`❌ Failed to track failed call: ${to} - ${trackResult.error}`);
         }
+        await releaseHold('api_call_failed');
+        await scheduleRetryForFailedDial(campaignId, trackResult);
         
         return {
           success: false,
@@ -659,7 +764,13 @@ async function processSingleCall(callParams) {
         };
       }
       
+      callPlaced = true;
       console.log(`📞 ${callResult.provider.toUpperCase()} call initiated: ${callResult.callUUID}`);
+
+      // Link the hold to the call right away so an early hangup webhook can settle it
+      if (reservation?.reservationId) {
+        await attachReservationToCall(reservation.reservationId, callResult.callUUID);
+      }
       
     } catch (providerError) {
       console.error('❌ Provider API call failed:', providerError);
@@ -678,7 +789,12 @@ async function processSingleCall(callParams) {
         apiError: providerError.message,
         sequenceNumber: callParams.sequenceNumber,
         firstName: callParams.firstName,
-        listId: callParams.listId
+        listId: callParams.listId,
+        contactIndex: callParams.contactIndex,
+        contactData: callParams.contactData,
+        attemptNumber: callParams.attemptNumber,
+        variantId: callParams.variantId,
+        retryOf: callParams.retryOf
       };
       
       const trackResult = await trackCallStart(failedCallData);
@@ -687,6 +803,8 @@ async function processSingleCall(callParams) {
       } else {
         console.error(`❌ Failed to track failed exception: ${to} - ${trackResult.error}`);
       }
+      await releaseHold('api_exception');
+      await scheduleRetryForFailedDial(campaignId, trackResult);
       
       return {
         success: false,
@@ -700,10 +818,14 @@ async function processSingleCall(callParams) {
     const callData = {
       callUUID: callResult.callUUID, // Now we have the real CallUUID
       provider: callResult.provider, // NEW: Track which provider was used
+      providerRouting: callResult.routing,
       clientId,
       campaignId,
-      from,
+      from: callResult.from || from, // Failover may dial from the secondary provider's number
       to,
+      // The assistant on the call - call control by a bot is limited to its own calls
+      assistantId: dynamicFields?.assistantId || null,
+      wssUrl: wssUrl || null,
       warmupAttempts: warmupResult.attempts,
       warmupDuration: warmupResult.duration,
       // Enhanced tracking for pause/resume
@@ -711,6 +833,9 @@ async function processSingleCall(callParams) {
       sequenceNumber: callParams.sequenceNumber,
       firstName: callParams.firstName,
       listId: callParams.listId,
+      attemptNumber: callParams.attemptNumber,
+      variantId: callParams.variantId,
+      retryOf: callParams.retryOf,
       // NEW: Pass full contact data and context flags
       contactData: callParams.contactData || {
         first_name: callParams.firstName || '',
@@ -740,6 +865,7 @@ async function processSingleCall(callParams) {
         callId: trackResult?.callId || null,
         callUUID: callResult.callUUID,
         provider: callResult.provider, // NEW: Return provider info
+        failedOver: callResult.routing?.failedOver || false,
         processingTime: totalDuration,
         warmupTime: warmupResult.duration,
         waitTime: slotResult.waitTime
@@ -747,6 +873,9 @@ async function processSingleCall(callParams) {
     
   } catch (error) {
     console.error('❌ Error in processSingleCall:', error);
+    if (!callPlaced && reservation?.reservationId) {
+      await releaseReservation(reservation.reservationId, 'processing_error');
+    }
     return {
       success: false,
       error: error.message,
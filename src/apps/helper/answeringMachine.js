@@ -0,0 +1,245 @@
+/**
+ * Answering Machine Detection (AMD) Helper
+ *
+ * Campaign calls can ask the provider to classify who picked up (Plivo machine_detection,
+ * Twilio MachineDetection). Detection runs asynchronously while the bot stream starts; when
+ * a machine is detected the campaign's action is applied from the AMD callback:
+ *   hangup    - end the call
+ *   voicemail - replace the bot with a pre-recorded or TTS message, then hang up
+ *   retry     - end the call and queue another attempt through the retry queue
+ *
+ * Campaign config shape (plivoCampaign.amd):
+ *   { enabled, action: 'voicemail', detectionTimeout: 5,
+ *     voicemail: { audioUrl } | { text, voice: 'WOMAN', language: 'en-US' },
+ *     retryDelay: '2h' }
+ */
+
+const { parseDelay } = require('../../services/tools/scheduleCallService.js');
+
+const AMD_PROVIDERS = ['plivo', 'twilio'];
+const AMD_ACTIONS = ['hangup', 'voicemail', 'retry'];
+const AMD_RESULTS = ['human', 'machine', 'unknown'];
+
+// Retry-queue rule key for contacts whose call reached a machine
+const MACHINE_DETECTED_CAUSE = 'MACHINE_DETECTED';
+
+const DEFAULT_DETECTION_TIMEOUT = parseInt(process.env.AMD_DETECTION_TIMEOUT) || 5; // seconds
+const DEFAULT_RETRY_DELAY = '2h';
+const VOICEMAIL_BEEP_WAIT = parseInt(process.env.AMD_VOICEMAIL_BEEP_WAIT) || 30; // seconds to wait for the greeting to end (Plivo)
+const MAX_VOICEMAIL_TEXT = 1000;
+
+// Provider limits for the detection window (seconds)
+const MIN_DETECTION_TIMEOUT = 2;
+const MAX_DETECTION_TIMEOUT = 10;
+
+// Twilio AnsweredBy values that mean a machine (or fax) took the call
+const TWILIO_MACHINE_RESULTS = ['machine_start', 'machine_end_beep', 'machine_end_silence', 'machine_end_other', 'fax'];
+
+// =============================================================================
+// CONFIG VALIDATION
+// =============================================================================
+
+/**
+ * Validate and normalize campaign AMD settings from an API request
+ * @param {Object} input - Raw settings ({ enabled, action, detectionTimeout, voicemail, retryDelay })
+ * @param {string} provider - Explicit campaign provider, if any (AMD needs plivo or twilio)
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+function validateAmdSettings(input, provider = null) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'amd must be an object' };
+  }
+
+  const enabled = input.enabled !== false;
+  if (enabled && provider && !AMD_PROVIDERS.includes(provider.toLowerCase())) {
+    return { valid: false, error: `Answering machine detection is only supported on ${AMD_PROVIDERS.join(' and ')}` };
+  }
+
+  const action = input.action === undefined ? 'hangup' : String(input.action).trim().toLowerCase();
+  if (!AMD_ACTIONS.includes(action)) {
+    return { valid: false, error: `amd.action must be one of: ${AMD_ACTIONS.join(', ')}` };
+  }
+
+  const detectionTimeout = input.detectionTimeout === undefined ? DEFAULT_DETECTION_TIMEOUT : parseInt(input.detectionTimeout);
+  if (!Number.isInteger(detectionTimeout) || detectionTimeout < MIN_DETECTION_TIMEOUT || detectionTimeout > MAX_DETECTION_TIMEOUT) {
+    return { valid: false, error: `amd.detectionTimeout must be between ${MIN_DETECTION_TIMEOUT} and ${MAX_DETECTION_TIMEOUT} seconds` };
+  }
+
+  const value = { enabled, action, detectionTimeout, voicemail: null, retryDelay: null };
+
+  if (action === 'voicemail') {
+    const voicemail = input.voicemail;
+    if (!voicemail || typeof voicemail !== 'object' || (!voicemail.audioUrl && !voicemail.text)) {
+      return { valid: false, error: 'amd.voicemail needs an audioUrl or text when action is voicemail' };
+    }
+
+    if (voicemail.audioUrl) {
+      try {
+        const url = new URL(voicemail.audioUrl);
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+          return { valid: false, error: 'amd.voicemail.audioUrl must use http:// or https://' };
+        }
+      } catch {
+        return { valid: false, error: 'amd.voicemail.audioUrl is not a valid URL' };
+      }
+      value.voicemail = { audioUrl: String(voicemail.audioUrl).trim() };
+    } else {
+      const text = String(voicemail.text).trim();
+      if (!text || text.length > MAX_VOICEMAIL_TEXT) {
+        return { valid: false, error: `amd.voicemail.text must be 1-${MAX_VOICEMAIL_TEXT} characters` };
+      }
+      value.voicemail = {
+        text,
+        voice: voicemail.voice ? String(voicemail.voice).trim() : 'WOMAN',
+        language: voicemail.language ? String(voicemail.language).trim() : 'en-US'
+      };
+    }
+  }
+
+  if (action === 'retry') {
+    const retryDelay = input.retryDelay === undefined ? DEFAULT_RETRY_DELAY : String(input.retryDelay).trim().toLowerCase();
+    if (!parseDelay(retryDelay)) {
+      return { valid: false, error: `Invalid amd.retryDelay: ${input.retryDelay} (use e.g. "30m", "2h", "1d")` };
+    }
+    value.retryDelay = retryDelay;
+  }
+
+  return { valid: true, value };
+}
+
+// =============================================================================
+// PROVIDER DIAL PARAMETERS
+// =============================================================================
+
+/**
+ * Plivo Call API parameters for asynchronous machine detection
+ * @param {Object} amd - Campaign AMD settings
+ * @param {string} callbackUrl - machine_detection_url
+ * @returns {Object}
+ */
+function buildPlivoAmdParams(amd, callbackUrl) {
+  return {
+    machine_detection: 'true',
+    machine_detection_time: (amd.detectionTimeout || DEFAULT_DETECTION_TIMEOUT) * 1000,
+    machine_detection_url: callbackUrl,
+    machine_detection_method: 'POST'
+  };
+}
+
+/**
+ * Twilio calls.create parameters for asynchronous machine detection
+ * Voicemail waits for the greeting to end so the message starts after the beep
+ * @param {Object} amd - Campaign AMD settings
+ * @param {string} callbackUrl - asyncAmdStatusCallback
+ * @returns {Object}
+ */
+function buildTwilioAmdParams(amd, callbackUrl) {
+  return {
+    machineDetection: amd.action === 'voicemail' ? 'DetectMessageEnd' : 'Enable',
+    machineDetectionTimeout: amd.detectionTimeout || DEFAULT_DETECTION_TIMEOUT,
+    asyncAmd: 'true',
+    asyncAmdStatusCallback: callbackUrl,
+    asyncAmdStatusCallbackMethod: 'POST'
+  };
+}
+
+// =============================================================================
+// RESULT NORMALIZATION
+// =============================================================================
+
+/**
+ * Fold a provider AMD callback into human / machine / unknown
+ * @param {string} provider - 'plivo' or 'twilio'
+ * @param {Object} body - Callback body (Plivo: Machine, Twilio: AnsweredBy)
+ * @returns {{result: string, detail: string|null}}
+ */
+function normalizeAmdResult(provider, body = {}) {
+  if (provider === 'twilio') {
+    const answeredBy = body.AnsweredBy ? String(body.AnsweredBy).toLowerCase() : null;
+    if (answeredBy === 'human') return { result: 'human', detail: answeredBy };
+    if (TWILIO_MACHINE_RESULTS.includes(answeredBy)) return { result: 'machine', detail: answeredBy };
+    return { result: 'unknown', detail: answeredBy };
+  }
+
+  const machine = body.Machine === undefined ? null : String(body.Machine).toLowerCase();
+  if (machine === 'true') return { result: 'machine', detail: machine };
+  if (machine === 'false') return { result: 'human', detail: machine };
+  return { result: 'unknown', detail: machine };
+}
+
+// =============================================================================
+// VOICEMAIL
+// =============================================================================
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * XML that leaves the campaign's voicemail message and hangs up
+ * Plivo waits for the beep first; Twilio's DetectMessageEnd has already waited for it
+ * @param {string} provider - 'plivo' or 'twilio'
+ * @param {Object} voicemail - { audioUrl } or { text, voice, language }
+ * @returns {string}
+ */
+function buildVoicemailXml(provider, voicemail) {
+  let message;
+  if (voicemail?.audioUrl) {
+    message = `<Play>${escapeXml(voicemail.audioUrl)}</Play>`;
+  } else if (provider === 'twilio') {
+    // Plivo's generic MAN/WOMAN voices are lowercase on Twilio; Polly/Google voice names pass through
+    const voice = voicemail?.voice || 'woman';
+    message = `<Say voice="${escapeXml(/^(wo)?man$/i.test(voice) ? voice.toLowerCase() : voice)}" language="${escapeXml(voicemail?.language || 'en-US')}">${escapeXml(voicemail?.text || '')}</Say>`;
+  } else {
+    message = `<Speak voice="${escapeXml(voicemail?.voice || 'WOMAN')}" language="${escapeXml(voicemail?.language || 'en-US')}">${escapeXml(voicemail?.text || '')}</Speak>`;
+  }
+
+  const beepWait = provider === 'twilio' ? '' : `
+    <Wait length="${VOICEMAIL_BEEP_WAIT}" beep="true" />`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>${beepWait}
+    ${message}
+    <Hangup />
+</Response>`;
+}
+
+// =============================================================================
+// RETRY
+// =============================================================================
+
+/**
+ * Retry policy for a call that reached a machine on a campaign with action retry
+ * The campaign's own retryPolicy (maxAttempts) still applies when it has one
+ * @param {Object} retryPolicy - Campaign retry policy (may be null)
+ * @param {Object} amd - Campaign AMD settings
+ * @returns {Object}
+ */
+function buildAmdRetryPolicy(retryPolicy, amd) {
+  return {
+    enabled: true,
+    maxAttempts: retryPolicy?.maxAttempts || 3,
+    rules: {
+      ...(retryPolicy?.rules || {}),
+      [MACHINE_DETECTED_CAUSE]: amd.retryDelay || DEFAULT_RETRY_DELAY
+    }
+  };
+}
+
+module.exports = {
+  AMD_PROVIDERS,
+  AMD_ACTIONS,
+  AMD_RESULTS,
+  MACHINE_DETECTED_CAUSE,
+  validateAmdSettings,
+  buildPlivoAmdParams,
+  buildTwilioAmdParams,
+  normalizeAmdResult,
+  buildVoicemailXml,
+  buildAmdRetryPolicy
+};
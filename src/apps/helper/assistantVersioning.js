@@ -0,0 +1,149 @@
+/**
+ * Assistant Versioning Helper
+ *
+ * Every change to an assistant document is stored as an immutable snapshot in assistantVersions
+ * (assistantVersionService). This helper holds the pure parts: what a snapshot contains, the
+ * field-by-field diff between two snapshots, and validation of campaign version pins.
+ *
+ * Campaign pin shape (plivoCampaign.assistantVersions):
+ *   { '<assistantId>': 3, ... } - calls of the campaign use version 3 of that assistant instead of
+ *   the live document, so prompt edits made mid-campaign don't change its behavior.
+ */
+
+const { ObjectId } = require('mongodb');
+
+// Bookkeeping fields - not part of an assistant's behavior, so not versioned or diffed
+const UNVERSIONED_FIELDS = ['_id', 'createdAt', 'updatedAt'];
+const MAX_CHANGE_NOTE_LENGTH = 500;
+
+/**
+ * Versionable part of an assistant document
+ * @param {Object} assistantDoc - assistant document
+ * @returns {Object}
+ */
+function toSnapshot(assistantDoc) {
+  const snapshot = {};
+  for (const [key, value] of Object.entries(assistantDoc || {})) {
+    if (!UNVERSIONED_FIELDS.includes(key)) snapshot[key] = value;
+  }
+  return snapshot;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && !(value instanceof Date) && !(value instanceof ObjectId);
+}
+
+/**
+ * Flatten a snapshot to dotted field paths - nested objects are walked, arrays and scalars are leaves
+ * @param {Object} value - Snapshot (or sub-object)
+ * @param {string} prefix - Path of value
+ * @param {Object} fields - Accumulator
+ * @returns {Object} { 'payload.agent_prompts.task_1.system_prompt': '...', ... }
+ */
+function flattenFields(value, prefix = '', fields = {}) {
+  for (const [key, child] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child) && Object.keys(child).length > 0) {
+      flattenFields(child, path, fields);
+    } else {
+      fields[path] = child;
+    }
+  }
+  return fields;
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof ObjectId) return value.toString();
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Field-by-field diff between two snapshots
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Array<{field: string, change: string, from: *, to: *}>} change = added, removed or modified
+ */
+function diffSnapshots(from, to) {
+  const fromFields = flattenFields(toSnapshot(from));
+  const toFields = flattenFields(toSnapshot(to));
+  const fields = [...new Set([...Object.keys(fromFields), ...Object.keys(toFields)])].sort();
+
+  const changes = [];
+  for (const field of fields) {
+    const inFrom = Object.prototype.hasOwnProperty.call(fromFields, field);
+    const inTo = Object.prototype.hasOwnProperty.call(toFields, field);
+
+    if (!inFrom) {
+      changes.push({ field, change: 'added', from: null, to: toFields[field] });
+    } else if (!inTo) {
+      changes.push({ field, change: 'removed', from: fromFields[field], to: null });
+    } else if (comparable(fromFields[field]) !== comparable(toFields[field])) {
+      changes.push({ field, change: 'modified', from: fromFields[field], to: toFields[field] });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Parse a version number from a path/query/body value
+ * @param {*} value - Version number
+ * @returns {number|null}
+ */
+function parseVersionNumber(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * Validate an optional change note
+ * @param {*} note - Change note
+ * @returns {{valid: boolean, error?: string, value?: string|null}}
+ */
+function validateChangeNote(note) {
+  if (note === undefined || note === null || note === '') {
+    return { valid: true, value: null };
+  }
+  if (typeof note !== 'string' || note.length > MAX_CHANGE_NOTE_LENGTH) {
+    return { valid: false, error: `changeNote must be a string of at most ${MAX_CHANGE_NOTE_LENGTH} characters` };
+  }
+  return { valid: true, value: note.trim() };
+}
+
+/**
+ * Validate campaign version pins from an API request
+ * @param {*} input - 'latest' (pin every assistant of the campaign to its current version) or { assistantId: version }
+ * @returns {{valid: boolean, error?: string, value?: string|Object}}
+ */
+function validateVersionPins(input) {
+  if (input === 'latest' || input === true) {
+    return { valid: true, value: 'latest' };
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, error: 'assistantVersions must be "latest" or an object of { assistantId: version }' };
+  }
+
+  const pins = {};
+  for (const [assistantId, version] of Object.entries(input)) {
+    if (!ObjectId.isValid(assistantId)) {
+      return { valid: false, error: `Invalid assistant ID in assistantVersions: ${assistantId}` };
+    }
+    const parsed = version === 'latest' ? 'latest' : parseVersionNumber(version);
+    if (!parsed) {
+      return { valid: false, error: `Version for assistant ${assistantId} must be a positive integer or "latest"` };
+    }
+    pins[assistantId] = parsed;
+  }
+  return { valid: true, value: pins };
+}
+
+module.exports = {
+  UNVERSIONED_FIELDS,
+  toSnapshot,
+  flattenFields,
+  diffSnapshots,
+  parseVersionNumber,
+  validateChangeNote,
+  validateVersionPins
+};
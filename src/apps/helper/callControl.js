@@ -0,0 +1,251 @@
+/**
+ * Call Control
+ *
+ * Validation and provider XML for in-call actions on a live call (callControlService):
+ * - hangup:   end the call
+ * - dtmf:     send digits on the callee's leg (IVR navigation)
+ * - play:     play an audio URL to the callee
+ * - speak:    speak a text message to the callee
+ * - hold:     put the callee on hold music; unhold resumes the bot
+ * - transfer: warm transfer to a number, with an optional whisper spoken to the person answering.
+ *   On Plivo/Twilio the caller and the target meet in a per-call bridge (Plivo MultiPartyCall,
+ *   Twilio Conference) that supervisors can later listen to, whisper into or barge into
+ *
+ * Not every provider can do every action - PROVIDER_CAPABILITIES is the source of truth.
+ */
+
+const CALL_CONTROL_ACTIONS = ['hangup', 'dtmf', 'play', 'speak', 'hold', 'unhold', 'transfer'];
+
+const PROVIDER_CAPABILITIES = {
+  plivo: ['hangup', 'dtmf', 'play', 'speak', 'hold', 'unhold', 'transfer'],
+  // Twilio replaces the call's TwiML for dtmf/play/speak/hold, then reconnects the bot stream
+  twilio: ['hangup', 'dtmf', 'play', 'speak', 'hold', 'unhold', 'transfer'],
+  // ARI has no text-to-speech and redirects the channel without a whisper
+  sip: ['hangup', 'dtmf', 'play', 'hold', 'unhold', 'transfer'],
+  // No mid-call API - the transfer is parked and the flow's Connect applet dials it when the stream ends
+  exotel: ['transfer']
+};
+
+const MAX_DTMF_DIGITS = 32;
+const MAX_SPEAK_LENGTH = 1000;
+const MAX_WHISPER_LENGTH = 500;
+const DTMF_PATTERN = /^[0-9*#wW]+$/; // w/W = half/one second pause (Plivo + Twilio)
+
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\/\S+$/i.test(value.trim());
+}
+
+function validateText(value, field, maxLength) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { valid: false, error: `${field} is required` };
+  }
+  if (value.length > maxLength) {
+    return { valid: false, error: `${field} must be at most ${maxLength} characters` };
+  }
+  return { valid: true, value: value.trim() };
+}
+
+/**
+ * Validate a call control request
+ * @param {string} action - One of CALL_CONTROL_ACTIONS
+ * @param {Object} params - Action parameters
+ * @returns {{valid: boolean, error?: string, value?: Object}} value = normalized params
+ *   (transfer.to is returned as given - the caller normalizes it with the client's country)
+ */
+function validateCallControlRequest(action, params = {}) {
+  if (!CALL_CONTROL_ACTIONS.includes(action)) {
+    return { valid: false, error: `Unsupported action: ${action}. Supported: ${CALL_CONTROL_ACTIONS.join(', ')}` };
+  }
+
+  const input = params || {};
+
+  switch (action) {
+    case 'dtmf': {
+      const digits = input.digits === undefined || input.digits === null ? '' : String(input.digits).replace(/\s+/g, '');
+      if (!digits || !DTMF_PATTERN.test(digits)) {
+        return { valid: false, error: 'digits must contain only 0-9, *, # and w/W pauses' };
+      }
+      if (digits.length > MAX_DTMF_DIGITS) {
+        return { valid: false, error: `digits must be at most ${MAX_DTMF_DIGITS} characters` };
+      }
+      return { valid: true, value: { digits } };
+    }
+
+    case 'play':
+      if (!isHttpUrl(input.audioUrl)) {
+        return { valid: false, error: 'audioUrl must be an http(s) URL' };
+      }
+      return { valid: true, value: { audioUrl: input.audioUrl.trim() } };
+
+    case 'speak': {
+      const text = validateText(input.text, 'text', MAX_SPEAK_LENGTH);
+      if (!text.valid) return text;
+      return {
+        valid: true,
+        value: { text: text.value, voice: input.voice || 'WOMAN', language: input.language || 'en-US' }
+      };
+    }
+
+    case 'hold':
+      if (input.musicUrl !== undefined && input.musicUrl !== null && !isHttpUrl(input.musicUrl)) {
+        return { valid: false, error: 'musicUrl must be an http(s) URL' };
+      }
+      return { valid: true, value: { musicUrl: input.musicUrl ? input.musicUrl.trim() : null } };
+
+    case 'transfer': {
+      if (!input.to || typeof input.to !== 'string') {
+        return { valid: false, error: 'to is required' };
+      }
+      let whisper = null;
+      if (input.whisper !== undefined && input.whisper !== null && input.whisper !== '') {
+        const whisperCheck = validateText(input.whisper, 'whisper', MAX_WHISPER_LENGTH);
+        if (!whisperCheck.valid) return whisperCheck;
+        whisper = whisperCheck.value;
+      }
+      return { valid: true, value: { to: input.to.trim(), whisper } };
+    }
+
+    default:
+      return { valid: true, value: {} };
+  }
+}
+
+/**
+ * Whether a provider supports an action
+ * @param {string} provider - Call provider
+ * @param {string} action - Call control action
+ * @returns {boolean}
+ */
+function supportsAction(provider, action) {
+  return (PROVIDER_CAPABILITIES[provider] || []).includes(action);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function twilioVoice(voice) {
+  // Plivo's generic MAN/WOMAN voices are lowercase on Twilio; Polly/Google voice names pass through
+  const name = voice || 'woman';
+  return /^(wo)?man$/i.test(name) ? name.toLowerCase() : name;
+}
+
+/**
+ * Whether a call is being handled by an assistant - its assistantId, or the last path segment of the
+ * bot stream URL the call was placed with (wss://.../chat/v2/{assistantId})
+ * @param {Object} callRecord - activeCalls record (assistantId, wssUrl, streamUrl)
+ * @param {string} agentId - Assistant ID
+ * @returns {boolean}
+ */
+function isAgentCall(callRecord, agentId) {
+  if (!agentId) return false;
+  if (callRecord.assistantId && callRecord.assistantId.toString() === agentId.toString()) {
+    return true;
+  }
+  return [callRecord.wssUrl, callRecord.streamUrl].some(streamUrl => {
+    if (!streamUrl) return false;
+    try {
+      return new URL(streamUrl).pathname.split('/').filter(Boolean).pop() === agentId.toString();
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Conference a call is bridged into when a human joins it (transfer target, supervisor)
+ * @param {string} callUUID - Our callUUID
+ * @returns {string}
+ */
+function getBridgeName(callUUID) {
+  return `callbridge-${callUUID}`;
+}
+
+/**
+ * Plivo MultiPartyCall XML joining a leg to a call's bridge
+ * @param {string} name - Bridge name (getBridgeName)
+ * @param {Object} options
+ * @param {string} options.role - 'Customer', 'Agent' or 'Supervisor'
+ * @param {string|null} options.whisper - Spoken to this leg before it joins
+ * @param {boolean} options.coachMode - Supervisor heard by agents only
+ * @param {boolean} options.mute - Join muted (listen)
+ * @param {boolean} options.endOnExit - End the bridge when this leg hangs up
+ * @returns {string}
+ */
+function buildPlivoBridgeXml(name, { role = 'Customer', whisper = null, coachMode = false, mute = false, endOnExit = true } = {}) {
+  const speak = whisper ? `
+    <Speak voice="WOMAN">${escapeXml(whisper)}</Speak>` : '';
+  const supervisor = role === 'Supervisor' ? ` coachMode="${coachMode}"` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>${speak}
+    <MultiPartyCall role="${role}"${supervisor} mute="${mute}" endMpcOnExit="${endOnExit}" startMpcOnEnter="true" enterSound="none" exitSound="none">${escapeXml(name)}</MultiPartyCall>
+</Response>`;
+}
+
+/**
+ * Twilio TwiML joining a leg to a call's bridge conference
+ * @param {string} name - Bridge name (getBridgeName)
+ * @param {Object} options
+ * @param {string|null} options.whisper - Spoken to this leg before it joins
+ * @param {boolean} options.endOnExit - End the conference when this leg hangs up
+ * @returns {string}
+ */
+function buildTwilioBridgeTwiml(name, { whisper = null, endOnExit = true } = {}) {
+  const say = whisper ? `
+    <Say voice="woman">${escapeXml(whisper)}</Say>` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>${say}
+    <Dial>
+        <Conference startConferenceOnEnter="true" endConferenceOnExit="${endOnExit}" beep="false">${escapeXml(name)}</Conference>
+    </Dial>
+</Response>`;
+}
+
+/**
+ * TwiML for a Twilio dtmf/play/speak/hold - replaces the bot stream, then (except hold) redirects
+ * back to the call's original TwiML, which reconnects the bot
+ * @param {string} action - dtmf, play, speak or hold
+ * @param {Object} params - Validated action params (hold: musicUrl resolved by the caller)
+ * @param {string|null} resumeUrl - The call's original TwiML URL
+ * @returns {string}
+ */
+function buildTwilioInterludeTwiml(action, params, resumeUrl) {
+  let verb;
+  if (action === 'dtmf') {
+    verb = `<Play digits="${escapeXml(params.digits)}" />`;
+  } else if (action === 'play') {
+    verb = `<Play>${escapeXml(params.audioUrl)}</Play>`;
+  } else if (action === 'speak') {
+    verb = `<Say voice="${escapeXml(twilioVoice(params.voice))}" language="${escapeXml(params.language)}">${escapeXml(params.text)}</Say>`;
+  } else {
+    verb = `<Play loop="0">${escapeXml(params.musicUrl)}</Play>`;
+  }
+
+  const resume = action !== 'hold' && resumeUrl
+    ? `
+    <Redirect method="POST">${escapeXml(resumeUrl)}</Redirect>`
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    ${verb}${resume}
+</Response>`;
+}
+
+module.exports = {
+  CALL_CONTROL_ACTIONS,
+  PROVIDER_CAPABILITIES,
+  validateCallControlRequest,
+  supportsAction,
+  isAgentCall,
+  escapeXml,
+  getBridgeName,
+  buildPlivoBridgeXml,
+  buildTwilioBridgeTwiml,
+  buildTwilioInterludeTwiml
+};
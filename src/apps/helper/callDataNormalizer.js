@@ -1,7 +1,7 @@
 /**
  * Call Data Normalizer
  *
- * Normalizes call data from different providers (Plivo, Twilio) into a clean,
+ * Normalizes call data from different providers (Plivo, Twilio, Exotel, SIP trunks) into a clean,
  * provider-agnostic format for storage and API responses.
  */
 
@@ -140,6 +140,137 @@ function normalizeTwilioHangup(twilioData, metadata = {}) {
   };
 }
 
+/**
+ * Normalize Exotel terminal status callback into clean format
+ * @param {Object} exotelData - Raw Exotel callback data (may have CallUUID override)
+ * @param {Object} metadata - Additional metadata
+ * @returns {Object} Normalized call data
+ */
+function normalizeExotelHangup(exotelData, metadata = {}) {
+  const {
+    CallSid,
+    CallUUID, // Our internal UUID (sent to Exotel as CustomField)
+    To,
+    From,
+    Status,
+    ConversationDuration, // Seconds actually talked
+    Duration,
+    RecordingUrl,
+    RecordUrl,
+    StartTime,
+    EndTime,
+    DateUpdated
+  } = exotelData;
+
+  const finalCallUUID = CallUUID || CallSid;
+  const durationValue = parseInt(ConversationDuration) || parseInt(Duration) || 0;
+
+  const sanitizedTo = To?.replace(/^\+/, '') || '';
+  const sanitizedFrom = From?.replace(/^\+/, '') || '';
+
+  return {
+    // Core identifiers
+    callUUID: finalCallUUID,
+    clientId: metadata.clientId?.toString() || null,
+    assistantId: metadata.tag || metadata.assistantId || null,
+
+    // Call details
+    to: sanitizedTo,
+    from: sanitizedFrom,
+    duration: durationValue,
+    status: normalizeStatus(Status),
+    hangupCause: mapTwilioStatusToHangupCause(Status), // Exotel uses Twilio's status vocabulary
+
+    // Timestamps
+    startTime: StartTime || metadata.startTime || null,
+    answerTime: metadata.answerTime || null,
+    endTime: EndTime || DateUpdated || new Date().toISOString(),
+
+    // Recording
+    recordingUrl: RecordUrl || RecordingUrl || null,
+
+    // Source tracking
+    source: normalizeSource(metadata.campId),
+    provider: 'exotel',
+
+    // Contact info
+    firstName: metadata.firstName || '',
+    email: metadata.email || '',
+    tag: metadata.customTag || '',
+
+    // Campaign reference
+    campaignId: metadata.campId && !['api-call', 'testcall', 'incoming'].includes(metadata.campId)
+      ? metadata.campId : null,
+
+    createdAt: new Date()
+  };
+}
+
+/**
+ * Normalize a SIP gateway hangup event (SipAdapter.parseEvent) into clean format
+ * @param {Object} sipData - Parsed hangup event with CallUUID/From/To from our call record
+ * @param {Object} metadata - Additional metadata
+ * @returns {Object} Normalized call data
+ */
+function normalizeSipHangup(sipData, metadata = {}) {
+  const {
+    CallUUID,
+    To,
+    From,
+    duration,
+    causeCode, // Q.850 cause from the ARI ChannelDestroyed event
+    cause,
+    recordingUrl,
+    RecordUrl,
+    timestamp
+  } = sipData;
+
+  const durationValue = parseInt(duration) || 0;
+  const hangupCause = causeCode !== null && causeCode !== undefined
+    ? mapQ850CauseToHangupCause(causeCode)
+    : (cause ? String(cause).toUpperCase().replace(/[^A-Z0-9]+/g, '_') : 'UNKNOWN');
+
+  const sanitizedTo = To?.replace(/^\+/, '') || '';
+  const sanitizedFrom = From?.replace(/^\+/, '') || '';
+
+  return {
+    // Core identifiers
+    callUUID: CallUUID,
+    clientId: metadata.clientId?.toString() || null,
+    assistantId: metadata.tag || metadata.assistantId || null,
+
+    // Call details
+    to: sanitizedTo,
+    from: sanitizedFrom,
+    duration: durationValue,
+    status: mapHangupCauseToStatus(hangupCause, durationValue),
+    hangupCause,
+
+    // Timestamps
+    startTime: metadata.startTime || null,
+    answerTime: metadata.answerTime || null,
+    endTime: timestamp || new Date().toISOString(),
+
+    // Recording
+    recordingUrl: RecordUrl || recordingUrl || null,
+
+    // Source tracking
+    source: normalizeSource(metadata.campId),
+    provider: 'sip',
+
+    // Contact info
+    firstName: metadata.firstName || '',
+    email: metadata.email || '',
+    tag: metadata.customTag || '',
+
+    // Campaign reference
+    campaignId: metadata.campId && !['api-call', 'testcall', 'incoming'].includes(metadata.campId)
+      ? metadata.campId : null,
+
+    createdAt: new Date()
+  };
+}
+
 /**
  * Normalize bot callback data to merge with hangup record
  * @param {Object} botData - Raw bot callback data
@@ -243,6 +374,41 @@ function mapTwilioStatusToHangupCause(status, sipResponseCode) {
   return causeMap[status?.toLowerCase()] || 'UNKNOWN';
 }
 
+/**
+ * Map a Q.850 release cause (Asterisk HANGUPCAUSE / ARI cause) to a hangup cause name
+ */
+function mapQ850CauseToHangupCause(causeCode) {
+  const causeMap = {
+    1: 'UNALLOCATED_NUMBER',
+    3: 'NO_ROUTE_DESTINATION',
+    16: 'NORMAL_CLEARING',
+    17: 'USER_BUSY',
+    18: 'NO_USER_RESPONSE',
+    19: 'NO_ANSWER',
+    21: 'CALL_REJECTED',
+    22: 'NUMBER_CHANGED',
+    27: 'DESTINATION_OUT_OF_ORDER',
+    28: 'INVALID_NUMBER_FORMAT',
+    31: 'NORMAL_UNSPECIFIED',
+    34: 'NORMAL_CIRCUIT_CONGESTION',
+    38: 'NETWORK_OUT_OF_ORDER',
+    41: 'NORMAL_TEMPORARY_FAILURE',
+    42: 'SWITCH_CONGESTION',
+    127: 'INTERWORKING'
+  };
+  return causeMap[parseInt(causeCode)] || 'UNKNOWN';
+}
+
+/**
+ * Call status implied by a hangup cause (SIP gateways report causes, not statuses)
+ */
+function mapHangupCauseToStatus(hangupCause, duration) {
+  if (duration > 0 || hangupCause === 'NORMAL_CLEARING') return 'completed';
+  if (hangupCause === 'USER_BUSY') return 'busy';
+  if (hangupCause === 'NO_ANSWER' || hangupCause === 'NO_USER_RESPONSE') return 'no-answer';
+  return 'failed';
+}
+
 /**
  * Create clean API response from stored call data
  * Works with both old (raw) and new (normalized) data formats
@@ -303,6 +469,8 @@ function createApiResponse(callData, logData = {}) {
 module.exports = {
   normalizePlivoHangup,
   normalizeTwilioHangup,
+  normalizeExotelHangup,
+  normalizeSipHangup,
   normalizeBotCallback,
   normalizeStatus,
   normalizeSource,
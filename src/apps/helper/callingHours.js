@@ -0,0 +1,333 @@
+/**
+ * Calling Hours Helper
+ *
+ * Evaluates campaign calling windows (e.g. Mon–Sat 10:00–19:00) in each contact's
+ * local timezone. The contact timezone is taken from a CSV column when present,
+ * otherwise derived from the number's country prefix, otherwise the campaign default.
+ *
+ * Campaign config shape (plivoCampaign.callingHours):
+ *   { enabled, days: [1..6], start: '10:00', end: '19:00', timezone: 'Asia/Kolkata', timezoneField: 'timezone' }
+ *   days use JS numbering: 0 = Sunday … 6 = Saturday
+ */
+
+const DEFAULT_CALLING_TIMEZONE = process.env.DEFAULT_CALLING_TIMEZONE || 'Asia/Kolkata';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Country calling code → representative timezone (longest prefix wins).
+// Multi-zone countries map to their most populous zone; use a CSV column for precision.
+const PREFIX_TIMEZONES = {
+  '1': 'America/New_York',
+  '7': 'Europe/Moscow',
+  '20': 'Africa/Cairo',
+  '27': 'Africa/Johannesburg',
+  '33': 'Europe/Paris',
+  '34': 'Europe/Madrid',
+  '39': 'Europe/Rome',
+  '44': 'Europe/London',
+  '49': 'Europe/Berlin',
+  '55': 'America/Sao_Paulo',
+  '60': 'Asia/Kuala_Lumpur',
+  '61': 'Australia/Sydney',
+  '62': 'Asia/Jakarta',
+  '63': 'Asia/Manila',
+  '64': 'Pacific/Auckland',
+  '65': 'Asia/Singapore',
+  '66': 'Asia/Bangkok',
+  '81': 'Asia/Tokyo',
+  '82': 'Asia/Seoul',
+  '86': 'Asia/Shanghai',
+  '91': 'Asia/Kolkata',
+  '92': 'Asia/Karachi',
+  '94': 'Asia/Colombo',
+  '234': 'Africa/Lagos',
+  '254': 'Africa/Nairobi',
+  '880': 'Asia/Dhaka',
+  '966': 'Asia/Riyadh',
+  '971': 'Asia/Dubai',
+  '974': 'Asia/Qatar',
+  '977': 'Asia/Kathmandu'
+};
+
+// =============================================================================
+// TIMEZONE UTILITIES
+// =============================================================================
+
+function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of a Date in a given timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}}
+ */
+function getLocalParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+
+  const lookup = {};
+  parts.forEach(part => { lookup[part.type] = part.value; });
+
+  return {
+    year: parseInt(lookup.year),
+    month: parseInt(lookup.month),
+    day: parseInt(lookup.day),
+    hour: parseInt(lookup.hour),
+    minute: parseInt(lookup.minute),
+    weekday: DAY_NAMES.indexOf(lookup.weekday.toLowerCase().slice(0, 3))
+  };
+}
+
+// Offset (ms) of the timezone from UTC at the given instant
+function getTimezoneOffsetMs(date, timeZone) {
+  const local = getLocalParts(date, timeZone);
+  const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+  return localAsUtc - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+// Convert a wall-clock time in a timezone to the matching UTC instant
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimezoneOffsetMs(new Date(asUtc), timeZone);
+  let timestamp = asUtc - offset;
+
+  // Re-check once in case the guess landed on the other side of a DST change
+  const correctedOffset = getTimezoneOffsetMs(new Date(timestamp), timeZone);
+  if (correctedOffset !== offset) {
+    timestamp = asUtc - correctedOffset;
+  }
+  return new Date(timestamp);
+}
+
+function parseTimeOfDay(value) {
+  const match = typeof value === 'string' && value.trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!match) return null;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+// =============================================================================
+// CONFIG VALIDATION
+// =============================================================================
+
+/**
+ * Validate and normalize a calling-hours config from an API request
+ * @param {Object} input - Raw config ({ days, start, end, timezone, timezoneField, enabled })
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+function validateCallingHours(input) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'callingHours must be an object' };
+  }
+
+  const rawDays = Array.isArray(input.days) && input.days.length > 0 ? input.days : [1, 2, 3, 4, 5, 6];
+  const days = [];
+  for (const day of rawDays) {
+    // Numbers and numeric strings ("1" from forms/JSON) are day indexes, anything else a day name
+    const dayIndex = typeof day === 'number' || /^\s*\d+\s*$/.test(String(day))
+      ? Number(day)
+      : DAY_NAMES.indexOf(String(day).trim().toLowerCase().slice(0, 3));
+    if (!Number.isInteger(dayIndex) || dayIndex < 0 || dayIndex > 6) {
+      return { valid: false, error: `Invalid day in callingHours.days: ${day}` };
+    }
+    if (!days.includes(dayIndex)) days.push(dayIndex);
+  }
+
+  const startMinutes = parseTimeOfDay(input.start);
+  const endMinutes = parseTimeOfDay(input.end);
+  if (startMinutes === null || endMinutes === null) {
+    return { valid: false, error: 'callingHours.start and callingHours.end must be HH:mm (24h)' };
+  }
+  if (startMinutes === endMinutes) {
+    return { valid: false, error: 'callingHours.start and callingHours.end cannot be equal' };
+  }
+
+  const timezone = input.timezone || DEFAULT_CALLING_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    return { valid: false, error: `Invalid IANA timezone: ${timezone}` };
+  }
+
+  return {
+    valid: true,
+    value: {
+      enabled: input.enabled !== false,
+      days: days.sort((a, b) => a - b),
+      start: input.start.trim(),
+      end: input.end.trim(),
+      timezone,
+      timezoneField: input.timezoneField || 'timezone'
+    }
+  };
+}
+
+// =============================================================================
+// CONTACT WINDOW EVALUATION
+// =============================================================================
+
+/**
+ * Timezone for a contact: CSV column → number prefix → campaign default
+ * @param {Object} contact - Contact row from plivo-list-data
+ * @param {Object} callingHours - Campaign calling-hours config
+ * @returns {{timezone: string, source: string}}
+ */
+function resolveContactTimezone(contact = {}, callingHours = {}) {
+  const field = callingHours.timezoneField || 'timezone';
+  const fromCsv = contact[field] || contact.timezone || contact.tz;
+  if (isValidTimezone(fromCsv)) {
+    return { timezone: fromCsv, source: 'csv' };
+  }
+
+  // Only trust the prefix when the number clearly carries a country code
+  const rawNumber = String(contact.number || '').trim();
+  const digits = rawNumber.replace(/\D/g, '');
+  if (rawNumber.startsWith('+') || digits.length > 10) {
+    for (let length = 3; length >= 1; length--) {
+      const timezone = PREFIX_TIMEZONES[digits.slice(0, length)];
+      if (timezone) {
+        return { timezone, source: 'prefix' };
+      }
+    }
+  }
+
+  return { timezone: callingHours.timezone || DEFAULT_CALLING_TIMEZONE, source: 'default' };
+}
+
+/**
+ * Is `now` inside the calling window for the given timezone?
+ */
+function isWithinCallingHours(callingHours, timeZone, now = new Date()) {
+  const local = getLocalParts(now, timeZone);
+  const minutes = local.hour * 60 + local.minute;
+  const start = parseTimeOfDay(callingHours.start);
+  const end = parseTimeOfDay(callingHours.end);
+
+  if (!callingHours.days.includes(local.weekday)) {
+    // Overnight windows (e.g. 20:00–02:00) still cover the early hours after an allowed day
+    if (start > end && minutes < end) {
+      return callingHours.days.includes((local.weekday + 6) % 7);
+    }
+    return false;
+  }
+
+  if (start < end) {
+    return minutes >= start && minutes < end;
+  }
+  return minutes >= start || minutes < end;
+}
+
+/**
+ * Next instant (UTC Date) at which the calling window opens in the given timezone
+ * @returns {Date|null} null when no day is allowed
+ */
+function getNextWindowStart(callingHours, timeZone, now = new Date()) {
+  const start = parseTimeOfDay(callingHours.start);
+  const startHour = Math.floor(start / 60);
+  const startMinute = start % 60;
+  const today = getLocalParts(now, timeZone);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const candidateDay = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (!callingHours.days.includes(candidateDay.getUTCDay())) continue;
+
+    const candidate = zonedTimeToUtc(
+      candidateDay.getUTCFullYear(),
+      candidateDay.getUTCMonth() + 1,
+      candidateDay.getUTCDate(),
+      startHour,
+      startMinute,
+      timeZone
+    );
+    if (candidate > now) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a campaign contact may be dialed right now
+ * @param {Object} callingHours - Campaign calling-hours config
+ * @param {Object} contact - Contact row
+ * @param {Date} now - Evaluation time (defaults to current time)
+ * @returns {{allowed: boolean, timezone?: string, timezoneSource?: string, nextWindowAt?: Date|null}}
+ */
+function checkContactCallingWindow(callingHours, contact, now = new Date()) {
+  if (!callingHours || callingHours.enabled === false) {
+    return { allowed: true };
+  }
+
+  const { timezone, source } = resolveContactTimezone(contact, callingHours);
+  if (isWithinCallingHours(callingHours, timezone, now)) {
+    return { allowed: true, timezone, timezoneSource: source };
+  }
+
+  return {
+    allowed: false,
+    timezone,
+    timezoneSource: source,
+    nextWindowAt: getNextWindowStart(callingHours, timezone, now)
+  };
+}
+
+/**
+ * First contact at or after `fromIndex` that may be dialed right now
+ * Window checks are shared per timezone, so scanning a long list stays cheap.
+ * @param {Object} callingHours - Campaign calling-hours config
+ * @param {Object[]} contacts - Contact rows
+ * @param {number} fromIndex - Where to start looking
+ * @param {Date} now - Evaluation time (defaults to current time)
+ * @returns {{index: number, nextWindowAt: Date|null}} index is -1 when no contact can be dialed;
+ *   nextWindowAt is then the earliest time one of them can
+ */
+function findNextDialableContact(callingHours, contacts, fromIndex = 0, now = new Date()) {
+  if (!callingHours || callingHours.enabled === false) {
+    return { index: fromIndex < contacts.length ? fromIndex : -1, nextWindowAt: null };
+  }
+
+  const windows = new Map();
+  let nextWindowAt = null;
+
+  for (let index = fromIndex; index < contacts.length; index++) {
+    const { timezone } = resolveContactTimezone(contacts[index], callingHours);
+    if (!windows.has(timezone)) {
+      const open = isWithinCallingHours(callingHours, timezone, now);
+      windows.set(timezone, { open, nextWindowAt: open ? null : getNextWindowStart(callingHours, timezone, now) });
+    }
+
+    const zoneWindow = windows.get(timezone);
+    if (zoneWindow.open) {
+      return { index, nextWindowAt: null };
+    }
+    if (zoneWindow.nextWindowAt && (!nextWindowAt || zoneWindow.nextWindowAt < nextWindowAt)) {
+      nextWindowAt = zoneWindow.nextWindowAt;
+    }
+  }
+
+  return { index: -1, nextWindowAt };
+}
+
+module.exports = {
+  DEFAULT_CALLING_TIMEZONE,
+  isValidTimezone,
+  getLocalParts,
+  zonedTimeToUtc,
+  validateCallingHours,
+  resolveContactTimezone,
+  isWithinCallingHours,
+  getNextWindowStart,
+  checkContactCallingWindow,
+  findNextDialableContact
+};
@@ -0,0 +1,174 @@
+/**
+ * Campaign Variants Helper (A/B testing across assistants)
+ *
+ * A campaign can split its contacts across several assistants / prompt variants by weight.
+ * Every contact is assigned deterministically from a hash of campaignId + phone number, so
+ * resumes, orphan recovery and automatic retries always dial a contact with the same variant.
+ *
+ * Campaign config shape (plivoCampaign.variants):
+ *   [{ variantId: 'A', name: 'Control', wssUrl: 'wss://live.glimpass.com/chat/v2/<assistantId>', assistantId, weight: 50 }, ...]
+ *   The first variant is the control the others are compared against in campaign analytics.
+ */
+
+const crypto = require('crypto');
+
+const MAX_CAMPAIGN_VARIANTS = parseInt(process.env.MAX_CAMPAIGN_VARIANTS) || 10;
+const MIN_VARIANT_SAMPLE = parseInt(process.env.MIN_VARIANT_SAMPLE) || 30; // calls per variant before significance is reported
+const SIGNIFICANCE_LEVEL = 0.05;
+
+const VARIANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Assistant ID from a bot WebSocket URL (wss://live.glimpass.com/chat/v2/{assistantId})
+ * @param {string} wssUrl - Bot WebSocket URL
+ * @returns {string}
+ */
+function extractAssistantId(wssUrl) {
+  const urlParts = (wssUrl || '').split('/');
+  return urlParts[urlParts.length - 1] || '';
+}
+
+// =============================================================================
+// CONFIG VALIDATION
+// =============================================================================
+
+/**
+ * Validate and normalize campaign variants from an API request
+ * @param {Array} input - Raw variants ([{ variantId, name, wssUrl, weight }])
+ * @returns {{valid: boolean, error?: string, value?: Array}}
+ */
+function validateCampaignVariants(input) {
+  if (!Array.isArray(input)) {
+    return { valid: false, error: 'variants must be an array of { variantId, name, wssUrl, weight }' };
+  }
+  if (input.length < 2 || input.length > MAX_CAMPAIGN_VARIANTS) {
+    return { valid: false, error: `variants must contain between 2 and ${MAX_CAMPAIGN_VARIANTS} entries` };
+  }
+
+  const seenIds = new Set();
+  const variants = [];
+
+  for (let index = 0; index < input.length; index++) {
+    const raw = input[index];
+    if (!raw || typeof raw !== 'object') {
+      return { valid: false, error: `variants[${index}] must be an object` };
+    }
+
+    // Default ids A, B, C... keep analytics readable when the caller doesn't name them
+    const variantId = raw.variantId === undefined ? String.fromCharCode(65 + index) : String(raw.variantId).trim();
+    if (!VARIANT_ID_PATTERN.test(variantId)) {
+      return { valid: false, error: `variants[${index}].variantId must be 1-32 letters, digits, "-" or "_"` };
+    }
+    if (seenIds.has(variantId)) {
+      return { valid: false, error: `Duplicate variantId "${variantId}"` };
+    }
+    seenIds.add(variantId);
+
+    let wssUrl;
+    try {
+      const url = new URL(raw.wssUrl);
+      if (url.protocol !== 'wss:' && url.protocol !== 'ws:') {
+        return { valid: false, error: `variants[${index}].wssUrl must use ws:// or wss:// protocol` };
+      }
+      wssUrl = String(raw.wssUrl).trim();
+    } catch {
+      return { valid: false, error: `variants[${index}].wssUrl is not a valid WebSocket URL` };
+    }
+
+    const weight = raw.weight === undefined ? 1 : Number(raw.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      return { valid: false, error: `variants[${index}].weight must be a positive number` };
+    }
+
+    variants.push({
+      variantId,
+      name: raw.name ? String(raw.name).trim().slice(0, 100) : variantId,
+      wssUrl,
+      assistantId: extractAssistantId(wssUrl),
+      weight
+    });
+  }
+
+  return { valid: true, value: variants };
+}
+
+// =============================================================================
+// ASSIGNMENT
+// =============================================================================
+
+/**
+ * Pick the variant a contact is dialed with
+ * @param {Array} variants - Campaign variants (validated)
+ * @param {string} campaignId - Campaign ID (part of the hash so the same number splits differently per campaign)
+ * @param {string} contactKey - Contact phone number (falls back to list position when missing)
+ * @returns {Object|null} Variant, or null when the campaign has no variants
+ */
+function assignVariant(variants, campaignId, contactKey) {
+  if (!Array.isArray(variants) || variants.length === 0) return null;
+
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const normalizedKey = String(contactKey ?? '').replace(/\D/g, '') || String(contactKey ?? '');
+  const hash = crypto.createHash('sha256').update(`${campaignId}:${normalizedKey}`).digest();
+  const point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+  let cumulative = 0;
+  for (const variant of variants) {
+    cumulative += variant.weight;
+    if (point < cumulative) return variant;
+  }
+  return variants[variants.length - 1];
+}
+
+// =============================================================================
+// SIGNIFICANCE
+// =============================================================================
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation, error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-proportion z-test of a variant against the control
+ * @param {{successes: number, trials: number}} variant
+ * @param {{successes: number, trials: number}} control
+ * @returns {{indicator: string, zScore?: number, pValue?: number}}
+ *   indicator: 'insufficient_data' | 'not_significant' | 'better' | 'worse'
+ */
+function compareProportions(variant, control) {
+  if (variant.trials < MIN_VARIANT_SAMPLE || control.trials < MIN_VARIANT_SAMPLE) {
+    return { indicator: 'insufficient_data' };
+  }
+
+  const pooled = (variant.successes + control.successes) / (variant.trials + control.trials);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / variant.trials + 1 / control.trials));
+  if (standardError === 0) {
+    return { indicator: 'not_significant', zScore: 0, pValue: 1 };
+  }
+
+  const zScore = (variant.successes / variant.trials - control.successes / control.trials) / standardError;
+  const pValue = 2 * (1 - normalCdf(Math.abs(zScore)));
+
+  let indicator = 'not_significant';
+  if (pValue < SIGNIFICANCE_LEVEL) {
+    indicator = zScore > 0 ? 'better' : 'worse';
+  }
+  return {
+    indicator,
+    zScore: Math.round(zScore * 1000) / 1000,
+    pValue: Math.round(pValue * 10000) / 10000
+  };
+}
+
+module.exports = {
+  MAX_CAMPAIGN_VARIANTS,
+  MIN_VARIANT_SAMPLE,
+  SIGNIFICANCE_LEVEL,
+  extractAssistantId,
+  validateCampaignVariants,
+  assignVariant,
+  compareProportions
+};
@@ -5,17 +5,20 @@
 
 const { connectToMongo, client } = require('../../../models/mongodb.js');
 const { ObjectId } = require('mongodb');
+const { toE164, getLegacyPhoneKey, getClientDefaultCountry } = require('./phoneNumber.js');
 
 /**
- * Normalize phone number to last 10 digits for consistent matching
+ * Storage key for a phone number: E.164 in the client's default country.
+ * Records written before E.164 keys were keyed on the last 10 digits, so lookups match both.
  * @param {string} phoneNumber - Phone number to normalize
- * @returns {string} Last 10 digits
+ * @param {string} clientId - Client ID (for the default country)
+ * @returns {Promise<{key: string, candidates: string[]}>}
  */
-function normalizePhoneNumber(phoneNumber) {
-  if (!phoneNumber) return '';
-  // Remove all non-digit characters and get last 10 digits
-  const digits = phoneNumber.replace(/\D/g, '');
-  return digits.slice(-10);
+async function buildPhoneKeys(phoneNumber, clientId) {
+  const defaultCountry = await getClientDefaultCountry(clientId);
+  const legacyKey = getLegacyPhoneKey(phoneNumber);
+  const key = toE164(phoneNumber, defaultCountry) || legacyKey;
+  return { key, candidates: Array.from(new Set([key, legacyKey])) };
 }
 
 /**
@@ -95,18 +98,20 @@ async function saveConversationContext(memoryData) {
       }
     }
 
-    // Normalize phone number
-    const normalizedPhone = normalizePhoneNumber(phoneNumber);
+    // Normalize phone number (legacy last-10-digit records are migrated to E.164 on save)
+    const phoneKeys = await buildPhoneKeys(phoneNumber, clientId);
+    const normalizedPhone = phoneKeys.key;
 
     // Build query for upsert
     const query = {
-      phoneNumber: normalizedPhone,
+      phoneNumber: { $in: phoneKeys.candidates },
       clientId: new ObjectId(clientId),
       assistantId: new ObjectId(assistantId)
     };
 
     // Build update object - only update provided fields
     const updateFields = {
+      phoneNumber: normalizedPhone,
       updatedAt: new Date()
     };
 
@@ -124,7 +129,6 @@ async function saveConversationContext(memoryData) {
       {
         $set: updateFields,
         $setOnInsert: {
-          phoneNumber: normalizedPhone,
           clientId: new ObjectId(clientId),
           assistantId: new ObjectId(assistantId),
           createdAt: new Date()
@@ -187,10 +191,10 @@ async function getConversationContext(query) {
       }
     }
 
-    const normalizedPhone = normalizePhoneNumber(phoneNumber);
+    const phoneKeys = await buildPhoneKeys(phoneNumber, clientId);
 
     const memoryQuery = {
-      phoneNumber: normalizedPhone,
+      phoneNumber: { $in: phoneKeys.candidates },
       clientId: new ObjectId(clientId)
     };
 
@@ -199,7 +203,8 @@ async function getConversationContext(query) {
       memoryQuery.assistantId = new ObjectId(assistantId);
     }
 
-    const memory = await memoryCollection.findOne(memoryQuery);
+    // Prefer the most recently updated record if both an E.164 and a legacy key exist
+    const memory = await memoryCollection.findOne(memoryQuery, { sort: { updatedAt: -1 } });
     return memory;
 
   } catch (error) {
@@ -253,10 +258,10 @@ async function deleteConversationContext(query) {
       }
     }
 
-    const normalizedPhone = normalizePhoneNumber(phoneNumber);
+    const phoneKeys = await buildPhoneKeys(phoneNumber, clientId);
 
     const deleteQuery = {
-      phoneNumber: normalizedPhone,
+      phoneNumber: { $in: phoneKeys.candidates },
       clientId: new ObjectId(clientId)
     };
 
@@ -264,7 +269,7 @@ async function deleteConversationContext(query) {
       deleteQuery.assistantId = new ObjectId(assistantId);
     }
 
-    const result = await memoryCollection.deleteOne(deleteQuery);
+    const result = await memoryCollection.deleteMany(deleteQuery);
 
     return {
       status: 200,
@@ -285,7 +290,6 @@ async function deleteConversationContext(query) {
 }
 
 module.exports = {
-  normalizePhoneNumber,
   isValidId,
   getClientIdFromAssistant,
   saveConversationContext,
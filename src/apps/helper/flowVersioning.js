@@ -0,0 +1,113 @@
+/**
+ * Flow Versioning Helper
+ *
+ * Flows (prompts + configs the uniPipe bot reads from Redis db=3) are edited as a draft and go
+ * live on publish (flowVersionService). This helper validates names and values before they reach
+ * the keys the live bot reads, and diffs two flow states.
+ *
+ * Flow state shape (draft, published, snapshot):
+ *   { prompts: { role_prompt: '...' }, configs: { counselor_number: '...' } }
+ */
+
+// Segments of flow:<flowName>:prompt:<promptName> - ':' would break key parsing
+const FLOW_KEY_SEGMENT_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const MAX_PROMPT_LENGTH = parseInt(process.env.MAX_FLOW_PROMPT_LENGTH) || 50000;
+const MAX_CONFIG_LENGTH = 5000;
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Validate a flow, prompt or config name
+ * @param {string} name - Name to check
+ * @param {string} label - Field label for the error
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validateFlowKeySegment(name, label) {
+  if (typeof name !== 'string' || !FLOW_KEY_SEGMENT_PATTERN.test(name)) {
+    return { valid: false, error: `${label} must be 1-100 characters of letters, digits, _ or -` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validate prompt content
+ * @param {*} content - Prompt text
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+function validatePromptContent(content) {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { valid: false, error: 'Prompt content is required' };
+  }
+  if (content.length > MAX_PROMPT_LENGTH) {
+    return { valid: false, error: `Prompt content must be at most ${MAX_PROMPT_LENGTH} characters` };
+  }
+  return { valid: true, value: content };
+}
+
+/**
+ * Validate a config value - stored as a string, like the bot reads it
+ * @param {*} value - Config value (string, number or boolean)
+ * @returns {{valid: boolean, error?: string, value?: string}}
+ */
+function validateConfigValue(value) {
+  if (value === undefined || value === null) {
+    return { valid: false, error: 'Config value is required' };
+  }
+  if (!['string', 'number', 'boolean'].includes(typeof value)) {
+    return { valid: false, error: 'Config value must be a string, number or boolean' };
+  }
+  const stringValue = value.toString();
+  if (stringValue.length > MAX_CONFIG_LENGTH) {
+    return { valid: false, error: `Config value must be at most ${MAX_CONFIG_LENGTH} characters` };
+  }
+  return { valid: true, value: stringValue };
+}
+
+/**
+ * Validate an optional publish / rollback note
+ * @param {*} note - Note
+ * @returns {{valid: boolean, error?: string, value?: string|null}}
+ */
+function validateFlowNote(note) {
+  if (note === undefined || note === null || note === '') {
+    return { valid: true, value: null };
+  }
+  if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) {
+    return { valid: false, error: `note must be a string of at most ${MAX_NOTE_LENGTH} characters` };
+  }
+  return { valid: true, value: note.trim() };
+}
+
+/**
+ * Field-by-field diff between two flow states
+ * @param {Object} from - Older state
+ * @param {Object} to - Newer state
+ * @returns {Array<{field: string, change: string, from: *, to: *}>} field = prompts.<name> or configs.<name>
+ */
+function diffFlowStates(from, to) {
+  const changes = [];
+  for (const section of ['prompts', 'configs']) {
+    const before = from?.[section] || {};
+    const after = to?.[section] || {};
+    const names = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+    for (const name of names) {
+      const field = `${section}.${name}`;
+      if (!(name in before)) {
+        changes.push({ field, change: 'added', from: null, to: after[name] });
+      } else if (!(name in after)) {
+        changes.push({ field, change: 'removed', from: before[name], to: null });
+      } else if (before[name] !== after[name]) {
+        changes.push({ field, change: 'modified', from: before[name], to: after[name] });
+      }
+    }
+  }
+  return changes;
+}
+
+module.exports = {
+  validateFlowKeySegment,
+  validatePromptContent,
+  validateConfigValue,
+  validateFlowNote,
+  diffFlowStates
+};
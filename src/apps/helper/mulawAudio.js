@@ -0,0 +1,101 @@
+/**
+ * μ-law Audio
+ *
+ * G.711 μ-law codec and a two-track mixer for 8 kHz telephony audio. Provider media streams
+ * (Plivo audio streams, Twilio Media Streams) deliver the caller's and the bot's audio as separate
+ * inbound/outbound packets; a listener needs them as one mixed stream (supervisorMediaRelay).
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+// 20 ms at 8 kHz - the packet size both providers send and accept
+const FRAME_SAMPLES = 160;
+// A track this far ahead of a silent one is sent on its own (the other side isn't talking)
+const MAX_TRACK_LAG_SAMPLES = FRAME_SAMPLES * 3;
+
+/**
+ * Decode μ-law bytes to 16-bit PCM samples
+ * @param {Buffer} buffer - μ-law audio
+ * @returns {Int16Array}
+ */
+function decodeMulaw(buffer) {
+  const samples = new Int16Array(buffer.length);
+  for (let i = 0; i < buffer.length; i++) {
+    const value = ~buffer[i] & 0xff;
+    const exponent = (value >> 4) & 0x07;
+    const magnitude = ((((value & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+    samples[i] = value & 0x80 ? -magnitude : magnitude;
+  }
+  return samples;
+}
+
+/**
+ * Encode 16-bit PCM samples as μ-law
+ * @param {Int16Array|number[]} samples - PCM samples
+ * @returns {Buffer}
+ */
+function encodeMulaw(samples) {
+  const buffer = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    let sample = samples[i];
+    const sign = sample < 0 ? 0x80 : 0;
+    if (sign) sample = -sample;
+    sample = Math.min(sample, MULAW_CLIP) + MULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+      exponent--;
+    }
+    const mantissa = (sample >> (exponent + 3)) & 0x0f;
+    buffer[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+  }
+  return buffer;
+}
+
+/**
+ * Mixer for the two tracks of a call - emits 20 ms μ-law frames of both tracks summed
+ * @param {Function} onFrame - (Buffer) => void, called with each mixed μ-law frame
+ * @returns {{push: Function}} push(track, base64Payload)
+ */
+function createTrackMixer(onFrame) {
+  const queues = new Map();
+
+  const takeFrame = (queue) => queue.splice(0, FRAME_SAMPLES);
+
+  return {
+    push(track, payload) {
+      if (!payload) return;
+      const key = track || 'inbound';
+      if (!queues.has(key)) queues.set(key, []);
+      const queue = queues.get(key);
+      for (const sample of decodeMulaw(Buffer.from(payload, 'base64'))) {
+        queue.push(sample);
+      }
+
+      const tracks = [...queues.values()];
+      for (;;) {
+        const ready = tracks.filter(samples => samples.length >= FRAME_SAMPLES);
+        const lagging = ready.length < tracks.length;
+        if (ready.length === 0 || (lagging && !ready.some(samples => samples.length >= MAX_TRACK_LAG_SAMPLES))) {
+          return;
+        }
+
+        const mixed = new Int16Array(FRAME_SAMPLES);
+        for (const frame of ready.map(takeFrame)) {
+          for (let i = 0; i < FRAME_SAMPLES; i++) {
+            mixed[i] = Math.max(-32768, Math.min(32767, mixed[i] + frame[i]));
+          }
+        }
+        onFrame(encodeMulaw(mixed));
+      }
+    }
+  };
+}
+
+module.exports = {
+  FRAME_SAMPLES,
+  decodeMulaw,
+  encodeMulaw,
+  createTrackMixer
+};
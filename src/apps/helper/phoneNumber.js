@@ -0,0 +1,265 @@
+/**
+ * Phone Number Helper
+ *
+ * Single place to turn whatever a CSV, API caller or telephony webhook hands us
+ * ("098765 43210", "919876543210", "+44 (0)7911 123456", "0501234567") into E.164
+ * ("+919876543210", "+447911123456", "+971501234567").
+ *
+ * Numbers written without a country code are read in the client's default country
+ * (client.defaultCountry, ISO 3166 alpha-2, falling back to DEFAULT_PHONE_COUNTRY).
+ * Numbers that carry a country code ("+…", "00…", or a full-length "971…") are
+ * validated against that country's rules instead.
+ */
+
+const { connectToMongo, client } = require('../../../models/mongodb.js');
+const { ObjectId } = require('mongodb');
+
+// Country dialing rules. `pattern` validates the national significant number (trunk prefix removed).
+const COUNTRY_RULES = {
+  IN: { name: 'India', callingCode: '91', trunkPrefix: '0', pattern: /^[1-9]\d{9}$/ },
+  AE: { name: 'United Arab Emirates', callingCode: '971', trunkPrefix: '0', pattern: /^(5[024568]\d{7}|[2-4679]\d{7})$/ },
+  US: { name: 'United States', callingCode: '1', trunkPrefix: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/ },
+  CA: { name: 'Canada', callingCode: '1', trunkPrefix: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/ },
+  GB: { name: 'United Kingdom', callingCode: '44', trunkPrefix: '0', pattern: /^[1-9]\d{8,9}$/ },
+  SA: { name: 'Saudi Arabia', callingCode: '966', trunkPrefix: '0', pattern: /^(5\d{8}|1\d{7,8})$/ },
+  QA: { name: 'Qatar', callingCode: '974', trunkPrefix: null, pattern: /^[3-7]\d{7}$/ },
+  SG: { name: 'Singapore', callingCode: '65', trunkPrefix: null, pattern: /^[3689]\d{7}$/ },
+  AU: { name: 'Australia', callingCode: '61', trunkPrefix: '0', pattern: /^[2-478]\d{8}$/ }
+};
+
+const SUPPORTED_COUNTRIES = Object.keys(COUNTRY_RULES);
+
+const DEFAULT_PHONE_COUNTRY = normalizeCountry(process.env.DEFAULT_PHONE_COUNTRY) || 'IN';
+
+// E.164 allows at most 15 digits; anything under 8 is not a dialable international number
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Upper-case a country code and check it is one we have rules for
+ * @param {string} country - ISO 3166 alpha-2 code
+ * @returns {string|null} Supported country code or null
+ */
+function normalizeCountry(country) {
+  if (!country || typeof country !== 'string') return null;
+  const code = country.trim().toUpperCase();
+  return COUNTRY_RULES[code] ? code : null;
+}
+
+function buildResult(country, callingCode, nationalNumber) {
+  return {
+    valid: true,
+    e164: `+${callingCode}${nationalNumber}`,
+    country,
+    callingCode,
+    nationalNumber
+  };
+}
+
+/**
+ * Match a national number against one country's rules, dropping the trunk prefix if present
+ * ("07911123456" → "7911123456" for GB, "14155550123" → "4155550123" for US)
+ */
+function matchNational(country, digits) {
+  const rules = COUNTRY_RULES[country];
+  if (rules.pattern.test(digits)) {
+    return buildResult(country, rules.callingCode, digits);
+  }
+  if (rules.trunkPrefix && digits.startsWith(rules.trunkPrefix)) {
+    const withoutTrunk = digits.slice(rules.trunkPrefix.length);
+    if (rules.pattern.test(withoutTrunk)) {
+      return buildResult(country, rules.callingCode, withoutTrunk);
+    }
+  }
+  return null;
+}
+
+/**
+ * Match digits that start with a country calling code (no "+")
+ * @param {string} digits - Digits including the calling code
+ * @param {string} preferredCountry - Tried first when several countries share a code (US/CA)
+ * @param {boolean} allowUnknown - Accept well-formed numbers for countries we have no rules for
+ */
+function matchInternational(digits, preferredCountry, allowUnknown) {
+  for (let length = 3; length >= 1; length--) {
+    const callingCode = digits.slice(0, length);
+    const countries = SUPPORTED_COUNTRIES
+      .filter(country => COUNTRY_RULES[country].callingCode === callingCode)
+      .sort((a, b) => (b === preferredCountry) - (a === preferredCountry));
+
+    if (countries.length === 0) continue;
+
+    for (const country of countries) {
+      const match = matchNational(country, digits.slice(length));
+      if (match) return match;
+    }
+    return { valid: false, error: `Not a valid ${COUNTRY_RULES[countries[0]].name} number` };
+  }
+
+  if (allowUnknown && digits.length >= E164_MIN_DIGITS && digits.length <= E164_MAX_DIGITS && !digits.startsWith('0')) {
+    return { valid: true, e164: `+${digits}`, country: null, callingCode: null, nationalNumber: null };
+  }
+  return null;
+}
+
+/**
+ * Parse and validate a phone number
+ * @param {string} input - Raw number in any common format
+ * @param {string} defaultCountry - Country for numbers without a country code (defaults to DEFAULT_PHONE_COUNTRY)
+ * @returns {{valid: boolean, e164?: string, country?: string|null, callingCode?: string|null, nationalNumber?: string|null, error?: string}}
+ */
+function parsePhoneNumber(input, defaultCountry) {
+  const raw = input === undefined || input === null ? '' : String(input).trim();
+  if (!raw) {
+    return { valid: false, error: 'Phone number is required' };
+  }
+
+  const country = normalizeCountry(defaultCountry) || DEFAULT_PHONE_COUNTRY;
+
+  // Drop formatting characters and the "(0)" some people write after the country code
+  let cleaned = raw.replace(/\(0\)/g, '').replace(/[\s\-().\/]/g, '');
+  let international = false;
+
+  if (cleaned.startsWith('+')) {
+    cleaned = cleaned.slice(1);
+    international = true;
+  } else if (cleaned.startsWith('00')) {
+    cleaned = cleaned.slice(2);
+    international = true;
+  }
+
+  if (!/^\d+$/.test(cleaned)) {
+    return { valid: false, error: `Invalid characters in phone number: ${raw}` };
+  }
+
+  if (international) {
+    return matchInternational(cleaned, country, true) || { valid: false, error: `Invalid phone number: ${raw}` };
+  }
+
+  // National format for the default country first, then a country code written without "+"
+  const national = matchNational(country, cleaned);
+  if (national) return national;
+
+  const withCallingCode = matchInternational(cleaned, country, false);
+  if (withCallingCode && withCallingCode.valid) return withCallingCode;
+
+  return { valid: false, error: `Invalid ${COUNTRY_RULES[country].name} phone number: ${raw}` };
+}
+
+/**
+ * E.164 form of a number, or null when it cannot be parsed
+ * @param {string} input - Raw number
+ * @param {string} defaultCountry - Country for numbers without a country code
+ * @returns {string|null}
+ */
+function toE164(input, defaultCountry) {
+  const parsed = parsePhoneNumber(input, defaultCountry);
+  return parsed.valid ? parsed.e164 : null;
+}
+
+// =============================================================================
+// LOOKUPS
+// =============================================================================
+
+/**
+ * Every format a number may have been stored in before normalization
+ * (client.callerNumbers / incomingSet hold "+91…", "91…", "0…" and bare national numbers).
+ * Telephony webhooks send numbers with the country code, so the default country rarely matters here.
+ * @param {string} input - Number from a webhook or request
+ * @param {string} defaultCountry - Country for numbers without a country code
+ * @returns {string[]} Distinct candidate values for a `$in` query
+ */
+function getNumberLookupVariants(input, defaultCountry) {
+  const raw = input === undefined || input === null ? '' : String(input).trim();
+  const variants = new Set([raw]);
+  const parsed = parsePhoneNumber(raw, defaultCountry);
+
+  if (parsed.valid) {
+    const withoutPlus = parsed.e164.slice(1);
+    variants.add(parsed.e164);
+    variants.add(withoutPlus);
+
+    if (parsed.nationalNumber) {
+      const rules = COUNTRY_RULES[parsed.country];
+      variants.add(parsed.nationalNumber);
+      if (rules.trunkPrefix) {
+        variants.add(rules.trunkPrefix + parsed.nationalNumber);
+      }
+    }
+  } else {
+    const digits = raw.replace(/\D/g, '');
+    if (digits) {
+      variants.add(digits);
+      variants.add(`+${digits}`);
+    }
+  }
+
+  variants.delete('');
+  return Array.from(variants);
+}
+
+/**
+ * Pre-E.164 storage key (last 10 digits) used by conversation memory and the DNC registry.
+ * Only needed to keep matching records written before numbers were normalized.
+ * @param {string} input - Raw number
+ * @returns {string}
+ */
+function getLegacyPhoneKey(input) {
+  if (!input) return '';
+  return String(input).replace(/\D/g, '').slice(-10);
+}
+
+// =============================================================================
+// CLIENT DEFAULT COUNTRY
+// =============================================================================
+
+/**
+ * Default country from an already-loaded client document
+ * @param {Object} clientDoc - Client document (may be null)
+ * @returns {string}
+ */
+function resolveDefaultCountry(clientDoc) {
+  return normalizeCountry(clientDoc && clientDoc.defaultCountry) || DEFAULT_PHONE_COUNTRY;
+}
+
+/**
+ * Default country for a client ID
+ * @param {string} clientId - Client ID
+ * @returns {Promise<string>}
+ */
+async function getClientDefaultCountry(clientId) {
+  try {
+    if (!clientId || !ObjectId.isValid(clientId)) {
+      return DEFAULT_PHONE_COUNTRY;
+    }
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const clientDoc = await database.collection("client").findOne(
+      { _id: new ObjectId(clientId) },
+      { projection: { defaultCountry: 1 } }
+    );
+
+    return resolveDefaultCountry(clientDoc);
+  } catch (error) {
+    console.error('❌ Error fetching client default country:', error);
+    return DEFAULT_PHONE_COUNTRY;
+  }
+}
+
+module.exports = {
+  COUNTRY_RULES,
+  SUPPORTED_COUNTRIES,
+  DEFAULT_PHONE_COUNTRY,
+  normalizeCountry,
+  parsePhoneNumber,
+  toE164,
+  getNumberLookupVariants,
+  getLegacyPhoneKey,
+  resolveDefaultCountry,
+  getClientDefaultCountry
+};
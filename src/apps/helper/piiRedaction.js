@@ -0,0 +1,297 @@
+/**
+ * PII Redaction Helper
+ *
+ * Detects personal data in free text (transcripts, summaries, logged request bodies) and in
+ * structured records (reports, exports, webhook payloads) and masks it. Detectors are regexes,
+ * with a checksum where the number format has one so that arbitrary digit runs aren't masked:
+ *   - card      13-19 digits (spaces/dashes allowed), Luhn checksum
+ *   - aadhaar   12 digits not starting with 0/1 (4-4-4 grouping allowed), Verhoeff checksum
+ *   - pan       AAAPA9999A - 4th letter is the holder type (P, C, H, F, A, T, B, L, J, G)
+ *   - email
+ *   - phone     10-15 digits, optional + country code and separators
+ *   - name      structured fields only (firstName, name, ...) - names in free text aren't detectable
+ * Detectors run in that order and each replaces its matches before the next one runs, so a card
+ * number is never reported as a phone number (or an email's digits as one).
+ *
+ * Client policy shape (client.piiRedaction):
+ *   { enabled: true, types: ['card', 'aadhaar', 'pan', 'email', 'phone', 'name'], mask: 'label',
+ *     apply: { transcripts: true, webhooks: true, exports: true }, unredactedRoles: ['owner'] }
+ *   mask 'label' → [PHONE]; 'partial' → [PHONE xxxx3210] (last 4 kept, for matching up records)
+ */
+
+const { TEAM_ROLES } = require('./teamRoles.js');
+
+const PII_TYPES = ['card', 'aadhaar', 'pan', 'email', 'phone', 'name'];
+const MASK_STYLES = ['label', 'partial'];
+const REDACTION_TARGETS = ['transcripts', 'webhooks', 'exports'];
+
+const DEFAULT_PII_POLICY = {
+  enabled: false,
+  types: PII_TYPES,
+  mask: 'label',
+  apply: { transcripts: true, webhooks: true, exports: true },
+  unredactedRoles: ['owner']
+};
+
+// Not preceded / followed by a letter or digit - keeps detectors out of IDs, hashes and URLs
+const START = '(?<![A-Za-z0-9])';
+const END = '(?![A-Za-z0-9])';
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const PAN_PATTERN = new RegExp(`${START}[A-Za-z]{3}[PCHFATBLJGpchfatbljg][A-Za-z]\\d{4}[A-Za-z]${END}`, 'g');
+const CARD_PATTERN = new RegExp(`${START}(?:\\d[ -]?){12,18}\\d${END}`, 'g');
+const AADHAAR_PATTERN = new RegExp(`${START}[2-9]\\d{3}[ -]?\\d{4}[ -]?\\d{4}${END}`, 'g');
+const PHONE_PATTERN = new RegExp(`${START}\\+?\\(?\\d(?:[ ()-]{0,2}\\d){9,14}${END}`, 'g');
+
+// Structured fields: identifiers and links are never PII-masked, name fields are masked as a whole
+const SKIP_KEY_PATTERN = /(^_id$|id$|uuid$|sid$|url$)/i;
+const NAME_KEY_PATTERN = /^(first_?name|last_?name|full_?name|customer_?name|contact_?name|name)$/i;
+
+// =============================================================================
+// CHECKSUMS
+// =============================================================================
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+const VERHOEFF_MULTIPLY = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_PERMUTE = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+function passesVerhoeff(digits) {
+  let check = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const digit = Number(digits[digits.length - 1 - i]);
+    check = VERHOEFF_MULTIPLY[check][VERHOEFF_PERMUTE[i % 8][digit]];
+  }
+  return check === 0;
+}
+
+const digitsOf = (match) => match.replace(/\D/g, '');
+
+// =============================================================================
+// DETECTORS
+// =============================================================================
+
+const DETECTORS = {
+  card: { pattern: CARD_PATTERN, accept: (match) => {
+    const digits = digitsOf(match);
+    return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits);
+  } },
+  aadhaar: { pattern: AADHAAR_PATTERN, accept: (match) => passesVerhoeff(digitsOf(match)) },
+  pan: { pattern: PAN_PATTERN, accept: () => true },
+  email: { pattern: EMAIL_PATTERN, accept: () => true },
+  phone: { pattern: PHONE_PATTERN, accept: (match) => {
+    const digits = digitsOf(match);
+    return digits.length >= 10 && digits.length <= 15;
+  } }
+};
+
+function maskMatch(type, match, mask) {
+  const label = type.toUpperCase();
+  if (mask !== 'partial') {
+    return `[${label}]`;
+  }
+  if (type === 'email') {
+    const [local, domain] = match.split('@');
+    return `[${label} ${local[0]}***@${domain}]`;
+  }
+  const tail = type === 'pan' ? match.slice(-4).toUpperCase() : digitsOf(match).slice(-4);
+  return `[${label} xxxx${tail}]`;
+}
+
+/**
+ * Mask PII in a piece of text
+ * @param {string} text - Text to redact
+ * @param {Object} options - { types, mask } (defaults: every detector, 'label')
+ * @returns {{text: string, findings: Object}} findings = { phone: 2, email: 1, ... }
+ */
+function redactText(text, options = {}) {
+  const types = options.types || PII_TYPES;
+  const findings = {};
+  if (typeof text !== 'string' || text.length === 0) {
+    return { text, findings };
+  }
+
+  let redacted = text;
+  for (const type of PII_TYPES) {
+    const detector = DETECTORS[type];
+    if (!detector || !types.includes(type)) continue;
+
+    redacted = redacted.replace(detector.pattern, (match) => {
+      if (!detector.accept(match)) return match;
+      findings[type] = (findings[type] || 0) + 1;
+      return maskMatch(type, match, options.mask);
+    });
+  }
+  return { text: redacted, findings };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function addFindings(total, findings) {
+  for (const [type, count] of Object.entries(findings)) {
+    total[type] = (total[type] || 0) + count;
+  }
+}
+
+/**
+ * Mask PII in a structured value (record, report, payload) - returns a copy
+ * Strings are redacted with redactText; identifier/URL keys are left alone; name fields are masked
+ * whole when 'name' is enabled. Dates, ObjectIds and other non-plain objects are kept as they are.
+ * @param {*} value - Value to redact
+ * @param {Object} options - { types, mask }
+ * @param {Object} findings - Accumulator for the counts
+ * @param {string} key - Key the value is stored under (internal)
+ * @returns {*}
+ */
+function redactValue(value, options = {}, findings = {}, key = null) {
+  if (key !== null && SKIP_KEY_PATTERN.test(key)) {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    const types = options.types || PII_TYPES;
+    if (key !== null && NAME_KEY_PATTERN.test(key) && types.includes('name') && value.trim()) {
+      findings.name = (findings.name || 0) + 1;
+      return options.mask === 'partial' ? `[NAME ${value.trim()[0]}***]` : '[NAME]';
+    }
+    const result = redactText(value, options);
+    addFindings(findings, result.findings);
+    return result.text;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, options, findings));
+  }
+
+  if (isPlainObject(value)) {
+    const copy = {};
+    for (const [childKey, child] of Object.entries(value)) {
+      copy[childKey] = redactValue(child, options, findings, childKey);
+    }
+    return copy;
+  }
+
+  return value;
+}
+
+// =============================================================================
+// POLICY
+// =============================================================================
+
+/**
+ * Validate a PII redaction policy update from an API request
+ * @param {Object} input - Partial policy
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+function validatePiiPolicy(input) {
+  if (!isPlainObject(input)) {
+    return { valid: false, error: 'PII policy must be an object' };
+  }
+
+  const value = {};
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      return { valid: false, error: 'enabled must be a boolean' };
+    }
+    value.enabled = input.enabled;
+  }
+
+  if (input.types !== undefined) {
+    if (!Array.isArray(input.types) || input.types.length === 0 || input.types.some(type => !PII_TYPES.includes(type))) {
+      return { valid: false, error: `types must be a non-empty array of: ${PII_TYPES.join(', ')}` };
+    }
+    value.types = [...new Set(input.types)];
+  }
+
+  if (input.mask !== undefined) {
+    if (!MASK_STYLES.includes(input.mask)) {
+      return { valid: false, error: `mask must be one of: ${MASK_STYLES.join(', ')}` };
+    }
+    value.mask = input.mask;
+  }
+
+  if (input.apply !== undefined) {
+    if (!isPlainObject(input.apply)) {
+      return { valid: false, error: `apply must be an object of { ${REDACTION_TARGETS.join(', ')} } booleans` };
+    }
+    value.apply = {};
+    for (const [target, enabled] of Object.entries(input.apply)) {
+      if (!REDACTION_TARGETS.includes(target) || typeof enabled !== 'boolean') {
+        return { valid: false, error: `apply must be an object of { ${REDACTION_TARGETS.join(', ')} } booleans` };
+      }
+      value.apply[target] = enabled;
+    }
+  }
+
+  if (input.unredactedRoles !== undefined) {
+    if (!Array.isArray(input.unredactedRoles) || input.unredactedRoles.some(role => !TEAM_ROLES.includes(role))) {
+      return { valid: false, error: `unredactedRoles must be an array of: ${TEAM_ROLES.join(', ')}` };
+    }
+    value.unredactedRoles = [...new Set(input.unredactedRoles)];
+  }
+
+  if (Object.keys(value).length === 0) {
+    return { valid: false, error: 'Provide at least one of enabled, types, mask, apply, unredactedRoles' };
+  }
+  return { valid: true, value };
+}
+
+/**
+ * Effective policy of a client - stored settings over the defaults
+ * @param {Object} stored - client.piiRedaction
+ * @returns {Object}
+ */
+function resolvePiiPolicy(stored) {
+  return {
+    ...DEFAULT_PII_POLICY,
+    ...(stored || {}),
+    apply: { ...DEFAULT_PII_POLICY.apply, ...(stored?.apply || {}) }
+  };
+}
+
+/**
+ * Whether a client's policy redacts a target
+ * @param {Object} policy - Effective policy
+ * @param {string} target - transcripts, webhooks or exports
+ * @returns {boolean}
+ */
+function appliesTo(policy, target) {
+  return Boolean(policy?.enabled && policy.apply?.[target]);
+}
+
+module.exports = {
+  PII_TYPES,
+  MASK_STYLES,
+  REDACTION_TARGETS,
+  DEFAULT_PII_POLICY,
+  passesLuhn,
+  passesVerhoeff,
+  redactText,
+  redactValue,
+  validatePiiPolicy,
+  resolvePiiPolicy,
+  appliesTo
+};
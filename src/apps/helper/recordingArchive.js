@@ -0,0 +1,205 @@
+/**
+ * Recording Archive Helper
+ *
+ * Call recordings are copied from the provider (Plivo, Twilio, Exotel) into storage we control
+ * (recordingArchiveService). This helper holds the pure parts: the per-client settings, where an
+ * archived recording is stored, how each provider's recording is downloaded, and the short-lived
+ * tokens that gate playback.
+ *
+ * Client settings shape (client.recordingSettings):
+ *   { archiveEnabled: true, retentionDays: 90, bucket: 'acme-recordings' }
+ *   retentionDays null keeps recordings until they are deleted on request; bucket (set by a
+ *   superadmin) overrides RECORDING_GCS_BUCKET for the client.
+ */
+
+const crypto = require('crypto');
+
+const ARCHIVE_PROVIDERS = ['plivo', 'twilio', 'exotel'];
+const ARCHIVE_STATUSES = ['pending', 'archiving', 'archived', 'failed', 'deleted'];
+const MAX_RETENTION_DAYS = 3650;
+const BUCKET_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,220}[a-z0-9]$/;
+const MAX_DELETION_REASON_LENGTH = 500;
+
+const CONTENT_TYPE_EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav'
+};
+
+/**
+ * Validate recording settings from an API request
+ * @param {Object} input - { archiveEnabled, retentionDays, bucket }
+ * @param {boolean} allowBucket - Only superadmins may point a client at a bucket
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+function validateRecordingSettings(input, allowBucket = false) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, error: 'Recording settings must be an object' };
+  }
+
+  const value = {};
+
+  if (input.archiveEnabled !== undefined) {
+    if (typeof input.archiveEnabled !== 'boolean') {
+      return { valid: false, error: 'archiveEnabled must be a boolean' };
+    }
+    value.archiveEnabled = input.archiveEnabled;
+  }
+
+  if (input.retentionDays !== undefined) {
+    if (input.retentionDays === null) {
+      value.retentionDays = null;
+    } else {
+      const days = Number(input.retentionDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+        return { valid: false, error: `retentionDays must be null or an integer between 1 and ${MAX_RETENTION_DAYS}` };
+      }
+      value.retentionDays = days;
+    }
+  }
+
+  if (input.bucket !== undefined) {
+    if (!allowBucket) {
+      return { valid: false, error: 'Only a superadmin can change the recording bucket' };
+    }
+    if (input.bucket !== null && (typeof input.bucket !== 'string' || !BUCKET_NAME_PATTERN.test(input.bucket))) {
+      return { valid: false, error: 'bucket must be a valid GCS bucket name or null' };
+    }
+    value.bucket = input.bucket;
+  }
+
+  if (Object.keys(value).length === 0) {
+    return { valid: false, error: 'Provide at least one of archiveEnabled, retentionDays' + (allowBucket ? ', bucket' : '') };
+  }
+  return { valid: true, value };
+}
+
+/**
+ * Validate an optional deletion reason (kept on the archive record for the audit trail)
+ * @param {*} reason - Reason
+ * @returns {{valid: boolean, error?: string, value?: string|null}}
+ */
+function validateDeletionReason(reason) {
+  if (reason === undefined || reason === null || reason === '') {
+    return { valid: true, value: null };
+  }
+  if (typeof reason !== 'string' || reason.length > MAX_DELETION_REASON_LENGTH) {
+    return { valid: false, error: `reason must be a string of at most ${MAX_DELETION_REASON_LENGTH} characters` };
+  }
+  return { valid: true, value: reason.trim() };
+}
+
+/**
+ * Storage path of an archived recording
+ * @param {string} clientId - Owner of the call
+ * @param {string} callUUID - Our call UUID
+ * @param {string} contentType - Content type of the downloaded audio
+ * @returns {string} recordings/<clientId>/<yyyy-mm>/<callUUID>.<ext>
+ */
+function buildRecordingPath(clientId, callUUID, contentType) {
+  const extension = CONTENT_TYPE_EXTENSIONS[(contentType || '').split(';')[0].trim().toLowerCase()] || 'mp3';
+  const month = new Date().toISOString().slice(0, 7);
+  const safeCallUUID = String(callUUID).replace(/[^A-Za-z0-9_-]/g, '_');
+  return `recordings/${clientId}/${month}/${safeCallUUID}.${extension}`;
+}
+
+/**
+ * HTTP request that downloads a provider recording
+ * @param {string} provider - plivo, twilio or exotel
+ * @param {string} sourceUrl - Recording URL from the provider callback
+ * @param {Object} credentials - Provider credentials of the client (TelephonyCredentialsService)
+ * @returns {{url: string, auth?: {username: string, password: string}}}
+ */
+function getRecordingDownloadRequest(provider, sourceUrl, credentials = {}) {
+  switch (provider) {
+    case 'twilio':
+      // Twilio's RecordingUrl has no extension; the media itself needs the account's credentials
+      return {
+        url: /\.(mp3|wav)$/i.test(sourceUrl) ? sourceUrl : `${sourceUrl}.mp3`,
+        auth: { username: credentials.accountSid, password: credentials.authToken }
+      };
+    case 'exotel':
+      return {
+        url: sourceUrl,
+        auth: { username: credentials.apiKey, password: credentials.authToken }
+      };
+    default:
+      // Plivo recordings are public unless the account enables secure media, which takes the auth ID/token
+      return {
+        url: sourceUrl,
+        auth: credentials.accountSid && credentials.authToken
+          ? { username: credentials.accountSid, password: credentials.authToken }
+          : undefined
+      };
+  }
+}
+
+// =============================================================================
+// PLAYBACK TOKENS
+// =============================================================================
+
+function getPlaybackSecret() {
+  const secret = process.env.RECORDING_PLAYBACK_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('RECORDING_PLAYBACK_SECRET (or JWT_SECRET) is not configured');
+  }
+  return secret;
+}
+
+function computeTokenSignature(payload) {
+  return crypto.createHmac('sha256', getPlaybackSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Short-lived token that authorizes one playback URL
+ * @param {Object} claims - What the token grants (e.g. { archiveId })
+ * @param {number} ttlSeconds - Lifetime
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function signPlaybackToken(claims, ttlSeconds) {
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+  const payload = Buffer.from(JSON.stringify({ ...claims, exp: Math.floor(expiresAt.getTime() / 1000) })).toString('base64url');
+  return { token: `${payload}.${computeTokenSignature(payload)}`, expiresAt };
+}
+
+/**
+ * Verify a playback token
+ * @param {string} token - Token from signPlaybackToken
+ * @returns {{valid: boolean, error?: string, claims?: Object}}
+ */
+function verifyPlaybackToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    return { valid: false, error: 'Malformed playback token' };
+  }
+
+  const expected = Buffer.from(computeTokenSignature(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, error: 'Invalid playback token' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    return { valid: false, error: 'Malformed playback token' };
+  }
+  if (!claims.exp || claims.exp * 1000 < Date.now()) {
+    return { valid: false, error: 'Playback token has expired' };
+  }
+  return { valid: true, claims };
+}
+
+module.exports = {
+  ARCHIVE_PROVIDERS,
+  ARCHIVE_STATUSES,
+  validateRecordingSettings,
+  validateDeletionReason,
+  buildRecordingPath,
+  getRecordingDownloadRequest,
+  signPlaybackToken,
+  verifyPlaybackToken
+};
@@ -0,0 +1,159 @@
+/**
+ * Retry Policy Helper
+ *
+ * Decides whether an unanswered/busy/failed campaign contact should be dialed again,
+ * and when. Rules are keyed by hangup cause; provider-specific causes (Plivo cause
+ * names, Twilio statuses) are folded into a small set of canonical keys first.
+ *
+ * Campaign config shape (plivoCampaign.retryPolicy):
+ *   { enabled, maxAttempts: 3, rules: { NO_ANSWER: '2h', USER_BUSY: '30m', INVALID_NUMBER: 'never' } }
+ *   maxAttempts counts the first dial, so 3 = the original call + up to 2 retries.
+ *   Causes without a rule are never retried.
+ */
+
+const { parseDelay } = require('../../services/tools/scheduleCallService.js');
+
+const MAX_RETRY_ATTEMPTS = parseInt(process.env.MAX_RETRY_ATTEMPTS) || 10;
+
+const NEVER_RETRY = 'never';
+
+const DEFAULT_RETRY_RULES = {
+  NO_ANSWER: '2h',
+  USER_BUSY: '30m',
+  CALL_REJECTED: '1h',
+  INVALID_NUMBER: NEVER_RETRY
+};
+
+// Provider hangup causes → canonical rule keys
+const HANGUP_CAUSE_ALIASES = {
+  NO_ANSWER: 'NO_ANSWER',
+  NO_USER_RESPONSE: 'NO_ANSWER',
+  RECOVERY_ON_TIMER_EXPIRE: 'NO_ANSWER',
+  RING_TIMEOUT: 'NO_ANSWER',
+  USER_BUSY: 'USER_BUSY',
+  BUSY_LINE: 'USER_BUSY',
+  BUSY: 'USER_BUSY',
+  CALL_REJECTED: 'CALL_REJECTED',
+  REJECTED: 'CALL_REJECTED',
+  FAILED: 'CALL_REJECTED',
+  UNALLOCATED_NUMBER: 'INVALID_NUMBER',
+  INVALID_NUMBER_FORMAT: 'INVALID_NUMBER',
+  INVALID_DESTINATION_ADDRESS: 'INVALID_NUMBER',
+  UNKNOWN_DESTINATION: 'INVALID_NUMBER',
+  NO_ROUTE_DESTINATION: 'INVALID_NUMBER',
+  INVALID_NUMBER: 'INVALID_NUMBER'
+};
+
+// Causes that mean the contact was actually reached - never retried regardless of rules
+const ANSWERED_CAUSES = ['NORMAL_CLEARING', 'NORMAL_HANGUP'];
+
+// =============================================================================
+// HANGUP CAUSE NORMALIZATION
+// =============================================================================
+
+/**
+ * Fold a provider hangup cause into a canonical rule key
+ * e.g. 'Busy Line' → 'USER_BUSY', 'UNALLOCATED_NUMBER' → 'INVALID_NUMBER'
+ * @param {string} hangupCause - Raw hangup cause from the provider webhook
+ * @returns {string|null}
+ */
+function normalizeHangupCause(hangupCause) {
+  if (!hangupCause || typeof hangupCause !== 'string') return null;
+  const key = hangupCause.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  return HANGUP_CAUSE_ALIASES[key] || key;
+}
+
+// =============================================================================
+// CONFIG VALIDATION
+// =============================================================================
+
+/**
+ * Validate and normalize a retry policy from an API request
+ * @param {Object} input - Raw policy ({ enabled, maxAttempts, rules })
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+function validateRetryPolicy(input) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'retryPolicy must be an object' };
+  }
+
+  const maxAttempts = input.maxAttempts === undefined ? 3 : parseInt(input.maxAttempts);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_RETRY_ATTEMPTS) {
+    return { valid: false, error: `retryPolicy.maxAttempts must be between 1 and ${MAX_RETRY_ATTEMPTS}` };
+  }
+
+  const rawRules = input.rules && typeof input.rules === 'object' ? input.rules : DEFAULT_RETRY_RULES;
+  const rules = {};
+  for (const [cause, delay] of Object.entries(rawRules)) {
+    const ruleKey = normalizeHangupCause(cause);
+    if (!ruleKey || ANSWERED_CAUSES.includes(ruleKey)) {
+      return { valid: false, error: `retryPolicy.rules cannot contain ${cause}` };
+    }
+
+    const delayValue = String(delay).trim().toLowerCase();
+    if (delayValue !== NEVER_RETRY && !parseDelay(delayValue)) {
+      return { valid: false, error: `Invalid delay for ${cause}: ${delay} (use e.g. "30m", "2h", "1d" or "never")` };
+    }
+    rules[ruleKey] = delayValue;
+  }
+
+  return {
+    valid: true,
+    value: {
+      enabled: input.enabled !== false,
+      maxAttempts,
+      rules
+    }
+  };
+}
+
+// =============================================================================
+// RETRY DECISION
+// =============================================================================
+
+/**
+ * Decide whether a finished attempt should be retried
+ * @param {Object} retryPolicy - Campaign retry policy
+ * @param {Object} outcome - { hangupCause, attemptNumber, duration }
+ * @param {Date} now - Evaluation time (defaults to current time)
+ * @returns {{retry: boolean, reason: string, cause?: string, nextAttempt?: number, executeAt?: Date}}
+ */
+function evaluateRetry(retryPolicy, outcome = {}, now = new Date()) {
+  if (!retryPolicy || retryPolicy.enabled === false) {
+    return { retry: false, reason: 'policy_disabled' };
+  }
+
+  const cause = normalizeHangupCause(outcome.hangupCause);
+  if (!cause) {
+    return { retry: false, reason: 'unknown_cause' };
+  }
+  if (ANSWERED_CAUSES.includes(cause) || (parseInt(outcome.duration) || 0) > 0) {
+    return { retry: false, reason: 'answered', cause };
+  }
+
+  const attemptNumber = parseInt(outcome.attemptNumber) || 1;
+  if (attemptNumber >= retryPolicy.maxAttempts) {
+    return { retry: false, reason: 'max_attempts_reached', cause };
+  }
+
+  const rule = retryPolicy.rules?.[cause];
+  if (!rule || rule === NEVER_RETRY) {
+    return { retry: false, reason: rule ? 'never_retry' : 'no_rule', cause };
+  }
+
+  return {
+    retry: true,
+    reason: 'scheduled',
+    cause,
+    nextAttempt: attemptNumber + 1,
+    executeAt: new Date(now.getTime() + parseDelay(rule))
+  };
+}
+
+module.exports = {
+  DEFAULT_RETRY_RULES,
+  NEVER_RETRY,
+  normalizeHangupCause,
+  validateRetryPolicy,
+  evaluateRetry
+};
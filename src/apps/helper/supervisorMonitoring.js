@@ -0,0 +1,196 @@
+/**
+ * Supervisor Monitoring
+ *
+ * Validation and per-mode leg settings for supervisor sessions (supervisorMonitoringService).
+ * A supervisor's phone or SIP leg joins the call's bridge (callControlService.bridgeCall):
+ * - listen:  muted, hears the caller and the human agent; on a call still with the AI agent it hears
+ *            a fork of the call's media stream instead (supervisorMediaRelay) and the bot stays on
+ * - whisper: heard by the human agent only (coaching) - needs a transferred call
+ * - barge:   heard by everyone; on a call still with the AI agent this takes the call over
+ *
+ * Clients opt in with client.supervisorMonitoring = { enabled, numbers, modes }: only listed
+ * numbers/SIP URIs can be dialed into calls, and only in the listed modes.
+ */
+
+const { toE164 } = require('./phoneNumber.js');
+const { escapeXml } = require('./callControl.js');
+
+const SUPERVISOR_MODES = ['listen', 'whisper', 'barge'];
+const SUPERVISOR_PROVIDERS = ['plivo', 'twilio']; // providers with a conference bridge
+const SESSION_STATUSES = ['dialing', 'active', 'ended', 'failed'];
+const SESSION_MEDIA = ['bridge', 'stream'];
+const MAX_SUPERVISOR_NUMBERS = 50;
+
+const SIP_URI_PATTERN = /^sip:[^@\s]+@[^@\s]+$/i;
+
+/**
+ * Normalize a supervisor destination - an E.164 number or a sip: URI
+ * @param {string} value - Number or SIP URI
+ * @param {string|null} country - Default country for national numbers
+ * @returns {string|null}
+ */
+function normalizeSupervisorDestination(value, country = null) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const trimmed = value.trim();
+  if (SIP_URI_PATTERN.test(trimmed)) return trimmed.toLowerCase();
+  return toE164(trimmed, country);
+}
+
+/**
+ * Validate a request to start a supervisor session
+ * @param {Object} input - { mode, supervisorNumber }
+ * @param {string|null} country - Client default country
+ * @returns {{valid: boolean, error?: string, value?: {mode: string, destination: string}}}
+ */
+function validateSupervisorSessionRequest(input = {}, country = null) {
+  const mode = input.mode || 'listen';
+  if (!SUPERVISOR_MODES.includes(mode)) {
+    return { valid: false, error: `mode must be one of: ${SUPERVISOR_MODES.join(', ')}` };
+  }
+
+  if (!input.supervisorNumber) {
+    return { valid: false, error: 'supervisorNumber is required (phone number or sip: URI)' };
+  }
+  const destination = normalizeSupervisorDestination(input.supervisorNumber, country);
+  if (!destination) {
+    return { valid: false, error: `Invalid supervisorNumber: ${input.supervisorNumber}` };
+  }
+
+  return { valid: true, value: { mode, destination } };
+}
+
+/**
+ * Validate client supervisor monitoring settings
+ * @param {Object} input - { enabled, numbers, modes }
+ * @param {string|null} country - Client default country
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+function validateSupervisorSettings(input = {}, country = null) {
+  const numbers = input.numbers === undefined ? [] : input.numbers;
+  if (!Array.isArray(numbers) || numbers.length > MAX_SUPERVISOR_NUMBERS) {
+    return { valid: false, error: `numbers must be an array of at most ${MAX_SUPERVISOR_NUMBERS} phone numbers or sip: URIs` };
+  }
+
+  const normalized = [];
+  for (const number of numbers) {
+    const destination = normalizeSupervisorDestination(number, country);
+    if (!destination) {
+      return { valid: false, error: `Invalid supervisor number: ${number}` };
+    }
+    if (!normalized.includes(destination)) normalized.push(destination);
+  }
+
+  const modes = input.modes === undefined ? SUPERVISOR_MODES : input.modes;
+  if (!Array.isArray(modes) || modes.length === 0 || modes.some(mode => !SUPERVISOR_MODES.includes(mode))) {
+    return { valid: false, error: `modes must be a non-empty subset of: ${SUPERVISOR_MODES.join(', ')}` };
+  }
+
+  return {
+    valid: true,
+    value: {
+      enabled: Boolean(input.enabled),
+      numbers: normalized,
+      modes: [...new Set(modes)]
+    }
+  };
+}
+
+/**
+ * Modes a call can be monitored in right now
+ * @param {Object} call - activeCalls record (provider, status, bridge)
+ * @returns {string[]}
+ */
+function getAvailableModes(call) {
+  if (!SUPERVISOR_PROVIDERS.includes(call.provider || 'plivo') || call.status !== 'ongoing') return [];
+  // Whisper needs a human agent to coach - calls with the AI agent can be listened to (stream) or taken over
+  if (!call.bridge) return ['listen', 'barge'];
+  return call.bridge.agentLegId ? SUPERVISOR_MODES : ['listen', 'barge'];
+}
+
+/**
+ * How a session's audio reaches the supervisor
+ * - stream: a listen-only fork of the call's media stream, relayed to the supervisor's leg - the AI agent stays on
+ * - bridge: the supervisor's leg joins the call's bridge, the caller is moved there once the supervisor answers
+ * @param {Object} call - activeCalls record (bridge)
+ * @param {string} mode - listen, whisper or barge
+ * @returns {string} One of SESSION_MEDIA
+ */
+function getSessionMedia(call, mode) {
+  return mode === 'listen' && !call.bridge ? 'stream' : 'bridge';
+}
+
+/**
+ * WebSocket URL and custom parameters for a media stream from a signed callback URL.
+ * Twilio drops query strings from stream URLs, so it gets the signed parameters as <Parameter>s
+ * (they come back in the start message's customParameters); Plivo keeps the query string.
+ * @param {string} signedUrl - buildSignedCallbackUrl result
+ * @returns {{url: string, streamUrl: string, parameters: Object}} url with the query, streamUrl without
+ */
+function toMediaStreamTarget(signedUrl) {
+  const url = new URL(signedUrl);
+  url.protocol = url.protocol === 'http:' ? 'ws:' : 'wss:';
+  const parameters = Object.fromEntries(url.searchParams);
+  const withQuery = url.toString();
+  url.search = '';
+  return { url: withQuery, streamUrl: url.toString(), parameters };
+}
+
+/**
+ * Plivo XML connecting a supervisor's listen leg to its relayed media stream
+ * @param {string} url - Signed WebSocket URL (toMediaStreamTarget().url)
+ * @returns {string}
+ */
+function buildPlivoListenXml(url) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Stream bidirectional="true" keepCallAlive="true" audioTrack="inbound" streamTimeout="3600" contentType="audio/x-mulaw;rate=8000">${escapeXml(url)}</Stream>
+</Response>`;
+}
+
+/**
+ * Twilio TwiML connecting a supervisor's listen leg to its relayed media stream
+ * @param {string} streamUrl - WebSocket URL without the query (toMediaStreamTarget().streamUrl)
+ * @param {Object} parameters - Signed parameters (toMediaStreamTarget().parameters)
+ * @returns {string}
+ */
+function buildTwilioListenTwiml(streamUrl, parameters) {
+  const parameterXml = Object.entries(parameters)
+    .map(([name, value]) => `
+            <Parameter name="${escapeXml(name)}" value="${escapeXml(value)}" />`)
+    .join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Connect>
+        <Stream url="${escapeXml(streamUrl)}">${parameterXml}
+        </Stream>
+    </Connect>
+</Response>`;
+}
+
+/**
+ * How the supervisor's leg joins the bridge in a mode
+ * @param {string} mode - listen, whisper or barge
+ * @returns {{muted: boolean, coach: boolean}}
+ */
+function getSupervisorLegOptions(mode) {
+  return {
+    muted: mode === 'listen',
+    coach: mode === 'whisper'
+  };
+}
+
+module.exports = {
+  SUPERVISOR_MODES,
+  SUPERVISOR_PROVIDERS,
+  SESSION_STATUSES,
+  SESSION_MEDIA,
+  normalizeSupervisorDestination,
+  validateSupervisorSessionRequest,
+  validateSupervisorSettings,
+  getAvailableModes,
+  getSupervisorLegOptions,
+  getSessionMedia,
+  toMediaStreamTarget,
+  buildPlivoListenXml,
+  buildTwilioListenTwiml
+};
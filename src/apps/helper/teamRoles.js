@@ -0,0 +1,153 @@
+/**
+ * Team Roles Helper
+ *
+ * Roles of the people using a client account and what each may do. The client account login is
+ * the owner; team members are invited by the owner or an admin and get one of the other roles.
+ *
+ *   owner             everything
+ *   admin             everything; can manage members below admin
+ *   campaign_manager  campaigns, lists, assistants/flows, live call control, reports
+ *   analyst           campaigns and reports, read-only
+ *   billing_only      billing history and top-ups
+ *   read_only         campaigns, reports and billing, read-only
+ *
+ * Routes declare the permission they need with requirePermission (authMiddleware); Super Key
+ * callers bypass the check.
+ */
+
+const PERMISSIONS = [
+  'team:manage',
+  'settings:manage',
+  'billing:view',
+  'billing:topup',
+  'campaigns:view',
+  'campaigns:manage',
+  'lists:manage',
+  'assistants:manage',
+  'calls:control',
+  'reports:view',
+  'recordings:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  admin: PERMISSIONS,
+  campaign_manager: ['campaigns:view', 'campaigns:manage', 'lists:manage', 'assistants:manage', 'calls:control', 'reports:view'],
+  analyst: ['campaigns:view', 'reports:view'],
+  billing_only: ['billing:view', 'billing:topup'],
+  read_only: ['campaigns:view', 'reports:view', 'billing:view']
+};
+
+const TEAM_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles a member can be given - owner is the client account itself
+const MEMBER_ROLES = TEAM_ROLES.filter(role => role !== 'owner');
+
+const MEMBER_STATUSES = ['invited', 'active', 'disabled'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Whether a role has a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return Boolean(ROLE_PERMISSIONS[role]?.includes(permission));
+}
+
+/**
+ * Whether a user may invite, change or remove a member with the given role
+ * Owners manage everyone; admins manage everyone below admin.
+ * @param {string} actorRole - Role of the user doing it
+ * @param {string} targetRole - Role being granted, or the member's current role
+ * @returns {boolean}
+ */
+function canManageRole(actorRole, targetRole) {
+  if (!hasPermission(actorRole, 'team:manage') || !MEMBER_ROLES.includes(targetRole)) {
+    return false;
+  }
+  return actorRole === 'owner' || targetRole !== 'admin';
+}
+
+/**
+ * Validate an invitation from an API request
+ * @param {Object} input - { email, name, role }
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+function validateInvitation(input) {
+  const { email, name, role } = input || {};
+
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    return { valid: false, error: 'A valid email is required' };
+  }
+  if (!MEMBER_ROLES.includes(role)) {
+    return { valid: false, error: `role must be one of: ${MEMBER_ROLES.join(', ')}` };
+  }
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length > 100)) {
+    return { valid: false, error: 'name must be a string of at most 100 characters' };
+  }
+
+  return {
+    valid: true,
+    value: { email: email.trim().toLowerCase(), name: name ? name.trim() : null, role }
+  };
+}
+
+/**
+ * Validate a member update from an API request
+ * @param {Object} input - { role, status }
+ * @returns {{valid: boolean, error?: string, value?: Object}}
+ */
+function validateMemberUpdate(input) {
+  const { role, status } = input || {};
+  const value = {};
+
+  if (role !== undefined) {
+    if (!MEMBER_ROLES.includes(role)) {
+      return { valid: false, error: `role must be one of: ${MEMBER_ROLES.join(', ')}` };
+    }
+    value.role = role;
+  }
+  if (status !== undefined) {
+    if (!['active', 'disabled'].includes(status)) {
+      return { valid: false, error: 'status must be active or disabled' };
+    }
+    value.status = status;
+  }
+
+  if (Object.keys(value).length === 0) {
+    return { valid: false, error: 'Provide role and/or status' };
+  }
+  return { valid: true, value };
+}
+
+/**
+ * Validate a password chosen when accepting an invitation
+ * @param {string} password - Password
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > 128) {
+    return { valid: false, error: `Password must be ${MIN_PASSWORD_LENGTH}-128 characters` };
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return { valid: false, error: 'Password must contain letters and numbers' };
+  }
+  return { valid: true };
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  TEAM_ROLES,
+  MEMBER_ROLES,
+  MEMBER_STATUSES,
+  hasPermission,
+  canManageRole,
+  validateInvitation,
+  validateMemberUpdate,
+  validatePassword
+};
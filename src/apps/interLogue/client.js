@@ -2,6 +2,7 @@ const { connectToMongo, closeMongoConnection, client } = require('../../../model
 
 const { ObjectId } = require('mongodb'); 
 const axios = require('axios');
+const { normalizeCountry, SUPPORTED_COUNTRIES } = require('../helper/phoneNumber.js');
 
 async function insertClient(clientData) {
     try {
@@ -36,7 +37,7 @@ async function insertClient(clientData) {
   
 
 
-async function insertAssistant(assistantData) {
+async function insertAssistant(assistantData, versionMeta = {}) {
     try {
       await connectToMongo();
   
@@ -46,6 +47,8 @@ async function insertAssistant(assistantData) {
   
       // Example: Insert a document
       const result = await collection.insertOne(assistantData);
+      const versionError = await recordAssistantChange(collection, result.insertedId.toString(), null, { ...versionMeta, source: 'create' });
+      if (versionError) return versionError;
   
       // Example: Find documents
     //   const documents = await collection.find({}).toArray();
@@ -633,7 +636,31 @@ async function getIvrLog() {
 // }
 
 
-async function updateAssistant(assistantId, newDocs, isClient) {
+// Store the assistant's new state in its version history (assistantVersionService). A change whose
+// version can't be written is reverted (previousDoc restored, a new assistant removed) so the
+// history has no gaps; returns the error response for the caller, null when recorded.
+async function recordAssistantChange(collection, assistantId, previousDoc, versionMeta) {
+  try {
+    const { recordAssistantVersion } = require('../../services/assistantVersionService.js');
+    await recordAssistantVersion(assistantId, { ...versionMeta, previousDoc });
+    return null;
+  } catch (error) {
+    console.error(`❌ Error recording version of assistant ${assistantId} - reverting the change:`, error);
+    const filter = { _id: new ObjectId(assistantId) };
+    try {
+      if (previousDoc) {
+        await collection.replaceOne(filter, previousDoc);
+      } else {
+        await collection.deleteOne(filter);
+      }
+    } catch (revertError) {
+      console.error(`❌ Error reverting assistant ${assistantId}:`, revertError);
+    }
+    return { status: 500, message: 'Assistant not saved: its version history could not be recorded', error: error.message };
+  }
+}
+
+async function updateAssistant(assistantId, newDocs, isClient, versionMeta = {}) {
   try {
     await connectToMongo();
 
@@ -641,6 +668,7 @@ async function updateAssistant(assistantId, newDocs, isClient) {
     const collection = database.collection("assistant");
 
     const filter = { _id: new ObjectId(assistantId) };
+    const source = versionMeta.source || (isClient == 1 ? 'update-assistant' : 'superadmin');
 
     // If isClient is 1, update specific fields in the existing document
     if (isClient == 1) {
@@ -650,6 +678,9 @@ async function updateAssistant(assistantId, newDocs, isClient) {
       }
 
       // Update the agent_welcome_message inside agent_config
+      // The fields below are patched on existingDoc itself - keep the pre-edit payload for the version history
+      const previousDoc = { ...existingDoc, payload: structuredClone(existingDoc.payload) };
+
       if (newDocs.agent_welcome_message && existingDoc.payload.agent_config) {
         existingDoc.payload.agent_config.agent_welcome_message = newDocs.agent_welcome_message;
       }
@@ -667,8 +698,11 @@ async function updateAssistant(assistantId, newDocs, isClient) {
         }
       });
 
-      if (result.matchedCount > 0) 
+      if (result.matchedCount > 0) {
+         const versionError = await recordAssistantChange(collection, assistantId, previousDoc, { ...versionMeta, source });
+         if (versionError) return versionError;
          return { status: 200, message: `Successfully updated the document.` };
+      }
       else 
          return { status: 404, message: `No documents matched the query. Document with _id: ${assistantId} not found` };
 
@@ -704,9 +738,12 @@ async function updateAssistant(assistantId, newDocs, isClient) {
     } else {
       // If isClient is not 1, replace the document with newDocs
       newDocs._id = new ObjectId(assistantId); // Ensure the new document has the correct _id
+      const previousDoc = await collection.findOne(filter);
       const result = await collection.replaceOne(filter, newDocs);
 
       if (result.matchedCount > 0) {
+        const versionError = await recordAssistantChange(collection, assistantId, previousDoc, { ...versionMeta, source });
+        if (versionError) return versionError;
         return { status: 200, message: `Successfully replaced the document with _id: ${assistantId}` };
       } else {
         return { status: 404, message: `No documents matched the query. Document with _id: ${assistantId} not found` };
@@ -720,6 +757,8 @@ async function updateAssistant(assistantId, newDocs, isClient) {
 
 
 
+const LEDGER_MANAGED_FIELDS = ['availableBalance', 'blockedBalance', 'reservedBalance', 'ledgerOpenedAt', 'lastBalanceUpdate'];
+
 async function updateClient(clientId, newDocs) {
   try {
   await connectToMongo();
@@ -729,8 +768,57 @@ async function updateClient(clientId, newDocs) {
   const collection = database.collection("client");
 
    const filter = { _id: new ObjectId(clientId) };
-   newDocs._id = new ObjectId(clientId)
-  const result = await collection.replaceOne(filter, newDocs);
+
+  // Balance fields are owned by the credit ledger (apps/billing/creditLedger.js) and only change
+  // through ledger entries - a full-document replace here would overwrite concurrent $inc updates
+  const { _id, ...fields } = newDocs;
+  for (const ledgerField of LEDGER_MANAGED_FIELDS) {
+    if (ledgerField in fields) {
+      delete fields[ledgerField];
+    }
+  }
+  if (Object.keys(fields).length === 0) {
+    return { status: 400, message: 'No updatable fields provided - balances change only through the credit ledger' };
+  }
+  // Country used to read phone numbers written without a country code (apps/helper/phoneNumber.js)
+  if ('defaultCountry' in fields && fields.defaultCountry !== null) {
+    const country = normalizeCountry(fields.defaultCountry);
+    if (!country) {
+      return { status: 400, message: `Unsupported defaultCountry: ${fields.defaultCountry}. Supported: ${SUPPORTED_COUNTRIES.join(', ')}` };
+    }
+    fields.defaultCountry = country;
+  }
+  // Dial rate limits shared by campaigns, API and scheduled calls (services/callRateLimitService.js)
+  if ('rateLimits' in fields) {
+    const { validateRateLimits, clearRateLimitCache } = require('../../services/callRateLimitService.js');
+    const { rateLimits, error } = validateRateLimits(fields.rateLimits);
+    if (error) {
+      return { status: 400, message: error };
+    }
+    fields.rateLimits = rateLimits;
+    clearRateLimitCache(clientId);
+  }
+  // From-number rotation for campaigns and API calls (services/callerIdPoolService.js)
+  if ('callerIdPool' in fields) {
+    const { validateCallerIdPool, clearCallerIdPoolCache } = require('../../services/callerIdPoolService.js');
+    const { callerIdPool, error } = validateCallerIdPool(fields.callerIdPool);
+    if (error) {
+      return { status: 400, message: error };
+    }
+    fields.callerIdPool = callerIdPool;
+    clearCallerIdPoolCache(clientId);
+  }
+  // Plivo/Twilio failover policy (services/providerFailoverService.js)
+  if ('providerRouting' in fields) {
+    const { validateProviderRouting, clearProviderRoutingCache } = require('../../services/providerFailoverService.js');
+    const { providerRouting, error } = validateProviderRouting(fields.providerRouting);
+    if (error) {
+      return { status: 400, message: error };
+    }
+    fields.providerRouting = providerRouting;
+    clearProviderRoutingCache(clientId);
+  }
+  const result = await collection.updateOne(filter, { $set: fields });
 
  if (result.matchedCount > 0) {
         return { status: 200, message: `Successfully replaced the document with _id: ${clientId}` };
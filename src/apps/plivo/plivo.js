@@ -4,6 +4,18 @@ const { ObjectId } = require('mongodb');
 // DEPRECATED: Old billing system removed
 // const {updateClientBalanceCount} = require('../exotel/exotel')
 const activeCalls = require('../helper/activeCalls.js')
+const { checkContactCallingWindow, findNextDialableContact } = require('../helper/callingHours.js')
+const { getRetryStatsByCampaign, countOpenRetries, cancelPendingRetries, deferCampaignContact } = require('../../services/campaignRetryService.js')
+const { postLedgerEntry, ENTRY_TYPES } = require('../billing/creditLedger.js')
+const { parsePhoneNumber, resolveDefaultCountry, getNumberLookupVariants } = require('../helper/phoneNumber.js')
+const { assignVariant, compareProportions } = require('../helper/campaignVariants.js')
+const { AMD_RESULTS } = require('../helper/answeringMachine.js')
+
+// How long a campaign waits before re-checking a contact when the DNC registry can't be read
+const DNC_UNAVAILABLE_WAIT = parseInt(process.env.DNC_UNAVAILABLE_WAIT) || 5000;
+// Re-checks of one contact before the campaign pauses itself, and how long until it resumes
+const DNC_UNAVAILABLE_MAX_RETRIES = parseInt(process.env.DNC_UNAVAILABLE_MAX_RETRIES) || 6;
+const DNC_UNAVAILABLE_RESUME_MS = parseInt(process.env.DNC_UNAVAILABLE_RESUME_MS) || 10 * 60 * 1000;
 
 // Import balance broadcasting function
 let broadcastBalanceUpdate;
@@ -129,7 +141,9 @@ async function insertListContent(rows) {
           name: 1,
           createdAt: 1,
           clientId: 1,
-          contactCount: 1
+          contactCount: 1,
+          importStatus: 1,
+          importJobId: 1
         })
         .toArray();
   
@@ -244,7 +258,7 @@ async function insertListContent(rows) {
   // }
   
 
-async function createCampaign(campaignName, listId, fromNumber, wssUrl, clientId, isBalanceUpdated, isCampaignCompleted, provider = null, scheduledTime = null, scheduledBy = null) {
+async function createCampaign(campaignName, listId, fromNumber, wssUrl, clientId, isBalanceUpdated, isCampaignCompleted, provider = null, scheduledTime = null, scheduledBy = null, callingHours = null, retryPolicy = null, variants = null, amd = null, assistantVersions = null) {
   try {
     await connectToMongo();
     const database = client.db("talkGlimpass");
@@ -298,7 +312,23 @@ async function createCampaign(campaignName, listId, fromNumber, wssUrl, clientId
       // Pause/resume tracking
       pausedAt: null,              // When campaign was paused
       pausedBy: null,              // User who paused campaign
-      resumedAt: null              // When campaign was resumed
+      resumedAt: null,             // When campaign was resumed
+
+      // Calling-hours window (null = dial at any hour)
+      callingHours: callingHours,  // { enabled, days, start, end, timezone, timezoneField }
+      autoResumeAt: null,          // When to resume a campaign paused for outside_calling_hours / caller_id_pool_exhausted / dnc_unavailable
+
+      // Automatic retries for unanswered/busy/failed contacts (null = no retries)
+      retryPolicy: retryPolicy,    // { enabled, maxAttempts, rules: { NO_ANSWER: '2h', ... } }
+
+      // A/B test across assistants (null = every contact uses wssUrl)
+      variants: variants,          // [{ variantId, name, wssUrl, assistantId, weight }] - first is the control
+
+      // Answering machine detection (null = no detection)
+      amd: amd,                    // { enabled, action: hangup|voicemail|retry, detectionTimeout, voicemail, retryDelay }
+
+      // Assistant version pins (null = calls follow the live assistant config)
+      assistantVersions: assistantVersions // { '<assistantId>': version } - resolved by the bot via /assistants/{id}/config
     };
 
     // Add scheduling fields if scheduled
@@ -457,7 +487,7 @@ async function saveHangupData(hangupData, options = {}) {
     // Normalize data if requested (new behavior)
     let dataToSave;
     if (normalize) {
-      const { normalizePlivoHangup, normalizeTwilioHangup } = require('../helper/callDataNormalizer.js');
+      const { normalizePlivoHangup, normalizeTwilioHangup, normalizeExotelHangup, normalizeSipHangup } = require('../helper/callDataNormalizer.js');
 
       // Build metadata from hangupData fields that were added by the handler
       const fullMetadata = {
@@ -473,6 +503,10 @@ async function saveHangupData(hangupData, options = {}) {
 
       if (provider === 'twilio') {
         dataToSave = normalizeTwilioHangup(hangupData, fullMetadata);
+      } else if (provider === 'exotel') {
+        dataToSave = normalizeExotelHangup(hangupData, fullMetadata);
+      } else if (provider === 'sip') {
+        dataToSave = normalizeSipHangup(hangupData, fullMetadata);
       } else {
         dataToSave = normalizePlivoHangup(hangupData, fullMetadata);
       }
@@ -486,8 +520,34 @@ async function saveHangupData(hangupData, options = {}) {
       dataToSave = hangupData;
     }
 
+    // Attempt number (and A/B variant) were stamped on the activeCalls record when the call was dialed,
+    // the answering machine detection result by the AMD callback
+    const callRecord = await database.collection("activeCalls").findOne(
+      { callUUID },
+      { projection: { attemptNumber: 1, variantId: 1, clientId: 1, from: 1, amdResult: 1, amdDetail: 1, amdAction: 1 } }
+    );
+    dataToSave.attemptNumber = callRecord?.attemptNumber || 1;
+    if (callRecord?.variantId) {
+      dataToSave.variantId = callRecord.variantId;
+    }
+    if (callRecord?.amdResult) {
+      dataToSave.amdResult = callRecord.amdResult;
+      dataToSave.amdDetail = callRecord.amdDetail || null;
+      dataToSave.amdAction = callRecord.amdAction || 'none';
+    }
+
     // Insert the normalized record
     await collection.insertOne(dataToSave);
+
+    // Answer-rate health of the caller ID this call went out on (caller-ID pools)
+    if (callRecord?.from) {
+      const { recordCallerIdOutcome } = require('../../services/callerIdPoolService.js');
+      await recordCallerIdOutcome({
+        clientId: callRecord.clientId,
+        from: callRecord.from,
+        answered: (parseInt(dataToSave.duration ?? dataToSave.Duration) || 0) > 0
+      });
+    }
     console.log(`✅ Hangup data saved successfully (normalized: ${normalize})`);
     return { status: 201, message: "Hangup data saved successfully." };
   } catch (error) {
@@ -512,6 +572,8 @@ async function getReportByCampId(campId, cursor = null, limit = 100, isDownload
   const connectedCall = campData[0].connectedCall ?? 0
   const callScheduled = campData[0].isCampaignCompleted
   const hangupDataCount = await getHangupDataCountByCampaignId(campId)
+  const suppressedCount = await getSuppressedCountByCampaignId(campId)
+  const retryStats = await getRetryStatsByCampaign(campId)
   const listId = campData[0].listId
   const clientId = campData[0].clientId
   const campaignName = campData[0].campaignName
@@ -553,7 +615,9 @@ async function getReportByCampId(campId, cursor = null, limit = 100, isDownload
       completedCalls: hangupDataCount,
       totalScheduledCalls: totalScheduledCalls,
       successfulConnections: connectedCall,
-      failedCalls: failedCall
+      failedCalls: failedCall,
+      suppressedCalls: suppressedCount,
+      retries: retryStats
     }
   }
   
@@ -568,7 +632,8 @@ async function getReportByCampId(campId, cursor = null, limit = 100, isDownload
       filters && (
         (filters.duration && Object.keys(filters.duration).length > 0) ||
         (Array.isArray(filters.customFilters) && filters.customFilters.length > 0) ||
-        (filters.custom && filters.custom.field && filters.custom.value)
+        (filters.custom && filters.custom.field && filters.custom.value) ||
+        filters.amdResult
       )
     );
 
@@ -590,7 +655,9 @@ async function getReportByCampId(campId, cursor = null, limit = 100, isDownload
       completedCalls: hangupDataCount,
       totalScheduledCalls: totalScheduledCalls,
       successfulConnections: connectedCall,
-      failedCalls: failedCall
+      failedCalls: failedCall,
+      suppressedCalls: suppressedCount,
+      retries: retryStats
     }
   }
   
@@ -625,6 +692,21 @@ async function getHangupDataCountByCampaignId(campId) {
   }
 }
 
+// Contacts skipped because they are on the DNC registry never reach plivoHangupData,
+// so the suppressed outcome is read from their activeCalls record instead
+async function getSuppressedCountByCampaignId(campId) {
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const collection = database.collection("activeCalls");
+
+    const campaignId = ObjectId.isValid(campId) ? new ObjectId(campId) : campId;
+    return await collection.countDocuments({ campaignId, status: 'suppressed' });
+  } catch (error) {
+    console.error("Error getting suppressed call count:", error);
+    return 0;
+  }
+}
 
 // async function getMergedLogData(campId) {
 //   try {
@@ -762,6 +844,18 @@ async function getMergedLogData(campId, cursor = null, limit = 100, isDownload =
         }
       }
       
+      // Answering machine detection result (human / machine / unknown) - calls dialed without AMD have none
+      if (filters.amdResult) {
+        const amdResults = [].concat(filters.amdResult)
+          .map(value => String(value).toLowerCase())
+          .filter(value => AMD_RESULTS.includes(value));
+        if (amdResults.length > 0) {
+          if (!query.$and) query.$and = [];
+          query.$and.push({ amdResult: { $in: amdResults } });
+          console.log(`📠 AMD filter applied: ${amdResults.join(', ')}`);
+        }
+      }
+
       // Build a condition that matches against all aliases of a field name.
       // Positive ops (contains/equals) use $or — any alias matching is a hit.
       // Negative ops (not_contains/not_equals) use $and — the value must be
@@ -1353,8 +1447,18 @@ async function getSingleCampaignDetails(camp_id) {
 }
 
 
-async function makeCallViaCampaign(listId, fromNumber, wssUrl, campaignName, clientId, provider = null, scheduledTime = null, scheduledBy = null) {
+async function makeCallViaCampaign(listId, fromNumber, wssUrl, campaignName, clientId, provider = null, scheduledTime = null, scheduledBy = null, callingHours = null, retryPolicy = null, variants = null, amd = null, assistantVersions = null) {
   try {
+      // Lists uploaded as CSV/XLSX are filled by a background import job - don't dial a half-imported list
+      await connectToMongo();
+      const list = ObjectId.isValid(listId) ? await client.db("talkGlimpass").collection("plivo-list").findOne(
+        { _id: new ObjectId(listId) },
+        { projection: { importStatus: 1 } }
+      ) : null;
+      if (list && list.importStatus === 'importing') {
+          return { status: 400, message: 'Contact list import is still in progress. Start the campaign once the import has completed.' };
+      }
+
       const listData = await getlistDataById(listId);
       const contactCount = listData.length;
 
@@ -1389,7 +1493,7 @@ async function makeCallViaCampaign(listId, fromNumber, wssUrl, campaignName, cli
       // Check if this is a scheduled campaign
       const isScheduled = scheduledTime !== null;
 
-      const result = await createCampaign(campaignName, listId, fromNumber, wssUrl, clientId, false, false, provider, scheduledTime, scheduledBy);
+      const result = await createCampaign(campaignName, listId, fromNumber, wssUrl, clientId, false, false, provider, scheduledTime, scheduledBy, callingHours, retryPolicy, variants, amd, assistantVersions);
       if (result === 0) {
           return { status: 500, message: 'Error while creating the campaign' };
       }
@@ -1485,6 +1589,21 @@ async function processEnhancedCampaign(campaignId, listData, fromNumber, wssUrl,
     const heartbeatResult = await startHeartbeat(campaignId);
     heartbeatActive = heartbeatResult.success;
     
+    // Get campaign state to determine starting position (and A/B variants to warm up)
+    let campaignState = await getCampaignState(campaignId);
+    if (!campaignState) {
+      console.error(`❌ Campaign state not found: ${campaignId}`);
+      return;
+    }
+    const variants = Array.isArray(campaignState.variants) && campaignState.variants.length > 0 ? campaignState.variants : null;
+    if (variants) {
+      console.log(`🧪 A/B campaign with ${variants.length} variants: ${variants.map(variant => `${variant.variantId} (weight ${variant.weight})`).join(', ')}`);
+    }
+    const amdSettings = campaignState.amd?.enabled ? campaignState.amd : null;
+    if (amdSettings) {
+      console.log(`📠 Answering machine detection on (machine action: ${amdSettings.action})`);
+    }
+
     // Multi-pod warmup: Warm up N pods where N = client's maxConcurrentCalls
     const { warmupMultiplePods } = require('../../utils/botWarmup.js');
     const { connectToMongo, client } = require('../../../models/mongodb.js');
@@ -1506,19 +1625,20 @@ async function processEnhancedCampaign(campaignId, listData, fromNumber, wssUrl,
         
         const maxConcurrentCalls = clientData?.maxConcurrentCalls || parseInt(process.env.DEFAULT_CLIENT_MAX_CONCURRENT_CALLS) || 10;
         
-        // Extract bot's base URL from WebSocket URL and create warmup endpoint
-        let botWarmupUrl;
-        try {
-          const wsUrl = new URL(wssUrl);
-          const protocol = wsUrl.protocol === 'wss:' ? 'https:' : 'http:';
-          botWarmupUrl = `${protocol}//${wsUrl.host}/warmup`;
-          console.log(`🔗 Bot warmup URL extracted from campaign wssUrl: ${botWarmupUrl}`);
-        } catch (error) {
-          console.error('❌ Failed to extract bot URL from campaign wssUrl:', wssUrl, error.message);
-          botWarmupUrl = null;
+        // Extract bot's base URL from each WebSocket URL (one per variant host) and create warmup endpoints
+        const botWarmupUrls = new Set();
+        for (const campaignWssUrl of variants ? variants.map(variant => variant.wssUrl) : [wssUrl]) {
+          try {
+            const wsUrl = new URL(campaignWssUrl);
+            const protocol = wsUrl.protocol === 'wss:' ? 'https:' : 'http:';
+            botWarmupUrls.add(`${protocol}//${wsUrl.host}/warmup`);
+          } catch (error) {
+            console.error('❌ Failed to extract bot URL from campaign wssUrl:', campaignWssUrl, error.message);
+          }
         }
         
-        if (botWarmupUrl) {
+        for (const botWarmupUrl of botWarmupUrls) {
+          console.log(`🔗 Bot warmup URL extracted from campaign wssUrl: ${botWarmupUrl}`);
           console.log(`🔥 Starting multi-pod warmup for campaign: ${maxConcurrentCalls} pods...`);
           multiPodWarmupResult = await warmupMultiplePods(botWarmupUrl, maxConcurrentCalls);
           
@@ -1537,18 +1657,14 @@ async function processEnhancedCampaign(campaignId, listData, fromNumber, wssUrl,
     
     // Import the unified call processing system
     const { processSingleCall } = require('../helper/activeCalls.js');
+    const { waitForCallToken, refundCallToken } = require('../../services/callRateLimitService.js');
+    const { selectCallerId, releaseCallerId } = require('../../services/callerIdPoolService.js');
     
-    let callsInLastMinute = 0;
     let failedCall = 0;
     let connectedCall = 0;
-    let rateLimitStartTime = Date.now();
-    
-    // Get campaign state to determine starting position
-    let campaignState = await getCampaignState(campaignId);
-    if (!campaignState) {
-      console.error(`❌ Campaign state not found: ${campaignId}`);
-      return;
-    }
+    let suppressedCall = 0;
+    let dncUnavailableRetries = 0;
+    let dialableAhead = null; // Next contact inside its calling window, found when one outside it is reached
     
     // Process contacts starting from saved position
     for (let i = campaignState.currentIndex; i < listData.length; i++) {
@@ -1574,6 +1690,53 @@ async function processEnhancedCampaign(campaignId, listData, fromNumber, wssUrl,
         break;
       }
       
+      // CALLING HOURS: Defer this contact to its window while others can be dialed, else pause until one opens
+      if (campaignState.callingHours?.enabled) {
+        const windowCheck = checkContactCallingWindow(campaignState.callingHours, listData[i]);
+        if (!windowCheck.allowed) {
+          console.log(`🌙 Outside calling hours for contact ${i + 1}/${listData.length} (${windowCheck.timezone}, via ${windowCheck.timezoneSource}) - next window ${windowCheck.nextWindowAt?.toISOString() || 'none'}`);
+          
+          if (!dialableAhead || dialableAhead.index <= i) {
+            dialableAhead = findNextDialableContact(campaignState.callingHours, listData, i + 1);
+          }
+          
+          if (dialableAhead.index !== -1 && windowCheck.nextWindowAt) {
+            const deferResult = await deferCampaignContact({
+              campaignId,
+              clientId,
+              contact: listData[i],
+              contactIndex: i,
+              from: fromNumber,
+              listId,
+              executeAt: windowCheck.nextWindowAt
+            });
+            if (deferResult.success) {
+              console.log(`🌙 Contact ${i + 1}/${listData.length} deferred to ${windowCheck.nextWindowAt.toISOString()} - contact ${dialableAhead.index + 1} can be dialed now`);
+              await updateCampaignProgress(campaignId, i + 1);
+              continue;
+            }
+            console.error(`❌ Failed to defer contact outside calling hours: ${deferResult.error}`);
+          }
+          
+          // No remaining contact is inside its window - resume when the first one opens
+          const nextWindowAt = [windowCheck.nextWindowAt, dialableAhead.nextWindowAt]
+            .filter(Boolean)
+            .sort((a, b) => a - b)[0] || null;
+          const pauseResult = await pauseCampaign(campaignId);
+          if (pauseResult.success) {
+            await updateCampaignPauseReason(campaignId, 'outside_calling_hours', {
+              timezone: windowCheck.timezone,
+              nextWindowAt
+            });
+            await setCampaignAutoResume(campaignId, nextWindowAt);
+            await updateCampaignProgress(campaignId, i);
+            break;
+          } else {
+            console.error(`❌ Failed to pause campaign outside calling hours: ${pauseResult.error}`);
+          }
+        }
+      }
+      
       // BALANCE CHECK: Pause campaign if balance falls to zero or below
       const balanceResult = await getCurrentClientBalance(clientId);
       if (balanceResult.success && balanceResult.balance <= 0) {
@@ -1608,31 +1771,55 @@ async function processEnhancedCampaign(campaignId, listData, fromNumber, wssUrl,
         allFields: Object.keys(contact)
       });
 
-      // Rate limiting logic
-      const maxCallsPerMinute = parseInt(process.env.MAX_CALLS_PER_MINUTE) || 10;
-      if (callsInLastMinute >= maxCallsPerMinute) {
-        const elapsedTime = Date.now() - rateLimitStartTime;
-        const rateLimitWindow = parseInt(process.env.RATE_LIMIT_WINDOW) || 60000;
-        
-        if (elapsedTime < rateLimitWindow) {
-          const waitTime = rateLimitWindow - elapsedTime;
-          console.log(`⏳ Rate limit: waiting ${waitTime / 1000}s...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
+      // CALLER ID: take this contact's from-number from the client's pool (campaign fromNumber when there is none)
+      const callerId = await selectCallerId(clientId, { to: contact.number, contactData: contact, fallbackFrom: fromNumber, provider });
+      if (!callerId.success) {
+        // Every pool number is benched or at its daily cap - wait for the first one to free up
+        console.log(`📵 Caller-ID pool exhausted - pausing campaign at contact ${i + 1}/${listData.length} until ${callerId.retryAt.toISOString()}`);
+        const pauseResult = await pauseCampaign(campaignId);
+        if (pauseResult.success) {
+          await updateCampaignPauseReason(campaignId, 'caller_id_pool_exhausted', { nextAvailableAt: callerId.retryAt });
+          await setCampaignAutoResume(campaignId, callerId.retryAt);
+        } else {
+          console.error(`❌ Failed to pause campaign with exhausted caller-ID pool: ${pauseResult.error}`);
         }
-        
-        callsInLastMinute = 0;
-        rateLimitStartTime = Date.now();
+        await updateCampaignProgress(campaignId, i);
+        break;
+      }
+      const callFrom = callerId.from;
+      if (callerId.pooled) {
+        console.log(`📱 Caller ID ${callFrom} (${callerId.strategy}) for contact ${i + 1}`);
+      }
+
+      // Rate limiting: shared token buckets (client, from-number, global) across all containers
+      const rateToken = await waitForCallToken({ clientId, from: callFrom });
+      if (!rateToken.allowed) {
+        // Still limited after a full window - go round again so pause/cancel is picked up while waiting
+        console.log(`⏳ Rate limit (${rateToken.limitedBy}): still waiting for a call slot for contact ${i + 1}/${listData.length}`);
+        await releaseCallerId(callerId);
+        i--;
+        continue;
+      }
+      if (rateToken.waitedMs > 1000) {
+        console.log(`⏳ Rate limit: waited ${Math.round(rateToken.waitedMs / 1000)}s for a call slot`);
+      }
+      
+      // A/B campaigns: the contact's variant decides which assistant takes the call
+      const variant = assignVariant(variants, campaignId, contact.number ?? i);
+      const contactWssUrl = variant ? variant.wssUrl : wssUrl;
+      if (variant) {
+        console.log(`🧪 Contact ${i + 1} assigned to variant ${variant.variantId}`);
       }
       
       // Extract assistantId from wssUrl for NEW billing system two-step lookup
       // Pattern: wss://live.glimpass.com/chat/v2/{assistantId}
       let assistantId = '';
       try {
-        const urlParts = wssUrl.split('/');
+        const urlParts = contactWssUrl.split('/');
         assistantId = urlParts[urlParts.length - 1]; // Last part should be assistantId
         console.log(`🎯 Campaign call - extracted assistantId: ${assistantId} from wssUrl`);
       } catch (error) {
-        console.warn(`⚠️ Could not extract assistantId from wssUrl: ${wssUrl}`);
+        console.warn(`⚠️ Could not extract assistantId from wssUrl: ${contactWssUrl}`);
         assistantId = contact.tag ?? ''; // Fallback to contact tag
       }
 
@@ -1641,9 +1828,9 @@ async function processEnhancedCampaign(campaignId, listData, fromNumber, wssUrl,
       const callResult = await processSingleCall({
         clientId,
         campaignId,
-        from: fromNumber,
+        from: callFrom,
         to: contact.number,
-        wssUrl,
+        wssUrl: contactWssUrl,
         // Pass individual fields for backward compatibility
         firstName: contact.first_name || '',
         email: contact.email || '',
@@ -1655,9 +1842,15 @@ async function processEnhancedCampaign(campaignId, listData, fromNumber, wssUrl,
         sequenceNumber: i + 1,                     // Sequence number (1-based)
         contactData: contact,                      // Full contact data with ALL CSV columns
         // Pass all dynamic fields from CSV
-        dynamicFields: contact                     // All CSV fields for dynamic header generation
+        dynamicFields: contact,                    // All CSV fields for dynamic header generation
+        variantId: variant?.variantId || null,     // A/B variant for per-variant analytics
+        amd: amdSettings                           // Answering machine detection (provider-side)
       });
       
+      if (!callResult.dncUnavailable) {
+        dncUnavailableRetries = 0;
+      }
+
       // Track results and update campaign statistics
       if (callResult.success) {
         connectedCall++;
@@ -1665,10 +1858,43 @@ async function processEnhancedCampaign(campaignId, listData, fromNumber, wssUrl,
         
         // Update campaign position after successful processing
         await updateCampaignProgress(campaignId, i + 1);
+      } else if (callResult.dncUnavailable) {
+        // DNC registry couldn't be checked - nothing was dialed; try the same contact again shortly
+        await refundCallToken(rateToken.buckets);
+        await releaseCallerId(callerId);
+        dncUnavailableRetries++;
+        if (dncUnavailableRetries >= DNC_UNAVAILABLE_MAX_RETRIES) {
+          // Long outage - pause and let the calling-window job resume the campaign later
+          const resumeAt = new Date(Date.now() + DNC_UNAVAILABLE_RESUME_MS);
+          console.log(`⏸️ DNC registry unavailable for ${dncUnavailableRetries} checks - pausing campaign ${campaignId} until ${resumeAt.toISOString()}`);
+          const pauseResult = await pauseCampaign(campaignId);
+          if (pauseResult.success) {
+            await updateCampaignPauseReason(campaignId, 'dnc_unavailable');
+            await setCampaignAutoResume(campaignId, resumeAt);
+          } else {
+            console.error(`❌ Failed to pause campaign with DNC registry unavailable: ${pauseResult.error}`);
+          }
+          await updateCampaignProgress(campaignId, i);
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, DNC_UNAVAILABLE_WAIT));
+        i--;
+        continue;
+      } else if (callResult.suppressed) {
+        // Number is on the DNC registry - nothing was dialed, move straight on
+        await refundCallToken(rateToken.buckets);
+        await releaseCallerId(callerId);
+        suppressedCall++;
+        console.log(`🚫 Call ${i + 1}/${listData.length}: ${contact.number} suppressed (DNC ${callResult.dncScope})`);
+        await updateCampaignProgress(campaignId, i + 1);
+        await updateCampaignActivity(campaignId, connectedCall + failedCall + suppressedCall);
+        continue;
       } else {
         // Check if system is overloaded and campaign should be paused
         if (callResult.shouldPauseCampaign) {
           console.log(`⏸️ System overloaded - pausing campaign: ${campaignId}`);
+          await refundCallToken(rateToken.buckets);
+          await releaseCallerId(callerId);
           await pauseCampaign(campaignId);
           break;
         } else {
@@ -1678,8 +1904,7 @@ async function processEnhancedCampaign(campaignId, listData, fromNumber, wssUrl,
         }
       }
       
-      callsInLastMinute++;
-      await updateCampaignActivity(campaignId, connectedCall + failedCall);
+      await updateCampaignActivity(campaignId, connectedCall + failedCall + suppressedCall);
       
       const subsequentWait = parseInt(process.env.SUBSEQUENT_CALL_WAIT) || 1000;
       await new Promise(resolve => setTimeout(resolve, subsequentWait));
@@ -1688,8 +1913,8 @@ async function processEnhancedCampaign(campaignId, listData, fromNumber, wssUrl,
     // Campaign completion handling
     const finalState = await getCampaignState(campaignId);
     if (finalState.status === "running") {
-      console.log(`🏁 Campaign completed: ${campaignId} - Connected: ${connectedCall}, Failed: ${failedCall}`);
-      await completeCampaign(campaignId, failedCall, connectedCall);
+      console.log(`🏁 Campaign completed: ${campaignId} - Connected: ${connectedCall}, Failed: ${failedCall}, Suppressed: ${suppressedCall}`);
+      await completeCampaign(campaignId, failedCall, connectedCall, suppressedCall);
     }
     
   } catch (error) {
@@ -1797,6 +2022,8 @@ async function getCurrentClientBalance(clientId) {
     return {
       success: true,
       balance: clientDoc.availableBalance || 0,
+      reserved: clientDoc.reservedBalance || 0, // Held by calls in progress (creditReservations.js)
+      available: (clientDoc.availableBalance || 0) - (clientDoc.reservedBalance || 0),
       client: clientDoc
     };
   } catch (error) {
@@ -1999,21 +2226,7 @@ async function updateClientBalance(hangupData){
   }
 
   // Generate possible number formats for lookup
-  let numberWithZero = clientLookupNumber
-  let numberWithoutZero = clientLookupNumber
-  let numberWithPlus = clientLookupNumber
-  const possibleNumbers = [clientLookupNumber];
-  
-  if (clientLookupNumber.startsWith('91') && clientLookupNumber.length === 12) {
-    numberWithZero = '0' + clientLookupNumber.slice(2);
-    numberWithoutZero = clientLookupNumber.slice(2);
-    numberWithPlus =  '+' + clientLookupNumber
-    possibleNumbers.push(numberWithoutZero);
-    possibleNumbers.push(numberWithPlus);
-  }
-  if (numberWithZero !== clientLookupNumber) {
-    possibleNumbers.push(numberWithZero);
-  }
+  const possibleNumbers = getNumberLookupVariants(clientLookupNumber);
 
   try {
     await connectToMongo();
@@ -2033,16 +2246,26 @@ async function updateClientBalance(hangupData){
     // Calculate billing amount (1 second = 1 credit)
     const duration = parseInt(hangupData.Duration) || 0;
     const billingAmount = duration; // 1s = 1 credit
-    const updatedBalance = (existingClient.availableBalance || 0) - billingAmount;
+    let updatedBalance = existingClient.availableBalance || 0;
+
+    // Update client balance through the credit ledger (atomic $inc, idempotent on CallUUID)
+    if (billingAmount > 0) {
+      const ledgerResult = await postLedgerEntry({
+        clientId: existingClient._id.toString(),
+        entryType: ENTRY_TYPES.CALL_DEBIT,
+        amount: -billingAmount,
+        referenceId: hangupData.CallUUID,
+        description: billingDescription,
+        metadata: { callType, provider: 'plivo', duration, campaignId: callType === 'campaign' ? hangupData.campId : null }
+      });
+      if (!ledgerResult.success) {
+        return { status: 500, message: "Failed to update client balance", error: ledgerResult.error };
+      }
+      updatedBalance = ledgerResult.newBalance;
+    }
 
     console.log(`💰 Billing ${callType} call: ${billingAmount} credits (${duration}s) - New balance: ${updatedBalance}`);
 
-    // Update client balance
-    await collection.updateOne(
-      { _id: existingClient._id },
-      { $set: { availableBalance: updatedBalance } }
-    );
-
     // Broadcast balance update via SSE to connected clients
     console.log(`🔍 SSE Broadcast Check: Function available=${!!broadcastBalanceUpdate}, Type=${typeof broadcastBalanceUpdate}`);
     if (broadcastBalanceUpdate && typeof broadcastBalanceUpdate === 'function') {
@@ -2215,6 +2438,18 @@ async function saveSingleLeadData(leadData, clientData) {
     await connectToMongo();
     const database = client.db("talkGlimpass");
     const collection = database.collection("leadData");
+
+    // Normalize whichever phone field the integration sends to E.164
+    const defaultCountry = resolveDefaultCountry(clientData);
+    for (const field of ['number', 'phone', 'phoneNumber', 'mobile']) {
+      if (!leadData[field]) continue;
+      const parsed = parsePhoneNumber(leadData[field], defaultCountry);
+      if (!parsed.valid) {
+        return { status: 400, message: parsed.error };
+      }
+      leadData[field] = parsed.e164;
+    }
+
     leadData.clientId = clientData._id.toString();
     leadData.isCallCompleted = false;
 
@@ -2248,7 +2483,10 @@ async function getCampaignState(campaignId) {
           heartbeat: 1,
           pausedAt: 1,
           pausedBy: 1,
-          resumedAt: 1
+          resumedAt: 1,
+          callingHours: 1,
+          variants: 1,
+          amd: 1
         } 
       }
     );
@@ -2300,12 +2538,114 @@ async function updateCampaignPauseReason(campaignId, reason, additionalInfo = nu
       { $set: updateData }
     );
     
-    console.log(`📊 Campaign ${campaignId}: Updated pause reason to ${reason} (${additionalInfo})`);
+    console.log(`📊 Campaign ${campaignId}: Updated pause reason to ${reason} (${JSON.stringify(additionalInfo)})`);
   } catch (error) {
     console.error(`❌ Error updating campaign pause reason: ${campaignId}`, error);
   }
 }
 
+async function setCampaignAutoResume(campaignId, autoResumeAt) {
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const collection = database.collection("plivoCampaign");
+    
+    await collection.updateOne(
+      { _id: new ObjectId(campaignId) },
+      { $set: { autoResumeAt: autoResumeAt || null } }
+    );
+    
+    console.log(`⏰ Campaign ${campaignId}: Auto-resume set for ${autoResumeAt ? autoResumeAt.toISOString() : 'never'}`);
+  } catch (error) {
+    console.error(`❌ Error setting campaign auto-resume: ${campaignId}`, error);
+  }
+}
+
+// Set, replace or clear (callingHours = null) the calling window of an existing campaign
+async function updateCampaignCallingHours(campaignId, clientId, callingHours) {
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const collection = database.collection("plivoCampaign");
+    
+    const campaign = await collection.findOne(
+      { _id: new ObjectId(campaignId) },
+      { projection: { clientId: 1, status: 1, pauseReason: 1 } }
+    );
+    
+    if (!campaign) {
+      return { success: false, error: "Campaign not found" };
+    }
+    
+    if (campaign.clientId?.toString() !== clientId?.toString()) {
+      return { success: false, error: "You can only update your own campaigns" };
+    }
+    
+    if (["completed", "cancelled", "failed"].includes(campaign.status)) {
+      return { success: false, error: `Cannot update calling hours of ${campaign.status} campaign` };
+    }
+    
+    const updateData = { callingHours: callingHours, lastActivity: new Date() };
+    
+    // Window removed/changed while waiting for it: let the scheduler re-evaluate on its next run
+    if (campaign.status === "paused" && campaign.pauseReason === "outside_calling_hours") {
+      updateData.autoResumeAt = new Date();
+    }
+    
+    await collection.updateOne({ _id: new ObjectId(campaignId) }, { $set: updateData });
+    
+    console.log(`🕘 Campaign ${campaignId}: Calling hours ${callingHours ? `set to ${callingHours.start}-${callingHours.end} (${callingHours.timezone})` : 'removed'}`);
+    return { success: true };
+  } catch (error) {
+    console.error(`❌ Error updating campaign calling hours: ${campaignId}`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Resume campaigns paused for outside_calling_hours (or an exhausted caller-ID pool / DNC outage) whose
+// autoResumeAt has passed. Each campaign is claimed atomically so only one container resumes it.
+async function resumeCampaignsDueForCallingWindow() {
+  const resumed = [];
+  const failed = [];
+  
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const collection = database.collection("plivoCampaign");
+    const now = new Date();
+    
+    const dueCampaigns = await collection.find(
+      { status: "paused", pauseReason: { $in: ["outside_calling_hours", "caller_id_pool_exhausted", "dnc_unavailable"] }, autoResumeAt: { $ne: null, $lte: now } },
+      { projection: { _id: 1, campaignName: 1, autoResumeAt: 1 } }
+    ).toArray();
+    
+    for (const campaign of dueCampaigns) {
+      const claim = await collection.updateOne(
+        { _id: campaign._id, status: "paused", autoResumeAt: campaign.autoResumeAt },
+        { $set: { autoResumeAt: null } }
+      );
+      
+      if (claim.modifiedCount === 0) {
+        continue; // Another container got there first
+      }
+      
+      const result = await resumeCampaign(campaign._id.toString());
+      if (result.success) {
+        console.log(`🌅 Auto-resume due - resumed campaign: ${campaign.campaignName} (${campaign._id})`);
+        resumed.push({ campaignId: campaign._id.toString(), campaignName: campaign.campaignName });
+      } else {
+        console.error(`❌ Failed to auto-resume campaign ${campaign._id}: ${result.error}`);
+        failed.push({ campaignId: campaign._id.toString(), error: result.error });
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Error resuming campaigns for calling window`, error);
+    failed.push({ error: error.message });
+  }
+  
+  return { resumed, failed };
+}
+
 
 async function updateCampaignActivity(campaignId, processedCount) {
   try {
@@ -2331,7 +2671,7 @@ async function updateCampaignActivity(campaignId, processedCount) {
 // Import the heartbeat manager for campaign health monitoring
 const { startCampaignHeartbeat: startHeartbeat, stopCampaignHeartbeat: stopHeartbeat } = require('../../utils/heartbeatManager.js');
 
-async function completeCampaign(campaignId, failedCalls, connectedCalls) {
+async function completeCampaign(campaignId, failedCalls, connectedCalls, suppressedCalls = 0) {
   try {
     await connectToMongo();
     const database = client.db("talkGlimpass");
@@ -2344,6 +2684,7 @@ async function completeCampaign(campaignId, failedCalls, connectedCalls) {
           status: "completed",
           failedCall: failedCalls,
           connectedCall: connectedCalls,
+          suppressedCall: suppressedCalls,
           isCampaignCompleted: true,
           lastActivity: new Date(),
           heartbeat: null // Stop heartbeat tracking
@@ -2406,7 +2747,8 @@ async function cancelCampaign(campaignId) {
       return { success: false, error: "Campaign is already cancelled" };
     }
     
-    if (campaign.status === "completed") {
+    // A completed campaign can still be cancelled while automatic retries are queued
+    if (campaign.status === "completed" && (await countOpenRetries(campaignId)) === 0) {
       return { success: false, error: "Cannot cancel completed campaign" };
     }
     
@@ -2414,7 +2756,7 @@ async function cancelCampaign(campaignId) {
       return { success: false, error: "Cannot cancel failed campaign" };
     }
 
-    if (!["running", "paused", "scheduled"].includes(campaign.status)) {
+    if (!["running", "paused", "scheduled", "completed"].includes(campaign.status)) {
       return { success: false, error: `Cannot cancel campaign with status: ${campaign.status}` };
     }
     
@@ -2433,6 +2775,9 @@ async function cancelCampaign(campaignId) {
     
     // Stop heartbeat timer
     await stopHeartbeat(campaignId);
+
+    // Drop queued automatic retries
+    await cancelPendingRetries(campaignId);
     
     console.log(`🛑 Campaign cancelled: ${campaignId}`);
     return { success: true };
@@ -2552,7 +2897,8 @@ async function resumeCampaign(campaignId) {
           lastActivity: new Date(),
           heartbeat: new Date(),
           containerId: CONTAINER_ID,
-          pauseReason: null
+          pauseReason: null,
+          autoResumeAt: null
         } 
       }
     );
@@ -2620,8 +2966,10 @@ async function getCampaignProgress(campaignId) {
       to: r.to
     })));
     
+    // Contact-level counts use first attempts only so automatic retries don't inflate
+    // finished calls past totalContacts (retries are reported separately below)
     const callCounts = await activeCallsCollection.aggregate([
-      { $match: { campaignId: new ObjectId(campaignId) } },
+      { $match: { campaignId: new ObjectId(campaignId), attemptNumber: { $not: { $gt: 1 } } } },
       { $group: { 
         _id: "$status", 
         count: { $sum: 1 } 
@@ -2637,7 +2985,8 @@ async function getCampaignProgress(campaignId) {
       ongoing: 0,     // Call answered and conversation started
       "call-ended": 0, 
       completed: 0,
-      failed: 0       // Calls that timed out or failed
+      failed: 0,      // Calls that timed out or failed
+      suppressed: 0   // Skipped because the number is on the DNC registry
     };
     
     // Handle both new status values and legacy 'active' status
@@ -2661,11 +3010,11 @@ async function getCampaignProgress(campaignId) {
     
     // Always auto-determine status based on call states (ignore database status except for manual overrides)
     if (!['paused', 'cancelled', 'failed'].includes(campaignStatus)) {
-      // FIXED: Campaign is completed when call-ended + completed + failed == totalContacts
-      const finishedCalls = counts["call-ended"] + counts.completed + counts.failed;
+      // FIXED: Campaign is completed when call-ended + completed + failed + suppressed == totalContacts
+      const finishedCalls = counts["call-ended"] + counts.completed + counts.failed + counts.suppressed;
       const totalContacts = campaign.totalContacts || 0;
       
-      console.log(`🔍 DEBUG: finishedCalls (call-ended + completed + failed): ${finishedCalls} (${counts["call-ended"]} + ${counts.completed} + ${counts.failed})`);
+      console.log(`🔍 DEBUG: finishedCalls (call-ended + completed + failed + suppressed): ${finishedCalls} (${counts["call-ended"]} + ${counts.completed} + ${counts.failed} + ${counts.suppressed})`);
       console.log(`🔍 DEBUG: totalContacts: ${totalContacts}`);
       console.log(`🔍 DEBUG: activeCalls (processed + ringing + ongoing): ${counts.processed + counts.ringing + counts.ongoing}`);
       
@@ -2707,7 +3056,12 @@ async function getCampaignProgress(campaignId) {
       campaignName: campaign.campaignName,
       totalContacts: campaign.totalContacts,
       callCounts: counts,
-      campaignStatus: campaignStatus
+      campaignStatus: campaignStatus,
+      pauseReason: campaign.pauseReason || null,
+      autoResumeAt: campaign.autoResumeAt || null,
+      callingHours: campaign.callingHours || null,
+      retryPolicy: campaign.retryPolicy || null,
+      retries: await getRetryStatsByCampaign(campaignId)
     };
     
   } catch (error) {
@@ -3002,6 +3356,13 @@ async function getCampaignAnalytics(campaignId) {
     
     const totalLeads = leadAnalysis.length;
     
+    // Pipeline 3: Per-variant breakdown for A/B campaigns
+    const variantAnalytics = await getCampaignVariantAnalytics(database, campaignId, leadAnalysis);
+
+    // Pipeline 4: Answering machine detection outcomes
+    const { getCampaignAmdStats } = require('../../services/answeringMachineService.js');
+    const amdAnalytics = await getCampaignAmdStats(database, campaignId);
+    
     // Calculate total cost using duration as credits (1 second = 1 credit)
     const totalCost = stats.totalDuration || 0;
     
@@ -3021,7 +3382,9 @@ async function getCampaignAnalytics(campaignId) {
         totalLeads: totalLeads,
         costPerLead: costPerLead,
         costPerCall: costPerCall,
-        leadConversionRate: stats.totalCalls > 0 ? Math.round((totalLeads / stats.totalCalls) * 10000) / 100 : 0 // Percentage with 2 decimals
+        leadConversionRate: stats.totalCalls > 0 ? Math.round((totalLeads / stats.totalCalls) * 10000) / 100 : 0, // Percentage with 2 decimals
+        ...(variantAnalytics || {}),     // A/B campaigns: variants[], leadingVariant
+        ...(amdAnalytics ? { amd: amdAnalytics } : {}) // AMD campaigns: human/machine/unknown and actions taken
       }
     };
     
@@ -3031,6 +3394,88 @@ async function getCampaignAnalytics(campaignId) {
   }
 }
 
+// Per-variant metrics for A/B campaigns, each variant compared with the control (first variant)
+// Returns null for campaigns without variants
+async function getCampaignVariantAnalytics(database, campaignId, leadDocs) {
+  if (!ObjectId.isValid(campaignId)) return null;
+  const campaign = await database.collection("plivoCampaign").findOne(
+    { _id: new ObjectId(campaignId) },
+    { projection: { variants: 1 } }
+  );
+  if (!Array.isArray(campaign?.variants) || campaign.variants.length === 0) return null;
+
+  // Support both old 'Duration' and new 'duration' field names
+  const durationExpr = { $convert: { input: { $ifNull: ["$duration", "$Duration"] }, to: "int", onError: 0, onNull: 0 } };
+  const variantStats = await database.collection("plivoHangupData").aggregate([
+    { $match: { $or: [{ campId: campaignId }, { campaignId: campaignId }], variantId: { $ne: null } } },
+    { $project: { variantId: 1, duration: durationExpr } },
+    {
+      $group: {
+        _id: "$variantId",
+        calls: { $sum: 1 },
+        connectedCalls: { $sum: { $cond: [{ $gt: ["$duration", 0] }, 1, 0] } },
+        totalDuration: { $sum: "$duration" }
+      }
+    }
+  ], { allowDiskUse: true }).toArray();
+  const statsByVariant = new Map(variantStats.map(entry => [entry._id, entry]));
+
+  // Leads are logged per call - map each lead's call back to the variant stamped on its hangup record
+  const leadCallUUIDs = leadDocs.map(doc => doc.callUUID || doc.CallUUID).filter(Boolean);
+  const leadsByVariant = new Map();
+  if (leadCallUUIDs.length > 0) {
+    const leadVariants = await database.collection("plivoHangupData").aggregate([
+      { $match: { $or: [{ callUUID: { $in: leadCallUUIDs } }, { CallUUID: { $in: leadCallUUIDs } }], variantId: { $ne: null } } },
+      { $group: { _id: "$variantId", callUUIDs: { $addToSet: { $ifNull: ["$callUUID", "$CallUUID"] } } } }
+    ]).toArray();
+    leadVariants.forEach(entry => leadsByVariant.set(entry._id, entry.callUUIDs.length));
+  }
+
+  const percentage = (part, whole) => whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+  const variants = campaign.variants.map(variant => {
+    const stats = statsByVariant.get(variant.variantId) || { calls: 0, connectedCalls: 0, totalDuration: 0 };
+    const leads = leadsByVariant.get(variant.variantId) || 0;
+    return {
+      variantId: variant.variantId,
+      name: variant.name,
+      assistantId: variant.assistantId,
+      weight: variant.weight,
+      calls: stats.calls,
+      connectedCalls: stats.connectedCalls,
+      connectRate: percentage(stats.connectedCalls, stats.calls),
+      averageDuration: stats.connectedCalls > 0 ? Math.round(stats.totalDuration / stats.connectedCalls) : 0, // Seconds per connected call
+      totalCost: stats.totalDuration,
+      leads,
+      leadRate: percentage(leads, stats.calls),
+      costPerLead: leads > 0 ? Math.round((stats.totalDuration / leads) * 100) / 100 : 0
+    };
+  });
+
+  const control = variants[0];
+  variants.forEach((variant, index) => {
+    variant.isControl = index === 0;
+    if (index === 0) return;
+    variant.significance = {
+      vsVariant: control.variantId,
+      leadRate: compareProportions({ successes: variant.leads, trials: variant.calls }, { successes: control.leads, trials: control.calls }),
+      connectRate: compareProportions({ successes: variant.connectedCalls, trials: variant.calls }, { successes: control.connectedCalls, trials: control.calls })
+    };
+  });
+
+  // Leading variant: the best challenger that beats the control significantly on lead rate,
+  // or the control once every challenger is significantly worse - null while undecided
+  const challengers = variants.slice(1);
+  const significantWinner = challengers
+    .filter(variant => variant.significance.leadRate.indicator === 'better')
+    .sort((a, b) => b.leadRate - a.leadRate)[0];
+  let leadingVariant = significantWinner ? significantWinner.variantId : null;
+  if (!leadingVariant && challengers.length > 0 && challengers.every(variant => variant.significance.leadRate.indicator === 'worse')) {
+    leadingVariant = control.variantId;
+  }
+
+  return { variants, leadingVariant };
+}
+
 // Client Analytics - Monthly expenditure and overall statistics
 async function getClientAnalytics(clientId, months = 12) {
   try {
@@ -3265,6 +3710,10 @@ async function getClientAnalytics(clientId, months = 12) {
     getCampaignProgress,
     getCampaignState,
     processEnhancedCampaign,
+    updateCampaignPauseReason,
+    // Calling-hours windows
+    updateCampaignCallingHours,
+    resumeCampaignsDueForCallingWindow,
     // Balance validation functions
     validateClientBalance,
     getCurrentClientBalance,
@@ -1,6 +1,10 @@
 const pinoHttp = require('pino-http');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const { redactText, redactValue } = require('../apps/helper/piiRedaction');
+
+// Mask phone numbers, emails, PAN, Aadhaar and card numbers in logged URLs and bodies (PII_LOG_REDACTION=false to turn off)
+const REDACT_PII = process.env.PII_LOG_REDACTION !== 'false';
 
 // Paths to skip logging entirely (health checks, probes)
 const SKIP_PATHS = new Set([
@@ -17,7 +21,7 @@ const SAMPLED_PATHS = new Set([
   '/plivo/callback-url', '/plivo/ring-url', '/plivo/hangup-url',
   '/plivo/callback-record-url',
   '/twilio/callback-url', '/twilio/status-callback',
-  '/exotel/callback-url'
+  '/exotel/callback-url', '/sip/events'
 ]);
 
 const SAMPLE_RATE = parseFloat(process.env.LOG_SAMPLE_RATE) || 0.1;
@@ -38,7 +42,11 @@ function sanitizeBody(body) {
   if (sanitized.user && sanitized.user.apiKey) {
     sanitized.user = { ...sanitized.user, apiKey: '[REDACTED]' };
   }
-  return sanitized;
+  return REDACT_PII ? redactValue(sanitized) : sanitized;
+}
+
+function logUrl(req) {
+  return REDACT_PII ? redactText(req.url).text : req.url;
 }
 
 const apiLogger = pinoHttp({
@@ -57,18 +65,18 @@ const apiLogger = pinoHttp({
   },
 
   customSuccessMessage: (req, res) => {
-    return `${req.method} ${req.url} ${res.statusCode}`;
+    return `${req.method} ${logUrl(req)} ${res.statusCode}`;
   },
 
   customErrorMessage: (req, res, err) => {
-    return `${req.method} ${req.url} ${res.statusCode} - ${err.message}`;
+    return `${req.method} ${logUrl(req)} ${res.statusCode} - ${err.message}`;
   },
 
   // Minimal request/response serialization
   serializers: {
     req: (req) => ({
       method: req.method,
-      url: req.url,
+      url: logUrl(req),
     }),
     res: (res) => ({
       statusCode: res.statusCode,
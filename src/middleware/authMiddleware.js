@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const { connectToMongo, client } = require('../../models/mongodb.js');
 const { ObjectId } = require('mongodb');
+const { redactValue } = require('../apps/helper/piiRedaction');
+const { hasPermission } = require('../apps/helper/teamRoles');
 
 // Progressive delay system for login attempts
 const loginAttempts = new Map(); // In-memory store for login attempts
@@ -61,6 +63,50 @@ setInterval(() => {
   }
 }, 10 * 60 * 1000);
 
+// Load the user behind a JWT - the client account (owner) or one of its team members.
+// Members are re-read on every request so role changes and disabling apply immediately.
+const resolveRequestUser = async (decoded) => {
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+
+  const clientData = await database.collection("client").findOne({
+    _id: new ObjectId(decoded.clientId)
+  });
+  if (!clientData) {
+    return null;
+  }
+
+  const user = {
+    clientId: clientData._id.toString(),
+    email: clientData.email,
+    name: clientData.name,
+    company: clientData.company,
+    tokens: clientData.tokens || 0,
+    isActive: clientData.isActive !== false,
+    role: 'owner',
+    memberId: null
+  };
+
+  if (decoded.memberId) {
+    if (!ObjectId.isValid(decoded.memberId)) {
+      return null;
+    }
+    const member = await database.collection("teamMembers").findOne({
+      _id: new ObjectId(decoded.memberId),
+      clientId: user.clientId
+    });
+    if (!member || member.status !== 'active') {
+      return null;
+    }
+    user.memberId = member._id.toString();
+    user.email = member.email;
+    user.name = member.name || member.email;
+    user.role = member.role;
+  }
+
+  return user;
+};
+
 // JWT Authentication middleware
 const authenticateToken = async (req, res, next) => {
   try {
@@ -78,15 +124,9 @@ const authenticateToken = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
     // Get fresh user data from database
-    await connectToMongo();
-    const database = client.db("talkGlimpass");
-    const collection = database.collection("client");
-    
-    const clientData = await collection.findOne({ 
-      _id: new ObjectId(decoded.clientId) 
-    });
+    const user = await resolveRequestUser(decoded);
 
-    if (!clientData) {
+    if (!user) {
       return res.status(403).json({ 
         error: 'Invalid token',
         message: 'User not found or token expired'
@@ -94,14 +134,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     // Add user data to request object
-    req.user = {
-      clientId: clientData._id.toString(),
-      email: clientData.email,
-      name: clientData.name,
-      company: clientData.company,
-      tokens: clientData.tokens || 0,
-      isActive: clientData.isActive !== false
-    };
+    req.user = user;
 
     // Check if user is active
     if (!req.user.isActive) {
@@ -160,6 +193,24 @@ const validateResourceOwnership = (req, res, next) => {
   next();
 };
 
+// Role-based access control - the authenticated user's role must grant the permission (see helper/teamRoles.js).
+// Super key callers are not subject to roles.
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (req.superKeyAuth) {
+      return next();
+    }
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `Your role (${req.user?.role || 'unknown'}) is not allowed to do this`,
+        requiredPermission: permission
+      });
+    }
+    next();
+  };
+};
+
 // Token balance checking and deduction
 const checkTokenBalance = (cost = 1) => {
   return async (req, res, next) => {
@@ -245,13 +296,16 @@ const auditLog = async (req, res, next) => {
   try {
     const logEntry = {
       clientId: req.user?.clientId,
-      email: req.user?.email,
+      email: req.user?.email, // The person acting - a team member's own email, not the client's
+      memberId: req.user?.memberId || null,
+      role: req.superKeyAuth ? 'superadmin' : req.user?.role,
       method: req.method,
       path: req.path,
       ip: req.ip,
       userAgent: req.get('User-Agent'),
       timestamp: new Date(),
-      body: req.method === 'POST' ? req.body : undefined
+      query: Object.keys(req.query || {}).length > 0 ? redactValue(req.query) : undefined,
+      body: req.method === 'POST' ? redactValue(req.body) : undefined
     };
     
     await connectToMongo();
@@ -329,15 +383,9 @@ const authenticateJWTOrSuperKey = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
       // Get fresh user data from database
-      await connectToMongo();
-      const database = client.db("talkGlimpass");
-      const collection = database.collection("client");
-
-      const clientData = await collection.findOne({
-        _id: new ObjectId(decoded.clientId)
-      });
+      const user = await resolveRequestUser(decoded);
 
-      if (!clientData) {
+      if (!user) {
         return res.status(403).json({
           error: 'Invalid token',
           message: 'User not found or token expired'
@@ -345,14 +393,7 @@ const authenticateJWTOrSuperKey = async (req, res, next) => {
       }
 
       // Add user data to request object
-      req.user = {
-        clientId: clientData._id.toString(),
-        email: clientData.email,
-        name: clientData.name,
-        company: clientData.company,
-        tokens: clientData.tokens || 0,
-        isActive: clientData.isActive !== false
-      };
+      req.user = user;
 
       // Check if user is active
       if (!req.user.isActive) {
@@ -426,6 +467,7 @@ module.exports = {
   authenticateJWTOrSuperKey,
   validateResourceOwnership,
   validateResourceOwnershipDual,
+  requirePermission,
   checkTokenBalance,
   deductTokens,
   auditLog
@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const plivo = require('plivo');
+const twilio = require('twilio');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const TelephonyCredentialsService = require('../services/telephonyCredentialsService');
+const { getNumberLookupVariants } = require('../apps/helper/phoneNumber.js');
+
+/**
+ * Webhook Signature Verification
+ *
+ * Provider callbacks drive call tracking and billing, so each one must prove it came
+ * from the provider account that placed the call:
+ * - Plivo:  X-Plivo-Signature-V3, checked with the Plivo SDK's validateV3Signature
+ * - Twilio: X-Twilio-Signature, checked with the Twilio SDK's validateRequest
+ * - Exotel: Exotel does not sign callbacks, so the callback URL we hand to Exotel carries
+ *   an HMAC of its path and query (clientId, callUUID, expiry - see buildExotelCallbackUrl)
+ *   which is checked on receipt. Applet URLs (Voicebot/Connect dynamic URLs) are configured once in the
+ *   Exotel app, so they carry a static per-account signature instead (see buildExotelAppletUrl)
+ * - SIP:    same signed-URL scheme for the customer's SIP/ARI gateway (see buildSipCallbackUrl)
+ *
+ * The signing key is the auth token of the client that owns the call (TelephonyCredentialsService),
+ * with the system account as fallback for calls placed on platform numbers.
+ *
+ * Mode (WEBHOOK_SIGNATURE_MODE):
+ * - enforce: reject unsigned/invalid requests with 403 (default)
+ * - report:  verify and audit, but let the request through
+ * - off:     skip verification entirely - local testing only, ignored in production
+ *
+ * Every failed verification is written to the `webhookSignatureAudit` collection.
+ */
+
+const AUDIT_COLLECTION = 'webhookSignatureAudit';
+const VERIFICATION_MODES = ['enforce', 'report', 'off'];
+const CALLBACK_URL_TTL_HOURS = parseInt(process.env.CALLBACK_URL_TTL_HOURS) || 24;
+
+function getVerificationMode() {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const configured = (process.env.WEBHOOK_SIGNATURE_MODE || '').toLowerCase();
+
+  if (configured === 'off' && isProduction) {
+    console.warn('⚠️ WEBHOOK_SIGNATURE_MODE=off is not allowed in production - enforcing signatures');
+    return 'enforce';
+  }
+  if (VERIFICATION_MODES.includes(configured)) {
+    return configured;
+  }
+  return 'enforce';
+}
+
+// Public URL the provider called (webhook URLs are always built from BASE_URL)
+function getWebhookUrl(req) {
+  const baseUrl = (process.env.BASE_URL || 'https://application.glimpass.com').replace(/\/$/, '');
+  return `${baseUrl}${req.originalUrl}`;
+}
+
+function safeCompare(expected, received) {
+  if (!expected || !received) return false;
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+function toValueList(value) {
+  return (Array.isArray(value) ? value : [value]).map(item => (item === undefined || item === null ? '' : String(item)));
+}
+
+// =============================================================================
+// SIGNATURE SCHEMES
+// =============================================================================
+
+/**
+ * Signed-URL callback token (Exotel, SIP gateways) - HMAC of the callback path and every query
+ * parameter except sig (clientId, callUUID, exp, ...), so a URL can't be moved to another call
+ * @returns {string} Hex HMAC-SHA256
+ */
+function computeCallbackUrlToken(path, params, authToken) {
+  const query = Object.keys(params || {}).filter(key => key !== 'sig').sort()
+    .map(key => `${key}=${toValueList(params[key]).join(',')}`)
+    .join('&');
+  return crypto.createHmac('sha256', authToken).update(`${path}|${query}`).digest('hex');
+}
+
+/**
+ * Static applet URL token - HMAC of the path only, since Exotel appends its own query parameters
+ * (CallSid, CustomField, ...) to the dynamic URL configured in the app
+ * @returns {string} Hex HMAC-SHA256
+ */
+function computeAppletUrlToken(path, authToken) {
+  return crypto.createHmac('sha256', authToken).update(`${path}|applet`).digest('hex');
+}
+
+// =============================================================================
+// CLIENT + CREDENTIAL RESOLUTION
+// =============================================================================
+
+/**
+ * Resolve the client that owns the call a webhook refers to
+ * Outbound calls are tracked in activeCalls; incoming calls are matched on the dialed number.
+ */
+async function resolveWebhookClientId(lookup) {
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+
+  if (lookup.callUUID || lookup.twilioCallSid) {
+    const query = lookup.twilioCallSid ? { twilioCallSid: lookup.twilioCallSid } : { callUUID: lookup.callUUID };
+    const callRecord = await database.collection("activeCalls").findOne(query, { projection: { clientId: 1 } });
+    if (callRecord?.clientId) return callRecord.clientId.toString();
+  }
+
+  if (lookup.exotelCallSid) {
+    const callRecord = await database.collection("activeCalls").findOne({ exotelCallSid: lookup.exotelCallSid }, { projection: { clientId: 1 } });
+    if (callRecord?.clientId) return callRecord.clientId.toString();
+  }
+
+  if (lookup.assistantId && /^[0-9a-fA-F]{24}$/.test(lookup.assistantId)) {
+    const { ObjectId } = require('mongodb');
+    const assistant = await database.collection("assistant").findOne(
+      { _id: new ObjectId(lookup.assistantId) },
+      { projection: { clientId: 1 } }
+    );
+    if (assistant?.clientId) return assistant.clientId.toString();
+  }
+
+  if (lookup.calledNumber) {
+    const possibleNumbers = getNumberLookupVariants(String(lookup.calledNumber));
+    const owner = await database.collection("client").findOne(
+      { $or: [{ incomingSet: { $in: possibleNumbers } }, { callerNumbers: { $in: possibleNumbers } }] },
+      { projection: { _id: 1 } }
+    );
+    if (owner) return owner._id.toString();
+  }
+
+  return null;
+}
+
+/**
+ * Auth tokens a webhook may be signed with: the client's own account first, then the system account
+ */
+async function getCandidateTokens(provider, clientId) {
+  const tokens = [];
+
+  if (clientId) {
+    const credentials = await TelephonyCredentialsService.getCredentials(clientId, provider);
+    if (credentials?.isClientSpecific && credentials.authToken) {
+      tokens.push(credentials.authToken);
+    }
+  }
+
+  const systemCredentials = TelephonyCredentialsService.getSystemDefaultCredentials(provider, clientId);
+  if (systemCredentials?.authToken && systemCredentials.authToken !== 'default_token' && !tokens.includes(systemCredentials.authToken)) {
+    tokens.push(systemCredentials.authToken);
+  }
+
+  return tokens;
+}
+
+// =============================================================================
+// REJECTION HANDLING
+// =============================================================================
+
+function recordSignatureFailure(req, details) {
+  const entry = {
+    provider: details.provider,
+    path: req.path,
+    url: getWebhookUrl(req),
+    reason: details.reason,
+    mode: details.mode,
+    action: details.mode === 'enforce' ? 'rejected' : 'allowed',
+    clientId: details.clientId || null,
+    callUUID: details.callUUID || null,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    timestamp: new Date()
+  };
+
+  connectToMongo()
+    .then(() => client.db("talkGlimpass").collection(AUDIT_COLLECTION).insertOne(entry))
+    .catch(error => console.error('Webhook signature audit error:', error));
+}
+
+/**
+ * Build a verification middleware around a provider-specific check
+ * @param {string} provider - Provider name for logs/audit
+ * @param {Function} verify - async (req) => { valid, reason, clientId, callUUID }
+ */
+function createWebhookVerifier(provider, verify) {
+  return async (req, res, next) => {
+    const mode = getVerificationMode();
+    if (mode === 'off') {
+      return next();
+    }
+
+    let result;
+    try {
+      result = await verify(req);
+    } catch (error) {
+      console.error(`❌ Error verifying ${provider} webhook signature:`, error);
+      result = { valid: false, reason: 'verification_error' };
+    }
+
+    if (result.valid) {
+      return next();
+    }
+
+    recordSignatureFailure(req, { provider, mode, ...result });
+
+    if (mode === 'report') {
+      console.warn(`⚠️ ${provider} webhook signature check failed on ${req.path} (${result.reason}) - allowed in report mode`);
+      return next();
+    }
+
+    console.error(`🚫 Rejected ${provider} webhook on ${req.path}: ${result.reason}`);
+    return res.status(403).json({ message: 'Invalid webhook signature' });
+  };
+}
+
+// =============================================================================
+// PROVIDER MIDDLEWARE
+// =============================================================================
+
+const verifyPlivoWebhook = createWebhookVerifier('plivo', async (req) => {
+  const signature = req.get('X-Plivo-Signature-V3');
+  const nonce = req.get('X-Plivo-Signature-V3-Nonce');
+  const callUUID = req.body?.CallUUID;
+
+  if (!signature || !nonce) {
+    return { valid: false, reason: 'missing_signature', callUUID };
+  }
+
+  const clientId = await resolveWebhookClientId({
+    callUUID,
+    assistantId: req.query.assistantId || req.query.tag,
+    calledNumber: req.body?.To
+  });
+  const tokens = await getCandidateTokens('plivo', clientId);
+  const url = getWebhookUrl(req);
+  // GET callbacks carry their parameters in the URL itself
+  const params = req.method === 'POST' ? (req.body || {}) : {};
+
+  const valid = req.method === 'POST' || req.method === 'GET'
+    ? tokens.some(token => plivo.validateV3Signature(req.method, url, nonce, token, signature, params))
+    : false;
+
+  return { valid, reason: valid ? null : 'signature_mismatch', clientId, callUUID };
+});
+
+const verifyTwilioWebhook = createWebhookVerifier('twilio', async (req) => {
+  const signature = req.get('X-Twilio-Signature');
+  const callSid = req.body?.CallSid;
+
+  if (!signature) {
+    return { valid: false, reason: 'missing_signature', callUUID: callSid };
+  }
+
+  const clientId = await resolveWebhookClientId({ twilioCallSid: callSid, calledNumber: req.body?.To });
+  const tokens = await getCandidateTokens('twilio', clientId);
+  const url = getWebhookUrl(req);
+
+  const params = req.method === 'POST' ? (req.body || {}) : {};
+
+  const valid = tokens.some(token => twilio.validateRequest(token, signature, url, params));
+  return { valid, reason: valid ? null : 'signature_mismatch', clientId, callUUID: callSid };
+});
+
+/**
+ * Check the parameters of a signed URL (buildSignedCallbackUrl) against its path
+ * Also used outside Express, e.g. for media stream WebSockets that carry the parameters in their start message.
+ * @param {string} provider - Provider whose auth token signs the URL
+ * @param {string} path - Route path the URL was signed for
+ * @param {Object} params - Query parameters (clientId, exp, sig, ...)
+ * @returns {Promise<{valid: boolean, reason: string|null, clientId: string|null}>}
+ */
+async function verifySignedUrlParams(provider, path, params) {
+  const token = params.sig;
+  const clientId = params.clientId || null;
+
+  if (!token) {
+    return { valid: false, reason: 'missing_signature', clientId };
+  }
+
+  const expiresAt = parseInt(params.exp);
+  if (!expiresAt || expiresAt * 1000 < Date.now()) {
+    return { valid: false, reason: 'expired_signature', clientId };
+  }
+
+  const tokens = await getCandidateTokens(provider, clientId);
+  const valid = tokens.some(authToken => safeCompare(computeCallbackUrlToken(path, params, authToken), token));
+  return { valid, reason: valid ? null : 'signature_mismatch', clientId };
+}
+
+/**
+ * Verifier for callbacks authenticated by a signed URL (?clientId=&sig=)
+ * @param {string} provider - Provider whose auth token signs the URL
+ * @param {Function} getCallUUID - (req) => call identifier for the audit log
+ */
+function createSignedUrlVerifier(provider, getCallUUID) {
+  return createWebhookVerifier(provider, async (req) => {
+    const result = await verifySignedUrlParams(provider, req.baseUrl + req.path, req.query);
+    return { ...result, callUUID: getCallUUID(req) || null };
+  });
+}
+
+const verifyExotelWebhook = createSignedUrlVerifier('exotel', req => req.body?.CallSid || req.body?.call_sid);
+
+/**
+ * Exotel applet requests (GET /exotel/voicebot-url, /exotel/transfer-destination): the static
+ * signature must come from the Exotel account of the client that owns the call asked about
+ */
+const verifyExotelApplet = createWebhookVerifier('exotel', async (req) => {
+  const token = req.query.sig;
+  const callUUID = req.query.CustomField || req.query.CallSid || null;
+
+  if (!token) {
+    return { valid: false, reason: 'missing_signature', callUUID };
+  }
+
+  const clientId = await resolveWebhookClientId({ callUUID: req.query.CustomField, exotelCallSid: req.query.CallSid });
+  const tokens = await getCandidateTokens('exotel', clientId);
+  const valid = tokens.some(authToken => safeCompare(computeAppletUrlToken(req.baseUrl + req.path, authToken), token));
+  return { valid, reason: valid ? null : 'signature_mismatch', clientId, callUUID };
+});
+
+const verifySipWebhook = createSignedUrlVerifier('sip', req => req.query.callUUID || req.body?.callUUID || req.body?.channel?.id);
+
+/**
+ * Signed callback URL for a provider that doesn't sign its own callbacks
+ * The signature covers every query parameter and expires after CALLBACK_URL_TTL_HOURS (default 24).
+ * @param {string} provider - Provider whose auth token signs the URL
+ * @param {string} path - Route path, e.g. '/exotel/call-back'
+ * @param {string} clientId - Client that owns the call
+ * @param {Object} extraParams - Query parameters to add and sign (e.g. callUUID)
+ * @param {Object} options - { ttlHours } to outlive the default expiry
+ * @returns {Promise<string>}
+ */
+async function buildSignedCallbackUrl(provider, path, clientId = null, extraParams = {}, { ttlHours = CALLBACK_URL_TTL_HOURS } = {}) {
+  const baseUrl = (process.env.BASE_URL || 'https://application.glimpass.com').replace(/\/$/, '');
+  const params = new URLSearchParams(extraParams);
+  const [authToken] = await getCandidateTokens(provider, clientId);
+  if (!authToken) {
+    console.warn(`⚠️ No ${provider} auth token configured - callback URL will be unsigned`);
+    const query = params.toString();
+    return query ? `${baseUrl}${path}?${query}` : `${baseUrl}${path}`;
+  }
+
+  if (clientId) params.set('clientId', clientId.toString());
+  params.set('exp', String(Math.floor(Date.now() / 1000) + ttlHours * 3600));
+  params.set('sig', computeCallbackUrlToken(path, Object.fromEntries(params), authToken));
+  return `${baseUrl}${path}?${params.toString()}`;
+}
+
+/**
+ * Signed callback URL to hand to Exotel for a call or a client's campaign
+ * @param {string} path - Route path, e.g. '/exotel/call-back'
+ * @param {string} clientId - Client that owns the call/campaign
+ * @param {Object} options - { callUUID } to bind the URL to one call, { ttlHours } for long-running campaigns
+ * @returns {Promise<string>}
+ */
+function buildExotelCallbackUrl(path, clientId = null, { callUUID, ttlHours } = {}) {
+  return buildSignedCallbackUrl('exotel', path, clientId, callUUID ? { callUUID } : {}, ttlHours ? { ttlHours } : {});
+}
+
+/**
+ * Signed dynamic URL to configure in an Exotel app's applet (doesn't expire - it's set once per app)
+ * @param {string} path - Route path, e.g. '/exotel/voicebot-url'
+ * @param {string} clientId - Client whose Exotel account runs the app (null = platform account)
+ * @returns {Promise<string|null>} null when the account has no auth token to sign with
+ */
+async function buildExotelAppletUrl(path, clientId = null) {
+  const baseUrl = (process.env.BASE_URL || 'https://application.glimpass.com').replace(/\/$/, '');
+  const [authToken] = await getCandidateTokens('exotel', clientId);
+  if (!authToken) return null;
+  return `${baseUrl}${path}?sig=${computeAppletUrlToken(path, authToken)}`;
+}
+
+/**
+ * Signed URL the SIP gateway calls back on for one call (stream instruction, call events)
+ * @param {string} path - Route path, e.g. '/sip/events'
+ * @param {string} clientId - Client that owns the call
+ * @param {string} callUUID - Our call UUID (also the ARI channel id)
+ * @returns {Promise<string>}
+ */
+function buildSipCallbackUrl(path, clientId, callUUID) {
+  return buildSignedCallbackUrl('sip', path, clientId, { callUUID });
+}
+
+module.exports = {
+  verifyPlivoWebhook,
+  verifyTwilioWebhook,
+  verifyExotelWebhook,
+  verifyExotelApplet,
+  verifySipWebhook,
+  createSignedUrlVerifier,
+  verifySignedUrlParams,
+  buildSignedCallbackUrl,
+  buildExotelCallbackUrl,
+  buildExotelAppletUrl,
+  buildSipCallbackUrl
+};
@@ -0,0 +1,262 @@
+/**
+ * Assistant Version Router
+ * Version history of assistant configuration: list, inspect, diff and roll back versions, plus
+ * the endpoint the bot uses to resolve the config a call should run (campaign pins included)
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  authenticateSuperKey,
+  authenticateJWTOrSuperKey,
+  requirePermission,
+  auditLog
+} = require('../middleware/authMiddleware');
+const {
+  listAssistantVersions,
+  getAssistantVersion,
+  diffAssistantVersions,
+  rollbackAssistant,
+  getEffectiveAssistantConfig
+} = require('../services/assistantVersionService');
+const { validateChangeNote } = require('../apps/helper/assistantVersioning');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Assistant Versions
+ *   description: Immutable version history of assistant configuration, with diff and rollback
+ */
+
+const sendServerError = (res, error) => {
+  res.status(500).json({
+    success: false,
+    status: 500,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+// Super key callers may access any assistant; JWT callers only their own
+const resolveClientScope = (req) => (req.superKeyAuth ? null : req.user.clientId);
+
+const authorOf = (req) => (req.superKeyAuth ? 'superadmin' : req.user.email);
+
+/**
+ * @swagger
+ * /assistants/{assistantId}/versions:
+ *   get:
+ *     tags: [Assistant Versions]
+ *     summary: Version history of an assistant
+ *     description: Newest first, without snapshots. Every create, update, prompt edit and rollback adds a version with its author, change note and source.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assistantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Versions
+ *       404:
+ *         description: Assistant not found
+ */
+router.get('/:assistantId/versions', authenticateJWTOrSuperKey, async (req, res) => {
+  try {
+    const result = await listAssistantVersions(req.params.assistantId, resolveClientScope(req), req.query);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error listing assistant versions:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /assistants/{assistantId}/versions/diff:
+ *   get:
+ *     tags: [Assistant Versions]
+ *     summary: Field-by-field diff between two versions
+ *     description: Nested fields are compared by dotted path (e.g. payload.agent_prompts.task_1.system_prompt); each change is added, removed or modified.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assistantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           default: current
+ *         description: Version number, or "current" for the live assistant
+ *     responses:
+ *       200:
+ *         description: Diff
+ *       400:
+ *         description: Invalid version numbers
+ *       404:
+ *         description: Version not found
+ */
+router.get('/:assistantId/versions/diff', authenticateJWTOrSuperKey, async (req, res) => {
+  try {
+    const result = await diffAssistantVersions(
+      req.params.assistantId,
+      req.query.from,
+      req.query.to || 'current',
+      resolveClientScope(req)
+    );
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error diffing assistant versions:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /assistants/{assistantId}/versions/{version}:
+ *   get:
+ *     tags: [Assistant Versions]
+ *     summary: One version with its full snapshot
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assistantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Version
+ *       404:
+ *         description: Version not found
+ */
+router.get('/:assistantId/versions/:version', authenticateJWTOrSuperKey, async (req, res) => {
+  try {
+    const result = await getAssistantVersion(req.params.assistantId, req.params.version, resolveClientScope(req));
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching assistant version:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /assistants/{assistantId}/rollback:
+ *   post:
+ *     tags: [Assistant Versions]
+ *     summary: Roll an assistant back to an earlier version
+ *     description: Restores the version's configuration as a new version - history is never rewritten, so a rollback can itself be rolled back.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assistantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [version]
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 example: 3
+ *               changeNote:
+ *                 type: string
+ *                 example: "Revert the pricing script change"
+ *     responses:
+ *       200:
+ *         description: Rolled back
+ *       400:
+ *         description: Invalid version or change note
+ *       404:
+ *         description: Assistant or version not found
+ */
+router.post('/:assistantId/rollback', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
+  try {
+    const noteCheck = validateChangeNote(req.body?.changeNote);
+    if (!noteCheck.valid) {
+      return res.status(400).json({ success: false, status: 400, message: noteCheck.error });
+    }
+
+    const result = await rollbackAssistant(req.params.assistantId, req.body?.version, {
+      clientId: resolveClientScope(req),
+      author: authorOf(req),
+      note: noteCheck.value
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error rolling back assistant:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /assistants/{assistantId}/config:
+ *   get:
+ *     tags: [Assistant Versions]
+ *     summary: Config the bot should run for a call
+ *     description: For bot services (Super Key). With the call's campaign ID (campId stream header), returns the campaign's pinned version of the assistant; otherwise the live assistant with its latest version number.
+ *     security:
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assistantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ assistantId, version, pinned, config }"
+ *       404:
+ *         description: Assistant not found
+ */
+router.get('/:assistantId/config', authenticateSuperKey, async (req, res) => {
+  try {
+    const result = await getEffectiveAssistantConfig(req.params.assistantId, req.query.campaignId || null);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error resolving assistant config:', error);
+    sendServerError(res, error);
+  }
+});
+
+module.exports = router;
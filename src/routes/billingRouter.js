@@ -2,12 +2,11 @@ const express = require('express');
 const router = express.Router();
 const {
   getCallDetails,
-  needsIncomingAggregation,
-  aggregateIncomingCallsSince,
-  saveAggregationToBillingHistory,
+  runIncomingAggregation,
   reconcileFinishedCampaigns,
   computeRunningCampaignRows
 } = require('../apps/billing/billingCore');
+const { getLedgerStatement } = require('../apps/billing/creditLedger');
 const { 
   getClientByClientId
 } = require('../apps/interLogue/client');
@@ -16,7 +15,8 @@ const {
 } = require('../apps/exotel/exotel');
 const { 
   authenticateToken, 
-  validateResourceOwnership 
+  validateResourceOwnership, 
+  requirePermission 
 } = require('../middleware/authMiddleware');
 
 /**
@@ -35,7 +35,7 @@ const balanceConnections = new Map(); // clientId -> Set of response objects
  *   get:
  *     tags: [Billing System]
  *     summary: Real-time balance stream via Server-Sent Events
- *     description: Establishes SSE connection for real-time balance updates. Authentication via token query parameter since SSE cannot send headers.
+ *     description: Establishes SSE connection for real-time balance updates. Authentication via token query parameter since SSE cannot send headers. Each event carries the ledger balance, the credits reserved (held) by calls in progress, and the available (balance - reserved) credits that new calls can use.
  *     parameters:
  *       - in: path
  *         name: clientId
@@ -56,7 +56,7 @@ const balanceConnections = new Map(); // clientId -> Set of response objects
  *           text/event-stream:
  *             schema:
  *               type: string
- *               example: "data: {\"balance\": 1500, \"timestamp\": \"2024-01-15T10:30:00Z\"}\n\n"
+ *               example: "data: {\"balance\": 1500, \"reserved\": 240, \"available\": 1260, \"timestamp\": \"2024-01-15T10:30:00Z\"}\n\n"
  *       401:
  *         description: Unauthorized
  *       404:
@@ -114,8 +114,11 @@ router.get('/stream/balance/:clientId', async (req, res) => {
     });
     
     // Send initial balance
+    const reserved = clientData.reservedBalance || 0;
     const initialBalance = {
       balance: clientData.availableBalance || 0,
+      reserved,
+      available: (clientData.availableBalance || 0) - reserved,
       timestamp: new Date().toISOString(),
       type: 'initial'
     };
@@ -218,7 +221,7 @@ router.get('/stream/balance/:clientId', async (req, res) => {
  *       500:
  *         description: Internal server error
  */
-router.get('/call-details/:clientId', authenticateToken, validateResourceOwnership, async (req, res) => {
+router.get('/call-details/:clientId', authenticateToken, validateResourceOwnership, requirePermission('billing:view'), async (req, res) => {
   const { clientId } = req.params;
   const { cursor, limit = 100 } = req.query;
   
@@ -290,56 +293,13 @@ router.get('/call-details/:clientId', authenticateToken, validateResourceOwnersh
  *       500:
  *         description: Internal server error
  */
-router.get('/aggregated/:clientId', authenticateToken, validateResourceOwnership, async (req, res) => {
+router.get('/aggregated/:clientId', authenticateToken, validateResourceOwnership, requirePermission('billing:view'), async (req, res) => {
   const { clientId } = req.params;
   
   try {
-    let aggregationPerformed = false;
-    let aggregationDetails = null;
-    
-    // Check if incoming call aggregation is needed
-    const aggregationCheck = await needsIncomingAggregation(clientId);
-    
-    if (aggregationCheck.needed) {
-      console.log(`🔄 Performing incoming call aggregation for client ${clientId}`);
-      
-      // Aggregate incoming calls since last aggregation
-      const aggregationResult = await aggregateIncomingCallsSince(
-        clientId, 
-        aggregationCheck.lastAggregationTime
-      );
-      
-      if (aggregationResult.success && aggregationResult.totalCalls > 0) {
-        // Save aggregation to billing history
-        const title = `Incoming Calls (${aggregationResult.startTime.toLocaleDateString()} - ${aggregationResult.endTime.toLocaleDateString()})`;
-        
-        const saveResult = await saveAggregationToBillingHistory({
-          clientId,
-          type: 'incoming',
-          title,
-          totalCalls: aggregationResult.totalCalls,
-          totalCredits: aggregationResult.totalCredits,
-          totalDuration: aggregationResult.totalDuration,
-          startTime: aggregationResult.startTime,
-          endTime: aggregationResult.endTime
-        });
-        
-        if (saveResult.success) {
-          aggregationPerformed = true;
-          aggregationDetails = {
-            totalCalls: aggregationResult.totalCalls,
-            totalCredits: aggregationResult.totalCredits,
-            totalDuration: aggregationResult.totalDuration,
-            period: {
-              start: aggregationResult.startTime,
-              end: aggregationResult.endTime
-            }
-          };
-          
-          console.log(`✅ Incoming call aggregation completed: ${aggregationResult.totalCalls} calls, ${aggregationResult.totalCredits} credits`);
-        }
-      }
-    }
+    // Aggregate incoming calls into billing history when the window has passed
+    // (the incoming-billing-aggregation background job does the same for clients nobody is viewing)
+    const { aggregationPerformed, aggregationDetails, aggregationCheck } = await runIncomingAggregation(clientId);
     
     // Self-healing campaign reconciliation: find finalized-but-unbilled campaigns and write
     // a single billingHistory entry for each. Idempotent via atomic isBalanceUpdated lock.
@@ -408,9 +368,10 @@ router.get('/aggregated/:clientId', authenticateToken, validateResourceOwnership
  * Utility function to broadcast balance updates to connected SSE clients
  * @param {string} clientId - Client ID
  * @param {number} newBalance - Updated balance
- * @param {string} changeType - Type of change (call_end, payment, etc.)
+ * @param {string} changeType - Type of change (call_end, payment, credits_reserved, etc.)
+ * @param {number} reserved - Credits held by calls in progress (omitted when unchanged/unknown)
  */
-function broadcastBalanceUpdate(clientId, newBalance, changeType = 'balance_update') {
+function broadcastBalanceUpdate(clientId, newBalance, changeType = 'balance_update', reserved = undefined) {
   if (balanceConnections.has(clientId)) {
     const connections = balanceConnections.get(clientId);
     const updateData = {
@@ -418,6 +379,10 @@ function broadcastBalanceUpdate(clientId, newBalance, changeType = 'balance_upda
       timestamp: new Date().toISOString(),
       type: changeType
     };
+    if (reserved !== undefined) {
+      updateData.reserved = reserved;
+      updateData.available = newBalance - reserved;
+    }
     
     const message = `data: ${JSON.stringify(updateData)}\n\n`;
     
@@ -480,7 +445,7 @@ function broadcastBalanceUpdate(clientId, newBalance, changeType = 'balance_upda
  *       500:
  *         description: Internal server error
  */
-router.post('/update-ai-credits', authenticateToken, async (req, res) => {
+router.post('/update-ai-credits', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
   const { callUuid, aiCredits } = req.body;
   
   try {
@@ -520,6 +485,122 @@ router.post('/update-ai-credits', authenticateToken, async (req, res) => {
   }
 });
 
+function parseStatementDate(value, fallback, endOfDay = false) {
+  if (!value) return fallback;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  // Date-only "to" values cover the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @swagger
+ * /billing/ledger/statement/{clientId}:
+ *   get:
+ *     tags: [Billing System]
+ *     summary: Download a credit ledger statement for a date range
+ *     description: Every balance movement (top-ups, call debits, AI-credit adjustments, corrections) between from and to, with opening/closing balances and a running balance per entry
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Client ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Range start (defaults to the first day of the current month)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Range end, inclusive (defaults to now)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Ledger statement (CSV attachment or JSON)
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/ledger/statement/:clientId', authenticateToken, validateResourceOwnership, requirePermission('billing:view'), async (req, res) => {
+  const { clientId } = req.params;
+  const { format = 'csv' } = req.query;
+
+  try {
+    const now = new Date();
+    const from = parseStatementDate(req.query.from, new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)));
+    const to = parseStatementDate(req.query.to, now, true);
+
+    if (!from || !to || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range. Use ISO dates (YYYY-MM-DD) with from <= to.'
+      });
+    }
+
+    const result = await getLedgerStatement(clientId, from, to);
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to build ledger statement',
+        error: result.error
+      });
+    }
+
+    const statement = result.data;
+    if (format === 'json') {
+      return res.json({ success: true, ...statement });
+    }
+
+    const rows = [
+      ['Date', 'Entry Type', 'Description', 'Reference', 'Amount', 'Balance'],
+      [from, 'opening_balance', 'Opening balance', '', '', statement.openingBalance],
+      ...statement.entries.map(entry => [entry.date, entry.entryType, entry.description, entry.referenceId, entry.amount, entry.balance]),
+      [to, 'closing_balance', `Closing balance (credits ${statement.totalCredits}, debits ${statement.totalDebits})`, '', '', statement.closingBalance]
+    ];
+    if (statement.truncated) {
+      rows.push(['', '', 'Statement truncated - request a shorter date range', '', '', '']);
+    }
+
+    const fileName = `ledger-${clientId}-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(rows.map(row => row.map(toCsvValue).join(',')).join('\n'));
+
+  } catch (error) {
+    console.error('❌ Error downloading ledger statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
 // Export the broadcast function for use in other modules
 router.broadcastBalanceUpdate = broadcastBalanceUpdate;
 
@@ -9,6 +9,7 @@ const { getWatiConfigForBot } = require('../services/tools/watiService');
 const { getEmailConfigForBot } = require('../services/tools/emailService');
 const { getMcpConfigForBot } = require('../services/tools/mcpService');
 const { getScheduleCallConfigForBot } = require('../services/tools/scheduleCallService');
+const { getCallControlConfigForBot } = require('../services/tools/callControlToolService');
 
 /**
  * @swagger
@@ -57,7 +58,7 @@ const { getScheduleCallConfigForBot } = require('../services/tools/scheduleCallS
  *                         type: object
  *                       tool_type:
  *                         type: string
- *                         enum: [wati, gmail, generic_mcp]
+ *                         enum: [wati, gmail, schedule_call, call_control, generic_mcp]
  *                       tools:
  *                         type: array
  *       404:
@@ -68,11 +69,12 @@ router.get('/:agentId/mcp-config', authenticateSuperKey, auditLog, async (req, r
     const { agentId } = req.params;
 
     // Get all tool configurations in parallel
-    const [watiResult, emailResult, mcpResult, scheduleCallResult] = await Promise.all([
+    const [watiResult, emailResult, mcpResult, scheduleCallResult, callControlResult] = await Promise.all([
       getWatiConfigForBot(agentId),
       getEmailConfigForBot(agentId),
       getMcpConfigForBot(agentId),
-      getScheduleCallConfigForBot(agentId)
+      getScheduleCallConfigForBot(agentId),
+      getCallControlConfigForBot(agentId)
     ]);
 
     const mcpServers = [];
@@ -140,6 +142,26 @@ router.get('/:agentId/mcp-config', authenticateSuperKey, auditLog, async (req, r
       mcpServers.push(scheduleCallServer);
     }
 
+    // Process Call Control tools
+    if (callControlResult.success && callControlResult.call_control_tools?.length > 0) {
+      clientId = clientId || callControlResult.client_id;
+
+      const callControlServer = {
+        name: 'call-control-internal-server',
+        mcp_config: callControlResult.call_control_tools[0].mcp_config,
+        tool_type: 'call_control',
+        tools: callControlResult.call_control_tools.map(tool => ({
+          tool_id: tool.call_control_tool_id,
+          tool_name: tool.tool_name,
+          mcp_identifier: tool.mcp_identifier,
+          strategy: tool.strategy,
+          allowed_actions: tool.allowed_actions
+        }))
+      };
+
+      mcpServers.push(callControlServer);
+    }
+
     // Process Generic MCP tools
     if (mcpResult.success && mcpResult.mcp_tools?.length > 0) {
       clientId = clientId || mcpResult.client_id;
@@ -216,11 +238,12 @@ router.get('/:agentId/tools-summary', authenticateSuperKey, auditLog, async (req
     const { agentId } = req.params;
 
     // Get all tool configurations in parallel
-    const [watiResult, emailResult, mcpResult, scheduleCallResult] = await Promise.all([
+    const [watiResult, emailResult, mcpResult, scheduleCallResult, callControlResult] = await Promise.all([
       getWatiConfigForBot(agentId),
       getEmailConfigForBot(agentId),
       getMcpConfigForBot(agentId),
-      getScheduleCallConfigForBot(agentId)
+      getScheduleCallConfigForBot(agentId),
+      getCallControlConfigForBot(agentId)
     ]);
 
     const summary = {
@@ -253,6 +276,15 @@ router.get('/:agentId/tools-summary', authenticateSuperKey, auditLog, async (req
             strategy: t.strategy
           })) || []
         },
+        call_control: {
+          enabled: callControlResult.success,
+          count: callControlResult.call_control_tools?.length || 0,
+          tools: callControlResult.call_control_tools?.map(t => ({
+            id: t.call_control_tool_id,
+            name: t.tool_name,
+            strategy: t.strategy
+          })) || []
+        },
         generic_mcp: {
           enabled: mcpResult.success,
           count: mcpResult.mcp_tools?.length || 0,
@@ -266,6 +298,7 @@ router.get('/:agentId/tools-summary', authenticateSuperKey, auditLog, async (req
       total_tools: (watiResult.wati_tools?.length || 0) +
                    (emailResult.email_tools?.length || 0) +
                    (scheduleCallResult.schedule_call_tools?.length || 0) +
+                   (callControlResult.call_control_tools?.length || 0) +
                    (mcpResult.mcp_tools?.length || 0)
     };
 
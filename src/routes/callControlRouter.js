@@ -0,0 +1,294 @@
+/**
+ * Call Control Router
+ * Provider-agnostic in-call actions (hangup, DTMF, play, speak, hold, transfer) for supervisors
+ * and the bot's call-control MCP tool, plus the XML callbacks the providers fetch during a transfer
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  authenticateJWTOrSuperKey,
+  requirePermission,
+  auditLog
+} = require('../middleware/authMiddleware');
+const { createSignedUrlVerifier } = require('../middleware/webhookSignatureMiddleware');
+const {
+  executeCallControl,
+  getCallControlState,
+  getCallBridge
+} = require('../services/callControlService');
+const { getBridgeName, buildPlivoBridgeXml } = require('../apps/helper/callControl');
+
+const verifyPlivoControlCallback = createSignedUrlVerifier('plivo', req => req.query.callUUID);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Call Control
+ *   description: In-call actions on live calls, independent of the provider carrying the call
+ */
+
+const sendServerError = (res, error) => {
+  res.status(500).json({
+    success: false,
+    status: 500,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+// Super key callers may act on any call (or scope themselves with client_id); JWT callers only on their own
+const resolveClientScope = (req) => (req.superKeyAuth ? (req.query.client_id || req.body?.client_id || null) : req.user.clientId);
+
+const actorOf = (req) => {
+  if (!req.superKeyAuth) return req.user.email;
+  return req.body?.agent_id ? `agent:${req.body.agent_id}` : 'superadmin';
+};
+
+/**
+ * Bridge state for a provider callback - the signed URL's clientId must own the call
+ */
+async function findCallbackBridge(req) {
+  const callRecord = await getCallBridge(req.query.callUUID);
+  if (callRecord && req.query.clientId && callRecord.clientId?.toString() !== req.query.clientId) {
+    console.warn(`⚠️ Call control callback for ${req.query.callUUID} signed for client ${req.query.clientId}, call belongs to ${callRecord.clientId}`);
+    return null;
+  }
+  return callRecord;
+}
+
+const hangupXml = `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Hangup />
+</Response>`;
+
+// =============================================================================
+// PROVIDER CALLBACKS (registered before /:callUUID/:action)
+// =============================================================================
+
+/**
+ * @swagger
+ * /call-control/plivo/bridge-xml:
+ *   post:
+ *     tags: [Call Control]
+ *     summary: Plivo XML moving the caller into the call's bridge
+ *     description: aleg_url handed to Plivo by a transfer (or a supervisor barge). Joins the caller to the call's MultiPartyCall as the customer.
+ *     parameters:
+ *       - in: query
+ *         name: callUUID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Callback signature added by buildSignedCallbackUrl
+ *     responses:
+ *       200:
+ *         description: Plivo XML
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ */
+router.post('/plivo/bridge-xml', verifyPlivoControlCallback, async (req, res) => {
+  try {
+    const callRecord = await findCallbackBridge(req);
+    if (!callRecord) {
+      console.warn(`⚠️ No call ${req.query.callUUID} for bridge XML - hanging up`);
+      return res.type('application/xml').send(hangupXml);
+    }
+
+    console.log(`🌉 Bridge XML: caller of ${callRecord.callUUID} joining ${getBridgeName(callRecord.callUUID)}`);
+    res.type('application/xml').send(buildPlivoBridgeXml(getBridgeName(callRecord.callUUID), { role: 'Customer' }));
+  } catch (error) {
+    console.error('❌ Error in call control bridge-xml:', error);
+    res.status(500).send('Error generating bridge XML');
+  }
+});
+
+/**
+ * @swagger
+ * /call-control/plivo/agent-xml:
+ *   post:
+ *     tags: [Call Control]
+ *     summary: Plivo XML for the transfer target's leg
+ *     description: answer_url of the leg dialed by a transfer. Speaks the whisper, then joins the call's MultiPartyCall as an agent.
+ *     parameters:
+ *       - in: query
+ *         name: callUUID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Plivo XML
+ */
+router.post('/plivo/agent-xml', verifyPlivoControlCallback, async (req, res) => {
+  try {
+    const callRecord = await findCallbackBridge(req);
+    if (!callRecord) {
+      return res.type('application/xml').send(hangupXml);
+    }
+
+    res.type('application/xml').send(buildPlivoBridgeXml(getBridgeName(callRecord.callUUID), {
+      role: 'Agent',
+      whisper: callRecord.transferWhisper || null
+    }));
+  } catch (error) {
+    console.error('❌ Error in call control agent-xml:', error);
+    res.status(500).send('Error generating agent XML');
+  }
+});
+
+// =============================================================================
+// CALL CONTROL
+// =============================================================================
+
+/**
+ * @swagger
+ * /call-control/{callUUID}:
+ *   get:
+ *     tags: [Call Control]
+ *     summary: Live call state and available actions
+ *     description: Provider, status, hold/transfer state, the actions the call's provider supports and the log of actions taken so far.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callUUID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: client_id
+ *         schema:
+ *           type: string
+ *         description: Superadmin only - restrict the lookup to one client
+ *     responses:
+ *       200:
+ *         description: Call state
+ *       404:
+ *         description: Call not found (or owned by another client)
+ */
+router.get('/:callUUID', authenticateJWTOrSuperKey, requirePermission('campaigns:view'), auditLog, async (req, res) => {
+  try {
+    const result = await getCallControlState(req.params.callUUID, resolveClientScope(req));
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching call control state:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /call-control/{callUUID}/{action}:
+ *   post:
+ *     tags: [Call Control]
+ *     summary: Run an in-call action on a live call
+ *     description: |
+ *       The provider and credentials are resolved from the call record. Supported actions per provider:
+ *       - plivo, twilio: hangup, dtmf, play, speak, hold, unhold, transfer
+ *       - sip: hangup, dtmf, play, hold, unhold, transfer (no whisper)
+ *       - exotel: transfer (dialed by the flow's Connect applet when the bot ends the stream)
+ *
+ *       On Twilio, dtmf/play/speak briefly replace the bot stream and then reconnect it. Plivo/Twilio transfers move the caller into a per-call bridge and dial the target into it (the whisper is spoken to the target first); supervisors can join that bridge through /supervisor. Every action is logged on the call (controlActions).
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callUUID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [hangup, dtmf, play, speak, hold, unhold, transfer]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               digits:
+ *                 type: string
+ *                 description: dtmf - 0-9, *, # and w/W pauses
+ *                 example: "1w2#"
+ *               audioUrl:
+ *                 type: string
+ *                 description: play - audio file URL
+ *               text:
+ *                 type: string
+ *                 description: speak - message to speak
+ *               voice:
+ *                 type: string
+ *                 example: "WOMAN"
+ *               language:
+ *                 type: string
+ *                 example: "en-US"
+ *               musicUrl:
+ *                 type: string
+ *                 description: hold - music URL (defaults to CALL_HOLD_MUSIC_URL)
+ *               to:
+ *                 type: string
+ *                 description: transfer - target number; national numbers use the client's default country
+ *                 example: "+919876543210"
+ *               whisper:
+ *                 type: string
+ *                 description: transfer - spoken to the person answering before the caller is connected
+ *                 example: "Customer asking about a refund for order 1234"
+ *               client_id:
+ *                 type: string
+ *                 description: Superadmin only - the client that owns the call
+ *               agent_id:
+ *                 type: string
+ *                 description: Set by the call-control MCP tool - recorded as the actor, and only calls handled by this assistant can be controlled
+ *     responses:
+ *       200:
+ *         description: Action executed (or queued, for Exotel transfers)
+ *       400:
+ *         description: Invalid action/parameters, or action not supported by the call's provider
+ *       404:
+ *         description: Call not found (or owned by another client)
+ *       409:
+ *         description: Call has ended or is not connected yet
+ *       502:
+ *         description: Provider rejected the action
+ */
+router.post('/:callUUID/:action', authenticateJWTOrSuperKey, requirePermission('calls:control'), auditLog, async (req, res) => {
+  try {
+    const { callUUID, action } = req.params;
+    const { client_id, agent_id, ...params } = req.body || {};
+
+    const result = await executeCallControl({
+      callUUID,
+      action,
+      params,
+      clientId: resolveClientScope(req),
+      agentId: agent_id || null,
+      actor: actorOf(req)
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error executing call control:', error);
+    sendServerError(res, error);
+  }
+});
+
+module.exports = router;
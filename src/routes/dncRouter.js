@@ -0,0 +1,369 @@
+const express = require('express');
+const multer = require('multer');
+const csvParser = require('csv-parser');
+const fs = require('fs');
+const router = express.Router();
+
+// Import authentication middleware
+const {
+  authenticateJWTOrSuperKey,
+  requirePermission,
+  auditLog
+} = require('../middleware/authMiddleware');
+
+// Import DNC service functions
+const {
+  GLOBAL_SCOPE,
+  CLIENT_SCOPE,
+  isNumberSuppressed,
+  addDncEntry,
+  listDncEntries,
+  removeDncEntry,
+  importDncEntries
+} = require('../services/dncService');
+
+const upload = multer({
+  dest: 'list-uploads/',
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only CSV files are allowed. Received: ${file.mimetype}`), false);
+    }
+  }
+});
+
+const safeFileDelete = (filePath) => {
+  try {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (error) {
+    console.error(`Error deleting file ${filePath}:`, error);
+  }
+};
+
+/**
+ * Resolve the registry a request operates on.
+ * Global entries are superadmin-only; everyone else works on their own client list.
+ * @returns {{clientId?: string, scope?: string, status?: number, error?: string}}
+ */
+function resolveDncScope(req, source) {
+  const requestedScope = source.scope === GLOBAL_SCOPE ? GLOBAL_SCOPE : CLIENT_SCOPE;
+
+  if (requestedScope === GLOBAL_SCOPE) {
+    if (!req.superKeyAuth) {
+      return { status: 403, error: 'Only superadmin can manage the global DNC registry' };
+    }
+    return { clientId: null, scope: GLOBAL_SCOPE };
+  }
+
+  const clientId = req.superKeyAuth ? source.client_id : req.user.clientId;
+  if (!clientId) {
+    return { status: 400, error: 'Client ID is required' };
+  }
+  return { clientId, scope: CLIENT_SCOPE };
+}
+
+// =============================================================================
+// DNC REGISTRY MANAGEMENT
+// =============================================================================
+
+/**
+ * @swagger
+ * /dnc:
+ *   get:
+ *     tags: [DNC]
+ *     summary: List Do-Not-Call entries
+ *     description: Lists the caller's DNC registry. Superadmin can pass client_id, or scope=global for the global registry.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [client, global]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [manual, csv_import, bot_opt_out]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: DNC entries retrieved successfully
+ */
+router.get('/', authenticateJWTOrSuperKey, requirePermission('campaigns:view'), auditLog, async (req, res) => {
+  try {
+    const { clientId, scope, status, error } = resolveDncScope(req, req.query);
+    if (error) {
+      return res.status(status).json({ success: false, status, message: error });
+    }
+
+    const result = await listDncEntries(clientId, {
+      scope,
+      search: req.query.search,
+      source: req.query.source,
+      page: req.query.page,
+      limit: req.query.limit
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error listing DNC entries:', error);
+    res.status(500).json({
+      success: false,
+      status: 500,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /dnc:
+ *   post:
+ *     tags: [DNC]
+ *     summary: Add a number to the Do-Not-Call registry
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "+919876543210"
+ *               reason:
+ *                 type: string
+ *                 example: "Customer requested no further calls"
+ *               scope:
+ *                 type: string
+ *                 enum: [client, global]
+ *     responses:
+ *       201:
+ *         description: Number added to DNC registry
+ */
+router.post('/', authenticateJWTOrSuperKey, requirePermission('lists:manage'), auditLog, async (req, res) => {
+  try {
+    const { clientId, scope, status, error } = resolveDncScope(req, req.body);
+    if (error) {
+      return res.status(status).json({ success: false, status, message: error });
+    }
+
+    if (!req.body.phoneNumber) {
+      return res.status(400).json({ success: false, status: 400, message: 'phoneNumber is required' });
+    }
+
+    const result = await addDncEntry({
+      clientId,
+      scope,
+      phoneNumber: req.body.phoneNumber,
+      reason: req.body.reason,
+      source: 'manual',
+      addedBy: req.superKeyAuth ? 'superadmin' : req.user.email
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error adding DNC entry:', error);
+    res.status(500).json({
+      success: false,
+      status: 500,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /dnc/import:
+ *   post:
+ *     tags: [DNC]
+ *     summary: Bulk import numbers into the Do-Not-Call registry from CSV
+ *     description: CSV must have a `number` (or `phone` / `phoneNumber`) column and may have a `reason` column.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               scope:
+ *                 type: string
+ *                 enum: [client, global]
+ *     responses:
+ *       200:
+ *         description: Import summary
+ */
+router.post('/import', authenticateJWTOrSuperKey, requirePermission('lists:manage'), upload.single('file'), auditLog, async (req, res) => {
+  const filePath = req.file?.path;
+
+  try {
+    const { clientId, scope, status, error } = resolveDncScope(req, req.body);
+    if (error) {
+      return res.status(status).json({ success: false, status, message: error });
+    }
+
+    if (!filePath) {
+      return res.status(400).json({
+        success: false,
+        status: 400,
+        message: 'No file uploaded. Make sure the form field name is "file".'
+      });
+    }
+
+    const rows = await new Promise((resolve, reject) => {
+      const parsedRows = [];
+      fs.createReadStream(filePath)
+        .pipe(csvParser())
+        .on('data', (data) => parsedRows.push(data))
+        .on('end', () => resolve(parsedRows))
+        .on('error', reject);
+    });
+
+    const result = await importDncEntries(clientId, rows, {
+      scope,
+      addedBy: req.superKeyAuth ? 'superadmin' : req.user.email
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error importing DNC entries:', error);
+    res.status(500).json({
+      success: false,
+      status: 500,
+      message: 'Internal server error',
+      error: error.message
+    });
+  } finally {
+    safeFileDelete(filePath);
+  }
+});
+
+/**
+ * @swagger
+ * /dnc/check/{phoneNumber}:
+ *   get:
+ *     tags: [DNC]
+ *     summary: Check whether a number is suppressed for the client (client + global registry)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: phoneNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suppression status
+ *       503:
+ *         description: DNC registry unavailable
+ */
+router.get('/check/:phoneNumber', authenticateJWTOrSuperKey, requirePermission('campaigns:view'), auditLog, async (req, res) => {
+  try {
+    const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
+    const result = await isNumberSuppressed(clientId, req.params.phoneNumber);
+    if (result.unavailable) {
+      return res.status(503).json({
+        success: false,
+        status: 503,
+        message: 'DNC registry unavailable',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      status: 200,
+      data: {
+        phoneNumber: req.params.phoneNumber,
+        suppressed: result.suppressed,
+        scope: result.entry?.scope || null,
+        reason: result.entry?.reason || null,
+        source: result.entry?.source || null
+      }
+    });
+  } catch (error) {
+    console.error('Error checking DNC status:', error);
+    res.status(500).json({
+      success: false,
+      status: 500,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /dnc/{phoneNumber}:
+ *   delete:
+ *     tags: [DNC]
+ *     summary: Remove a number from the Do-Not-Call registry
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: phoneNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [client, global]
+ *     responses:
+ *       200:
+ *         description: Number removed
+ *       404:
+ *         description: Number not found in registry
+ */
+router.delete('/:phoneNumber', authenticateJWTOrSuperKey, requirePermission('lists:manage'), auditLog, async (req, res) => {
+  try {
+    const { clientId, scope, status, error } = resolveDncScope(req, req.query);
+    if (error) {
+      return res.status(status).json({ success: false, status, message: error });
+    }
+
+    const result = await removeDncEntry(clientId, req.params.phoneNumber, scope);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error removing DNC entry:', error);
+    res.status(500).json({
+      success: false,
+      status: 500,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
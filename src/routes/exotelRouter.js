@@ -5,8 +5,10 @@ const fs = require('fs').promises;
 const { 
   authenticateToken, 
   validateResourceOwnership, 
+  requirePermission, 
   auditLog 
 } = require('../middleware/authMiddleware');
+const { verifyExotelWebhook, verifyExotelApplet, buildExotelAppletUrl } = require('../middleware/webhookSignatureMiddleware');
 
 /**
  * @swagger
@@ -81,7 +83,7 @@ const safeFileDelete = (filePath) => {
  *       500:
  *         description: Internal server error
  */
-router.post('/schedule-call', authenticateToken, validateResourceOwnership, auditLog, async(req,res) => {
+router.post('/schedule-call', authenticateToken, validateResourceOwnership, requirePermission('campaigns:manage'), auditLog, async(req,res) => {
     try{
         const number = req.body.number;
         const first_name = req.body.name;
@@ -100,7 +102,7 @@ router.post('/schedule-call', authenticateToken, validateResourceOwnership, audi
     }
     
 })
-router.post('/upload-csv', authenticateToken, validateResourceOwnership, auditLog, upload.single('file_name'), (req, res) => {
+router.post('/upload-csv', authenticateToken, validateResourceOwnership, requirePermission('lists:manage'), auditLog, upload.single('file_name'), (req, res) => {
     if (!req.file) {
       return res.status(400).send('No file uploaded.');
     }
@@ -139,7 +141,7 @@ router.post('/upload-csv', authenticateToken, validateResourceOwnership, auditLo
       safeFileDelete(filePath);
     }
   });
-router.post('/campaign-call', authenticateToken, validateResourceOwnership, auditLog, async (req, res) => {
+router.post('/campaign-call', authenticateToken, validateResourceOwnership, requirePermission('campaigns:manage'), auditLog, async (req, res) => {
     try {
         const listId = req.body.listId;
         const clientId = req.body.clientId;
@@ -159,7 +161,7 @@ router.post('/campaign-call', authenticateToken, validateResourceOwnership, audi
         res.status(500).send({ message: "Internal Server Error" + err.message });
     }
 });
-router.post('/create-campaign', authenticateToken, validateResourceOwnership, auditLog, async(req, res) =>{
+router.post('/create-campaign', authenticateToken, validateResourceOwnership, requirePermission('campaigns:manage'), auditLog, async(req, res) =>{
     try{
     const clientId = req.body.clientId;
     const camp_name = req.body.camp_name;
@@ -173,7 +175,7 @@ router.post('/create-campaign', authenticateToken, validateResourceOwnership, au
 
 })
 
-router.post('/get-camp-by-clientId', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/get-camp-by-clientId', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
     try{
         const clientId = req.body.clientId;
         // const clientId = '123456';
@@ -278,7 +280,7 @@ router.post('/get-camp-by-clientId', authenticateToken, validateResourceOwnershi
  *                 error:
  *                   type: object
  */
-router.post('/get-contacts-from-list', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/get-contacts-from-list', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
     try{
         const listSid = req.body.listSid;
         
@@ -293,7 +295,7 @@ router.post('/get-contacts-from-list', authenticateToken, validateResourceOwners
     }
 })
 
-router.post('/create-list', authenticateToken, validateResourceOwnership, auditLog, async(req, res) =>{
+router.post('/create-list', authenticateToken, validateResourceOwnership, requirePermission('lists:manage'), auditLog, async(req, res) =>{
     try{
     const listSid = req.body.listSid;
     const list_name = req.body.listName;
@@ -310,7 +312,7 @@ router.post('/create-list', authenticateToken, validateResourceOwnership, auditL
 
 })
 
-router.post('/get-list-by-clientId', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/get-list-by-clientId', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
     try{
         const clientId = req.body.clientId;
         // const clientId = '123456';
@@ -322,7 +324,7 @@ router.post('/get-list-by-clientId', authenticateToken, validateResourceOwnershi
 
 })
 
-router.post('/get-billing-history-by-clientId', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/get-billing-history-by-clientId', authenticateToken, validateResourceOwnership, requirePermission('billing:view'), auditLog, async(req, res) => {
     try{
         const clientId = req.body.clientId;
         // const clientId = '123456';
@@ -334,7 +336,7 @@ router.post('/get-billing-history-by-clientId', authenticateToken, validateResou
 
 })
 
-router.post('/get-call-report-by-campaign', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/get-call-report-by-campaign', authenticateToken, validateResourceOwnership, requirePermission('reports:view'), auditLog, async(req, res) => {
     try{
         const campaignId = req.body.campaignId;
         const duration = 30;
@@ -354,7 +356,7 @@ router.post('/get-call-report-by-campaign', authenticateToken, validateResourceO
 
 })
 
-router.post('/get-campaign-details', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/get-campaign-details', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
     try{
         const campaignId = req.body.campaignId;
         const result = await getSingleCampaignDetails(campaignId);
@@ -365,7 +367,7 @@ router.post('/get-campaign-details', authenticateToken, validateResourceOwnershi
 
 })
 
-router.post('/get-client-overview', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/get-client-overview', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
     try{
         const campaignId = req.body.campaignId;
         const clientId = req.body.clientId;
@@ -479,7 +481,7 @@ router.post('/get-client-overview', authenticateToken, validateResourceOwnership
  *                 error:
  *                   type: object
  */
-router.post('/get-incoming-call-details', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/get-incoming-call-details', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
     try{
         const phoneNumber = req.body.phoneNumber;
         const sd = req.body.sd || 0;
@@ -496,7 +498,7 @@ router.post('/get-incoming-call-details', authenticateToken, validateResourceOwn
 
 })
 
-router.post('/get-objective-qualified-lead', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/get-objective-qualified-lead', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
     try{
         const campaignId = req.body.campaignId;
         const prompt = req.body.prompt;
@@ -510,7 +512,7 @@ router.post('/get-objective-qualified-lead', authenticateToken, validateResource
 
 })
 
-router.post('/call-back', async(req, res) => {
+router.post('/call-back', verifyExotelWebhook, async(req, res) => {
     try{
         const response = req.body;
         // const clientId = '123456';
@@ -521,7 +523,7 @@ router.post('/call-back', async(req, res) => {
     }
 
 })
-router.post('/call-back-after-end', async(req, res) => {
+router.post('/call-back-after-end', verifyExotelWebhook, async(req, res) => {
     try{
         const response = req.body;
         // const clientId = '123456';
@@ -721,6 +723,15 @@ router.post('/save-log-data', async(req,res)=>{
        
        const result = await saveLogData(data)
        
+       // Contact asked not to be called again - add to client's DNC registry (fire-and-forget).
+       // Independent of the hangup merge below: Plivo/Twilio hangups can land after the bot callback.
+       if (result.status === 200 && data.callUUID) {
+         const { captureOptOutForCall } = require('../services/dncService');
+         captureOptOutForCall(data.callUUID, data).catch(err =>
+           console.error(`❌ DNC opt-out capture error:`, err.message)
+         );
+       }
+       
        // CRITICAL: Update hangup record with bot conversation data for proper merging
        if (result.status === 200 && data.callUUID) {
          try {
@@ -953,7 +964,7 @@ router.post('/save-log-data', async(req,res)=>{
  *                 error:
  *                   type: object
  */
-router.post('/get-log-data', authenticateToken, validateResourceOwnership, auditLog, async(req, res) =>{
+router.post('/get-log-data', authenticateToken, validateResourceOwnership, requirePermission('reports:view'), auditLog, async(req, res) =>{
     try{
         const from = req.body.from;
         const to = req.body.to;
@@ -970,7 +981,7 @@ router.post('/get-log-data', authenticateToken, validateResourceOwnership, audit
 })
 
 
-router.post('/add-customer', authenticateToken, validateResourceOwnership, auditLog, async(req, res) =>{
+router.post('/add-customer', authenticateToken, validateResourceOwnership, requirePermission('lists:manage'), auditLog, async(req, res) =>{
     try{
     const data = req.body;
     const result = await createCustomer(data);
@@ -981,7 +992,7 @@ router.post('/add-customer', authenticateToken, validateResourceOwnership, audit
 
 })
 
-router.post('/get-customer-by-client', authenticateToken, validateResourceOwnership, auditLog, async(req, res) =>{
+router.post('/get-customer-by-client', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) =>{
     try{
         const clientId = req.body.clientId;
         const result = await fetchCustomerByClient(clientId);
@@ -992,4 +1003,339 @@ router.post('/get-customer-by-client', authenticateToken, validateResourceOwners
 })
 
 
+// ==================== EXOTEL ADAPTER WEBHOOKS ====================
+// Calls placed through CallProviderService/ExotelAdapter (enhanced campaigns, API calls). The Exotel
+// Voicebot app's applets call these; the legacy Exotel campaign stack above keeps its own callbacks.
+
+/**
+ * activeCalls record of an adapter-placed Exotel call - CustomField carries our callUUID
+ */
+async function findExotelCall(activeCallsCollection, { CustomField, CallSid }, projection) {
+  if (CustomField) {
+    const record = await activeCallsCollection.findOne({ callUUID: CustomField, provider: 'exotel' }, { projection });
+    if (record) return record;
+  }
+  if (CallSid) {
+    return activeCallsCollection.findOne({ exotelCallSid: CallSid }, { projection });
+  }
+  return null;
+}
+
+/**
+ * @swagger
+ * /exotel/applet-urls:
+ *   get:
+ *     tags: [Exotel]
+ *     summary: Signed applet URLs for the client's Exotel Voicebot app
+ *     description: The dynamic URLs to configure in the Exotel app used by ExotelAdapter - the Voicebot applet's and the Connect applet's. They carry a signature made with the Exotel API token of the account (the client's own Exotel credentials, else the platform account), so they have to be updated when the token changes.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ voicebotUrl, transferDestinationUrl }"
+ *       404:
+ *         description: No Exotel account to sign with
+ */
+router.get('/applet-urls', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const clientId = req.user.clientId;
+    const [voicebotUrl, transferDestinationUrl] = await Promise.all([
+      buildExotelAppletUrl('/exotel/voicebot-url', clientId),
+      buildExotelAppletUrl('/exotel/transfer-destination', clientId)
+    ]);
+    if (!voicebotUrl) {
+      return res.status(404).json({ success: false, status: 404, message: 'No Exotel credentials configured for this account' });
+    }
+    res.status(200).json({ success: true, status: 200, data: { voicebotUrl, transferDestinationUrl } });
+  } catch (error) {
+    console.error('❌ Error building Exotel applet URLs:', error);
+    res.status(500).json({ success: false, status: 500, message: 'Internal server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /exotel/voicebot-url:
+ *   get:
+ *     tags: [Exotel]
+ *     summary: Dynamic WebSocket URL for the Exotel Voicebot applet
+ *     description: Configure the signed URL from GET /exotel/applet-urls as the Voicebot applet's dynamic URL in the Exotel app used by ExotelAdapter (EXOTEL_APP_ID or the credentials' appId). Returns the bot stream URL saved when the call was placed.
+ *     parameters:
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Applet signature (part of the URL from GET /exotel/applet-urls)
+ *       - in: query
+ *         name: CustomField
+ *         schema:
+ *           type: string
+ *         description: Our callUUID (sent as CustomField when the call was placed)
+ *       - in: query
+ *         name: CallSid
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stream URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                   example: "wss://live.glimpass.com/chat/v2/66cd8cc80b5a146186b9db8f?from=918035735659&to=919876543210&callUUID=...&provider=exotel"
+ *       403:
+ *         description: Missing or invalid signature
+ *       404:
+ *         description: No call placed through the adapter matches
+ */
+router.get('/voicebot-url', verifyExotelApplet, async (req, res) => {
+  try {
+    const { CustomField, CallSid } = req.query;
+    const { connectToMongo, client } = require('../../models/mongodb.js');
+    await connectToMongo();
+    const activeCallsCollection = client.db("talkGlimpass").collection("activeCalls");
+
+    const callRecord = await findExotelCall(activeCallsCollection, { CustomField, CallSid }, { callUUID: 1, streamUrl: 1 });
+    if (!callRecord?.streamUrl) {
+      console.error(`❌ No Exotel stream URL for CustomField ${CustomField} / CallSid ${CallSid}`);
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    if (CallSid) {
+      await activeCallsCollection.updateOne(
+        { callUUID: callRecord.callUUID, exotelCallSid: { $exists: false } },
+        { $set: { exotelCallSid: CallSid } }
+      );
+    }
+
+    console.log(`🟠 Exotel voicebot URL served for call ${callRecord.callUUID}`);
+    res.status(200).json({ url: callRecord.streamUrl });
+  } catch (error) {
+    console.error('❌ Error serving Exotel voicebot URL:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /exotel/transfer-destination:
+ *   get:
+ *     tags: [Exotel]
+ *     summary: Dynamic destination for the Exotel Connect applet (call transfer)
+ *     description: Configure the signed URL from GET /exotel/applet-urls as the dynamic URL of a Connect applet placed after the Voicebot applet. When the bot ends the stream after POST /plivo/transfer-call (provider exotel), the flow connects the caller to the number requested there.
+ *     parameters:
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Applet signature (part of the URL from GET /exotel/applet-urls)
+ *       - in: query
+ *         name: CustomField
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: CallSid
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exotel Connect applet configuration
+ *       403:
+ *         description: Missing or invalid signature
+ *       404:
+ *         description: No transfer requested for this call
+ */
+router.get('/transfer-destination', verifyExotelApplet, async (req, res) => {
+  try {
+    const { CustomField, CallSid } = req.query;
+    const { connectToMongo, client } = require('../../models/mongodb.js');
+    await connectToMongo();
+    const activeCallsCollection = client.db("talkGlimpass").collection("activeCalls");
+
+    const callRecord = await findExotelCall(activeCallsCollection, { CustomField, CallSid }, { callUUID: 1, from: 1, transferTo: 1 });
+    if (!callRecord?.transferTo) {
+      console.log(`📞 No Exotel transfer requested for CustomField ${CustomField} / CallSid ${CallSid}`);
+      return res.status(404).json({ error: 'No transfer requested' });
+    }
+
+    console.log(`📞 Exotel transfer: ${callRecord.callUUID} -> ${callRecord.transferTo}`);
+    res.status(200).json({
+      fetch_after_attempt: false,
+      destination: { numbers: [callRecord.transferTo] },
+      outgoing_phone_number: callRecord.from,
+      record: true,
+      recording_channels: 'dual',
+      max_ringing_duration: 45,
+      max_conversation_duration: 3600
+    });
+  } catch (error) {
+    console.error('❌ Error serving Exotel transfer destination:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /exotel/status-callback:
+ *   post:
+ *     tags: [Exotel]
+ *     summary: Handle Exotel call status callbacks
+ *     description: Receives answered/terminal events for calls placed by ExotelAdapter. The terminal event is normalized into plivoHangupData (callDataNormalizer), billed, and releases the concurrency slot and credit hold; unanswered campaign calls go through the retry policy.
+ *     parameters:
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Callback signature added by buildExotelCallbackUrl
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               CallSid:
+ *                 type: string
+ *               EventType:
+ *                 type: string
+ *                 enum: [answered, terminal]
+ *               Status:
+ *                 type: string
+ *                 example: "completed"
+ *               ConversationDuration:
+ *                 type: integer
+ *               RecordingUrl:
+ *                 type: string
+ *               CustomField:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status callback processed
+ */
+router.post('/status-callback', verifyExotelWebhook, async (req, res) => {
+  try {
+    const { CallSid, EventType, Status, CustomField, ConversationDuration } = req.body;
+
+    console.log(`🟠 Exotel status callback: ${CallSid} (${EventType || 'terminal'}: ${Status})`);
+
+    const { connectToMongo, client } = require('../../models/mongodb.js');
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const activeCallsCollection = database.collection("activeCalls");
+
+    const callRecord = await findExotelCall(
+      activeCallsCollection,
+      { CustomField, CallSid },
+      { callUUID: 1, clientId: 1, campaignId: 1, tag: 1, assistantId: 1, firstName: 1, from: 1, to: 1 }
+    );
+    if (!callRecord) {
+      console.error(`❌ No call record found for Exotel CallSid: ${CallSid}`);
+      return res.status(200).json({ message: 'Unknown call' });
+    }
+
+    const ourCallUUID = callRecord.callUUID;
+
+    if (EventType === 'answered') {
+      await activeCallsCollection.updateOne(
+        { callUUID: ourCallUUID },
+        { $set: { status: 'ongoing', statusTimestamp: new Date(), streamStartTime: new Date(), exotelCallSid: CallSid, updatedAt: new Date() } }
+      );
+      console.log(`🎙️ Exotel call answered (equivalent to StartStream): ${ourCallUUID}`);
+      return res.status(200).json({ message: 'Status callback processed' });
+    }
+
+    const duration = parseInt(ConversationDuration) || 0;
+    const campId = callRecord.campaignId === 'testcall' ? 'testcall' : (callRecord.campaignId?.toString() || 'incoming');
+
+    // Normalized hangup record (idempotent - a retried webhook comes back as duplicate)
+    let isRetry = false;
+    try {
+      const { saveHangupData } = require('../apps/plivo/plivo.js');
+      const saveResult = await saveHangupData({
+        ...req.body,
+        CallUUID: ourCallUUID,
+        // Exotel reports the ExoPhone/contact legs its own way - keep the numbers we dialed
+        From: callRecord.from,
+        To: callRecord.to,
+        clientId: callRecord.clientId,
+        campId,
+        tag: callRecord.assistantId || '', // Normalizer reads the assistant from tag (Plivo convention)
+        customTag: callRecord.tag || '',
+        firstName: callRecord.firstName || ''
+      }, {
+        provider: 'exotel',
+        normalize: true
+      });
+      isRetry = Boolean(saveResult.duplicate);
+      if (isRetry) {
+        console.log(`⚠️ Exotel call ${ourCallUUID} already processed - skipping to prevent double billing`);
+      }
+    } catch (hangupError) {
+      console.error('❌ Error saving Exotel hangup data:', hangupError);
+    }
+
+    if (req.body.RecordingUrl && !isRetry) {
+      const { queueRecordingArchive } = require('../services/recordingArchiveService');
+      await queueRecordingArchive({
+        callUUID: ourCallUUID,
+        provider: 'exotel',
+        sourceUrl: req.body.RecordingUrl,
+        clientId: callRecord.clientId,
+        campaignId: campId
+      });
+    }
+
+    if (callRecord.clientId && !isRetry) {
+      const { billProviderCall } = require('../apps/billing/billingCore');
+      const callType = ['incoming', 'testcall', 'api-call'].includes(campId) ? campId : 'campaign';
+      await billProviderCall({
+        clientId: callRecord.clientId,
+        callUUID: ourCallUUID,
+        duration,
+        callType,
+        campaignId: campId,
+        from: callRecord.from,
+        to: callRecord.to,
+        provider: 'exotel'
+      });
+    }
+
+    const { trackCallEnd } = activeCalls;
+    const endResult = await trackCallEnd(ourCallUUID, {
+      duration: duration || null,
+      endReason: Status || 'hangup'
+    });
+    if (!endResult.success) {
+      console.warn(`⚠️ Failed to track Exotel call end: ${endResult.error}`);
+    }
+
+    // Release the credit hold placed at dial time (the actual debit was posted above)
+    const { settleCallReservation } = require('../apps/billing/creditReservations');
+    await settleCallReservation(ourCallUUID, duration);
+
+    // Campaign retry policy: queue the next attempt for unanswered/busy/failed contacts
+    const { scheduleCampaignRetry } = require('../services/campaignRetryService');
+    const retryResult = await scheduleCampaignRetry({
+      callUUID: ourCallUUID,
+      campaignId: callRecord.campaignId,
+      hangupCause: Status,
+      duration
+    });
+    if (!retryResult.success) {
+      console.warn(`⚠️ Failed to evaluate retry policy for Exotel call ${CallSid}: ${retryResult.error}`);
+    }
+
+    res.status(200).json({ message: 'Status callback processed' });
+  } catch (error) {
+    console.error('❌ Error processing Exotel status callback:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
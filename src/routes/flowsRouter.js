@@ -1,20 +1,80 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const {
   authenticateToken,
+  authenticateSuperKey,
   validateResourceOwnership,
+  requirePermission,
   auditLog
 } = require('../middleware/authMiddleware');
-const { getFlowRedisClient, scanRedisKeys } = require('../utils/flowRedisClient');
+const {
+  readPublishedFlow,
+  getAgentFlowAssignment,
+  checkFlowAccess,
+  claimFlow,
+  assignFlowOwner,
+  updateDraftEntry,
+  getFlowDraft,
+  discardFlowDraft,
+  publishFlow,
+  rollbackFlow,
+  listFlowVersions,
+  getFlowVersion,
+  diffFlow
+} = require('../services/flowVersionService');
+const {
+  validateFlowKeySegment,
+  validatePromptContent,
+  validateConfigValue,
+  validateFlowNote
+} = require('../apps/helper/flowVersioning');
 
 /**
  * @swagger
  * tags:
  *   name: Flows
- *   description: Flow-based agent conversation management API
+ *   description: Flow-based agent conversation management API. Prompt/config edits go to a draft; publishing writes the draft to the live Redis keys and stores a snapshot that can be diffed and rolled back to.
  */
 
+/**
+ * Validates the flow name and that the authenticated client owns the flow
+ */
+const requireFlowAccess = async (req, res, next) => {
+    try {
+        const nameCheck = validateFlowKeySegment(req.params.flowName, 'flowName');
+        if (!nameCheck.valid) {
+            return res.status(400).json({ error: 'Bad request', message: nameCheck.error });
+        }
+
+        const access = await checkFlowAccess(req.params.flowName, req.user.clientId);
+        if (!access.allowed) {
+            return res.status(access.status).json({
+                error: access.status === 404 ? 'Flow not found' : 'Access denied',
+                message: access.message
+            });
+        }
+
+        req.flow = access.flow;
+        next();
+    } catch (error) {
+        console.error('Error checking flow access:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to verify flow ownership'
+        });
+    }
+};
+
+const sendServiceResult = (res, result) => {
+    if (!result.success) {
+        return res.status(result.status).json({
+            error: result.status === 500 ? 'Internal server error' : 'Request failed',
+            message: result.message
+        });
+    }
+    res.status(result.status).json(result);
+};
+
 /**
  * @swagger
  * /api/flows/agent/{agentId}:
@@ -64,60 +124,7 @@ router.get('/agent/:agentId', authenticateToken, validateResourceOwnership, audi
     try {
         const { agentId } = req.params;
 
-        // Try to get flow assignment from uniPipe server
-        const uniPipeUrl = process.env.UNIPIPE_SERVER_URL || 'https://testbot.glimpass.com';
-
-        try {
-            // First try the uniPipe API endpoint
-            const response = await axios.get(`${uniPipeUrl}/flows/agent/${agentId}`, {
-                timeout: 5000,
-                validateStatus: (status) => status < 500 // Accept 404 as valid response
-            });
-
-            if (response.status === 200 && response.data) {
-                const flowData = response.data;
-                return res.json({
-                    hasFlow: true,
-                    flowName: flowData.flow ? flowData.flow.split('/').pop() : null,
-                    flowPath: flowData.flow || null,
-                    description: flowData.description || null
-                });
-            }
-        } catch (apiError) {
-            console.log(`Could not reach uniPipe API, falling back to local flow_mapping.json: ${apiError.message}`);
-        }
-
-        // Fallback: Read flow_mapping.json directly
-        try {
-            const fs = require('fs');
-            const path = require('path');
-            const flowMappingPath = path.join(process.env.UNIPIPE_PATH || '/home/rishi/uniPipe', 'flows/flow_mapping.json');
-
-            if (fs.existsSync(flowMappingPath)) {
-                const flowMapping = JSON.parse(fs.readFileSync(flowMappingPath, 'utf8'));
-                const mapping = flowMapping.mappings?.[agentId] || flowMapping.mappings?.[`test_${agentId}`];
-
-                if (mapping) {
-                    return res.json({
-                        hasFlow: true,
-                        flowName: mapping.flow ? mapping.flow.split('/').pop() : null,
-                        flowPath: mapping.flow || null,
-                        description: mapping.description || null
-                    });
-                }
-            }
-        } catch (fileError) {
-            console.error(`Error reading flow_mapping.json: ${fileError.message}`);
-        }
-
-        // No flow found
-        res.json({
-            hasFlow: false,
-            flowName: null,
-            flowPath: null,
-            description: null
-        });
-
+        res.json(await getAgentFlowAssignment(agentId));
     } catch (error) {
         console.error('Error checking agent flow:', error);
         res.status(500).json({
@@ -133,7 +140,7 @@ router.get('/agent/:agentId', authenticateToken, validateResourceOwnership, audi
  *   get:
  *     tags: [Flows]
  *     summary: Get flow data (prompts and configs)
- *     description: Retrieves all prompts, configs, and metadata for a specific flow from Redis db=3
+ *     description: Retrieves the published (live) prompts, configs, and metadata of a flow you own from Redis db=3
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -164,6 +171,13 @@ router.get('/agent/:agentId', authenticateToken, validateResourceOwnership, audi
  *                 configs:
  *                   type: object
  *                   description: Map of config names to their values
+ *                 publishedVersion:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Snapshot version of the live state (null until first publish)
+ *                 hasDraft:
+ *                   type: boolean
+ *                   description: Whether unpublished edits exist (GET /api/flows/{flowName}/draft)
  *       401:
  *         description: Unauthorized - Invalid or missing JWT token
  *       404:
@@ -171,48 +185,10 @@ router.get('/agent/:agentId', authenticateToken, validateResourceOwnership, audi
  *       500:
  *         description: Internal server error
  */
-router.get('/:flowName', authenticateToken, validateResourceOwnership, auditLog, async (req, res) => {
+router.get('/:flowName', authenticateToken, validateResourceOwnership, requireFlowAccess, auditLog, async (req, res) => {
     try {
         const { flowName } = req.params;
-        const redisClient = await getFlowRedisClient();
-
-        // Get flow metadata
-        let meta = null;
-        try {
-            const metaKey = `flow:${flowName}:meta`;
-            const metaData = await redisClient.get(metaKey);
-            if (metaData) {
-                meta = JSON.parse(metaData);
-            }
-        } catch (metaError) {
-            console.warn(`Could not parse flow metadata: ${metaError.message}`);
-        }
-
-        // Get all prompts
-        const prompts = {};
-        const promptPattern = `flow:${flowName}:prompt:*`;
-        const promptKeys = await scanRedisKeys(redisClient, promptPattern);
-
-        for (const key of promptKeys) {
-            const promptName = key.split(':').pop();
-            const content = await redisClient.get(key);
-            if (content) {
-                prompts[promptName] = content;
-            }
-        }
-
-        // Get all configs
-        const configs = {};
-        const configPattern = `flow:${flowName}:config:*`;
-        const configKeys = await scanRedisKeys(redisClient, configPattern);
-
-        for (const key of configKeys) {
-            const configName = key.split(':').pop();
-            const value = await redisClient.get(key);
-            if (value) {
-                configs[configName] = value;
-            }
-        }
+        const { meta, prompts, configs } = await readPublishedFlow(flowName);
 
         // Check if flow exists
         if (!meta && Object.keys(prompts).length === 0 && Object.keys(configs).length === 0) {
@@ -226,7 +202,9 @@ router.get('/:flowName', authenticateToken, validateResourceOwnership, auditLog,
             name: flowName,
             meta: meta,
             prompts: prompts,
-            configs: configs
+            configs: configs,
+            publishedVersion: req.flow?.publishedVersion || null,
+            hasDraft: Boolean(req.flow?.draft)
         });
 
     } catch (error) {
@@ -244,7 +222,7 @@ router.get('/:flowName', authenticateToken, validateResourceOwnership, auditLog,
  *   put:
  *     tags: [Flows]
  *     summary: Update a flow prompt
- *     description: Updates a specific prompt for a flow in Redis db=3
+ *     description: Saves a prompt to the flow's draft. The live bot keeps using the published prompt until the flow is published (POST /api/flows/{flowName}/publish).
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -288,34 +266,42 @@ router.get('/:flowName', authenticateToken, validateResourceOwnership, auditLog,
  *                   type: string
  *                 key:
  *                   type: string
+ *                   description: Redis key the prompt is written to on publish
+ *                 state:
+ *                   type: string
+ *                   example: draft
  *       400:
- *         description: Bad request - Missing content
+ *         description: Bad request - Missing content, invalid prompt name or content too long
+ *       403:
+ *         description: Flow not assigned to your account
  *       401:
  *         description: Unauthorized - Invalid or missing JWT token
  *       500:
  *         description: Internal server error
  */
-router.put('/:flowName/prompts/:promptName', authenticateToken, validateResourceOwnership, auditLog, async (req, res) => {
+router.put('/:flowName/prompts/:promptName', authenticateToken, validateResourceOwnership, requireFlowAccess, requirePermission('assistants:manage'), auditLog, async (req, res) => {
     try {
         const { flowName, promptName } = req.params;
-        const { content } = req.body;
 
-        if (!content) {
+        const nameCheck = validateFlowKeySegment(promptName, 'promptName');
+        const contentCheck = validatePromptContent(req.body.content);
+        if (!nameCheck.valid || !contentCheck.valid) {
             return res.status(400).json({
                 error: 'Bad request',
-                message: 'Prompt content is required'
+                message: nameCheck.error || contentCheck.error
             });
         }
 
-        const redisClient = await getFlowRedisClient();
-        const key = `flow:${flowName}:prompt:${promptName}`;
-
-        await redisClient.set(key, content);
+        const result = await updateDraftEntry(flowName, 'prompts', promptName, contentCheck.value, req.user.email);
+        if (!result.success) {
+            return sendServiceResult(res, result);
+        }
 
         res.json({
             success: true,
-            message: 'Prompt updated successfully',
-            key: key
+            message: 'Prompt saved to draft - publish the flow to make it live',
+            key: result.data.key,
+            state: 'draft'
         });
 
     } catch (error) {
@@ -333,7 +319,7 @@ router.put('/:flowName/prompts/:promptName', authenticateToken, validateResource
  *   put:
  *     tags: [Flows]
  *     summary: Update a flow config
- *     description: Updates a specific config value for a flow in Redis db=3
+ *     description: Saves a config value to the flow's draft. The live bot keeps using the published value until the flow is published.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -377,34 +363,42 @@ router.put('/:flowName/prompts/:promptName', authenticateToken, validateResource
  *                   type: string
  *                 key:
  *                   type: string
+ *                   description: Redis key the value is written to on publish
+ *                 state:
+ *                   type: string
+ *                   example: draft
  *       400:
- *         description: Bad request - Missing value
+ *         description: Bad request - Missing value, invalid config name or value too long
+ *       403:
+ *         description: Flow not assigned to your account
  *       401:
  *         description: Unauthorized - Invalid or missing JWT token
  *       500:
  *         description: Internal server error
  */
-router.put('/:flowName/configs/:configName', authenticateToken, validateResourceOwnership, auditLog, async (req, res) => {
+router.put('/:flowName/configs/:configName', authenticateToken, validateResourceOwnership, requireFlowAccess, requirePermission('assistants:manage'), auditLog, async (req, res) => {
     try {
         const { flowName, configName } = req.params;
-        const { value } = req.body;
 
-        if (value === undefined || value === null) {
+        const nameCheck = validateFlowKeySegment(configName, 'configName');
+        const valueCheck = validateConfigValue(req.body.value);
+        if (!nameCheck.valid || !valueCheck.valid) {
             return res.status(400).json({
                 error: 'Bad request',
-                message: 'Config value is required'
+                message: nameCheck.error || valueCheck.error
             });
         }
 
-        const redisClient = await getFlowRedisClient();
-        const key = `flow:${flowName}:config:${configName}`;
-
-        await redisClient.set(key, value.toString());
+        const result = await updateDraftEntry(flowName, 'configs', configName, valueCheck.value, req.user.email);
+        if (!result.success) {
+            return sendServiceResult(res, result);
+        }
 
         res.json({
             success: true,
-            message: 'Config updated successfully',
-            key: key
+            message: 'Config saved to draft - publish the flow to make it live',
+            key: result.data.key,
+            state: 'draft'
         });
 
     } catch (error) {
@@ -416,4 +410,480 @@ router.put('/:flowName/configs/:configName', authenticateToken, validateResource
     }
 });
 
+/**
+ * @swagger
+ * /api/flows/{flowName}/prompts/{promptName}:
+ *   delete:
+ *     tags: [Flows]
+ *     summary: Remove a prompt from the flow's draft
+ *     description: The prompt's live key is deleted when the flow is next published.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flowName
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: promptName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed from draft
+ *       404:
+ *         description: Prompt not found
+ */
+router.delete('/:flowName/prompts/:promptName', authenticateToken, validateResourceOwnership, requireFlowAccess, requirePermission('assistants:manage'), auditLog, async (req, res) => {
+    try {
+        const nameCheck = validateFlowKeySegment(req.params.promptName, 'promptName');
+        if (!nameCheck.valid) {
+            return res.status(400).json({ error: 'Bad request', message: nameCheck.error });
+        }
+
+        const result = await updateDraftEntry(req.params.flowName, 'prompts', req.params.promptName, null, req.user.email);
+        sendServiceResult(res, result);
+    } catch (error) {
+        console.error('Error removing prompt:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to remove prompt'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/flows/{flowName}/configs/{configName}:
+ *   delete:
+ *     tags: [Flows]
+ *     summary: Remove a config from the flow's draft
+ *     description: The config's live key is deleted when the flow is next published.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flowName
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: configName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed from draft
+ *       404:
+ *         description: Config not found
+ */
+router.delete('/:flowName/configs/:configName', authenticateToken, validateResourceOwnership, requireFlowAccess, requirePermission('assistants:manage'), auditLog, async (req, res) => {
+    try {
+        const nameCheck = validateFlowKeySegment(req.params.configName, 'configName');
+        if (!nameCheck.valid) {
+            return res.status(400).json({ error: 'Bad request', message: nameCheck.error });
+        }
+
+        const result = await updateDraftEntry(req.params.flowName, 'configs', req.params.configName, null, req.user.email);
+        sendServiceResult(res, result);
+    } catch (error) {
+        console.error('Error removing config:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to remove config'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/flows/{flowName}/draft:
+ *   get:
+ *     tags: [Flows]
+ *     summary: Get the flow's draft
+ *     description: Draft prompts and configs, with the changes a publish would make to the live flow.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flowName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft
+ *       404:
+ *         description: No draft
+ *   delete:
+ *     tags: [Flows]
+ *     summary: Discard the flow's draft
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flowName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft discarded
+ *       404:
+ *         description: No draft
+ */
+router.get('/:flowName/draft', authenticateToken, validateResourceOwnership, requireFlowAccess, auditLog, async (req, res) => {
+    try {
+        sendServiceResult(res, await getFlowDraft(req.params.flowName));
+    } catch (error) {
+        console.error('Error getting flow draft:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve flow draft'
+        });
+    }
+});
+
+router.delete('/:flowName/draft', authenticateToken, validateResourceOwnership, requireFlowAccess, requirePermission('assistants:manage'), auditLog, async (req, res) => {
+    try {
+        sendServiceResult(res, await discardFlowDraft(req.params.flowName));
+    } catch (error) {
+        console.error('Error discarding flow draft:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to discard flow draft'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/flows/{flowName}/publish:
+ *   post:
+ *     tags: [Flows]
+ *     summary: Publish the flow's draft
+ *     description: Writes the draft's prompts and configs to the live Redis keys in one transaction (keys removed from the draft are deleted) and stores the result as a new snapshot version.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flowName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: "Tighter qualification questions"
+ *     responses:
+ *       200:
+ *         description: Published - version number and the changes applied
+ *       409:
+ *         description: No draft to publish
+ */
+router.post('/:flowName/publish', authenticateToken, validateResourceOwnership, requireFlowAccess, requirePermission('assistants:manage'), auditLog, async (req, res) => {
+    try {
+        const noteCheck = validateFlowNote(req.body.note);
+        if (!noteCheck.valid) {
+            return res.status(400).json({ error: 'Bad request', message: noteCheck.error });
+        }
+
+        const result = await publishFlow(req.params.flowName, {
+            author: req.user.email,
+            note: noteCheck.value,
+            clientId: req.user.clientId
+        });
+        sendServiceResult(res, result);
+    } catch (error) {
+        console.error('Error publishing flow:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to publish flow'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/flows/{flowName}/versions:
+ *   get:
+ *     tags: [Flows]
+ *     summary: Published snapshots of the flow
+ *     description: Newest first, without contents. A baseline snapshot of the live state is recorded before the first publish.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flowName
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Snapshots
+ */
+router.get('/:flowName/versions', authenticateToken, validateResourceOwnership, requireFlowAccess, auditLog, async (req, res) => {
+    try {
+        sendServiceResult(res, await listFlowVersions(req.params.flowName, req.query));
+    } catch (error) {
+        console.error('Error listing flow versions:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to list flow versions'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/flows/{flowName}/versions/{version}:
+ *   get:
+ *     tags: [Flows]
+ *     summary: One snapshot with its prompts and configs
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flowName
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Snapshot
+ *       404:
+ *         description: Version not found
+ */
+router.get('/:flowName/versions/:version', authenticateToken, validateResourceOwnership, requireFlowAccess, auditLog, async (req, res) => {
+    try {
+        sendServiceResult(res, await getFlowVersion(req.params.flowName, req.params.version));
+    } catch (error) {
+        console.error('Error getting flow version:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve flow version'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/flows/{flowName}/diff:
+ *   get:
+ *     tags: [Flows]
+ *     summary: Diff two states of the flow
+ *     description: Each side is a snapshot version number, "published" (live) or "draft". Changes are listed per prompt/config as added, removed or modified.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flowName
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           default: published
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           default: draft
+ *     responses:
+ *       200:
+ *         description: Diff
+ *       404:
+ *         description: One side not found
+ */
+router.get('/:flowName/diff', authenticateToken, validateResourceOwnership, requireFlowAccess, auditLog, async (req, res) => {
+    try {
+        const result = await diffFlow(req.params.flowName, req.query.from || 'published', req.query.to || 'draft');
+        sendServiceResult(res, result);
+    } catch (error) {
+        console.error('Error diffing flow:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to diff flow'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/flows/{flowName}/rollback:
+ *   post:
+ *     tags: [Flows]
+ *     summary: Roll the live flow back to a snapshot
+ *     description: Publishes the snapshot's prompts and configs immediately and records them as a new version. The draft, if any, is kept.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flowName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [version]
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 example: 4
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rolled back
+ *       404:
+ *         description: Version not found
+ */
+router.post('/:flowName/rollback', authenticateToken, validateResourceOwnership, requireFlowAccess, requirePermission('assistants:manage'), auditLog, async (req, res) => {
+    try {
+        const noteCheck = validateFlowNote(req.body.note);
+        if (!noteCheck.valid) {
+            return res.status(400).json({ error: 'Bad request', message: noteCheck.error });
+        }
+
+        const result = await rollbackFlow(req.params.flowName, req.body.version, {
+            author: req.user.email,
+            note: noteCheck.value,
+            clientId: req.user.clientId
+        });
+        sendServiceResult(res, result);
+    } catch (error) {
+        console.error('Error rolling back flow:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to roll back flow'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/flows/{flowName}/claim:
+ *   post:
+ *     tags: [Flows]
+ *     summary: Take ownership of an unassigned flow
+ *     description: The agent must belong to your account and be mapped to the flow by uniPipe (see GET /api/flows/agent/{agentId}). Flows owned by another account cannot be claimed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flowName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [agentId]
+ *             properties:
+ *               agentId:
+ *                 type: string
+ *                 example: "69320c340633f489136754ef"
+ *     responses:
+ *       200:
+ *         description: Flow assigned to your account
+ *       403:
+ *         description: The agent does not run this flow
+ *       409:
+ *         description: Flow belongs to another account
+ */
+router.post('/:flowName/claim', authenticateToken, validateResourceOwnership, requirePermission('assistants:manage'), auditLog, async (req, res) => {
+    try {
+        const nameCheck = validateFlowKeySegment(req.params.flowName, 'flowName');
+        if (!nameCheck.valid) {
+            return res.status(400).json({ error: 'Bad request', message: nameCheck.error });
+        }
+
+        sendServiceResult(res, await claimFlow(req.params.flowName, req.user.clientId, req.body.agentId));
+    } catch (error) {
+        console.error('Error claiming flow:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to claim flow'
+        });
+    }
+});
+
+/**
+ * @swagger
+ * /api/flows/{flowName}/owner:
+ *   put:
+ *     tags: [Flows]
+ *     summary: Assign a flow to a client (superadmin)
+ *     security:
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: flowName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               clientId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: New owner, or null to unassign
+ *     responses:
+ *       200:
+ *         description: Owner updated
+ */
+router.put('/:flowName/owner', authenticateSuperKey, auditLog, async (req, res) => {
+    try {
+        const nameCheck = validateFlowKeySegment(req.params.flowName, 'flowName');
+        if (!nameCheck.valid) {
+            return res.status(400).json({ error: 'Bad request', message: nameCheck.error });
+        }
+
+        sendServiceResult(res, await assignFlowOwner(req.params.flowName, req.body.clientId || null));
+    } catch (error) {
+        console.error('Error assigning flow owner:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to assign flow owner'
+        });
+    }
+});
+
 module.exports = router;
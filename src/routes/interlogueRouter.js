@@ -10,8 +10,11 @@ const {
   resetLoginAttempts,
   authenticateToken, 
   validateResourceOwnership, 
+  requirePermission,
   auditLog 
 } = require('../middleware/authMiddleware');
+const { authenticateMember, getRolePermissions } = require('../services/teamService');
+const { hasPermission } = require('../apps/helper/teamRoles');
 
 /**
  * @swagger
@@ -78,10 +81,14 @@ router.post('/create-client', async (req, res) => {
     }
 });
 
-router.post('/update-client', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/update-client', authenticateToken, validateResourceOwnership, requirePermission('settings:manage'), auditLog, async(req, res) => {
     try{
         const clientId = req.body.clientId;
         const newDocs = req.body.newDocs;
+        // Dial rate limits protect shared carrier capacity - only superadmin can change them
+        if (newDocs && 'rateLimits' in newDocs) {
+            return res.status(403).send({ message: 'rateLimits can only be changed by superadmin' });
+        }
         const result = await updateClient(clientId, newDocs);
         res.json(result.status).send({message: result.message});
     } catch(error){
@@ -100,7 +107,16 @@ router.post('/get-client', antiAutomationDelay, auditLog, async (req, res) => {
             });
         }
 
-        const clientData = await getClient(email, password);
+        let clientData = await getClient(email, password);
+        let member = null;
+
+        // Not a client account login - try the team members of client accounts
+        if (!clientData) {
+            const memberLogin = await authenticateMember(email, password);
+            if (memberLogin) {
+                ({ member, clientData } = memberLogin);
+            }
+        }
         
         if (!clientData) {
             return res.status(401).json({ 
@@ -109,12 +125,16 @@ router.post('/get-client', antiAutomationDelay, auditLog, async (req, res) => {
             });
         }
 
+        const role = member ? member.role : 'owner';
+
         // Generate JWT token
         const token = jwt.sign(
             { 
                 clientId: clientData._id.toString(),
-                email: clientData.email,
-                name: clientData.name,
+                memberId: member ? member._id.toString() : undefined,
+                role,
+                email: member ? member.email : clientData.email,
+                name: member ? (member.name || member.email) : clientData.name,
                 company: clientData.company
             },
             process.env.JWT_SECRET,
@@ -129,14 +149,18 @@ router.post('/get-client', antiAutomationDelay, auditLog, async (req, res) => {
             success: true,
             user: {
                 id: clientData._id,
-                email: clientData.email,
-                name: clientData.name,
+                email: member ? member.email : clientData.email,
+                name: member ? (member.name || member.email) : clientData.name,
                 company: clientData.company,
                 tokens: clientData.tokens,
                 isActive: clientData.isActive,
-                apiKey: clientData.apiKey, // Keep for backward compatibility
+                // The API key acts as the whole account - only for roles that manage settings
+                apiKey: hasPermission(role, 'settings:manage') ? clientData.apiKey : undefined, // Keep for backward compatibility
                 incomingSet: clientData.incomingSet || [],
-                callerNumbers: clientData.callerNumbers || []
+                callerNumbers: clientData.callerNumbers || [],
+                memberId: member ? member._id : null,
+                role,
+                permissions: getRolePermissions(role)
             },
             token,
             expiresIn: process.env.JWT_EXPIRES_IN || '24h',
@@ -156,6 +180,13 @@ router.post('/get-client-by-clientId', authenticateToken, validateResourceOwners
     try {
         const clientId = req.body.clientId;
         const result = await getClientByClientId(clientId);
+        // Team members see the account, not its credentials
+        if (req.user.memberId && result && result._id) {
+            delete result.password;
+            if (!hasPermission(req.user.role, 'settings:manage')) {
+                delete result.apiKey;
+            }
+        }
         res.json(result)
     } catch (error) {
         res.status(500).send({ message: "Internal Server Error", error });
@@ -289,7 +320,6 @@ router.post('/get-assistant-details', async (req, res) => {
                             const { connectToMongo, client: mongoClient } = require('../../models/mongodb.js');
                             await connectToMongo();
                             const database = mongoClient.db("talkGlimpass");
-                            const memoryCollection = database.collection("conversationMemory");
                             const { ObjectId } = require('mongodb');
 
                             // Get assistant to determine clientId
@@ -297,21 +327,15 @@ router.post('/get-assistant-details', async (req, res) => {
                             const assistant = await assistantCollection.findOne({ _id: new ObjectId(assistantId) });
 
                             if (assistant && assistant.clientId) {
-                                // Normalize phone number - last 10 digits
-                                const normalizedPhone = customerNumber.slice(-10);
-
-                                // Build query based on context flags
-                                const memoryQuery = {
-                                    phoneNumber: normalizedPhone,
-                                    clientId: new ObjectId(assistant.clientId)
-                                };
-
-                                // If agent context is needed, add assistantId to query
-                                if (contextFlags.includeAgentContext) {
-                                    memoryQuery.assistantId = new ObjectId(assistantId);
-                                }
+                                // Phone number is normalized to E.164 (legacy last-10-digit keys still match)
+                                const { getConversationContext } = require('../apps/helper/conversationMemory.js');
 
-                                const memory = await memoryCollection.findOne(memoryQuery);
+                                // If agent context is needed, scope the lookup to this assistant
+                                const memory = await getConversationContext({
+                                    phoneNumber: customerNumber,
+                                    clientId: assistant.clientId.toString(),
+                                    assistantId: contextFlags.includeAgentContext ? assistantId : undefined
+                                });
 
                                 if (memory) {
                                     console.log(`✅ Found conversation memory:`, JSON.stringify(memory, null, 2));
@@ -416,14 +440,14 @@ router.post('/save-conversation-context', async (req, res) => {
     }
 });
 
-router.post('/create-assistant', authenticateToken, validateResourceOwnership, auditLog, async (req, res) => {
+router.post('/create-assistant', authenticateToken, validateResourceOwnership, requirePermission('assistants:manage'), auditLog, async (req, res) => {
     try {
         const assistantData = req.body;
         // Add clientId to assistant data
         assistantData.clientId = req.user.clientId;
         //  const assistantData = {name: 'piyush', email: 'warrior@glimpass.com', unicode: 'qwerty'}
-        const result = await insertAssistant(assistantData);
-        res.status(result.status).send({ _id: result.id });
+        const result = await insertAssistant(assistantData, { author: req.user.email });
+        res.status(result.status).send(result.id ? { _id: result.id } : { message: result.message });
     } catch (error) {
         res.status(500).send({ message: "Internal Server Error", error });
     }
@@ -801,12 +825,16 @@ router.get('/get-all-assistants', authenticateToken, validateResourceOwnership,
     }
 });
 
-router.post('/update-assistant', authenticateToken, validateResourceOwnership, auditLog, async (req, res) => {
+router.post('/update-assistant', authenticateToken, validateResourceOwnership, requirePermission('assistants:manage'), auditLog, async (req, res) => {
     try {
         const assistantId = req.body.assistantId;
        const docs = req.body.newDocs;
        const isClient = req.body.isClient || 0;
-        const result = await updateAssistant(assistantId, docs, isClient);
+        // Each update is stored as a new assistant version (author + optional changeNote)
+        const result = await updateAssistant(assistantId, docs, isClient, {
+            author: req.user.email,
+            note: typeof req.body.changeNote === 'string' ? req.body.changeNote.slice(0, 500) : null
+        });
         res.status(result.status).send({ message: result.message});
     } catch (error) {
         res.status(500).send({ message: "Internal Server Error", error });
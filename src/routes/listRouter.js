@@ -0,0 +1,393 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs');
+const router = express.Router();
+
+// Import authentication middleware
+const {
+  authenticateToken,
+  requirePermission,
+  auditLog
+} = require('../middleware/authMiddleware');
+
+// Import list services
+const {
+  appendContacts,
+  appendContactsFromFile,
+  updateContact,
+  deleteContact,
+  dedupeList,
+  mergeLists
+} = require('../services/listManagementService');
+const {
+  MAX_FILE_SIZE: LIST_IMPORT_MAX_FILE_SIZE,
+  XLSX_MIME_TYPE,
+  parseColumnMapping
+} = require('../services/listImportService');
+
+const upload = multer({
+  dest: 'list-uploads/',
+  limits: {
+    fileSize: LIST_IMPORT_MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const fileName = file.originalname.toLowerCase();
+    if (fileName.endsWith('.csv') || fileName.endsWith('.xlsx') || file.mimetype === XLSX_MIME_TYPE) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only CSV or XLSX files are allowed. Received: ${file.mimetype}`), false);
+    }
+  }
+});
+
+const safeFileDelete = (filePath) => {
+  try {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (error) {
+    console.error(`Error deleting file ${filePath}:`, error);
+  }
+};
+
+const sendServerError = (res, error) => {
+  res.status(500).json({
+    success: false,
+    status: 500,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Lists
+ *   description: Contact list management - append, edit, dedupe and merge. Lists used by a scheduled, running or paused campaign (or still importing) cannot be changed.
+ */
+
+// =============================================================================
+// MERGE
+// =============================================================================
+
+/**
+ * @swagger
+ * /lists/merge:
+ *   post:
+ *     tags: [Lists]
+ *     summary: Merge lists into a new list
+ *     description: Copies the contacts of every list (in the given order) into a new list. Source lists are not changed.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [listIds, name]
+ *             properties:
+ *               listIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               name:
+ *                 type: string
+ *                 description: Name of the new list
+ *               dedupe:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Keep only the first contact for each number
+ *     responses:
+ *       201:
+ *         description: Lists merged - returns the new listId and contactCount
+ *       400:
+ *         description: Fewer than two lists, missing name or duplicate list name
+ *       404:
+ *         description: A list was not found
+ *       409:
+ *         description: A list is still importing
+ */
+router.post('/merge', authenticateToken, requirePermission('lists:manage'), auditLog, async (req, res) => {
+  try {
+    const result = await mergeLists(req.user.clientId, req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error merging lists:', error);
+    sendServerError(res, error);
+  }
+});
+
+// =============================================================================
+// CONTACTS
+// =============================================================================
+
+/**
+ * @swagger
+ * /lists/{listId}/contacts:
+ *   post:
+ *     tags: [Lists]
+ *     summary: Append contacts to a list
+ *     description: Numbers are normalized to E.164 in the client's default country. Invalid rows and numbers already in the list are skipped. Use /lists/{listId}/upload for large appends.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [contacts]
+ *             properties:
+ *               contacts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                 example: [{ "number": "9876543210", "first_name": "Asha" }]
+ *     responses:
+ *       200:
+ *         description: Contacts appended - returns inserted, duplicates, invalid rows and contactCount
+ *       404:
+ *         description: List not found
+ *       409:
+ *         description: List is locked by a campaign or an import
+ */
+router.post('/:listId/contacts', authenticateToken, requirePermission('lists:manage'), auditLog, async (req, res) => {
+  try {
+    const result = await appendContacts(req.params.listId, req.user.clientId, req.body.contacts);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error appending contacts:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /lists/{listId}/upload:
+ *   post:
+ *     tags: [Lists]
+ *     summary: Append a CSV/XLSX file to a list
+ *     description: Queues a background import job that adds the file's rows to the list, skipping numbers already in it. Poll GET /plivo/list-import/{jobId} for progress.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               columnMapping:
+ *                 type: string
+ *                 example: '{"number": "Phone"}'
+ *     responses:
+ *       202:
+ *         description: Import queued - returns jobId
+ *       404:
+ *         description: List not found
+ *       409:
+ *         description: List is locked by a campaign or an import
+ */
+router.post('/:listId/upload', authenticateToken, requirePermission('lists:manage'), upload.single('file'), auditLog, async (req, res) => {
+  const filePath = req.file?.path;
+  try {
+    if (!filePath) {
+      return res.status(400).json({ success: false, status: 400, message: 'No file uploaded. Send a CSV or XLSX file in the "file" field.' });
+    }
+
+    const { mapping, error: mappingError } = parseColumnMapping(req.body.columnMapping);
+    if (mappingError) {
+      safeFileDelete(filePath);
+      return res.status(400).json({ success: false, status: 400, message: mappingError });
+    }
+
+    const result = await appendContactsFromFile(req.params.listId, req.user.clientId, {
+      file: req.file,
+      columnMapping: mapping
+    });
+    if (!result.success) {
+      safeFileDelete(filePath);
+    }
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error appending list file:', error);
+    safeFileDelete(filePath);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /lists/{listId}/contacts/{contactId}:
+ *   put:
+ *     tags: [Lists]
+ *     summary: Edit a contact
+ *     description: Sets the given fields; a field set to null is removed. A new number is normalized to E.164 and must not already be in the list.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: contactId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             example: { "first_name": "Asha", "number": "+919876543210" }
+ *     responses:
+ *       200:
+ *         description: Contact updated
+ *       404:
+ *         description: List or contact not found
+ *       409:
+ *         description: Number already in the list, or list locked by a campaign or an import
+ */
+router.put('/:listId/contacts/:contactId', authenticateToken, requirePermission('lists:manage'), auditLog, async (req, res) => {
+  try {
+    const result = await updateContact(req.params.listId, req.user.clientId, req.params.contactId, req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error updating contact:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /lists/{listId}/contacts/{contactId}:
+ *   delete:
+ *     tags: [Lists]
+ *     summary: Delete a contact
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: contactId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contact deleted - returns the new contactCount
+ *       404:
+ *         description: List or contact not found
+ *       409:
+ *         description: List is locked by a campaign or an import
+ */
+router.delete('/:listId/contacts/:contactId', authenticateToken, requirePermission('lists:manage'), auditLog, async (req, res) => {
+  try {
+    const result = await deleteContact(req.params.listId, req.user.clientId, req.params.contactId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error deleting contact:', error);
+    sendServerError(res, error);
+  }
+});
+
+// =============================================================================
+// DEDUPE
+// =============================================================================
+
+/**
+ * @swagger
+ * /lists/{listId}/dedupe:
+ *   post:
+ *     tags: [Lists]
+ *     summary: Remove duplicate and already-handled contacts from a list
+ *     description: Always removes repeated numbers within the list (first contact wins). Optionally also removes numbers that are in other lists, or that earlier campaigns reached - narrowed by lead category / lead flag, e.g. leadCategories ["converted"] to drop converted leads.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: listId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               againstListIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               campaignIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               leadCategories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only exclude campaign contacts whose lead category is one of these
+ *               leadsOnly:
+ *                 type: boolean
+ *                 description: Only exclude campaign contacts the bot marked as leads
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Report what would be removed without deleting
+ *     responses:
+ *       200:
+ *         description: Removal counts by reason and the new contactCount
+ *       404:
+ *         description: List, comparison list or campaign not found
+ *       409:
+ *         description: List is locked by a campaign or an import
+ */
+router.post('/:listId/dedupe', authenticateToken, requirePermission('lists:manage'), auditLog, async (req, res) => {
+  try {
+    const result = await dedupeList(req.params.listId, req.user.clientId, req.body || {});
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error deduplicating list:', error);
+    sendServerError(res, error);
+  }
+});
+
+// Multer errors (file too large, wrong type) - registered last so it sees errors from /:listId/upload
+router.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError || err.message?.startsWith('Only CSV or XLSX')) {
+    safeFileDelete(req.file?.path);
+    const message = err.code === 'LIMIT_FILE_SIZE'
+      ? `File size must be less than ${Math.round(LIST_IMPORT_MAX_FILE_SIZE / 1024 / 1024)}MB`
+      : err.message;
+    return res.status(400).json({ success: false, status: 400, message });
+  }
+  next(err);
+});
+
+module.exports = router;
@@ -3,13 +3,14 @@ const router = express.Router();
 const crypto = require('crypto');
 const Razorpay = require('razorpay');
 const { 
-  getClientByClientId, 
-  updateClient 
+  getClientByClientId
 } = require('../apps/interLogue/client');
 const { addBillingHistoryInMongo } = require('../apps/exotel/exotel');
+const { postLedgerEntry, ENTRY_TYPES } = require('../apps/billing/creditLedger');
 const { 
   authenticateToken, 
   validateResourceOwnership, 
+  requirePermission, 
   auditLog 
 } = require('../middleware/authMiddleware');
 const { 
@@ -237,7 +238,7 @@ const verifyPaymentWithRazorpay = async (paymentId) => {
  *       500:
  *         description: Internal server error
  */
-router.post('/verify-and-add-balance', authenticateToken, validateResourceOwnership, validationSchemas.verifyPayment, auditLog, async (req, res) => {
+router.post('/verify-and-add-balance', authenticateToken, validateResourceOwnership, validationSchemas.verifyPayment, requirePermission('billing:topup'), auditLog, async (req, res) => {
   try {
     const {
       clientId,
@@ -343,7 +344,7 @@ router.post('/verify-and-add-balance', authenticateToken, validateResourceOwners
       }
     }
 
-    // STEP 6: Get current client data to calculate new balance
+    // STEP 6: Make sure the client exists before crediting
     console.log('Getting current client data from database...');
     const currentClientData = await getClientByClientId(clientId);
     
@@ -353,18 +354,57 @@ router.post('/verify-and-add-balance', authenticateToken, validateResourceOwners
         message: 'Client not found'
       });
     }
-    
-    // Calculate new balance server-side
-    const currentBalance = currentClientData.availableBalance || 0;
-    const newAvailableBalance = currentBalance + credits;
-    
-    console.log('🔢 Balance Calculation Debug:', { 
-      clientId, 
-      currentBalance, 
-      creditsToAdd: credits, 
-      calculation: `${currentBalance} + ${credits} = ${newAvailableBalance}`,
-      frontendSentBalance: req.body.newAvailableBalance,
-      usingServerCalculated: newAvailableBalance
+
+    // STEP 7: Credit the balance through the ledger - atomic $inc, idempotent on the payment ID
+    const ledgerResult = await postLedgerEntry({
+      clientId,
+      entryType: ENTRY_TYPES.TOPUP,
+      amount: credits,
+      referenceId: razorpay_payment_id,
+      description: `Recharge: Razorpay payment of ${rupees} rupees (excluding GST)`,
+      metadata: {
+        paymentProvider: 'Razorpay',
+        orderId: razorpay_order_id,
+        rupees,
+        baseAmount: baseAmount || rupees,
+        gstAmount: gstAmount || 0,
+        totalAmount: totalAmount || rupees
+      },
+      createdBy: req.user?.email || 'system'
+    }, {
+      set: {
+        lastPaymentDate: new Date().toISOString(),
+        lastPaymentAmount: rupees,
+        lastPaymentId: razorpay_payment_id,
+        lastOrderId: razorpay_order_id,
+        lastPaymentSignature: razorpay_signature
+      }
+    });
+
+    if (!ledgerResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update client balance',
+        error: ledgerResult.error
+      });
+    }
+
+    if (ledgerResult.duplicate) {
+      usedPaymentIds.set(razorpay_payment_id, Date.now());
+      return res.status(400).json({
+        success: false,
+        message: 'Payment ID has already been used',
+        error: 'DUPLICATE_PAYMENT_ID'
+      });
+    }
+
+    const newAvailableBalance = ledgerResult.newBalance;
+    console.log('Client balance updated successfully:', {
+      clientId,
+      previousBalance: ledgerResult.previousBalance,
+      creditsAdded: credits,
+      newAvailableBalance,
+      frontendSentBalance: req.body.newAvailableBalance
     });
 
     // Prepare payload for the billing API (matching expected format)
@@ -373,36 +413,12 @@ router.post('/verify-and-add-balance', authenticateToken, validateResourceOwners
       balance: credits,
       transactionType: "Cr",
       desc: `Recharge: Razorpay payment of ${rupees} rupees`,
-      newAvailableBalance: newAvailableBalance, // Use server-calculated balance
+      newAvailableBalance: newAvailableBalance,
       date: new Date().toISOString(),
       camp_name: null,
       campaignId: null
     };
 
-    // STEP 7: Update client balance directly in database
-    const updatedClientData = {
-      ...currentClientData,
-      availableBalance: newAvailableBalance,
-      lastPaymentDate: new Date().toISOString(),
-      lastPaymentAmount: rupees,
-      lastPaymentId: razorpay_payment_id,
-      lastOrderId: razorpay_order_id,
-      lastPaymentSignature: razorpay_signature
-    };
-    
-    console.log('Updating client with new balance:', newAvailableBalance);
-    const updateResult = await updateClient(clientId, updatedClientData);
-    
-    if (updateResult.status !== 200) {
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to update client balance',
-        error: updateResult.message
-      });
-    }
-    
-    console.log('Client balance updated successfully');
-
     // STEP 9: Add billing record directly using internal function
     console.log('Adding billing record...');
     
@@ -590,7 +606,7 @@ router.post('/verify-and-add-balance', authenticateToken, validateResourceOwners
  *       500:
  *         description: Internal server error
  */
-router.post('/create-order', authenticateToken, validateResourceOwnership, validationSchemas.createOrder, auditLog, async (req, res) => {
+router.post('/create-order', authenticateToken, validateResourceOwnership, validationSchemas.createOrder, requirePermission('billing:topup'), auditLog, async (req, res) => {
   try {
     const { amount, currency = 'INR' } = req.body;
 
@@ -5,6 +5,7 @@ const { createClient } = require('redis');
 const { 
   authenticateToken, 
   validateResourceOwnership, 
+  requirePermission,
   auditLog 
 } = require('../middleware/authMiddleware');
 const { 
@@ -245,7 +246,7 @@ router.post('/chat', authenticateToken, validateResourceOwnership, validationSch
  *   put:
  *     tags: [MarkAible Training]
  *     summary: Update AI assistant prompt
- *     description: Update the prompt content for a specific AI assistant
+ *     description: Update the system prompt of one of your assistants. Every update is stored as a new assistant version.
  *     security:
  *       - BearerAuth: []
  *     requestBody:
@@ -266,6 +267,10 @@ router.post('/chat', authenticateToken, validateResourceOwnership, validationSch
  *                 type: string
  *                 description: New prompt content
  *                 example: "You are Priya, an improved voice agent..."
+ *               changeNote:
+ *                 type: string
+ *                 description: Recorded on the assistant version this update creates
+ *                 example: "Shorter greeting, ask for budget earlier"
  *     responses:
  *       200:
  *         description: Prompt updated successfully
@@ -281,21 +286,40 @@ router.post('/chat', authenticateToken, validateResourceOwnership, validationSch
  *         description: Bad request
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Assistant not found
  *       500:
  *         description: Internal server error
  */
-router.put('/update-prompt', authenticateToken, validateResourceOwnership, validationSchemas.promptUpdate, auditLog, async (req, res) => {
+router.put('/update-prompt', authenticateToken, requirePermission('assistants:manage'), validateResourceOwnership, validationSchemas.promptUpdate, auditLog, async (req, res) => {
   try {
-    const { assistantId, updatedPrompt } = req.body;
+    const { assistantId, updatedPrompt, changeNote } = req.body;
+    const { getAssistantDetails, updateAssistant } = require('../apps/interLogue/client');
+    const { validateChangeNote } = require('../apps/helper/assistantVersioning');
+
+    const noteCheck = validateChangeNote(changeNote);
+    if (!noteCheck.valid) {
+      return res.status(400).json({ error: noteCheck.error });
+    }
+
+    const assistant = await getAssistantDetails(assistantId);
+    if (!assistant || !assistant._id || assistant.clientId?.toString() !== req.user.clientId?.toString()) {
+      return res.status(404).json({ error: 'Assistant not found' });
+    }
 
-    // Here you would typically update the prompt in your database
-    // For now, we'll just log the update
     console.log('Updating prompt for assistant:', assistantId);
     console.log('New prompt length:', updatedPrompt.length);
-    
-    // TODO: Implement database update logic
-    // const updateResult = await updateAssistantPrompt(assistantId, updatedPrompt);
-    
+
+    // Stored as a new assistant version (see /assistants/{assistantId}/versions)
+    const updateResult = await updateAssistant(assistantId, { system_prompt: updatedPrompt }, 1, {
+      author: req.user.email,
+      note: noteCheck.value,
+      source: 'train-ai'
+    });
+    if (updateResult.status !== 200) {
+      return res.status(updateResult.status).json({ error: updateResult.message });
+    }
+
     res.json({ success: true });
   } catch (error) {
     console.error('Error updating prompt:', error);
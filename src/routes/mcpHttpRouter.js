@@ -8,12 +8,14 @@ const { authenticateSuperKey, auditLog } = require('../middleware/authMiddleware
 const { WATIMCPServer } = require('../../mcp_servers/wati/server');
 const { GmailMCPServer } = require('../../mcp_servers/gmail/server');
 const { ScheduleCallMCPServer } = require('../../mcp_servers/schedule-call/server');
+const { CallControlMCPServer } = require('../../mcp_servers/call-control/server');
 
 // Import services to get agent tool assignments
 const { getAgentWatiTools } = require('../services/tools/watiService');
 const { getAgentEmailTools } = require('../services/tools/emailService');
 const { getAgentMcpTools } = require('../services/tools/mcpService');
 const { getAgentScheduleCallTools } = require('../services/tools/scheduleCallService');
+const { getAgentCallControlTools } = require('../services/tools/callControlToolService');
 
 /**
  * @swagger
@@ -265,6 +267,52 @@ router.post('/schedule-call/:agentId', authenticateSuperKey, auditLog, async (re
   }
 });
 
+// =============================================================================
+// CALL CONTROL MCP HTTP ENDPOINT
+// =============================================================================
+
+router.post('/call-control/:agentId', authenticateSuperKey, auditLog, async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    let mcpRequest = req.body;
+
+    if (typeof mcpRequest === 'string') {
+      try {
+        mcpRequest = JSON.parse(mcpRequest);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'Invalid JSON in request body', code: -32700 });
+      }
+    }
+
+    if (!mcpRequest || typeof mcpRequest !== 'object') {
+      return res.status(400).json({ error: 'Request body must be a valid JSON object', code: -32700 });
+    }
+
+    console.log(`🔌 Call Control MCP: ${mcpRequest.method} → agent:${agentId}`);
+
+    const agentTools = await getAgentCallControlTools(agentId);
+
+    if (!agentTools.success || !agentTools.data.assigned_tools?.length) {
+      return res.status(404).json({ error: 'No call control tools assigned to agent', code: -32601 });
+    }
+
+    const callControlServer = new CallControlMCPServer();
+    await callControlServer.setAgentContext(agentId, agentTools.data.client_id);
+
+    const response = await callControlServer.handleHttpRequest(mcpRequest);
+
+    if (response === undefined || response === null) {
+      return res.status(200).end();
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('❌ Call Control MCP HTTP handler error:', error.message);
+    res.status(500).json({ error: 'Internal server error', message: error.message, code: -32603 });
+  }
+});
+
 // =============================================================================
 // GENERIC MCP PROXY ENDPOINT
 // =============================================================================
@@ -404,11 +452,12 @@ router.get('/discover/:agentId', authenticateSuperKey, auditLog, async (req, res
     console.log(`🔍 MCP server discovery for agent: ${agentId}`);
 
     // Get all tool assignments for the agent
-    const [watiTools, emailTools, mcpTools, scheduleCallTools] = await Promise.all([
+    const [watiTools, emailTools, mcpTools, scheduleCallTools, callControlTools] = await Promise.all([
       getAgentWatiTools(agentId),
       getAgentEmailTools(agentId),
       getAgentMcpTools(agentId),
-      getAgentScheduleCallTools(agentId)
+      getAgentScheduleCallTools(agentId),
+      getAgentCallControlTools(agentId)
     ]);
 
     const servers = [];
@@ -443,6 +492,16 @@ router.get('/discover/:agentId', authenticateSuperKey, auditLog, async (req, res
       });
     }
 
+    // Call Control servers
+    if (callControlTools.success && callControlTools.data.assigned_tools?.length > 0) {
+      servers.push({
+        type: 'call_control',
+        url: `/mcp/call-control/${agentId}`,
+        tools_count: callControlTools.data.assigned_tools.filter(t => t.enabled).length,
+        description: 'In-call control tools (hangup, DTMF, play, hold, transfer)'
+      });
+    }
+
     // Generic MCP servers
     if (mcpTools.success && mcpTools.data.assigned_tools?.length > 0) {
       mcpTools.data.assigned_tools.filter(t => t.enabled).forEach(tool => {
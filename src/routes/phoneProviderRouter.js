@@ -9,6 +9,7 @@ const PhoneProviderService = require('../services/phoneProviderService');
 const { 
   authenticateToken, 
   validateResourceOwnership, 
+  requirePermission, 
   auditLog 
 } = require('../middleware/authMiddleware');
 const { 
@@ -33,7 +34,7 @@ const validationSchemas = {
       },
       provider: {
         required: true,
-        validate: (value) => ['plivo', 'twilio'].includes(value) || 'Provider must be plivo or twilio',
+        validate: (value) => ['plivo', 'twilio', 'exotel', 'sip'].includes(value) || 'Provider must be plivo, twilio, exotel or sip',
         sanitize: 'sanitizeString'
       },
       providerConfig: {
@@ -217,7 +218,7 @@ router.get('/test/:phoneNumber', async (req, res) => {
  *                   type: string
  *                 provider:
  *                   type: string
- *                   enum: [plivo, twilio]
+ *                   enum: [plivo, twilio, exotel, sip]
  *                 providerConfig:
  *                   type: object
  *                 isDefault:
@@ -283,7 +284,7 @@ router.get('/lookup/:phoneNumber', authenticateToken, auditLog, async (req, res)
  *                 example: "+918035735659"
  *               provider:
  *                 type: string
- *                 enum: [plivo, twilio]
+ *                 enum: [plivo, twilio, exotel, sip]
  *                 example: "twilio"
  *               providerConfig:
  *                 type: object
@@ -298,7 +299,7 @@ router.get('/lookup/:phoneNumber', authenticateToken, auditLog, async (req, res)
  *       401:
  *         description: Unauthorized
  */
-router.post('/add', authenticateToken, validationSchemas.addProvider, auditLog, async (req, res) => {
+router.post('/add', authenticateToken, validationSchemas.addProvider, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { phoneNumber, provider, providerConfig } = req.body;
     
@@ -343,7 +344,7 @@ router.post('/add', authenticateToken, validationSchemas.addProvider, auditLog,
  *         name: provider
  *         schema:
  *           type: string
- *           enum: [plivo, twilio]
+ *           enum: [plivo, twilio, exotel, sip]
  *         description: Filter by provider
  *       - in: query
  *         name: limit
@@ -412,7 +413,7 @@ router.get('/list', authenticateToken, auditLog, async (req, res) => {
  *             properties:
  *               provider:
  *                 type: string
- *                 enum: [plivo, twilio]
+ *                 enum: [plivo, twilio, exotel, sip]
  *               providerConfig:
  *                 type: object
  *               isActive:
@@ -423,7 +424,7 @@ router.get('/list', authenticateToken, auditLog, async (req, res) => {
  *       404:
  *         description: Phone number not found
  */
-router.put('/update/:phoneNumber', authenticateToken, auditLog, async (req, res) => {
+router.put('/update/:phoneNumber', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { phoneNumber } = req.params;
     const updates = req.body;
@@ -468,7 +469,7 @@ router.put('/update/:phoneNumber', authenticateToken, auditLog, async (req, res)
  *       404:
  *         description: Phone number not found
  */
-router.delete('/delete/:phoneNumber', authenticateToken, auditLog, async (req, res) => {
+router.delete('/delete/:phoneNumber', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { phoneNumber } = req.params;
     
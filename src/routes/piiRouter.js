@@ -0,0 +1,259 @@
+/**
+ * PII Router
+ * Per-client PII redaction policy (which detectors run, mask style, where redaction applies and
+ * which roles may see unredacted data), a preview for trying the policy on sample text, and the
+ * unredacted transcript view for permitted roles.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  authenticateJWTOrSuperKey,
+  requirePermission,
+  auditLog
+} = require('../middleware/authMiddleware');
+const {
+  getPiiPolicy,
+  updatePiiPolicy,
+  getClientPiiPolicy,
+  previewRedaction,
+  getCallTranscript
+} = require('../services/piiRedactionService');
+const { validatePiiPolicy, resolvePiiPolicy } = require('../apps/helper/piiRedaction');
+
+/**
+ * @swagger
+ * tags:
+ *   name: PII
+ *   description: PII redaction of transcripts, webhooks, exports and logs
+ */
+
+const sendServerError = (res, error) => {
+  res.status(500).json({
+    success: false,
+    status: 500,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+// Super key callers may act on any client (or scope themselves with client_id); JWT callers only on their own
+const resolveClientScope = (req) => (req.superKeyAuth ? (req.query.client_id || req.body?.client_id || null) : req.user.clientId);
+
+const actorOf = (req) => (req.superKeyAuth ? 'superadmin' : req.user.email);
+
+const viewerOf = (req) => ({ superKey: Boolean(req.superKeyAuth), role: req.user?.role || null });
+
+const MAX_PREVIEW_LENGTH = 20000;
+
+/**
+ * @swagger
+ * /pii/policy:
+ *   get:
+ *     tags: [PII]
+ *     summary: PII redaction policy of the client
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: client_id
+ *         schema:
+ *           type: string
+ *         description: Required with Super Key
+ *     responses:
+ *       200:
+ *         description: "{ enabled, types, mask, apply: { transcripts, webhooks, exports }, unredactedRoles }"
+ *       404:
+ *         description: Client not found
+ *   put:
+ *     tags: [PII]
+ *     summary: Update the PII redaction policy
+ *     description: |
+ *       Partial update. Transcripts are redacted when stored (calls before the change stay as they were),
+ *       webhooks and exports when they're sent. Request logs are always redacted, independent of this policy.
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               client_id:
+ *                 type: string
+ *                 description: Required with Super Key
+ *               enabled:
+ *                 type: boolean
+ *                 example: true
+ *               types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [card, aadhaar, pan, email, phone, name]
+ *               mask:
+ *                 type: string
+ *                 enum: [label, partial]
+ *                 description: "label → [PHONE]; partial → [PHONE xxxx3210]"
+ *               apply:
+ *                 type: object
+ *                 properties:
+ *                   transcripts:
+ *                     type: boolean
+ *                   webhooks:
+ *                     type: boolean
+ *                   exports:
+ *                     type: boolean
+ *               unredactedRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [owner, admin, campaign_manager, analyst, billing_only, read_only]
+ *                 example: ["owner", "admin"]
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Invalid policy
+ *       404:
+ *         description: Client not found
+ */
+router.get('/policy', authenticateJWTOrSuperKey, async (req, res) => {
+  try {
+    const clientId = resolveClientScope(req);
+    if (!clientId) {
+      return res.status(400).json({ success: false, status: 400, message: 'client_id is required' });
+    }
+    const result = await getPiiPolicy(clientId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching PII policy:', error);
+    sendServerError(res, error);
+  }
+});
+
+router.put('/policy', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientScope(req);
+    if (!clientId) {
+      return res.status(400).json({ success: false, status: 400, message: 'client_id is required' });
+    }
+    const { client_id, ...policy } = req.body || {};
+    const result = await updatePiiPolicy(clientId, policy, actorOf(req));
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error updating PII policy:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /pii/preview:
+ *   post:
+ *     tags: [PII]
+ *     summary: Try redaction on sample text
+ *     description: Redacts the text with the client's policy, or with the policy fields given in the body (types, mask) without saving them.
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 example: "My number is 98765 43210 and email is ravi@example.com"
+ *               types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               mask:
+ *                 type: string
+ *                 enum: [label, partial]
+ *     responses:
+ *       200:
+ *         description: "{ text, findings: { phone: 1, email: 1 } }"
+ *       400:
+ *         description: Invalid text or policy
+ */
+router.post('/preview', authenticateJWTOrSuperKey, async (req, res) => {
+  try {
+    const { text, types, mask } = req.body || {};
+    if (typeof text !== 'string' || text.length === 0 || text.length > MAX_PREVIEW_LENGTH) {
+      return res.status(400).json({ success: false, status: 400, message: `text must be a string of 1-${MAX_PREVIEW_LENGTH} characters` });
+    }
+
+    const overrides = {};
+    if (types !== undefined) overrides.types = types;
+    if (mask !== undefined) overrides.mask = mask;
+
+    const clientId = resolveClientScope(req);
+    let policy = clientId ? await getClientPiiPolicy(clientId) : resolvePiiPolicy(null);
+    if (Object.keys(overrides).length > 0) {
+      const validation = validatePiiPolicy(overrides);
+      if (!validation.valid) {
+        return res.status(400).json({ success: false, status: 400, message: validation.error });
+      }
+      policy = { ...policy, ...validation.value };
+    }
+
+    res.status(200).json({ success: true, status: 200, data: previewRedaction(text, policy) });
+  } catch (error) {
+    console.error('Error previewing PII redaction:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /pii/calls/{callUUID}/transcript:
+ *   get:
+ *     tags: [PII]
+ *     summary: Transcript of a call
+ *     description: |
+ *       Returns the stored (redacted) transcript. With unredacted=true the original is decrypted from
+ *       the PII vault - only for roles in the client's unredactedRoles (and Super Key). Access is audit-logged.
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callUUID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: unredacted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: "{ callUUID, redacted, messages, chat, chat_history, summary, lead_analysis }"
+ *       403:
+ *         description: Role not permitted to view unredacted transcripts
+ *       404:
+ *         description: Call or transcript not found
+ */
+router.get('/calls/:callUUID/transcript', authenticateJWTOrSuperKey, requirePermission('reports:view'), auditLog, async (req, res) => {
+  try {
+    const result = await getCallTranscript(req.params.callUUID, resolveClientScope(req), {
+      unredacted: req.query.unredacted === 'true',
+      viewer: viewerOf(req)
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching call transcript:', error);
+    sendServerError(res, error);
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,31 @@
 const express = require('express');
 const multer = require('multer');
-const csvParser = require('csv-parser');
 const fs = require('fs');
 const router = express.Router();
-const upload = multer({ dest: 'list-uploads/' });
+const {
+  MAX_FILE_SIZE: LIST_IMPORT_MAX_FILE_SIZE,
+  XLSX_MIME_TYPE,
+  parseColumnMapping,
+  createImportJob,
+  startImportJob,
+  getImportJob,
+  writeImportErrorCsv
+} = require('../services/listImportService');
+const upload = multer({
+  dest: 'list-uploads/',
+  limits: {
+    fileSize: LIST_IMPORT_MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const fileName = file.originalname.toLowerCase();
+    if (fileName.endsWith('.csv') || fileName.endsWith('.xlsx') || file.mimetype === XLSX_MIME_TYPE || file.mimetype.includes('csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only CSV or XLSX files are allowed. Received: ${file.mimetype}`), false);
+    }
+  }
+});
 
 // Helper function to safely delete files
 const safeFileDelete = (filePath) => {
@@ -17,6 +39,19 @@ const safeFileDelete = (filePath) => {
   }
 };
 
+// Turn multer errors (size limit, wrong file type) into 400s
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      const details = err.code === 'LIMIT_FILE_SIZE'
+        ? `File size must be less than ${Math.round(LIST_IMPORT_MAX_FILE_SIZE / 1024 / 1024)}MB`
+        : err.message;
+      return res.status(400).json({ message: 'File upload error', details });
+    }
+    next();
+  });
+};
+
 /**
  * @swagger
  * tags:
@@ -24,140 +59,176 @@ const safeFileDelete = (filePath) => {
  *   description: Protected Plivo API endpoints (requires API key authentication)
  */
 
-const {deleteList,insertList, insertListContent,updateList, saveSingleLeadData   } = require('./../apps/plivo/plivo.js')
+const {deleteList,insertList, saveSingleLeadData   } = require('./../apps/plivo/plivo.js')
 const apiKeyValidator = require('./../middleware/apiKeyValidator')
+const { parsePhoneNumber, resolveDefaultCountry } = require('./../apps/helper/phoneNumber.js')
 const { connectToMongo, client } = require('../../models/mongodb.js')
-// Route to upload CSV
-router.post('/upload-csv', upload.single('file'), async (req, res) => {
+
+/**
+ * @swagger
+ * /api/upload-csv:
+ *   post:
+ *     tags: [Plivo API]
+ *     summary: Import a contact list (CSV or XLSX)
+ *     description: Creates the list and queues a background import job. Rows are normalized to E.164 in the client's default country, deduplicated within the list and invalid rows are skipped into an error report. Poll GET /api/list-import/{jobId} for progress.
+ *     security:
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - listName
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               listName:
+ *                 type: string
+ *               columnMapping:
+ *                 type: string
+ *                 description: JSON object mapping contact fields to file columns. Without it the phone column is detected by name (number, phone, mobile...).
+ *                 example: '{"number": "Phone", "first_name": "Name"}'
+ *     responses:
+ *       202:
+ *         description: Import queued - returns jobId and listId
+ *       400:
+ *         description: Missing file/listName, invalid columnMapping or duplicate list name
+ *       401:
+ *         description: Invalid API key
+ */
+router.post('/upload-csv', apiKeyValidator, uploadFile, async (req, res) => {
+  if (!req.file || !req.file.path) {
+    return res.status(400).json({ message: 'No file uploaded. Send a CSV or XLSX file in the "file" field.' });
+  }
+
   const filePath = req.file.path;
   const listName = req.body.listName; // Expecting the list name in the request body
   const clientId = req.clientData._id.toString();
-  
+
   if (!listName) {
     safeFileDelete(filePath); // Clean up file before returning error
     return res.status(400).json({ message: 'List name is required' });
   }
 
-  let listId = null;
+  const { mapping, error: mappingError } = parseColumnMapping(req.body.columnMapping);
+  if (mappingError) {
+    safeFileDelete(filePath);
+    return res.status(400).json({ message: mappingError });
+  }
 
   try {
     // Save the list name and generate a list ID
     const listResult = await insertList(listName, clientId);
-    if(listResult.status == 200){
-        listId = listResult.listId;
-    }
-    if(listResult.status == 400){
-        safeFileDelete(filePath);
-        return res.status(400).json({
-            message: listResult.message,
-          });
+    if (listResult.status !== 200) {
+      safeFileDelete(filePath);
+      return res.status(listResult.status).json({ message: listResult.message || 'Error saving data to database' });
     }
 
-    if(listId == null){
-        safeFileDelete(filePath);
-        return res.status(500).json({
-            message: 'Error saving data to database',
-          });
+    const jobResult = await createImportJob({
+      clientId,
+      listId: listResult.listId,
+      listName,
+      file: req.file,
+      columnMapping: mapping,
+      defaultCountry: resolveDefaultCountry(req.clientData),
+      source: 'api'
+    });
+    if (!jobResult.success) {
+      await deleteList(listResult.listId);
+      safeFileDelete(filePath);
+      return res.status(500).json({ message: 'Error starting list import', error: jobResult.error });
     }
-    const rows = [];
-    const indianMobileRegex = /^(\+91|91)[6-9]\d{9}$/;
-    // Read and parse the CSV file
-    fs.createReadStream(filePath)
-      .pipe(csvParser())
-      .on('data', async (data) => {
-        let number = data.number.trim(); // Trim whitespace
-
-        // If number starts with "0", remove it and add "91"
-        if (number.startsWith("0")) {
-          number = "91" + number.slice(1);
-        } 
-        // If number does not start with "91", add "91"
-        else if (!number.startsWith("91") && !number.startsWith("+91")) {
-          number = "91" + number;
-        } 
-        // If number starts with "91" but is only 10 digits long, add another "91"
-        else if (number.startsWith("91") && number.length === 10) {
-          number = "91" + number;
-        }
-    
-        // Validate the final number
-        if (indianMobileRegex.test(number)) {
-          data.number = number; // Update the number in the data object
-          data.listId = listId; // Add listId
-          
-          rows.push(data); // Push updated data object
-        } else {
-          await deleteList(listId);
-          safeFileDelete(filePath);
-          return res.status(500).json({ message: `Invalid mobile number ${number}.` });
-        }
-        // const row = {
-        //   ...data,  // Spread the existing data properties
-        //   listId,   // Add listId directly at the same level
-        // };
-        // rows.push(row);
-      })
-      .on('end', async () => {
-        try {
-          if (!validateCsvFormat(rows)) {
-            await deleteList(listId);
-            return res.status(500).json({ message: 'Invalid CSV format.' });
-          }
-          const count = rows.length;
-          await updateList(listId, count);
-          // Save all rows to MongoDB
-          const result = await insertListContent(rows);
-
-          res.status(result.status).json({
-            message: result.message
-          });
-        } catch (err) {
-          console.error(err);
-          res.status(500).json({
-            message: 'Error saving data to database',
-          });
-        }
-      })
-      .on('error', async (err) => {
-        console.error(err);
-        await deleteList(listId);
-        res.status(500).json({
-          message: 'Error processing CSV file',
-        });
-      });
+
+    startImportJob(jobResult.jobId);
+
+    res.status(202).json({
+      message: 'List import started',
+      jobId: jobResult.jobId,
+      listId: listResult.listId,
+      statusUrl: `/api/list-import/${jobResult.jobId}`
+    });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ message: 'Error saving list to database' });
-  } finally {
-    // Always delete the temporary file, regardless of success or failure
     safeFileDelete(filePath);
+    res.status(500).json({ message: 'Error saving list to database' });
   }
 });
 
-const validateCsvFormat = (data) => {
-  if (data.length === 0) return false;
-
-  // Only 'number' is mandatory, all other columns are optional and dynamic
-  const headers = Object.keys(data[0]);
-
-  // Check that 'number' column exists
-  if (!headers.includes('number')) {
-    console.error('CSV validation failed: "number" column is required');
-    return false;
+/**
+ * @swagger
+ * /api/list-import/{jobId}:
+ *   get:
+ *     tags: [Plivo API]
+ *     summary: Contact list import progress
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job status (queued, processing, completed, failed) with progress and row counters
+ *       404:
+ *         description: Import job not found
+ */
+router.get('/list-import/:jobId', apiKeyValidator, async (req, res) => {
+  try {
+    const job = await getImportJob(req.params.jobId, req.clientData._id.toString());
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Import job not found' });
+    }
+    res.status(200).json({ success: true, data: job });
+  } catch (error) {
+    console.error('Error fetching list import job:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
   }
+});
 
-  // Check that all rows have a number value
-  const allRowsHaveNumber = data.every(row => row.number && row.number.trim() !== '');
-  if (!allRowsHaveNumber) {
-    console.error('CSV validation failed: All rows must have a valid "number" value');
-    return false;
+/**
+ * @swagger
+ * /api/list-import/{jobId}/errors:
+ *   get:
+ *     tags: [Plivo API]
+ *     summary: Download the rows skipped by a list import as CSV
+ *     security:
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CSV with row, number, error and the original columns
+ *       404:
+ *         description: Import job not found
+ */
+router.get('/list-import/:jobId/errors', apiKeyValidator, async (req, res) => {
+  try {
+    const job = await getImportJob(req.params.jobId, req.clientData._id.toString());
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Import job not found' });
+    }
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="import-errors-${job.jobId}.csv"`);
+    await writeImportErrorCsv(job, res);
+  } catch (error) {
+    console.error('Error downloading list import errors:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+    } else {
+      res.end();
+    }
   }
-
-  // Log detected columns for debugging
-  console.log(`✅ CSV validation passed. Detected columns: ${headers.join(', ')}`);
-
-  return true;
-};
+});
 
 router.post('/lead-push', async(req, res) =>{
   try{
@@ -189,11 +260,10 @@ router.post('/lead-push', async(req, res) =>{
  *             required:
  *               - number
  *               - assistantId
- *               - fromNumber
  *             properties:
  *               number:
  *                 type: string
- *                 description: Phone number to call (with country code)
+ *                 description: Phone number to call. Numbers without a country code use the client's default country (defaultCountry); normalized to E.164.
  *                 example: "+919608848421"
  *               assistantId:
  *                 type: string
@@ -201,7 +271,7 @@ router.post('/lead-push', async(req, res) =>{
  *                 example: "678782afa8d9072894be7ca9"
  *               fromNumber:
  *                 type: string
- *                 description: Caller ID number
+ *                 description: Caller ID number. Required unless the client has a caller-ID pool - with a pool the caller ID is picked from the pool (rotation, daily caps, benched numbers skipped) and fromNumber is ignored
  *                 example: "+918035735659"
  *               wssUrl:
  *                 type: string
@@ -222,7 +292,7 @@ router.post('/lead-push', async(req, res) =>{
  *               provider:
  *                 type: string
  *                 description: Telephony provider (optional, auto-detected if not specified)
- *                 enum: [plivo, twilio]
+ *                 enum: [plivo, twilio, exotel, sip]
  *                 example: "plivo"
  *     responses:
  *       200:
@@ -249,30 +319,46 @@ router.post('/lead-push', async(req, res) =>{
  *                   type: string
  *                   description: Assistant ID used for the call
  *                   example: "678782afa8d9072894be7ca9"
+ *                 fromNumber:
+ *                   type: string
+ *                   description: Caller ID the call went out on (picked from the caller-ID pool when the client has one)
+ *                   example: "+918035735659"
  *       400:
- *         description: Bad request - missing required fields (number, assistantId, fromNumber)
+ *         description: Bad request - missing required fields (number, assistantId, fromNumber when the client has no caller-ID pool) or invalid number
  *       401:
  *         description: Unauthorized - API key missing
  *       403:
  *         description: Forbidden - Invalid API key or assistant does not belong to client
  *       404:
  *         description: Assistant not found
+ *       429:
+ *         description: Call rate limit reached (per client, per from-number or platform-wide) or every caller-ID pool number is benched / at its daily cap - retry after the Retry-After header (seconds)
  *       500:
  *         description: Internal server error
  */
 router.post('/single-call', apiKeyValidator, async(req, res) => {
   try {
-    const { number, assistantId, wssUrl, fromNumber, firstName, email, tag, provider, includeGlobalContext, includeAgentContext, global_context, Agent_context, ...customFields } = req.body;
+    const { number: rawNumber, assistantId, wssUrl, fromNumber, firstName, email, tag, provider, includeGlobalContext, includeAgentContext, global_context, Agent_context, ...customFields } = req.body;
     const clientData = req.clientData; // From API key middleware
 
-    // Validate required fields - assistantId is required
-    if (!number || !fromNumber || !assistantId) {
+    // Validate required fields - assistantId is required (fromNumber is checked once the caller-ID pool is known)
+    if (!rawNumber || !assistantId) {
       return res.status(400).json({
         success: false,
         message: 'Required fields: number, assistantId, fromNumber'
       });
     }
 
+    // Normalize to E.164; numbers without a country code use the client's default country
+    const parsedNumber = parsePhoneNumber(rawNumber, resolveDefaultCountry(clientData));
+    if (!parsedNumber.valid) {
+      return res.status(400).json({
+        success: false,
+        message: parsedNumber.error
+      });
+    }
+    const number = parsedNumber.e164;
+
     // Verify assistant exists and belongs to this client
     const { getAssistantDetails } = require('./../apps/interLogue/client.js');
     const assistantData = await getAssistantDetails(assistantId);
@@ -304,21 +390,62 @@ router.post('/single-call', apiKeyValidator, async(req, res) => {
 
     // Import unified call processing system
     const { processSingleCall } = require('./../apps/helper/activeCalls.js');
+    const { tryAcquireCallToken, refundCallToken } = require('../services/callRateLimitService');
+    const { selectCallerId, releaseCallerId } = require('../services/callerIdPoolService');
 
-    console.log(`📞 API Call Request - Client: ${clientData.name}, To: ${number}, From: ${fromNumber}, Assistant: ${assistantId}`);
+    // Caller ID from the client's pool; fromNumber only when the client has none
+    const callerId = await selectCallerId(clientData._id.toString(), {
+      to: number,
+      contactData: { number, ...customFields },
+      fallbackFrom: fromNumber,
+      provider
+    });
+    if (!callerId.success) {
+      const retryAfterSeconds = Math.max(Math.ceil((callerId.retryAt.getTime() - Date.now()) / 1000), 1);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Every caller-ID pool number is benched or at its daily cap. Retry in ${retryAfterSeconds}s.`,
+        limitedBy: 'caller_id_pool',
+        retryAfter: retryAfterSeconds
+      });
+    }
+    if (!callerId.from) {
+      return res.status(400).json({
+        success: false,
+        message: 'Required fields: number, assistantId, fromNumber'
+      });
+    }
+    const callFrom = callerId.from;
+
+    // Shared rate limit (same buckets as campaigns) - API callers retry rather than queue
+    const rateToken = await tryAcquireCallToken({ clientId: clientData._id.toString(), from: callFrom });
+    if (!rateToken.allowed) {
+      await releaseCallerId(callerId);
+      const retryAfterSeconds = Math.max(Math.ceil(rateToken.retryAfterMs / 1000), 1);
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: `Call rate limit reached (${rateToken.limitedBy}). Retry in ${retryAfterSeconds}s.`,
+        limitedBy: rateToken.limitedBy,
+        retryAfter: retryAfterSeconds
+      });
+    }
+
+    console.log(`📞 API Call Request - Client: ${clientData.name}, To: ${number}, From: ${callFrom}${callerId.pooled ? ` (pool, ${callerId.strategy})` : ''}, Assistant: ${assistantId}`);
 
     // Process single call using unified system
     const callResult = await processSingleCall({
       clientId: clientData._id.toString(),
       campaignId: 'api-call', // Special identifier for API-initiated calls
-      from: fromNumber,
+      from: callFrom,
       to: number,
       wssUrl: finalWssUrl,
       firstName: firstName || '',
       email: email || '',
       tag: tag || assistantId, // Use assistantId as tag for billing if no custom tag provided
       listId: 'api-call',
-      provider: provider || null, // Optional: 'twilio' or 'plivo', auto-detected if not specified
+      provider: provider || null, // Optional: 'plivo', 'twilio', 'exotel' or 'sip', auto-detected if not specified
       // Enhanced tracking for API calls
       contactIndex: 0,
       sequenceNumber: 1,
@@ -338,7 +465,17 @@ router.post('/single-call', apiKeyValidator, async(req, res) => {
         success: true,
         message: 'Call initiated successfully',
         callUUID: callResult.callUUID,
-        assistantId: assistantId
+        assistantId: assistantId,
+        fromNumber: callFrom
+      });
+    } else if (callResult.suppressed) {
+      console.log(`🚫 API Call blocked - ${number} is on the DNC registry`);
+      await refundCallToken(rateToken.buckets);
+      await releaseCallerId(callerId);
+      res.status(409).json({
+        success: false,
+        suppressed: true,
+        message: 'Number is on the Do-Not-Call registry'
       });
     } else {
       console.error(`❌ API Call failed: ${callResult.error}`);
@@ -1,28 +1,39 @@
 // Required dependencies
 const express = require('express');
 const multer = require('multer');
-const csvParser = require('csv-parser');
 const fs = require('fs');
 const router = express.Router();
+const {
+  MAX_FILE_SIZE: LIST_IMPORT_MAX_FILE_SIZE,
+  XLSX_MIME_TYPE,
+  parseColumnMapping,
+  createImportJob,
+  startImportJob,
+  resumeImportJob,
+  getImportJob,
+  writeImportErrorCsv
+} = require('../services/listImportService');
 // Configure multer with size and timeout limits
 const upload = multer({ 
   dest: 'list-uploads/',
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
+    fileSize: LIST_IMPORT_MAX_FILE_SIZE, // LIST_IMPORT_MAX_FILE_SIZE, default 100MB
     files: 1 // Only allow 1 file
   },
   fileFilter: (req, file, cb) => {
-    // Allow CSV files with flexible MIME type checking
+    // Allow CSV and XLSX files with flexible MIME type checking
     const allowedMimeTypes = [
       'text/csv',
       'application/csv',
       'text/plain',
       'application/vnd.ms-excel',
       'text/x-csv',
-      'application/x-csv'
+      'application/x-csv',
+      XLSX_MIME_TYPE
     ];
     
-    const isValidExtension = file.originalname.toLowerCase().endsWith('.csv');
+    const fileName = file.originalname.toLowerCase();
+    const isValidExtension = fileName.endsWith('.csv') || fileName.endsWith('.xlsx');
     const isValidMimeType = allowedMimeTypes.includes(file.mimetype);
     
     if (isValidExtension || isValidMimeType) {
@@ -30,7 +41,7 @@ const upload = multer({
       cb(null, true);
     } else {
       console.log(`❌ File rejected: ${file.originalname} (${file.mimetype})`);
-      cb(new Error(`Only CSV files are allowed. Received: ${file.mimetype}`), false);
+      cb(new Error(`Only CSV or XLSX files are allowed. Received: ${file.mimetype}`), false);
     }
   }
 });
@@ -39,6 +50,7 @@ const apiKeyValidator = require('../middleware/apiKeyValidator')
 const { 
   authenticateToken, 
   validateResourceOwnership, 
+  requirePermission, 
   auditLog 
 } = require('../middleware/authMiddleware');
 const { 
@@ -52,7 +64,19 @@ const {
  *   name: Plivo
  *   description: Plivo SMS/voice operations and campaign management
  */
-const{ retryCampaign, getIncomingBilling,  updateIncomingClientBalance, getCampaignStatus, getContactsFromList, insertList, getIncomingReport, getContactfromListId, saveHangupData, insertListContent, updateList, getListByClientId, initiatePlivoCall, makeCallViaCampaign, getCampaignByClientId, saveRecordData, getReportByCampId, deleteList, cancelCampaign, pauseCampaign, resumeCampaign, getCampaignProgress, getTestCallReport, getApiCallReport, validateClientBalance, getCurrentClientBalance, getCampaignAnalytics, getClientAnalytics} = require('../apps/plivo/plivo');
+const{ retryCampaign, getIncomingBilling,  updateIncomingClientBalance, getCampaignStatus, getContactsFromList, insertList, getIncomingReport, getContactfromListId, saveHangupData, insertListContent, updateList, getListByClientId, initiatePlivoCall, makeCallViaCampaign, getCampaignByClientId, saveRecordData, getReportByCampId, deleteList, cancelCampaign, pauseCampaign, resumeCampaign, getCampaignProgress, getTestCallReport, getApiCallReport, validateClientBalance, getCurrentClientBalance, getCampaignAnalytics, getClientAnalytics, updateCampaignCallingHours} = require('../apps/plivo/plivo');
+const { validateCallingHours } = require('../apps/helper/callingHours');
+const { validateRetryPolicy } = require('../apps/helper/retryPolicy');
+const { validateCampaignVariants } = require('../apps/helper/campaignVariants');
+const { validateVersionPins } = require('../apps/helper/assistantVersioning');
+const { resolveCampaignVersionPins, setCampaignVersionPins } = require('../services/assistantVersionService');
+const { validateAmdSettings } = require('../apps/helper/answeringMachine');
+const { toE164, getNumberLookupVariants, getClientDefaultCountry, resolveDefaultCountry } = require('../apps/helper/phoneNumber');
+const { verifyPlivoWebhook } = require('../middleware/webhookSignatureMiddleware');
+const { queueRecordingArchive } = require('../services/recordingArchiveService');
+const { signPlaybackToken, verifyPlaybackToken } = require('../apps/helper/recordingArchive');
+
+const RECORDING_STREAM_TTL = Math.min(parseInt(process.env.RECORDING_PLAYBACK_TTL) || 300, 3600);
 
 // Validation schemas for Plivo endpoints
 const validationSchemas = {
@@ -196,49 +220,6 @@ const validationSchemas = {
   })
 };
 
-
-/**
- * @swagger
- * /plivo/upload-csv:
- *   post:
- *     tags: [Plivo]
- *     summary: Upload CSV file for contact list
- *     description: Upload a CSV file to create a contact list for Plivo campaigns
- *     security:
- *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             required:
- *               - file
- *               - listName
- *             properties:
- *               file:
- *                 type: string
- *                 format: binary
- *                 description: CSV file containing contacts
- *               listName:
- *                 type: string
- *                 example: "Marketing Campaign List"
- *               clientId:
- *                 type: string
- *                 description: Optional - will use authenticated user's clientId if not provided
- *                 example: "66cd8cc80b5a146186b9db8f"
- *     responses:
- *       200:
- *         description: CSV uploaded and processed successfully
- *       400:
- *         description: Bad request - missing required fields
- *       401:
- *         description: Unauthorized - JWT token missing or expired
- *       403:
- *         description: Forbidden - invalid JWT token or access denied
- *       500:
- *         description: Internal server error
- */
 // Helper function to safely delete files
 const safeFileDelete = (filePath) => {
   try {
@@ -258,7 +239,7 @@ const handleMulterError = (err, req, res, next) => {
       case 'LIMIT_FILE_SIZE':
         return res.status(400).json({
           message: 'File too large',
-          details: 'File size must be less than 5MB'
+          details: `File size must be less than ${Math.round(LIST_IMPORT_MAX_FILE_SIZE / 1024 / 1024)}MB`
         });
       case 'LIMIT_FILE_COUNT':
         return res.status(400).json({
@@ -286,23 +267,47 @@ const handleMulterError = (err, req, res, next) => {
   next();
 };
 
-// Route to upload CSV
-router.post('/upload-csv', authenticateToken, validateResourceOwnership, upload.single('file'), handleMulterError, validationSchemas.csvUpload, auditLog, async (req, res) => {
-  // Detailed file upload validation
-  console.log('File upload debug:', {
-    hasFile: !!req.file,
-    fileKeys: req.file ? Object.keys(req.file) : [],
-    bodyKeys: Object.keys(req.body || {}),
-    bodyValues: req.body,
-    headers: req.headers['content-type'],
-    listNameValue: req.body.listName,
-    clientIdValue: req.body.clientId
-  });
-
+/**
+ * @swagger
+ * /plivo/upload-csv:
+ *   post:
+ *     tags: [Plivo]
+ *     summary: Import a contact list (CSV or XLSX)
+ *     description: Creates the list and queues a background import job. Rows are normalized to E.164, deduplicated within the list and invalid rows are skipped into an error report. Poll GET /plivo/list-import/{jobId} for progress.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - listName
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               listName:
+ *                 type: string
+ *               columnMapping:
+ *                 type: string
+ *                 description: JSON object mapping contact fields to file columns. Without it the phone column is detected by name (number, phone, mobile...).
+ *                 example: '{"number": "Phone", "first_name": "Name"}'
+ *     responses:
+ *       202:
+ *         description: Import queued - returns jobId and listId
+ *       400:
+ *         description: Missing file/listName, invalid columnMapping or duplicate list name
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/upload-csv', authenticateToken, validateResourceOwnership, requirePermission('lists:manage'), upload.single('file'), handleMulterError, validationSchemas.csvUpload, auditLog, async (req, res) => {
   if (!req.file || !req.file.path) {
     return res.status(400).json({ 
       message: 'No file uploaded or file validation failed',
-      details: 'Please ensure you upload a valid CSV file under 5MB. Make sure the form field name is "file".',
+      details: `Please upload a CSV or XLSX file under ${Math.round(LIST_IMPORT_MAX_FILE_SIZE / 1024 / 1024)}MB. Make sure the form field name is "file".`,
       debug: {
         hasFile: !!req.file,
         contentType: req.headers['content-type'],
@@ -313,103 +318,170 @@ router.post('/upload-csv', authenticateToken, validateResourceOwnership, upload.
 
   const filePath = req.file.path;
   const listName = req.body.listName;
-  const clientId = req.body.clientId || req.user.clientId;
+  // Multipart fields are parsed after validateResourceOwnership ran, so re-check a supplied clientId here
+  if (req.body.clientId && req.body.clientId !== req.user.clientId) {
+    safeFileDelete(filePath);
+    return res.status(403).json({ error: 'Access denied', message: 'You can only access your own resources' });
+  }
+  const clientId = req.user.clientId;
 
   if (!listName) {
     safeFileDelete(filePath); // Clean up file before returning error
     return res.status(400).json({ message: 'List name is required' });
   }
 
-  let listId = null;
+  const { mapping, error: mappingError } = parseColumnMapping(req.body.columnMapping);
+  if (mappingError) {
+    safeFileDelete(filePath);
+    return res.status(400).json({ message: mappingError });
+  }
 
   try {
     // Save the list name and generate a list ID
     const listResult = await insertList(listName, clientId);
-    
-    // Check if list creation was successful
     if (listResult.status !== 200) {
-      throw new Error(listResult.message || 'Error saving list to database');
+      safeFileDelete(filePath);
+      return res.status(listResult.status).json({ message: listResult.message || 'Error saving list to database' });
     }
-    
-    listId = listResult.listId;
-    console.log('List created successfully with ID:', listId);
-
-    const rows = [];
-    
-    // Process CSV file with proper cleanup
-    const processCSV = () => {
-      return new Promise((resolve, reject) => {
-        let validationFailed = false;
 
-        fs.createReadStream(filePath)
-          .pipe(csvParser())
-          .on('data', (data) => {
-            if (validationFailed) return;
-            
-            const number = data.number?.trim();
-            
-            if (!number) {
-              validationFailed = true;
-              reject(new Error('Missing phone number in CSV'));
-              return;
-            }
-
-            // Simple validation - just check that number starts with "+"
-            if (number.startsWith("+")) {
-              data.number = number;
-              data.listId = listId;
-              rows.push(data);
-            } else {
-              validationFailed = true;
-              reject(new Error(`Invalid mobile number format ${number}. Numbers must start with "+".`));
-            }
-          })
-          .on('end', () => {
-            if (!validationFailed) {
-              resolve(rows);
-            }
-          })
-          .on('error', (error) => {
-            reject(error);
-          });
-      });
-    };
+    const jobResult = await createImportJob({
+      clientId,
+      listId: listResult.listId,
+      listName,
+      file: req.file,
+      columnMapping: mapping,
+      defaultCountry: await getClientDefaultCountry(clientId),
+      source: 'dashboard'
+    });
+    if (!jobResult.success) {
+      await deleteList(listResult.listId);
+      safeFileDelete(filePath);
+      return res.status(500).json({ message: 'Error starting list import', error: jobResult.error });
+    }
 
-    // Process the CSV file
-    await processCSV();
-    
-    // Update list count and save data
-    const count = rows.length;
-    await updateList(listId, count);
-    const result = await insertListContent(rows);
+    startImportJob(jobResult.jobId);
 
-    res.status(result.status).json({
-      message: result.message
+    res.status(202).json({
+      message: 'List import started',
+      jobId: jobResult.jobId,
+      listId: listResult.listId,
+      statusUrl: `/plivo/list-import/${jobResult.jobId}`
     });
 
   } catch (error) {
     console.error('CSV upload error:', error);
-    
-    // Clean up database list if it was created
-    if (listId) {
-      try {
-        await deleteList(listId);
-      } catch (deleteError) {
-        console.error('Error cleaning up list:', deleteError);
-      }
-    }
-
+    safeFileDelete(filePath);
     res.status(500).json({
       message: error.message || 'Error processing CSV file'
     });
+  }
+});
 
-  } finally {
-    // Always delete the temporary file, regardless of success or failure
-    safeFileDelete(filePath);
+/**
+ * @swagger
+ * /plivo/list-import/{jobId}:
+ *   get:
+ *     tags: [Plivo]
+ *     summary: Contact list import progress
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job status (queued, processing, completed, failed) with progress and row counters
+ *       404:
+ *         description: Import job not found
+ */
+router.get('/list-import/:jobId', authenticateToken, requirePermission('campaigns:view'), async (req, res) => {
+  try {
+    const job = await getImportJob(req.params.jobId, req.user.clientId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Import job not found' });
+    }
+    res.status(200).json({ success: true, data: job });
+  } catch (error) {
+    console.error('Error fetching list import job:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /plivo/list-import/{jobId}/errors:
+ *   get:
+ *     tags: [Plivo]
+ *     summary: Download the rows skipped by a list import as CSV
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CSV with row, number, error and the original columns
+ *       404:
+ *         description: Import job not found
+ */
+router.get('/list-import/:jobId/errors', authenticateToken, requirePermission('campaigns:view'), async (req, res) => {
+  try {
+    const job = await getImportJob(req.params.jobId, req.user.clientId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Import job not found' });
+    }
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="import-errors-${job.jobId}.csv"`);
+    await writeImportErrorCsv(job, res);
+  } catch (error) {
+    console.error('Error downloading list import errors:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /plivo/list-import/{jobId}/resume:
+ *   post:
+ *     tags: [Plivo]
+ *     summary: Resume a failed list import from its last checkpoint
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Import resumed
+ *       404:
+ *         description: Import job not found
+ *       409:
+ *         description: Job is not in a resumable state
+ */
+router.post('/list-import/:jobId/resume', authenticateToken, requirePermission('lists:manage'), auditLog, async (req, res) => {
+  try {
+    const result = await resumeImportJob(req.params.jobId, req.user.clientId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error resuming list import:', error);
+    res.status(500).json({ success: false, message: 'Internal server error', error: error.message });
   }
 });
 
-router.post('/get-list-by-clientId', authenticateToken, validateResourceOwnership, auditLog, async(req, res) =>{
+router.post('/get-list-by-clientId', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) =>{
     try{
         const clientId = req.body.clientId
         const result = await getListByClientId(clientId);
@@ -467,7 +539,7 @@ router.post('/get-list-by-clientId', authenticateToken, validateResourceOwnershi
  *       500:
  *         description: Internal server error
  */
-router.post('/get-list-contact', authenticateToken, validateResourceOwnership, auditLog, async(req, res) =>{
+router.post('/get-list-contact', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) =>{
   try{
     const listId = req.body.listId
     // const listId = "67a867f04b78b023e2197fd1"
@@ -477,9 +549,19 @@ router.post('/get-list-contact', authenticateToken, validateResourceOwnership, a
     res.status(500).send({ message: "Internal Server Error", error });
   }
 })
-router.post('/single-call', authenticateToken, validateResourceOwnership, validationSchemas.singleCallValidation, auditLog, async(req, res) =>{
+router.post('/single-call', authenticateToken, validateResourceOwnership, validationSchemas.singleCallValidation, requirePermission('campaigns:manage'), auditLog, async(req, res) =>{
     try{
-        const { from, to, wssUrl, clientId, assistantId, customPrompt, provider, includeGlobalContext, includeAgentContext } = req.body;
+        const { from, to: rawTo, wssUrl, clientId, assistantId, customPrompt, provider, includeGlobalContext, includeAgentContext } = req.body;
+
+        // Normalize destination to E.164 (numbers without a country code use the client's default country)
+        const to = toE164(rawTo, await getClientDefaultCountry(clientId));
+        if (!to) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid destination number: ${rawTo}`,
+                callType: 'test_call'
+            });
+        }
         
         // Validate client balance before making test call - simple <= 0 check
         const balanceCheck = await getCurrentClientBalance(clientId);
@@ -578,6 +660,9 @@ router.post('/single-call', authenticateToken, validateResourceOwnership, valida
                 message: 'Call initiated successfully.',
                 request_uuid: result.callUUID
             });
+        } else if (result.suppressed) {
+            console.log(`🚫 Single call blocked - ${to} is on the DNC registry`);
+            res.status(409).send({ message: 'Number is on the Do-Not-Call registry', suppressed: true });
         } else {
             console.error(`❌ Single call failed: ${result.error}`);
             // Return error in same format as original
@@ -588,7 +673,7 @@ router.post('/single-call', authenticateToken, validateResourceOwnership, valida
     }
 })
 
-router.post('/create-campaign', authenticateToken, validateResourceOwnership, validationSchemas.campaignCreate, auditLog, async(req, res) =>{
+router.post('/create-campaign', authenticateToken, validateResourceOwnership, validationSchemas.campaignCreate, requirePermission('campaigns:manage'), auditLog, async(req, res) =>{
   try{
     const listId = req.body.listId
     const fromNumber = req.body.fromNumber
@@ -598,6 +683,11 @@ router.post('/create-campaign', authenticateToken, validateResourceOwnership, va
     const provider = req.body.provider
     const scheduledTime = req.body.scheduledTime || null  // Optional: ISO 8601 datetime string
     const scheduledBy = req.body.scheduledBy || req.user?.id || null  // Optional: user who scheduled it
+    let callingHours = null  // Optional: allowed calling window evaluated in each contact's timezone
+    let retryPolicy = null  // Optional: automatic retries for unanswered/busy/failed contacts
+    let variants = null  // Optional: A/B test - split contacts across assistants by weight
+    let amd = null  // Optional: answering machine detection with a hangup/voicemail/retry action
+    let assistantVersions = null  // Optional: pin assistants to versions so mid-campaign edits don't apply
 
     if (!listId || !fromNumber || !wssUrl || !campaignName || !clientId) {
       return res.status(400).json({
@@ -626,6 +716,78 @@ router.post('/create-campaign', authenticateToken, validateResourceOwnership, va
 
       console.log(`⏰ Campaign will be scheduled for: ${scheduledDate.toISOString()}`);
     }
+
+    // Validate callingHours if provided
+    if (req.body.callingHours) {
+      const callingHoursCheck = validateCallingHours(req.body.callingHours);
+      if (!callingHoursCheck.valid) {
+        return res.status(400).json({
+          status: 400,
+          message: callingHoursCheck.error
+        });
+      }
+      callingHours = callingHoursCheck.value;
+      console.log(`🕘 Campaign calling hours: ${callingHours.start}-${callingHours.end} on days [${callingHours.days.join(',')}] (default tz ${callingHours.timezone})`);
+    }
+
+    // Validate retryPolicy if provided
+    if (req.body.retryPolicy) {
+      const retryPolicyCheck = validateRetryPolicy(req.body.retryPolicy);
+      if (!retryPolicyCheck.valid) {
+        return res.status(400).json({
+          status: 400,
+          message: retryPolicyCheck.error
+        });
+      }
+      retryPolicy = retryPolicyCheck.value;
+      console.log(`🔁 Campaign retry policy: max ${retryPolicy.maxAttempts} attempts, rules ${JSON.stringify(retryPolicy.rules)}`);
+    }
+
+    // Validate variants if provided
+    if (req.body.variants) {
+      const variantsCheck = validateCampaignVariants(req.body.variants);
+      if (!variantsCheck.valid) {
+        return res.status(400).json({
+          status: 400,
+          message: variantsCheck.error
+        });
+      }
+      variants = variantsCheck.value;
+      console.log(`🧪 Campaign A/B variants: ${variants.map(variant => `${variant.variantId}=${variant.assistantId} (weight ${variant.weight})`).join(', ')}`);
+    }
+
+    // Validate amd if provided
+    if (req.body.amd) {
+      const amdCheck = validateAmdSettings(req.body.amd, provider);
+      if (!amdCheck.valid) {
+        return res.status(400).json({
+          status: 400,
+          message: amdCheck.error
+        });
+      }
+      amd = amdCheck.value;
+      console.log(`📠 Campaign answering machine detection: ${amd.enabled ? `on, machine action ${amd.action}` : 'off'}`);
+    }
+
+    // Resolve assistant version pins if provided ("latest" = every assistant of the campaign at its current version)
+    if (req.body.assistantVersions) {
+      const pinsCheck = validateVersionPins(req.body.assistantVersions);
+      if (!pinsCheck.valid) {
+        return res.status(400).json({
+          status: 400,
+          message: pinsCheck.error
+        });
+      }
+      const resolvedPins = await resolveCampaignVersionPins({ wssUrl, variants, clientId }, pinsCheck.value);
+      if (!resolvedPins.success) {
+        return res.status(400).json({
+          status: 400,
+          message: resolvedPins.error
+        });
+      }
+      assistantVersions = resolvedPins.value;
+      console.log(`📌 Campaign assistant versions: ${JSON.stringify(assistantVersions)}`);
+    }
     
     // Get provider and credentials info for logging
     const PhoneProviderService = require('../services/phoneProviderService');
@@ -668,7 +830,7 @@ router.post('/create-campaign', authenticateToken, validateResourceOwnership, va
     }
     
     console.log(scheduledTime ? '⏰ Scheduling campaign...' : '🚀 Starting campaign via enhanced system...');
-    const result = await makeCallViaCampaign(listId, fromNumber, wssUrl, campaignName, clientId, provider, scheduledTime, scheduledBy)
+    const result = await makeCallViaCampaign(listId, fromNumber, wssUrl, campaignName, clientId, provider, scheduledTime, scheduledBy, callingHours, retryPolicy, variants, amd, assistantVersions)
     let status = result.status || 200
     let message = result.message || "call scheduled"
     
@@ -748,7 +910,7 @@ router.post('/create-campaign', authenticateToken, validateResourceOwnership, va
  *       500:
  *         description: Internal server error
  */
-router.post('/get-contact-by-list', authenticateToken, validateResourceOwnership, validationSchemas.phoneValidation, auditLog, async(req, res) =>{
+router.post('/get-contact-by-list', authenticateToken, validateResourceOwnership, validationSchemas.phoneValidation, requirePermission('campaigns:view'), auditLog, async(req, res) =>{
   try{
     const number = req.body.number
     const listId = req.body.listId
@@ -794,7 +956,7 @@ router.post('/get-contact-by-list', authenticateToken, validateResourceOwnership
  *       500:
  *         description: Internal server error
  */
-router.get('/get-active-channels', authenticateToken, validateResourceOwnership, auditLog, async(req, res) =>{
+router.get('/get-active-channels', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) =>{
   try{
     const { getConcurrencyStats } = require('../apps/helper/activeCalls');
     const clientId = req.query.clientId; // Optional client filter
@@ -842,7 +1004,7 @@ router.get('/get-active-channels', authenticateToken, validateResourceOwnership,
   }
 })
 
-router.post('/get-campaign-by-client', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/get-campaign-by-client', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
   try{
     const clientId = req.body.clientId
     const result = await getCampaignByClientId(clientId)
@@ -852,7 +1014,7 @@ router.post('/get-campaign-by-client', authenticateToken, validateResourceOwners
   }
 })
 
-router.post('/retry-campaign', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/retry-campaign', authenticateToken, validateResourceOwnership, requirePermission('campaigns:manage'), auditLog, async(req, res) => {
   try{
     const campId = req.body.campaignId;
     //const campId = "67ee66a3fe00d34aba085864"
@@ -899,6 +1061,10 @@ router.post('/retry-campaign', authenticateToken, validateResourceOwnership, aud
  *                 type: boolean
  *                 description: Set to true to download all records (ignores pagination)
  *                 example: false
+ *               unredacted:
+ *                 type: boolean
+ *                 description: Skip PII redaction of the records (only for roles listed in the client's PII policy unredactedRoles; 403 otherwise)
+ *                 example: false
  *               filters:
  *                 type: object
  *                 description: Optional filters to apply to the data (supports multiple custom filters)
@@ -955,6 +1121,15 @@ router.post('/retry-campaign', authenticateToken, validateResourceOwnership, aud
  *                         enum: [contains, not_contains]
  *                         description: String comparison operator
  *                         example: "contains"
+ *                   amdResult:
+ *                     oneOf:
+ *                       - type: string
+ *                       - type: array
+ *                         items:
+ *                           type: string
+ *                     enum: [human, machine, unknown]
+ *                     description: Answering machine detection result (campaigns with amd enabled); one value or an array
+ *                     example: "machine"
  *     responses:
  *       200:
  *         description: Campaign report retrieved successfully
@@ -1037,6 +1212,10 @@ router.post('/retry-campaign', authenticateToken, validateResourceOwnership, aud
  *                   type: boolean
  *                   example: false
  *                   description: Whether this was a download request
+ *                 piiRedacted:
+ *                   type: boolean
+ *                   example: true
+ *                   description: Whether the records were PII-redacted per the client's policy
  *       404:
  *         description: Campaign not found
  *       401:
@@ -1046,7 +1225,7 @@ router.post('/retry-campaign', authenticateToken, validateResourceOwnership, aud
  *       500:
  *         description: Internal server error
  */
-router.post('/get-report-by-campaign', authenticateToken, validateResourceOwnership, validationSchemas.reportQuery, auditLog, async(req, res) =>{
+router.post('/get-report-by-campaign', authenticateToken, validateResourceOwnership, validationSchemas.reportQuery, requirePermission('reports:view'), auditLog, async(req, res) =>{
   try{
     const camp_id = req.body.campaignId;
     const cursor = req.body.cursor || null; // For pagination
@@ -1063,6 +1242,20 @@ router.post('/get-report-by-campaign', authenticateToken, validateResourceOwners
       return res.status(404).send({ message: result.message });
     }
     
+    // PII redaction per the client's exports policy
+    if (Array.isArray(result.data)) {
+      const { prepareExportRecords } = require('../services/piiRedactionService');
+      const exportResult = await prepareExportRecords(req.user.clientId, result.data, {
+        unredacted: req.body.unredacted === true || req.body.unredacted === 'true',
+        viewer: { role: req.user.role }
+      });
+      if (!exportResult.success) {
+        return res.status(exportResult.status).send({ message: exportResult.message });
+      }
+      result.data = exportResult.records;
+      result.piiRedacted = exportResult.redacted;
+    }
+    
     // Enhanced response with pagination metadata
     res.status(result.status || 200).send(result)
   } catch(error){
@@ -1103,7 +1296,7 @@ router.post('/get-report-by-campaign', authenticateToken, validateResourceOwners
  *       500:
  *         description: Internal server error
  */
-router.post('/get-campaign-status', authenticateToken, validateResourceOwnership, auditLog, async(req, res) =>{
+router.post('/get-campaign-status', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) =>{
   try{
     const camp_id = req.body.campaignId;
     // const camp_id = "67fca247fe00d34aba08702e"
@@ -1256,7 +1449,7 @@ router.post('/get-campaign-status', authenticateToken, validateResourceOwnership
  *       500:
  *         description: Internal server error
  */
-router.post('/get-incoming-by-number', authenticateToken, validateResourceOwnership, auditLog, async(req, res) =>{
+router.post('/get-incoming-by-number', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) =>{
   try{
     const fromNumber = req.body.fromNumber;
     const cursor = req.body.cursor || null; // Optional cursor for pagination
@@ -1411,7 +1604,7 @@ router.post('/get-incoming-by-number', authenticateToken, validateResourceOwners
  *       500:
  *         description: Internal server error
  */
-router.post('/get-test-call-report', authenticateToken, validateResourceOwnership, auditLog, async(req, res) =>{
+router.post('/get-test-call-report', authenticateToken, validateResourceOwnership, requirePermission('reports:view'), auditLog, async(req, res) =>{
   try{
     const clientId = req.body.clientId;
     const result = await getTestCallReport(clientId)
@@ -1471,7 +1664,7 @@ router.post('/get-test-call-report', authenticateToken, validateResourceOwnershi
  *       500:
  *         description: Internal server error
  */
-router.post('/get-api-call-report', authenticateToken, validateResourceOwnership, auditLog, async(req, res) =>{
+router.post('/get-api-call-report', authenticateToken, validateResourceOwnership, requirePermission('reports:view'), auditLog, async(req, res) =>{
   try{
     const clientId = req.body.clientId;
     const result = await getApiCallReport(clientId)
@@ -1522,7 +1715,10 @@ router.post('/get-api-call-report', authenticateToken, validateResourceOwnership
  *               properties:
  *                 streamUrl:
  *                   type: string
- *                   example: "https://api.twilio.com/2010-04-01/Accounts/ACxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx/Recordings/RExxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx.mp3"
+ *                   example: "https://api.markaible.com/plivo/stream-recording/688d42040633f48913672d43/https%3A%2F%2Fapi.twilio.com%2F...?token=..."
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
  *                 provider:
  *                   type: string
  *                   example: "twilio"
@@ -1536,7 +1732,7 @@ router.post('/get-api-call-report', authenticateToken, validateResourceOwnership
  *       404:
  *         description: Recording not accessible
  */
-router.post('/get-recording-stream-url', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/get-recording-stream-url', authenticateToken, validateResourceOwnership, requirePermission('reports:view'), auditLog, async(req, res) => {
   try {
     const { clientId, recordingUrl } = req.body;
     
@@ -1595,13 +1791,16 @@ router.post('/get-recording-stream-url', authenticateToken, validateResourceOwne
       });
     }
     
-    // Create our own proxy streaming URL instead of returning Twilio URL directly
-    const streamUrl = `${process.env.BASE_URL || 'https://api.markaible.com'}/plivo/stream-recording/${clientId}/${encodeURIComponent(recordingUrl)}`;
+    // Create our own proxy streaming URL instead of returning Twilio URL directly - the token
+    // binds it to this client and recording and expires, so the URL can't be shared or replayed
+    const { token, expiresAt } = signPlaybackToken({ clientId: clientId.toString(), recordingUrl }, RECORDING_STREAM_TTL);
+    const streamUrl = `${process.env.BASE_URL || 'https://api.markaible.com'}/plivo/stream-recording/${clientId}/${encodeURIComponent(recordingUrl)}?token=${token}`;
     
     console.log(`🎵 Generated proxy recording stream URL for client ${clientId} (${credentialSource})`);
     
     res.json({
       streamUrl: streamUrl,
+      expiresAt: expiresAt,
       provider: 'twilio',
       credentialSource: credentialSource
     });
@@ -1623,7 +1822,7 @@ router.post('/get-recording-stream-url', authenticateToken, validateResourceOwne
  *   get:
  *     tags: [Plivo]
  *     summary: Stream authenticated recording audio
- *     description: Proxy endpoint that authenticates with Twilio and streams recording audio
+ *     description: Proxy endpoint that authenticates with Twilio and streams recording audio. Requires the short-lived token in the URL returned by /plivo/get-recording-stream-url.
  *     parameters:
  *       - in: path
  *         name: clientId
@@ -1637,6 +1836,12 @@ router.post('/get-recording-stream-url', authenticateToken, validateResourceOwne
  *         schema:
  *           type: string
  *         description: URL-encoded Twilio recording URL
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Stream token issued with the URL (expires after RECORDING_PLAYBACK_TTL seconds)
  *     responses:
  *       200:
  *         description: Audio stream
@@ -1654,6 +1859,15 @@ router.get('/stream-recording/:clientId/:recordingUrl(*)', async(req, res) => {
   try {
     const { clientId, recordingUrl } = req.params;
     const decodedRecordingUrl = decodeURIComponent(recordingUrl);
+
+    // Only URLs issued by /get-recording-stream-url (authenticated, ownership-checked) may stream
+    const tokenCheck = verifyPlaybackToken(req.query.token);
+    if (!tokenCheck.valid || tokenCheck.claims.clientId !== clientId || tokenCheck.claims.recordingUrl !== decodedRecordingUrl) {
+      return res.status(403).json({ 
+        error: 'Access denied', 
+        message: tokenCheck.error || 'Stream token does not match this recording' 
+      });
+    }
     
     console.log(`🎵 Streaming recording for client: ${clientId}`);
     console.log(`🎵 Recording URL: ${decodedRecordingUrl}`);
@@ -1713,7 +1927,7 @@ router.get('/stream-recording/:clientId/:recordingUrl(*)', async(req, res) => {
     // Set appropriate headers for audio streaming
     res.setHeader('Content-Type', 'audio/mpeg');
     res.setHeader('Accept-Ranges', 'bytes');
-    res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+    res.setHeader('Cache-Control', 'private, no-store');
     
     // Pipe the Twilio audio response directly to our response
     response.data.pipe(res);
@@ -1803,10 +2017,18 @@ router.post('/callback-url', async(req, res) => {
 // })
 
 
-router.post('/callback-record-url', async(req, res) => {
+router.post('/callback-record-url', verifyPlivoWebhook, async(req, res) => {
   try{
     const recordData = req.body
     const result = await saveRecordData(recordData)
+    if (result.status === 201) {
+      await queueRecordingArchive({
+        callUUID: recordData.CallUUID,
+        provider: 'plivo',
+        sourceUrl: recordData.RecordUrl,
+        recordingId: recordData.RecordingID
+      });
+    }
     res.status(200).json({ message: "Recording data saved successfully" });
   } catch(error)
   {
@@ -1868,7 +2090,7 @@ router.post('/check-socket-connection', authenticateToken, validateResourceOwner
   }
 });
 
-router.post('/ring-url', async (req, res) => {
+router.post('/ring-url', verifyPlivoWebhook, async (req, res) => {
   try {
       const { CallUUID } = req.body;
       if (!CallUUID) return res.status(400).json({ message: "Missing CallUUID" });
@@ -1914,7 +2136,7 @@ router.post('/ring-url', async (req, res) => {
 * API Hit 3 & 4: Call End
 * Decrease count only on the second hit.
 */
-router.post('/hangup-url', async (req, res) => {
+router.post('/hangup-url', verifyPlivoWebhook, async (req, res) => {
   try {
       const { CallUUID, To, CallDuration, HangupCause } = req.body;
       const { campId, hangupFirstName, tag, assistantId: assistantIdParam } = req.query;
@@ -1934,10 +2156,8 @@ router.post('/hangup-url', async (req, res) => {
       console.log(`💰 Processing billing for call: ${CallUUID}, Type: ${hangupData.campId}, Duration: ${hangupData.Duration}s`);
       
       // Use NEW billing system instead of old one
-      const { 
-        saveCallBillingDetail, 
-        updateClientBalance: updateClientBalanceNew
-      } = require('../apps/billing/billingCore');
+      const { saveCallBillingDetail } = require('../apps/billing/billingCore');
+      const { postLedgerEntry, ENTRY_TYPES } = require('../apps/billing/creditLedger');
       const { getClientByClientId } = require('../apps/interLogue/client');
       const billingRouter = require('./billingRouter');
       
@@ -1962,12 +2182,7 @@ router.post('/hangup-url', async (req, res) => {
         if (callType === 'incoming') {
             // For incoming calls, lookup by phone number (receiver) in BOTH incomingSet and callerNumbers
             const clientLookupNumber = hangupData.To;
-            const possibleNumbers = [clientLookupNumber];
-            if (clientLookupNumber.startsWith('91') && clientLookupNumber.length === 12) {
-              possibleNumbers.push('0' + clientLookupNumber.slice(2));
-              possibleNumbers.push(clientLookupNumber.slice(2));
-              possibleNumbers.push('+' + clientLookupNumber);
-            }
+            const possibleNumbers = getNumberLookupVariants(clientLookupNumber);
 
             const { connectToMongo, client: mongoClient } = require('../../models/mongodb.js');
             await connectToMongo();
@@ -2046,8 +2261,6 @@ router.post('/hangup-url', async (req, res) => {
         const { connectToMongo, client: mongoClient } = require('../../models/mongodb.js');
         await connectToMongo();
         const database = mongoClient.db("talkGlimpass");
-        const clientCollection = database.collection("client");
-        const { ObjectId } = require('mongodb');
 
         // CRITICAL IDEMPOTENCY CHECK: Check if this call was already billed BEFORE updating balance
         // This prevents double-deduction on webhook retries
@@ -2077,25 +2290,24 @@ router.post('/hangup-url', async (req, res) => {
           // Fresh call - proceed with billing
           console.log(`💰 NEW Billing: ${callType} call - ${creditsToDeduct} credits (duration: ${duration}s)`);
 
-          // ATOMIC balance deduction using $inc (prevents concurrent-hangup race condition)
-          // Before: read balance → compute newBalance → $set (2 ops, not atomic, loses deductions under concurrency)
-          // After: single $inc op is atomic at the MongoDB operator level
-          const updatedClient = await clientCollection.findOneAndUpdate(
-            { _id: new ObjectId(clientId) },
-            {
-              $inc: { availableBalance: -creditsToDeduct },
-              $set: { lastBalanceUpdate: new Date() }
-            },
-            { returnDocument: 'after' }
-          );
-
-          if (!updatedClient) {
-            console.error(`❌ Atomic balance deduction failed - client not found: ${clientId}`);
-            throw new Error(`Client not found during balance update: ${clientId}`);
+          // Ledger call_debit applied with an atomic $inc; idempotent on CallUUID so webhook
+          // retries can never deduct twice (see apps/billing/creditLedger.js)
+          const ledgerResult = await postLedgerEntry({
+            clientId,
+            entryType: ENTRY_TYPES.CALL_DEBIT,
+            amount: -creditsToDeduct,
+            referenceId: hangupData.CallUUID,
+            description: `${callType} call ${hangupData.From} -> ${hangupData.To} for ${duration} seconds`,
+            metadata: { callType, provider: 'plivo', duration, campaignId: callType === 'campaign' ? hangupData.campId : null }
+          });
+
+          if (!ledgerResult.success) {
+            console.error(`❌ Ledger call debit failed for client ${clientId}: ${ledgerResult.error}`);
+            throw new Error(`Balance update failed for client ${clientId}: ${ledgerResult.error}`);
           }
 
-          const newBalance = updatedClient.availableBalance;
-          const previousBalance = newBalance + creditsToDeduct;
+          const newBalance = ledgerResult.newBalance;
+          const previousBalance = ledgerResult.previousBalance;
           console.log(`💰 Atomic balance update: ${previousBalance} -> ${newBalance}`);
 
         // Broadcast balance update via SSE for ALL calls (including campaign calls)
@@ -2208,6 +2420,22 @@ router.post('/hangup-url', async (req, res) => {
       } else {
         console.log(`✅ Call end tracked: ${CallUUID} (Active calls: ${endResult.activeCallsCount || 'unknown'})`);
       }
+
+      // Release the credit hold placed at dial time (the actual debit was posted above)
+      const { settleCallReservation } = require('../apps/billing/creditReservations');
+      await settleCallReservation([CallUUID, req.body.RequestUUID], parseInt(hangupData.Duration) || 0);
+
+      // Campaign retry policy: queue the next attempt for unanswered/busy/failed contacts
+      const { scheduleCampaignRetry } = require('../services/campaignRetryService');
+      const retryResult = await scheduleCampaignRetry({
+        callUUID: CallUUID,
+        campaignId: hangupData.campId,
+        hangupCause: HangupCause || req.body.HangupCauseName,
+        duration: CallDuration || hangupData.Duration
+      });
+      if (!retryResult.success) {
+        console.warn(`⚠️  Failed to evaluate retry policy: ${retryResult.error}`);
+      }
       
       return res.status(200).json({ message: "Hangup processed successfully" });
   } catch (error) {
@@ -2216,55 +2444,130 @@ router.post('/hangup-url', async (req, res) => {
   }
 });
 
-router.post('/get-incoming-billing', authenticateToken, validateResourceOwnership, auditLog, async(req, res) =>{
-  try{
-    const {clientId, number} = req.body;
-    // const clientId = '664a130cb70125f7e8c84d4a'
-    // const number = '918035735659'
-    const result = await getIncomingBilling(clientId, number)
-    if(result.status == 500){
-      res.status(500).send({ message: result.message });
-    }
-    res.status(result.status).send(result.data)
-  } catch(error){
-    res.status(500).send({ message: "Internal Server Error", error });
-  }
-})
-
 /**
  * @swagger
- * /plivo/pause-campaign:
+ * /plivo/amd-callback:
  *   post:
  *     tags: [Plivo]
- *     summary: Pause an active campaign
- *     description: Immediately pause an active campaign at its current position. The campaign can be resumed later from the same position.
- *     security:
- *       - BearerAuth: []
+ *     summary: Answering machine detection result
+ *     description: Plivo machine_detection_url for campaign calls dialed with amd settings. Stores the result (human / machine / unknown) on the call and, for machines, applies the campaign's amd.action - hang up, leave the voicemail, or hang up so the hangup webhook queues a retry.
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         application/x-www-form-urlencoded:
  *           schema:
  *             type: object
- *             required:
- *               - campaignId
  *             properties:
- *               campaignId:
+ *               CallUUID:
  *                 type: string
- *                 description: The ID of the campaign to pause
- *                 example: "67fca247fe00d34aba08702e"
- *               pausedBy:
+ *               Machine:
  *                 type: string
- *                 description: Optional - ID of user who paused the campaign
- *                 example: "664a130cb70125f7e8c84d4a"
+ *                 enum: ["true", "false"]
  *     responses:
  *       200:
- *         description: Campaign paused successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
+ *         description: Result recorded
+ */
+router.post('/amd-callback', verifyPlivoWebhook, async (req, res) => {
+  try {
+    const { handleAmdCallback } = require('../services/answeringMachineService');
+    const result = await handleAmdCallback('plivo', req.body);
+    if (!result.success) {
+      console.warn(`⚠️ Plivo AMD callback not applied: ${result.error}`);
+    }
+    return res.status(200).json({ message: "AMD result processed" });
+  } catch (error) {
+    console.error("❌ Error in Plivo AMD callback:", error);
+    return res.status(500).json({ message: "Error processing AMD callback" });
+  }
+});
+
+/**
+ * @swagger
+ * /plivo/amd-voicemail:
+ *   post:
+ *     tags: [Plivo]
+ *     summary: Voicemail XML for a machine-answered call
+ *     description: aleg_url the call is transferred to by the voicemail AMD action. Waits for the beep, plays the campaign's amd.voicemail audio or speaks its text, then hangs up.
+ *     parameters:
+ *       - in: query
+ *         name: callUUID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Plivo XML
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ */
+router.post('/amd-voicemail', verifyPlivoWebhook, async (req, res) => {
+  try {
+    const { getVoicemailXml } = require('../services/answeringMachineService');
+    const xmlResponse = await getVoicemailXml(req.query.callUUID);
+
+    res.set('Content-Type', 'application/xml');
+    if (!xmlResponse) {
+      console.warn(`⚠️ No voicemail configured for call ${req.query.callUUID} - hanging up`);
+      return res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response><Hangup /></Response>');
+    }
+    res.status(200).send(xmlResponse);
+  } catch (error) {
+    console.error('❌ Error in amd-voicemail:', error);
+    res.status(500).send('Error generating voicemail XML');
+  }
+});
+
+router.post('/get-incoming-billing', authenticateToken, validateResourceOwnership, requirePermission('billing:view'), auditLog, async(req, res) =>{
+  try{
+    const {clientId, number} = req.body;
+    // const clientId = '664a130cb70125f7e8c84d4a'
+    // const number = '918035735659'
+    const result = await getIncomingBilling(clientId, number)
+    if(result.status == 500){
+      res.status(500).send({ message: result.message });
+    }
+    res.status(result.status).send(result.data)
+  } catch(error){
+    res.status(500).send({ message: "Internal Server Error", error });
+  }
+})
+
+/**
+ * @swagger
+ * /plivo/pause-campaign:
+ *   post:
+ *     tags: [Plivo]
+ *     summary: Pause an active campaign
+ *     description: Immediately pause an active campaign at its current position. The campaign can be resumed later from the same position.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - campaignId
+ *             properties:
+ *               campaignId:
+ *                 type: string
+ *                 description: The ID of the campaign to pause
+ *                 example: "67fca247fe00d34aba08702e"
+ *               pausedBy:
+ *                 type: string
+ *                 description: Optional - ID of user who paused the campaign
+ *                 example: "664a130cb70125f7e8c84d4a"
+ *     responses:
+ *       200:
+ *         description: Campaign paused successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
  *                 success:
  *                   type: boolean
  *                   example: true
@@ -2280,7 +2583,7 @@ router.post('/get-incoming-billing', authenticateToken, validateResourceOwnershi
  *       500:
  *         description: Internal server error
  */
-router.post('/pause-campaign', authenticateToken, validateResourceOwnership, validationSchemas.campaignControl, auditLog, async(req, res) => {
+router.post('/pause-campaign', authenticateToken, validateResourceOwnership, validationSchemas.campaignControl, requirePermission('campaigns:manage'), auditLog, async(req, res) => {
   try {
     const { campaignId } = req.body;
     
@@ -2360,7 +2663,7 @@ router.post('/pause-campaign', authenticateToken, validateResourceOwnership, val
  *       500:
  *         description: Internal server error
  */
-router.post('/resume-campaign', authenticateToken, validateResourceOwnership, validationSchemas.campaignControl, auditLog, async(req, res) => {
+router.post('/resume-campaign', authenticateToken, validateResourceOwnership, validationSchemas.campaignControl, requirePermission('campaigns:manage'), auditLog, async(req, res) => {
   try {
     const { campaignId } = req.body;
     
@@ -2392,6 +2695,183 @@ router.post('/resume-campaign', authenticateToken, validateResourceOwnership, va
   }
 });
 
+/**
+ * @swagger
+ * /plivo/update-calling-hours:
+ *   post:
+ *     tags: [Plivo]
+ *     summary: Set or clear the calling-hours window of a campaign
+ *     description: Calling hours are evaluated in each contact's timezone (CSV column, then number prefix, then the window's default timezone). A contact outside its window is queued for when its window opens (campaign retry queue, cause OUTSIDE_CALLING_HOURS) and the campaign moves on; once no remaining contact is inside its window the campaign auto-pauses with reason outside_calling_hours and is resumed by the calling-hours-resume background job when the next window opens. Send callingHours as null to remove the restriction.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - campaignId
+ *             properties:
+ *               campaignId:
+ *                 type: string
+ *                 example: "67fca247fe00d34aba08702e"
+ *               callingHours:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   days:
+ *                     type: array
+ *                     description: Allowed weekdays (0=Sunday … 6=Saturday as numbers or strings, or "mon", "tue", …)
+ *                     example: ["mon", "tue", "wed", "thu", "fri", "sat"]
+ *                   start:
+ *                     type: string
+ *                     example: "10:00"
+ *                   end:
+ *                     type: string
+ *                     example: "19:00"
+ *                   timezone:
+ *                     type: string
+ *                     description: Fallback IANA timezone when the contact's cannot be determined
+ *                     example: "Asia/Kolkata"
+ *                   timezoneField:
+ *                     type: string
+ *                     description: CSV column holding the contact's IANA timezone
+ *                     example: "timezone"
+ *     responses:
+ *       200:
+ *         description: Calling hours updated
+ *       400:
+ *         description: Invalid calling hours or campaign not updatable
+ *       401:
+ *         description: Unauthorized - JWT token missing or expired
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/update-calling-hours', authenticateToken, validateResourceOwnership, validationSchemas.campaignControl, requirePermission('campaigns:manage'), auditLog, async(req, res) => {
+  try {
+    const { campaignId, clientId } = req.body;
+    let callingHours = null;
+    
+    if (req.body.callingHours) {
+      const callingHoursCheck = validateCallingHours(req.body.callingHours);
+      if (!callingHoursCheck.valid) {
+        return res.status(400).json({
+          success: false,
+          message: callingHoursCheck.error
+        });
+      }
+      callingHours = callingHoursCheck.value;
+    }
+    
+    const result = await updateCampaignCallingHours(campaignId, clientId, callingHours);
+    
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: callingHours ? "Calling hours updated successfully" : "Calling hours removed",
+      campaignId: campaignId,
+      callingHours: callingHours
+    });
+    
+  } catch (error) {
+    console.error("❌ Error in update-calling-hours endpoint:", error);
+    res.status(500).json({ 
+      success: false,
+      message: "Internal server error", 
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /plivo/update-assistant-versions:
+ *   post:
+ *     tags: [Plivo]
+ *     summary: Pin a campaign's assistants to specific versions
+ *     description: Calls of a pinned campaign run the pinned assistant version instead of the live config, so prompt edits made mid-campaign don't change its behavior. Send "latest" to pin every assistant of the campaign (wssUrl and A/B variants) to its current version, an object of assistantId to version, or null to follow the live config again.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - campaignId
+ *             properties:
+ *               campaignId:
+ *                 type: string
+ *                 example: "67fca247fe00d34aba08702e"
+ *               assistantVersions:
+ *                 nullable: true
+ *                 oneOf:
+ *                   - type: string
+ *                     enum: [latest]
+ *                   - type: object
+ *                     additionalProperties:
+ *                       type: integer
+ *                 example: { "64f8a1b2c3d4e5f6789012ab": 3 }
+ *     responses:
+ *       200:
+ *         description: Pins updated
+ *       400:
+ *         description: Invalid pins, unknown version or campaign not updatable
+ *       401:
+ *         description: Unauthorized - JWT token missing or expired
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/update-assistant-versions', authenticateToken, validateResourceOwnership, validationSchemas.campaignControl, requirePermission('campaigns:manage'), auditLog, async(req, res) => {
+  try {
+    const { campaignId, clientId } = req.body;
+    let pins = null;
+
+    if (req.body.assistantVersions) {
+      const pinsCheck = validateVersionPins(req.body.assistantVersions);
+      if (!pinsCheck.valid) {
+        return res.status(400).json({
+          success: false,
+          message: pinsCheck.error
+        });
+      }
+      pins = pinsCheck.value;
+    }
+
+    const result = await setCampaignVersionPins(campaignId, clientId, pins);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.assistantVersions ? "Assistant versions pinned" : "Assistant version pins removed",
+      campaignId: campaignId,
+      assistantVersions: result.assistantVersions
+    });
+
+  } catch (error) {
+    console.error("❌ Error in update-assistant-versions endpoint:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /plivo/cancel-campaign:
@@ -2440,7 +2920,7 @@ router.post('/resume-campaign', authenticateToken, validateResourceOwnership, va
  *       500:
  *         description: Internal server error
  */
-router.post('/cancel-campaign', authenticateToken, validateResourceOwnership, validationSchemas.campaignControl, auditLog, async(req, res) => {
+router.post('/cancel-campaign', authenticateToken, validateResourceOwnership, validationSchemas.campaignControl, requirePermission('campaigns:manage'), auditLog, async(req, res) => {
   try {
     const { campaignId } = req.body;
     
@@ -2580,7 +3060,7 @@ router.post('/cancel-campaign', authenticateToken, validateResourceOwnership, va
  *       500:
  *         description: Internal server error
  */
-router.get('/campaign-progress/:campaignId', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.get('/campaign-progress/:campaignId', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
   try {
     const campaignId = req.params.campaignId;
     
@@ -2696,7 +3176,7 @@ router.get('/campaign-progress/:campaignId', authenticateToken, validateResource
  *       500:
  *         description: Internal server error
  */
-router.get('/dashboard/campaigns', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.get('/dashboard/campaigns', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
   try {
     const { getCampaignList } = require('../services/campaignDashboardService.js');
     
@@ -2778,7 +3258,7 @@ router.get('/dashboard/campaigns', authenticateToken, validateResourceOwnership,
  *       500:
  *         description: Internal server error
  */
-router.get('/dashboard/stats', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.get('/dashboard/stats', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
   try {
     const { getSystemStats } = require('../services/campaignDashboardService.js');
     
@@ -2858,7 +3338,7 @@ router.get('/dashboard/stats', authenticateToken, validateResourceOwnership, aud
  *       500:
  *         description: Internal server error
  */
-router.get('/dashboard/failed-calls', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.get('/dashboard/failed-calls', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
   try {
     const { getFailedCallAnalysis } = require('../services/campaignDashboardService.js');
     
@@ -2953,7 +3433,7 @@ router.get('/dashboard/failed-calls', authenticateToken, validateResourceOwnersh
  *       500:
  *         description: Internal server error
  */
-router.post('/dashboard/bulk-operations', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/dashboard/bulk-operations', authenticateToken, validateResourceOwnership, requirePermission('campaigns:manage'), auditLog, async(req, res) => {
   try {
     const { bulkCampaignOperation } = require('../services/campaignDashboardService.js');
     
@@ -3053,7 +3533,7 @@ router.post('/dashboard/bulk-operations', authenticateToken, validateResourceOwn
  *       500:
  *         description: Internal server error
  */
-router.get('/monitoring/active-calls', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.get('/monitoring/active-calls', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
   try {
     const { getActiveCallsMonitoring } = require('../services/activeCallsMonitoringService.js');
     
@@ -3121,7 +3601,7 @@ router.get('/monitoring/active-calls', authenticateToken, validateResourceOwners
  *       500:
  *         description: Internal server error
  */
-router.get('/monitoring/utilization', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.get('/monitoring/utilization', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
   try {
     const { getSystemUtilization } = require('../services/activeCallsMonitoringService.js');
     
@@ -3148,6 +3628,66 @@ router.get('/monitoring/utilization', authenticateToken, validateResourceOwnersh
   }
 });
 
+/**
+ * @swagger
+ * /plivo/monitoring/rate-limit:
+ *   get:
+ *     tags: [Plivo]
+ *     summary: Get the client's call rate limits and current bucket fill
+ *     description: Limits are shared by every container, campaign, /api/single-call and scheduled call of the client
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Configured limits and remaining tokens per bucket
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/monitoring/rate-limit', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
+  try {
+    const { getClientRateLimitStatus } = require('../services/callRateLimitService.js');
+    const result = await getClientRateLimitStatus(req.user.clientId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error("❌ Error in rate limit status endpoint:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /plivo/monitoring/caller-id-pool:
+ *   get:
+ *     tags: [Plivo]
+ *     summary: Get the client's caller-ID pool with per-number usage and health
+ *     description: Numbers campaigns, retries and /api/single-call rotate over, with calls today, answer rate and whether the number is benched for a low answer rate
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pool config and numbers (enabled false when the client has no pool)
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/monitoring/caller-id-pool', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
+  try {
+    const { getCallerIdPoolStatus } = require('../services/callerIdPoolService.js');
+    const result = await getCallerIdPoolStatus(req.user.clientId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error("❌ Error in caller-ID pool endpoint:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /plivo/monitoring/analytics:
@@ -3201,7 +3741,7 @@ router.get('/monitoring/utilization', authenticateToken, validateResourceOwnersh
  *       500:
  *         description: Internal server error
  */
-router.get('/monitoring/analytics', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.get('/monitoring/analytics', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
   try {
     const { getCallAnalytics } = require('../services/activeCallsMonitoringService.js');
     
@@ -3265,7 +3805,7 @@ router.get('/monitoring/analytics', authenticateToken, validateResourceOwnership
  *       500:
  *         description: Internal server error
  */
-router.post('/one-time-cleanup', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.post('/one-time-cleanup', authenticateToken, validateResourceOwnership, requirePermission('settings:manage'), auditLog, async(req, res) => {
   try {
     const { oneTimeCleanupAllStuckCalls } = require('../apps/helper/activeCalls.js');
     
@@ -3352,13 +3892,99 @@ router.post('/one-time-cleanup', authenticateToken, validateResourceOwnership, a
  *                     leadConversionRate:
  *                       type: number
  *                       description: Lead conversion rate as percentage
+ *                     variants:
+ *                       type: array
+ *                       description: Only for A/B campaigns (created with variants). Per-variant metrics; the first variant is the control
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           variantId:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           assistantId:
+ *                             type: string
+ *                           weight:
+ *                             type: number
+ *                           calls:
+ *                             type: integer
+ *                           connectedCalls:
+ *                             type: integer
+ *                           connectRate:
+ *                             type: number
+ *                             description: Percentage of calls with talk time
+ *                           averageDuration:
+ *                             type: integer
+ *                             description: Average duration of connected calls in seconds
+ *                           totalCost:
+ *                             type: number
+ *                           leads:
+ *                             type: integer
+ *                           leadRate:
+ *                             type: number
+ *                             description: Leads per call as percentage
+ *                           costPerLead:
+ *                             type: number
+ *                           isControl:
+ *                             type: boolean
+ *                           significance:
+ *                             type: object
+ *                             description: Two-proportion z-test against the control (not present on the control). indicator is insufficient_data (fewer than MIN_VARIANT_SAMPLE calls), not_significant, better or worse (p < 0.05)
+ *                             properties:
+ *                               vsVariant:
+ *                                 type: string
+ *                               leadRate:
+ *                                 type: object
+ *                                 properties:
+ *                                   indicator:
+ *                                     type: string
+ *                                   zScore:
+ *                                     type: number
+ *                                   pValue:
+ *                                     type: number
+ *                               connectRate:
+ *                                 type: object
+ *                     leadingVariant:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Variant that wins on lead rate with significance, null while undecided
+ *                     amd:
+ *                       type: object
+ *                       description: Only for campaigns with answering machine detection. Counts of finished calls by detection result and machine action taken
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                         action:
+ *                           type: string
+ *                           enum: [hangup, voicemail, retry]
+ *                         detected:
+ *                           type: integer
+ *                           description: Calls with a detection result
+ *                         human:
+ *                           type: integer
+ *                         machine:
+ *                           type: integer
+ *                         unknown:
+ *                           type: integer
+ *                         machineRate:
+ *                           type: number
+ *                           description: Machines per detected call as percentage
+ *                         actions:
+ *                           type: object
+ *                           properties:
+ *                             hangup:
+ *                               type: integer
+ *                             voicemail:
+ *                               type: integer
+ *                             retry:
+ *                               type: integer
  *       404:
  *         description: Campaign not found
  *       500:
  *         description: Internal server error
  */
 
-router.get('/campaign-analytics/:campaignId', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.get('/campaign-analytics/:campaignId', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
   try {
     const { campaignId } = req.params;
     
@@ -3485,7 +4111,7 @@ router.get('/campaign-analytics/:campaignId', authenticateToken, validateResourc
  *       500:
  *         description: Internal server error
  */
-router.get('/client-analytics/:clientId', authenticateToken, validateResourceOwnership, auditLog, async(req, res) => {
+router.get('/client-analytics/:clientId', authenticateToken, validateResourceOwnership, requirePermission('campaigns:view'), auditLog, async(req, res) => {
   try {
     const { clientId } = req.params;
     const months = parseInt(req.query.months) || 12;
@@ -3514,8 +4140,8 @@ router.get('/client-analytics/:clientId', authenticateToken, validateResourceOwn
  * /plivo/check-scheduled-campaigns:
  *   get:
  *     tags: [Plivo]
- *     summary: Check and start scheduled campaigns (triggered by Cloud Scheduler)
- *     description: Polls MongoDB for campaigns that are scheduled and due to start, then initiates them. Limits parallel campaign starts via MAX_CAMPAIGNS env variable.
+ *     summary: Run the scheduled-campaign jobs now (manual trigger)
+ *     description: These jobs run on their own in the in-process job scheduler (see /superadmin/jobs); this endpoint runs them immediately. Recovers orphaned campaigns, starts scheduled campaigns that are due (at most MAX_CAMPAIGNS), resumes campaigns auto-paused with reason outside_calling_hours once their next calling window opens, dials due scheduled calls and dials automatic campaign retries (retryPolicy) that are due. Jobs already running on another container are listed in skippedJobs.
  *     responses:
  *       200:
  *         description: Scheduled campaigns check completed
@@ -3555,314 +4181,9 @@ router.get('/check-scheduled-campaigns', async(req, res) => {
   try {
     console.log('⏰ Scheduled campaign check triggered at:', new Date().toISOString());
 
-    const { connectToMongo, client } = require('../../models/mongodb.js');
-    await connectToMongo();
-
-    const database = client.db("talkGlimpass");
-    const campaignCollection = database.collection("plivoCampaign");
-
-    // STEP 1: Recover orphaned campaigns first (higher priority)
-    console.log('🔄 Checking for orphaned campaigns with stale heartbeats...');
-    const { scanAndRecoverOrphanedCampaigns } = require('../utils/containerLifecycle.js');
-    let recoveryResult = { recovered: 0, failed: 0, total: 0 };
-
-    try {
-      recoveryResult = await scanAndRecoverOrphanedCampaigns();
-      console.log(`✅ Orphaned campaign recovery complete: ${recoveryResult.recovered || 0} recovered, ${recoveryResult.failed || 0} failed`);
-
-      if (recoveryResult.error) {
-        console.error(`⚠️  Orphaned campaign recovery had errors: ${recoveryResult.error}`);
-      }
-
-      if ((recoveryResult.failed || 0) > 0) {
-        console.error(`⚠️  ${recoveryResult.failed} orphaned campaigns failed to recover`);
-      }
-    } catch (recoveryError) {
-      console.error(`❌ Error during orphaned campaign recovery:`, recoveryError.message);
-      console.error(`❌ Recovery error stack:`, recoveryError.stack);
-      recoveryResult = { recovered: 0, failed: 0, total: 0, error: recoveryError.message };
-    }
-
-    // STEP 2: Start scheduled campaigns
-    console.log('📅 Checking for scheduled campaigns due to start...');
-
-    // Get MAX_CAMPAIGNS limit from env (default to 5)
-    const maxCampaigns = parseInt(process.env.MAX_CAMPAIGNS) || 5;
-    console.log(`📊 MAX_CAMPAIGNS limit: ${maxCampaigns}`);
-
-    // Find scheduled campaigns that are due to start
-    const now = new Date();
-    let scheduledCampaigns = [];
-
-    try {
-      scheduledCampaigns = await campaignCollection
-        .find({
-          status: "scheduled",
-          scheduledTime: { $lte: now }
-        })
-        .sort({ scheduledTime: 1 }) // Start oldest scheduled first
-        .limit(maxCampaigns)
-        .toArray();
-
-      console.log(`📋 Found ${scheduledCampaigns.length} scheduled campaigns ready to start`);
-    } catch (queryError) {
-      console.error(`❌ Error querying scheduled campaigns:`, queryError.message);
-      console.error(`❌ Query error stack:`, queryError.stack);
-      // Continue with empty array - don't fail the entire endpoint
-    }
-
-    const started = [];
-    const errors = [];
-
-    // Import the campaign processing function and data fetcher
-    const { getlistDataById, processEnhancedCampaign } = require('../apps/plivo/plivo');
-    const { ObjectId } = require('mongodb');
-
-    // Start each scheduled campaign
-    for (const campaign of scheduledCampaigns) {
-      try {
-        console.log(`🚀 ======================================`);
-        console.log(`🚀 Starting scheduled campaign: ${campaign.campaignName} (ID: ${campaign._id})`);
-        console.log(`   ⏰ Was scheduled for: ${campaign.scheduledTime}`);
-        console.log(`   📋 Campaign details:`, JSON.stringify({
-          campaignId: campaign._id,
-          listId: campaign.listId,
-          fromNumber: campaign.fromNumber,
-          clientId: campaign.clientId,
-          provider: campaign.provider,
-          wssUrl: campaign.wssUrl?.substring(0, 50) + '...'
-        }, null, 2));
-
-        // Fetch list data for campaign
-        console.log(`   📥 Fetching list data for listId: ${campaign.listId}`);
-        const listData = await getlistDataById(campaign.listId);
-        console.log(`   ✅ List data fetched: ${listData ? listData.length : 0} contacts`);
-
-        if (!listData || listData.length === 0) {
-          throw new Error('Campaign list is empty or not found');
-        }
-
-        // Update campaign status to "running" and set container info
-        console.log(`   🔄 Updating campaign status to "running"...`);
-        const { CONTAINER_ID } = require('../utils/containerLifecycle.js');
-        const updateResult = await campaignCollection.updateOne(
-          { _id: campaign._id },
-          {
-            $set: {
-              status: "running",
-              actualStartTime: new Date(),
-              currentIndex: 0,
-              processedContacts: 0,
-              heartbeat: new Date(),
-              lastActivity: new Date(),
-              containerId: CONTAINER_ID
-            },
-            $unset: {
-              scheduledTime: "",
-              scheduledBy: ""
-            }
-          }
-        );
-        console.log(`   ✅ Campaign status updated: matched=${updateResult.matchedCount}, modified=${updateResult.modifiedCount}`);
-
-        // Update client active campaign status
-        console.log(`   🔄 Updating client active campaign status...`);
-        const clientCollection = database.collection("client");
-        const clientUpdateResult = await clientCollection.updateOne(
-          { _id: new ObjectId(campaign.clientId) },
-          { $set: { isActiveCamp: 1, activeCampId: campaign._id.toString() } }
-        );
-        console.log(`   ✅ Client status updated: matched=${clientUpdateResult.matchedCount}, modified=${clientUpdateResult.modifiedCount}`);
-
-        // Start the campaign processing directly (don't call makeCallViaCampaign which creates a new campaign)
-        console.log(`   🚀 Starting enhanced campaign processing: ${campaign.campaignName} (${campaign._id})`);
-        console.log(`   📞 Will process ${listData.length} contacts`);
-        console.log(`   🔧 Parameters:`, JSON.stringify({
-          campaignId: campaign._id.toString(),
-          contactsCount: listData.length,
-          fromNumber: campaign.fromNumber,
-          clientId: campaign.clientId,
-          listId: campaign.listId,
-          provider: campaign.provider
-        }, null, 2));
-
-        process.nextTick(() => {
-          console.log(`   ⚡ process.nextTick executing for campaign: ${campaign._id}`);
-          processEnhancedCampaign(
-            campaign._id.toString(),
-            listData,
-            campaign.fromNumber,
-            campaign.wssUrl,
-            campaign.clientId,
-            campaign.listId,
-            campaign.provider
-          );
-        });
-
-        started.push({
-          campaignId: campaign._id.toString(),
-          campaignName: campaign.campaignName,
-          scheduledTime: campaign.scheduledTime,
-          actualStartTime: new Date().toISOString()
-        });
-        console.log(`✅ Successfully started campaign: ${campaign.campaignName}`);
-        console.log(`🚀 ======================================`);
-
-      } catch (error) {
-        console.error(`❌ ======================================`);
-        console.error(`❌ Failed to start campaign ${campaign.campaignName}:`, error.message);
-        console.error(`❌ Error stack:`, error.stack);
-        console.error(`❌ Campaign ID: ${campaign._id}`);
-
-        // Mark campaign as failed
-        await campaignCollection.updateOne(
-          { _id: campaign._id },
-          {
-            $set: {
-              status: "failed",
-              failureReason: error.message,
-              failedAt: new Date()
-            }
-          }
-        );
-
-        errors.push({
-          campaignId: campaign._id.toString(),
-          campaignName: campaign.campaignName,
-          error: error.message,
-          stack: error.stack
-        });
-        console.error(`❌ ======================================`);
-      }
-    }
-
-    // STEP 3: Process pending scheduled calls (from Schedule Call MCP tool)
-    const scheduledCallsResult = { executed: 0, failed: 0 };
-    try {
-      const glimpassDb = client.db('glimpass');
-      const pendingCalls = await glimpassDb.collection('scheduledCalls')
-        .find({ status: 'pending', executeAt: { $lte: now } })
-        .sort({ executeAt: 1 })
-        .limit(20)
-        .toArray();
-
-      if (pendingCalls.length > 0) {
-        console.log(`📞 Found ${pendingCalls.length} pending scheduled calls to execute`);
-        const { processSingleCall } = require('../apps/helper/activeCalls.js');
-        const { getAssistantDetails } = require('../apps/interLogue/client.js');
-
-        for (const scheduledCall of pendingCalls) {
-          try {
-            // Mark as executing to prevent duplicate processing
-            await glimpassDb.collection('scheduledCalls').updateOne(
-              { _id: scheduledCall._id, status: 'pending' },
-              { $set: { status: 'executing', updatedAt: new Date() } }
-            );
-
-            const assistantData = await getAssistantDetails(scheduledCall.targetAgentId);
-            if (!assistantData) {
-              throw new Error(`Assistant not found: ${scheduledCall.targetAgentId}`);
-            }
-
-            const finalWssUrl = `wss://socket.glimpass.com/chat/v2/${scheduledCall.targetAgentId}`;
-
-            const callResult = await processSingleCall({
-              clientId: scheduledCall.clientId,
-              campaignId: 'scheduled-call',
-              from: scheduledCall.fromNumber,
-              to: scheduledCall.toNumber,
-              wssUrl: finalWssUrl,
-              firstName: '',
-              email: '',
-              tag: scheduledCall.targetAgentId,
-              listId: 'scheduled-call',
-              provider: null,
-              contactIndex: 0,
-              sequenceNumber: 1,
-              contactData: {
-                number: scheduledCall.toNumber,
-                assistantId: scheduledCall.targetAgentId,
-                wssUrl: finalWssUrl,
-                scheduledCallContext: scheduledCall.context || ''
-              },
-              dynamicFields: {
-                number: scheduledCall.toNumber,
-                assistantId: scheduledCall.targetAgentId,
-                wssUrl: finalWssUrl,
-                scheduledCallContext: scheduledCall.context || ''
-              },
-              callSource: 'scheduled-call'
-            });
-
-            const newStatus = callResult.success ? 'executed' : 'failed';
-            await glimpassDb.collection('scheduledCalls').updateOne(
-              { _id: scheduledCall._id },
-              { $set: { status: newStatus, callUUID: callResult.callUUID || null, updatedAt: new Date() } }
-            );
-
-            if (callResult.success) {
-              scheduledCallsResult.executed++;
-              console.log(`✅ Scheduled call executed: ${scheduledCall.toNumber} (${callResult.callUUID})`);
-            } else {
-              scheduledCallsResult.failed++;
-              console.error(`❌ Scheduled call failed: ${scheduledCall.toNumber} - ${callResult.error}`);
-            }
-          } catch (callError) {
-            scheduledCallsResult.failed++;
-            await glimpassDb.collection('scheduledCalls').updateOne(
-              { _id: scheduledCall._id },
-              { $set: { status: 'failed', error: callError.message, updatedAt: new Date() } }
-            ).catch(() => {});
-            console.error(`❌ Scheduled call error for ${scheduledCall.toNumber}:`, callError.message);
-          }
-        }
-        console.log(`📞 Scheduled calls: ${scheduledCallsResult.executed} executed, ${scheduledCallsResult.failed} failed`);
-      }
-    } catch (scheduledCallError) {
-      console.error('❌ Error processing scheduled calls:', scheduledCallError.message);
-    }
-
-    const totalRecovered = recoveryResult.recovered || 0;
-    const totalStarted = started.length;
-    const totalOperations = totalRecovered + totalStarted + scheduledCallsResult.executed;
-
-    const response = {
-      success: true,
-      message: totalOperations > 0
-        ? `Recovered ${totalRecovered} orphaned, started ${totalStarted} scheduled campaign(s), executed ${scheduledCallsResult.executed} scheduled call(s)`
-        : 'No orphaned or scheduled campaigns to process',
-      orphanedRecovery: {
-        recovered: recoveryResult.recovered || 0,
-        failed: recoveryResult.failed || 0,
-        total: recoveryResult.total || 0
-      },
-      scheduledStart: {
-        started: started,
-        skipped: 0,
-        errors: errors.length > 0 ? errors : undefined,
-        maxCampaigns: maxCampaigns
-      },
-      scheduledCalls: scheduledCallsResult,
-      timestamp: now.toISOString()
-    };
-
-    // Summary logging
-    console.log(`📊 ======================================`);
-    console.log(`📊 CAMPAIGN CHECK SUMMARY:`);
-    console.log(`   🔄 Orphaned Recovery: ${totalRecovered} recovered, ${recoveryResult.failed || 0} failed (${recoveryResult.total || 0} total)`);
-    console.log(`   📅 Scheduled Start: ${totalStarted} started, ${errors.length} failed`);
-    console.log(`   📞 Scheduled Calls: ${scheduledCallsResult.executed} executed, ${scheduledCallsResult.failed} failed`);
-    console.log(`   ✅ Total Success: ${totalRecovered + totalStarted + scheduledCallsResult.executed}`);
-    console.log(`   ❌ Total Failures: ${(recoveryResult.failed || 0) + errors.length + scheduledCallsResult.failed}`);
-
-    if (recoveryResult.error) {
-      console.error(`   ⚠️  Orphan recovery error: ${recoveryResult.error}`);
-    }
-
-    if (errors.length > 0) {
-      console.error(`   ⚠️  Failed scheduled campaigns:`, errors.map(e => `${e.campaignName} (${e.error})`).join(', '));
-    }
-    console.log(`📊 ======================================`);
+    // Same jobs the in-process scheduler runs, claimed through the same leases
+    const { runScheduledCampaignCheck } = require('../services/backgroundJobs');
+    const response = await runScheduledCampaignCheck();
 
     res.status(200).json(response);
 
@@ -3894,7 +4215,7 @@ router.get('/check-scheduled-campaigns', async(req, res) => {
  *   post:
  *     tags: [Plivo]
  *     summary: Transfer an active call to another number
- *     description: Transfer an ongoing call to a different phone number. Supports Plivo and Twilio providers.
+ *     description: Transfer an ongoing call to a different phone number. Supports Plivo, Twilio and Exotel. Exotel calls can't be redirected mid-stream - the transfer is recorded on the call and the Exotel flow's Connect applet (GET /exotel/transfer-destination) connects it once the bot ends the stream.
  *     requestBody:
  *       required: true
  *       content:
@@ -3909,7 +4230,7 @@ router.get('/check-scheduled-campaigns', async(req, res) => {
  *             properties:
  *               provider:
  *                 type: string
- *                 enum: [plivo, twilio]
+ *                 enum: [plivo, twilio, exotel]
  *                 description: Telephony provider
  *                 example: "plivo"
  *               callUuid:
@@ -3918,7 +4239,7 @@ router.get('/check-scheduled-campaigns', async(req, res) => {
  *                 example: "abc-123-def-456"
  *               transferTo:
  *                 type: string
- *                 description: Phone number to transfer the call to
+ *                 description: Phone number to transfer the call to. Numbers without a country code use the client's default country; normalized to E.164.
  *                 example: "+919876543210"
  *               callerNumber:
  *                 type: string
@@ -3948,7 +4269,9 @@ router.get('/check-scheduled-campaigns', async(req, res) => {
  *                   type: string
  *                   example: "+919876543210"
  *       400:
- *         description: Bad request - missing required fields
+ *         description: Bad request - missing required fields or invalid transferTo number
+ *       404:
+ *         description: No active Exotel call with that callUuid
  *       500:
  *         description: Internal server error or transfer failed
  */
@@ -3968,7 +4291,7 @@ router.post('/transfer-call', async (req, res) => {
     console.log(`📞 Using legs: both for reliable transfer`);
 
     // Validate provider
-    const supportedProviders = ['plivo', 'twilio'];
+    const supportedProviders = ['plivo', 'twilio', 'exotel'];
     if (!supportedProviders.includes(provider.toLowerCase())) {
       return res.status(400).json({
         success: false,
@@ -3984,6 +4307,7 @@ router.post('/transfer-call', async (req, res) => {
 
     let credentials;
     let credentialSource = 'system-default';
+    let transferCountry = null;
 
     try {
       // Try to find client by caller number
@@ -3993,16 +4317,7 @@ router.post('/transfer-call', async (req, res) => {
       const clientCollection = database.collection("client");
 
       // Generate possible number formats for lookup
-      const possibleNumbers = [callerNumber];
-      if (callerNumber.startsWith('+91')) {
-        possibleNumbers.push(callerNumber.slice(1)); // Without +
-        possibleNumbers.push(callerNumber.slice(3)); // Without +91
-        possibleNumbers.push('0' + callerNumber.slice(3)); // With leading 0
-      } else if (callerNumber.startsWith('91') && callerNumber.length === 12) {
-        possibleNumbers.push('+' + callerNumber);
-        possibleNumbers.push(callerNumber.slice(2));
-        possibleNumbers.push('0' + callerNumber.slice(2));
-      }
+      const possibleNumbers = getNumberLookupVariants(callerNumber);
 
       const foundClient = await clientCollection.findOne({
         $or: [
@@ -4012,6 +4327,8 @@ router.post('/transfer-call', async (req, res) => {
       });
 
       if (foundClient) {
+        transferCountry = resolveDefaultCountry(foundClient);
+
         // Try to get client-specific credentials
         const clientCreds = await TelephonyCredentialsService.getCredentials(
           foundClient._id.toString(),
@@ -4039,6 +4356,11 @@ router.post('/transfer-call', async (req, res) => {
           accountSid: process.env.TWILIO_ACCOUNT_SID,
           authToken: process.env.TWILIO_AUTH_TOKEN
         };
+      } else if (provider.toLowerCase() === 'exotel') {
+        credentials = {
+          accountSid: process.env.EXOTEL_ACCOUNT_SID,
+          authToken: process.env.EXOTEL_AUTH_TOKEN
+        };
       }
       console.log(`🔑 Using system default ${provider} credentials`);
     }
@@ -4050,9 +4372,18 @@ router.post('/transfer-call', async (req, res) => {
       });
     }
 
+    // Normalize the transfer target to E.164 (national numbers use the client's default country)
+    const transferNumber = toE164(transferTo, transferCountry);
+    if (!transferNumber) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid transferTo number: ${transferTo}`
+      });
+    }
+
     // Build transfer XML URL
     const baseUrl = process.env.BASE_URL || 'https://application.glimpass.com';
-    const transferXmlUrl = `${baseUrl}/plivo/transfer-xml/${encodeURIComponent(transferTo)}`;
+    const transferXmlUrl = `${baseUrl}/plivo/transfer-xml/${encodeURIComponent(transferNumber)}`;
 
     console.log(`🔗 Transfer XML URL: ${transferXmlUrl}`);
 
@@ -4121,7 +4452,7 @@ router.post('/transfer-call', async (req, res) => {
       console.log(`📞 Initiating Twilio transfer for call: ${callUuid}`);
 
       // For Twilio, we update the call with new TwiML
-      const twimlUrl = `${baseUrl}/plivo/transfer-twiml/${encodeURIComponent(transferTo)}`;
+      const twimlUrl = `${baseUrl}/plivo/transfer-twiml/${encodeURIComponent(transferNumber)}`;
 
       transferResponse = await twilioClient.calls(callUuid).update({
         url: twimlUrl,
@@ -4129,6 +4460,26 @@ router.post('/transfer-call', async (req, res) => {
       });
 
       console.log(`✅ Twilio transfer response:`, transferResponse.sid);
+
+    } else if (provider.toLowerCase() === 'exotel') {
+      // Exotel has no mid-call redirect API: park the destination on the call; the flow's Connect
+      // applet picks it up from /exotel/transfer-destination when the bot ends the stream
+      const { connectToMongo, client: mongoClient } = require('../../models/mongodb.js');
+      await connectToMongo();
+      const result = await mongoClient.db("talkGlimpass").collection("activeCalls").updateOne(
+        { $or: [{ callUUID: callUuid }, { exotelCallSid: callUuid }], provider: 'exotel' },
+        { $set: { transferTo: transferNumber, transferRequestedAt: new Date() } }
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `No active Exotel call found for ${callUuid}`
+        });
+      }
+
+      console.log(`✅ Exotel transfer queued for call ${callUuid} -> ${transferNumber} (executes when the bot ends the stream)`);
+      transferResponse = { queued: true, executesOn: 'stream_end' };
     }
 
     res.status(200).json({
@@ -4136,7 +4487,7 @@ router.post('/transfer-call', async (req, res) => {
       message: 'Call transfer initiated successfully',
       provider: provider.toLowerCase(),
       callUuid: callUuid,
-      transferTo: transferTo,
+      transferTo: transferNumber,
       legs: 'aleg',
       credentialSource: credentialSource,
       transferResponse: transferResponse
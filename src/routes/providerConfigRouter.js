@@ -82,7 +82,7 @@ router.get('/providers', (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *           enum: [plivo, twilio, wati]
+ *           enum: [plivo, twilio, exotel, sip, wati]
  *     responses:
  *       200:
  *         description: Provider form fields
@@ -184,7 +184,7 @@ router.post('/validate', (req, res) => {
  *             properties:
  *               provider:
  *                 type: string
- *                 enum: [twilio, plivo, wati]
+ *                 enum: [twilio, plivo, exotel, sip, wati]
  *                 example: "twilio"
  *               credentials:
  *                 type: object
@@ -277,7 +277,7 @@ router.post('/test-credentials', async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *           enum: [twilio, plivo, wati]
+ *           enum: [twilio, plivo, exotel, sip, wati]
  *     responses:
  *       200:
  *         description: Validation info
@@ -349,6 +349,8 @@ router.get('/client/:clientId/status', async (req, res) => {
     const defaultProviders = {
       plivo_active: true,
       twilio_active: false,
+      exotel_active: false,
+      sip_active: false,
       wati_active: false,
       gmail_active: false
     };
@@ -441,7 +443,7 @@ router.post('/client/:clientId/activate', async (req, res) => {
     }
     
     // Validate provider flags
-    const validProviders = ['plivo_active', 'twilio_active', 'wati_active', 'gmail_active'];
+    const validProviders = ['plivo_active', 'twilio_active', 'exotel_active', 'sip_active', 'wati_active', 'gmail_active'];
     const updates = {};
     const validationResults = {};
     
@@ -718,6 +720,8 @@ router.post('/client/:clientId/sync-phone-numbers', async (req, res) => {
     
     if (providerStatus.plivo_active) activeProviders.push('plivo');
     if (providerStatus.twilio_active) activeProviders.push('twilio');
+    if (providerStatus.exotel_active) activeProviders.push('exotel');
+    if (providerStatus.sip_active) activeProviders.push('sip');
     if (providerStatus.wati_active) activeProviders.push('wati');
     if (providerStatus.gmail_active) activeProviders.push('gmail');
     
@@ -0,0 +1,401 @@
+/**
+ * Recording Router
+ * Archived call recordings: archive status, retention settings, short-lived playback URLs and
+ * deletion on request. Recordings are copied off Plivo, Twilio and Exotel by the recording-archive
+ * job (recordingArchiveService).
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  authenticateJWTOrSuperKey,
+  requirePermission,
+  auditLog
+} = require('../middleware/authMiddleware');
+const {
+  getRecordingSettings,
+  updateRecordingSettings,
+  listRecordingArchives,
+  getRecordingArchive,
+  createPlaybackUrl,
+  openPlaybackStream,
+  retryRecordingArchive,
+  deleteRecording
+} = require('../services/recordingArchiveService');
+const { validateDeletionReason } = require('../apps/helper/recordingArchive');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Recordings
+ *   description: Archived call recordings - retention, signed playback and privacy deletion
+ */
+
+const sendServerError = (res, error) => {
+  res.status(500).json({
+    success: false,
+    status: 500,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+// Super key callers may act on any client (or scope themselves with client_id); JWT callers only on their own
+const resolveClientScope = (req) => (req.superKeyAuth ? (req.query.client_id || req.body?.client_id || null) : req.user.clientId);
+
+const actorOf = (req) => (req.superKeyAuth ? 'superadmin' : req.user.email);
+
+// =============================================================================
+// SETTINGS
+// =============================================================================
+
+/**
+ * @swagger
+ * /recordings/settings:
+ *   get:
+ *     tags: [Recordings]
+ *     summary: Recording archive settings of the client
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: client_id
+ *         schema:
+ *           type: string
+ *         description: Required with Super Key
+ *     responses:
+ *       200:
+ *         description: "{ archiveEnabled, retentionDays, bucket }"
+ *       404:
+ *         description: Client not found
+ *   put:
+ *     tags: [Recordings]
+ *     summary: Update recording archive settings
+ *     description: |
+ *       retentionDays deletes archived recordings (and the provider copy) that many days after archival;
+ *       null keeps them until deleted on request. bucket can only be set with Super Key.
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               client_id:
+ *                 type: string
+ *                 description: Required with Super Key
+ *               archiveEnabled:
+ *                 type: boolean
+ *                 example: true
+ *               retentionDays:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 90
+ *               bucket:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "acme-call-recordings"
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Invalid settings
+ *       404:
+ *         description: Client not found
+ */
+router.get('/settings', authenticateJWTOrSuperKey, async (req, res) => {
+  try {
+    const clientId = resolveClientScope(req);
+    if (!clientId) {
+      return res.status(400).json({ success: false, status: 400, message: 'client_id is required' });
+    }
+    const result = await getRecordingSettings(clientId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching recording settings:', error);
+    sendServerError(res, error);
+  }
+});
+
+router.put('/settings', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientScope(req);
+    if (!clientId) {
+      return res.status(400).json({ success: false, status: 400, message: 'client_id is required' });
+    }
+    const { client_id, ...settings } = req.body || {};
+    const result = await updateRecordingSettings(clientId, settings, { allowBucket: Boolean(req.superKeyAuth) });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error updating recording settings:', error);
+    sendServerError(res, error);
+  }
+});
+
+// =============================================================================
+// ARCHIVES
+// =============================================================================
+
+/**
+ * @swagger
+ * /recordings:
+ *   get:
+ *     tags: [Recordings]
+ *     summary: List recording archives
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, archiving, archived, failed, deleted]
+ *       - in: query
+ *         name: campaignId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: client_id
+ *         schema:
+ *           type: string
+ *         description: Super Key only - omit for all clients
+ *     responses:
+ *       200:
+ *         description: Archives, newest first
+ */
+router.get('/', authenticateJWTOrSuperKey, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const result = await listRecordingArchives({
+      clientId: resolveClientScope(req),
+      status: req.query.status,
+      campaignId: req.query.campaignId,
+      limit: req.query.limit,
+      skip: req.query.skip
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error listing recording archives:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /recordings/playback/{token}:
+ *   get:
+ *     tags: [Recordings]
+ *     summary: Stream a recording from local storage
+ *     description: Target of the playback URLs issued on the local storage backend. The signed, expiring token is the authorization - get one from POST /recordings/{callUUID}/playback-url.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audio
+ *         content:
+ *           audio/mpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Invalid or expired token
+ *       404:
+ *         description: Recording not found
+ */
+router.get('/playback/:token', async (req, res) => {
+  try {
+    const result = await openPlaybackStream(req.params.token);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, status: result.status, message: result.message });
+    }
+
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Length', result.size);
+    res.setHeader('Cache-Control', 'private, no-store');
+    result.stream.on('error', (error) => {
+      console.error('❌ Error streaming archived recording:', error);
+      res.destroy(error);
+    });
+    result.stream.pipe(res);
+  } catch (error) {
+    console.error('Error streaming archived recording:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /recordings/{callUUID}:
+ *   get:
+ *     tags: [Recordings]
+ *     summary: Archive status of a call's recording
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callUUID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Archive (status, backend, size, archivedAt, deletion details)
+ *       404:
+ *         description: No archive for this call
+ *   delete:
+ *     tags: [Recordings]
+ *     summary: Delete a call's recording (privacy request)
+ *     description: |
+ *       Deletes the archived copy, the provider's copy (Plivo and Twilio; Exotel has no delete API)
+ *       and the recording URLs on the call's records. The archive entry stays as the audit record.
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callUUID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Data subject erasure request #4821"
+ *               deleteFromProvider:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: "Deleted - providerDeletion is deleted, failed, unsupported or skipped"
+ *       404:
+ *         description: Recording not found
+ *       409:
+ *         description: Recording is being archived
+ *       410:
+ *         description: Already deleted
+ */
+router.get('/:callUUID', authenticateJWTOrSuperKey, requirePermission('reports:view'), async (req, res) => {
+  try {
+    const result = await getRecordingArchive(req.params.callUUID, resolveClientScope(req));
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching recording archive:', error);
+    sendServerError(res, error);
+  }
+});
+
+router.delete('/:callUUID', authenticateJWTOrSuperKey, requirePermission('recordings:manage'), auditLog, async (req, res) => {
+  try {
+    const reasonCheck = validateDeletionReason(req.body?.reason);
+    if (!reasonCheck.valid) {
+      return res.status(400).json({ success: false, status: 400, message: reasonCheck.error });
+    }
+
+    const result = await deleteRecording(req.params.callUUID, resolveClientScope(req), {
+      deletedBy: actorOf(req),
+      reason: reasonCheck.value,
+      deleteFromProvider: req.body?.deleteFromProvider !== false
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error deleting recording:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /recordings/{callUUID}/playback-url:
+ *   post:
+ *     tags: [Recordings]
+ *     summary: Short-lived playback URL for an archived recording
+ *     description: A GCS signed URL (or a signed /recordings/playback URL on the local backend) valid for RECORDING_PLAYBACK_TTL seconds (default 300).
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callUUID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ url, expiresAt, contentType }"
+ *       404:
+ *         description: No archive for this call
+ *       409:
+ *         description: Recording not archived yet
+ *       410:
+ *         description: Recording deleted
+ */
+router.post('/:callUUID/playback-url', authenticateJWTOrSuperKey, requirePermission('reports:view'), auditLog, async (req, res) => {
+  try {
+    const result = await createPlaybackUrl(req.params.callUUID, resolveClientScope(req));
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error creating recording playback URL:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /recordings/{callUUID}/archive:
+ *   post:
+ *     tags: [Recordings]
+ *     summary: Retry archiving a recording
+ *     description: Re-queues a failed (or pending) archive with a fresh attempt count; the recording-archive job picks it up on its next run.
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callUUID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Queued
+ *       404:
+ *         description: No archive for this call
+ *       409:
+ *         description: Already archived, archiving or deleted
+ */
+router.post('/:callUUID/archive', authenticateJWTOrSuperKey, requirePermission('recordings:manage'), auditLog, async (req, res) => {
+  try {
+    const result = await retryRecordingArchive(req.params.callUUID, resolveClientScope(req));
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error retrying recording archive:', error);
+    sendServerError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,302 @@
+/**
+ * SIP Router
+ * Callbacks from customer SIP trunk gateways (Asterisk ARI-style) for calls placed by SipAdapter
+ */
+
+const express = require('express');
+const router = express.Router();
+const SipAdapter = require('../adapters/sipAdapter');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { verifySipWebhook, buildSipCallbackUrl } = require('../middleware/webhookSignatureMiddleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: SIP
+ *   description: SIP trunk / Asterisk ARI gateway callbacks (stream instruction and call events)
+ */
+
+/**
+ * activeCalls record of a SipAdapter call - the signed URL's clientId must own it (a URL signed
+ * without a clientId only matches calls on the platform account)
+ */
+async function findSipCall(activeCallsCollection, callUUID, clientId, projection) {
+  if (!callUUID) return null;
+  const callRecord = await activeCallsCollection.findOne({ callUUID, provider: 'sip' }, { projection });
+  if (callRecord && (callRecord.clientId?.toString() || null) !== (clientId || null)) {
+    console.warn(`⚠️ SIP callback for ${callUUID} signed for client ${clientId || 'none'}, call belongs to ${callRecord.clientId || 'none'}`);
+    return null;
+  }
+  return callRecord;
+}
+
+/**
+ * @swagger
+ * /sip/stream-instruction:
+ *   get:
+ *     tags: [SIP]
+ *     summary: Media-stream instruction for an answered SIP call
+ *     description: The SIP counterpart of /ip/xml-plivo. The gateway's Stasis app fetches this (URL from the GLIMPASS_STREAM_INSTRUCTION_URL channel variable) once the callee answers and streams the call audio to the returned WebSocket.
+ *     parameters:
+ *       - in: query
+ *         name: callUUID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Callback signature added by buildSipCallbackUrl
+ *     responses:
+ *       200:
+ *         description: Stream instruction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 callUUID:
+ *                   type: string
+ *                 record:
+ *                   type: object
+ *                 stream:
+ *                   type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                       example: "wss://live.glimpass.com/chat/v2/66cd8cc80b5a146186b9db8f"
+ *                     bidirectional:
+ *                       type: boolean
+ *                     contentType:
+ *                       type: string
+ *                       example: "audio/x-mulaw;rate=8000"
+ *                     extraHeaders:
+ *                       type: object
+ *                 events:
+ *                   type: object
+ *       404:
+ *         description: No SIP call matches
+ */
+router.get('/stream-instruction', verifySipWebhook, async (req, res) => {
+  try {
+    const { callUUID, clientId } = req.query;
+    await connectToMongo();
+    const activeCallsCollection = client.db("talkGlimpass").collection("activeCalls");
+
+    const callRecord = await findSipCall(
+      activeCallsCollection,
+      callUUID,
+      clientId,
+      { callUUID: 1, clientId: 1, from: 1, to: 1, wssUrl: 1, listId: 1, campId: 1 }
+    );
+    if (!callRecord?.wssUrl) {
+      console.error(`❌ No SIP stream instruction for call ${callUUID}`);
+      return res.status(404).json({ error: 'Call not found' });
+    }
+
+    const eventsUrl = await buildSipCallbackUrl('/sip/events', callRecord.clientId, callRecord.callUUID);
+    const instruction = SipAdapter.buildStreamInstruction(callRecord, { eventsUrl });
+
+    console.log(`🟣 SIP stream instruction served for call ${callRecord.callUUID}`);
+    res.status(200).json(instruction);
+  } catch (error) {
+    console.error('❌ Error serving SIP stream instruction:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /sip/events:
+ *   post:
+ *     tags: [SIP]
+ *     summary: Handle SIP gateway call events
+ *     description: Receives answer and hangup events for calls placed by SipAdapter - either the flat shape below or raw ARI events (StasisStart/ChannelStateChange with state Up, ChannelDestroyed) forwarded as-is. The hangup is normalized into plivoHangupData (callDataNormalizer), billed, and releases the concurrency slot and credit hold; unanswered campaign calls go through the retry policy.
+ *     parameters:
+ *       - in: query
+ *         name: callUUID
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 enum: [answered, hangup]
+ *               cause:
+ *                 type: integer
+ *                 description: Q.850 release cause (16 = normal clearing, 17 = busy, 19 = no answer)
+ *                 example: 16
+ *               duration:
+ *                 type: integer
+ *                 description: Answered seconds; derived from the answer event when omitted and never billed beyond the time since the answer event
+ *               recordingUrl:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 description: ARI event type, when forwarding raw ARI events
+ *                 example: "ChannelDestroyed"
+ *     responses:
+ *       200:
+ *         description: Event processed
+ */
+router.post('/events', verifySipWebhook, async (req, res) => {
+  try {
+    const sipEvent = SipAdapter.parseEvent(req.body, req.query.callUUID);
+    console.log(`🟣 SIP event: ${sipEvent.callUUID} (${sipEvent.event || req.body?.type || 'unknown'})`);
+
+    if (!sipEvent.event) {
+      return res.status(200).json({ message: 'Event ignored' });
+    }
+
+    // The signed callUUID decides which call this is - the body can't point the event at another call
+    if (sipEvent.callUUID !== req.query.callUUID) {
+      console.warn(`⚠️ SIP event for ${sipEvent.callUUID} on the callback URL of ${req.query.callUUID} - ignored`);
+      return res.status(200).json({ message: 'Event ignored' });
+    }
+
+    await connectToMongo();
+    const activeCallsCollection = client.db("talkGlimpass").collection("activeCalls");
+
+    const callRecord = await findSipCall(
+      activeCallsCollection,
+      sipEvent.callUUID,
+      req.query.clientId,
+      { callUUID: 1, clientId: 1, campaignId: 1, tag: 1, assistantId: 1, firstName: 1, from: 1, to: 1, streamStartTime: 1, startTime: 1 }
+    );
+    if (!callRecord) {
+      console.error(`❌ No call record found for SIP call: ${sipEvent.callUUID}`);
+      return res.status(200).json({ message: 'Unknown call' });
+    }
+
+    const ourCallUUID = callRecord.callUUID;
+
+    if (sipEvent.event === 'answered') {
+      await activeCallsCollection.updateOne(
+        { callUUID: ourCallUUID, streamStartTime: { $exists: false } },
+        { $set: { status: 'ongoing', statusTimestamp: new Date(), streamStartTime: new Date(), updatedAt: new Date() } }
+      );
+      console.log(`🎙️ SIP call answered (equivalent to StartStream): ${ourCallUUID}`);
+      return res.status(200).json({ message: 'Event processed' });
+    }
+
+    if (sipEvent.event !== 'hangup') {
+      return res.status(200).json({ message: 'Event ignored' });
+    }
+
+    // ARI doesn't report talk time - count it from our answer event (or, if that got lost, from dialing).
+    // A duration sent by the gateway is capped at that, so it can't bill more than the call lasted.
+    const answeredAt = callRecord.streamStartTime || callRecord.startTime;
+    const elapsed = answeredAt
+      ? Math.max(0, Math.round((Date.now() - new Date(answeredAt).getTime()) / 1000))
+      : 0;
+    const duration = Math.min(sipEvent.duration ?? elapsed, elapsed);
+    if (sipEvent.duration !== null && sipEvent.duration > elapsed) {
+      console.warn(`⚠️ SIP call ${ourCallUUID} reported ${sipEvent.duration}s, capped at ${elapsed}s since answer`);
+    }
+    const campId = callRecord.campaignId === 'testcall' ? 'testcall' : (callRecord.campaignId?.toString() || 'incoming');
+
+    // Normalized hangup record (idempotent - a retried event comes back as duplicate)
+    let isRetry = false;
+    let hangupCause = null;
+    try {
+      const { saveHangupData } = require('../apps/plivo/plivo.js');
+      const { normalizeSipHangup } = require('../apps/helper/callDataNormalizer.js');
+      const hangupData = {
+        ...sipEvent,
+        duration,
+        CallUUID: ourCallUUID,
+        From: callRecord.from,
+        To: callRecord.to,
+        clientId: callRecord.clientId,
+        campId,
+        tag: callRecord.assistantId || '', // Normalizer reads the assistant from tag (Plivo convention)
+        customTag: callRecord.tag || '',
+        firstName: callRecord.firstName || ''
+      };
+      hangupCause = normalizeSipHangup(hangupData).hangupCause;
+
+      const saveResult = await saveHangupData(hangupData, {
+        provider: 'sip',
+        normalize: true,
+        metadata: {
+          startTime: callRecord.startTime || null,
+          answerTime: callRecord.streamStartTime || null
+        }
+      });
+      isRetry = Boolean(saveResult.duplicate);
+      if (isRetry) {
+        console.log(`⚠️ SIP call ${ourCallUUID} already processed - skipping to prevent double billing`);
+      }
+    } catch (hangupError) {
+      console.error('❌ Error saving SIP hangup data:', hangupError);
+    }
+
+    if (isRetry) {
+      return res.status(200).json({ message: 'Event already processed' });
+    }
+
+    if (callRecord.clientId) {
+      const { billProviderCall } = require('../apps/billing/billingCore');
+      const callType = ['incoming', 'testcall', 'api-call'].includes(campId) ? campId : 'campaign';
+      await billProviderCall({
+        clientId: callRecord.clientId,
+        callUUID: ourCallUUID,
+        duration,
+        callType,
+        campaignId: campId,
+        from: callRecord.from,
+        to: callRecord.to,
+        provider: 'sip'
+      });
+    }
+
+    const { trackCallEnd } = require('../apps/helper/activeCalls');
+    const endResult = await trackCallEnd(ourCallUUID, {
+      duration: duration || null,
+      endReason: hangupCause || 'hangup'
+    });
+    if (!endResult.success) {
+      console.warn(`⚠️ Failed to track SIP call end: ${endResult.error}`);
+    }
+
+    // Release the credit hold placed at dial time (the actual debit was posted above)
+    const { settleCallReservation } = require('../apps/billing/creditReservations');
+    await settleCallReservation(ourCallUUID, duration);
+
+    // Campaign retry policy: queue the next attempt for unanswered/busy/failed contacts
+    const { scheduleCampaignRetry } = require('../services/campaignRetryService');
+    const retryResult = await scheduleCampaignRetry({
+      callUUID: ourCallUUID,
+      campaignId: callRecord.campaignId,
+      hangupCause,
+      duration
+    });
+    if (!retryResult.success) {
+      console.warn(`⚠️ Failed to evaluate retry policy for SIP call ${ourCallUUID}: ${retryResult.error}`);
+    }
+
+    res.status(200).json({ message: 'Event processed' });
+  } catch (error) {
+    console.error('❌ Error processing SIP event:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
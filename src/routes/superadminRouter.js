@@ -13,7 +13,12 @@ const {
   getAssistantDetails
 } = require('../apps/interLogue/client');
 const { initiatePlivoCall, getCurrentClientBalance } = require('../apps/plivo/plivo');
+const { postLedgerEntry, reconcileLedgerBalances, ENTRY_TYPES } = require('../apps/billing/creditLedger');
 const { connectToMongo, client } = require('../../models/mongodb.js');
+const { listJobs, getJob, runJobNow } = require('../services/jobSchedulerService');
+const { getCallerIdPoolStatus, unbenchCallerId } = require('../services/callerIdPoolService');
+const { getCircuitBreakerStatus, resetCircuitBreaker } = require('../services/providerFailoverService');
+require('../services/backgroundJobs'); // registers the job definitions
 
 /**
  * @swagger
@@ -150,15 +155,112 @@ router.post('/clients', async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             properties:
+ *               defaultCountry:
+ *                 type: string
+ *                 description: ISO country used for phone numbers without a country code (IN, AE, US, CA, GB, SA, QA, SG, AU)
+ *                 example: "AE"
+ *               rateLimits:
+ *                 type: object
+ *                 description: Dial rate limits shared across containers, campaigns, /api/single-call and scheduled calls (0 = no limit, null = platform defaults)
+ *                 properties:
+ *                   callsPerMinute:
+ *                     type: integer
+ *                     example: 30
+ *                   callsPerMinutePerNumber:
+ *                     type: integer
+ *                     example: 10
+ *                   burst:
+ *                     type: integer
+ *                     description: Calls allowed back-to-back before the per-minute pace applies
+ *                     example: 5
+ *               callerIdPool:
+ *                 type: object
+ *                 description: Rotate campaign, retry and /api/single-call caller IDs over several numbers (null = always use the request's fromNumber)
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                     example: true
+ *                   strategy:
+ *                     type: string
+ *                     enum: [round_robin, least_recently_used, local_presence]
+ *                     description: local_presence prefers a number whose region matches the contact's circle/region/state column, then the longest shared area-code prefix
+ *                   numbers:
+ *                     type: array
+ *                     description: Pool numbers (empty = every validated telephony-credential number plus numbers assigned to the client)
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         number:
+ *                           type: string
+ *                           example: "+918035735659"
+ *                         region:
+ *                           type: string
+ *                           example: "Mumbai"
+ *                         provider:
+ *                           type: string
+ *                           enum: [plivo, twilio, exotel, sip]
+ *                           description: Provider that owns the number (default - the credentials/assignment it belongs to). Campaigns with an explicit provider only dial from its numbers.
+ *                   dailyCapPerNumber:
+ *                     type: integer
+ *                     description: Dials per number per day (0 = no cap)
+ *                     example: 200
+ *                   minAnswerRate:
+ *                     type: number
+ *                     description: Numbers answering less than this share of calls are benched (0 = never bench)
+ *                     example: 0.15
+ *                   minCallsForHealth:
+ *                     type: integer
+ *                     description: Calls in the health window before a number can be benched
+ *                     example: 20
+ *                   benchHours:
+ *                     type: integer
+ *                     example: 24
+ *               providerRouting:
+ *                 type: object
+ *                 description: Fail calls over to a second provider when the primary errors or its circuit breaker is open (null = no failover)
+ *                 properties:
+ *                   enabled:
+ *                     type: boolean
+ *                     example: true
+ *                   primary:
+ *                     type: string
+ *                     enum: [plivo, twilio, exotel, sip]
+ *                     description: Provider tried first (null = follow the from-number's provider mapping)
+ *                   secondary:
+ *                     type: string
+ *                     enum: [plivo, twilio, exotel, sip]
+ *                     example: "twilio"
+ *                   failoverOn:
+ *                     type: array
+ *                     description: Error classes that trigger failover (default auth, network, server, rate_limit). Timeouts never fail over - the primary may have placed the call.
+ *                     items:
+ *                       type: string
+ *                       enum: [auth, network, server, rate_limit, from_number, invalid_request]
+ *                   fromNumberMap:
+ *                     type: object
+ *                     description: Equivalent secondary-provider from-number per primary from-number
+ *                     additionalProperties:
+ *                       type: string
+ *                     example: { "+918035735659": "+14155550100" }
+ *                   secondaryFromNumber:
+ *                     type: string
+ *                     description: Secondary from-number for numbers missing from fromNumberMap
+ *                     example: "+14155550100"
  *     responses:
  *       200:
  *         description: Client updated successfully
+ *       400:
+ *         description: Only ledger-managed fields supplied, unsupported defaultCountry, invalid rateLimits, callerIdPool or providerRouting
  */
 router.put('/clients/:clientId', async (req, res) => {
   try {
     const { clientId } = req.params;
     const newDocs = { ...req.body, updatedAt: new Date() };
     const result = await updateClient(clientId, newDocs);
+    if (result && result.status === 400) {
+      return res.status(400).json({ success: false, message: result.message });
+    }
     res.status(200).json({ success: true, message: 'Client updated successfully', data: result });
   } catch (error) {
     console.error('Error updating client:', error);
@@ -290,10 +392,10 @@ router.post('/assistants', async (req, res) => {
       createdAt: new Date(),
       updatedAt: new Date()
     };
-    const result = await insertAssistant(assistantData);
+    const result = await insertAssistant(assistantData, { author: 'superadmin' });
     res.status(result.status).json({
       success: result.status < 300,
-      message: 'Assistant created successfully',
+      message: result.status < 300 ? 'Assistant created successfully' : result.message,
       data: { _id: result.id }
     });
   } catch (error) {
@@ -329,8 +431,9 @@ router.post('/assistants', async (req, res) => {
 router.put('/assistants/:assistantId', async (req, res) => {
   try {
     const { assistantId } = req.params;
-    const newDocs = { ...req.body, updatedAt: new Date() };
-    const result = await updateAssistant(assistantId, newDocs, 0); // 0 = admin request
+    const { changeNote, ...fields } = req.body;
+    const newDocs = { ...fields, updatedAt: new Date() };
+    const result = await updateAssistant(assistantId, newDocs, 0, { author: 'superadmin', note: changeNote || null }); // 0 = admin request
     res.status(200).json({ success: true, message: 'Assistant updated successfully', data: result });
   } catch (error) {
     console.error('Error updating assistant:', error);
@@ -373,7 +476,11 @@ router.get('/balance/:clientId', async (req, res) => {
  * @swagger
  * /superadmin/balance/{clientId}:
  *   put:
- *     summary: Update client balance (add/subtract tokens)
+ *     summary: Correct client balance (add/subtract credits)
+ *     description: |
+ *       Posts a superadmin_correction entry to the credit ledger and applies it atomically.
+ *       The legacy body `{ tokens }` (the new balance) still works - it is posted as the difference
+ *       from the current balance. Without a reason the ledger entry gets a default description.
  *     tags: [Superadmin]
  *     security:
  *       - BearerAuth: []
@@ -389,21 +496,81 @@ router.get('/balance/:clientId', async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - tokens
  *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Credits to add (positive) or remove (negative)
+ *                 example: -120
  *               tokens:
  *                 type: number
- *                 description: New token balance
+ *                 description: Legacy - the new balance (ignored when amount is given)
+ *                 example: 5000
+ *               reason:
+ *                 type: string
+ *                 description: Why the correction is being made (shown on the ledger statement)
+ *                 example: Refund for dropped calls on 2024-01-15
+ *               referenceId:
+ *                 type: string
+ *                 description: Optional ticket/reference ID - the same referenceId is never applied twice
  *     responses:
  *       200:
  *         description: Balance updated successfully
+ *       400:
+ *         description: Invalid amount or tokens
+ *       409:
+ *         description: A correction with this referenceId was already applied
  */
 router.put('/balance/:clientId', async (req, res) => {
   try {
     const { clientId } = req.params;
-    const { tokens } = req.body;
-    const result = await updateClient(clientId, { tokens, updatedAt: new Date() });
+    const { amount, tokens, reason, referenceId } = req.body || {};
+
+    let correction = Number(amount);
+    let defaultReason = 'Superadmin balance correction';
+    if (amount === undefined && tokens !== undefined) {
+      // Legacy contract: tokens is the balance to set
+      const target = Number(tokens);
+      if (!Number.isFinite(target)) {
+        return res.status(400).json({ success: false, message: 'tokens must be a number' });
+      }
+      const current = await getCurrentClientBalance(clientId);
+      if (!current.success) {
+        const statusCode = current.error === 'Client not found' ? 404 : 500;
+        return res.status(statusCode).json({ success: false, message: 'Failed to update balance', error: current.error });
+      }
+      correction = target - current.balance;
+      defaultReason = `Balance set to ${target} by superadmin`;
+      if (correction === 0) {
+        return res.status(200).json({ success: true, message: 'Balance unchanged', data: { newBalance: current.balance } });
+      }
+    }
+
+    if (!Number.isFinite(correction) || correction === 0) {
+      return res.status(400).json({ success: false, message: 'amount must be a non-zero number of credits' });
+    }
+    const description = typeof reason === 'string' && reason.trim() ? reason.trim() : defaultReason;
+
+    const result = await postLedgerEntry({
+      clientId,
+      entryType: ENTRY_TYPES.SUPERADMIN_CORRECTION,
+      amount: correction,
+      referenceId: referenceId || null,
+      description,
+      metadata: { ip: req.ip },
+      createdBy: 'superadmin'
+    });
+
+    if (!result.success) {
+      const statusCode = result.error === 'Client not found' ? 404 : 400;
+      return res.status(statusCode).json({ success: false, message: 'Failed to update balance', error: result.error });
+    }
+    if (result.duplicate) {
+      return res.status(409).json({ success: false, message: `Correction ${referenceId} was already applied`, data: result });
+    }
+
+    const billingRouter = require('./billingRouter');
+    billingRouter.broadcastBalanceUpdate(clientId, result.newBalance, 'balance_correction');
+
     res.status(200).json({ success: true, message: 'Balance updated successfully', data: result });
   } catch (error) {
     console.error('Error updating balance:', error);
@@ -411,6 +578,45 @@ router.put('/balance/:clientId', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /superadmin/ledger/reconcile:
+ *   post:
+ *     summary: Rebuild client balances from the credit ledger
+ *     description: Compares each client's cached availableBalance with the sum of its ledger entries and resets drifted balances to the ledger total. Safe to run on a schedule.
+ *     tags: [Superadmin]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               clientId:
+ *                 type: string
+ *                 description: Limit reconciliation to one client
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Report drift without changing balances
+ *     responses:
+ *       200:
+ *         description: Reconciliation summary
+ */
+router.post('/ledger/reconcile', async (req, res) => {
+  try {
+    const { clientId = null, dryRun = false } = req.body || {};
+    const result = await reconcileLedgerBalances({ clientId, dryRun: dryRun === true || dryRun === 'true' });
+    if (!result.success) {
+      return res.status(500).json({ success: false, message: 'Ledger reconciliation failed', error: result.error });
+    }
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    console.error('Error reconciling ledger:', error);
+    res.status(500).json({ success: false, message: 'Ledger reconciliation failed', error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /superadmin/billing/{clientId}:
@@ -532,6 +738,250 @@ router.post('/single-call', async (req, res) => {
   }
 });
 
+// ==================== CALLER-ID POOLS ====================
+
+/**
+ * @swagger
+ * /superadmin/clients/{clientId}/caller-id-pool:
+ *   get:
+ *     summary: Inspect a client's caller-ID pool
+ *     description: Pool config (set via PUT /superadmin/clients/{clientId} callerIdPool) and per-number calls today, answer rate in the current health window and bench state.
+ *     tags: [Superadmin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pool numbers with usage and health (enabled false when the client has no pool)
+ */
+router.get('/clients/:clientId/caller-id-pool', async (req, res) => {
+  try {
+    const result = await getCallerIdPoolStatus(req.params.clientId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching caller-ID pool:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch caller-ID pool', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /superadmin/clients/{clientId}/caller-id-pool/unbench:
+ *   post:
+ *     summary: Return a benched caller ID to rotation
+ *     description: Clears the bench and starts a fresh answer-rate window for the number.
+ *     tags: [Superadmin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [number]
+ *             properties:
+ *               number:
+ *                 type: string
+ *                 example: "+918035735659"
+ *     responses:
+ *       200:
+ *         description: Number returned to rotation
+ *       400:
+ *         description: Invalid number
+ *       404:
+ *         description: Number is not in the client's pool
+ */
+router.post('/clients/:clientId/caller-id-pool/unbench', async (req, res) => {
+  try {
+    if (!req.body.number) {
+      return res.status(400).json({ success: false, message: 'number is required' });
+    }
+    const result = await unbenchCallerId(req.params.clientId, req.body.number);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error unbenching caller ID:', error);
+    res.status(500).json({ success: false, message: 'Failed to unbench caller ID', error: error.message });
+  }
+});
+
+// ==================== PROVIDER FAILOVER ====================
+
+/**
+ * @swagger
+ * /superadmin/providers/circuit-breakers:
+ *   get:
+ *     summary: Provider circuit breaker state
+ *     description: Per provider account (plivo:system, twilio:client:<clientId>, ...) calls and failover-class failures in the current window, and whether the breaker is closed, open or half_open (cooldown over, a single trial call decides).
+ *     tags: [Superadmin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [plivo, twilio, exotel, sip]
+ *     responses:
+ *       200:
+ *         description: Breaker settings and state per provider account
+ */
+router.get('/providers/circuit-breakers', async (req, res) => {
+  try {
+    const result = await getCircuitBreakerStatus({ provider: req.query.provider });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching circuit breakers:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch circuit breakers', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /superadmin/providers/circuit-breakers/{key}/reset:
+ *   post:
+ *     summary: Close a provider circuit breaker
+ *     description: Sends traffic back to the provider account right away, e.g. after its credentials were fixed.
+ *     tags: [Superadmin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "plivo:system"
+ *     responses:
+ *       200:
+ *         description: Breaker closed
+ *       404:
+ *         description: Unknown breaker
+ */
+router.post('/providers/circuit-breakers/:key/reset', async (req, res) => {
+  try {
+    const result = await resetCircuitBreaker(req.params.key);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error resetting circuit breaker:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset circuit breaker', error: error.message });
+  }
+});
+
+// ==================== BACKGROUND JOBS ====================
+
+/**
+ * @swagger
+ * /superadmin/jobs:
+ *   get:
+ *     summary: List background jobs
+ *     description: Every leased background job with its schedule, lease owner, consecutive failed attempts and last error. Jobs with status "dead" failed maxAttempts times in a row and stay stopped until re-run.
+ *     tags: [Superadmin]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Jobs with their current state
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const result = await listJobs();
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ success: false, message: 'Failed to list jobs', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /superadmin/jobs/{name}:
+ *   get:
+ *     summary: Inspect a background job
+ *     description: Current state, last result and recent runs (trigger, container, attempt, duration, result or error).
+ *     tags: [Superadmin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: scheduled-campaigns
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, succeeded, failed, dead_lettered, abandoned]
+ *     responses:
+ *       200:
+ *         description: Job state and run history
+ *       404:
+ *         description: Unknown job
+ */
+router.get('/jobs/:name', async (req, res) => {
+  try {
+    const result = await getJob(req.params.name, { limit: req.query.limit, status: req.query.status || null });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch job', error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /superadmin/jobs/{name}/run:
+ *   post:
+ *     summary: Re-run a background job now
+ *     description: Runs the job on this container and waits for it to finish. Works for dead-lettered jobs too - a successful run puts the job back on its schedule.
+ *     tags: [Superadmin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Run succeeded - returns runId and result
+ *       404:
+ *         description: Unknown job
+ *       409:
+ *         description: The job is running right now
+ *       500:
+ *         description: Run failed - returns runId and error
+ */
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    const result = await runJobNow(req.params.name, { trigger: 'admin' });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error running job:', error);
+    res.status(500).json({ success: false, message: 'Failed to run job', error: error.message });
+  }
+});
+
 // ==================== DASHBOARD STATS ====================
 
 /**
@@ -0,0 +1,435 @@
+/**
+ * Supervisor Router
+ * Live monitoring of calls: listen to, whisper into or barge into a call from a supervisor's
+ * phone or SIP leg, plus the provider callbacks for those legs. Every session is audited.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  authenticateJWTOrSuperKey,
+  requirePermission,
+  auditLog
+} = require('../middleware/authMiddleware');
+const { createSignedUrlVerifier } = require('../middleware/webhookSignatureMiddleware');
+const {
+  getSupervisorSettings,
+  updateSupervisorSettings,
+  getMonitorableCalls,
+  startSupervisorSession,
+  endSupervisorSession,
+  listSupervisorSessions,
+  getSupervisorJoinXml,
+  handleSupervisorLegStatus
+} = require('../services/supervisorMonitoringService');
+
+const verifyPlivoSupervisorCallback = createSignedUrlVerifier('plivo', req => req.query.callUUID);
+const verifyTwilioSupervisorCallback = createSignedUrlVerifier('twilio', req => req.query.callUUID);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Supervisor Monitoring
+ *   description: Listen, whisper and barge into live calls from a supervisor's phone or SIP endpoint
+ */
+
+const sendServerError = (res, error) => {
+  res.status(500).json({
+    success: false,
+    status: 500,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+// Super key callers may act on any client (or scope themselves with client_id); JWT callers only on their own
+const resolveClientScope = (req) => (req.superKeyAuth ? (req.query.client_id || req.body?.client_id || null) : req.user.clientId);
+
+const supervisorOf = (req) => (req.superKeyAuth ? 'superadmin' : req.user.email);
+
+const hangupXml = `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Hangup />
+</Response>`;
+
+// =============================================================================
+// PROVIDER CALLBACKS
+// =============================================================================
+
+/**
+ * @swagger
+ * /supervisor/plivo/join-xml:
+ *   post:
+ *     tags: [Supervisor Monitoring]
+ *     summary: Plivo XML for an answered supervisor leg
+ *     description: answer_url of the supervisor's leg. Moves the caller into the call's MultiPartyCall if needed and joins it as a supervisor - muted for listen, in coach mode for whisper. Listen sessions on calls still with the AI agent get a Stream to the supervisor media relay instead. Hangs up if the session is closed or the call can't be bridged.
+ *     parameters:
+ *       - in: query
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Callback signature added by buildSignedCallbackUrl
+ *     responses:
+ *       200:
+ *         description: Plivo XML
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ */
+router.post('/plivo/join-xml', verifyPlivoSupervisorCallback, async (req, res) => {
+  try {
+    const xml = await getSupervisorJoinXml(req.query.sessionId, req.body?.CallUUID, req.query.clientId);
+    if (!xml) {
+      console.warn(`⚠️ Supervisor session ${req.query.sessionId} is closed or unknown - hanging up`);
+      return res.type('application/xml').send(hangupXml);
+    }
+    res.type('application/xml').send(xml);
+  } catch (error) {
+    console.error('❌ Error in supervisor join-xml:', error);
+    res.status(500).send('Error generating supervisor XML');
+  }
+});
+
+/**
+ * @swagger
+ * /supervisor/plivo/leg-status:
+ *   post:
+ *     tags: [Supervisor Monitoring]
+ *     summary: Plivo hangup callback for a supervisor leg
+ *     parameters:
+ *       - in: query
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Acknowledged
+ */
+router.post('/plivo/leg-status', verifyPlivoSupervisorCallback, async (req, res) => {
+  try {
+    await handleSupervisorLegStatus(req.query.sessionId, req.body?.CallStatus, req.query.clientId);
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('❌ Error in supervisor leg-status (plivo):', error);
+    res.status(500).send('Error processing supervisor leg status');
+  }
+});
+
+/**
+ * @swagger
+ * /supervisor/twilio/leg-status:
+ *   post:
+ *     tags: [Supervisor Monitoring]
+ *     summary: Twilio status callback for a supervisor conference participant
+ *     parameters:
+ *       - in: query
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Acknowledged
+ */
+router.post('/twilio/leg-status', verifyTwilioSupervisorCallback, async (req, res) => {
+  try {
+    await handleSupervisorLegStatus(req.query.sessionId, req.body?.CallStatus, req.query.clientId);
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('❌ Error in supervisor leg-status (twilio):', error);
+    res.status(500).send('Error processing supervisor leg status');
+  }
+});
+
+// =============================================================================
+// MONITORING
+// =============================================================================
+
+/**
+ * @swagger
+ * /supervisor/calls:
+ *   get:
+ *     tags: [Supervisor Monitoring]
+ *     summary: Live calls that can be monitored
+ *     description: Active calls (as in /plivo/monitoring/active-calls) with the supervisor modes each one supports right now and its open supervisor sessions. Calls still with the AI agent can be listened to or barged into; whisper needs a human agent on the call.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: client_id
+ *         schema:
+ *           type: string
+ *         description: Superadmin only - restrict to one client
+ *     responses:
+ *       200:
+ *         description: Monitorable calls
+ */
+router.get('/calls', authenticateJWTOrSuperKey, requirePermission('calls:control'), auditLog, async (req, res) => {
+  try {
+    const result = await getMonitorableCalls({
+      clientId: resolveClientScope(req),
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching monitorable calls:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /supervisor/settings:
+ *   get:
+ *     tags: [Supervisor Monitoring]
+ *     summary: Supervisor monitoring settings
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ enabled, numbers, modes }"
+ *   put:
+ *     tags: [Supervisor Monitoring]
+ *     summary: Replace supervisor monitoring settings
+ *     description: Only the listed numbers / SIP URIs can be dialed into calls, and only in the listed modes.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               numbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["+919876543210", "sip:supervisor@pbx.example.com"]
+ *               modes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [listen, whisper, barge]
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Invalid numbers or modes
+ */
+router.get('/settings', authenticateJWTOrSuperKey, async (req, res) => {
+  try {
+    const clientId = resolveClientScope(req);
+    if (!clientId) {
+      return res.status(400).json({ success: false, status: 400, message: 'client_id is required' });
+    }
+    const result = await getSupervisorSettings(clientId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching supervisor settings:', error);
+    sendServerError(res, error);
+  }
+});
+
+router.put('/settings', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientScope(req);
+    if (!clientId) {
+      return res.status(400).json({ success: false, status: 400, message: 'client_id is required' });
+    }
+    const { client_id, ...settings } = req.body || {};
+    const result = await updateSupervisorSettings(clientId, settings);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error updating supervisor settings:', error);
+    sendServerError(res, error);
+  }
+});
+
+// =============================================================================
+// SESSIONS
+// =============================================================================
+
+/**
+ * @swagger
+ * /supervisor/calls/{callUUID}/sessions:
+ *   post:
+ *     tags: [Supervisor Monitoring]
+ *     summary: Dial a supervisor into a live call
+ *     description: |
+ *       Calls the supervisor's number or SIP URI and joins it to the call's bridge:
+ *       - listen: muted, hears the caller and the human agent; on a call still with the AI agent it hears the caller and the bot through a fork of the call's media stream, and the bot stays on the call
+ *       - whisper: heard by the human agent only
+ *       - barge: heard by everyone; on a call still with the AI agent this moves the caller into the bridge and the bot drops
+ *
+ *       The caller is moved into the bridge only after the supervisor answers - an unanswered barge leaves the call with the AI agent.
+ *
+ *       Plivo and Twilio calls only. Client users need supervisor monitoring enabled, a registered number and an allowed mode.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callUUID
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [supervisorNumber]
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [listen, whisper, barge]
+ *                 default: listen
+ *               supervisorNumber:
+ *                 type: string
+ *                 example: "+919876543210"
+ *               client_id:
+ *                 type: string
+ *                 description: Superadmin only - the client that owns the call
+ *     responses:
+ *       201:
+ *         description: Supervisor being dialed - the session record
+ *       400:
+ *         description: Invalid mode or number, or provider without conference support
+ *       403:
+ *         description: Monitoring not enabled, number not registered or mode not allowed
+ *       404:
+ *         description: Call not found (or owned by another client)
+ *       409:
+ *         description: Call not connected, or the mode is not available on it yet
+ *       502:
+ *         description: Provider rejected the supervisor leg
+ */
+router.post('/calls/:callUUID/sessions', authenticateJWTOrSuperKey, requirePermission('calls:control'), auditLog, async (req, res) => {
+  try {
+    const result = await startSupervisorSession({
+      callUUID: req.params.callUUID,
+      mode: req.body?.mode,
+      supervisorNumber: req.body?.supervisorNumber,
+      clientId: resolveClientScope(req),
+      supervisor: supervisorOf(req)
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error starting supervisor session:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /supervisor/sessions:
+ *   get:
+ *     tags: [Supervisor Monitoring]
+ *     summary: Supervisor session audit log
+ *     description: Who monitored which call, in which mode, from which number, and when the leg was answered and ended.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: callUUID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: supervisor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [listen, whisper, barge]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated - dialing, active, ended, failed
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Sessions, newest first
+ */
+router.get('/sessions', authenticateJWTOrSuperKey, requirePermission('calls:control'), async (req, res) => {
+  try {
+    const result = await listSupervisorSessions(resolveClientScope(req), req.query);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error listing supervisor sessions:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /supervisor/sessions/{sessionId}/end:
+ *   post:
+ *     tags: [Supervisor Monitoring]
+ *     summary: Hang up a supervisor's leg
+ *     description: Only the supervisor leaves - the call continues.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session ended
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: Session already ended
+ */
+router.post('/sessions/:sessionId/end', authenticateJWTOrSuperKey, requirePermission('calls:control'), auditLog, async (req, res) => {
+  try {
+    const result = await endSupervisorSession(req.params.sessionId, resolveClientScope(req), supervisorOf(req));
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error ending supervisor session:', error);
+    sendServerError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,341 @@
+/**
+ * Team Router
+ * Team members of a client account: invitations, roles and access. The client account login is the
+ * owner; invited members log in through /interlogue/get-client with their own email and password.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const {
+  antiAutomationDelay,
+  authenticateToken,
+  authenticateJWTOrSuperKey,
+  requirePermission,
+  auditLog
+} = require('../middleware/authMiddleware');
+const {
+  listMembers,
+  inviteMember,
+  resendInvitation,
+  acceptInvitation,
+  updateMember,
+  removeMember,
+  getRolePermissions
+} = require('../services/teamService');
+const { ROLE_PERMISSIONS, MEMBER_STATUSES } = require('../apps/helper/teamRoles');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Team
+ *   description: Team members, invitations and role-based access per client
+ */
+
+const sendServerError = (res, error) => {
+  res.status(500).json({
+    success: false,
+    status: 500,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+// Super key callers may act on any client (or scope themselves with client_id); JWT callers only on their own
+const resolveClientScope = (req) => (req.superKeyAuth ? (req.query.client_id || req.body?.client_id || null) : req.user.clientId);
+
+// Super key callers manage teams with owner rights
+const actorOf = (req) => (req.superKeyAuth
+  ? { role: 'owner', email: 'superadmin', memberId: null }
+  : { role: req.user.role, email: req.user.email, memberId: req.user.memberId });
+
+const requireClientScope = (req, res, next) => {
+  if (!resolveClientScope(req)) {
+    return res.status(400).json({ success: false, status: 400, message: 'client_id is required' });
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /team/me:
+ *   get:
+ *     tags: [Team]
+ *     summary: The logged-in user, their role and permissions
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ clientId, memberId, email, name, role, permissions }"
+ */
+router.get('/me', authenticateToken, (req, res) => {
+  const { clientId, memberId, email, name, company, role } = req.user;
+  res.status(200).json({
+    success: true,
+    status: 200,
+    data: { clientId, memberId, email, name, company, role, permissions: getRolePermissions(role) }
+  });
+});
+
+/**
+ * @swagger
+ * /team/roles:
+ *   get:
+ *     tags: [Team]
+ *     summary: Roles and the permissions each grants
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ owner: [...], admin: [...], campaign_manager: [...], analyst: [...], billing_only: [...], read_only: [...] }"
+ */
+router.get('/roles', authenticateJWTOrSuperKey, (req, res) => {
+  res.status(200).json({ success: true, status: 200, data: ROLE_PERMISSIONS });
+});
+
+/**
+ * @swagger
+ * /team/members:
+ *   get:
+ *     tags: [Team]
+ *     summary: Team members of the client (including pending invitations)
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [invited, active, disabled]
+ *       - in: query
+ *         name: client_id
+ *         schema:
+ *           type: string
+ *         description: Required with Super Key
+ *     responses:
+ *       200:
+ *         description: Members, oldest first
+ *       403:
+ *         description: Role lacks team:manage
+ */
+router.get('/members', authenticateJWTOrSuperKey, requirePermission('team:manage'), requireClientScope, async (req, res) => {
+  try {
+    const status = MEMBER_STATUSES.includes(req.query.status) ? req.query.status : undefined;
+    const result = await listMembers(resolveClientScope(req), { status });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error listing team members:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /team/invitations:
+ *   post:
+ *     tags: [Team]
+ *     summary: Invite a team member
+ *     description: |
+ *       Creates a pending member and returns a one-time invite link (valid TEAM_INVITE_TTL_HOURS, default 72)
+ *       to share with them. Admins can invite any role below admin; only the owner can invite admins.
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, role]
+ *             properties:
+ *               client_id:
+ *                 type: string
+ *                 description: Required with Super Key
+ *               email:
+ *                 type: string
+ *                 example: "priya@agency.com"
+ *               name:
+ *                 type: string
+ *                 example: "Priya"
+ *               role:
+ *                 type: string
+ *                 enum: [admin, campaign_manager, analyst, billing_only, read_only]
+ *     responses:
+ *       201:
+ *         description: "{ member, inviteUrl, expiresAt }"
+ *       400:
+ *         description: Invalid invitation
+ *       403:
+ *         description: Role cannot invite this role
+ *       409:
+ *         description: Email already a member or has its own account
+ */
+router.post('/invitations', authenticateJWTOrSuperKey, requirePermission('team:manage'), requireClientScope, auditLog, async (req, res) => {
+  try {
+    const { client_id, ...invitation } = req.body || {};
+    const result = await inviteMember(resolveClientScope(req), invitation, actorOf(req));
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error inviting team member:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /team/invitations/accept:
+ *   post:
+ *     tags: [Team]
+ *     summary: Accept an invitation
+ *     description: Sets the member's password and activates them. The token from the invite link is the authorization.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: 8-128 characters, letters and numbers
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Accepted - log in with /interlogue/get-client
+ *       400:
+ *         description: Invalid token or password
+ *       410:
+ *         description: Invitation invalid, used or expired
+ */
+router.post('/invitations/accept', antiAutomationDelay, async (req, res) => {
+  try {
+    const result = await acceptInvitation(req.body || {});
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /team/members/{memberId}/resend-invite:
+ *   post:
+ *     tags: [Team]
+ *     summary: New invite link for a pending member
+ *     description: The previous link stops working.
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ inviteUrl, expiresAt }"
+ *       404:
+ *         description: Member not found
+ *       409:
+ *         description: Invitation already accepted
+ */
+router.post('/members/:memberId/resend-invite', authenticateJWTOrSuperKey, requirePermission('team:manage'), requireClientScope, auditLog, async (req, res) => {
+  try {
+    const result = await resendInvitation(resolveClientScope(req), req.params.memberId, actorOf(req));
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error resending invitation:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /team/members/{memberId}:
+ *   put:
+ *     tags: [Team]
+ *     summary: Change a member's role or disable/enable them
+ *     description: Takes effect on the member's next request. Members cannot change themselves.
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               client_id:
+ *                 type: string
+ *                 description: Required with Super Key
+ *               role:
+ *                 type: string
+ *                 enum: [admin, campaign_manager, analyst, billing_only, read_only]
+ *               status:
+ *                 type: string
+ *                 enum: [active, disabled]
+ *     responses:
+ *       200:
+ *         description: Member updated
+ *       403:
+ *         description: Role cannot make this change
+ *       404:
+ *         description: Member not found
+ *   delete:
+ *     tags: [Team]
+ *     summary: Remove a member or revoke a pending invitation
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed
+ *       403:
+ *         description: Role cannot remove this member
+ *       404:
+ *         description: Member not found
+ */
+router.put('/members/:memberId', authenticateJWTOrSuperKey, requirePermission('team:manage'), requireClientScope, auditLog, async (req, res) => {
+  try {
+    const { client_id, ...changes } = req.body || {};
+    const result = await updateMember(resolveClientScope(req), req.params.memberId, changes, actorOf(req));
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error updating team member:', error);
+    sendServerError(res, error);
+  }
+});
+
+router.delete('/members/:memberId', authenticateJWTOrSuperKey, requirePermission('team:manage'), requireClientScope, auditLog, async (req, res) => {
+  try {
+    const result = await removeMember(resolveClientScope(req), req.params.memberId, actorOf(req));
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error removing team member:', error);
+    sendServerError(res, error);
+  }
+});
+
+module.exports = router;
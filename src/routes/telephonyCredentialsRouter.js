@@ -10,6 +10,7 @@ const ProviderValidationService = require('../services/providerValidationService
 const { 
   authenticateToken, 
   validateResourceOwnership, 
+  requirePermission, 
   auditLog 
 } = require('../middleware/authMiddleware');
 
@@ -47,7 +48,7 @@ const {
  *                 example: "507f1f77bcf86cd799439011"
  *               provider:
  *                 type: string
- *                 enum: [plivo, twilio, wati, email]
+ *                 enum: [plivo, twilio, exotel, sip, wati, email]
  *                 example: "twilio"
  *               accountSid:
  *                 type: string
@@ -81,7 +82,7 @@ const {
  *       401:
  *         description: Unauthorized
  */
-router.post('/add', authenticateToken, auditLog, async (req, res) => {
+router.post('/add', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { clientId, provider } = req.body;
     
@@ -256,7 +257,7 @@ router.get('/:clientId', authenticateToken, auditLog, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *           enum: [plivo, twilio]
+ *           enum: [plivo, twilio, exotel, sip]
  *         description: Provider name
  *     responses:
  *       200:
@@ -275,10 +276,10 @@ router.get('/:clientId/:provider', authenticateToken, auditLog, async (req, res)
       });
     }
     
-    if (!['plivo', 'twilio'].includes(provider)) {
+    if (!['plivo', 'twilio', 'exotel', 'sip'].includes(provider)) {
       return res.status(400).json({
         success: false,
-        error: 'Provider must be plivo or twilio'
+        error: 'Provider must be plivo, twilio, exotel or sip'
       });
     }
     
@@ -326,7 +327,7 @@ router.get('/:clientId/:provider', authenticateToken, auditLog, async (req, res)
  *         required: true
  *         schema:
  *           type: string
- *           enum: [plivo, twilio]
+ *           enum: [plivo, twilio, exotel, sip]
  *     requestBody:
  *       required: true
  *       content:
@@ -352,7 +353,7 @@ router.get('/:clientId/:provider', authenticateToken, auditLog, async (req, res)
  *       404:
  *         description: Credentials not found
  */
-router.put('/:clientId/:provider', authenticateToken, auditLog, async (req, res) => {
+router.put('/:clientId/:provider', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { clientId, provider } = req.params;
     const updates = req.body;
@@ -506,14 +507,14 @@ router.put('/:clientId/:provider', authenticateToken, auditLog, async (req, res)
  *         required: true
  *         schema:
  *           type: string
- *           enum: [plivo, twilio]
+ *           enum: [plivo, twilio, exotel, sip]
  *     responses:
  *       200:
  *         description: Credentials deleted successfully
  *       404:
  *         description: Credentials not found
  */
-router.delete('/:clientId/:provider', authenticateToken, auditLog, async (req, res) => {
+router.delete('/:clientId/:provider', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { clientId, provider } = req.params;
     
@@ -640,7 +641,7 @@ router.post('/test-setup', async (req, res) => {
  *             properties:
  *               provider:
  *                 type: string
- *                 enum: [plivo, twilio]
+ *                 enum: [plivo, twilio, exotel, sip]
  *               accountSid:
  *                 type: string
  *               authToken:
@@ -701,7 +702,7 @@ router.post('/validate', async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *           enum: [plivo, twilio, wati]
+ *           enum: [plivo, twilio, exotel, sip, wati]
  *         description: Provider name
  *         example: "twilio"
  *     responses:
@@ -750,7 +751,7 @@ router.get('/:clientId/:provider/phone-numbers', authenticateToken, auditLog, as
     }
     
     // Check if provider supports phone number listing
-    const supportedProviders = ['twilio', 'plivo'];
+    const supportedProviders = ['twilio', 'plivo', 'exotel', 'sip'];
     if (!supportedProviders.includes(provider.toLowerCase())) {
       return res.status(400).json({
         success: false,
@@ -970,6 +971,20 @@ router.get('/available-providers', (req, res) => {
         capabilities: ['voice', 'sms'],
         description: 'Fetches phone numbers and regions'
       },
+      {
+        name: 'exotel',
+        displayName: 'Exotel Voice',
+        supportsPhoneNumbers: true,
+        capabilities: ['voice'],
+        description: 'Fetches ExoPhones and regions'
+      },
+      {
+        name: 'sip',
+        displayName: 'SIP Trunk (Asterisk ARI)',
+        supportsPhoneNumbers: true,
+        capabilities: ['voice'],
+        description: 'Checks the ARI interface and lists the trunk DIDs configured on the credentials'
+      },
       {
         name: 'wati',
         displayName: 'WATI WhatsApp Business',
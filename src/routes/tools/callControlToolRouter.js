@@ -0,0 +1,522 @@
+const express = require('express');
+const router = express.Router();
+
+// Import authentication middleware
+const {
+  authenticateSuperKey,
+  authenticateJWTOrSuperKey,
+  requirePermission,
+  auditLog
+} = require('../../middleware/authMiddleware');
+
+// Import Call Control tool service functions
+const {
+  getCallControlTools,
+  createCallControlTool,
+  getCallControlToolById,
+  updateCallControlTool,
+  deleteCallControlTool,
+  getAgentCallControlTools,
+  assignCallControlToolToAgent,
+  removeCallControlToolFromAgent,
+  toggleCallControlToolForAgent,
+  getCallControlConfigForBot
+} = require('../../services/tools/callControlToolService');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Call Control Tools
+ *   description: Call control tools the bot can use on its own live calls (hang up, DTMF, play, speak, hold, transfer)
+ */
+
+const sendServerError = (res, error) => {
+  res.status(500).json({
+    success: false,
+    status: 500,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+// Super key callers name the client explicitly; JWT callers are scoped to their own client
+const resolveClientId = (req, res) => {
+  const clientId = req.superKeyAuth ? (req.query.client_id || req.body?.client_id) : req.user.clientId;
+  if (!clientId) {
+    res.status(400).json({ success: false, status: 400, message: 'Client ID is required' });
+    return null;
+  }
+  return clientId;
+};
+
+// =============================================================================
+// CALL CONTROL TOOL MANAGEMENT
+// Tool: { tool_name, description, allowed_actions: [hangup, dtmf, play, speak, hold, unhold, transfer],
+//         transfer_targets: [{ name, number, description, whisper }] }
+// =============================================================================
+
+/**
+ * @swagger
+ * /api/tools/call-control:
+ *   get:
+ *     summary: Get client's call control tools
+ *     tags: [Call Control Tools]
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: enabled
+ *         schema:
+ *           type: boolean
+ *         description: Filter by enabled status
+ *       - in: query
+ *         name: client_id
+ *         schema:
+ *           type: string
+ *         description: Required with Super Key
+ *     responses:
+ *       200:
+ *         description: Call control tools retrieved successfully
+ *   post:
+ *     summary: Create a call control tool
+ *     tags: [Call Control Tools]
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tool_name
+ *               - allowed_actions
+ *             properties:
+ *               client_id:
+ *                 type: string
+ *                 description: Required with Super Key
+ *               tool_name:
+ *                 type: string
+ *                 example: "Support call control"
+ *               description:
+ *                 type: string
+ *               allowed_actions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [hangup, dtmf, play, speak, hold, unhold, transfer]
+ *                 example: ["hangup", "transfer"]
+ *               transfer_targets:
+ *                 type: array
+ *                 description: Required when transfer is allowed - the bot can only transfer to these
+ *                 items:
+ *                   type: object
+ *                   required: [name, number]
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: "Billing desk"
+ *                     number:
+ *                       type: string
+ *                       example: "+919876543210"
+ *                     description:
+ *                       type: string
+ *                       description: When the bot should pick this target
+ *                     whisper:
+ *                       type: string
+ *                       description: Default summary spoken to the person answering
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Call control tool created
+ *       400:
+ *         description: Invalid actions or transfer targets
+ */
+router.get('/', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const filters = {};
+    if (req.query.enabled !== undefined) {
+      filters.enabled = req.query.enabled === 'true';
+    }
+
+    const result = await getCallControlTools(clientId, filters);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching call control tools:', error);
+    sendServerError(res, error);
+  }
+});
+
+router.post('/', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const result = await createCallControlTool({ ...req.body, client_id: clientId });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error creating call control tool:', error);
+    sendServerError(res, error);
+  }
+});
+
+// =============================================================================
+// AGENT ASSIGNMENTS (registered before /:toolId)
+// =============================================================================
+
+/**
+ * @swagger
+ * /api/tools/call-control/agents/{agentId}:
+ *   get:
+ *     summary: Call control tools assigned to an agent
+ *     tags: [Call Control Tools]
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Assistant ID
+ *       - in: query
+ *         name: client_id
+ *         schema:
+ *           type: string
+ *         description: Required with Super Key
+ *     responses:
+ *       200:
+ *         description: Assigned tools retrieved successfully
+ */
+router.get('/agents/:agentId', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const result = await getAgentCallControlTools(req.params.agentId, clientId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching agent call control tools:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tools/call-control/agents/{agentId}/assign:
+ *   post:
+ *     summary: Assign a call control tool to an agent
+ *     tags: [Call Control Tools]
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - call_control_tool_id
+ *             properties:
+ *               call_control_tool_id:
+ *                 type: string
+ *                 description: Tool ID (toolId and tool_id are accepted too)
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               client_id:
+ *                 type: string
+ *                 description: Required with Super Key
+ *     responses:
+ *       200:
+ *         description: Tool assigned to agent
+ *       404:
+ *         description: Tool or assistant not found, or does not belong to the client
+ */
+router.post('/agents/:agentId/assign', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const result = await assignCallControlToolToAgent(req.params.agentId, clientId, req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error assigning call control tool to agent:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tools/call-control/agents/{agentId}/remove:
+ *   delete:
+ *     summary: Remove a call control tool from an agent
+ *     tags: [Call Control Tools]
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tool_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: client_id
+ *         schema:
+ *           type: string
+ *         description: Required with Super Key
+ *     responses:
+ *       200:
+ *         description: Tool removed from agent
+ *       400:
+ *         description: tool_id missing
+ */
+router.delete('/agents/:agentId/remove', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const tool_id = req.query.tool_id || req.body?.tool_id;
+
+    if (!tool_id) {
+      return res.status(400).json({
+        success: false,
+        status: 400,
+        message: 'tool_id parameter is required (in query or body)'
+      });
+    }
+
+    const result = await removeCallControlToolFromAgent(req.params.agentId, clientId, tool_id);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error removing call control tool from agent:', error);
+    sendServerError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tools/call-control/agents/{agentId}/toggle:
+ *   put:
+ *     summary: Enable or disable a call control tool for an agent
+ *     tags: [Call Control Tools]
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tool_id
+ *               - enabled
+ *             properties:
+ *               tool_id:
+ *                 type: string
+ *               enabled:
+ *                 type: boolean
+ *               client_id:
+ *                 type: string
+ *                 description: Required with Super Key
+ *     responses:
+ *       200:
+ *         description: Tool toggled for agent
+ *       400:
+ *         description: tool_id or enabled missing
+ */
+router.put('/agents/:agentId/toggle', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const { tool_id, enabled } = req.body;
+
+    if (!tool_id || enabled === undefined) {
+      return res.status(400).json({
+        success: false,
+        status: 400,
+        message: 'tool_id and enabled parameters are required'
+      });
+    }
+
+    const result = await toggleCallControlToolForAgent(req.params.agentId, clientId, tool_id, enabled);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error toggling call control tool for agent:', error);
+    sendServerError(res, error);
+  }
+});
+
+// =============================================================================
+// BOT INTEGRATION
+// =============================================================================
+
+/**
+ * @swagger
+ * /api/tools/call-control/bot/{agentId}:
+ *   get:
+ *     summary: Call control configuration for the bot (call-control MCP server)
+ *     description: Enabled tools of the agent with their allowed actions and transfer targets. Super Key only.
+ *     tags: [Call Control Tools]
+ *     security:
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: agentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ call_control_tools: [{ call_control_tool_id, tool_name, allowed_actions, transfer_targets }] }"
+ */
+router.get('/bot/:agentId', authenticateSuperKey, auditLog, async (req, res) => {
+  try {
+    const result = await getCallControlConfigForBot(req.params.agentId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching call control config for bot:', error);
+    sendServerError(res, error);
+  }
+});
+
+// =============================================================================
+// SINGLE TOOL
+// =============================================================================
+
+/**
+ * @swagger
+ * /api/tools/call-control/{toolId}:
+ *   get:
+ *     summary: Get a call control tool
+ *     tags: [Call Control Tools]
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: toolId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Call control tool retrieved successfully
+ *       404:
+ *         description: Tool not found
+ *   put:
+ *     summary: Update a call control tool
+ *     description: Partial update of tool_name, description, allowed_actions, transfer_targets and enabled.
+ *     tags: [Call Control Tools]
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: toolId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Call control tool updated
+ *       400:
+ *         description: Invalid actions or transfer targets
+ *       404:
+ *         description: Tool not found
+ *   delete:
+ *     summary: Delete a call control tool
+ *     description: Refused while the tool is still assigned to agents.
+ *     tags: [Call Control Tools]
+ *     security:
+ *       - BearerAuth: []
+ *       - SuperKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: toolId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Call control tool deleted
+ *       400:
+ *         description: Tool is still assigned to agents
+ *       404:
+ *         description: Tool not found
+ */
+router.get('/:toolId', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const result = await getCallControlToolById(req.params.toolId, clientId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching call control tool:', error);
+    sendServerError(res, error);
+  }
+});
+
+router.put('/:toolId', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const result = await updateCallControlTool(req.params.toolId, clientId, req.body);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error updating call control tool:', error);
+    sendServerError(res, error);
+  }
+});
+
+router.delete('/:toolId', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const result = await deleteCallControlTool(req.params.toolId, clientId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error deleting call control tool:', error);
+    sendServerError(res, error);
+  }
+});
+
+module.exports = router;
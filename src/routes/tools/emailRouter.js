@@ -15,6 +15,7 @@ const upload = multer({
 const {
   authenticateSuperKey,
   authenticateJWTOrSuperKey,
+  requirePermission,
   auditLog
 } = require('../../middleware/authMiddleware');
 
@@ -85,7 +86,7 @@ const {
  *       200:
  *         description: Email tools retrieved successfully
  */
-router.get('/', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
 
@@ -177,7 +178,7 @@ router.get('/', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
  *       400:
  *         description: Validation error or tool name exists
  */
-router.post('/', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.post('/', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.superKeyAuth ? req.body.client_id : req.user.clientId;
 
@@ -209,7 +210,7 @@ router.post('/', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
  *   get:
  *     summary: Get email template types
  */
-router.get('/templates/types', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/templates/types', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const templateTypes = getEmailTemplateTypes();
     res.json({
@@ -236,7 +237,7 @@ router.get('/templates/types', authenticateJWTOrSuperKey, auditLog, async (req,
  *   get:
  *     summary: Get email templates
  */
-router.get('/templates', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/templates', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
 
@@ -288,7 +289,7 @@ router.get('/templates', authenticateJWTOrSuperKey, auditLog, async (req, res) =
  *       404:
  *         description: Tool not found
  */
-router.get('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/:toolId', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { toolId } = req.params;
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
@@ -328,7 +329,7 @@ router.get('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) =>
  *       404:
  *         description: Tool not found
  */
-router.put('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.put('/:toolId', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { toolId } = req.params;
     const clientId = req.superKeyAuth ? req.body.client_id : req.user.clientId;
@@ -370,7 +371,7 @@ router.put('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) =>
  *       404:
  *         description: Tool not found
  */
-router.delete('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.delete('/:toolId', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { toolId } = req.params;
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
@@ -405,7 +406,7 @@ router.delete('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res)
  *       200:
  *         description: Email template types retrieved successfully
  */
-router.get('/templates/types', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/templates/types', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const templateTypes = getEmailTemplateTypes();
 
@@ -457,7 +458,7 @@ router.get('/templates/types', authenticateJWTOrSuperKey, auditLog, async (req,
  *       404:
  *         description: Email credentials not found
  */
-router.post('/test-config', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.post('/test-config', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.superKeyAuth ? req.body.client_id : req.user.clientId;
 
@@ -505,7 +506,7 @@ router.post('/test-config', authenticateJWTOrSuperKey, auditLog, async (req, res
  *       200:
  *         description: Email templates retrieved successfully
  */
-router.get('/templates', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/templates', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
 
@@ -581,7 +582,7 @@ router.get('/templates', authenticateJWTOrSuperKey, auditLog, async (req, res) =
  *       400:
  *         description: Validation error or template name exists
  */
-router.post('/templates', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.post('/templates', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.superKeyAuth ? req.body.client_id : req.user.clientId;
 
@@ -620,7 +621,7 @@ router.post('/templates', authenticateJWTOrSuperKey, auditLog, async (req, res)
  *       404:
  *         description: Template not found
  */
-router.get('/templates/:templateId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/templates/:templateId', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { templateId } = req.params;
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
@@ -660,7 +661,7 @@ router.get('/templates/:templateId', authenticateJWTOrSuperKey, auditLog, async
  *       404:
  *         description: Template not found
  */
-router.put('/templates/:templateId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.put('/templates/:templateId', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { templateId } = req.params;
     const clientId = req.superKeyAuth ? req.body.client_id : req.user.clientId;
@@ -702,7 +703,7 @@ router.put('/templates/:templateId', authenticateJWTOrSuperKey, auditLog, async
  *       404:
  *         description: Template not found
  */
-router.delete('/templates/:templateId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.delete('/templates/:templateId', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { templateId } = req.params;
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
@@ -755,7 +756,7 @@ router.delete('/templates/:templateId', authenticateJWTOrSuperKey, auditLog, asy
  *       404:
  *         description: Template not found
  */
-router.post('/templates/:templateId/attachments', authenticateJWTOrSuperKey, auditLog, upload.single('attachment'), async (req, res) => {
+router.post('/templates/:templateId/attachments', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, upload.single('attachment'), async (req, res) => {
   try {
     const { templateId } = req.params;
     const clientId = req.superKeyAuth ? req.body.client_id : req.user.clientId;
@@ -809,7 +810,7 @@ router.post('/templates/:templateId/attachments', authenticateJWTOrSuperKey, aud
  *       404:
  *         description: Template or attachment not found
  */
-router.delete('/templates/:templateId/attachments/:attachmentId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.delete('/templates/:templateId/attachments/:attachmentId', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { templateId, attachmentId } = req.params;
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
@@ -851,7 +852,7 @@ router.delete('/templates/:templateId/attachments/:attachmentId', authenticateJW
  *       200:
  *         description: Agent email tools retrieved successfully
  */
-router.get('/agents/:agentId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/agents/:agentId', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { agentId } = req.params;
     const result = await getAgentEmailTools(agentId);
@@ -912,7 +913,7 @@ router.get('/agents/:agentId', authenticateJWTOrSuperKey, auditLog, async (req,
  *       404:
  *         description: Tool not found
  */
-router.post('/agents/:agentId/assign', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.post('/agents/:agentId/assign', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { agentId } = req.params;
     const clientId = req.superKeyAuth ? req.body.client_id : req.user.clientId;
@@ -958,7 +959,7 @@ router.post('/agents/:agentId/assign', authenticateJWTOrSuperKey, auditLog, asyn
  *       404:
  *         description: Assignment not found
  */
-router.delete('/agents/:agentId/remove', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.delete('/agents/:agentId/remove', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { agentId } = req.params;
     // Support tool_id from both query parameters and request body for flexibility
@@ -1023,7 +1024,7 @@ router.delete('/agents/:agentId/remove', authenticateJWTOrSuperKey, auditLog, as
  *       404:
  *         description: Assignment not found
  */
-router.put('/agents/:agentId/toggle', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.put('/agents/:agentId/toggle', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { agentId } = req.params;
     const { tool_id, enabled } = req.body;
@@ -5,6 +5,7 @@ const router = express.Router();
 const {
   authenticateSuperKey,
   authenticateJWTOrSuperKey,
+  requirePermission,
   auditLog
 } = require('../../middleware/authMiddleware');
 
@@ -57,7 +58,7 @@ const {
  *       200:
  *         description: MCP tools retrieved successfully
  */
-router.get('/', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
 
@@ -134,7 +135,7 @@ router.get('/', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
  *       400:
  *         description: Validation error or tool name exists
  */
-router.post('/', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.post('/', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.superKeyAuth ? req.body.client_id : req.user.clientId;
 
@@ -178,7 +179,7 @@ router.post('/', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
  *       404:
  *         description: Tool not found
  */
-router.get('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/:toolId', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { toolId } = req.params;
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
@@ -218,7 +219,7 @@ router.get('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) =>
  *       404:
  *         description: Tool not found
  */
-router.put('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.put('/:toolId', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { toolId } = req.params;
     const clientId = req.superKeyAuth ? req.body.client_id : req.user.clientId;
@@ -260,7 +261,7 @@ router.put('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) =>
  *       404:
  *         description: Tool not found
  */
-router.delete('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.delete('/:toolId', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { toolId } = req.params;
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
@@ -302,7 +303,7 @@ router.delete('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res)
  *       200:
  *         description: Agent MCP tools retrieved successfully
  */
-router.get('/agents/:agentId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/agents/:agentId', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { agentId } = req.params;
     const result = await getAgentMcpTools(agentId);
@@ -363,7 +364,7 @@ router.get('/agents/:agentId', authenticateJWTOrSuperKey, auditLog, async (req,
  *       404:
  *         description: Tool not found
  */
-router.post('/agents/:agentId/assign', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.post('/agents/:agentId/assign', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { agentId } = req.params;
     const clientId = req.superKeyAuth ? req.body.client_id : req.user.clientId;
@@ -409,7 +410,7 @@ router.post('/agents/:agentId/assign', authenticateJWTOrSuperKey, auditLog, asyn
  *       404:
  *         description: Assignment not found
  */
-router.delete('/agents/:agentId/remove', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.delete('/agents/:agentId/remove', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { agentId } = req.params;
     // Support tool_id from both query parameters and request body for flexibility
@@ -474,7 +475,7 @@ router.delete('/agents/:agentId/remove', authenticateJWTOrSuperKey, auditLog, as
  *       404:
  *         description: Assignment not found
  */
-router.put('/agents/:agentId/toggle', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.put('/agents/:agentId/toggle', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { agentId } = req.params;
     const { tool_id, enabled } = req.body;
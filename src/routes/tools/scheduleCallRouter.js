@@ -5,6 +5,7 @@ const router = express.Router();
 const {
   authenticateSuperKey,
   authenticateJWTOrSuperKey,
+  requirePermission,
   auditLog
 } = require('../../middleware/authMiddleware');
 
@@ -20,14 +21,121 @@ const {
   removeScheduleCallToolFromAgent,
   toggleScheduleCallToolForAgent,
   createScheduledCall,
+  listScheduledCalls,
+  getScheduledCall,
+  rescheduleScheduledCall,
+  cancelScheduledCall,
+  cancelScheduledCallsForNumber,
   getScheduleCallConfigForBot
 } = require('../../services/tools/scheduleCallService');
 
+const sendServerError = (res, error) => {
+  res.status(500).json({
+    success: false,
+    status: 500,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+// Super key callers name the client explicitly; JWT callers are scoped to their own client
+const resolveClientId = (req, res) => {
+  const clientId = req.superKeyAuth ? (req.query.client_id || req.body?.client_id) : req.user.clientId;
+  if (!clientId) {
+    res.status(400).json({ success: false, status: 400, message: 'Client ID is required' });
+    return null;
+  }
+  return clientId;
+};
+
+const actorOf = (req) => (req.superKeyAuth ? 'superadmin' : req.user.email);
+
+// =============================================================================
+// SCHEDULED CALLS (client management - registered before /:toolId)
+// =============================================================================
+
+// Filters: status (comma-separated), agentId, callUUID (originating call), number, from/to (executeAt range), limit, skip
+router.get('/calls', authenticateJWTOrSuperKey, requirePermission('campaigns:view'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const result = await listScheduledCalls(clientId, req.query);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error listing scheduled calls:', error);
+    sendServerError(res, error);
+  }
+});
+
+// Cancel every pending call to a number: { number, reason, agentId }
+router.post('/calls/cancel-by-number', authenticateJWTOrSuperKey, requirePermission('campaigns:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const { number, reason, agentId } = req.body;
+    const result = await cancelScheduledCallsForNumber(clientId, number, {
+      reason: reason || null,
+      agentId: agentId || null,
+      cancelledBy: actorOf(req)
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error cancelling scheduled calls for number:', error);
+    sendServerError(res, error);
+  }
+});
+
+router.get('/calls/:callId', authenticateJWTOrSuperKey, requirePermission('campaigns:view'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const result = await getScheduledCall(req.params.callId, clientId);
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error fetching scheduled call:', error);
+    sendServerError(res, error);
+  }
+});
+
+// { scheduleAt: 'tomorrow 5pm' | ISO timestamp, delay: '2h', timezone: 'Asia/Kolkata' }
+router.put('/calls/:callId/reschedule', authenticateJWTOrSuperKey, requirePermission('campaigns:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const { scheduleAt, delay, timezone } = req.body;
+    const result = await rescheduleScheduledCall(req.params.callId, clientId, { scheduleAt, delay, timezone });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error rescheduling scheduled call:', error);
+    sendServerError(res, error);
+  }
+});
+
+router.post('/calls/:callId/cancel', authenticateJWTOrSuperKey, requirePermission('campaigns:manage'), auditLog, async (req, res) => {
+  try {
+    const clientId = resolveClientId(req, res);
+    if (!clientId) return;
+
+    const result = await cancelScheduledCall(req.params.callId, clientId, {
+      reason: req.body?.reason || null,
+      cancelledBy: actorOf(req)
+    });
+    res.status(result.status).json(result);
+  } catch (error) {
+    console.error('Error cancelling scheduled call:', error);
+    sendServerError(res, error);
+  }
+});
+
 // =============================================================================
 // SCHEDULE CALL TOOL MANAGEMENT
 // =============================================================================
 
-router.get('/', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
 
@@ -57,7 +165,7 @@ router.get('/', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
   }
 });
 
-router.post('/', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.post('/', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.superKeyAuth ? req.body.client_id : req.user.clientId;
 
@@ -79,7 +187,7 @@ router.post('/', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
   }
 });
 
-router.get('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/:toolId', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { toolId } = req.params;
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
@@ -97,7 +205,7 @@ router.get('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) =>
   }
 });
 
-router.put('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.put('/:toolId', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { toolId } = req.params;
     const clientId = req.superKeyAuth ? req.body.client_id : req.user.clientId;
@@ -115,7 +223,7 @@ router.put('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) =>
   }
 });
 
-router.delete('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.delete('/:toolId', authenticateJWTOrSuperKey, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { toolId } = req.params;
     const clientId = req.superKeyAuth ? req.query.client_id : req.user.clientId;
@@ -137,7 +245,7 @@ router.delete('/:toolId', authenticateJWTOrSuperKey, auditLog, async (req, res)
 // AGENT ASSIGNMENTS
 // =============================================================================
 
-router.get('/agents/:agentId', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.get('/agents/:agentId', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { agentId } = req.params;
     const result = await getAgentScheduleCallTools(agentId);
@@ -153,7 +261,7 @@ router.get('/agents/:agentId', authenticateJWTOrSuperKey, auditLog, async (req,
   }
 });
 
-router.post('/agents/:agentId/assign', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.post('/agents/:agentId/assign', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { agentId } = req.params;
     const clientId = req.superKeyAuth ? req.body.client_id : req.user.clientId;
@@ -171,7 +279,7 @@ router.post('/agents/:agentId/assign', authenticateJWTOrSuperKey, auditLog, asyn
   }
 });
 
-router.delete('/agents/:agentId/remove', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.delete('/agents/:agentId/remove', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { agentId } = req.params;
     const tool_id = req.query.tool_id || req.body.tool_id;
@@ -197,7 +305,7 @@ router.delete('/agents/:agentId/remove', authenticateJWTOrSuperKey, auditLog, as
   }
 });
 
-router.put('/agents/:agentId/toggle', authenticateJWTOrSuperKey, auditLog, async (req, res) => {
+router.put('/agents/:agentId/toggle', authenticateJWTOrSuperKey, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { agentId } = req.params;
     const { tool_id, enabled } = req.body;
@@ -225,6 +333,7 @@ router.put('/agents/:agentId/toggle', authenticateJWTOrSuperKey, auditLog, async
 
 // =============================================================================
 // SCHEDULED CALL CREATION (called by MCP server internally)
+// Timing: delay ('24h') or scheduleAt ('tomorrow 5pm', ISO timestamp) + optional timezone
 // =============================================================================
 
 router.post('/create-scheduled', authenticateSuperKey, auditLog, async (req, res) => {
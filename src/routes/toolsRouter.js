@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { 
   authenticateToken, 
+  requirePermission, 
   auditLog 
 } = require('../middleware/authMiddleware');
 
@@ -57,7 +58,7 @@ const { initializeSystemTools } = require('../apps/tools/initializeSystemTools.j
  *       500:
  *         description: Error during initialization
  */
-router.post('/initialize', authenticateToken, auditLog, async (req, res) => {
+router.post('/initialize', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     await initializeSystemTools();
     res.status(200).json({
@@ -119,7 +120,7 @@ router.post('/initialize', authenticateToken, auditLog, async (req, res) => {
  *       400:
  *         description: Invalid input or tool already exists
  */
-router.post('/registry', authenticateToken, auditLog, async (req, res) => {
+router.post('/registry', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const toolData = req.body;
     const result = await createToolRegistry(toolData);
@@ -144,7 +145,7 @@ router.post('/registry', authenticateToken, auditLog, async (req, res) => {
  *       200:
  *         description: List of available tools
  */
-router.get('/registry', authenticateToken, auditLog, async (req, res) => {
+router.get('/registry', authenticateToken, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const result = await getToolsRegistry();
     res.status(result.status).json(result);
@@ -176,7 +177,7 @@ router.get('/registry', authenticateToken, auditLog, async (req, res) => {
  *       404:
  *         description: Tool not found
  */
-router.get('/registry/:toolName', authenticateToken, auditLog, async (req, res) => {
+router.get('/registry/:toolName', authenticateToken, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { toolName } = req.params;
     const result = await getToolRegistryById(toolName);
@@ -209,7 +210,7 @@ router.get('/registry/:toolName', authenticateToken, auditLog, async (req, res)
  *       404:
  *         description: Tool not found
  */
-router.put('/registry/:toolName', authenticateToken, auditLog, async (req, res) => {
+router.put('/registry/:toolName', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { toolName } = req.params;
     const updateData = req.body;
@@ -243,7 +244,7 @@ router.put('/registry/:toolName', authenticateToken, auditLog, async (req, res)
  *       404:
  *         description: Tool not found
  */
-router.delete('/registry/:toolName', authenticateToken, auditLog, async (req, res) => {
+router.delete('/registry/:toolName', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { toolName } = req.params;
     const result = await deleteToolRegistry(toolName);
@@ -310,7 +311,7 @@ router.delete('/registry/:toolName', authenticateToken, auditLog, async (req, re
  *       400:
  *         description: Invalid input or configuration already exists
  */
-router.post('/configs', authenticateToken, auditLog, async (req, res) => {
+router.post('/configs', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.user.clientId;
     const configData = { ...req.body, client_id: clientId };
@@ -348,7 +349,7 @@ router.post('/configs', authenticateToken, auditLog, async (req, res) => {
  *       200:
  *         description: List of tool configurations
  */
-router.get('/configs', authenticateToken, auditLog, async (req, res) => {
+router.get('/configs', authenticateToken, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.user.clientId;
     const filters = { 
@@ -386,7 +387,7 @@ router.get('/configs', authenticateToken, auditLog, async (req, res) => {
  *       404:
  *         description: Configuration not found
  */
-router.get('/configs/:configId', authenticateToken, auditLog, async (req, res) => {
+router.get('/configs/:configId', authenticateToken, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const { configId } = req.params;
     const clientId = req.user.clientId;
@@ -421,7 +422,7 @@ router.get('/configs/:configId', authenticateToken, auditLog, async (req, res) =
  *       404:
  *         description: Configuration not found
  */
-router.put('/configs/:configId', authenticateToken, auditLog, async (req, res) => {
+router.put('/configs/:configId', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { configId } = req.params;
     const clientId = req.user.clientId;
@@ -457,7 +458,7 @@ router.put('/configs/:configId', authenticateToken, auditLog, async (req, res) =
  *       404:
  *         description: Configuration not found
  */
-router.delete('/configs/:configId', authenticateToken, auditLog, async (req, res) => {
+router.delete('/configs/:configId', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     const { configId } = req.params;
     const clientId = req.user.clientId;
@@ -512,7 +513,7 @@ router.delete('/configs/:configId', authenticateToken, auditLog, async (req, res
  *                   type: array
  *                   description: Array of OpenAI function schemas
  */
-router.get('/schemas', authenticateToken, auditLog, async (req, res) => {
+router.get('/schemas', authenticateToken, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.user.clientId;
     const context = req.query;
@@ -565,7 +566,7 @@ router.get('/schemas', authenticateToken, auditLog, async (req, res) => {
  *       404:
  *         description: Function or configuration not found
  */
-router.post('/execute', authenticateToken, auditLog, async (req, res) => {
+router.post('/execute', authenticateToken, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const clientId = req.user.clientId;
     const { function_name, arguments: functionArgs, config_id, context } = req.body;
@@ -620,7 +621,7 @@ router.post('/execute', authenticateToken, auditLog, async (req, res) => {
  *       400:
  *         description: Configuration validation failed
  */
-router.post('/validate-config', authenticateToken, auditLog, async (req, res) => {
+router.post('/validate-config', authenticateToken, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     const configData = req.body;
     const result = await validateToolConfig(configData);
@@ -696,7 +697,7 @@ router.post('/validate-config', authenticateToken, auditLog, async (req, res) =>
  *       500:
  *         description: Error fetching templates
  */
-router.get('/wati/templates', authenticateToken, auditLog, async (req, res) => {
+router.get('/wati/templates', authenticateToken, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     // Get client ID from JWT token instead of URL parameter
     const clientId = req.user.clientId;
@@ -727,7 +728,7 @@ router.get('/wati/templates', authenticateToken, auditLog, async (req, res) => {
  *       200:
  *         description: WATI tools retrieved successfully
  */
-router.get('/wati/tools', authenticateToken, auditLog, async (req, res) => {
+router.get('/wati/tools', authenticateToken, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     // Get client ID from JWT token instead of URL parameter
     const clientId = req.user.clientId;
@@ -781,7 +782,7 @@ router.get('/wati/tools', authenticateToken, auditLog, async (req, res) => {
  *       201:
  *         description: WATI tool created successfully
  */
-router.post('/wati/tools', authenticateToken, auditLog, async (req, res) => {
+router.post('/wati/tools', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     // Get client ID from JWT token instead of URL parameter
     const clientId = req.user.clientId;
@@ -919,7 +920,7 @@ router.post('/wati/tools', authenticateToken, auditLog, async (req, res) => {
  *       200:
  *         description: WATI tool updated successfully
  */
-router.put('/wati/tools/:toolId', authenticateToken, auditLog, async (req, res) => {
+router.put('/wati/tools/:toolId', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     // Get client ID from JWT token instead of URL parameter
     const clientId = req.user.clientId;
@@ -959,7 +960,7 @@ router.put('/wati/tools/:toolId', authenticateToken, auditLog, async (req, res)
  *       200:
  *         description: WATI tool deleted successfully
  */
-router.delete('/wati/tools/:toolId', authenticateToken, auditLog, async (req, res) => {
+router.delete('/wati/tools/:toolId', authenticateToken, requirePermission('settings:manage'), auditLog, async (req, res) => {
   try {
     // Get client ID from JWT token instead of URL parameter
     const clientId = req.user.clientId;
@@ -991,7 +992,7 @@ router.delete('/wati/tools/:toolId', authenticateToken, auditLog, async (req, re
  *       200:
  *         description: WATI registry tools retrieved successfully
  */
-router.get('/wati/registry', authenticateToken, auditLog, async (req, res) => {
+router.get('/wati/registry', authenticateToken, requirePermission('assistants:manage'), auditLog, async (req, res) => {
   try {
     // Filter for WATI tools only from system registry
     const result = await getToolsRegistry({ provider: 'wati' });
@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const TwilioAdapter = require('../adapters/twilioAdapter');
 const { connectToMongo, client } = require('../../models/mongodb.js');
+const { verifyTwilioWebhook } = require('../middleware/webhookSignatureMiddleware');
 
 /**
  * @swagger
@@ -114,7 +115,7 @@ router.post('/twiml', (req, res) => {
  *       200:
  *         description: Status callback processed
  */
-router.post('/status-callback', async (req, res) => {
+router.post('/status-callback', verifyTwilioWebhook, async (req, res) => {
   try {
     const { CallSid, CallStatus, Duration, From, To } = req.body;
     
@@ -240,10 +241,8 @@ router.post('/status-callback', async (req, res) => {
           const billingDuration = parseInt(CallDuration) || parseInt(Duration) || 0;
           console.log(`💰 Processing Twilio billing for call: ${CallSid}, Type: ${campId}, Duration: ${billingDuration}s (CallDuration: ${CallDuration}, Duration: ${Duration})`);
           
-          const { 
-            saveCallBillingDetail, 
-            updateClientBalance: updateClientBalanceNew
-          } = require('../apps/billing/billingCore');
+          const { saveCallBillingDetail } = require('../apps/billing/billingCore');
+          const { postLedgerEntry, ENTRY_TYPES } = require('../apps/billing/creditLedger');
           const { getClientByClientId } = require('../apps/interLogue/client');
           const billingRouter = require('./billingRouter');
           
@@ -269,20 +268,27 @@ router.post('/status-callback', async (req, res) => {
           }
           
           const creditsToDeduct = billingDuration; // 1 second = 1 credit (use CallDuration)
-          const currentBalance = existingClient.availableBalance || 0;
-          const newBalance = currentBalance - creditsToDeduct;
           
           console.log(`💰 Twilio Billing: ${callType} call - ${creditsToDeduct} credits (duration: ${billingDuration}s)`);
-          console.log(`💰 Current Balance: ${currentBalance} -> ${newBalance}`);
           
-          // Update client balance immediately for ALL calls
-          const clientCollection = database.collection("client");
-          const { ObjectId } = require('mongodb');
-          
-          await clientCollection.updateOne(
-            { _id: new ObjectId(clientId) },
-            { $set: { availableBalance: newBalance } }
-          );
+          // Update client balance immediately for ALL calls - ledger call_debit applied with an
+          // atomic $inc, idempotent on CallSid (see apps/billing/creditLedger.js)
+          let newBalance = existingClient.availableBalance || 0;
+          if (creditsToDeduct > 0) {
+            const ledgerResult = await postLedgerEntry({
+              clientId,
+              entryType: ENTRY_TYPES.CALL_DEBIT,
+              amount: -creditsToDeduct,
+              referenceId: CallSid,
+              description: `${callType} call ${From} -> ${To} for ${billingDuration} seconds`,
+              metadata: { callType, provider: 'twilio', duration: billingDuration, campaignId: callType === 'campaign' ? campId : null }
+            });
+            if (!ledgerResult.success) {
+              throw new Error(`Balance update failed for client ${clientId}: ${ledgerResult.error}`);
+            }
+            newBalance = ledgerResult.newBalance;
+            console.log(`💰 Balance: ${ledgerResult.previousBalance} -> ${newBalance}`);
+          }
           
           // Broadcast balance update via SSE
           if (billingRouter.broadcastBalanceUpdate) {
@@ -365,8 +371,43 @@ router.post('/status-callback', async (req, res) => {
         }
       }
       
+      // Release the credit hold placed at dial time (the actual debit was posted above)
+      const { settleCallReservation } = require('../apps/billing/creditReservations');
+      await settleCallReservation(ourCallUUID, parseInt(req.body.CallDuration) || parseInt(Duration) || 0);
+      
       // This is now handled above with our UUID-based tracking system
     }
+
+    // Unanswered/busy/failed calls never reach the completed branch - release the credit hold
+    // and apply the campaign retry policy here
+    if (['busy', 'no-answer', 'failed', 'canceled'].includes(CallStatus)) {
+      const callRecord = await activeCallsCollection.findOne(
+        { twilioCallSid: CallSid },
+        { projection: { callUUID: 1, campaignId: 1, clientId: 1, from: 1 } }
+      );
+
+      if (callRecord) {
+        const { settleCallReservation } = require('../apps/billing/creditReservations');
+        await settleCallReservation(callRecord.callUUID, 0);
+
+        // Unanswered calls count against the caller ID's answer rate (caller-ID pools)
+        const { recordCallerIdOutcome } = require('../services/callerIdPoolService');
+        await recordCallerIdOutcome({ clientId: callRecord.clientId, from: callRecord.from, answered: false });
+      }
+
+      if (callRecord && CallStatus !== 'canceled') {
+        const { scheduleCampaignRetry } = require('../services/campaignRetryService');
+        const retryResult = await scheduleCampaignRetry({
+          callUUID: callRecord.callUUID,
+          campaignId: callRecord.campaignId,
+          hangupCause: CallStatus,
+          duration: 0
+        });
+        if (!retryResult.success) {
+          console.warn(`⚠️ Failed to evaluate retry policy for Twilio call ${CallSid}: ${retryResult.error}`);
+        }
+      }
+    }
     
     // NEW APPROACH: Search by twilioCallSid field (our UUID system)
     let result = await activeCallsCollection.updateOne(
@@ -426,6 +467,43 @@ router.post('/status-callback', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /twilio/amd-callback:
+ *   post:
+ *     tags: [Twilio]
+ *     summary: Answering machine detection result
+ *     description: asyncAmdStatusCallback for campaign calls dialed with amd settings. Stores the result (human / machine / unknown) on the call and, for machines, applies the campaign's amd.action - hang up, leave the voicemail, or hang up so the status callback queues a retry.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               CallSid:
+ *                 type: string
+ *               AnsweredBy:
+ *                 type: string
+ *                 enum: [human, machine_start, machine_end_beep, machine_end_silence, machine_end_other, fax, unknown]
+ *     responses:
+ *       200:
+ *         description: Result recorded
+ */
+router.post('/amd-callback', verifyTwilioWebhook, async (req, res) => {
+  try {
+    const { handleAmdCallback } = require('../services/answeringMachineService');
+    const result = await handleAmdCallback('twilio', req.body);
+    if (!result.success) {
+      console.warn(`⚠️ Twilio AMD callback not applied: ${result.error}`);
+    }
+    res.status(200).json({ message: 'AMD result processed' });
+  } catch (error) {
+    console.error('❌ Error processing Twilio AMD callback:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * @swagger
  * /twilio/record-callback:
@@ -495,6 +573,16 @@ router.post('/record-callback', async (req, res) => {
     console.log(`   Recording URL: ${RecordingUrl}`);
     console.log(`   Client ID: ${recordData.clientId}, Campaign: ${recordData.campId}`);
     console.log(`   Hangup record updated: ${recordingUpdateResult.modifiedCount > 0 ? '✅ Success' : '⚠️ Not found'}`);
+
+    const { queueRecordingArchive } = require('../services/recordingArchiveService');
+    await queueRecordingArchive({
+      callUUID: ourCallUUID,
+      provider: 'twilio',
+      sourceUrl: RecordingUrl,
+      recordingId: RecordingSid,
+      clientId: callRecord.clientId,
+      campaignId: callRecord.campaignId
+    });
     
     res.status(200).type('application/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
     
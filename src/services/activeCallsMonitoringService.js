@@ -393,6 +393,8 @@ function formatCallDetails(activeCalls) {
     clientId: call.clientId,
     campaignId: call.campaignId,
     status: call.status,
+    provider: call.provider || 'plivo',
+    bridge: call.bridge || null,
     warmupInfo: call.warmupAttempts ? {
       attempts: call.warmupAttempts,
       duration: call.warmupDuration
@@ -0,0 +1,222 @@
+const axios = require('axios');
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { normalizeAmdResult, buildVoicemailXml } = require('../apps/helper/answeringMachine.js');
+
+/**
+ * Answering Machine Service
+ *
+ * Handles the asynchronous AMD callbacks (Plivo machine_detection_url, Twilio
+ * asyncAmdStatusCallback) for campaign calls dialed with amd settings:
+ * - stores the result on activeCalls (and on plivoHangupData if the hangup already landed)
+ * - applies the campaign's machine action: hang up, leave a voicemail, or hang up for a retry
+ *   (the retry itself is queued by scheduleCampaignRetry when the hangup webhook arrives)
+ */
+
+// =============================================================================
+// PROVIDER CALL CONTROL
+// =============================================================================
+
+async function getCallCredentials(clientId, provider) {
+  const TelephonyCredentialsService = require('./telephonyCredentialsService');
+  return clientId
+    ? TelephonyCredentialsService.getCredentials(clientId.toString(), provider)
+    : TelephonyCredentialsService.getSystemDefaultCredentials(provider, 'unknown');
+}
+
+async function hangupProviderCall(provider, providerCallId, credentials) {
+  if (provider === 'twilio') {
+    const twilio = require('twilio');
+    await twilio(credentials.accountSid, credentials.authToken).calls(providerCallId).update({ status: 'completed' });
+    return;
+  }
+
+  await axios.delete(`https://api.plivo.com/v1/Account/${credentials.accountSid}/Call/${providerCallId}/`, {
+    auth: { username: credentials.accountSid, password: credentials.authToken },
+    timeout: 15000
+  });
+}
+
+async function playProviderVoicemail(provider, providerCallId, credentials, voicemail, callUUID) {
+  if (provider === 'twilio') {
+    // New TwiML replaces the <Connect><Stream>, which ends the bot session
+    const twilio = require('twilio');
+    await twilio(credentials.accountSid, credentials.authToken).calls(providerCallId).update({
+      twiml: buildVoicemailXml('twilio', voicemail)
+    });
+    return;
+  }
+
+  // Same sequence as /plivo/transfer-call: queue the aleg transfer, then stop the stream to release the call
+  const baseUrl = process.env.BASE_URL || 'https://application.glimpass.com';
+  const baseApiUrl = `https://api.plivo.com/v1/Account/${credentials.accountSid}/Call/${providerCallId}`;
+  const authConfig = { auth: { username: credentials.accountSid, password: credentials.authToken }, timeout: 15000 };
+
+  await axios.post(`${baseApiUrl}/`, {
+    legs: 'aleg',
+    aleg_url: `${baseUrl}/plivo/amd-voicemail?callUUID=${encodeURIComponent(callUUID)}`,
+    aleg_method: 'POST'
+  }, authConfig);
+
+  try {
+    await axios.delete(`${baseApiUrl}/Stream/`, authConfig);
+  } catch (streamError) {
+    console.log(`⚠️ AMD voicemail stream stop response: ${streamError.response?.data?.error || streamError.message}`);
+  }
+}
+
+// =============================================================================
+// CALLBACK HANDLING
+// =============================================================================
+
+async function getCampaignAmd(database, campaignId) {
+  if (!campaignId || !ObjectId.isValid(campaignId.toString())) return null;
+  const campaign = await database.collection("plivoCampaign").findOne(
+    { _id: new ObjectId(campaignId.toString()) },
+    { projection: { amd: 1 } }
+  );
+  return campaign?.amd?.enabled ? campaign.amd : null;
+}
+
+/**
+ * Record an AMD result and apply the campaign's machine action
+ * @param {string} provider - 'plivo' or 'twilio'
+ * @param {Object} body - Provider callback body
+ * @returns {Promise<{success: boolean, callUUID?: string, result?: string, action?: string, error?: string}>}
+ */
+async function handleAmdCallback(provider, body = {}) {
+  try {
+    const providerCallId = provider === 'twilio' ? body.CallSid : (body.CallUUID || body.RequestUUID);
+    if (!providerCallId) {
+      return { success: false, error: 'Missing call identifier' };
+    }
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const activeCallsCollection = database.collection("activeCalls");
+
+    const lookup = provider === 'twilio'
+      ? { twilioCallSid: providerCallId }
+      : { callUUID: { $in: [body.CallUUID, body.RequestUUID].filter(Boolean) } };
+    const callRecord = await activeCallsCollection.findOne(lookup, {
+      projection: { callUUID: 1, clientId: 1, campaignId: 1, status: 1, endTime: 1 }
+    });
+    if (!callRecord) {
+      return { success: false, error: `No call record for ${providerCallId}` };
+    }
+
+    const { result, detail } = normalizeAmdResult(provider, body);
+    const amd = await getCampaignAmd(database, callRecord.campaignId);
+    const callEnded = Boolean(callRecord.endTime) || ['completed', 'failed'].includes(callRecord.status);
+    const action = result === 'machine' && amd && !callEnded ? amd.action : 'none';
+
+    const amdFields = {
+      amdResult: result,
+      amdDetail: detail,
+      amdAction: action,
+      amdDetectedAt: new Date()
+    };
+    await activeCallsCollection.updateOne({ callUUID: callRecord.callUUID }, { $set: { ...amdFields, updatedAt: new Date() } });
+    // The hangup webhook copies these onto plivoHangupData - cover the case where it got there first
+    await database.collection("plivoHangupData").updateOne(
+      { $or: [{ CallUUID: callRecord.callUUID }, { callUUID: callRecord.callUUID }] },
+      { $set: amdFields }
+    );
+
+    console.log(`📠 AMD result for ${callRecord.callUUID}: ${result} (${detail || 'n/a'}) → action: ${action}`);
+
+    if (action === 'none') {
+      return { success: true, callUUID: callRecord.callUUID, result, action };
+    }
+
+    try {
+      const credentials = await getCallCredentials(callRecord.clientId, provider);
+      if (action === 'voicemail') {
+        await playProviderVoicemail(provider, providerCallId, credentials, amd.voicemail, callRecord.callUUID);
+        console.log(`📼 Leaving voicemail on ${callRecord.callUUID}`);
+      } else {
+        await hangupProviderCall(provider, providerCallId, credentials);
+        console.log(`📴 Hung up machine-answered call ${callRecord.callUUID}${action === 'retry' ? ' (retry will be queued on hangup)' : ''}`);
+      }
+    } catch (actionError) {
+      console.error(`❌ AMD ${action} failed for ${callRecord.callUUID}:`, actionError.response?.data || actionError.message);
+      await activeCallsCollection.updateOne(
+        { callUUID: callRecord.callUUID },
+        { $set: { amdActionError: actionError.message } }
+      );
+      return { success: false, callUUID: callRecord.callUUID, result, action, error: actionError.message };
+    }
+
+    return { success: true, callUUID: callRecord.callUUID, result, action };
+  } catch (error) {
+    console.error('❌ Error handling AMD callback:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Voicemail XML for a Plivo call transferred by the voicemail action
+ * @param {string} callUUID - Our callUUID
+ * @returns {Promise<string|null>} Plivo XML, or null when the call has no voicemail configured
+ */
+async function getVoicemailXml(callUUID) {
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+
+  const callRecord = await database.collection("activeCalls").findOne(
+    { callUUID },
+    { projection: { campaignId: 1 } }
+  );
+  const amd = await getCampaignAmd(database, callRecord?.campaignId);
+  if (!amd?.voicemail) return null;
+
+  return buildVoicemailXml('plivo', amd.voicemail);
+}
+
+// =============================================================================
+// REPORTING
+// =============================================================================
+
+/**
+ * AMD breakdown for a campaign's finished calls
+ * @param {Object} database - talkGlimpass database
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object|null>} null for campaigns that never used AMD
+ */
+async function getCampaignAmdStats(database, campaignId) {
+  const campaignAmd = ObjectId.isValid(campaignId)
+    ? (await database.collection("plivoCampaign").findOne({ _id: new ObjectId(campaignId) }, { projection: { amd: 1 } }))?.amd
+    : null;
+
+  const counts = await database.collection("plivoHangupData").aggregate([
+    { $match: { $or: [{ campId: campaignId }, { campaignId: campaignId }], amdResult: { $ne: null } } },
+    { $group: { _id: { result: '$amdResult', action: '$amdAction' }, count: { $sum: 1 } } }
+  ]).toArray();
+
+  if (!campaignAmd && counts.length === 0) return null;
+
+  const stats = {
+    enabled: Boolean(campaignAmd?.enabled),
+    action: campaignAmd?.action || null,
+    detected: 0,
+    human: 0,
+    machine: 0,
+    unknown: 0,
+    machineRate: 0,
+    actions: { hangup: 0, voicemail: 0, retry: 0 }
+  };
+  counts.forEach(({ _id, count }) => {
+    stats.detected += count;
+    if (stats[_id.result] !== undefined) stats[_id.result] += count;
+    if (stats.actions[_id.action] !== undefined) stats.actions[_id.action] += count;
+  });
+  stats.machineRate = stats.detected > 0 ? Math.round((stats.machine / stats.detected) * 10000) / 100 : 0;
+
+  return stats;
+}
+
+module.exports = {
+  handleAmdCallback,
+  getVoicemailXml,
+  getCampaignAmdStats
+};
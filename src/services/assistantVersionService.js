@@ -0,0 +1,453 @@
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const {
+  toSnapshot,
+  diffSnapshots,
+  parseVersionNumber
+} = require('../apps/helper/assistantVersioning.js');
+const { extractAssistantId } = require('../apps/helper/campaignVariants.js');
+
+/**
+ * Assistant Version Service
+ *
+ * Immutable history of assistant configuration. Every write to an assistant (updateAssistant,
+ * rollback, creation) stores a snapshot in `assistantVersions` with a sequential version number,
+ * the author, a change note and the source of the change. Assistants edited before versioning
+ * existed get their pre-edit document recorded as a 'baseline' version on their first change.
+ *
+ * Campaigns can pin assistants to a version (plivoCampaign.assistantVersions); the bot resolves
+ * the config it should run through getEffectiveAssistantConfig(assistantId, campaignId).
+ */
+
+const VERSIONS_COLLECTION = 'assistantVersions';
+const MAX_VERSIONS_PAGE = 100;
+const VERSION_INSERT_ATTEMPTS = 3;
+
+// Versions are unique per assistant (scripts/create-indexes.js) - concurrent writers retry with the next number
+async function getCollections() {
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+
+  return {
+    versions: database.collection(VERSIONS_COLLECTION),
+    assistants: database.collection("assistant"),
+    campaigns: database.collection("plivoCampaign")
+  };
+}
+
+function isOwner(assistantDoc, clientId) {
+  return !clientId || assistantDoc?.clientId?.toString() === clientId.toString();
+}
+
+async function getLatestVersion(versions, assistantId) {
+  return versions.findOne(
+    { assistantId: new ObjectId(assistantId) },
+    { sort: { version: -1 } }
+  );
+}
+
+async function insertVersion(versions, assistantId, fields) {
+  for (let attempt = 1; attempt <= VERSION_INSERT_ATTEMPTS; attempt++) {
+    const latest = await getLatestVersion(versions, assistantId);
+    const doc = {
+      assistantId: new ObjectId(assistantId),
+      version: (latest?.version || 0) + 1,
+      ...fields,
+      createdAt: new Date()
+    };
+    try {
+      await versions.insertOne(doc);
+      return doc;
+    } catch (error) {
+      if (error.code !== 11000 || attempt === VERSION_INSERT_ATTEMPTS) throw error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Store the current state of an assistant as a new version
+ * @param {string} assistantId - Assistant ID
+ * @param {Object} meta
+ * @param {string|null} meta.author - Who made the change (user email, 'superadmin')
+ * @param {string|null} meta.note - Change note
+ * @param {string} meta.source - Where the change came from (create, update-assistant, superadmin, train-ai, rollback)
+ * @param {Object|null} meta.previousDoc - Document before the change; recorded as the baseline when the assistant has no history yet
+ * @param {number|null} meta.rolledBackTo - Version restored by a rollback
+ * @returns {Promise<Object|null>} The version document (null when nothing changed)
+ */
+async function recordAssistantVersion(assistantId, { author = null, note = null, source = 'update', previousDoc = null, rolledBackTo = null } = {}) {
+  const { versions, assistants } = await getCollections();
+
+  const assistantDoc = await assistants.findOne({ _id: new ObjectId(assistantId) });
+  if (!assistantDoc) return null;
+
+  let latest = await getLatestVersion(versions, assistantId);
+  if (!latest && previousDoc) {
+    latest = await insertVersion(versions, assistantId, {
+      clientId: previousDoc.clientId?.toString() || null,
+      snapshot: toSnapshot(previousDoc),
+      author: null,
+      note: 'State before version history was recorded',
+      source: 'baseline'
+    });
+  }
+
+  const snapshot = toSnapshot(assistantDoc);
+  if (latest && diffSnapshots(latest.snapshot, snapshot).length === 0 && source !== 'rollback') {
+    return null; // Saved without changes - no new version
+  }
+
+  const version = await insertVersion(versions, assistantId, {
+    clientId: assistantDoc.clientId?.toString() || null,
+    snapshot,
+    author,
+    note,
+    source,
+    ...(rolledBackTo ? { rolledBackTo } : {})
+  });
+
+  console.log(`🗂️ Assistant ${assistantId} → version ${version.version} (${source}${author ? ` by ${author}` : ''})`);
+  return version;
+}
+
+/**
+ * Version history of an assistant, newest first (snapshots omitted)
+ * @param {string} assistantId - Assistant ID
+ * @param {string|null} clientId - Owning client; null = superadmin
+ * @param {Object} options - { limit, skip }
+ * @returns {Promise<{success: boolean, status: number, data?: Array, total?: number, message?: string}>}
+ */
+async function listAssistantVersions(assistantId, clientId = null, options = {}) {
+  try {
+    if (!ObjectId.isValid(assistantId)) {
+      return { success: false, status: 400, message: 'Invalid assistant ID' };
+    }
+
+    const { versions, assistants } = await getCollections();
+    const assistantDoc = await assistants.findOne({ _id: new ObjectId(assistantId) }, { projection: { clientId: 1 } });
+    if (!assistantDoc || !isOwner(assistantDoc, clientId)) {
+      return { success: false, status: 404, message: 'Assistant not found' };
+    }
+
+    const limit = Math.min(parseInt(options.limit) || 20, MAX_VERSIONS_PAGE);
+    const skip = parseInt(options.skip) || 0;
+    const query = { assistantId: new ObjectId(assistantId) };
+
+    const [data, total] = await Promise.all([
+      versions.find(query, { projection: { snapshot: 0 } }).sort({ version: -1 }).skip(skip).limit(limit).toArray(),
+      versions.countDocuments(query)
+    ]);
+
+    return { success: true, status: 200, data, total, limit, skip };
+  } catch (error) {
+    console.error('❌ Error listing assistant versions:', error);
+    return { success: false, status: 500, message: 'Error listing assistant versions', error: error.message };
+  }
+}
+
+async function findVersion(versions, assistantId, version) {
+  return versions.findOne({ assistantId: new ObjectId(assistantId), version });
+}
+
+/**
+ * One version of an assistant, with its snapshot
+ * @param {string} assistantId - Assistant ID
+ * @param {number|string} version - Version number
+ * @param {string|null} clientId - Owning client; null = superadmin
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function getAssistantVersion(assistantId, version, clientId = null) {
+  try {
+    const versionNumber = parseVersionNumber(version);
+    if (!ObjectId.isValid(assistantId) || !versionNumber) {
+      return { success: false, status: 400, message: 'Invalid assistant ID or version' };
+    }
+
+    const { versions } = await getCollections();
+    const doc = await findVersion(versions, assistantId, versionNumber);
+    if (!doc || !isOwner(doc, clientId)) {
+      return { success: false, status: 404, message: `Version ${versionNumber} not found` };
+    }
+
+    return { success: true, status: 200, data: doc };
+  } catch (error) {
+    console.error('❌ Error fetching assistant version:', error);
+    return { success: false, status: 500, message: 'Error fetching assistant version', error: error.message };
+  }
+}
+
+/**
+ * Field-by-field diff between two versions of an assistant
+ * @param {string} assistantId - Assistant ID
+ * @param {number|string} from - Older version
+ * @param {number|string} to - Newer version, or 'current' for the live document
+ * @param {string|null} clientId - Owning client; null = superadmin
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function diffAssistantVersions(assistantId, from, to = 'current', clientId = null) {
+  try {
+    const fromVersion = parseVersionNumber(from);
+    const toVersion = to === 'current' ? 'current' : parseVersionNumber(to);
+    if (!ObjectId.isValid(assistantId) || !fromVersion || !toVersion) {
+      return { success: false, status: 400, message: 'from must be a version number and to a version number or "current"' };
+    }
+
+    const { versions, assistants } = await getCollections();
+    const fromDoc = await findVersion(versions, assistantId, fromVersion);
+    if (!fromDoc || !isOwner(fromDoc, clientId)) {
+      return { success: false, status: 404, message: `Version ${fromVersion} not found` };
+    }
+
+    let toSnapshotDoc;
+    if (toVersion === 'current') {
+      toSnapshotDoc = await assistants.findOne({ _id: new ObjectId(assistantId) });
+      if (!toSnapshotDoc) {
+        return { success: false, status: 404, message: 'Assistant not found' };
+      }
+    } else {
+      const toDoc = await findVersion(versions, assistantId, toVersion);
+      if (!toDoc) {
+        return { success: false, status: 404, message: `Version ${toVersion} not found` };
+      }
+      toSnapshotDoc = toDoc.snapshot;
+    }
+
+    const changes = diffSnapshots(fromDoc.snapshot, toSnapshotDoc);
+    return {
+      success: true,
+      status: 200,
+      data: { assistantId, from: fromVersion, to: toVersion, changed: changes.length, changes }
+    };
+  } catch (error) {
+    console.error('❌ Error diffing assistant versions:', error);
+    return { success: false, status: 500, message: 'Error diffing assistant versions', error: error.message };
+  }
+}
+
+/**
+ * Restore an assistant to an earlier version - recorded as a new version, history is never rewritten
+ * @param {string} assistantId - Assistant ID
+ * @param {number|string} version - Version to restore
+ * @param {Object} meta - { clientId, author, note }
+ * @returns {Promise<{success: boolean, status: number, message: string, data?: Object}>}
+ */
+async function rollbackAssistant(assistantId, version, { clientId = null, author = null, note = null } = {}) {
+  try {
+    const versionNumber = parseVersionNumber(version);
+    if (!ObjectId.isValid(assistantId) || !versionNumber) {
+      return { success: false, status: 400, message: 'Invalid assistant ID or version' };
+    }
+
+    const { versions, assistants } = await getCollections();
+    const current = await assistants.findOne({ _id: new ObjectId(assistantId) });
+    if (!current || !isOwner(current, clientId)) {
+      return { success: false, status: 404, message: 'Assistant not found' };
+    }
+
+    const target = await findVersion(versions, assistantId, versionNumber);
+    if (!target) {
+      return { success: false, status: 404, message: `Version ${versionNumber} not found` };
+    }
+
+    await assistants.replaceOne(
+      { _id: current._id },
+      {
+        ...target.snapshot,
+        // Ownership never moves with a rollback
+        ...(current.clientId !== undefined ? { clientId: current.clientId } : {}),
+        ...(current.createdAt ? { createdAt: current.createdAt } : {}),
+        updatedAt: new Date()
+      }
+    );
+
+    let recorded;
+    try {
+      recorded = await recordAssistantVersion(assistantId, {
+        author,
+        note: note || `Rollback to version ${versionNumber}`,
+        source: 'rollback',
+        previousDoc: current,
+        rolledBackTo: versionNumber
+      });
+    } catch (versionError) {
+      // A rollback missing from the history would be invisible - undo it
+      await assistants.replaceOne({ _id: current._id }, current);
+      throw versionError;
+    }
+
+    return {
+      success: true,
+      status: 200,
+      message: `Assistant rolled back to version ${versionNumber}`,
+      data: { assistantId, rolledBackTo: versionNumber, version: recorded?.version || null }
+    };
+  } catch (error) {
+    console.error('❌ Error rolling back assistant:', error);
+    return { success: false, status: 500, message: 'Error rolling back assistant', error: error.message };
+  }
+}
+
+// =============================================================================
+// CAMPAIGN PINS
+// =============================================================================
+
+/**
+ * Assistants a campaign dials with (wssUrl, plus every A/B variant)
+ * @param {Object} campaign - { wssUrl, variants }
+ * @returns {string[]}
+ */
+function getCampaignAssistantIds(campaign) {
+  const ids = [extractAssistantId(campaign.wssUrl), ...(campaign.variants || []).map(variant => variant.assistantId)];
+  return [...new Set(ids.filter(id => id && ObjectId.isValid(id)))];
+}
+
+/**
+ * Resolve validated pins (validateVersionPins) to concrete version numbers
+ * @param {Object} campaign - { wssUrl, variants, clientId }
+ * @param {string|Object} pins - 'latest' or { assistantId: version|'latest' }
+ * @returns {Promise<{success: boolean, error?: string, value?: Object}>} value = { assistantId: version }
+ */
+async function resolveCampaignVersionPins(campaign, pins) {
+  const { versions, assistants } = await getCollections();
+  const campaignAssistants = getCampaignAssistantIds(campaign);
+  const requested = pins === 'latest'
+    ? Object.fromEntries(campaignAssistants.map(assistantId => [assistantId, 'latest']))
+    : pins;
+
+  const resolved = {};
+  for (const [assistantId, version] of Object.entries(requested)) {
+    if (!campaignAssistants.includes(assistantId)) {
+      return { success: false, error: `Assistant ${assistantId} is not used by this campaign` };
+    }
+
+    if (version === 'latest') {
+      let latest = await getLatestVersion(versions, assistantId);
+      if (!latest) {
+        // No history yet - the current document becomes version 1 so there is something to pin
+        const assistantDoc = await assistants.findOne({ _id: new ObjectId(assistantId) }, { projection: { clientId: 1 } });
+        if (!assistantDoc || !isOwner(assistantDoc, campaign.clientId)) {
+          return { success: false, error: `Assistant ${assistantId} not found` };
+        }
+        latest = await recordAssistantVersion(assistantId, { note: 'Pinned by campaign', source: 'baseline' });
+      }
+      resolved[assistantId] = latest.version;
+    } else {
+      const versionDoc = await findVersion(versions, assistantId, version);
+      if (!versionDoc || !isOwner(versionDoc, campaign.clientId)) {
+        return { success: false, error: `Version ${version} of assistant ${assistantId} not found` };
+      }
+      resolved[assistantId] = version;
+    }
+  }
+  return { success: true, value: resolved };
+}
+
+/**
+ * Set (or clear, with null) a campaign's assistant version pins
+ * @param {string} campaignId - Campaign ID
+ * @param {string} clientId - Owning client
+ * @param {string|Object|null} pins - Validated pins, or null to follow the live assistant again
+ * @returns {Promise<{success: boolean, error?: string, assistantVersions?: Object|null}>}
+ */
+async function setCampaignVersionPins(campaignId, clientId, pins) {
+  try {
+    const { campaigns } = await getCollections();
+    const campaign = await campaigns.findOne(
+      { _id: new ObjectId(campaignId) },
+      { projection: { clientId: 1, status: 1, wssUrl: 1, variants: 1 } }
+    );
+
+    if (!campaign) {
+      return { success: false, error: "Campaign not found" };
+    }
+    if (campaign.clientId?.toString() !== clientId?.toString()) {
+      return { success: false, error: "You can only update your own campaigns" };
+    }
+    if (["completed", "cancelled", "failed"].includes(campaign.status)) {
+      return { success: false, error: `Cannot pin assistant versions of ${campaign.status} campaign` };
+    }
+
+    let assistantVersions = null;
+    if (pins) {
+      const resolved = await resolveCampaignVersionPins(campaign, pins);
+      if (!resolved.success) {
+        return resolved;
+      }
+      assistantVersions = resolved.value;
+    }
+
+    await campaigns.updateOne(
+      { _id: campaign._id },
+      { $set: { assistantVersions, lastActivity: new Date() } }
+    );
+
+    console.log(`📌 Campaign ${campaignId}: assistant versions ${assistantVersions ? JSON.stringify(assistantVersions) : 'unpinned'}`);
+    return { success: true, assistantVersions };
+  } catch (error) {
+    console.error(`❌ Error pinning campaign assistant versions: ${campaignId}`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Config the bot should run for an assistant - the campaign's pinned version, else the live document
+ * @param {string} assistantId - Assistant ID
+ * @param {string|null} campaignId - Campaign of the call (campId stream header), if any
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function getEffectiveAssistantConfig(assistantId, campaignId = null) {
+  try {
+    if (!ObjectId.isValid(assistantId)) {
+      return { success: false, status: 400, message: 'Invalid assistant ID' };
+    }
+
+    const { versions, assistants, campaigns } = await getCollections();
+
+    if (campaignId && ObjectId.isValid(campaignId)) {
+      const campaign = await campaigns.findOne(
+        { _id: new ObjectId(campaignId) },
+        { projection: { assistantVersions: 1 } }
+      );
+      const pinned = campaign?.assistantVersions?.[assistantId];
+      if (pinned) {
+        const versionDoc = await findVersion(versions, assistantId, pinned);
+        if (versionDoc) {
+          return {
+            success: true,
+            status: 200,
+            data: { assistantId, version: pinned, pinned: true, config: { _id: versionDoc.assistantId, ...versionDoc.snapshot } }
+          };
+        }
+        console.warn(`⚠️ Campaign ${campaignId} pins missing version ${pinned} of assistant ${assistantId} - using live config`);
+      }
+    }
+
+    const assistantDoc = await assistants.findOne({ _id: new ObjectId(assistantId) });
+    if (!assistantDoc) {
+      return { success: false, status: 404, message: 'Assistant not found' };
+    }
+    const latest = await getLatestVersion(versions, assistantId);
+
+    return {
+      success: true,
+      status: 200,
+      data: { assistantId, version: latest?.version || null, pinned: false, config: assistantDoc }
+    };
+  } catch (error) {
+    console.error('❌ Error resolving assistant config:', error);
+    return { success: false, status: 500, message: 'Error resolving assistant config', error: error.message };
+  }
+}
+
+module.exports = {
+  recordAssistantVersion,
+  listAssistantVersions,
+  getAssistantVersion,
+  diffAssistantVersions,
+  rollbackAssistant,
+  getCampaignAssistantIds,
+  resolveCampaignVersionPins,
+  setCampaignVersionPins,
+  getEffectiveAssistantConfig
+};
@@ -0,0 +1,561 @@
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { defineJob, runJobNow } = require('./jobSchedulerService');
+
+/**
+ * Background Jobs
+ *
+ * The recurring work that used to run only when Cloud Scheduler pinged
+ * GET /plivo/check-scheduled-campaigns. Each task is a leased job (see jobSchedulerService.js):
+ *   - orphan-recovery              restart running campaigns whose container stopped heartbeating
+ *   - scheduled-campaigns          start campaigns whose scheduledTime has passed (MAX_CAMPAIGNS per run)
+ *   - calling-hours-resume         resume campaigns auto-paused (calling window, caller-ID pool, DNC outage) once due
+ *   - scheduled-calls              dial due `scheduledCalls` (Schedule Call MCP tool)
+ *   - campaign-retries             dial due automatic campaign retries (retryPolicy)
+ *   - incoming-billing-aggregation roll incoming calls up into billing history
+ *   - stuck-call-cleanup           fail/timeout activeCalls whose webhooks never came, expire stale credit holds
+ *   - recording-archive            copy queued call recordings off the provider into recording storage
+ *   - recording-retention          delete archived recordings past their client's retention period
+ *
+ * The endpoint remains as a manual trigger: runScheduledCampaignCheck() runs the first five jobs
+ * through the same leases, so it never overlaps with a scheduled run. Handlers that loop over
+ * work items stop at the next item once isLeaseLost() reports that another container took over.
+ */
+
+const SCHEDULED_JOB_INTERVAL = parseInt(process.env.SCHEDULED_JOB_INTERVAL) || 60000;
+const CLEANUP_INTERVAL = parseInt(process.env.CLEANUP_INTERVAL) || 300000;
+const INCOMING_AGGREGATION_JOB_INTERVAL = parseInt(process.env.INCOMING_AGGREGATION_JOB_INTERVAL) || 15 * 60 * 1000;
+const INCOMING_AGGREGATION_LOOKBACK = 7 * 24 * 60 * 60 * 1000;
+const SCHEDULED_CALL_BATCH_SIZE = 20;
+// Lease on an 'executing' scheduled call, renewed every third of it while the dial is in progress;
+// a lease that ran out means the container died between the claim and the dial
+const SCHEDULED_CALL_LEASE_MS = parseInt(process.env.SCHEDULED_CALL_LEASE_MS) || 2 * 60 * 1000;
+const LEGACY_CLAIM_STALE_MS = 45 * 60 * 1000;
+// How far a scheduled call is pushed back when the DNC registry could not be checked
+const SCHEDULED_CALL_DEFER_MS = parseInt(process.env.SCHEDULED_CALL_DEFER_MS) || 5 * 60 * 1000;
+const RECORDING_ARCHIVE_INTERVAL = parseInt(process.env.RECORDING_ARCHIVE_INTERVAL) || 60000;
+const RECORDING_RETENTION_INTERVAL = parseInt(process.env.RECORDING_RETENTION_INTERVAL) || 60 * 60 * 1000;
+
+// =============================================================================
+// CAMPAIGN TASKS
+// =============================================================================
+
+async function recoverOrphanedCampaigns() {
+  const { scanAndRecoverOrphanedCampaigns } = require('../utils/containerLifecycle.js');
+  const recoveryResult = await scanAndRecoverOrphanedCampaigns();
+  if (recoveryResult.error) {
+    throw new Error(`Orphaned campaign recovery failed: ${recoveryResult.error}`);
+  }
+
+  if ((recoveryResult.failed || 0) > 0) {
+    console.error(`⚠️  ${recoveryResult.failed} orphaned campaigns failed to recover`);
+  }
+  return {
+    recovered: recoveryResult.recovered || 0,
+    failed: recoveryResult.failed || 0,
+    total: recoveryResult.total || 0
+  };
+}
+
+/**
+ * Start campaigns whose scheduledTime has passed (oldest first, MAX_CAMPAIGNS per run)
+ * @param {Object} context - Job context ({ isLeaseLost })
+ * @returns {Promise<{started: Array, errors: Array, maxCampaigns: number}>}
+ */
+async function startDueScheduledCampaigns({ isLeaseLost = () => false } = {}) {
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+  const campaignCollection = database.collection("plivoCampaign");
+
+  const maxCampaigns = parseInt(process.env.MAX_CAMPAIGNS) || 5;
+  const scheduledCampaigns = await campaignCollection
+    .find({
+      status: "scheduled",
+      scheduledTime: { $lte: new Date() }
+    })
+    .sort({ scheduledTime: 1 }) // Start oldest scheduled first
+    .limit(maxCampaigns)
+    .toArray();
+
+  if (scheduledCampaigns.length > 0) {
+    console.log(`📋 Found ${scheduledCampaigns.length} scheduled campaigns ready to start (MAX_CAMPAIGNS: ${maxCampaigns})`);
+  }
+
+  const started = [];
+  const errors = [];
+  const { getlistDataById, processEnhancedCampaign } = require('../apps/plivo/plivo');
+  const { CONTAINER_ID } = require('../utils/containerLifecycle.js');
+
+  for (const campaign of scheduledCampaigns) {
+    if (isLeaseLost()) {
+      console.warn('⚠️  scheduled-campaigns lease lost - leaving the remaining campaigns to the new owner');
+      break;
+    }
+    try {
+      console.log(`🚀 Starting scheduled campaign: ${campaign.campaignName} (ID: ${campaign._id}), scheduled for ${campaign.scheduledTime}`);
+
+      const listData = await getlistDataById(campaign.listId);
+      if (!listData || listData.length === 0) {
+        throw new Error('Campaign list is empty or not found');
+      }
+
+      // Only the caller that flips scheduled -> running starts the campaign
+      const updateResult = await campaignCollection.updateOne(
+        { _id: campaign._id, status: "scheduled" },
+        {
+          $set: {
+            status: "running",
+            actualStartTime: new Date(),
+            currentIndex: 0,
+            processedContacts: 0,
+            heartbeat: new Date(),
+            lastActivity: new Date(),
+            containerId: CONTAINER_ID
+          },
+          $unset: {
+            scheduledTime: "",
+            scheduledBy: ""
+          }
+        }
+      );
+      if (updateResult.modifiedCount === 0) {
+        console.log(`⏭️  Campaign ${campaign._id} is no longer scheduled - skipping`);
+        continue;
+      }
+
+      await database.collection("client").updateOne(
+        { _id: new ObjectId(campaign.clientId) },
+        { $set: { isActiveCamp: 1, activeCampId: campaign._id.toString() } }
+      );
+
+      // Start the campaign processing directly (don't call makeCallViaCampaign which creates a new campaign)
+      console.log(`   📞 Will process ${listData.length} contacts from ${campaign.fromNumber} (provider: ${campaign.provider || 'default'})`);
+      process.nextTick(() => {
+        processEnhancedCampaign(
+          campaign._id.toString(),
+          listData,
+          campaign.fromNumber,
+          campaign.wssUrl,
+          campaign.clientId,
+          campaign.listId,
+          campaign.provider
+        );
+      });
+
+      started.push({
+        campaignId: campaign._id.toString(),
+        campaignName: campaign.campaignName,
+        scheduledTime: campaign.scheduledTime,
+        actualStartTime: new Date().toISOString()
+      });
+      console.log(`✅ Successfully started campaign: ${campaign.campaignName}`);
+
+    } catch (error) {
+      console.error(`❌ Failed to start campaign ${campaign.campaignName} (${campaign._id}):`, error.message);
+
+      // Mark campaign as failed
+      await campaignCollection.updateOne(
+        { _id: campaign._id },
+        {
+          $set: {
+            status: "failed",
+            failureReason: error.message,
+            failedAt: new Date()
+          }
+        }
+      );
+
+      errors.push({
+        campaignId: campaign._id.toString(),
+        campaignName: campaign.campaignName,
+        error: error.message
+      });
+    }
+  }
+
+  return { started, errors, maxCampaigns };
+}
+
+async function resumeCallingWindowCampaigns() {
+  const { resumeCampaignsDueForCallingWindow } = require('../apps/plivo/plivo');
+  const result = await resumeCampaignsDueForCallingWindow();
+  if (result.resumed.length + result.failed.length > 0) {
+    console.log(`🌅 Calling-window resume: ${result.resumed.length} resumed, ${result.failed.length} failed`);
+  }
+  return result;
+}
+
+// =============================================================================
+// CALL TASKS
+// =============================================================================
+
+// Due pending calls, plus calls whose claim lease ran out (a dead container claimed them and never finished)
+function claimableScheduledCallFilter() {
+  return {
+    $or: [
+      { status: 'pending', executeAt: { $lte: new Date() } },
+      { status: 'executing', leaseExpiresAt: { $lt: new Date() } },
+      // Claimed before claims carried a lease
+      { status: 'executing', leaseExpiresAt: { $exists: false }, updatedAt: { $lt: new Date(Date.now() - LEGACY_CLAIM_STALE_MS) } }
+    ]
+  };
+}
+
+// Keep extending a claimed call's lease until stop() - the dial can wait a long time for a slot
+function renewScheduledCallLease(collection, scheduledCallId, claimId) {
+  const timer = setInterval(async () => {
+    try {
+      await collection.updateOne(
+        { _id: scheduledCallId, claimId, status: 'executing' },
+        { $set: { leaseExpiresAt: new Date(Date.now() + SCHEDULED_CALL_LEASE_MS) } }
+      );
+    } catch (error) {
+      console.error(`❌ Error renewing lease on scheduled call ${scheduledCallId}:`, error.message);
+    }
+  }, Math.max(Math.floor(SCHEDULED_CALL_LEASE_MS / 3), 1000));
+  return () => clearInterval(timer);
+}
+
+/**
+ * Dial pending scheduledCalls whose executeAt has passed
+ * Each claim holds a lease the worker renews while it dials; calls whose lease ran out are claimed again.
+ * @param {Object} context - Job context ({ isLeaseLost })
+ * @returns {Promise<{executed: number, failed: number, deferred: number}>}
+ */
+async function executeDueScheduledCalls({ isLeaseLost = () => false } = {}) {
+  const result = { executed: 0, failed: 0, deferred: 0 };
+
+  await connectToMongo();
+  const scheduledCallsCollection = client.db('glimpass').collection('scheduledCalls');
+  const pendingCalls = await scheduledCallsCollection
+    .find(claimableScheduledCallFilter())
+    .sort({ executeAt: 1 })
+    .limit(SCHEDULED_CALL_BATCH_SIZE)
+    .toArray();
+
+  if (pendingCalls.length === 0) {
+    return result;
+  }
+
+  console.log(`📞 Found ${pendingCalls.length} pending scheduled calls to execute`);
+  const { processSingleCall } = require('../apps/helper/activeCalls.js');
+  const { getAssistantDetails } = require('../apps/interLogue/client.js');
+  const { tryAcquireCallToken, refundCallToken } = require('./callRateLimitService');
+
+  for (const scheduledCall of pendingCalls) {
+    if (isLeaseLost()) {
+      console.warn('⚠️  scheduled-calls lease lost - leaving the remaining calls to the new owner');
+      break;
+    }
+
+    // Shared call rate limit - leave the call pending for the next run when the bucket is empty
+    const rateToken = await tryAcquireCallToken({ clientId: scheduledCall.clientId, from: scheduledCall.fromNumber });
+    if (!rateToken.allowed) {
+      result.deferred++;
+      console.log(`⏳ Scheduled call to ${scheduledCall.toNumber} deferred - rate limit (${rateToken.limitedBy})`);
+      continue;
+    }
+
+    const claimId = new ObjectId();
+    let stopLeaseRenewal = () => {};
+    try {
+      // Mark as executing to prevent duplicate processing (and skip calls rescheduled or cancelled meanwhile)
+      const claim = await scheduledCallsCollection.updateOne(
+        { _id: scheduledCall._id, executeAt: scheduledCall.executeAt, ...claimableScheduledCallFilter() },
+        { $set: { status: 'executing', claimId, leaseExpiresAt: new Date(Date.now() + SCHEDULED_CALL_LEASE_MS), updatedAt: new Date() } }
+      );
+      if (claim.modifiedCount === 0) {
+        await refundCallToken(rateToken.buckets);
+        continue;
+      }
+      stopLeaseRenewal = renewScheduledCallLease(scheduledCallsCollection, scheduledCall._id, claimId);
+
+      const assistantData = await getAssistantDetails(scheduledCall.targetAgentId);
+      if (!assistantData) {
+        throw new Error(`Assistant not found: ${scheduledCall.targetAgentId}`);
+      }
+
+      const finalWssUrl = `wss://socket.glimpass.com/chat/v2/${scheduledCall.targetAgentId}`;
+
+      const callResult = await processSingleCall({
+        clientId: scheduledCall.clientId,
+        campaignId: 'scheduled-call',
+        from: scheduledCall.fromNumber,
+        to: scheduledCall.toNumber,
+        wssUrl: finalWssUrl,
+        firstName: '',
+        email: '',
+        tag: scheduledCall.targetAgentId,
+        listId: 'scheduled-call',
+        provider: null,
+        contactIndex: 0,
+        sequenceNumber: 1,
+        contactData: {
+          number: scheduledCall.toNumber,
+          assistantId: scheduledCall.targetAgentId,
+          wssUrl: finalWssUrl,
+          scheduledCallContext: scheduledCall.context || ''
+        },
+        dynamicFields: {
+          number: scheduledCall.toNumber,
+          assistantId: scheduledCall.targetAgentId,
+          wssUrl: finalWssUrl,
+          scheduledCallContext: scheduledCall.context || ''
+        },
+        callSource: 'scheduled-call'
+      });
+
+      if (callResult.suppressed || callResult.dncUnavailable) {
+        await refundCallToken(rateToken.buckets);
+      }
+
+      if (callResult.dncUnavailable) {
+        // Nothing was dialed - put the call back for a later run instead of failing it
+        await scheduledCallsCollection.updateOne(
+          { _id: scheduledCall._id },
+          { $set: { status: 'pending', executeAt: new Date(Date.now() + SCHEDULED_CALL_DEFER_MS), updatedAt: new Date() } }
+        );
+        result.deferred++;
+        console.log(`⏳ Scheduled call to ${scheduledCall.toNumber} deferred - DNC registry unavailable`);
+        continue;
+      }
+
+      const newStatus = callResult.success ? 'executed' : (callResult.suppressed ? 'suppressed' : 'failed');
+      await scheduledCallsCollection.updateOne(
+        { _id: scheduledCall._id },
+        { $set: { status: newStatus, callUUID: callResult.callUUID || null, updatedAt: new Date() } }
+      );
+
+      if (callResult.success) {
+        result.executed++;
+        console.log(`✅ Scheduled call executed: ${scheduledCall.toNumber} (${callResult.callUUID})`);
+      } else {
+        result.failed++;
+        console.error(`❌ Scheduled call failed: ${scheduledCall.toNumber} - ${callResult.error}`);
+      }
+    } catch (callError) {
+      result.failed++;
+      await scheduledCallsCollection.updateOne(
+        { _id: scheduledCall._id },
+        { $set: { status: 'failed', error: callError.message, updatedAt: new Date() } }
+      ).catch(() => {});
+      console.error(`❌ Scheduled call error for ${scheduledCall.toNumber}:`, callError.message);
+    } finally {
+      stopLeaseRenewal();
+    }
+  }
+
+  console.log(`📞 Scheduled calls: ${result.executed} executed, ${result.failed} failed, ${result.deferred} deferred`);
+  return result;
+}
+
+async function processCampaignRetries({ isLeaseLost } = {}) {
+  const { processDueCampaignRetries } = require('./campaignRetryService');
+  const result = await processDueCampaignRetries({ isLeaseLost });
+  if (result.executed + result.failed + result.deferred + result.cancelled > 0) {
+    console.log(`🔁 Campaign retries: ${result.executed} dialed, ${result.failed} failed, ${result.deferred} deferred, ${result.cancelled} dropped`);
+  }
+  return result;
+}
+
+async function cleanupStuckCalls() {
+  const { lazyCleanupStuckCalls, cleanupTimeoutCalls } = require('../apps/helper/activeCalls.js');
+  const { sweepExpiredReservations } = require('../apps/billing/creditReservations');
+
+  const stuck = await lazyCleanupStuckCalls();
+  const timedOut = await cleanupTimeoutCalls();
+  const holds = await sweepExpiredReservations();
+
+  const error = [!stuck.success && 'stuck-call cleanup failed', timedOut.error, holds.error].filter(Boolean).join('; ');
+  if (error) {
+    throw new Error(error);
+  }
+  return {
+    stuckCallsFailed: stuck.cleanedCount,
+    callsTimedOut: timedOut.cleaned,
+    creditHoldsExpired: holds.expired
+  };
+}
+
+// =============================================================================
+// BILLING TASKS
+// =============================================================================
+
+/**
+ * Aggregate incoming calls for every client that received one in the last week
+ * (runIncomingAggregation skips clients whose aggregation window has not passed)
+ * @param {Object} context - Job context ({ isLeaseLost })
+ */
+async function aggregateIncomingBilling({ isLeaseLost = () => false } = {}) {
+  const { runIncomingAggregation } = require('../apps/billing/billingCore');
+
+  await connectToMongo();
+  const clientIds = await client.db("talkGlimpass").collection("callBillingDetails").distinct('clientId', {
+    type: 'incoming',
+    timestamp: { $gt: new Date(Date.now() - INCOMING_AGGREGATION_LOOKBACK) }
+  });
+
+  const summary = { clients: clientIds.length, aggregated: 0, calls: 0, credits: 0, failed: [] };
+  for (const clientId of clientIds) {
+    if (isLeaseLost()) {
+      console.warn('⚠️  incoming-billing-aggregation lease lost - leaving the remaining clients to the new owner');
+      break;
+    }
+    if (!ObjectId.isValid(clientId)) continue;
+    const outcome = await runIncomingAggregation(clientId);
+    if (outcome.aggregationPerformed) {
+      summary.aggregated++;
+      summary.calls += outcome.aggregationDetails.totalCalls;
+      summary.credits += outcome.aggregationDetails.totalCredits;
+    } else if (outcome.error) {
+      summary.failed.push({ clientId, error: outcome.error });
+    }
+  }
+
+  if (summary.failed.length > 0 && summary.failed.length === clientIds.length) {
+    throw new Error(`Incoming aggregation failed for all ${clientIds.length} clients: ${summary.failed[0].error}`);
+  }
+  return summary;
+}
+
+// =============================================================================
+// RECORDING TASKS
+// =============================================================================
+
+async function archiveRecordings({ isLeaseLost } = {}) {
+  const { processDueArchives } = require('./recordingArchiveService');
+  const result = await processDueArchives({ isLeaseLost });
+  if (result.archived + result.retrying + result.failed > 0) {
+    console.log(`🗄️ Recording archive: ${result.archived} archived, ${result.retrying} retrying, ${result.failed} failed (${result.backend})`);
+  }
+  return result;
+}
+
+async function purgeExpiredRecordings({ isLeaseLost } = {}) {
+  const { purgeExpiredRecordings: purge } = require('./recordingArchiveService');
+  return purge({ isLeaseLost });
+}
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+
+defineJob('orphan-recovery', {
+  description: 'Restart running campaigns whose container stopped sending heartbeats',
+  intervalMs: SCHEDULED_JOB_INTERVAL,
+  handler: recoverOrphanedCampaigns
+});
+
+defineJob('scheduled-campaigns', {
+  description: 'Start campaigns whose scheduled time has passed',
+  intervalMs: SCHEDULED_JOB_INTERVAL,
+  handler: startDueScheduledCampaigns
+});
+
+defineJob('calling-hours-resume', {
+  description: 'Resume campaigns paused outside their calling window once it opens',
+  intervalMs: SCHEDULED_JOB_INTERVAL,
+  handler: resumeCallingWindowCampaigns
+});
+
+defineJob('scheduled-calls', {
+  description: 'Dial scheduled calls whose execute time has passed',
+  intervalMs: SCHEDULED_JOB_INTERVAL,
+  handler: executeDueScheduledCalls
+});
+
+defineJob('campaign-retries', {
+  description: 'Dial automatic campaign retries that are due',
+  intervalMs: SCHEDULED_JOB_INTERVAL,
+  handler: processCampaignRetries
+});
+
+defineJob('incoming-billing-aggregation', {
+  description: 'Roll incoming calls up into billing history',
+  intervalMs: INCOMING_AGGREGATION_JOB_INTERVAL,
+  handler: aggregateIncomingBilling
+});
+
+defineJob('stuck-call-cleanup', {
+  description: 'Fail calls stuck without webhooks and expire stale credit holds',
+  intervalMs: CLEANUP_INTERVAL,
+  handler: cleanupStuckCalls
+});
+
+defineJob('recording-archive', {
+  description: 'Copy call recordings from the provider into recording storage',
+  intervalMs: RECORDING_ARCHIVE_INTERVAL,
+  handler: archiveRecordings
+});
+
+defineJob('recording-retention', {
+  description: 'Delete archived recordings past their client retention period',
+  intervalMs: RECORDING_RETENTION_INTERVAL,
+  handler: purgeExpiredRecordings
+});
+
+// =============================================================================
+// MANUAL TRIGGER
+// =============================================================================
+
+async function runForCheck(name, fallback, skipped) {
+  const outcome = await runJobNow(name, { trigger: 'manual' });
+  if (outcome.status === 409) {
+    skipped.push({ job: name, reason: outcome.message });
+    return fallback;
+  }
+  if (!outcome.success) {
+    return { ...fallback, error: outcome.data?.error || outcome.error || outcome.message };
+  }
+  return outcome.data.result;
+}
+
+/**
+ * Run the campaign and scheduled-call jobs now (GET /plivo/check-scheduled-campaigns)
+ * Jobs another container is running at this moment are reported in `skippedJobs`.
+ * @returns {Promise<Object>} The endpoint's response body
+ */
+async function runScheduledCampaignCheck() {
+  const now = new Date();
+  const skipped = [];
+
+  const recoveryResult = await runForCheck('orphan-recovery', { recovered: 0, failed: 0, total: 0 }, skipped);
+  const startResult = await runForCheck('scheduled-campaigns', { started: [], errors: [], maxCampaigns: parseInt(process.env.MAX_CAMPAIGNS) || 5 }, skipped);
+  const callingWindowResult = await runForCheck('calling-hours-resume', { resumed: [], failed: [] }, skipped);
+  const scheduledCallsResult = await runForCheck('scheduled-calls', { executed: 0, failed: 0, deferred: 0 }, skipped);
+  const campaignRetryResult = await runForCheck('campaign-retries', { executed: 0, failed: 0, deferred: 0, cancelled: 0 }, skipped);
+
+  const totalRecovered = recoveryResult.recovered || 0;
+  const totalStarted = startResult.started.length;
+  const totalResumed = callingWindowResult.resumed.length;
+  const totalOperations = totalRecovered + totalStarted + totalResumed + scheduledCallsResult.executed + campaignRetryResult.executed;
+
+  console.log(`📊 CAMPAIGN CHECK SUMMARY: ${totalRecovered} recovered, ${totalStarted} started, ${totalResumed} resumed, ${scheduledCallsResult.executed} scheduled calls, ${campaignRetryResult.executed} retries${skipped.length > 0 ? ` (${skipped.length} jobs already running elsewhere)` : ''}`);
+
+  return {
+    success: true,
+    message: totalOperations > 0
+      ? `Recovered ${totalRecovered} orphaned, started ${totalStarted} scheduled campaign(s), resumed ${totalResumed} for calling hours, executed ${scheduledCallsResult.executed} scheduled call(s), dialed ${campaignRetryResult.executed} campaign retries`
+      : 'No orphaned or scheduled campaigns to process',
+    orphanedRecovery: recoveryResult,
+    scheduledStart: {
+      started: startResult.started,
+      skipped: 0,
+      errors: startResult.errors?.length > 0 ? startResult.errors : undefined,
+      maxCampaigns: startResult.maxCampaigns,
+      error: startResult.error
+    },
+    callingHoursResume: {
+      resumed: callingWindowResult.resumed,
+      errors: callingWindowResult.failed.length > 0 ? callingWindowResult.failed : undefined
+    },
+    scheduledCalls: scheduledCallsResult,
+    campaignRetries: campaignRetryResult,
+    skippedJobs: skipped.length > 0 ? skipped : undefined,
+    timestamp: now.toISOString()
+  };
+}
+
+module.exports = {
+  runScheduledCampaignCheck
+};
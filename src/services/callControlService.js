@@ -0,0 +1,504 @@
+const axios = require('axios');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { toE164, getClientDefaultCountry } = require('../apps/helper/phoneNumber.js');
+const {
+  PROVIDER_CAPABILITIES,
+  validateCallControlRequest,
+  supportsAction,
+  isAgentCall,
+  getBridgeName,
+  buildTwilioBridgeTwiml,
+  buildTwilioInterludeTwiml
+} = require('../apps/helper/callControl.js');
+
+/**
+ * Call Control Service
+ *
+ * Provider-agnostic in-call actions keyed by our callUUID. The provider, the provider's call id
+ * and the credentials all come from the activeCalls record, so callers (dashboard supervisors,
+ * the bot's call-control MCP tool) never need to know which provider carried the call.
+ *
+ * Every action - successful or not - is appended to the call's `controlActions` log.
+ *
+ * Plivo/Twilio transfers move the caller into a per-call bridge (Plivo MultiPartyCall, Twilio
+ * Conference, recorded as `bridge` on the call) and dial the target into it, so supervisor
+ * sessions (supervisorMonitoringService) can join the same bridge later.
+ */
+
+const ENDED_STATUSES = ['completed', 'failed', 'suppressed'];
+const DEFAULT_HOLD_MUSIC_URL = 'https://s3.amazonaws.com/plivocloud/music.mp3';
+
+function getHoldMusicUrl(params) {
+  return params.musicUrl || process.env.CALL_HOLD_MUSIC_URL || DEFAULT_HOLD_MUSIC_URL;
+}
+
+async function getCallCredentials(clientId, provider) {
+  const TelephonyCredentialsService = require('./telephonyCredentialsService');
+  return clientId
+    ? TelephonyCredentialsService.getCredentials(clientId.toString(), provider)
+    : TelephonyCredentialsService.getSystemDefaultCredentials(provider, 'unknown');
+}
+
+async function getSignedControlUrl(provider, path, callRecord) {
+  const { buildSignedCallbackUrl } = require('../middleware/webhookSignatureMiddleware');
+  return buildSignedCallbackUrl(provider, path, callRecord.clientId, { callUUID: callRecord.callUUID });
+}
+
+// =============================================================================
+// PROVIDER ACTIONS
+// =============================================================================
+
+function plivoApi(credentials) {
+  return {
+    accountUrl: `https://api.plivo.com/v1/Account/${credentials.accountSid}`,
+    authConfig: { auth: { username: credentials.accountSid, password: credentials.authToken }, timeout: 15000 }
+  };
+}
+
+function toPlivoNumber(number) {
+  return String(number || '').replace(/^\+/, '');
+}
+
+/**
+ * Move the caller of a live Plivo/Twilio call into the call's bridge - this ends the bot stream
+ * @param {Object} callRecord - activeCalls record (provider resolved)
+ * @param {Object} credentials - Provider credentials
+ * @returns {Promise<{name: string, provider: string}>} Bridge
+ */
+async function bridgeCall(callRecord, credentials) {
+  const name = getBridgeName(callRecord.callUUID);
+
+  if (callRecord.bridge?.name) {
+    return callRecord.bridge;
+  }
+
+  if (callRecord.provider === 'twilio') {
+    if (!callRecord.twilioCallSid) {
+      throw new Error('Twilio CallSid not recorded for this call');
+    }
+    const twilio = require('twilio');
+    await twilio(credentials.accountSid, credentials.authToken)
+      .calls(callRecord.twilioCallSid)
+      .update({ twiml: buildTwilioBridgeTwiml(name) });
+  } else {
+    // Same sequence as /plivo/transfer-call: queue the aleg transfer, then stop the stream to release the call
+    const { accountUrl, authConfig } = plivoApi(credentials);
+    const bridgeXmlUrl = await getSignedControlUrl('plivo', '/call-control/plivo/bridge-xml', callRecord);
+    await axios.post(`${accountUrl}/Call/${callRecord.callUUID}/`, {
+      legs: 'aleg',
+      aleg_url: bridgeXmlUrl,
+      aleg_method: 'POST'
+    }, authConfig);
+
+    try {
+      await axios.delete(`${accountUrl}/Call/${callRecord.callUUID}/Stream/`, authConfig);
+    } catch (streamError) {
+      console.log(`⚠️ Call bridge stream stop response: ${streamError.response?.data?.error || streamError.message}`);
+    }
+  }
+
+  const bridge = { name, provider: callRecord.provider, createdAt: new Date() };
+  await client.db("talkGlimpass").collection("activeCalls").updateOne(
+    { callUUID: callRecord.callUUID },
+    { $set: { bridge } }
+  );
+  console.log(`🌉 Caller of ${callRecord.callUUID} moved into bridge ${name}`);
+  return bridge;
+}
+
+// Dial the transfer target into the bridge; the whisper plays to them before they join
+async function dialTransferTarget(callRecord, params, credentials, bridge) {
+  if (callRecord.provider === 'twilio') {
+    const twilio = require('twilio');
+    const agentCall = await twilio(credentials.accountSid, credentials.authToken).calls.create({
+      from: callRecord.from,
+      to: params.to,
+      twiml: buildTwilioBridgeTwiml(bridge.name, { whisper: params.whisper })
+    });
+    return agentCall.sid;
+  }
+
+  const { accountUrl, authConfig } = plivoApi(credentials);
+  const agentXmlUrl = await getSignedControlUrl('plivo', '/call-control/plivo/agent-xml', callRecord);
+  const response = await axios.post(`${accountUrl}/Call/`, {
+    from: toPlivoNumber(callRecord.from),
+    to: toPlivoNumber(params.to),
+    answer_url: agentXmlUrl,
+    answer_method: 'POST'
+  }, authConfig);
+  return response.data?.request_uuid || null;
+}
+
+async function transferIntoBridge(callRecord, params, credentials) {
+  const bridge = await bridgeCall(callRecord, credentials);
+  const agentLegId = await dialTransferTarget(callRecord, params, credentials, bridge);
+
+  await client.db("talkGlimpass").collection("activeCalls").updateOne(
+    { callUUID: callRecord.callUUID },
+    { $set: { 'bridge.agentNumber': params.to, 'bridge.agentLegId': agentLegId } }
+  );
+  return { bridge: bridge.name, agentLegId };
+}
+
+async function controlPlivoCall(callRecord, action, params, credentials) {
+  const { accountUrl, authConfig } = plivoApi(credentials);
+  const baseApiUrl = `${accountUrl}/Call/${callRecord.callUUID}`;
+
+  switch (action) {
+    case 'hangup':
+      return (await axios.delete(`${baseApiUrl}/`, authConfig)).data;
+
+    case 'dtmf':
+      return (await axios.post(`${baseApiUrl}/DTMF/`, { digits: params.digits, leg: 'aleg' }, authConfig)).data;
+
+    case 'play':
+      return (await axios.post(`${baseApiUrl}/Play/`, { urls: params.audioUrl, legs: 'aleg', mix: true }, authConfig)).data;
+
+    case 'speak':
+      return (await axios.post(`${baseApiUrl}/Speak/`, {
+        text: params.text,
+        voice: params.voice,
+        language: params.language,
+        legs: 'aleg',
+        mix: true
+      }, authConfig)).data;
+
+    case 'hold':
+      // mix=false mutes the call audio (and the bot) while the music plays
+      return (await axios.post(`${baseApiUrl}/Play/`, {
+        urls: getHoldMusicUrl(params),
+        legs: 'aleg',
+        loop: true,
+        mix: false
+      }, authConfig)).data;
+
+    case 'unhold':
+      return (await axios.delete(`${baseApiUrl}/Play/`, authConfig)).data;
+
+    case 'transfer':
+      return transferIntoBridge(callRecord, params, credentials);
+
+    default:
+      throw new Error(`Unsupported Plivo action: ${action}`);
+  }
+}
+
+async function controlTwilioCall(callRecord, action, params, credentials) {
+  if (!callRecord.twilioCallSid) {
+    throw new Error('Twilio CallSid not recorded for this call');
+  }
+
+  if (action === 'transfer') {
+    return transferIntoBridge(callRecord, params, credentials);
+  }
+
+  const twilio = require('twilio');
+  const call = twilio(credentials.accountSid, credentials.authToken).calls(callRecord.twilioCallSid);
+  let update;
+
+  switch (action) {
+    case 'hangup':
+      update = { status: 'completed' };
+      break;
+
+    case 'unhold':
+      if (!callRecord.twimlUrl) {
+        throw new Error('Original TwiML URL not recorded for this call - cannot reconnect the bot');
+      }
+      update = { url: callRecord.twimlUrl, method: 'POST' };
+      break;
+
+    default:
+      // dtmf / play / speak / hold: new TwiML replaces the <Connect><Stream>
+      update = {
+        twiml: buildTwilioInterludeTwiml(action, action === 'hold' ? { musicUrl: getHoldMusicUrl(params) } : params, callRecord.twimlUrl)
+      };
+  }
+
+  const result = await call.update(update);
+  return { sid: result.sid, status: result.status };
+}
+
+async function controlSipCall(callRecord, action, params, credentials) {
+  const SipAdapter = require('../adapters/sipAdapter');
+  const ariUrl = (credentials?.ariUrl || process.env.SIP_ARI_URL || '').replace(/\/$/, '');
+  const username = credentials?.accountSid || process.env.SIP_ARI_USERNAME;
+  const password = credentials?.authToken || process.env.SIP_ARI_PASSWORD;
+  if (!ariUrl || !username || !password) {
+    throw new Error('SIP ARI credentials not configured');
+  }
+
+  const channelUrl = `${ariUrl}/channels/${encodeURIComponent(callRecord.sipChannelId || callRecord.callUUID)}`;
+  const requestConfig = {
+    headers: { Authorization: SipAdapter.createAuthHeader(username, password) },
+    timeout: 15000
+  };
+
+  switch (action) {
+    case 'hangup':
+      await axios.delete(channelUrl, requestConfig);
+      break;
+
+    case 'dtmf':
+      await axios.post(`${channelUrl}/dtmf`, null, { ...requestConfig, params: { dtmf: params.digits } });
+      break;
+
+    case 'play':
+      await axios.post(`${channelUrl}/play`, null, { ...requestConfig, params: { media: `sound:${params.audioUrl}` } });
+      break;
+
+    case 'hold':
+      // ARI hold plays the channel's music-on-hold class
+      await axios.post(`${channelUrl}/hold`, null, requestConfig);
+      break;
+
+    case 'unhold':
+      await axios.delete(`${channelUrl}/hold`, requestConfig);
+      break;
+
+    case 'transfer': {
+      const endpointTemplate = credentials?.endpointTemplate || process.env.SIP_ENDPOINT_TEMPLATE;
+      if (!endpointTemplate) {
+        throw new Error('SIP endpoint template not configured');
+      }
+      await axios.post(`${channelUrl}/redirect`, null, {
+        ...requestConfig,
+        params: { endpoint: SipAdapter.buildEndpoint(endpointTemplate, params.to) }
+      });
+      break;
+    }
+
+    default:
+      throw new Error(`Unsupported SIP action: ${action}`);
+  }
+
+  return { channelId: callRecord.sipChannelId || callRecord.callUUID };
+}
+
+async function dispatchControl(callRecord, action, params, credentials) {
+  switch (callRecord.provider) {
+    case 'twilio':
+      return controlTwilioCall(callRecord, action, params, credentials);
+    case 'sip':
+      return controlSipCall(callRecord, action, params, credentials);
+    case 'exotel':
+      // transfer is the only Exotel action - the fields set below are what /exotel/transfer-destination reads
+      return { queued: true, executesOn: 'stream_end' };
+    case 'plivo':
+    default:
+      return controlPlivoCall(callRecord, action, params, credentials);
+  }
+}
+
+// Call state changes recorded alongside a successful action
+function getStateUpdate(action, params, actor) {
+  const now = new Date();
+  switch (action) {
+    case 'hold':
+      return { onHold: true, holdStartedAt: now };
+    case 'unhold':
+      return { onHold: false, holdStartedAt: null };
+    case 'transfer':
+      return {
+        transferTo: params.to,
+        transferWhisper: params.whisper || null,
+        transferRequestedAt: now,
+        transferRequestedBy: actor
+      };
+    case 'hangup':
+      return { hangupRequestedAt: now, hangupRequestedBy: actor };
+    default:
+      return {};
+  }
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+async function findCall(callUUID, clientId) {
+  await connectToMongo();
+  const activeCallsCollection = client.db("talkGlimpass").collection("activeCalls");
+
+  const callRecord = await activeCallsCollection.findOne({
+    $or: [{ callUUID }, { twilioCallSid: callUUID }, { exotelCallSid: callUUID }, { sipChannelId: callUUID }]
+  });
+
+  // Calls of other clients are reported as missing, not forbidden
+  if (!callRecord || (clientId && callRecord.clientId?.toString() !== clientId.toString())) {
+    return { activeCallsCollection, callRecord: null };
+  }
+  return { activeCallsCollection, callRecord };
+}
+
+/**
+ * Run an in-call action on a live call
+ * @param {Object} request
+ * @param {string} request.callUUID - Our callUUID (provider call ids are accepted too)
+ * @param {string} request.action - One of CALL_CONTROL_ACTIONS
+ * @param {Object} request.params - Action parameters (digits, audioUrl, text, musicUrl, to, whisper)
+ * @param {string|null} request.clientId - Owning client; null = superadmin, any call
+ * @param {string|null} request.agentId - Assistant asking (call-control MCP tool) - only its own calls
+ * @param {string} request.actor - Who asked (user email, 'superadmin', 'agent:<agentId>')
+ * @returns {Promise<{success: boolean, status: number, message: string, data?: Object, error?: string}>}
+ */
+async function executeCallControl({ callUUID, action, params = {}, clientId = null, agentId = null, actor = null }) {
+  try {
+    const validation = validateCallControlRequest(action, params);
+    if (!validation.valid) {
+      return { success: false, status: 400, message: validation.error };
+    }
+
+    const { activeCallsCollection, callRecord } = await findCall(callUUID, clientId);
+    if (!callRecord) {
+      return { success: false, status: 404, message: `Call ${callUUID} not found` };
+    }
+    // A bot may only act on the call it is on - a call UUID from the conversation can't steer another agent's call
+    if (agentId && !isAgentCall(callRecord, agentId)) {
+      console.warn(`⚠️ Call control ${action} on ${callRecord.callUUID} refused - not a call of agent ${agentId}`);
+      return { success: false, status: 404, message: `Call ${callUUID} not found` };
+    }
+
+    const provider = callRecord.provider || 'plivo';
+    if (!supportsAction(provider, action)) {
+      return {
+        success: false,
+        status: 400,
+        message: `${provider} calls do not support ${action}. Supported: ${PROVIDER_CAPABILITIES[provider]?.join(', ') || 'none'}`
+      };
+    }
+
+    if (callRecord.endTime || ENDED_STATUSES.includes(callRecord.status)) {
+      return { success: false, status: 409, message: `Call ${callRecord.callUUID} has already ended` };
+    }
+    // Twilio's TwiML-swapping actions would pull the caller back out of the conference
+    if (provider === 'twilio' && callRecord.bridge && !['hangup', 'transfer'].includes(action)) {
+      return { success: false, status: 409, message: `Call ${callRecord.callUUID} is bridged to a human - only hangup and transfer are available` };
+    }
+    // Before the callee answers there is nothing to play to, hold or transfer - only hangup (cancel) works
+    if (action !== 'hangup' && callRecord.status !== 'ongoing') {
+      return { success: false, status: 409, message: `Call ${callRecord.callUUID} is not connected (status: ${callRecord.status})` };
+    }
+
+    const actionParams = { ...validation.value };
+    if (action === 'transfer') {
+      const transferNumber = toE164(actionParams.to, await getClientDefaultCountry(callRecord.clientId));
+      if (!transferNumber) {
+        return { success: false, status: 400, message: `Invalid transfer number: ${actionParams.to}` };
+      }
+      actionParams.to = transferNumber;
+    }
+
+    const logEntry = { action, params: actionParams, actor: actor || null, at: new Date() };
+    let providerResponse;
+    try {
+      const credentials = provider === 'exotel' ? null : await getCallCredentials(callRecord.clientId, provider);
+      // Plivo fetches the target's whisper from us - park it before the provider asks for it
+      if (action === 'transfer') {
+        await activeCallsCollection.updateOne(
+          { callUUID: callRecord.callUUID },
+          { $set: getStateUpdate(action, actionParams, actor) }
+        );
+      }
+      providerResponse = await dispatchControl({ ...callRecord, provider }, action, actionParams, credentials);
+    } catch (actionError) {
+      const errorMessage = actionError.response?.data?.error || actionError.response?.data?.message || actionError.message;
+      console.error(`❌ Call control ${action} failed for ${callRecord.callUUID} (${provider}):`, errorMessage);
+      await activeCallsCollection.updateOne(
+        { callUUID: callRecord.callUUID },
+        { $push: { controlActions: { ...logEntry, success: false, error: errorMessage } } }
+      );
+      return { success: false, status: 502, message: `Failed to ${action} call`, error: errorMessage };
+    }
+
+    await activeCallsCollection.updateOne(
+      { callUUID: callRecord.callUUID },
+      {
+        $set: { ...getStateUpdate(action, actionParams, actor), updatedAt: new Date() },
+        $push: { controlActions: { ...logEntry, success: true } }
+      }
+    );
+
+    console.log(`🎛️ Call control: ${action} on ${callRecord.callUUID} (${provider}) by ${actor || 'unknown'}`);
+
+    return {
+      success: true,
+      status: 200,
+      message: `Call ${action} ${provider === 'exotel' ? 'queued' : 'executed'}`,
+      data: {
+        callUUID: callRecord.callUUID,
+        provider,
+        action,
+        params: actionParams,
+        providerResponse
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error executing call control:', error);
+    return { success: false, status: 500, message: 'Error executing call control', error: error.message };
+  }
+}
+
+/**
+ * Live state of a call and the actions its provider supports
+ * @param {string} callUUID - Our callUUID (provider call ids are accepted too)
+ * @param {string|null} clientId - Owning client; null = superadmin
+ * @returns {Promise<{success: boolean, status: number, message?: string, data?: Object}>}
+ */
+async function getCallControlState(callUUID, clientId = null) {
+  try {
+    const { callRecord } = await findCall(callUUID, clientId);
+    if (!callRecord) {
+      return { success: false, status: 404, message: `Call ${callUUID} not found` };
+    }
+
+    const provider = callRecord.provider || 'plivo';
+    const ended = Boolean(callRecord.endTime) || ENDED_STATUSES.includes(callRecord.status);
+
+    return {
+      success: true,
+      status: 200,
+      data: {
+        callUUID: callRecord.callUUID,
+        provider,
+        status: callRecord.status,
+        from: callRecord.from,
+        to: callRecord.to,
+        campaignId: callRecord.campaignId,
+        startTime: callRecord.startTime,
+        endTime: callRecord.endTime,
+        onHold: Boolean(callRecord.onHold),
+        transferTo: callRecord.transferTo || null,
+        bridge: callRecord.bridge || null,
+        availableActions: ended ? [] : (PROVIDER_CAPABILITIES[provider] || []),
+        controlActions: callRecord.controlActions || []
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error fetching call control state:', error);
+    return { success: false, status: 500, message: 'Error fetching call control state', error: error.message };
+  }
+}
+
+/**
+ * Bridge + transfer state of a call, for the provider XML callbacks
+ * @param {string} callUUID - Our callUUID
+ * @returns {Promise<{callUUID: string, clientId: Object, bridge: Object|null, transferWhisper: string|null}|null>}
+ */
+async function getCallBridge(callUUID) {
+  await connectToMongo();
+  return client.db("talkGlimpass").collection("activeCalls").findOne(
+    { callUUID },
+    { projection: { callUUID: 1, clientId: 1, bridge: 1, transferTo: 1, transferWhisper: 1 } }
+  );
+}
+
+module.exports = {
+  executeCallControl,
+  getCallControlState,
+  getCallBridge,
+  bridgeCall,
+  findCall,
+  getCallCredentials,
+  getSignedControlUrl
+};
@@ -1,22 +1,36 @@
 /**
  * Unified Call Provider Service
- * Routes calls to appropriate provider (Plivo/Twilio) based on phone number mapping
+ * Routes calls to appropriate provider (Plivo/Twilio/Exotel/SIP trunk) based on phone number mapping,
+ * failing over to the client's secondary provider when the primary is down
  */
 
 const PhoneProviderService = require('./phoneProviderService');
 const TelephonyCredentialsService = require('./telephonyCredentialsService');
 const PlivoAdapter = require('../adapters/plivoAdapter');
 const TwilioAdapter = require('../adapters/twilioAdapter');
+const ExotelAdapter = require('../adapters/exotelAdapter');
+const SipAdapter = require('../adapters/sipAdapter');
+const {
+  getProviderRouting,
+  classifyProviderError,
+  getBreakerKey,
+  isCircuitOpen,
+  recordProviderOutcome,
+  resolveFailoverFrom
+} = require('./providerFailoverService');
 
 class CallProviderService {
   /**
-   * Make a call using the appropriate provider based on explicit provider or phone number mapping
+   * Make a call using the appropriate provider based on explicit provider or phone number mapping.
+   * With a client routing policy (client.providerRouting) a failed or circuit-broken primary
+   * provider fails over to the secondary provider - see providerFailoverService.
    * @param {Object} callParams - Call parameters (now supports optional 'provider' field)
-   * @returns {Promise<Object>} Call result with provider info
+   * @returns {Promise<Object>} Call result with provider info, the from-number actually dialed and
+   *   routing: { primaryProvider, provider, failedOver, failoverReason, attempts }
    */
   static async makeCall(callParams) {
     try {
-      const { from, to, wssUrl, clientId, campaignId, firstName, tag, email, listId, provider, dynamicFields } = callParams;
+      const { from, to, clientId, provider, dynamicFields } = callParams;
 
       console.log(`📞 Unified call routing: ${from} → ${to} (Client: ${clientId})`);
       console.log(`🔍 CALLPROVIDERSERVICE DEBUG - Provider parameter received:`, provider);
@@ -26,7 +40,10 @@ class CallProviderService {
         const fieldNames = Object.keys(dynamicFields).filter(key => !['listId', '_id'].includes(key));
         console.log(`📋 Dynamic CSV fields detected: ${fieldNames.join(', ')}`);
       }
-      
+
+      const policy = await getProviderRouting(clientId);
+      let providerMapping = null;
+
       let providerInfo;
       
       // If provider is explicitly specified, use it directly
@@ -37,70 +54,64 @@ class CallProviderService {
           phoneNumber: from,
           isExplicit: true
         };
+      } else if (policy?.primary) {
+        console.log(`🎯 Using client routing policy primary provider: ${policy.primary}`);
+        providerInfo = {
+          provider: policy.primary,
+          phoneNumber: from,
+          isExplicit: true
+        };
       } else {
         console.log(`🔍 Determining provider based on phone number mapping...`);
         // Fallback to phone number mapping
-        providerInfo = await PhoneProviderService.getProvider(from);
+        providerInfo = providerMapping = await PhoneProviderService.getProvider(from);
       }
       
       console.log(`🎯 Provider selected: ${providerInfo.provider} (isDefault: ${providerInfo.isDefault || false})`);
-      
-      // Get client-specific credentials or fallback to system defaults
-      let finalCredentials;
-      if (clientId) {
-        console.log(`🔐 Looking up client-specific credentials for client ${clientId}...`);
-        finalCredentials = await TelephonyCredentialsService.getCredentials(clientId, providerInfo.provider);
-        
-        // Update last used timestamp
-        if (finalCredentials.isClientSpecific) {
-          await TelephonyCredentialsService.updateLastUsed(clientId, providerInfo.provider);
+
+      const primaryRoute = await this.resolveRoute(providerInfo, from, clientId);
+      const secondaryProvider = policy && policy.secondary !== primaryRoute.provider ? policy.secondary : null;
+      const attempts = [];
+      let failoverReason = null;
+      let secondaryRoute = null;
+      let callResult = null;
+
+      // Skip a provider account whose breaker is open - as long as the secondary isn't down too
+      if (secondaryProvider && await isCircuitOpen(primaryRoute.breakerKey)) {
+        secondaryRoute = await this.resolveFailoverRoute(policy, from, clientId, providerMapping);
+        if (secondaryRoute && !(await isCircuitOpen(secondaryRoute.breakerKey))) {
+          console.warn(`🔌 ${primaryRoute.provider} circuit open (${primaryRoute.breakerKey}) - routing straight to ${secondaryProvider}`);
+          attempts.push({ provider: primaryRoute.provider, from, success: false, skipped: true, errorClass: 'circuit_open' });
+          failoverReason = 'circuit_open';
         }
-      } else {
-        console.log(`⚠️  No clientId provided, using system default credentials`);
-        finalCredentials = TelephonyCredentialsService.getSystemDefaultCredentials(providerInfo.provider, 'unknown');
       }
-      
-      // Verify phone number ownership for client-specific credentials
-      if (finalCredentials.isClientSpecific && finalCredentials.validatedPhoneNumbers?.length > 0) {
-        const normalizedFrom = from.replace(/^\+/, '').replace(/\s+/g, '');
-        const ownsNumber = finalCredentials.validatedPhoneNumbers.some(
-          num => num.phoneNumber === normalizedFrom || num.phoneNumber === from
-        );
-        if (!ownsNumber) {
-          console.log(`⚠️ FROM number ${from} not in client's validated numbers, falling back to system credentials`);
-          finalCredentials = TelephonyCredentialsService.getSystemDefaultCredentials(providerInfo.provider, clientId);
+
+      if (!failoverReason) {
+        callResult = await this.attemptCall(primaryRoute, callParams, attempts);
+
+        if (!callResult.success && secondaryProvider && policy.failoverOn.includes(callResult.errorClass)) {
+          secondaryRoute = secondaryRoute || await this.resolveFailoverRoute(policy, from, clientId, providerMapping);
+          if (secondaryRoute) {
+            console.warn(`🔀 ${primaryRoute.provider} failed (${callResult.errorClass}) - failing over to ${secondaryProvider} from ${secondaryRoute.from}`);
+            failoverReason = callResult.errorClass;
+          }
         }
       }
 
-      console.log(`🔑 Using ${finalCredentials.isClientSpecific ? 'client-specific' : 'system default'} credentials`);
-
-      let callResult;
-      
-      switch (providerInfo.provider) {
-        case 'twilio':
-          console.log('🔵 Routing to Twilio...');
-          callResult = await TwilioAdapter.makeCall(callParams, finalCredentials);
-          break;
-          
-        case 'plivo':
-        default:
-          console.log('🟢 Routing to Plivo...');
-          callResult = await PlivoAdapter.makeCall(callParams, finalCredentials);
-          break;
+      if (failoverReason) {
+        callResult = await this.attemptCall(secondaryRoute, { ...callParams, from: secondaryRoute.from, provider: secondaryRoute.provider }, attempts);
       }
-      
+
       // Call tracking is now handled within each adapter to prevent race conditions
-      
-      // Add provider metadata to result
+
       return {
         ...callResult,
-        provider: providerInfo.provider,
-        providerConfig: {
-          // Don't expose sensitive config in response
-          accountSid: finalCredentials?.accountSid ? 
-            TelephonyCredentialsService.maskCredential(finalCredentials.accountSid) : 'hidden',
-          isDefault: providerInfo.isDefault || false,
-          isClientSpecific: finalCredentials?.isClientSpecific || false
+        routing: {
+          primaryProvider: primaryRoute.provider,
+          provider: callResult.provider,
+          failedOver: Boolean(failoverReason),
+          failoverReason,
+          attempts
         }
       };
       
@@ -113,6 +124,127 @@ class CallProviderService {
       };
     }
   }
+
+  /**
+   * Credentials and breaker key for dialing on one provider
+   * @param {Object} providerInfo - { provider, isDefault }
+   * @param {string} from - From-number
+   * @param {string} clientId - Client ID
+   * @returns {Promise<Object>} { provider, providerInfo, from, credentials, breakerKey }
+   */
+  static async resolveRoute(providerInfo, from, clientId) {
+    // Get client-specific credentials or fallback to system defaults
+    let finalCredentials;
+    if (clientId) {
+      console.log(`🔐 Looking up client-specific credentials for client ${clientId}...`);
+      finalCredentials = await TelephonyCredentialsService.getCredentials(clientId, providerInfo.provider);
+      
+      // Update last used timestamp
+      if (finalCredentials.isClientSpecific) {
+        await TelephonyCredentialsService.updateLastUsed(clientId, providerInfo.provider);
+      }
+    } else {
+      console.log(`⚠️  No clientId provided, using system default credentials`);
+      finalCredentials = TelephonyCredentialsService.getSystemDefaultCredentials(providerInfo.provider, 'unknown');
+    }
+    
+    // Verify phone number ownership for client-specific credentials
+    if (finalCredentials.isClientSpecific && finalCredentials.validatedPhoneNumbers?.length > 0) {
+      const normalizedFrom = from.replace(/^\+/, '').replace(/\s+/g, '');
+      const ownsNumber = finalCredentials.validatedPhoneNumbers.some(
+        num => num.phoneNumber === normalizedFrom || num.phoneNumber === from
+      );
+      if (!ownsNumber) {
+        console.log(`⚠️ FROM number ${from} not in client's validated numbers, falling back to system credentials`);
+        finalCredentials = TelephonyCredentialsService.getSystemDefaultCredentials(providerInfo.provider, clientId);
+      }
+    }
+
+    console.log(`🔑 Using ${finalCredentials.isClientSpecific ? 'client-specific' : 'system default'} credentials`);
+
+    return {
+      provider: providerInfo.provider,
+      providerInfo,
+      from,
+      credentials: finalCredentials,
+      breakerKey: getBreakerKey(providerInfo.provider, finalCredentials, clientId)
+    };
+  }
+
+  /**
+   * Route on the policy's secondary provider, with an equivalent from-number
+   * @returns {Promise<Object|null>} Route, or null when the secondary has no usable from-number
+   */
+  static async resolveFailoverRoute(policy, from, clientId, providerMapping) {
+    const secondaryCredentials = clientId
+      ? await TelephonyCredentialsService.getCredentials(clientId, policy.secondary)
+      : null;
+    const failoverFrom = resolveFailoverFrom(policy, from, providerMapping || await PhoneProviderService.getProvider(from), secondaryCredentials);
+    if (!failoverFrom) {
+      console.warn(`⚠️ No ${policy.secondary} from-number equivalent to ${from} for client ${clientId} - not failing over`);
+      return null;
+    }
+    return this.resolveRoute({ provider: policy.secondary, phoneNumber: failoverFrom, isExplicit: true }, failoverFrom, clientId);
+  }
+
+  /**
+   * Dial on one provider, feed the circuit breaker and log the attempt
+   * @param {Object} route - resolveRoute result
+   * @param {Object} callParams - Call parameters
+   * @param {Array} attempts - Attempt log, appended to
+   * @returns {Promise<Object>} Adapter result with provider metadata (and errorClass on failure)
+   */
+  static async attemptCall(route, callParams, attempts) {
+    let callResult;
+    
+    switch (route.provider) {
+      case 'twilio':
+        console.log('🔵 Routing to Twilio...');
+        callResult = await TwilioAdapter.makeCall(callParams, route.credentials);
+        break;
+
+      case 'exotel':
+        console.log('🟠 Routing to Exotel...');
+        callResult = await ExotelAdapter.makeCall(callParams, route.credentials);
+        break;
+
+      case 'sip':
+        console.log('🟣 Routing to SIP trunk...');
+        callResult = await SipAdapter.makeCall(callParams, route.credentials);
+        break;
+        
+      case 'plivo':
+      default:
+        console.log('🟢 Routing to Plivo...');
+        callResult = await PlivoAdapter.makeCall(callParams, route.credentials);
+        break;
+    }
+
+    const errorClass = callResult.success ? null : classifyProviderError(callResult);
+    await recordProviderOutcome(route.breakerKey, errorClass);
+    attempts.push({
+      provider: route.provider,
+      from: route.from,
+      success: callResult.success,
+      errorClass,
+      error: callResult.success ? null : callResult.error
+    });
+
+    // Add provider metadata to result
+    return {
+      ...callResult,
+      ...(errorClass ? { errorClass } : {}),
+      provider: route.provider,
+      from: route.from,
+      providerConfig: {
+        // Don't expose sensitive config in response
+        accountSid: route.credentials?.accountSid ? 
+          TelephonyCredentialsService.maskCredential(route.credentials.accountSid) : 'hidden',
+        isDefault: route.providerInfo.isDefault || false,
+        isClientSpecific: route.credentials?.isClientSpecific || false
+      }
+    };
+  }
   
   /**
    * Get provider information for a phone number (utility method)
@@ -145,6 +277,18 @@ class CallProviderService {
         displayName: 'Twilio',
         isDefault: false,
         features: ['voice', 'sms', 'recording', 'streaming']
+      },
+      {
+        name: 'exotel',
+        displayName: 'Exotel',
+        isDefault: false,
+        features: ['voice', 'recording', 'streaming']
+      },
+      {
+        name: 'sip',
+        displayName: 'SIP Trunk (ARI)',
+        isDefault: false,
+        features: ['voice', 'recording', 'streaming']
       }
     ];
   }
@@ -0,0 +1,320 @@
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { toE164 } = require('../apps/helper/phoneNumber.js');
+
+/**
+ * Call Rate Limiting (shared token buckets)
+ *
+ * Replaces the per-campaign in-memory `callsInLastMinute` counter, which every Cloud Run container
+ * (and every campaign of the same client) kept separately. Each outbound dial takes one token from
+ * up to three buckets stored in `callRateLimitBuckets`:
+ *   - client:<clientId>   client.rateLimits.callsPerMinute          (default MAX_CALLS_PER_MINUTE = 10)
+ *   - from:<E.164>        client.rateLimits.callsPerMinutePerNumber (default CALLS_PER_MINUTE_PER_NUMBER, 0 = off)
+ *   - global              GLOBAL_CALLS_PER_MINUTE                   (0 = off)
+ * Buckets refill continuously at `callsPerMinute` per RATE_LIMIT_WINDOW and hold at most `burst`
+ * tokens (client.rateLimits.burst, default = the per-minute rate). Refill and take happen in one
+ * atomic pipeline update using the database clock, so containers never need synchronised clocks.
+ *
+ * Campaigns wait for a token (waitForCallToken); /api/single-call answers 429 and the scheduled-call
+ * and retry executors defer the call to their next run (tryAcquireCallToken).
+ */
+
+const BUCKET_COLLECTION = 'callRateLimitBuckets';
+
+const RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW) || 60000; // ms
+const DEFAULT_CALLS_PER_MINUTE = parseInt(process.env.MAX_CALLS_PER_MINUTE) || 10;
+const DEFAULT_CALLS_PER_MINUTE_PER_NUMBER = parseInt(process.env.CALLS_PER_MINUTE_PER_NUMBER) || 0;
+const GLOBAL_CALLS_PER_MINUTE = parseInt(process.env.GLOBAL_CALLS_PER_MINUTE) || 0;
+const LIMITS_CACHE_MS = 30 * 1000;
+const MIN_POLL_MS = 250;
+
+// Client rate limits, cached briefly - campaigns ask for every contact
+const limitsCache = new Map();
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Validate a client.rateLimits object (superadmin/client updates)
+ * @param {Object|null} rateLimits - { callsPerMinute, callsPerMinutePerNumber, burst } (null = use defaults)
+ * @returns {{rateLimits?: Object|null, error?: string}}
+ */
+function validateRateLimits(rateLimits) {
+  if (rateLimits === null) return { rateLimits: null };
+  if (typeof rateLimits !== 'object' || Array.isArray(rateLimits)) {
+    return { error: 'rateLimits must be an object: { callsPerMinute, callsPerMinutePerNumber, burst }' };
+  }
+
+  const allowed = ['callsPerMinute', 'callsPerMinutePerNumber', 'burst'];
+  const validated = {};
+  for (const [field, value] of Object.entries(rateLimits)) {
+    if (!allowed.includes(field)) {
+      return { error: `Unknown rateLimits field "${field}". Allowed: ${allowed.join(', ')}` };
+    }
+    if (value === null) continue;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      return { error: `rateLimits.${field} must be a whole number >= 0 (0 = no limit)` };
+    }
+    validated[field] = number;
+  }
+  return { rateLimits: validated };
+}
+
+async function getClientRateLimits(clientId) {
+  const key = clientId ? clientId.toString() : null;
+  const cached = key && limitsCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.limits;
+  }
+
+  let configured = {};
+  if (key && ObjectId.isValid(key)) {
+    await connectToMongo();
+    const clientDoc = await client.db("talkGlimpass").collection("client").findOne(
+      { _id: new ObjectId(key) },
+      { projection: { rateLimits: 1 } }
+    );
+    configured = clientDoc?.rateLimits || {};
+  }
+
+  const limits = {
+    callsPerMinute: configured.callsPerMinute ?? DEFAULT_CALLS_PER_MINUTE,
+    callsPerMinutePerNumber: configured.callsPerMinutePerNumber ?? DEFAULT_CALLS_PER_MINUTE_PER_NUMBER,
+    burst: configured.burst ?? null
+  };
+
+  if (key) {
+    limitsCache.set(key, { limits, expiresAt: Date.now() + LIMITS_CACHE_MS });
+  }
+  return limits;
+}
+
+/**
+ * Buckets a dial from `from` for `clientId` takes a token from under the given limits (disabled limits are skipped)
+ * @param {Object} limits - { callsPerMinute, callsPerMinutePerNumber, burst } (see getClientRateLimits)
+ * @param {Object} scope - { clientId, from }
+ * @param {number} globalCallsPerMinute - Platform-wide limit (0 = off)
+ * @returns {Array<{key: string, scope: string, ratePerMinute: number, capacity: number}>}
+ */
+function buildBuckets(limits, { clientId, from }, globalCallsPerMinute = GLOBAL_CALLS_PER_MINUTE) {
+  const buckets = [];
+
+  const addBucket = (key, scope, ratePerMinute, capacity) => {
+    if (ratePerMinute > 0) {
+      buckets.push({ key, scope, ratePerMinute, capacity: Math.max(capacity || ratePerMinute, 1) });
+    }
+  };
+
+  if (from) {
+    const fromKey = toE164(from) || String(from).replace(/\D/g, '');
+    addBucket(`from:${fromKey}`, 'from_number', limits.callsPerMinutePerNumber, limits.burst && Math.min(limits.burst, limits.callsPerMinutePerNumber));
+  }
+  if (clientId) {
+    addBucket(`client:${clientId}`, 'client', limits.callsPerMinute, limits.burst);
+  }
+  addBucket('global', 'global', globalCallsPerMinute, globalCallsPerMinute);
+
+  return buckets;
+}
+
+async function resolveBuckets(scope) {
+  const limits = await getClientRateLimits(scope.clientId);
+  return buildBuckets(limits, scope);
+}
+
+// =============================================================================
+// TOKEN BUCKET
+// =============================================================================
+
+// Time until a bucket holding `tokens` has refilled to one whole token
+function getRetryAfterMs(bucket, tokens) {
+  const refillPerMs = bucket.ratePerMinute / RATE_LIMIT_WINDOW;
+  return Math.max(Math.ceil((1 - tokens) / refillPerMs), 0);
+}
+
+/**
+ * Refill a bucket for the time since its last update and take one token if available
+ * @returns {Promise<{granted: boolean, retryAfterMs: number}>}
+ */
+async function takeToken(collection, bucket) {
+  const refillPerMs = bucket.ratePerMinute / RATE_LIMIT_WINDOW;
+  const pipeline = [
+    {
+      $set: {
+        tokens: {
+          $min: [
+            bucket.capacity,
+            {
+              $add: [
+                { $ifNull: ['$tokens', bucket.capacity] },
+                { $multiply: [{ $subtract: ['$$NOW', { $ifNull: ['$updatedAt', '$$NOW'] }] }, refillPerMs] }
+              ]
+            }
+          ]
+        },
+        capacity: bucket.capacity,
+        ratePerMinute: bucket.ratePerMinute,
+        updatedAt: '$$NOW'
+      }
+    },
+    { $set: { granted: { $gte: ['$tokens', 1] } } },
+    { $set: { tokens: { $cond: ['$granted', { $subtract: ['$tokens', 1] }, '$tokens'] } } }
+  ];
+
+  let result;
+  try {
+    result = await collection.findOneAndUpdate({ _id: bucket.key }, pipeline, { upsert: true, returnDocument: 'after' });
+  } catch (error) {
+    // Two containers creating the same bucket at once - the loser retries against the winner's document
+    if (error.code !== 11000) throw error;
+    result = await collection.findOneAndUpdate({ _id: bucket.key }, pipeline, { returnDocument: 'after' });
+  }
+
+  if (result.granted) {
+    return { granted: true, retryAfterMs: 0 };
+  }
+  return { granted: false, retryAfterMs: getRetryAfterMs(bucket, result.tokens) };
+}
+
+async function returnToken(collection, bucketKey) {
+  await collection.updateOne(
+    { _id: bucketKey },
+    [{ $set: { tokens: { $min: ['$capacity', { $add: ['$tokens', 1] }] } } }]
+  );
+}
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Take one dial token from every bucket that applies, or none of them
+ * @param {Object} scope - { clientId, from }
+ * @returns {Promise<{allowed: boolean, retryAfterMs?: number, limitedBy?: string, buckets?: string[]}>}
+ *   `buckets` is passed to refundCallToken when the call ends up not being dialed
+ */
+async function tryAcquireCallToken(scope) {
+  try {
+    const buckets = await resolveBuckets(scope);
+    if (buckets.length === 0) {
+      return { allowed: true, buckets: [] };
+    }
+
+    await connectToMongo();
+    const collection = client.db("talkGlimpass").collection(BUCKET_COLLECTION);
+    const taken = [];
+
+    for (const bucket of buckets) {
+      const result = await takeToken(collection, bucket);
+      if (!result.granted) {
+        await Promise.all(taken.map(key => returnToken(collection, key)));
+        return { allowed: false, retryAfterMs: result.retryAfterMs, limitedBy: bucket.scope };
+      }
+      taken.push(bucket.key);
+    }
+
+    return { allowed: true, buckets: taken };
+  } catch (error) {
+    // Never stop dialing because the limiter's store is unavailable
+    console.error('❌ Error acquiring call rate-limit token (allowing call):', error.message);
+    return { allowed: true, buckets: [], error: error.message };
+  }
+}
+
+/**
+ * Wait until a dial token is available
+ * @param {Object} scope - { clientId, from }
+ * @param {Object} options - { maxWaitMs } (default RATE_LIMIT_WINDOW)
+ * @returns {Promise<{allowed: boolean, waitedMs: number, limitedBy?: string, buckets?: string[]}>}
+ */
+async function waitForCallToken(scope, options = {}) {
+  const maxWaitMs = options.maxWaitMs ?? RATE_LIMIT_WINDOW;
+  const startedAt = Date.now();
+
+  while (true) {
+    const result = await tryAcquireCallToken(scope);
+    const waitedMs = Date.now() - startedAt;
+    if (result.allowed) {
+      return { ...result, waitedMs };
+    }
+
+    const remaining = maxWaitMs - waitedMs;
+    if (remaining <= 0) {
+      return { ...result, waitedMs };
+    }
+
+    // Small jitter so containers waiting on the same bucket don't all retry at the same instant
+    const delay = Math.min(Math.max(result.retryAfterMs, MIN_POLL_MS) + Math.floor(Math.random() * MIN_POLL_MS), remaining);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Give tokens back when the call was not dialed after all (DNC suppression, validation failure)
+ * @param {string[]} buckets - `buckets` from tryAcquireCallToken / waitForCallToken
+ */
+async function refundCallToken(buckets) {
+  if (!buckets || buckets.length === 0) return;
+  try {
+    await connectToMongo();
+    const collection = client.db("talkGlimpass").collection(BUCKET_COLLECTION);
+    await Promise.all(buckets.map(key => returnToken(collection, key)));
+  } catch (error) {
+    console.error('❌ Error refunding call rate-limit token:', error.message);
+  }
+}
+
+/**
+ * Current fill of a client's buckets (monitoring)
+ * @param {string} clientId - Client ID
+ * @returns {Promise<Object>} Standard service response
+ */
+async function getClientRateLimitStatus(clientId) {
+  try {
+    await connectToMongo();
+    const limits = await getClientRateLimits(clientId);
+    const buckets = await client.db("talkGlimpass").collection(BUCKET_COLLECTION)
+      .find({ _id: { $in: [`client:${clientId}`, 'global'] } })
+      .toArray();
+
+    return {
+      success: true,
+      status: 200,
+      message: 'Rate limit status retrieved successfully',
+      data: {
+        limits,
+        globalCallsPerMinute: GLOBAL_CALLS_PER_MINUTE,
+        windowMs: RATE_LIMIT_WINDOW,
+        buckets: buckets.map(bucket => ({
+          key: bucket._id,
+          tokens: Math.floor(bucket.tokens),
+          capacity: bucket.capacity,
+          ratePerMinute: bucket.ratePerMinute,
+          updatedAt: bucket.updatedAt
+        }))
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error fetching rate limit status:', error);
+    return { success: false, status: 500, message: 'Error fetching rate limit status', error: error.message };
+  }
+}
+
+// Drop a client's cached limits after its rateLimits change
+function clearRateLimitCache(clientId) {
+  if (clientId) limitsCache.delete(clientId.toString());
+}
+
+module.exports = {
+  RATE_LIMIT_WINDOW,
+  validateRateLimits,
+  buildBuckets,
+  getRetryAfterMs,
+  tryAcquireCallToken,
+  waitForCallToken,
+  refundCallToken,
+  getClientRateLimitStatus,
+  clearRateLimitCache
+};
@@ -0,0 +1,579 @@
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { toE164, parsePhoneNumber, resolveDefaultCountry } = require('../apps/helper/phoneNumber.js');
+const { DEFAULT_CALLING_TIMEZONE, getLocalParts, zonedTimeToUtc } = require('../apps/helper/callingHours.js');
+
+/**
+ * Caller-ID Pools
+ *
+ * Spreads a client's outbound dials over several from-numbers so no single number gets
+ * spam-flagged. Configured per client (client.callerIdPool):
+ *   { enabled, strategy, numbers: [{ number, region, provider }], dailyCapPerNumber, minAnswerRate, minCallsForHealth, benchHours }
+ * When `numbers` is empty the pool is every voice number validated on the client's telephony
+ * credentials (telephonyCredentials.validationResult.phoneNumbers) plus the numbers superadmin
+ * assigned to the client (phoneNumberAssignments).
+ *
+ * Strategies:
+ *   - round_robin           every number in turn (shared cursor in callerIdPoolCursors)
+ *   - least_recently_used   the number idle the longest
+ *   - local_presence        a number in the contact's region/circle (contact column circle|region|state),
+ *                           else the longest shared national prefix (area code), else least recently used
+ *
+ * Every pool number records the provider that owns it (credentials/assignment it came from, or the
+ * configured `provider`). A dial routed to an explicit provider only gets that provider's numbers -
+ * the provider rejects calls from numbers it doesn't own.
+ *
+ * Per-number state lives in `callerIdNumbers` (_id = <clientId>:<E.164>): daily dial count (day in
+ * DEFAULT_CALLING_TIMEZONE), last use and a rolling answer-rate window fed by hangup webhooks. A number
+ * whose answer rate drops below minAnswerRate is benched for benchHours and skipped until then.
+ *
+ * Campaigns, campaign retries and /api/single-call take their from-number from selectCallerId; the
+ * caller's own fromNumber is only used when the client has no pool.
+ */
+
+const NUMBER_COLLECTION = 'callerIdNumbers';
+const CURSOR_COLLECTION = 'callerIdPoolCursors';
+
+const STRATEGIES = ['round_robin', 'least_recently_used', 'local_presence'];
+const POOL_PROVIDERS = ['plivo', 'twilio', 'exotel', 'sip'];
+const DEFAULT_STRATEGY = 'round_robin';
+const DEFAULT_DAILY_CAP = parseInt(process.env.CALLER_ID_DAILY_CAP) || 0; // 0 = no cap
+const DEFAULT_MIN_ANSWER_RATE = parseFloat(process.env.CALLER_ID_MIN_ANSWER_RATE) || 0.15;
+const DEFAULT_MIN_CALLS_FOR_HEALTH = parseInt(process.env.CALLER_ID_HEALTH_MIN_CALLS) || 20;
+const DEFAULT_BENCH_HOURS = parseInt(process.env.CALLER_ID_BENCH_HOURS) || 24;
+const HEALTH_WINDOW_MS = (parseInt(process.env.CALLER_ID_HEALTH_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+const POOL_CACHE_MS = 30 * 1000;
+
+const CONTACT_REGION_FIELDS = ['circle', 'region', 'state'];
+
+// Resolved pools, cached briefly - campaigns ask for every contact
+const poolCache = new Map();
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Validate a client.callerIdPool object (superadmin/client updates)
+ * @param {Object|null} callerIdPool - Pool config (null = no pool)
+ * @returns {{callerIdPool?: Object|null, error?: string}}
+ */
+function validateCallerIdPool(callerIdPool) {
+  if (callerIdPool === null) return { callerIdPool: null };
+  if (typeof callerIdPool !== 'object' || Array.isArray(callerIdPool)) {
+    return { error: 'callerIdPool must be an object: { enabled, strategy, numbers, dailyCapPerNumber, minAnswerRate, minCallsForHealth, benchHours }' };
+  }
+
+  const allowed = ['enabled', 'strategy', 'numbers', 'dailyCapPerNumber', 'minAnswerRate', 'minCallsForHealth', 'benchHours'];
+  for (const field of Object.keys(callerIdPool)) {
+    if (!allowed.includes(field)) {
+      return { error: `Unknown callerIdPool field "${field}". Allowed: ${allowed.join(', ')}` };
+    }
+  }
+
+  const strategy = callerIdPool.strategy || DEFAULT_STRATEGY;
+  if (!STRATEGIES.includes(strategy)) {
+    return { error: `callerIdPool.strategy must be one of: ${STRATEGIES.join(', ')}` };
+  }
+
+  const validated = { enabled: callerIdPool.enabled !== false, strategy, numbers: [] };
+
+  for (const field of ['dailyCapPerNumber', 'minCallsForHealth', 'benchHours']) {
+    if (callerIdPool[field] === undefined || callerIdPool[field] === null) continue;
+    const number = Number(callerIdPool[field]);
+    if (!Number.isInteger(number) || number < 0) {
+      return { error: `callerIdPool.${field} must be a whole number >= 0` };
+    }
+    validated[field] = number;
+  }
+
+  if (callerIdPool.minAnswerRate !== undefined && callerIdPool.minAnswerRate !== null) {
+    const rate = Number(callerIdPool.minAnswerRate);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+      return { error: 'callerIdPool.minAnswerRate must be between 0 and 1 (0 = never bench)' };
+    }
+    validated.minAnswerRate = rate;
+  }
+
+  if (callerIdPool.numbers !== undefined && callerIdPool.numbers !== null) {
+    if (!Array.isArray(callerIdPool.numbers)) {
+      return { error: 'callerIdPool.numbers must be an array of { number, region, provider } (empty = all validated and assigned numbers)' };
+    }
+    const seen = new Set();
+    for (const entry of callerIdPool.numbers) {
+      const raw = typeof entry === 'object' && entry !== null ? entry.number : entry;
+      const e164 = toE164(raw);
+      if (!e164) {
+        return { error: `Invalid callerIdPool number: ${raw}` };
+      }
+      if (seen.has(e164)) continue;
+      seen.add(e164);
+      const provider = typeof entry === 'object' && entry?.provider ? String(entry.provider).toLowerCase() : null;
+      if (provider && !POOL_PROVIDERS.includes(provider)) {
+        return { error: `callerIdPool number ${raw}: provider must be one of ${POOL_PROVIDERS.join(', ')}` };
+      }
+      validated.numbers.push({
+        number: e164,
+        region: typeof entry === 'object' && entry?.region ? String(entry.region).trim() : null,
+        provider
+      });
+    }
+  }
+
+  return { callerIdPool: validated };
+}
+
+function withDefaults(config) {
+  return {
+    strategy: config.strategy || DEFAULT_STRATEGY,
+    dailyCapPerNumber: config.dailyCapPerNumber ?? DEFAULT_DAILY_CAP,
+    minAnswerRate: config.minAnswerRate ?? DEFAULT_MIN_ANSWER_RATE,
+    minCallsForHealth: config.minCallsForHealth ?? DEFAULT_MIN_CALLS_FOR_HEALTH,
+    benchHours: config.benchHours ?? DEFAULT_BENCH_HOURS
+  };
+}
+
+/**
+ * Voice numbers validated on the client's telephony credentials plus superadmin number assignments
+ * @returns {Promise<Array<{number: string, region: string|null, provider: string|null, source: string}>>}
+ */
+async function discoverClientNumbers(database, clientId, defaultCountry) {
+  const numbers = [];
+
+  const credentials = await database.collection("telephonyCredentials").find(
+    { clientId: new ObjectId(clientId), isActive: true },
+    { projection: { provider: 1, 'validationResult.phoneNumbers': 1 } }
+  ).toArray();
+  for (const credential of credentials) {
+    for (const phone of credential.validationResult?.phoneNumbers || []) {
+      if (phone.capabilities && phone.capabilities.voice === false) continue;
+      numbers.push({ number: phone.phoneNumber, region: phone.region || null, provider: credential.provider, source: `credentials:${credential.provider}` });
+    }
+  }
+
+  const assignments = await database.collection("phoneNumberAssignments").find(
+    { clientId: { $in: [clientId, new ObjectId(clientId)] } },
+    { projection: { number: 1, provider: 1 } }
+  ).toArray();
+  assignments.forEach(assignment => numbers.push({ number: assignment.number, region: null, provider: assignment.provider || null, source: 'assignment' }));
+
+  const byNumber = new Map();
+  for (const entry of numbers) {
+    const e164 = toE164(entry.number, defaultCountry);
+    if (e164 && !byNumber.has(e164)) {
+      byNumber.set(e164, { ...entry, number: e164 });
+    }
+  }
+  return [...byNumber.values()];
+}
+
+/**
+ * The client's pool (config + numbers), kept in step with callerIdNumbers
+ * @returns {Promise<{config: Object, numbers: Array, defaultCountry: string}|null>} null = client has no pool
+ */
+async function getCallerIdPool(clientId) {
+  const key = clientId ? clientId.toString() : null;
+  if (!key || !ObjectId.isValid(key)) return null;
+
+  const cached = poolCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.pool;
+  }
+
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+  const clientDoc = await database.collection("client").findOne(
+    { _id: new ObjectId(key) },
+    { projection: { callerIdPool: 1, defaultCountry: 1 } }
+  );
+
+  let pool = null;
+  if (clientDoc?.callerIdPool?.enabled) {
+    const defaultCountry = resolveDefaultCountry(clientDoc);
+    const configured = clientDoc.callerIdPool.numbers || [];
+    let numbers;
+    if (configured.length > 0) {
+      // Configured numbers without a provider take it from the credentials/assignment that owns them
+      const needsOwner = configured.some(entry => !entry.provider);
+      const owners = needsOwner
+        ? new Map((await discoverClientNumbers(database, key, defaultCountry)).map(entry => [entry.number, entry.provider]))
+        : new Map();
+      numbers = configured.map(entry => ({
+        number: entry.number,
+        region: entry.region || null,
+        provider: entry.provider || owners.get(entry.number) || null,
+        source: 'configured'
+      }));
+    } else {
+      numbers = await discoverClientNumbers(database, key, defaultCountry);
+    }
+
+    if (numbers.length === 0) {
+      console.warn(`⚠️ Caller-ID pool enabled for client ${key} but it has no numbers - using the caller's fromNumber`);
+    } else {
+      await syncPoolNumbers(database.collection(NUMBER_COLLECTION), key, numbers);
+      pool = { config: withDefaults(clientDoc.callerIdPool), numbers, defaultCountry };
+    }
+  }
+
+  poolCache.set(key, { pool, expiresAt: Date.now() + POOL_CACHE_MS });
+  return pool;
+}
+
+async function syncPoolNumbers(collection, clientId, numbers) {
+  const now = new Date();
+  await collection.bulkWrite(numbers.map(entry => ({
+    updateOne: {
+      filter: { _id: `${clientId}:${entry.number}` },
+      update: {
+        $set: { region: entry.region, provider: entry.provider || null, source: entry.source, inPool: true },
+        $setOnInsert: {
+          clientId,
+          number: entry.number,
+          lastUsedAt: null,
+          dailyDate: null,
+          dailyCount: 0,
+          totalCalls: 0,
+          health: { windowStart: now, calls: 0, answered: 0 },
+          benchedUntil: null,
+          createdAt: now
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  // Numbers taken out of the pool keep their history but are no longer dialed from
+  await collection.updateMany(
+    { clientId, inPool: true, number: { $nin: numbers.map(entry => entry.number) } },
+    { $set: { inPool: false } }
+  );
+}
+
+// Drop a client's cached pool after its callerIdPool changes
+function clearCallerIdPoolCache(clientId) {
+  if (clientId) poolCache.delete(clientId.toString());
+}
+
+// =============================================================================
+// SELECTION
+// =============================================================================
+
+// Calendar day used for daily caps
+function getDayKey(date) {
+  const parts = getLocalParts(date, DEFAULT_CALLING_TIMEZONE);
+  return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+function getNextDayStart(date) {
+  const parts = getLocalParts(date, DEFAULT_CALLING_TIMEZONE);
+  const tomorrow = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + 1));
+  return zonedTimeToUtc(tomorrow.getUTCFullYear(), tomorrow.getUTCMonth() + 1, tomorrow.getUTCDate(), 0, 0, DEFAULT_CALLING_TIMEZONE);
+}
+
+const byLeastRecentlyUsed = (a, b) => (a.lastUsedAt ? a.lastUsedAt.getTime() : 0) - (b.lastUsedAt ? b.lastUsedAt.getTime() : 0);
+
+// How close a pool number is to the contact: region match beats shared national prefix (area code)
+function localPresenceScore(state, contactRegion, contactNumber) {
+  // Provider regions read like "Mumbai, INDIA" - a contact circle of "mumbai" matches either way round
+  const numberRegion = state.region ? state.region.toLowerCase() : null;
+  if (contactRegion && numberRegion && (numberRegion.includes(contactRegion) || contactRegion.includes(numberRegion))) {
+    return 100;
+  }
+  if (!contactNumber?.valid || !contactNumber.nationalNumber) return 0;
+  const poolNumber = parsePhoneNumber(state.number);
+  if (!poolNumber.valid || poolNumber.callingCode !== contactNumber.callingCode) return 0;
+
+  let shared = 0;
+  while (shared < poolNumber.nationalNumber.length && poolNumber.nationalNumber[shared] === contactNumber.nationalNumber[shared]) {
+    shared++;
+  }
+  return 1 + shared;
+}
+
+async function orderCandidates(database, clientId, strategy, candidates, { to, contactData, defaultCountry }) {
+  if (strategy === 'least_recently_used') {
+    return [...candidates].sort(byLeastRecentlyUsed);
+  }
+
+  if (strategy === 'local_presence') {
+    const regionField = CONTACT_REGION_FIELDS.find(field => contactData?.[field]);
+    const contactRegion = regionField ? String(contactData[regionField]).trim().toLowerCase() : null;
+    const contactNumber = to ? parsePhoneNumber(to, defaultCountry) : null;
+    return candidates
+      .map(state => ({ state, score: localPresenceScore(state, contactRegion, contactNumber) }))
+      .sort((a, b) => (b.score - a.score) || byLeastRecentlyUsed(a.state, b.state))
+      .map(entry => entry.state);
+  }
+
+  // round_robin: one shared cursor per client so every container continues the same rotation
+  const cursor = await database.collection(CURSOR_COLLECTION).findOneAndUpdate(
+    { _id: clientId },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  const sorted = [...candidates].sort((a, b) => a.number.localeCompare(b.number));
+  const start = (cursor?.seq || 0) % sorted.length;
+  return [...sorted.slice(start), ...sorted.slice(0, start)];
+}
+
+/**
+ * Pick (and count) the from-number for one outbound dial
+ * @param {string} clientId - Client ID
+ * @param {Object} options - { to, contactData, fallbackFrom, provider }
+ *   provider: the provider that will place the call when it is fixed (campaign/request provider) -
+ *   only numbers it owns are picked. Without it the from-number decides the routing.
+ * @returns {Promise<{success: boolean, from?: string, pooled?: boolean, strategy?: string, exhausted?: boolean, retryAt?: Date, reason?: string}>}
+ *   pooled = false means the client has no pool (or no pool number for the provider) and `from` is
+ *   fallbackFrom. Pass the result to releaseCallerId when the call ends up not being dialed.
+ */
+async function selectCallerId(clientId, options = {}) {
+  const { to = null, contactData = null, fallbackFrom = null } = options;
+  const provider = options.provider ? String(options.provider).toLowerCase() : null;
+
+  try {
+    const pool = await getCallerIdPool(clientId);
+    if (!pool) {
+      return { success: true, from: fallbackFrom, pooled: false };
+    }
+
+    await connectToMongo();
+    const key = clientId.toString();
+    const { config } = pool;
+    const now = new Date();
+    const today = getDayKey(now);
+    const cap = config.dailyCapPerNumber;
+
+    const database = client.db("talkGlimpass");
+    const collection = database.collection(NUMBER_COLLECTION);
+    const filter = { clientId: key, inPool: true };
+    if (provider) filter.provider = provider;
+    const states = await collection.find(filter).toArray();
+    if (states.length === 0) {
+      console.warn(`⚠️ Caller-ID pool of client ${key} has no ${provider} numbers - using the caller's fromNumber`);
+      return { success: true, from: fallbackFrom, pooled: false, reason: 'no_pool_numbers_for_provider' };
+    }
+
+    const isCapped = (state) => cap > 0 && state.dailyDate === today && state.dailyCount >= cap;
+    const isBenched = (state) => state.benchedUntil && state.benchedUntil > now;
+    const available = states.filter(state => !isCapped(state) && !isBenched(state));
+
+    if (available.length > 0) {
+      const ordered = await orderCandidates(database, key, config.strategy, available, { to, contactData, defaultCountry: pool.defaultCountry });
+
+      for (const candidate of ordered) {
+        // Atomic claim - another container may have used up the number's cap or benched it meanwhile
+        const filter = { _id: candidate._id, inPool: true, $or: [{ benchedUntil: null }, { benchedUntil: { $lte: now } }] };
+        if (cap > 0) {
+          filter.$and = [{ $or: [{ dailyDate: { $ne: today } }, { dailyCount: { $lt: cap } }] }];
+        }
+        const claimed = await collection.findOneAndUpdate(
+          filter,
+          [{
+            $set: {
+              dailyCount: { $cond: [{ $eq: ['$dailyDate', today] }, { $add: ['$dailyCount', 1] }, 1] },
+              dailyDate: today,
+              totalCalls: { $add: [{ $ifNull: ['$totalCalls', 0] }, 1] },
+              lastUsedAt: '$$NOW'
+            }
+          }],
+          { returnDocument: 'after' }
+        );
+        if (claimed) {
+          return { success: true, from: claimed.number, pooled: true, strategy: config.strategy, callerIdKey: claimed._id, dayKey: today };
+        }
+      }
+    }
+
+    // Nothing usable until a bench expires or the daily caps reset
+    const benchEnds = states.filter(isBenched).map(state => state.benchedUntil.getTime());
+    const capReset = states.some(isCapped) ? [getNextDayStart(now).getTime()] : [];
+    const retryAt = [...benchEnds, ...capReset].length > 0 ? new Date(Math.min(...benchEnds, ...capReset)) : new Date(now.getTime() + POOL_CACHE_MS);
+    console.log(`📵 Caller-ID pool exhausted for client ${key}: ${states.length} numbers, ${states.filter(isBenched).length} benched, ${states.filter(isCapped).length} at daily cap`);
+    return { success: false, exhausted: true, retryAt, reason: 'caller_id_pool_exhausted' };
+  } catch (error) {
+    // Never stop dialing because the pool's store is unavailable
+    console.error('❌ Error selecting caller ID (using fromNumber):', error.message);
+    return { success: true, from: fallbackFrom, pooled: false, error: error.message };
+  }
+}
+
+/**
+ * Give the daily slot back when the call was not dialed after all (rate limit, DNC suppression)
+ * @param {Object} selection - Result of selectCallerId
+ */
+async function releaseCallerId(selection) {
+  if (!selection?.pooled || !selection.callerIdKey) return;
+  try {
+    await connectToMongo();
+    await client.db("talkGlimpass").collection(NUMBER_COLLECTION).updateOne(
+      { _id: selection.callerIdKey, dailyDate: selection.dayKey, dailyCount: { $gt: 0 } },
+      { $inc: { dailyCount: -1, totalCalls: -1 } }
+    );
+  } catch (error) {
+    console.error('❌ Error releasing caller ID:', error.message);
+  }
+}
+
+// =============================================================================
+// HEALTH
+// =============================================================================
+
+/**
+ * Feed a finished call into its from-number's answer rate; benches the number when the rate drops
+ * below the pool's minAnswerRate. Numbers outside the client's pool are ignored.
+ * @param {Object} outcome - { clientId, from, answered }
+ */
+async function recordCallerIdOutcome({ clientId, from, answered }) {
+  try {
+    if (!clientId || !from) return;
+    const pool = await getCallerIdPool(clientId);
+    if (!pool) return;
+
+    const key = clientId.toString();
+    const number = toE164(from, pool.defaultCountry);
+    if (!number) return;
+
+    await connectToMongo();
+    const collection = client.db("talkGlimpass").collection(NUMBER_COLLECTION);
+    const windowStale = { $lt: [{ $ifNull: ['$health.windowStart', new Date(0)] }, new Date(Date.now() - HEALTH_WINDOW_MS)] };
+    const state = await collection.findOneAndUpdate(
+      { _id: `${key}:${number}` },
+      [{
+        $set: {
+          health: {
+            windowStart: { $cond: [windowStale, '$$NOW', '$health.windowStart'] },
+            calls: { $add: [{ $cond: [windowStale, 0, { $ifNull: ['$health.calls', 0] }] }, 1] },
+            answered: { $add: [{ $cond: [windowStale, 0, { $ifNull: ['$health.answered', 0] }] }, answered ? 1 : 0] }
+          }
+        }
+      }],
+      { returnDocument: 'after' }
+    );
+    if (!state) return;
+
+    const { minAnswerRate, minCallsForHealth, benchHours } = pool.config;
+    const answerRate = state.health.calls > 0 ? state.health.answered / state.health.calls : 1;
+    if (minAnswerRate > 0 && benchHours > 0 && state.health.calls >= minCallsForHealth && answerRate < minAnswerRate) {
+      const now = new Date();
+      const benched = await collection.updateOne(
+        { _id: state._id, $or: [{ benchedUntil: null }, { benchedUntil: { $lte: now } }] },
+        {
+          $set: {
+            benchedUntil: new Date(now.getTime() + benchHours * 60 * 60 * 1000),
+            benchedAt: now,
+            benchReason: 'low_answer_rate',
+            benchAnswerRate: Math.round(answerRate * 10000) / 10000,
+            // Fresh window once the bench ends
+            health: { windowStart: now, calls: 0, answered: 0 }
+          }
+        }
+      );
+      if (benched.modifiedCount > 0) {
+        console.log(`🪑 Caller ID ${number} benched for ${benchHours}h (client ${key}): answer rate ${Math.round(answerRate * 100)}% over ${state.health.calls} calls`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error recording caller ID outcome:', error.message);
+  }
+}
+
+// =============================================================================
+// ADMIN
+// =============================================================================
+
+/**
+ * Pool config and per-number usage/health (monitoring)
+ * @param {string} clientId - Client ID
+ * @returns {Promise<Object>} Standard service response
+ */
+async function getCallerIdPoolStatus(clientId) {
+  try {
+    clearCallerIdPoolCache(clientId);
+    const pool = await getCallerIdPool(clientId);
+    if (!pool) {
+      return { success: true, status: 200, message: 'Client has no caller-ID pool', data: { enabled: false, numbers: [] } };
+    }
+
+    const now = new Date();
+    const today = getDayKey(now);
+    const states = await client.db("talkGlimpass").collection(NUMBER_COLLECTION)
+      .find({ clientId: clientId.toString(), inPool: true })
+      .sort({ number: 1 })
+      .toArray();
+
+    return {
+      success: true,
+      status: 200,
+      message: 'Caller-ID pool retrieved successfully',
+      data: {
+        enabled: true,
+        ...pool.config,
+        numbers: states.map(state => ({
+          number: state.number,
+          region: state.region,
+          source: state.source,
+          callsToday: state.dailyDate === today ? state.dailyCount : 0,
+          capReached: pool.config.dailyCapPerNumber > 0 && state.dailyDate === today && state.dailyCount >= pool.config.dailyCapPerNumber,
+          lastUsedAt: state.lastUsedAt,
+          totalCalls: state.totalCalls || 0,
+          health: {
+            calls: state.health?.calls || 0,
+            answered: state.health?.answered || 0,
+            answerRate: state.health?.calls ? Math.round((state.health.answered / state.health.calls) * 10000) / 100 : null,
+            windowStart: state.health?.windowStart || null
+          },
+          benched: Boolean(state.benchedUntil && state.benchedUntil > now),
+          benchedUntil: state.benchedUntil && state.benchedUntil > now ? state.benchedUntil : null,
+          benchReason: state.benchedUntil && state.benchedUntil > now ? state.benchReason : null
+        }))
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error fetching caller-ID pool:', error);
+    return { success: false, status: 500, message: 'Error fetching caller-ID pool', error: error.message };
+  }
+}
+
+/**
+ * Put a benched number back into rotation
+ * @param {string} clientId - Client ID
+ * @param {string} number - Pool number (any format)
+ * @returns {Promise<Object>} Standard service response
+ */
+async function unbenchCallerId(clientId, number) {
+  try {
+    const e164 = toE164(number);
+    if (!e164) {
+      return { success: false, status: 400, message: `Invalid number: ${number}` };
+    }
+
+    await connectToMongo();
+    const result = await client.db("talkGlimpass").collection(NUMBER_COLLECTION).updateOne(
+      { _id: `${clientId}:${e164}` },
+      {
+        $set: { benchedUntil: null, benchReason: null, health: { windowStart: new Date(), calls: 0, answered: 0 } }
+      }
+    );
+    if (result.matchedCount === 0) {
+      return { success: false, status: 404, message: `${e164} is not in the client's caller-ID pool` };
+    }
+
+    console.log(`✅ Caller ID ${e164} returned to rotation (client ${clientId})`);
+    return { success: true, status: 200, message: 'Number returned to rotation', data: { number: e164 } };
+  } catch (error) {
+    console.error('❌ Error unbenching caller ID:', error);
+    return { success: false, status: 500, message: 'Error unbenching caller ID', error: error.message };
+  }
+}
+
+module.exports = {
+  STRATEGIES,
+  validateCallerIdPool,
+  clearCallerIdPoolCache,
+  selectCallerId,
+  releaseCallerId,
+  recordCallerIdOutcome,
+  getCallerIdPoolStatus,
+  unbenchCallerId
+};
@@ -0,0 +1,482 @@
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { ObjectId } = require('mongodb');
+const { evaluateRetry } = require('../apps/helper/retryPolicy.js');
+const { checkContactCallingWindow } = require('../apps/helper/callingHours.js');
+const { extractAssistantId, assignVariant } = require('../apps/helper/campaignVariants.js');
+const { MACHINE_DETECTED_CAUSE, buildAmdRetryPolicy } = require('../apps/helper/answeringMachine.js');
+
+/**
+ * Campaign Retry Service
+ *
+ * Automatic re-dials for campaign contacts that were not reached:
+ * - Hangup webhooks (Plivo hangup-url, Twilio status-callback) call scheduleCampaignRetry,
+ *   which applies the campaign's retryPolicy and queues the next attempt
+ * - the campaign-retries background job drains due entries via processDueCampaignRetries
+ *
+ * Queue entries live in `campaignRetryQueue`, one per finished attempt (keyed by
+ * previousCallUUID so webhook retries never double-schedule). Each dial carries its
+ * attemptNumber (and A/B variantId) onto activeCalls and plivoHangupData.
+ * Calls that reached an answering machine on a campaign whose amd.action is 'retry' are
+ * queued under the MACHINE_DETECTED cause with amd.retryDelay, even without a retryPolicy.
+ * Dials the provider API rejected never get a hangup webhook - processSingleCall queues those
+ * itself under the FAILED cause.
+ * Campaign contacts outside their calling window are queued as a first attempt under the
+ * OUTSIDE_CALLING_HOURS cause (deferCampaignContact), so the campaign can move on to contacts
+ * that may be dialed now.
+ */
+
+const RETRY_COLLECTION = 'campaignRetryQueue';
+const OPEN_RETRY_STATUSES = ['pending', 'processing'];
+const OUTSIDE_CALLING_HOURS_CAUSE = 'OUTSIDE_CALLING_HOURS';
+const RETRY_DEFER_MS = parseInt(process.env.RETRY_DEFER_MS) || 15 * 60 * 1000;
+// Lease on a 'processing' retry, renewed every third of it while the dial is in progress;
+// a lease that ran out means the container died between the claim and the dial
+const RETRY_LEASE_MS = parseInt(process.env.RETRY_LEASE_MS) || 2 * 60 * 1000;
+const LEGACY_CLAIM_STALE_MS = 45 * 60 * 1000;
+
+// =============================================================================
+// SCHEDULING
+// =============================================================================
+
+/**
+ * Queue the next attempt for a finished campaign call when the retry policy allows it
+ * @param {Object} outcome - { callUUID, campaignId, hangupCause, duration }
+ * @returns {Promise<{success: boolean, scheduled: boolean, reason?: string, executeAt?: Date, attemptNumber?: number, error?: string}>}
+ */
+async function scheduleCampaignRetry(outcome) {
+  try {
+    const { callUUID, hangupCause, duration } = outcome;
+    const campaignId = outcome.campaignId?.toString();
+
+    if (!callUUID || !campaignId || !ObjectId.isValid(campaignId)) {
+      return { success: true, scheduled: false, reason: 'not_campaign_call' };
+    }
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    const campaign = await database.collection("plivoCampaign").findOne(
+      { _id: new ObjectId(campaignId) },
+      { projection: { status: 1, clientId: 1, retryPolicy: 1, callingHours: 1, amd: 1 } }
+    );
+
+    const amdRetry = Boolean(campaign?.amd?.enabled && campaign.amd.action === 'retry');
+    if (!campaign || (!campaign.retryPolicy?.enabled && !amdRetry)) {
+      return { success: true, scheduled: false, reason: 'policy_disabled' };
+    }
+
+    if (['cancelled', 'failed'].includes(campaign.status)) {
+      return { success: true, scheduled: false, reason: `campaign_${campaign.status}` };
+    }
+
+    const callRecord = await database.collection("activeCalls").findOne(
+      { callUUID },
+      { projection: { attemptNumber: 1, to: 1, from: 1, firstName: 1, listId: 1, contactIndex: 1, contactData: 1, variantId: 1, amdResult: 1 } }
+    );
+
+    if (!callRecord) {
+      return { success: true, scheduled: false, reason: 'call_not_tracked' };
+    }
+
+    // A machine answered (and we hung up on it) - the talk time doesn't mean the contact was reached
+    const machineRetry = amdRetry && callRecord.amdResult === 'machine';
+    const retryPolicy = machineRetry ? buildAmdRetryPolicy(campaign.retryPolicy, campaign.amd) : campaign.retryPolicy;
+
+    const decision = evaluateRetry(retryPolicy, {
+      hangupCause: machineRetry ? MACHINE_DETECTED_CAUSE : hangupCause,
+      duration: machineRetry ? 0 : duration,
+      attemptNumber: callRecord.attemptNumber
+    });
+
+    if (!decision.retry) {
+      console.log(`🔁 No retry for ${callRecord.to} (campaign ${campaignId}, cause ${decision.cause || hangupCause || 'unknown'}): ${decision.reason}`);
+      return { success: true, scheduled: false, reason: decision.reason };
+    }
+
+    // Land the retry inside the contact's calling window
+    const contact = callRecord.contactData || { number: callRecord.to };
+    let executeAt = decision.executeAt;
+    const windowCheck = checkContactCallingWindow(campaign.callingHours, contact, executeAt);
+    if (!windowCheck.allowed && windowCheck.nextWindowAt) {
+      executeAt = windowCheck.nextWindowAt;
+    }
+
+    const now = new Date();
+    const result = await database.collection(RETRY_COLLECTION).updateOne(
+      { previousCallUUID: callUUID },
+      {
+        $setOnInsert: {
+          campaignId,
+          clientId: campaign.clientId?.toString(),
+          previousCallUUID: callUUID,
+          to: callRecord.to,
+          from: callRecord.from,
+          firstName: callRecord.firstName || '',
+          listId: callRecord.listId || null,
+          contactIndex: callRecord.contactIndex ?? null,
+          contactData: contact,
+          variantId: callRecord.variantId || null,
+          attemptNumber: decision.nextAttempt,
+          hangupCause: decision.cause,
+          rawHangupCause: hangupCause || null,
+          executeAt,
+          status: 'pending',
+          callUUID: null,
+          error: null,
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount === 0) {
+      return { success: true, scheduled: false, reason: 'already_scheduled' };
+    }
+
+    console.log(`🔁 Retry scheduled: ${callRecord.to} attempt ${decision.nextAttempt}/${retryPolicy.maxAttempts} at ${executeAt.toISOString()} (campaign ${campaignId}, cause ${decision.cause})`);
+    return { success: true, scheduled: true, executeAt, attemptNumber: decision.nextAttempt };
+  } catch (error) {
+    console.error('❌ Error scheduling campaign retry:', error);
+    return { success: false, scheduled: false, error: error.message };
+  }
+}
+
+/**
+ * Queue a campaign contact that is outside its calling window for when the window opens
+ * Keyed per campaign and contact index, so a restarted campaign never queues it twice.
+ * @param {Object} deferral - { campaignId, clientId, contact, contactIndex, from, listId, executeAt }
+ * @returns {Promise<{success: boolean, scheduled: boolean, reason?: string, error?: string}>}
+ */
+async function deferCampaignContact(deferral) {
+  try {
+    const { contact, contactIndex, executeAt } = deferral;
+    const campaignId = deferral.campaignId.toString();
+
+    await connectToMongo();
+    const now = new Date();
+    const result = await client.db("talkGlimpass").collection(RETRY_COLLECTION).updateOne(
+      { previousCallUUID: `DEFERRED_${campaignId}_${contactIndex}` },
+      {
+        $setOnInsert: {
+          campaignId,
+          clientId: deferral.clientId?.toString(),
+          previousCallUUID: `DEFERRED_${campaignId}_${contactIndex}`,
+          deferred: true,
+          to: contact.number,
+          from: deferral.from || null,
+          firstName: contact.first_name || '',
+          listId: deferral.listId || null,
+          contactIndex,
+          contactData: contact,
+          variantId: null,
+          attemptNumber: 1,
+          hangupCause: OUTSIDE_CALLING_HOURS_CAUSE,
+          rawHangupCause: null,
+          executeAt,
+          status: 'pending',
+          callUUID: null,
+          error: null,
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount === 0) {
+      return { success: true, scheduled: false, reason: 'already_scheduled' };
+    }
+    return { success: true, scheduled: true };
+  } catch (error) {
+    console.error('❌ Error deferring campaign contact:', error);
+    return { success: false, scheduled: false, error: error.message };
+  }
+}
+
+// =============================================================================
+// EXECUTION
+// =============================================================================
+
+async function updateRetryEntry(collection, retryId, fields) {
+  await collection.updateOne(
+    { _id: retryId },
+    { $set: { ...fields, updatedAt: new Date() } }
+  );
+}
+
+// Due pending retries, plus retries whose claim lease ran out (a dead container claimed them and never finished)
+function claimableRetryFilter() {
+  return {
+    $or: [
+      { status: 'pending', executeAt: { $lte: new Date() } },
+      { status: 'processing', leaseExpiresAt: { $lt: new Date() } },
+      // Claimed before claims carried a lease
+      { status: 'processing', leaseExpiresAt: { $exists: false }, updatedAt: { $lt: new Date(Date.now() - LEGACY_CLAIM_STALE_MS) } }
+    ]
+  };
+}
+
+// Keep extending a claimed retry's lease until stop() - the dial can wait a long time for a slot
+function renewRetryLease(collection, retryId, claimId) {
+  const timer = setInterval(async () => {
+    try {
+      await collection.updateOne(
+        { _id: retryId, claimId, status: 'processing' },
+        { $set: { leaseExpiresAt: new Date(Date.now() + RETRY_LEASE_MS) } }
+      );
+    } catch (error) {
+      console.error(`❌ Error renewing lease on campaign retry ${retryId}:`, error.message);
+    }
+  }, Math.max(Math.floor(RETRY_LEASE_MS / 3), 1000));
+  return () => clearInterval(timer);
+}
+
+/**
+ * Dial every retry whose executeAt has passed
+ * Paused/scheduled campaigns and contacts outside their calling window are deferred;
+ * retries for cancelled/failed campaigns are dropped. Each claim holds a lease the worker renews
+ * while it dials; retries whose lease ran out are claimed again so campaigns don't wait on them forever.
+ * @param {Object} options - { limit } max entries per run, { isLeaseLost } stops between entries
+ *   once the job lease is gone
+ * @returns {Promise<{executed: number, failed: number, deferred: number, cancelled: number}>}
+ */
+async function processDueCampaignRetries({ limit = parseInt(process.env.RETRY_BATCH_SIZE) || 20, isLeaseLost = () => false } = {}) {
+  const summary = { executed: 0, failed: 0, deferred: 0, cancelled: 0 };
+
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+  const retryCollection = database.collection(RETRY_COLLECTION);
+  const campaignCollection = database.collection("plivoCampaign");
+
+  const dueRetries = await retryCollection
+    .find(claimableRetryFilter())
+    .sort({ executeAt: 1 })
+    .limit(limit)
+    .toArray();
+
+  if (dueRetries.length === 0) {
+    return summary;
+  }
+
+  console.log(`🔁 Found ${dueRetries.length} campaign retries due`);
+  const { processSingleCall } = require('../apps/helper/activeCalls.js');
+  const { tryAcquireCallToken, refundCallToken } = require('./callRateLimitService.js');
+  const { selectCallerId, releaseCallerId } = require('./callerIdPoolService.js');
+
+  for (const retry of dueRetries) {
+    if (isLeaseLost()) {
+      console.warn('⚠️  campaign-retries lease lost - leaving the remaining retries to the new owner');
+      break;
+    }
+
+    // Atomic claim so only one container dials each retry
+    const claimId = new ObjectId();
+    const claim = await retryCollection.findOneAndUpdate(
+      { _id: retry._id, ...claimableRetryFilter() },
+      { $set: { status: 'processing', claimId, leaseExpiresAt: new Date(Date.now() + RETRY_LEASE_MS), updatedAt: new Date() } }
+    );
+    if (!claim) continue;
+
+    const stopLeaseRenewal = renewRetryLease(retryCollection, retry._id, claimId);
+    try {
+      const campaign = await campaignCollection.findOne({ _id: new ObjectId(retry.campaignId) });
+
+      if (!campaign || ['cancelled', 'failed'].includes(campaign.status)) {
+        await updateRetryEntry(retryCollection, retry._id, { status: 'cancelled', error: `campaign_${campaign?.status || 'not_found'}` });
+        summary.cancelled++;
+        continue;
+      }
+
+      if (['paused', 'scheduled'].includes(campaign.status)) {
+        await updateRetryEntry(retryCollection, retry._id, { status: 'pending', executeAt: new Date(Date.now() + RETRY_DEFER_MS) });
+        summary.deferred++;
+        continue;
+      }
+
+      const windowCheck = checkContactCallingWindow(campaign.callingHours, retry.contactData);
+      if (!windowCheck.allowed) {
+        const nextWindowAt = windowCheck.nextWindowAt || new Date(Date.now() + RETRY_DEFER_MS);
+        await updateRetryEntry(retryCollection, retry._id, { status: 'pending', executeAt: nextWindowAt });
+        summary.deferred++;
+        continue;
+      }
+
+      // Retries draw from the client's caller-ID pool like the campaign itself
+      const callerId = await selectCallerId(campaign.clientId, { to: retry.to, contactData: retry.contactData, fallbackFrom: campaign.fromNumber, provider: campaign.provider });
+      if (!callerId.success) {
+        await updateRetryEntry(retryCollection, retry._id, { status: 'pending', executeAt: callerId.retryAt });
+        summary.deferred++;
+        continue;
+      }
+
+      // Retries share the campaign's call rate limit
+      const rateToken = await tryAcquireCallToken({ clientId: campaign.clientId, from: callerId.from });
+      if (!rateToken.allowed) {
+        await releaseCallerId(callerId);
+        await updateRetryEntry(retryCollection, retry._id, { status: 'pending', executeAt: new Date(Date.now() + rateToken.retryAfterMs) });
+        summary.deferred++;
+        continue;
+      }
+
+      // Retries stay on the contact's A/B variant; same assistant extraction as processEnhancedCampaign (wss://.../chat/v2/{assistantId})
+      const variant = (campaign.variants || []).find(entry => entry.variantId === retry.variantId)
+        || assignVariant(campaign.variants, retry.campaignId, retry.to);
+      const wssUrl = variant ? variant.wssUrl : campaign.wssUrl;
+      const assistantId = extractAssistantId(wssUrl) || retry.contactData?.tag || '';
+
+      const callResult = await processSingleCall({
+        clientId: campaign.clientId,
+        campaignId: retry.campaignId,
+        from: callerId.from,
+        to: retry.to,
+        wssUrl,
+        firstName: retry.firstName || retry.contactData?.first_name || '',
+        email: retry.contactData?.email || '',
+        tag: assistantId,
+        listId: retry.listId || campaign.listId,
+        provider: campaign.provider,
+        contactIndex: retry.contactIndex,
+        sequenceNumber: retry.contactIndex !== null && retry.contactIndex !== undefined ? retry.contactIndex + 1 : null,
+        contactData: retry.contactData,
+        dynamicFields: retry.contactData,
+        attemptNumber: retry.attemptNumber,
+        retryOf: retry.deferred ? null : retry.previousCallUUID,
+        variantId: variant?.variantId || null,
+        amd: campaign.amd?.enabled ? campaign.amd : null
+      });
+
+      if (callResult.success) {
+        await updateRetryEntry(retryCollection, retry._id, { status: 'executed', callUUID: callResult.callUUID });
+        summary.executed++;
+        console.log(`✅ Retry attempt ${retry.attemptNumber} dialed: ${retry.to} (${callResult.callUUID})`);
+      } else if (callResult.suppressed) {
+        await refundCallToken(rateToken.buckets);
+        await releaseCallerId(callerId);
+        await updateRetryEntry(retryCollection, retry._id, { status: 'suppressed', error: 'dnc_suppressed' });
+        summary.cancelled++;
+      } else if (callResult.shouldPauseCampaign || callResult.dncUnavailable) {
+        // Overloaded, out of balance or DNC registry down - try again later rather than burning the attempt
+        await refundCallToken(rateToken.buckets);
+        await releaseCallerId(callerId);
+        await updateRetryEntry(retryCollection, retry._id, {
+          status: 'pending',
+          executeAt: new Date(Date.now() + RETRY_DEFER_MS),
+          error: callResult.error
+        });
+        summary.deferred++;
+      } else {
+        // processSingleCall queues the next attempt for provider API failures
+        await updateRetryEntry(retryCollection, retry._id, { status: 'failed', callUUID: callResult.callUUID || null, error: callResult.error });
+        summary.failed++;
+        console.error(`❌ Retry attempt ${retry.attemptNumber} failed: ${retry.to} - ${callResult.error}`);
+      }
+    } catch (error) {
+      summary.failed++;
+      await updateRetryEntry(retryCollection, retry._id, { status: 'failed', error: error.message }).catch(() => {});
+      console.error(`❌ Campaign retry error for ${retry.to}:`, error.message);
+    } finally {
+      stopLeaseRenewal();
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Drop every open retry for a campaign (used when the campaign is cancelled)
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<{success: boolean, cancelledCount?: number, error?: string}>}
+ */
+async function cancelPendingRetries(campaignId) {
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    const result = await database.collection(RETRY_COLLECTION).updateMany(
+      { campaignId: campaignId.toString(), status: 'pending' },
+      { $set: { status: 'cancelled', error: 'campaign_cancelled', updatedAt: new Date() } }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`🛑 Cancelled ${result.modifiedCount} pending retries for campaign ${campaignId}`);
+    }
+    return { success: true, cancelledCount: result.modifiedCount };
+  } catch (error) {
+    console.error(`❌ Error cancelling retries for campaign ${campaignId}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// =============================================================================
+// REPORTING
+// =============================================================================
+
+/**
+ * Count open (pending/processing) retries for a campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<number>}
+ */
+async function countOpenRetries(campaignId) {
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+  return database.collection(RETRY_COLLECTION).countDocuments({
+    campaignId: campaignId.toString(),
+    status: { $in: OPEN_RETRY_STATUSES }
+  });
+}
+
+/**
+ * Attempt breakdown and retry queue state for a campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<{attempts: Array<{attemptNumber: number, calls: number}>, queue: Object, nextRetryAt: Date|null}>}
+ */
+async function getRetryStatsByCampaign(campaignId) {
+  const stats = {
+    attempts: [],
+    queue: { pending: 0, processing: 0, executed: 0, failed: 0, suppressed: 0, cancelled: 0 },
+    nextRetryAt: null
+  };
+
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    // Dials per attempt number (records from before retry policies count as attempt 1)
+    const attemptCounts = await database.collection("activeCalls").aggregate([
+      { $match: { campaignId: new ObjectId(campaignId) } },
+      { $group: { _id: { $ifNull: ['$attemptNumber', 1] }, calls: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]).toArray();
+    stats.attempts = attemptCounts.map(item => ({ attemptNumber: item._id, calls: item.calls }));
+
+    const queueCounts = await database.collection(RETRY_COLLECTION).aggregate([
+      { $match: { campaignId: campaignId.toString() } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]).toArray();
+    queueCounts.forEach(item => {
+      stats.queue[item._id] = item.count;
+    });
+
+    if (stats.queue.pending > 0) {
+      const nextRetry = await database.collection(RETRY_COLLECTION).findOne(
+        { campaignId: campaignId.toString(), status: 'pending' },
+        { sort: { executeAt: 1 }, projection: { executeAt: 1 } }
+      );
+      stats.nextRetryAt = nextRetry?.executeAt || null;
+    }
+  } catch (error) {
+    console.error(`❌ Error getting retry stats for campaign ${campaignId}:`, error);
+  }
+
+  return stats;
+}
+
+module.exports = {
+  scheduleCampaignRetry,
+  deferCampaignContact,
+  processDueCampaignRetries,
+  cancelPendingRetries,
+  countOpenRetries,
+  getRetryStatsByCampaign
+};
@@ -0,0 +1,426 @@
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { toE164, getLegacyPhoneKey, getClientDefaultCountry, DEFAULT_PHONE_COUNTRY } = require('../apps/helper/phoneNumber.js');
+
+/**
+ * Do-Not-Call (DNC) Registry Service
+ *
+ * Suppression list checked before every outbound dial (see processSingleCall):
+ * - Client entries (clientId = <client _id string>) only suppress that client's calls
+ * - Global entries (scope = 'global', managed by superadmin) suppress calls for every client
+ *
+ * Numbers are matched on `phoneKey` (E.164, national numbers read in the client's default
+ * country) so "+91 98765 43210", "919876543210" and "9876543210" all hit the same entry.
+ * Entries created before E.164 keys were keyed on the last 10 digits; lookups match both
+ * and saving an entry rewrites its key.
+ */
+
+const DNC_COLLECTION = 'dncRegistry';
+const GLOBAL_SCOPE = 'global';
+const CLIENT_SCOPE = 'client';
+
+// Lead-analysis categories / flags that mean "don't call me again"
+const OPT_OUT_CATEGORIES = ['dnc', 'do_not_call', 'do-not-call', 'opt_out', 'opt-out', 'optout', 'unsubscribe'];
+const OPT_OUT_FLAGS = ['do_not_call', 'dnc', 'opt_out', 'optOut', 'doNotCall'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * E.164 key for a number plus the legacy key it may still be stored under
+ * @returns {{phoneKey: string, candidates: string[]}|null} null when the number is not valid
+ */
+function buildPhoneKeys(phoneNumber, defaultCountry) {
+  const phoneKey = toE164(phoneNumber, defaultCountry);
+  if (!phoneKey) return null;
+  return { phoneKey, candidates: [phoneKey, getLegacyPhoneKey(phoneKey)] };
+}
+
+// Global entries have no owning client, so national numbers are read in the platform default country
+async function getScopeCountry(clientId, scope) {
+  if (scope === GLOBAL_SCOPE || !clientId) return DEFAULT_PHONE_COUNTRY;
+  return getClientDefaultCountry(clientId.toString());
+}
+
+function buildScopeFilter(clientId, scope) {
+  if (scope === GLOBAL_SCOPE) {
+    return { scope: GLOBAL_SCOPE };
+  }
+  return { scope: CLIENT_SCOPE, clientId: clientId.toString() };
+}
+
+function isTruthyFlag(value) {
+  return value === true || (typeof value === 'string' && ['true', 'yes', '1'].includes(value.toLowerCase()));
+}
+
+// =============================================================================
+// LOOKUP
+// =============================================================================
+
+/**
+ * Check whether a number is suppressed for a client (client list + global list)
+ * @param {string} clientId - Client ID placing the call
+ * @param {string} phoneNumber - Destination number
+ * @returns {Promise<{suppressed: boolean, unavailable?: boolean, entry?: Object, error?: string}>}
+ *   unavailable = the registry could not be read; callers must not dial (fail closed)
+ */
+async function isNumberSuppressed(clientId, phoneNumber) {
+  try {
+    const phoneKeys = buildPhoneKeys(phoneNumber, await getScopeCountry(clientId, CLIENT_SCOPE));
+    if (!phoneKeys) {
+      return { suppressed: false };
+    }
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    const scopes = [{ scope: GLOBAL_SCOPE }];
+    if (clientId) {
+      scopes.push({ scope: CLIENT_SCOPE, clientId: clientId.toString() });
+    }
+
+    const entry = await database.collection(DNC_COLLECTION).findOne(
+      { phoneKey: { $in: phoneKeys.candidates }, $or: scopes },
+      { projection: { phoneNumber: 1, scope: 1, reason: 1, source: 1, createdAt: 1 } }
+    );
+
+    return entry ? { suppressed: true, entry } : { suppressed: false };
+  } catch (error) {
+    // Fail closed: without the registry we can't tell whether the number may be dialed
+    console.error('❌ Error checking DNC registry:', error);
+    return { suppressed: false, unavailable: true, error: error.message };
+  }
+}
+
+// =============================================================================
+// CRUD
+// =============================================================================
+
+/**
+ * Add (or refresh) a DNC entry
+ * @param {Object} entryData - { clientId, phoneNumber, reason, source, addedBy, scope, callUUID }
+ * @returns {Promise<Object>} Standard service response
+ */
+async function addDncEntry(entryData) {
+  try {
+    const { clientId, phoneNumber, reason, source, addedBy, callUUID } = entryData;
+    const scope = entryData.scope === GLOBAL_SCOPE ? GLOBAL_SCOPE : CLIENT_SCOPE;
+
+    if (scope === CLIENT_SCOPE && !clientId) {
+      return { success: false, status: 400, message: 'clientId is required for client DNC entries' };
+    }
+
+    const phoneKeys = buildPhoneKeys(phoneNumber, await getScopeCountry(clientId, scope));
+    if (!phoneKeys) {
+      return { success: false, status: 400, message: `Invalid phone number: ${phoneNumber}` };
+    }
+    const { phoneKey } = phoneKeys;
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const collection = database.collection(DNC_COLLECTION);
+
+    const filter = { phoneKey: { $in: phoneKeys.candidates }, ...buildScopeFilter(clientId, scope) };
+    const now = new Date();
+
+    const result = await collection.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          phoneKey,
+          phoneNumber: String(phoneNumber).trim(),
+          reason: reason || null,
+          source: source || 'manual',
+          addedBy: addedBy || null,
+          callUUID: callUUID || null,
+          updatedAt: now
+        },
+        $setOnInsert: {
+          scope,
+          clientId: scope === CLIENT_SCOPE ? clientId.toString() : null,
+          createdAt: now
+        }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    console.log(`🚫 DNC entry saved: ${phoneKey} (${scope}${scope === CLIENT_SCOPE ? `:${clientId}` : ''}, source=${source || 'manual'})`);
+
+    return {
+      success: true,
+      status: 201,
+      message: 'Number added to DNC registry',
+      data: result
+    };
+  } catch (error) {
+    console.error('❌ Error adding DNC entry:', error);
+    return { success: false, status: 500, message: 'Error adding DNC entry', error: error.message };
+  }
+}
+
+/**
+ * List DNC entries for a client or the global registry
+ * @param {string} clientId - Client ID (ignored for global scope)
+ * @param {Object} options - { scope, search, page, limit }
+ * @returns {Promise<Object>} Standard service response with pagination
+ */
+async function listDncEntries(clientId, options = {}) {
+  try {
+    const scope = options.scope === GLOBAL_SCOPE ? GLOBAL_SCOPE : CLIENT_SCOPE;
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), 500);
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const collection = database.collection(DNC_COLLECTION);
+
+    const query = buildScopeFilter(clientId, scope);
+    if (options.search) {
+      const searchKey = String(options.search).replace(/\D/g, '');
+      if (searchKey) {
+        query.phoneKey = { $regex: searchKey };
+      }
+    }
+    if (options.source) {
+      query.source = options.source;
+    }
+
+    const [entries, total] = await Promise.all([
+      collection.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return {
+      success: true,
+      status: 200,
+      message: 'DNC entries retrieved successfully',
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error listing DNC entries:', error);
+    return { success: false, status: 500, message: 'Error listing DNC entries', error: error.message };
+  }
+}
+
+/**
+ * Remove a number from a client's (or the global) DNC registry
+ * @param {string} clientId - Client ID (ignored for global scope)
+ * @param {string} phoneNumber - Number to remove
+ * @param {string} scope - 'client' (default) or 'global'
+ * @returns {Promise<Object>} Standard service response
+ */
+async function removeDncEntry(clientId, phoneNumber, scope = CLIENT_SCOPE) {
+  try {
+    const phoneKeys = buildPhoneKeys(phoneNumber, await getScopeCountry(clientId, scope));
+    if (!phoneKeys) {
+      return { success: false, status: 400, message: `Invalid phone number: ${phoneNumber}` };
+    }
+    const { phoneKey } = phoneKeys;
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    const result = await database.collection(DNC_COLLECTION).deleteMany({
+      phoneKey: { $in: phoneKeys.candidates },
+      ...buildScopeFilter(clientId, scope)
+    });
+
+    if (result.deletedCount === 0) {
+      return { success: false, status: 404, message: 'Number not found in DNC registry' };
+    }
+
+    console.log(`✅ DNC entry removed: ${phoneKey} (${scope})`);
+    return { success: true, status: 200, message: 'Number removed from DNC registry' };
+  } catch (error) {
+    console.error('❌ Error removing DNC entry:', error);
+    return { success: false, status: 500, message: 'Error removing DNC entry', error: error.message };
+  }
+}
+
+/**
+ * Bulk import numbers into the DNC registry (CSV upload)
+ * Existing entries are refreshed rather than duplicated.
+ * @param {string} clientId - Client ID (ignored for global scope)
+ * @param {Array<Object>} rows - Parsed CSV rows ({ number|phone|phoneNumber, reason })
+ * @param {Object} options - { scope, addedBy }
+ * @returns {Promise<Object>} Standard service response with import summary
+ */
+async function importDncEntries(clientId, rows, options = {}) {
+  try {
+    const scope = options.scope === GLOBAL_SCOPE ? GLOBAL_SCOPE : CLIENT_SCOPE;
+    const now = new Date();
+    const operations = [];
+    const invalidRows = [];
+    const seenKeys = new Set();
+    const defaultCountry = await getScopeCountry(clientId, scope);
+
+    rows.forEach((row, index) => {
+      const phoneNumber = (row.number || row.phone || row.phoneNumber || '').toString().trim();
+      const phoneKeys = buildPhoneKeys(phoneNumber, defaultCountry);
+
+      if (!phoneKeys) {
+        invalidRows.push({ row: index + 2, value: phoneNumber }); // +2: header row + 1-based
+        return;
+      }
+      const { phoneKey } = phoneKeys;
+      if (seenKeys.has(phoneKey)) return;
+      seenKeys.add(phoneKey);
+
+      operations.push({
+        updateOne: {
+          filter: { phoneKey: { $in: phoneKeys.candidates }, ...buildScopeFilter(clientId, scope) },
+          update: {
+            $set: {
+              phoneKey,
+              phoneNumber,
+              reason: row.reason || null,
+              source: 'csv_import',
+              addedBy: options.addedBy || null,
+              updatedAt: now
+            },
+            $setOnInsert: {
+              scope,
+              clientId: scope === CLIENT_SCOPE ? clientId.toString() : null,
+              createdAt: now
+            }
+          },
+          upsert: true
+        }
+      });
+    });
+
+    let inserted = 0;
+    let updated = 0;
+
+    if (operations.length > 0) {
+      await connectToMongo();
+      const database = client.db("talkGlimpass");
+      const result = await database.collection(DNC_COLLECTION).bulkWrite(operations, { ordered: false });
+      inserted = result.upsertedCount;
+      updated = result.matchedCount;
+    }
+
+    console.log(`📥 DNC import (${scope}): ${inserted} added, ${updated} refreshed, ${invalidRows.length} invalid`);
+
+    return {
+      success: true,
+      status: 200,
+      message: 'DNC import completed',
+      data: {
+        totalRows: rows.length,
+        inserted,
+        updated,
+        duplicatesInFile: rows.length - invalidRows.length - operations.length,
+        invalid: invalidRows.length,
+        invalidRows: invalidRows.slice(0, 100)
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error importing DNC entries:', error);
+    return { success: false, status: 500, message: 'Error importing DNC entries', error: error.message };
+  }
+}
+
+// =============================================================================
+// BOT OPT-OUT CAPTURE
+// =============================================================================
+
+/**
+ * Detect an opt-out request in the bot's lead analysis payload
+ * @param {Object} leadAnalysis - Raw lead_analysis from the bot callback
+ * @returns {boolean}
+ */
+function isOptOutRequested(leadAnalysis) {
+  if (!leadAnalysis || typeof leadAnalysis !== 'object') return false;
+
+  if (OPT_OUT_FLAGS.some(flag => isTruthyFlag(leadAnalysis[flag]))) {
+    return true;
+  }
+
+  const category = String(leadAnalysis.lead_category || '').toLowerCase().trim();
+  return OPT_OUT_CATEGORIES.includes(category);
+}
+
+/**
+ * Add the contact to the client's DNC registry when the bot reports an opt-out
+ * @param {Object} hangupRecord - Merged hangup record (clientId, to/from, source, callUUID)
+ * @param {Object} botData - Raw bot callback body (lead_analysis)
+ * @returns {Promise<Object|null>} addDncEntry result, or null when no opt-out was requested
+ */
+async function captureOptOutFromBot(hangupRecord, botData) {
+  if (!isOptOutRequested(botData?.lead_analysis)) {
+    return null;
+  }
+
+  const clientId = hangupRecord?.clientId;
+  // Inbound calls have the contact on `from`, outbound on `to`
+  const isInbound = hangupRecord?.source === 'inbound' || hangupRecord?.callType === 'incoming';
+  const contactNumber = isInbound
+    ? (hangupRecord.from || hangupRecord.From)
+    : (hangupRecord?.to || hangupRecord?.To);
+
+  if (!clientId || !contactNumber) {
+    console.warn(`⚠️ Bot reported opt-out but clientId/number missing for ${hangupRecord?.callUUID || 'unknown call'}`);
+    return null;
+  }
+
+  return addDncEntry({
+    clientId: clientId.toString(),
+    phoneNumber: contactNumber,
+    reason: botData.lead_analysis.reason || 'Contact asked not to be called again',
+    source: 'bot_opt_out',
+    callUUID: hangupRecord.callUUID || hangupRecord.CallUUID || null
+  });
+}
+
+/**
+ * Capture a bot-reported opt-out for a call on any provider
+ * The bot callback can arrive before the provider's hangup webhook (and carries the Twilio CallSid
+ * for Twilio calls), so the call is resolved from the hangup record or, failing that, activeCalls.
+ * @param {string} callUUID - callUUID or Twilio CallSid from the bot callback
+ * @param {Object} botData - Raw bot callback body (lead_analysis)
+ * @returns {Promise<Object|null>} addDncEntry result, or null when no opt-out was requested
+ */
+async function captureOptOutForCall(callUUID, botData) {
+  if (!callUUID || !isOptOutRequested(botData?.lead_analysis)) {
+    return null;
+  }
+
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+
+  let record = await database.collection("plivoHangupData").findOne({
+    $or: [{ CallUUID: callUUID }, { callUUID }]
+  });
+  if (!record?.clientId) {
+    record = await database.collection("activeCalls").findOne({
+      $or: [{ callUUID }, { twilioCallSid: callUUID }]
+    });
+  }
+
+  if (!record) {
+    console.warn(`⚠️ Bot reported opt-out for unknown call ${callUUID}`);
+    return null;
+  }
+  return captureOptOutFromBot(record, botData);
+}
+
+module.exports = {
+  GLOBAL_SCOPE,
+  CLIENT_SCOPE,
+  buildPhoneKeys,
+  isNumberSuppressed,
+  addDncEntry,
+  listDncEntries,
+  removeDncEntry,
+  importDncEntries,
+  isOptOutRequested,
+  captureOptOutFromBot,
+  captureOptOutForCall
+};
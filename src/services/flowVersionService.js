@@ -0,0 +1,612 @@
+const axios = require('axios');
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { getFlowRedisClient, scanRedisKeys } = require('../utils/flowRedisClient');
+const { diffFlowStates } = require('../apps/helper/flowVersioning.js');
+const { parseVersionNumber } = require('../apps/helper/assistantVersioning.js');
+
+/**
+ * Flow Version Service
+ *
+ * The live bot reads a flow's prompts and configs from Redis db=3 (flow:<name>:prompt:*,
+ * flow:<name>:config:*) - that is the published state. Edits go to a draft stored in Mongo
+ * (`flows`), and only a publish writes the draft to Redis. Every publish and rollback stores the
+ * resulting state as a numbered snapshot in `flowSnapshots`, so any earlier state can be diffed
+ * against or restored.
+ *
+ * Flows are owned by one client (flows.clientId). A client takes ownership of an unowned flow by
+ * claiming it with one of its own agents that uniPipe maps to the flow; superadmin can assign
+ * ownership directly.
+ */
+
+const SECTION_KEYS = { prompts: 'prompt', configs: 'config' };
+const MAX_VERSIONS_PAGE = 100;
+
+async function getCollections() {
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+  return {
+    flows: database.collection("flows"),
+    snapshots: database.collection("flowSnapshots"),
+    assistants: database.collection("assistant")
+  };
+}
+
+// =============================================================================
+// PUBLISHED STATE (Redis db=3)
+// =============================================================================
+
+async function readSection(redisClient, flowName, section) {
+  const values = {};
+  const keys = await scanRedisKeys(redisClient, `flow:${flowName}:${SECTION_KEYS[section]}:*`);
+  for (const key of keys) {
+    const value = await redisClient.get(key);
+    if (value) {
+      values[key.split(':').pop()] = value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Published (live) state of a flow, as the bot reads it
+ * @param {string} flowName - Flow name
+ * @returns {Promise<{meta: Object|null, prompts: Object, configs: Object}>}
+ */
+async function readPublishedFlow(flowName) {
+  const redisClient = await getFlowRedisClient();
+
+  let meta = null;
+  try {
+    const metaData = await redisClient.get(`flow:${flowName}:meta`);
+    if (metaData) {
+      meta = JSON.parse(metaData);
+    }
+  } catch (metaError) {
+    console.warn(`Could not parse flow metadata: ${metaError.message}`);
+  }
+
+  return {
+    meta,
+    prompts: await readSection(redisClient, flowName, 'prompts'),
+    configs: await readSection(redisClient, flowName, 'configs')
+  };
+}
+
+/**
+ * Replace a flow's live prompts/configs with a state in one MULTI - keys missing from the state are deleted
+ * @param {string} flowName - Flow name
+ * @param {Object} current - Current published state
+ * @param {Object} next - State to publish
+ */
+async function writePublishedFlow(flowName, current, next) {
+  const redisClient = await getFlowRedisClient();
+  const multi = redisClient.multi();
+
+  for (const [section, keyType] of Object.entries(SECTION_KEYS)) {
+    for (const name of Object.keys(current[section] || {})) {
+      if (!(name in (next[section] || {}))) {
+        multi.del(`flow:${flowName}:${keyType}:${name}`);
+      }
+    }
+    for (const [name, value] of Object.entries(next[section] || {})) {
+      multi.set(`flow:${flowName}:${keyType}:${name}`, value);
+    }
+  }
+
+  await multi.exec();
+}
+
+function toState(source) {
+  return { prompts: { ...(source?.prompts || {}) }, configs: { ...(source?.configs || {}) } };
+}
+
+// =============================================================================
+// OWNERSHIP
+// =============================================================================
+
+/**
+ * Flow assigned to an agent by uniPipe (API first, local flow_mapping.json as fallback)
+ * @param {string} agentId - Agent/assistant ID
+ * @returns {Promise<{hasFlow: boolean, flowName: string|null, flowPath: string|null, description: string|null}>}
+ */
+async function getAgentFlowAssignment(agentId) {
+  const uniPipeUrl = process.env.UNIPIPE_SERVER_URL || 'https://testbot.glimpass.com';
+
+  try {
+    const response = await axios.get(`${uniPipeUrl}/flows/agent/${agentId}`, {
+      timeout: 5000,
+      validateStatus: (status) => status < 500 // Accept 404 as valid response
+    });
+
+    if (response.status === 200 && response.data) {
+      const flowData = response.data;
+      return {
+        hasFlow: true,
+        flowName: flowData.flow ? flowData.flow.split('/').pop() : null,
+        flowPath: flowData.flow || null,
+        description: flowData.description || null
+      };
+    }
+  } catch (apiError) {
+    console.log(`Could not reach uniPipe API, falling back to local flow_mapping.json: ${apiError.message}`);
+  }
+
+  try {
+    const fs = require('fs');
+    const path = require('path');
+    const flowMappingPath = path.join(process.env.UNIPIPE_PATH || '/home/rishi/uniPipe', 'flows/flow_mapping.json');
+
+    if (fs.existsSync(flowMappingPath)) {
+      const flowMapping = JSON.parse(fs.readFileSync(flowMappingPath, 'utf8'));
+      const mapping = flowMapping.mappings?.[agentId] || flowMapping.mappings?.[`test_${agentId}`];
+
+      if (mapping) {
+        return {
+          hasFlow: true,
+          flowName: mapping.flow ? mapping.flow.split('/').pop() : null,
+          flowPath: mapping.flow || null,
+          description: mapping.description || null
+        };
+      }
+    }
+  } catch (fileError) {
+    console.error(`Error reading flow_mapping.json: ${fileError.message}`);
+  }
+
+  return { hasFlow: false, flowName: null, flowPath: null, description: null };
+}
+
+/**
+ * Whether a client may read/edit a flow
+ * @param {string} flowName - Flow name
+ * @param {string|null} clientId - Client; null = superadmin
+ * @returns {Promise<{allowed: boolean, status?: number, message?: string, flow?: Object|null}>}
+ */
+async function checkFlowAccess(flowName, clientId) {
+  const { flows } = await getCollections();
+  const flow = await flows.findOne({ flowName });
+
+  if (!clientId) {
+    return { allowed: true, flow };
+  }
+  if (!flow || !flow.clientId) {
+    return {
+      allowed: false,
+      status: 403,
+      message: `Flow ${flowName} is not assigned to your account - claim it with POST /api/flows/${flowName}/claim`
+    };
+  }
+  if (flow.clientId.toString() !== clientId.toString()) {
+    // Another client's flow is reported as missing, not forbidden
+    return { allowed: false, status: 404, message: `Flow not found: ${flowName}` };
+  }
+  return { allowed: true, flow };
+}
+
+/**
+ * Take ownership of an unowned flow through one of the client's agents mapped to it
+ * @param {string} flowName - Flow name
+ * @param {string} clientId - Claiming client
+ * @param {string} agentId - Client's agent that uniPipe maps to the flow
+ * @returns {Promise<{success: boolean, status: number, message: string}>}
+ */
+async function claimFlow(flowName, clientId, agentId) {
+  try {
+    if (!agentId || !ObjectId.isValid(agentId)) {
+      return { success: false, status: 400, message: 'agentId is required' };
+    }
+
+    const { flows, assistants } = await getCollections();
+    const assistant = await assistants.findOne({ _id: new ObjectId(agentId) }, { projection: { clientId: 1 } });
+    if (!assistant || assistant.clientId?.toString() !== clientId.toString()) {
+      return { success: false, status: 404, message: 'Agent not found' };
+    }
+
+    const assignment = await getAgentFlowAssignment(agentId);
+    if (assignment.flowName !== flowName) {
+      return { success: false, status: 403, message: `Agent ${agentId} does not run flow ${flowName}` };
+    }
+
+    const existing = await flows.findOne({ flowName }, { projection: { clientId: 1 } });
+    if (existing?.clientId) {
+      return existing.clientId.toString() === clientId.toString()
+        ? { success: true, status: 200, message: 'Flow already belongs to your account' }
+        : { success: false, status: 409, message: `Flow ${flowName} belongs to another account` };
+    }
+
+    await flows.updateOne(
+      { flowName, clientId: null },
+      { $set: { clientId: clientId.toString(), claimedVia: agentId, ownerSince: new Date() }, $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    console.log(`🔐 Flow ${flowName} claimed by client ${clientId} via agent ${agentId}`);
+    return { success: true, status: 200, message: `Flow ${flowName} assigned to your account` };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { success: false, status: 409, message: `Flow ${flowName} was just claimed by another account` };
+    }
+    console.error('❌ Error claiming flow:', error);
+    return { success: false, status: 500, message: 'Error claiming flow', error: error.message };
+  }
+}
+
+/**
+ * Assign (or, with null, clear) a flow's owner - superadmin
+ * @param {string} flowName - Flow name
+ * @param {string|null} clientId - New owner
+ * @returns {Promise<{success: boolean, status: number, message: string}>}
+ */
+async function assignFlowOwner(flowName, clientId) {
+  try {
+    if (clientId && !ObjectId.isValid(clientId)) {
+      return { success: false, status: 400, message: 'Invalid client ID' };
+    }
+
+    const { flows } = await getCollections();
+    await flows.updateOne(
+      { flowName },
+      { $set: { clientId: clientId ? clientId.toString() : null, ownerSince: new Date() }, $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    console.log(`🔐 Flow ${flowName} owner set to ${clientId || 'nobody'}`);
+    return { success: true, status: 200, message: clientId ? `Flow ${flowName} assigned to client ${clientId}` : `Flow ${flowName} unassigned` };
+  } catch (error) {
+    console.error('❌ Error assigning flow owner:', error);
+    return { success: false, status: 500, message: 'Error assigning flow owner', error: error.message };
+  }
+}
+
+// =============================================================================
+// DRAFT
+// =============================================================================
+
+/**
+ * Set or remove one prompt/config in a flow's draft (created from the published state on first edit)
+ * @param {string} flowName - Flow name
+ * @param {string} section - 'prompts' or 'configs'
+ * @param {string} name - Prompt/config name
+ * @param {string|null} value - Validated value; null removes the entry
+ * @param {string|null} author - Who edited
+ * @returns {Promise<{success: boolean, status: number, message: string, data?: Object}>}
+ */
+async function updateDraftEntry(flowName, section, name, value, author = null) {
+  try {
+    const { flows } = await getCollections();
+
+    const flow = await flows.findOne({ flowName }, { projection: { draft: 1 } });
+    if (!flow?.draft) {
+      const published = await readPublishedFlow(flowName);
+      await flows.updateOne(
+        { flowName, draft: null },
+        { $set: { draft: toState(published), draftCreatedAt: new Date() }, $setOnInsert: { clientId: null, createdAt: new Date() } },
+        { upsert: true }
+      ).catch(error => {
+        // Another edit created the draft first
+        if (error.code !== 11000) throw error;
+      });
+    }
+
+    if (value === null) {
+      const current = await flows.findOne({ flowName }, { projection: { [`draft.${section}.${name}`]: 1 } });
+      if (current?.draft?.[section]?.[name] === undefined) {
+        return { success: false, status: 404, message: `${SECTION_KEYS[section]} ${name} not found in flow ${flowName}` };
+      }
+    }
+
+    const update = value === null
+      ? { $unset: { [`draft.${section}.${name}`]: '' }, $set: { draftUpdatedAt: new Date(), draftUpdatedBy: author } }
+      : { $set: { [`draft.${section}.${name}`]: value, draftUpdatedAt: new Date(), draftUpdatedBy: author } };
+    await flows.updateOne({ flowName }, update);
+
+    return {
+      success: true,
+      status: 200,
+      message: value === null ? 'Removed from draft' : 'Draft updated',
+      data: { key: `flow:${flowName}:${SECTION_KEYS[section]}:${name}`, state: 'draft' }
+    };
+  } catch (error) {
+    console.error('❌ Error updating flow draft:', error);
+    return { success: false, status: 500, message: 'Error updating flow draft', error: error.message };
+  }
+}
+
+/**
+ * A flow's draft and how it differs from the published state
+ * @param {string} flowName - Flow name
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function getFlowDraft(flowName) {
+  try {
+    const { flows } = await getCollections();
+    const flow = await flows.findOne({ flowName });
+    if (!flow?.draft) {
+      return { success: false, status: 404, message: `Flow ${flowName} has no draft` };
+    }
+
+    const published = await readPublishedFlow(flowName);
+    const changes = diffFlowStates(published, flow.draft);
+
+    return {
+      success: true,
+      status: 200,
+      data: {
+        name: flowName,
+        prompts: flow.draft.prompts || {},
+        configs: flow.draft.configs || {},
+        updatedAt: flow.draftUpdatedAt || flow.draftCreatedAt || null,
+        updatedBy: flow.draftUpdatedBy || null,
+        unpublishedChanges: changes.length,
+        changes
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error fetching flow draft:', error);
+    return { success: false, status: 500, message: 'Error fetching flow draft', error: error.message };
+  }
+}
+
+/**
+ * Throw away a flow's draft
+ * @param {string} flowName - Flow name
+ * @returns {Promise<{success: boolean, status: number, message: string}>}
+ */
+async function discardFlowDraft(flowName) {
+  try {
+    const { flows } = await getCollections();
+    const result = await flows.updateOne(
+      { flowName, draft: { $ne: null } },
+      { $set: { draft: null, draftUpdatedAt: null, draftUpdatedBy: null } }
+    );
+    if (result.matchedCount === 0) {
+      return { success: false, status: 404, message: `Flow ${flowName} has no draft` };
+    }
+    return { success: true, status: 200, message: 'Draft discarded' };
+  } catch (error) {
+    console.error('❌ Error discarding flow draft:', error);
+    return { success: false, status: 500, message: 'Error discarding flow draft', error: error.message };
+  }
+}
+
+// =============================================================================
+// PUBLISH / SNAPSHOTS
+// =============================================================================
+
+async function getLatestSnapshot(snapshots, flowName) {
+  return snapshots.findOne({ flowName }, { sort: { version: -1 } });
+}
+
+async function insertSnapshot(snapshots, flowName, fields) {
+  const latest = await getLatestSnapshot(snapshots, flowName);
+  const doc = {
+    flowName,
+    version: (latest?.version || 0) + 1,
+    ...fields,
+    createdAt: new Date()
+  };
+  await snapshots.insertOne(doc);
+  return doc;
+}
+
+// Flows published before versioning existed get their live state recorded first, so it can be rolled back to
+async function ensureBaselineSnapshot(snapshots, flowName, published, clientId) {
+  const latest = await getLatestSnapshot(snapshots, flowName);
+  if (latest) return latest;
+  if (Object.keys(published.prompts).length === 0 && Object.keys(published.configs).length === 0) return null;
+
+  return insertSnapshot(snapshots, flowName, {
+    clientId: clientId || null,
+    ...toState(published),
+    meta: published.meta,
+    author: null,
+    note: 'Live state before version history was recorded',
+    source: 'baseline'
+  });
+}
+
+async function publishState(flowName, state, { author, note, source, clientId, rolledBackTo = null }) {
+  const { flows, snapshots } = await getCollections();
+  const published = await readPublishedFlow(flowName);
+  await ensureBaselineSnapshot(snapshots, flowName, published, clientId);
+
+  await writePublishedFlow(flowName, published, state);
+
+  const snapshot = await insertSnapshot(snapshots, flowName, {
+    clientId: clientId || null,
+    ...toState(state),
+    meta: published.meta,
+    author,
+    note,
+    source,
+    ...(rolledBackTo ? { rolledBackTo } : {})
+  });
+
+  await flows.updateOne(
+    { flowName },
+    { $set: { publishedVersion: snapshot.version, publishedAt: new Date(), publishedBy: author } }
+  );
+
+  console.log(`🚀 Flow ${flowName} published as version ${snapshot.version} (${source}${author ? ` by ${author}` : ''})`);
+  return { snapshot, changes: diffFlowStates(published, state) };
+}
+
+/**
+ * Publish a flow's draft to the live bot keys and snapshot the result
+ * @param {string} flowName - Flow name
+ * @param {Object} meta - { author, note, clientId }
+ * @returns {Promise<{success: boolean, status: number, message: string, data?: Object}>}
+ */
+async function publishFlow(flowName, { author = null, note = null, clientId = null } = {}) {
+  try {
+    const { flows } = await getCollections();
+    const flow = await flows.findOne({ flowName });
+    if (!flow?.draft) {
+      return { success: false, status: 409, message: `Flow ${flowName} has no draft to publish` };
+    }
+
+    const { snapshot, changes } = await publishState(flowName, flow.draft, {
+      author,
+      note,
+      source: 'publish',
+      clientId: flow.clientId || clientId
+    });
+
+    await flows.updateOne({ flowName }, { $set: { draft: null, draftUpdatedAt: null, draftUpdatedBy: null } });
+
+    return {
+      success: true,
+      status: 200,
+      message: `Flow ${flowName} published as version ${snapshot.version}`,
+      data: { version: snapshot.version, changed: changes.length, changes }
+    };
+  } catch (error) {
+    console.error('❌ Error publishing flow:', error);
+    return { success: false, status: 500, message: 'Error publishing flow', error: error.message };
+  }
+}
+
+/**
+ * Publish an earlier snapshot again - recorded as a new version
+ * @param {string} flowName - Flow name
+ * @param {number|string} version - Snapshot to restore
+ * @param {Object} meta - { author, note, clientId }
+ * @returns {Promise<{success: boolean, status: number, message: string, data?: Object}>}
+ */
+async function rollbackFlow(flowName, version, { author = null, note = null, clientId = null } = {}) {
+  try {
+    const versionNumber = parseVersionNumber(version);
+    if (!versionNumber) {
+      return { success: false, status: 400, message: 'version must be a positive integer' };
+    }
+
+    const { flows, snapshots } = await getCollections();
+    const target = await snapshots.findOne({ flowName, version: versionNumber });
+    if (!target) {
+      return { success: false, status: 404, message: `Version ${versionNumber} of flow ${flowName} not found` };
+    }
+
+    const flow = await flows.findOne({ flowName }, { projection: { clientId: 1 } });
+    const { snapshot, changes } = await publishState(flowName, toState(target), {
+      author,
+      note: note || `Rollback to version ${versionNumber}`,
+      source: 'rollback',
+      clientId: flow?.clientId || clientId,
+      rolledBackTo: versionNumber
+    });
+
+    return {
+      success: true,
+      status: 200,
+      message: `Flow ${flowName} rolled back to version ${versionNumber}`,
+      data: { version: snapshot.version, rolledBackTo: versionNumber, changed: changes.length, changes }
+    };
+  } catch (error) {
+    console.error('❌ Error rolling back flow:', error);
+    return { success: false, status: 500, message: 'Error rolling back flow', error: error.message };
+  }
+}
+
+/**
+ * Published snapshots of a flow, newest first (contents omitted)
+ * @param {string} flowName - Flow name
+ * @param {Object} options - { limit, skip }
+ * @returns {Promise<{success: boolean, status: number, data?: Array, total?: number}>}
+ */
+async function listFlowVersions(flowName, options = {}) {
+  try {
+    const { snapshots } = await getCollections();
+    const limit = Math.min(parseInt(options.limit) || 20, MAX_VERSIONS_PAGE);
+    const skip = parseInt(options.skip) || 0;
+
+    const [data, total] = await Promise.all([
+      snapshots.find({ flowName }, { projection: { prompts: 0, configs: 0, meta: 0 } })
+        .sort({ version: -1 }).skip(skip).limit(limit).toArray(),
+      snapshots.countDocuments({ flowName })
+    ]);
+
+    return { success: true, status: 200, data, total, limit, skip };
+  } catch (error) {
+    console.error('❌ Error listing flow versions:', error);
+    return { success: false, status: 500, message: 'Error listing flow versions', error: error.message };
+  }
+}
+
+/**
+ * One snapshot of a flow, with its prompts and configs
+ * @param {string} flowName - Flow name
+ * @param {number|string} version - Version number
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function getFlowVersion(flowName, version) {
+  try {
+    const versionNumber = parseVersionNumber(version);
+    if (!versionNumber) {
+      return { success: false, status: 400, message: 'version must be a positive integer' };
+    }
+
+    const { snapshots } = await getCollections();
+    const snapshot = await snapshots.findOne({ flowName, version: versionNumber });
+    if (!snapshot) {
+      return { success: false, status: 404, message: `Version ${versionNumber} of flow ${flowName} not found` };
+    }
+    return { success: true, status: 200, data: snapshot };
+  } catch (error) {
+    console.error('❌ Error fetching flow version:', error);
+    return { success: false, status: 500, message: 'Error fetching flow version', error: error.message };
+  }
+}
+
+async function resolveFlowState(flowName, ref) {
+  if (ref === 'published') {
+    return readPublishedFlow(flowName);
+  }
+  if (ref === 'draft') {
+    const { flows } = await getCollections();
+    const flow = await flows.findOne({ flowName }, { projection: { draft: 1 } });
+    return flow?.draft || null;
+  }
+  const versionNumber = parseVersionNumber(ref);
+  if (!versionNumber) return null;
+  const { snapshots } = await getCollections();
+  return snapshots.findOne({ flowName, version: versionNumber });
+}
+
+/**
+ * Field-by-field diff between two states of a flow
+ * @param {string} flowName - Flow name
+ * @param {string|number} from - Version number, 'published' or 'draft'
+ * @param {string|number} to - Version number, 'published' or 'draft'
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function diffFlow(flowName, from = 'published', to = 'draft') {
+  try {
+    const [fromFlow, toFlow] = await Promise.all([resolveFlowState(flowName, from), resolveFlowState(flowName, to)]);
+    if (!fromFlow || !toFlow) {
+      return { success: false, status: 404, message: `Cannot diff ${from} → ${to}: ${!fromFlow ? from : to} not found` };
+    }
+
+    const changes = diffFlowStates(fromFlow, toFlow);
+    return { success: true, status: 200, data: { flowName, from, to, changed: changes.length, changes } };
+  } catch (error) {
+    console.error('❌ Error diffing flow:', error);
+    return { success: false, status: 500, message: 'Error diffing flow', error: error.message };
+  }
+}
+
+module.exports = {
+  readPublishedFlow,
+  getAgentFlowAssignment,
+  checkFlowAccess,
+  claimFlow,
+  assignFlowOwner,
+  updateDraftEntry,
+  getFlowDraft,
+  discardFlowDraft,
+  publishFlow,
+  rollbackFlow,
+  listFlowVersions,
+  getFlowVersion,
+  diffFlow
+};
@@ -187,16 +187,124 @@ async function uploadFile(file, clientId, templateId = null) {
   }
 }
 
+/**
+ * Upload a stream to GCS (no attachment validation - used for call recordings)
+ * @param {string} gcsPath - Object path
+ * @param {Stream} source - Readable stream
+ * @param {Object} options - { bucketName, contentType, metadata }
+ */
+async function uploadStream(gcsPath, source, options = {}) {
+  try {
+    const gcs = initializeGCS();
+    const bucketName = options.bucketName || process.env.GCS_BUCKET_NAME;
+    const gcsFile = gcs.bucket(bucketName).file(gcsPath);
+
+    const stream = gcsFile.createWriteStream({
+      metadata: {
+        contentType: options.contentType || 'application/octet-stream',
+        metadata: {
+          ...(options.metadata || {}),
+          uploadedAt: new Date().toISOString()
+        }
+      },
+      resumable: false
+    });
+
+    let size = 0;
+    source.on('data', (chunk) => { size += chunk.length; });
+
+    return await new Promise((resolve) => {
+      const fail = (error) => {
+        console.error('GCS stream upload error:', error);
+        resolve({
+          success: false,
+          message: 'File upload failed',
+          error: error.message
+        });
+      };
+      source.on('error', fail);
+      stream.on('error', fail);
+      stream.on('finish', () => {
+        resolve({
+          success: true,
+          message: 'File uploaded successfully',
+          data: {
+            bucket: bucketName,
+            gcs_path: gcsPath,
+            size
+          }
+        });
+      });
+      source.pipe(stream);
+    });
+  } catch (error) {
+    console.error('Error uploading stream to GCS:', error);
+    return {
+      success: false,
+      message: 'File upload service error',
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Generate a short-lived signed read URL (V4)
+ * @param {string} gcsPath - Object path
+ * @param {number} expiresInSeconds - URL lifetime
+ * @param {string} bucketName - Bucket (defaults to GCS_BUCKET_NAME)
+ */
+async function getSignedReadUrl(gcsPath, expiresInSeconds, bucketName = null) {
+  try {
+    const gcs = initializeGCS();
+    const bucket = gcs.bucket(bucketName || process.env.GCS_BUCKET_NAME);
+    const expiresAt = new Date(Date.now() + expiresInSeconds * 1000);
+
+    const [url] = await bucket.file(gcsPath).getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: expiresAt
+    });
+
+    return {
+      success: true,
+      data: { url, expiresAt }
+    };
+  } catch (error) {
+    console.error('Error generating signed URL:', error);
+    return {
+      success: false,
+      message: 'Signed URL generation failed',
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Open a read stream on a GCS object
+ * @param {string} gcsPath - Object path
+ * @param {string} bucketName - Bucket (defaults to GCS_BUCKET_NAME)
+ * @returns {Promise<Stream|null>} null when the object doesn't exist
+ */
+async function openReadStream(gcsPath, bucketName = null) {
+  const gcs = initializeGCS();
+  const file = gcs.bucket(bucketName || process.env.GCS_BUCKET_NAME).file(gcsPath);
+  const [exists] = await file.exists();
+  return exists ? file.createReadStream() : null;
+}
+
 /**
  * Delete file from GCS
+ * @param {string} gcsPath - Object path
+ * @param {string} bucketName - Bucket (defaults to GCS_BUCKET_NAME)
+ * @param {Object} options - { ignoreNotFound } treat an already-deleted object as success
  */
-async function deleteFile(gcsPath) {
+async function deleteFile(gcsPath, bucketName = null, options = {}) {
   try {
     const gcs = initializeGCS();
-    const bucket = gcs.bucket(process.env.GCS_BUCKET_NAME);
+    const bucket = gcs.bucket(bucketName || process.env.GCS_BUCKET_NAME);
     const file = bucket.file(gcsPath);
 
-    await file.delete();
+    await file.delete({ ignoreNotFound: Boolean(options.ignoreNotFound) });
 
     return {
       success: true,
@@ -246,6 +354,9 @@ async function getFileInfo(gcsPath) {
 module.exports = {
   validateFile,
   uploadFile,
+  uploadStream,
+  openReadStream,
+  getSignedReadUrl,
   deleteFile,
   getFileInfo,
   generateSecureFilename,
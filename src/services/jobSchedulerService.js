@@ -0,0 +1,493 @@
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { CONTAINER_ID } = require('../utils/containerLifecycle.js');
+
+/**
+ * Job Scheduler (leased background jobs)
+ *
+ * Runs recurring maintenance work inside the app instead of waiting for an external ping.
+ * Every container polls `schedulerJobs` (one document per job, _id = job name) and claims due
+ * jobs with an atomic lease, so each run happens on exactly one container:
+ *   - leaseOwner / leaseExpiresAt   the lease is renewed while the handler runs; a container that
+ *                                   dies mid-run loses it and another container picks the job up
+ *   - attempts / nextRunAt          a failed run is retried with exponential backoff
+ *   - status 'dead'                 after maxAttempts consecutive failures the job stops until an
+ *                                   admin re-runs it (POST /superadmin/jobs/{name}/run)
+ * Every run is recorded in `schedulerJobRuns` (trigger, container, attempt, result or error).
+ *
+ * Jobs are defined in code with defineJob(); the task list lives in backgroundJobs.js.
+ */
+
+const JOB_COLLECTION = 'schedulerJobs';
+const JOB_RUN_COLLECTION = 'schedulerJobRuns';
+
+const JOB_SCHEDULER_ENABLED = process.env.JOB_SCHEDULER_ENABLED !== 'false';
+const JOB_POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL) || 15000;
+const DEFAULT_LEASE_MS = parseInt(process.env.JOB_LEASE_MS) || 5 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+const DEFAULT_BACKOFF_MS = parseInt(process.env.JOB_BACKOFF_MS) || 30000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+
+const jobDefinitions = new Map();
+const runningJobs = new Map(); // job name -> run promise (this container)
+let pollTimer = null;
+let definitionsSynced = false;
+
+async function getCollections() {
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+  return {
+    jobs: database.collection(JOB_COLLECTION),
+    runs: database.collection(JOB_RUN_COLLECTION)
+  };
+}
+
+// =============================================================================
+// DEFINITIONS
+// =============================================================================
+
+/**
+ * Register a recurring job
+ * @param {string} name - Unique job name (also the schedulerJobs _id)
+ * @param {Object} options
+ * @param {Function} options.handler - async (context) => result; throw to fail the run
+ * @param {number} options.intervalMs - Time between successful runs
+ * @param {string} [options.description]
+ * @param {number} [options.leaseMs] - Lease length, renewed every leaseMs/3 while running
+ * @param {number} [options.maxAttempts] - Consecutive failures before the job is dead-lettered
+ * @param {number} [options.backoffMs] - First retry delay, doubled per failed attempt
+ */
+function defineJob(name, options) {
+  if (typeof options?.handler !== 'function' || !(options.intervalMs > 0)) {
+    throw new Error(`Job ${name} needs a handler and an intervalMs`);
+  }
+
+  jobDefinitions.set(name, {
+    name,
+    description: options.description || '',
+    handler: options.handler,
+    intervalMs: options.intervalMs,
+    leaseMs: options.leaseMs || DEFAULT_LEASE_MS,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    backoffMs: options.backoffMs || DEFAULT_BACKOFF_MS
+  });
+  definitionsSynced = false;
+}
+
+// Create job documents for new definitions and keep their settings in line with the code
+async function syncJobDefinitions() {
+  if (definitionsSynced) return;
+  const { jobs } = await getCollections();
+  const now = new Date();
+
+  for (const definition of jobDefinitions.values()) {
+    try {
+      await jobs.updateOne(
+        { _id: definition.name },
+        {
+          $set: {
+            description: definition.description,
+            intervalMs: definition.intervalMs,
+            leaseMs: definition.leaseMs,
+            maxAttempts: definition.maxAttempts,
+            updatedAt: now
+          },
+          $setOnInsert: {
+            status: 'idle',
+            nextRunAt: now,
+            attempts: 0,
+            runCount: 0,
+            createdAt: now
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Another container inserted the same job at the same time
+      if (error.code !== 11000) throw error;
+    }
+  }
+  definitionsSynced = true;
+}
+
+function getBackoffMs(definition, attempt) {
+  return Math.min(definition.backoffMs * Math.pow(2, Math.max(attempt - 1, 0)), MAX_BACKOFF_MS);
+}
+
+// =============================================================================
+// LEASED EXECUTION
+// =============================================================================
+
+/**
+ * Claim a job's lease
+ * @param {boolean} force - Ignore nextRunAt and dead-letter state (manual / admin runs)
+ * @returns {Promise<Object|null>} The job document as it was before the claim, or null if not claimed
+ */
+async function claimJob(jobs, definition, runId, force) {
+  const now = new Date();
+  const leaseFree = { $or: [{ status: { $ne: 'running' } }, { leaseExpiresAt: { $lte: now } }] };
+  const filter = force
+    ? { _id: definition.name, ...leaseFree }
+    : {
+      _id: definition.name,
+      $or: [
+        { status: 'idle', nextRunAt: { $lte: now } },
+        { status: 'running', leaseExpiresAt: { $lte: now } }
+      ]
+    };
+
+  return jobs.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        status: 'running',
+        leaseOwner: CONTAINER_ID,
+        leaseExpiresAt: new Date(now.getTime() + definition.leaseMs),
+        currentRunId: runId,
+        lastStartedAt: now
+      }
+    },
+    { returnDocument: 'before' }
+  );
+}
+
+/**
+ * Claim and run one job
+ * @param {Object} definition - From defineJob
+ * @param {Object} options - { trigger: 'schedule' | 'manual' | 'admin', force }
+ * @returns {Promise<{claimed: boolean, runId?: string, status?: string, result?: any, error?: string, heldBy?: string}>}
+ */
+async function executeJob(definition, { trigger = 'schedule', force = false } = {}) {
+  const { jobs, runs } = await getCollections();
+  const runId = new ObjectId();
+
+  const previous = await claimJob(jobs, definition, runId, force);
+  if (!previous) {
+    const current = await jobs.findOne({ _id: definition.name }, { projection: { leaseOwner: 1, status: 1 } });
+    return { claimed: false, heldBy: current?.status === 'running' ? current.leaseOwner : null };
+  }
+
+  // A container that held the lease died mid-run - close its run record
+  if (previous.status === 'running' && previous.currentRunId) {
+    await runs.updateOne(
+      { _id: previous.currentRunId, status: 'running' },
+      { $set: { status: 'abandoned', finishedAt: new Date(), error: `Lease held by ${previous.leaseOwner} expired` } }
+    ).catch(() => {});
+  }
+
+  // Re-running a dead job starts a fresh series of attempts
+  const attempt = previous.status === 'dead' ? 1 : (previous.attempts || 0) + 1;
+  const startedAt = new Date();
+
+  await runs.insertOne({
+    _id: runId,
+    jobName: definition.name,
+    trigger,
+    containerId: CONTAINER_ID,
+    attempt,
+    status: 'running',
+    startedAt
+  });
+
+  let leaseLost = false;
+  const renewTimer = setInterval(async () => {
+    try {
+      const renewed = await jobs.updateOne(
+        { _id: definition.name, currentRunId: runId, leaseOwner: CONTAINER_ID },
+        { $set: { leaseExpiresAt: new Date(Date.now() + definition.leaseMs) } }
+      );
+      if (renewed.matchedCount === 0) {
+        leaseLost = true;
+        console.warn(`⚠️  Lost lease on job ${definition.name} (run ${runId})`);
+      }
+    } catch (error) {
+      console.error(`❌ Error renewing lease on job ${definition.name}:`, error.message);
+    }
+  }, Math.max(Math.floor(definition.leaseMs / 3), 1000));
+
+  let result;
+  let runError = null;
+  try {
+    result = await definition.handler({
+      jobName: definition.name,
+      runId: runId.toString(),
+      trigger,
+      attempt,
+      isLeaseLost: () => leaseLost
+    });
+  } catch (error) {
+    runError = error;
+  } finally {
+    clearInterval(renewTimer);
+  }
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt - startedAt;
+  let status = 'succeeded';
+  let jobUpdate;
+
+  if (!runError) {
+    jobUpdate = {
+      $set: {
+        status: 'idle',
+        attempts: 0,
+        nextRunAt: new Date(finishedAt.getTime() + definition.intervalMs),
+        lastFinishedAt: finishedAt,
+        lastSuccessAt: finishedAt,
+        lastDurationMs: durationMs,
+        lastResult: result ?? null,
+        lastError: null
+      },
+      $unset: { leaseOwner: '', leaseExpiresAt: '', currentRunId: '', deadLetteredAt: '' },
+      $inc: { runCount: 1 }
+    };
+  } else if (attempt >= definition.maxAttempts) {
+    status = 'dead_lettered';
+    jobUpdate = {
+      $set: {
+        status: 'dead',
+        attempts: attempt,
+        nextRunAt: null,
+        lastFinishedAt: finishedAt,
+        lastDurationMs: durationMs,
+        lastError: runError.message,
+        deadLetteredAt: finishedAt
+      },
+      $unset: { leaseOwner: '', leaseExpiresAt: '', currentRunId: '' },
+      $inc: { runCount: 1 }
+    };
+  } else {
+    status = 'failed';
+    jobUpdate = {
+      $set: {
+        status: 'idle',
+        attempts: attempt,
+        nextRunAt: new Date(finishedAt.getTime() + getBackoffMs(definition, attempt)),
+        lastFinishedAt: finishedAt,
+        lastDurationMs: durationMs,
+        lastError: runError.message
+      },
+      $unset: { leaseOwner: '', leaseExpiresAt: '', currentRunId: '' },
+      $inc: { runCount: 1 }
+    };
+  }
+
+  // Only the lease holder may move the job on (a lost lease means another container took over)
+  await jobs.updateOne({ _id: definition.name, currentRunId: runId }, jobUpdate);
+  await runs.updateOne(
+    { _id: runId },
+    {
+      $set: {
+        status,
+        finishedAt,
+        durationMs,
+        result: runError ? null : (result ?? null),
+        error: runError ? runError.message : null
+      }
+    }
+  );
+
+  if (status === 'succeeded') {
+    console.log(`✅ Job ${definition.name} succeeded in ${durationMs}ms (${trigger})`);
+  } else if (status === 'dead_lettered') {
+    console.error(`💀 Job ${definition.name} dead-lettered after ${attempt} failed attempts: ${runError.message}`);
+  } else {
+    console.error(`❌ Job ${definition.name} failed (attempt ${attempt}/${definition.maxAttempts}): ${runError.message}`);
+  }
+
+  return {
+    claimed: true,
+    runId: runId.toString(),
+    status,
+    result: runError ? undefined : result,
+    error: runError ? runError.message : undefined
+  };
+}
+
+// Track a run so the poller never starts the same job twice in this container
+function trackRun(name, runPromise) {
+  runningJobs.set(name, runPromise);
+  return runPromise.finally(() => runningJobs.delete(name));
+}
+
+async function pollDueJobs() {
+  try {
+    await syncJobDefinitions();
+  } catch (error) {
+    console.error('❌ Error syncing job definitions:', error.message);
+    return;
+  }
+
+  for (const definition of jobDefinitions.values()) {
+    if (runningJobs.has(definition.name)) continue;
+
+    trackRun(definition.name, executeJob(definition, { trigger: 'schedule' }))
+      .catch(error => console.error(`❌ Error running job ${definition.name}:`, error.message));
+  }
+}
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+/**
+ * Start polling for due jobs (JOB_SCHEDULER_ENABLED=false turns the scheduler off for this container)
+ */
+function startJobScheduler() {
+  if (!JOB_SCHEDULER_ENABLED) {
+    console.log('⏸️  Job scheduler disabled (JOB_SCHEDULER_ENABLED=false)');
+    return;
+  }
+  if (pollTimer) return;
+
+  console.log(`⏱️  Job scheduler started on ${CONTAINER_ID}: ${jobDefinitions.size} jobs, polling every ${JOB_POLL_INTERVAL}ms`);
+  pollTimer = setInterval(pollDueJobs, JOB_POLL_INTERVAL);
+  pollDueJobs();
+
+  // Stop claiming new work once the container is told to shut down; leases of runs cut short expire
+  process.once('SIGTERM', stopJobScheduler);
+  process.once('SIGINT', stopJobScheduler);
+}
+
+function stopJobScheduler() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    console.log('⏹️  Job scheduler stopped');
+  }
+}
+
+// =============================================================================
+// ADMIN / MANUAL RUNS
+// =============================================================================
+
+/**
+ * Run a job now, regardless of its schedule or dead-letter state
+ * @param {string} name - Job name
+ * @param {Object} options - { trigger: 'manual' | 'admin' }
+ * @returns {Promise<Object>} Standard service response; data is the run outcome
+ */
+async function runJobNow(name, { trigger = 'admin' } = {}) {
+  const definition = jobDefinitions.get(name);
+  if (!definition) {
+    return { success: false, status: 404, message: `Unknown job: ${name}` };
+  }
+
+  try {
+    await syncJobDefinitions();
+    if (runningJobs.has(name)) {
+      return { success: false, status: 409, message: `Job ${name} is already running on this container` };
+    }
+
+    const outcome = await trackRun(name, executeJob(definition, { trigger, force: true }));
+    if (!outcome.claimed) {
+      return { success: false, status: 409, message: `Job ${name} is already running on ${outcome.heldBy || 'another container'}` };
+    }
+
+    return {
+      success: outcome.status === 'succeeded',
+      status: outcome.status === 'succeeded' ? 200 : 500,
+      message: outcome.status === 'succeeded' ? `Job ${name} completed` : `Job ${name} failed: ${outcome.error}`,
+      data: outcome
+    };
+  } catch (error) {
+    console.error(`❌ Error running job ${name}:`, error);
+    return { success: false, status: 500, message: 'Error running job', error: error.message };
+  }
+}
+
+function toPublicJob(job) {
+  const definition = jobDefinitions.get(job._id);
+  return {
+    name: job._id,
+    description: job.description,
+    status: job.status,
+    registered: Boolean(definition),
+    intervalMs: job.intervalMs,
+    nextRunAt: job.nextRunAt,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    leaseOwner: job.leaseOwner || null,
+    leaseExpiresAt: job.leaseExpiresAt || null,
+    currentRunId: job.currentRunId ? job.currentRunId.toString() : null,
+    lastStartedAt: job.lastStartedAt || null,
+    lastFinishedAt: job.lastFinishedAt || null,
+    lastSuccessAt: job.lastSuccessAt || null,
+    lastDurationMs: job.lastDurationMs ?? null,
+    lastError: job.lastError || null,
+    deadLetteredAt: job.deadLetteredAt || null,
+    runCount: job.runCount || 0
+  };
+}
+
+/**
+ * List all jobs with their schedule and lease state
+ * @returns {Promise<Object>} Standard service response
+ */
+async function listJobs() {
+  try {
+    await syncJobDefinitions();
+    const { jobs } = await getCollections();
+    const jobDocs = await jobs.find({}).sort({ _id: 1 }).toArray();
+
+    return {
+      success: true,
+      status: 200,
+      message: 'Jobs retrieved successfully',
+      data: {
+        schedulerEnabled: JOB_SCHEDULER_ENABLED,
+        containerId: CONTAINER_ID,
+        jobs: jobDocs.map(toPublicJob)
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error listing jobs:', error);
+    return { success: false, status: 500, message: 'Error listing jobs', error: error.message };
+  }
+}
+
+/**
+ * Inspect one job: its state, last result and recent run history
+ * @param {string} name - Job name
+ * @param {Object} options - { limit (default 20, max 100), status: run status filter }
+ * @returns {Promise<Object>} Standard service response
+ */
+async function getJob(name, { limit = 20, status = null } = {}) {
+  try {
+    const { jobs, runs } = await getCollections();
+    const job = await jobs.findOne({ _id: name });
+    if (!job) {
+      return { success: false, status: 404, message: `Unknown job: ${name}` };
+    }
+
+    const runFilter = { jobName: name };
+    if (status) runFilter.status = status;
+    const history = await runs.find(runFilter)
+      .sort({ startedAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 20, 1), 100))
+      .toArray();
+
+    return {
+      success: true,
+      status: 200,
+      message: 'Job retrieved successfully',
+      data: {
+        ...toPublicJob(job),
+        lastResult: job.lastResult ?? null,
+        runs: history.map(run => ({ ...run, _id: undefined, runId: run._id.toString() }))
+      }
+    };
+  } catch (error) {
+    console.error(`❌ Error fetching job ${name}:`, error);
+    return { success: false, status: 500, message: 'Error fetching job', error: error.message };
+  }
+}
+
+module.exports = {
+  defineJob,
+  startJobScheduler,
+  stopJobScheduler,
+  runJobNow,
+  listJobs,
+  getJob
+};
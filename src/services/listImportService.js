@@ -0,0 +1,718 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { Transform } = require('stream');
+const csvParser = require('csv-parser');
+const ExcelJS = require('exceljs');
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { stageUpload, openStagedUpload, deleteStagedUpload } = require('./listImportStorageService');
+const { parsePhoneNumber, toE164, DEFAULT_PHONE_COUNTRY } = require('../apps/helper/phoneNumber.js');
+
+/**
+ * Contact List Import Service
+ *
+ * Uploads (/plivo/upload-csv, /api/upload-csv) create the list and an import job, then return
+ * immediately; /lists/:listId/upload appends to an existing list the same way (mode 'append').
+ * The upload is first staged in durable storage (listImportStorageService) so any container can run
+ * or resume the job. The job streams the file (CSV or XLSX) in the background:
+ * - every row's number is normalized to E.164 (client default country) and deduplicated within the list
+ * - invalid rows are skipped and recorded in `listImportErrors` (downloadable as CSV)
+ * - contacts are inserted in batches of LIST_IMPORT_BATCH_SIZE, each followed by a checkpoint
+ *   (`processedRows`) so an interrupted job resumes after the last committed batch
+ * - a job holds a lease while running so a resumed/duplicated trigger never processes it twice
+ *
+ * Job status: queued → processing → completed | failed (failed jobs with `resumable: true` can be resumed)
+ */
+
+const IMPORT_JOB_COLLECTION = 'listImportJobs';
+const IMPORT_ERROR_COLLECTION = 'listImportErrors';
+const LIST_COLLECTION = 'plivo-list';
+const LIST_DATA_COLLECTION = 'plivo-list-data';
+
+const BATCH_SIZE = parseInt(process.env.LIST_IMPORT_BATCH_SIZE) || 1000;
+const MAX_STORED_ERRORS = parseInt(process.env.LIST_IMPORT_MAX_ERROR_ROWS) || 50000;
+const LEASE_MS = parseInt(process.env.LIST_IMPORT_LEASE_MS) || 2 * 60 * 1000; // 2 minutes
+const MAX_FILE_SIZE = parseInt(process.env.LIST_IMPORT_MAX_FILE_SIZE) || 100 * 1024 * 1024; // 100MB
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Header names recognised as the phone column when no columnMapping.number is given
+const NUMBER_COLUMN_CANDIDATES = ['number', 'phone', 'phonenumber', 'mobile', 'mobilenumber', 'contact', 'contactnumber', 'msisdn'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Work out the file type from the upload's name and MIME type
+ * @returns {'csv'|'xlsx'}
+ */
+function detectFileType(originalName, mimetype) {
+  const extension = path.extname(originalName || '').toLowerCase();
+  return extension === '.xlsx' || mimetype === XLSX_MIME_TYPE ? 'xlsx' : 'csv';
+}
+
+/**
+ * Parse a column mapping ({ targetField: sourceColumn }) sent as an object or a JSON string
+ * @returns {{mapping?: Object, error?: string}}
+ */
+function parseColumnMapping(value) {
+  if (value === undefined || value === null || value === '') {
+    return { mapping: {} };
+  }
+
+  let mapping = value;
+  if (typeof value === 'string') {
+    try {
+      mapping = JSON.parse(value);
+    } catch {
+      return { error: 'columnMapping must be a JSON object, e.g. {"number": "Phone", "first_name": "Name"}' };
+    }
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: 'columnMapping must be a JSON object, e.g. {"number": "Phone", "first_name": "Name"}' };
+  }
+
+  for (const [target, source] of Object.entries(mapping)) {
+    if (!target.trim() || typeof source !== 'string' || !source.trim()) {
+      return { error: `Invalid columnMapping entry for "${target}" - map field names to column headers` };
+    }
+    if (['listId', '_id'].includes(target)) {
+      return { error: `columnMapping cannot target reserved field "${target}"` };
+    }
+  }
+
+  return { mapping };
+}
+
+function normalizeHeaderName(header) {
+  return String(header).toLowerCase().replace(/[\s_\-.]/g, '');
+}
+
+/**
+ * Resolve the column mapping against the file's headers
+ * @returns {{renames?: Array<[string, string]>, error?: string}} [sourceColumn, targetField] pairs
+ */
+function resolveColumns(headers, mapping) {
+  for (const source of Object.values(mapping)) {
+    if (!headers.includes(source)) {
+      return { error: `Mapped column "${source}" not found in file. Columns: ${headers.join(', ')}` };
+    }
+  }
+
+  const renames = Object.entries(mapping).map(([target, source]) => [source, target]);
+
+  if (!mapping.number) {
+    const numberColumn = headers.find(header => NUMBER_COLUMN_CANDIDATES.includes(normalizeHeaderName(header)));
+    if (!numberColumn) {
+      return { error: `No phone number column found. Name it "number" or map one with columnMapping.number. Columns: ${headers.join(', ')}` };
+    }
+    renames.push([numberColumn, 'number']);
+  }
+
+  return { renames };
+}
+
+function applyColumnMapping(row, renames) {
+  const record = { ...row };
+  for (const [source] of renames) {
+    delete record[source];
+  }
+  for (const [source, target] of renames) {
+    record[target] = row[source];
+  }
+  return record;
+}
+
+function toCsvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toPublicJob(job) {
+  return {
+    jobId: job._id.toString(),
+    listId: job.listId.toString(),
+    listName: job.listName,
+    fileName: job.fileName,
+    fileType: job.fileType,
+    mode: job.mode || 'create',
+    status: job.status,
+    progress: job.progress || 0,
+    processedRows: job.processedRows || 0,
+    insertedRows: job.insertedRows || 0,
+    duplicateRows: job.duplicateRows || 0,
+    invalidRows: job.invalidRows || 0,
+    columnMapping: job.columnMapping || {},
+    error: job.error || null,
+    resumable: job.status === 'failed' ? !!job.resumable : false,
+    errorReportAvailable: (job.invalidRows || 0) > 0,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    completedAt: job.completedAt || null,
+    updatedAt: job.updatedAt
+  };
+}
+
+// Text of an XLSX cell as exceljs returns it (rich text, formula results, hyperlinks, dates)
+function cellText(value) {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+    return '';
+  }
+  return String(value);
+}
+
+function deleteUploadFile(filePath) {
+  try {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      console.log(`Deleted temporary file: ${filePath}`);
+    }
+  } catch (error) {
+    console.error(`Error deleting file ${filePath}:`, error);
+  }
+}
+
+// =============================================================================
+// FILE READERS
+// =============================================================================
+
+/**
+ * Stream rows of a staged CSV/XLSX file as header-keyed objects
+ * @param {Object} job - Import job
+ * @param {Stream} input - The staged file (openStagedUpload)
+ * @returns {{records: AsyncIterable<Object>, getHeaders: Function, getProgress: Function}}
+ */
+function openRecordSource(job, staged) {
+  let bytesRead = 0;
+  const input = staged.pipe(new Transform({
+    transform(chunk, encoding, callback) {
+      bytesRead += chunk.length;
+      callback(null, chunk);
+    }
+  }));
+  staged.on('error', error => input.destroy(error));
+  const getProgress = () => (job.fileSize ? Math.min(bytesRead / job.fileSize, 1) : 0);
+
+  if (job.fileType === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+      sharedStrings: 'cache',
+      hyperlinks: 'ignore',
+      styles: 'ignore',
+      worksheets: 'emit'
+    });
+    let headers = null;
+
+    // First worksheet only; blank rows are skipped and the first non-blank row is the header
+    async function* records() {
+      try {
+        for await (const worksheet of workbook) {
+          for await (const row of worksheet) {
+            const values = [];
+            for (let column = 1; column < row.values.length; column++) {
+              values.push(cellText(row.values[column]).trim());
+            }
+            if (!values.some(value => value !== '')) continue;
+
+            if (!headers) {
+              headers = values.map((header, index) => header || `column_${index + 1}`);
+              continue;
+            }
+            const record = {};
+            headers.forEach((header, index) => {
+              record[header] = values[index] ?? '';
+            });
+            yield record;
+          }
+          break;
+        }
+      } finally {
+        staged.destroy();
+      }
+    }
+
+    return { records: records(), getHeaders: () => headers, getProgress };
+  }
+
+  const parser = csvParser({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() });
+  let headers = null;
+
+  parser.on('headers', parsedHeaders => { headers = parsedHeaders; });
+  input.on('error', error => parser.destroy(error));
+
+  return {
+    records: input.pipe(parser),
+    getHeaders: () => headers,
+    getProgress
+  };
+}
+
+// =============================================================================
+// JOB LIFECYCLE
+// =============================================================================
+
+/**
+ * Create an import job for an uploaded file (the list must already exist)
+ * @param {Object} details - { clientId, listId, listName, file (multer), columnMapping, defaultCountry, source, mode }
+ *   mode 'create' (default) fills a new list; 'append' adds to a list that already has contacts
+ * @returns {Promise<{success: boolean, jobId?: string, error?: string}>}
+ */
+async function createImportJob(details) {
+  let staged = null;
+  try {
+    const { clientId, listId, listName, file, columnMapping, defaultCountry, source, mode } = details;
+    const fileType = detectFileType(file.originalname, file.mimetype);
+
+    // Stage the upload durably - the multer temp file is gone after a restart
+    const storagePath = `list-imports/${clientId}/${listId}/${Date.now()}.${fileType}`;
+    staged = await stageUpload(storagePath, file.path, { contentType: file.mimetype });
+    if (!staged.success) {
+      return { success: false, error: `Could not stage upload: ${staged.error}` };
+    }
+    deleteUploadFile(file.path);
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const now = new Date();
+
+    const job = {
+      clientId: clientId.toString(),
+      listId: new ObjectId(listId),
+      listName,
+      fileName: file.originalname || path.basename(file.path),
+      fileType,
+      storage: { backend: staged.backend, bucket: staged.bucket, storagePath: staged.storagePath },
+      fileSize: file.size || 0,
+      columnMapping: columnMapping || {},
+      defaultCountry: defaultCountry || DEFAULT_PHONE_COUNTRY,
+      source: source || 'upload',
+      mode: mode === 'append' ? 'append' : 'create',
+      status: 'queued',
+      progress: 0,
+      processedRows: 0,
+      pendingBatchEnd: 0,
+      insertedRows: 0,
+      duplicateRows: 0,
+      invalidRows: 0,
+      storedErrorRows: 0,
+      headers: null,
+      error: null,
+      resumable: false,
+      attempts: 0,
+      leaseExpiresAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await database.collection(IMPORT_JOB_COLLECTION).insertOne(job);
+    const listUpdate = { importStatus: 'importing', importJobId: result.insertedId };
+    if (job.mode === 'create') {
+      listUpdate.contactCount = 0;
+    }
+    await database.collection(LIST_COLLECTION).updateOne({ _id: job.listId }, { $set: listUpdate });
+
+    console.log(`📥 List import queued: ${job.fileName} (${job.fileType}, ${job.fileSize} bytes) → list ${listName}${job.mode === 'append' ? ' (append)' : ''} [job ${result.insertedId}]`);
+
+    return { success: true, jobId: result.insertedId.toString() };
+
+  } catch (error) {
+    console.error('❌ Error creating list import job:', error);
+    if (staged?.success) {
+      await deleteStagedUpload(staged);
+    }
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Run a job in the background of the current request
+ */
+function startImportJob(jobId) {
+  setImmediate(() => {
+    runImportJob(jobId).catch(error => console.error(`❌ List import ${jobId} crashed:`, error));
+  });
+}
+
+async function markJobFailed(database, job, message, resumable) {
+  const now = new Date();
+  await database.collection(IMPORT_JOB_COLLECTION).updateOne(
+    { _id: job._id },
+    { $set: { status: 'failed', error: message, resumable, leaseExpiresAt: null, updatedAt: now } }
+  );
+
+  if (resumable) {
+    await database.collection(LIST_COLLECTION).updateOne({ _id: job.listId }, { $set: { importStatus: 'failed' } });
+    console.error(`❌ List import ${job._id} failed (resumable): ${message}`);
+    return;
+  }
+
+  // Nothing usable was imported into a new list - drop it so the same name can be uploaded again
+  const inserted = await database.collection(LIST_DATA_COLLECTION).countDocuments({ listId: job.listId }, { limit: 1 });
+  if (inserted === 0 && job.mode !== 'append') {
+    await database.collection(LIST_COLLECTION).deleteOne({ _id: job.listId });
+  } else {
+    await database.collection(LIST_COLLECTION).updateOne({ _id: job.listId }, { $set: { importStatus: 'failed' } });
+  }
+  await deleteStagedUpload(job.storage);
+  console.error(`❌ List import ${job._id} failed: ${message}`);
+}
+
+/**
+ * Process an import job from its last checkpoint
+ * @param {string} jobId - Import job ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function runImportJob(jobId) {
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+  const jobs = database.collection(IMPORT_JOB_COLLECTION);
+  const listData = database.collection(LIST_DATA_COLLECTION);
+  const now = new Date();
+
+  // Claim the lease - a job whose lease is still live is being processed elsewhere
+  const job = await jobs.findOneAndUpdate(
+    {
+      _id: new ObjectId(jobId),
+      status: { $in: ['queued', 'processing'] },
+      $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }]
+    },
+    {
+      $set: { status: 'processing', leaseExpiresAt: new Date(now.getTime() + LEASE_MS), updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!job) {
+    return { success: false, error: 'Job not found, finished or already running' };
+  }
+  if (!job.startedAt) {
+    await jobs.updateOne({ _id: job._id }, { $set: { startedAt: now } });
+  }
+
+  let input;
+  try {
+    input = job.storage ? await openStagedUpload(job.storage) : null;
+  } catch (error) {
+    // Storage unreachable - keep the file and let the job be resumed
+    await markJobFailed(database, job, `Could not open uploaded file: ${error.message}`, true);
+    return { success: false, error: error.message };
+  }
+  if (!input) {
+    await markJobFailed(database, job, 'Uploaded file is no longer available - upload the remaining rows as a new list', false);
+    return { success: false, error: 'file_missing' };
+  }
+
+  const resumeFrom = job.processedRows || 0;
+  const pendingBatchEnd = job.pendingBatchEnd || 0;
+  if (resumeFrom > 0) {
+    console.log(`🔁 Resuming list import ${job._id} after row ${resumeFrom}`);
+  }
+
+  const source = openRecordSource(job, input);
+
+  // Numbers already in the list (the list's contacts when appending, earlier batches of this job
+  // when resuming) - keeps dedupe exact across appends and resumes
+  const seenNumbers = new Set();
+  if (job.mode === 'append' || resumeFrom > 0 || pendingBatchEnd > 0) {
+    const existing = listData.find({ listId: job.listId }, { projection: { number: 1, _id: 0 } });
+    for await (const contact of existing) {
+      seenNumbers.add(toE164(contact.number, job.defaultCountry) || contact.number);
+    }
+  }
+
+  let rowNumber = 0;
+  let renames = null;
+  let storedErrors = job.storedErrorRows || 0;
+  let batch = [];
+  let errorRows = [];
+  let counters = { insertedRows: 0, duplicateRows: 0, invalidRows: 0 };
+
+  const flush = async () => {
+    const leaseExpiresAt = new Date(Date.now() + LEASE_MS);
+
+    // Write-ahead marker: rows up to here may be in the list even if the checkpoint below never lands
+    await jobs.updateOne({ _id: job._id }, { $set: { pendingBatchEnd: rowNumber, leaseExpiresAt } });
+
+    if (batch.length > 0) {
+      await listData.insertMany(batch, { ordered: true });
+    }
+    if (errorRows.length > 0) {
+      try {
+        await database.collection(IMPORT_ERROR_COLLECTION).insertMany(errorRows, { ordered: false });
+      } catch (error) {
+        // Rows recorded before an interruption are already there (unique jobId + rowNumber)
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    await jobs.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          processedRows: rowNumber,
+          progress: Math.round(source.getProgress() * 100),
+          storedErrorRows: storedErrors,
+          leaseExpiresAt,
+          updatedAt: new Date()
+        },
+        $inc: counters
+      }
+    );
+    await database.collection(LIST_COLLECTION).updateOne(
+      { _id: job.listId },
+      { $set: { contactCount: await listData.countDocuments({ listId: job.listId }) } }
+    );
+
+    batch = [];
+    errorRows = [];
+    counters = { insertedRows: 0, duplicateRows: 0, invalidRows: 0 };
+  };
+
+  try {
+    for await (const row of source.records) {
+      rowNumber++;
+
+      if (!renames) {
+        const headers = source.getHeaders() || Object.keys(row);
+        const resolved = resolveColumns(headers, job.columnMapping || {});
+        if (resolved.error) {
+          await markJobFailed(database, job, resolved.error, false);
+          return { success: false, error: resolved.error };
+        }
+        renames = resolved.renames;
+        await jobs.updateOne({ _id: job._id }, { $set: { headers } });
+      }
+
+      if (rowNumber <= resumeFrom) continue;
+
+      const record = applyColumnMapping(row, renames);
+      const parsed = parsePhoneNumber(record.number, job.defaultCountry);
+
+      if (!parsed.valid) {
+        counters.invalidRows++;
+        if (storedErrors < MAX_STORED_ERRORS) {
+          storedErrors++;
+          errorRows.push({
+            jobId: job._id,
+            rowNumber: rowNumber + 1, // +1: header row
+            number: record.number || '',
+            error: parsed.error,
+            row
+          });
+        }
+      } else if (seenNumbers.has(parsed.e164)) {
+        // Inside the write-ahead window the "duplicate" is this row's own earlier insert
+        if (rowNumber <= pendingBatchEnd) {
+          counters.insertedRows++;
+        } else {
+          counters.duplicateRows++;
+        }
+      } else {
+        seenNumbers.add(parsed.e164);
+        record.number = parsed.e164;
+        record.listId = job.listId;
+        batch.push(record);
+        counters.insertedRows++;
+      }
+
+      if (batch.length >= BATCH_SIZE || errorRows.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    if (!renames) {
+      await markJobFailed(database, job, 'File has no data rows', false);
+      return { success: false, error: 'File has no data rows' };
+    }
+
+    await flush();
+  } catch (error) {
+    // Failing before the first row of a fresh run means the file itself is unreadable
+    if (rowNumber === 0 && resumeFrom === 0) {
+      await markJobFailed(database, job, `Could not read file: ${error.message}`, false);
+    } else {
+      await markJobFailed(database, job, error.message, true);
+    }
+    return { success: false, error: error.message };
+  }
+
+  const completed = await jobs.findOneAndUpdate(
+    { _id: job._id },
+    { $set: { status: 'completed', progress: 100, resumable: false, leaseExpiresAt: null, completedAt: new Date(), updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  await database.collection(LIST_COLLECTION).updateOne(
+    { _id: job.listId },
+    { $set: { importStatus: 'completed', contactCount: await listData.countDocuments({ listId: job.listId }) } }
+  );
+  await deleteStagedUpload(job.storage);
+
+  console.log(`✅ List import ${job._id} completed: ${completed.insertedRows} imported, ${completed.duplicateRows} duplicates, ${completed.invalidRows} invalid (${completed.processedRows} rows)`);
+  return { success: true };
+}
+
+/**
+ * Re-queue a failed (resumable) job
+ * @param {string} jobId - Import job ID
+ * @param {string|null} clientId - Owning client (null = superadmin)
+ * @returns {Promise<Object>} Standard service response
+ */
+async function resumeImportJob(jobId, clientId) {
+  try {
+    if (!ObjectId.isValid(jobId)) {
+      return { success: false, status: 400, message: 'Invalid jobId' };
+    }
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    const filter = { _id: new ObjectId(jobId) };
+    if (clientId) filter.clientId = clientId.toString();
+
+    const job = await database.collection(IMPORT_JOB_COLLECTION).findOneAndUpdate(
+      { ...filter, status: 'failed', resumable: true },
+      { $set: { status: 'queued', error: null, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!job) {
+      const existing = await database.collection(IMPORT_JOB_COLLECTION).findOne(filter, { projection: { status: 1 } });
+      if (!existing) {
+        return { success: false, status: 404, message: 'Import job not found' };
+      }
+      return { success: false, status: 409, message: `Import job is ${existing.status} and cannot be resumed` };
+    }
+
+    await database.collection(LIST_COLLECTION).updateOne({ _id: job.listId }, { $set: { importStatus: 'importing' } });
+    startImportJob(jobId);
+
+    return { success: true, status: 202, message: 'Import resumed', data: toPublicJob(job) };
+  } catch (error) {
+    console.error('❌ Error resuming list import:', error);
+    return { success: false, status: 500, message: 'Error resuming list import', error: error.message };
+  }
+}
+
+/**
+ * Pick up jobs interrupted by a restart (their lease has expired). Runs them one at a time.
+ * @returns {Promise<{resumed: number}>}
+ */
+async function resumePendingImports() {
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    const pending = await database.collection(IMPORT_JOB_COLLECTION)
+      .find(
+        {
+          status: { $in: ['queued', 'processing'] },
+          $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: new Date() } }]
+        },
+        { projection: { _id: 1 } }
+      )
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    if (pending.length > 0) {
+      console.log(`🔁 Resuming ${pending.length} interrupted list import(s)`);
+    }
+
+    let resumed = 0;
+    for (const job of pending) {
+      const result = await runImportJob(job._id.toString())
+        .catch(error => ({ success: false, error: error.message }));
+      if (result.success) resumed++;
+    }
+
+    return { resumed };
+  } catch (error) {
+    console.error('❌ Error resuming pending list imports:', error);
+    return { resumed: 0, error: error.message };
+  }
+}
+
+// =============================================================================
+// STATUS & ERROR REPORT
+// =============================================================================
+
+/**
+ * Import job status
+ * @param {string} jobId - Import job ID
+ * @param {string|null} clientId - Owning client (null = superadmin)
+ * @returns {Promise<Object|null>} Public job view, or null when not found
+ */
+async function getImportJob(jobId, clientId) {
+  if (!ObjectId.isValid(jobId)) return null;
+
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+
+  const filter = { _id: new ObjectId(jobId) };
+  if (clientId) filter.clientId = clientId.toString();
+
+  const job = await database.collection(IMPORT_JOB_COLLECTION).findOne(filter);
+  return job ? { ...toPublicJob(job), headers: job.headers || [] } : null;
+}
+
+/**
+ * Lines of the error report CSV: row, number, error, then the original columns
+ * @param {Object} job - Job from getImportJob
+ * @returns {AsyncGenerator<string>}
+ */
+async function* iterateImportErrorCsv(job) {
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+  const headers = job.headers || [];
+
+  yield ['row', 'number', 'error', ...headers].map(toCsvValue).join(',') + '\n';
+
+  const cursor = database.collection(IMPORT_ERROR_COLLECTION)
+    .find({ jobId: new ObjectId(job.jobId) })
+    .sort({ rowNumber: 1 });
+
+  for await (const errorRow of cursor) {
+    const values = [errorRow.rowNumber, errorRow.number, errorRow.error, ...headers.map(header => errorRow.row?.[header])];
+    yield values.map(toCsvValue).join(',') + '\n';
+  }
+}
+
+/**
+ * Stream the error report CSV into a writable (e.g. an Express response), honouring backpressure
+ * @param {Object} job - Job from getImportJob
+ * @param {Writable} output - Destination stream (ended when done)
+ */
+async function writeImportErrorCsv(job, output) {
+  for await (const line of iterateImportErrorCsv(job)) {
+    if (output.destroyed) return;
+    if (!output.write(line)) {
+      await Promise.race([once(output, 'drain'), once(output, 'close')]);
+    }
+  }
+  output.end();
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  XLSX_MIME_TYPE,
+  detectFileType,
+  parseColumnMapping,
+  createImportJob,
+  startImportJob,
+  runImportJob,
+  resumeImportJob,
+  resumePendingImports,
+  getImportJob,
+  iterateImportErrorCsv,
+  writeImportErrorCsv
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * List Import Storage
+ *
+ * Uploaded contact files are staged here before the import job reads them, so a job interrupted by
+ * a restart or redeploy can resume on any container. Backends, chosen by LIST_IMPORT_STORAGE_BACKEND:
+ *   - gcs    LIST_IMPORT_GCS_BUCKET (or GCS_BUCKET_NAME), via gcsService
+ *   - local  files under LIST_IMPORT_LOCAL_DIR for dev/testing (a persistent volume in deployments)
+ * Each job keeps the backend and bucket it was staged to, so switching the backend doesn't strand
+ * imports queued before the switch.
+ */
+
+const STORAGE_BACKENDS = ['gcs', 'local'];
+const LOCAL_ROOT = path.resolve(process.env.LIST_IMPORT_LOCAL_DIR || path.join(process.cwd(), 'storage', 'list-imports'));
+
+function getStorageBackend() {
+  const configured = (process.env.LIST_IMPORT_STORAGE_BACKEND || '').toLowerCase();
+  if (STORAGE_BACKENDS.includes(configured)) {
+    return configured;
+  }
+  return process.env.NODE_ENV === 'production' ? 'gcs' : 'local';
+}
+
+// Absolute path of a staged file - refuses paths that escape the storage root
+function resolveLocalPath(storagePath) {
+  const fullPath = path.resolve(LOCAL_ROOT, storagePath);
+  if (!fullPath.startsWith(LOCAL_ROOT + path.sep)) {
+    throw new Error(`Invalid upload path: ${storagePath}`);
+  }
+  return fullPath;
+}
+
+/**
+ * Copy an uploaded file (multer temp file) to durable storage
+ * @param {string} storagePath - e.g. list-imports/{clientId}/{listId}/{timestamp}.csv
+ * @param {string} filePath - Local file to stage
+ * @param {Object} options - { contentType }
+ * @returns {Promise<{success: boolean, backend?: string, bucket?: string|null, storagePath?: string, error?: string}>}
+ */
+async function stageUpload(storagePath, filePath, options = {}) {
+  const backend = getStorageBackend();
+
+  if (backend === 'gcs') {
+    const bucket = process.env.LIST_IMPORT_GCS_BUCKET || process.env.GCS_BUCKET_NAME;
+    if (!bucket) {
+      return { success: false, error: 'No list import bucket configured (LIST_IMPORT_GCS_BUCKET)' };
+    }
+    const { uploadStream } = require('./gcsService');
+    const upload = await uploadStream(storagePath, fs.createReadStream(filePath), {
+      bucketName: bucket,
+      contentType: options.contentType
+    });
+    if (!upload.success) {
+      return { success: false, error: upload.error || upload.message };
+    }
+    return { success: true, backend, bucket, storagePath };
+  }
+
+  try {
+    const fullPath = resolveLocalPath(storagePath);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await pipeline(fs.createReadStream(filePath), fs.createWriteStream(fullPath));
+    return { success: true, backend, bucket: null, storagePath };
+  } catch (error) {
+    console.error('❌ Error staging list upload to local storage:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Open a staged file for reading
+ * @param {Object} staged - { backend, bucket, storagePath } of an import job
+ * @returns {Promise<Stream|null>} null when the file is gone
+ */
+async function openStagedUpload(staged) {
+  if (staged.backend === 'gcs') {
+    const { openReadStream } = require('./gcsService');
+    return openReadStream(staged.storagePath, staged.bucket);
+  }
+
+  const fullPath = resolveLocalPath(staged.storagePath);
+  try {
+    await fs.promises.access(fullPath);
+    return fs.createReadStream(fullPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Delete a staged file (already-missing files count as deleted)
+ * @param {Object} staged - { backend, bucket, storagePath } of an import job
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function deleteStagedUpload(staged) {
+  if (!staged?.storagePath) {
+    return { success: true };
+  }
+
+  if (staged.backend === 'gcs') {
+    const { deleteFile } = require('./gcsService');
+    const result = await deleteFile(staged.storagePath, staged.bucket, { ignoreNotFound: true });
+    return result.success ? { success: true } : { success: false, error: result.error || result.message };
+  }
+
+  try {
+    await fs.promises.rm(resolveLocalPath(staged.storagePath), { force: true });
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error deleting staged list upload:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  getStorageBackend,
+  stageUpload,
+  openStagedUpload,
+  deleteStagedUpload
+};
@@ -0,0 +1,633 @@
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { parsePhoneNumber, toE164, getClientDefaultCountry } = require('../apps/helper/phoneNumber.js');
+
+/**
+ * Contact List Management Service
+ *
+ * Edits on existing lists (`plivo-list` + contacts in `plivo-list-data`):
+ * - append contacts (JSON rows, or a CSV/XLSX file through an 'append' import job)
+ * - edit / delete single contacts
+ * - dedupe a list within itself, against other lists and against earlier campaign outcomes
+ * - merge lists into a new list
+ *
+ * Campaigns walk a list by position (campaign.currentIndex), so a list referenced by a scheduled,
+ * running or paused campaign is locked, as is a list with an import in progress. `contactCount`
+ * is recounted from `plivo-list-data` after every change.
+ */
+
+const LIST_COLLECTION = 'plivo-list';
+const LIST_DATA_COLLECTION = 'plivo-list-data';
+const CAMPAIGN_COLLECTION = 'plivoCampaign';
+const HANGUP_COLLECTION = 'plivoHangupData';
+
+// Campaign statuses that still read the list
+const ACTIVE_CAMPAIGN_STATUSES = ['scheduled', 'running', 'paused'];
+
+const MAX_APPEND_CONTACTS = parseInt(process.env.LIST_APPEND_MAX_CONTACTS) || 1000;
+const WRITE_BATCH_SIZE = 1000;
+
+// Contact fields callers may not set directly
+const RESERVED_FIELDS = ['_id', 'listId'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function toObjectIds(ids) {
+  return ids.map(id => new ObjectId(id));
+}
+
+// Key contacts are deduplicated on: E.164, or the raw value for legacy numbers that no longer parse
+function contactKey(number, defaultCountry) {
+  if (number === undefined || number === null || number === '') return null;
+  return toE164(number, defaultCountry) || String(number).trim();
+}
+
+// Numbers on a hangup record (Plivo raw `To`, normalized `to`)
+function getHangupNumber(record) {
+  return record.to || record.To || null;
+}
+
+async function getOwnedLists(database, listIds, clientId) {
+  if (!listIds.every(id => ObjectId.isValid(id))) return null;
+  const lists = await database.collection(LIST_COLLECTION)
+    .find({ _id: { $in: toObjectIds(listIds) }, clientId: clientId.toString() })
+    .toArray();
+  return lists.length === new Set(listIds.map(String)).size ? lists : null;
+}
+
+/**
+ * Campaign that still reads a list (scheduled, running or paused), if any
+ * Campaign documents store listId as sent by the caller, so match both string and ObjectId forms
+ */
+async function findActiveCampaignForList(database, listId) {
+  return database.collection(CAMPAIGN_COLLECTION).findOne(
+    {
+      listId: { $in: [listId.toString(), new ObjectId(listId)] },
+      status: { $in: ACTIVE_CAMPAIGN_STATUSES }
+    },
+    { projection: { campaignName: 1, status: 1 } }
+  );
+}
+
+/**
+ * Load a list the client owns and check it can be modified
+ * @returns {Promise<{list?: Object, response?: Object}>} `response` is the error to return
+ */
+async function getEditableList(database, listId, clientId) {
+  if (!ObjectId.isValid(listId)) {
+    return { response: { success: false, status: 400, message: 'Invalid listId' } };
+  }
+
+  const list = await database.collection(LIST_COLLECTION).findOne({ _id: new ObjectId(listId), clientId: clientId.toString() });
+  if (!list) {
+    return { response: { success: false, status: 404, message: 'List not found' } };
+  }
+
+  if (list.importStatus === 'importing') {
+    return { response: { success: false, status: 409, message: 'List import is still in progress. Try again once it has completed.' } };
+  }
+
+  const campaign = await findActiveCampaignForList(database, listId);
+  if (campaign) {
+    return {
+      response: {
+        success: false,
+        status: 409,
+        message: `List is used by ${campaign.status} campaign "${campaign.campaignName}". Cancel or finish the campaign before editing the list.`
+      }
+    };
+  }
+
+  return { list };
+}
+
+async function refreshContactCount(database, listId) {
+  const contactCount = await database.collection(LIST_DATA_COLLECTION).countDocuments({ listId: new ObjectId(listId) });
+  await database.collection(LIST_COLLECTION).updateOne(
+    { _id: new ObjectId(listId) },
+    { $set: { contactCount, updatedAt: new Date() } }
+  );
+  return contactCount;
+}
+
+// Dedupe keys of every contact in a set of lists
+async function collectListKeys(database, listIds, defaultCountry) {
+  const keys = new Set();
+  const cursor = database.collection(LIST_DATA_COLLECTION)
+    .find({ listId: { $in: toObjectIds(listIds) } }, { projection: { number: 1, _id: 0 } });
+  for await (const contact of cursor) {
+    const key = contactKey(contact.number, defaultCountry);
+    if (key) keys.add(key);
+  }
+  return keys;
+}
+
+/**
+ * Dedupe keys of numbers dialed by a client's campaigns, optionally narrowed to an outcome
+ * @param {Object} outcome - { leadCategories: string[], leadsOnly: boolean } - empty = every dialed number
+ */
+async function collectCampaignOutcomeKeys(database, campaignIds, outcome, defaultCountry) {
+  const ids = campaignIds.map(String);
+  const categories = (outcome.leadCategories || []).map(category => String(category).toLowerCase().trim());
+
+  const query = { $or: [{ campId: { $in: ids } }, { campaignId: { $in: ids } }] };
+  const keys = new Set();
+  const cursor = database.collection(HANGUP_COLLECTION).find(query, {
+    projection: { to: 1, To: 1, leadAnalysis: 1, lead_analysis: 1, _id: 0 }
+  });
+
+  for await (const record of cursor) {
+    // Bot results are stored normalized (leadAnalysis) on newer records, raw (lead_analysis) on older ones
+    const analysis = record.leadAnalysis || {};
+    const raw = record.lead_analysis || {};
+    const category = String(analysis.leadCategory || raw.lead_category || '').toLowerCase().trim();
+    const isLead = analysis.isLead === true || raw.is_lead === true || raw.is_lead === 'true';
+
+    if (categories.length > 0 && !categories.includes(category)) continue;
+    if (outcome.leadsOnly && !isLead) continue;
+
+    const key = contactKey(getHangupNumber(record), defaultCountry);
+    if (key) keys.add(key);
+  }
+  return keys;
+}
+
+async function deleteContactsById(database, ids) {
+  let deleted = 0;
+  for (let i = 0; i < ids.length; i += WRITE_BATCH_SIZE) {
+    const result = await database.collection(LIST_DATA_COLLECTION).deleteMany({ _id: { $in: ids.slice(i, i + WRITE_BATCH_SIZE) } });
+    deleted += result.deletedCount;
+  }
+  return deleted;
+}
+
+// Strip reserved fields and normalize the number of a contact supplied by a caller
+function prepareContact(contact, defaultCountry) {
+  if (!contact || typeof contact !== 'object' || Array.isArray(contact)) {
+    return { error: 'Contact must be an object' };
+  }
+
+  const record = { ...contact };
+  for (const field of RESERVED_FIELDS) {
+    delete record[field];
+  }
+
+  const parsed = parsePhoneNumber(record.number, defaultCountry);
+  if (!parsed.valid) {
+    return { error: parsed.error };
+  }
+  record.number = parsed.e164;
+  return { record };
+}
+
+// =============================================================================
+// CONTACTS
+// =============================================================================
+
+/**
+ * Append contacts to an existing list
+ * Numbers are normalized to E.164; invalid rows and numbers already in the list are skipped.
+ * @param {string} listId - List ID
+ * @param {string} clientId - Owning client
+ * @param {Array<Object>} contacts - Contact rows ({ number, ...any other columns })
+ * @returns {Promise<Object>} Standard service response
+ */
+async function appendContacts(listId, clientId, contacts) {
+  try {
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+      return { success: false, status: 400, message: 'contacts must be a non-empty array' };
+    }
+    if (contacts.length > MAX_APPEND_CONTACTS) {
+      return { success: false, status: 400, message: `At most ${MAX_APPEND_CONTACTS} contacts per request - upload a file for larger appends` };
+    }
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    const { response } = await getEditableList(database, listId, clientId);
+    if (response) return response;
+
+    const defaultCountry = await getClientDefaultCountry(clientId);
+    const existingKeys = await collectListKeys(database, [listId], defaultCountry);
+
+    const toInsert = [];
+    const invalid = [];
+    let duplicates = 0;
+
+    contacts.forEach((contact, index) => {
+      const { record, error } = prepareContact(contact, defaultCountry);
+      if (error) {
+        invalid.push({ index, number: contact?.number ?? null, error });
+        return;
+      }
+      if (existingKeys.has(record.number)) {
+        duplicates++;
+        return;
+      }
+      existingKeys.add(record.number);
+      record.listId = new ObjectId(listId);
+      toInsert.push(record);
+    });
+
+    if (toInsert.length > 0) {
+      await database.collection(LIST_DATA_COLLECTION).insertMany(toInsert, { ordered: true });
+    }
+    const contactCount = await refreshContactCount(database, listId);
+
+    console.log(`➕ Appended ${toInsert.length} contact(s) to list ${listId} (${duplicates} duplicates, ${invalid.length} invalid)`);
+
+    return {
+      success: true,
+      status: 200,
+      message: 'Contacts appended',
+      data: {
+        inserted: toInsert.length,
+        duplicates,
+        invalid,
+        contactCount
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error appending contacts:', error);
+    return { success: false, status: 500, message: 'Error appending contacts', error: error.message };
+  }
+}
+
+/**
+ * Append a CSV/XLSX file to an existing list through a background import job
+ * @param {string} listId - List ID
+ * @param {string} clientId - Owning client
+ * @param {Object} upload - { file (multer), columnMapping }
+ * @returns {Promise<Object>} Standard service response (202 with jobId)
+ */
+async function appendContactsFromFile(listId, clientId, upload) {
+  try {
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    const { list, response } = await getEditableList(database, listId, clientId);
+    if (response) return response;
+
+    const { createImportJob, startImportJob } = require('./listImportService');
+    const jobResult = await createImportJob({
+      clientId,
+      listId,
+      listName: list.name,
+      file: upload.file,
+      columnMapping: upload.columnMapping,
+      defaultCountry: await getClientDefaultCountry(clientId),
+      source: 'append',
+      mode: 'append'
+    });
+    if (!jobResult.success) {
+      return { success: false, status: 500, message: 'Error starting list import', error: jobResult.error };
+    }
+
+    startImportJob(jobResult.jobId);
+
+    return {
+      success: true,
+      status: 202,
+      message: 'List import started',
+      data: { jobId: jobResult.jobId, listId: listId.toString() }
+    };
+  } catch (error) {
+    console.error('❌ Error starting list append:', error);
+    return { success: false, status: 500, message: 'Error starting list append', error: error.message };
+  }
+}
+
+/**
+ * Edit a single contact. A changed number is normalized and must not already be in the list;
+ * fields set to null are removed.
+ * @param {string} listId - List ID
+ * @param {string} clientId - Owning client
+ * @param {string} contactId - Contact (_id in plivo-list-data)
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} Standard service response
+ */
+async function updateContact(listId, clientId, contactId, updates) {
+  try {
+    if (!ObjectId.isValid(contactId)) {
+      return { success: false, status: 400, message: 'Invalid contactId' };
+    }
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates) || Object.keys(updates).length === 0) {
+      return { success: false, status: 400, message: 'No fields to update' };
+    }
+    if (RESERVED_FIELDS.some(field => field in updates)) {
+      return { success: false, status: 400, message: `Fields ${RESERVED_FIELDS.join(', ')} cannot be changed` };
+    }
+    if ('number' in updates && (updates.number === null || updates.number === '')) {
+      return { success: false, status: 400, message: 'number cannot be removed' };
+    }
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+    const collection = database.collection(LIST_DATA_COLLECTION);
+
+    const { response } = await getEditableList(database, listId, clientId);
+    if (response) return response;
+
+    const contactFilter = { _id: new ObjectId(contactId), listId: new ObjectId(listId) };
+    const $set = {};
+    const $unset = {};
+
+    for (const [field, value] of Object.entries(updates)) {
+      if (value === null) {
+        $unset[field] = '';
+      } else {
+        $set[field] = value;
+      }
+    }
+
+    if ($set.number !== undefined) {
+      const parsed = parsePhoneNumber($set.number, await getClientDefaultCountry(clientId));
+      if (!parsed.valid) {
+        return { success: false, status: 400, message: parsed.error };
+      }
+      $set.number = parsed.e164;
+
+      const duplicate = await collection.findOne(
+        { listId: new ObjectId(listId), number: parsed.e164, _id: { $ne: contactFilter._id } },
+        { projection: { _id: 1 } }
+      );
+      if (duplicate) {
+        return { success: false, status: 409, message: `${parsed.e164} is already in this list` };
+      }
+    }
+
+    const update = {};
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+    const contact = await collection.findOneAndUpdate(contactFilter, update, { returnDocument: 'after' });
+    if (!contact) {
+      return { success: false, status: 404, message: 'Contact not found in this list' };
+    }
+
+    return { success: true, status: 200, message: 'Contact updated', data: contact };
+  } catch (error) {
+    console.error('❌ Error updating contact:', error);
+    return { success: false, status: 500, message: 'Error updating contact', error: error.message };
+  }
+}
+
+/**
+ * Delete a single contact from a list
+ * @param {string} listId - List ID
+ * @param {string} clientId - Owning client
+ * @param {string} contactId - Contact (_id in plivo-list-data)
+ * @returns {Promise<Object>} Standard service response
+ */
+async function deleteContact(listId, clientId, contactId) {
+  try {
+    if (!ObjectId.isValid(contactId)) {
+      return { success: false, status: 400, message: 'Invalid contactId' };
+    }
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    const { response } = await getEditableList(database, listId, clientId);
+    if (response) return response;
+
+    const result = await database.collection(LIST_DATA_COLLECTION).deleteOne({
+      _id: new ObjectId(contactId),
+      listId: new ObjectId(listId)
+    });
+    if (result.deletedCount === 0) {
+      return { success: false, status: 404, message: 'Contact not found in this list' };
+    }
+
+    const contactCount = await refreshContactCount(database, listId);
+    return { success: true, status: 200, message: 'Contact deleted', data: { contactCount } };
+  } catch (error) {
+    console.error('❌ Error deleting contact:', error);
+    return { success: false, status: 500, message: 'Error deleting contact', error: error.message };
+  }
+}
+
+// =============================================================================
+// DEDUPE & MERGE
+// =============================================================================
+
+/**
+ * Remove duplicate numbers from a list (first occurrence wins), then every number that appears in
+ * other lists or was reached by earlier campaigns
+ * @param {string} listId - List ID
+ * @param {string} clientId - Owning client
+ * @param {Object} options - { againstListIds, campaignIds, leadCategories, leadsOnly, dryRun }
+ *   leadCategories / leadsOnly narrow campaignIds to those outcomes (e.g. ["converted"]); without
+ *   them every number those campaigns dialed is removed
+ * @returns {Promise<Object>} Standard service response with removal counts
+ */
+async function dedupeList(listId, clientId, options = {}) {
+  try {
+    if (!Array.isArray(options.againstListIds || []) || !Array.isArray(options.campaignIds || []) || !Array.isArray(options.leadCategories || [])) {
+      return { success: false, status: 400, message: 'againstListIds, campaignIds and leadCategories must be arrays' };
+    }
+
+    const againstListIds = (options.againstListIds || []).map(String).filter(id => id !== String(listId));
+    const campaignIds = (options.campaignIds || []).map(String);
+    const dryRun = options.dryRun === true || options.dryRun === 'true';
+    if (!campaignIds.every(id => ObjectId.isValid(id))) {
+      return { success: false, status: 400, message: 'Invalid campaignId' };
+    }
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    const { response } = await getEditableList(database, listId, clientId);
+    if (response) return response;
+
+    if (againstListIds.length > 0 && !(await getOwnedLists(database, againstListIds, clientId))) {
+      return { success: false, status: 404, message: 'One or more lists in againstListIds were not found' };
+    }
+    if (campaignIds.length > 0) {
+      const owned = await database.collection(CAMPAIGN_COLLECTION).countDocuments({
+        _id: { $in: toObjectIds(campaignIds) },
+        clientId: clientId.toString()
+      });
+      if (owned !== new Set(campaignIds).size) {
+        return { success: false, status: 404, message: 'One or more campaigns in campaignIds were not found' };
+      }
+    }
+
+    const defaultCountry = await getClientDefaultCountry(clientId);
+    const otherListKeys = againstListIds.length > 0 ? await collectListKeys(database, againstListIds, defaultCountry) : new Set();
+    const campaignKeys = campaignIds.length > 0
+      ? await collectCampaignOutcomeKeys(database, campaignIds, {
+        leadCategories: options.leadCategories,
+        leadsOnly: options.leadsOnly === true || options.leadsOnly === 'true'
+      }, defaultCountry)
+      : new Set();
+
+    const seen = new Set();
+    const toDelete = [];
+    let total = 0;
+    const removed = { duplicatesInList: 0, inOtherLists: 0, reachedByCampaigns: 0 };
+
+    const cursor = database.collection(LIST_DATA_COLLECTION)
+      .find({ listId: new ObjectId(listId) }, { projection: { number: 1 } })
+      .sort({ _id: 1 });
+
+    for await (const contact of cursor) {
+      total++;
+      const key = contactKey(contact.number, defaultCountry);
+      if (!key) continue;
+
+      if (seen.has(key)) {
+        removed.duplicatesInList++;
+      } else if (otherListKeys.has(key)) {
+        removed.inOtherLists++;
+      } else if (campaignKeys.has(key)) {
+        removed.reachedByCampaigns++;
+      } else {
+        seen.add(key);
+        continue;
+      }
+      toDelete.push(contact._id);
+    }
+
+    let contactCount = total - toDelete.length;
+    if (!dryRun && toDelete.length > 0) {
+      await deleteContactsById(database, toDelete);
+      contactCount = await refreshContactCount(database, listId);
+      console.log(`🧹 Deduped list ${listId}: removed ${toDelete.length} contact(s) (${removed.duplicatesInList} duplicates, ${removed.inOtherLists} in other lists, ${removed.reachedByCampaigns} reached by campaigns)`);
+    }
+
+    return {
+      success: true,
+      status: 200,
+      message: dryRun ? 'Dedupe preview' : 'List deduplicated',
+      data: {
+        dryRun,
+        removed: { ...removed, total: toDelete.length },
+        contactCount
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error deduplicating list:', error);
+    return { success: false, status: 500, message: 'Error deduplicating list', error: error.message };
+  }
+}
+
+/**
+ * Merge lists into a new list; the source lists are left untouched
+ * @param {string} clientId - Owning client
+ * @param {Object} options - { listIds (2+), name, dedupe (default true) }
+ * @returns {Promise<Object>} Standard service response with the new list
+ */
+async function mergeLists(clientId, options = {}) {
+  try {
+    const listIds = Array.isArray(options.listIds) ? [...new Set(options.listIds.map(String))] : [];
+    const name = typeof options.name === 'string' ? options.name.trim() : '';
+    const dedupe = options.dedupe !== false && options.dedupe !== 'false';
+
+    if (listIds.length < 2) {
+      return { success: false, status: 400, message: 'listIds must contain at least two lists' };
+    }
+    if (!name) {
+      return { success: false, status: 400, message: 'name is required' };
+    }
+
+    await connectToMongo();
+    const database = client.db("talkGlimpass");
+
+    const lists = await getOwnedLists(database, listIds, clientId);
+    if (!lists) {
+      return { success: false, status: 404, message: 'One or more lists were not found' };
+    }
+    const importing = lists.find(list => list.importStatus === 'importing');
+    if (importing) {
+      return { success: false, status: 409, message: `List "${importing.name}" is still importing` };
+    }
+
+    // Lazy require - plivo.js is large and already pulls in most services
+    const { insertList } = require('../apps/plivo/plivo.js');
+    const listResult = await insertList(name, clientId.toString());
+    if (listResult.status !== 200) {
+      return { success: false, status: listResult.status, message: listResult.message };
+    }
+    const newListId = listResult.listId;
+
+    const defaultCountry = await getClientDefaultCountry(clientId);
+    const seen = new Set();
+    let batch = [];
+    let duplicates = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await database.collection(LIST_DATA_COLLECTION).insertMany(batch, { ordered: true });
+      batch = [];
+    };
+
+    try {
+      // Keep the order of listIds so the merged list dials the first list's contacts first
+      for (const sourceListId of listIds) {
+        const cursor = database.collection(LIST_DATA_COLLECTION)
+          .find({ listId: new ObjectId(sourceListId) })
+          .sort({ _id: 1 });
+
+        for await (const contact of cursor) {
+          const key = contactKey(contact.number, defaultCountry);
+          if (dedupe && key) {
+            if (seen.has(key)) {
+              duplicates++;
+              continue;
+            }
+            seen.add(key);
+          }
+
+          const { _id, ...fields } = contact;
+          batch.push({ ...fields, listId: newListId });
+          if (batch.length >= WRITE_BATCH_SIZE) {
+            await flush();
+          }
+        }
+      }
+      await flush();
+    } catch (copyError) {
+      // Don't leave a half-merged list behind
+      await database.collection(LIST_DATA_COLLECTION).deleteMany({ listId: newListId });
+      await database.collection(LIST_COLLECTION).deleteOne({ _id: newListId });
+      throw copyError;
+    }
+
+    await database.collection(LIST_COLLECTION).updateOne(
+      { _id: newListId },
+      { $set: { mergedFrom: toObjectIds(listIds) } }
+    );
+    const contactCount = await refreshContactCount(database, newListId);
+
+    console.log(`🔀 Merged ${listIds.length} lists into "${name}" (${newListId}): ${contactCount} contacts, ${duplicates} duplicates skipped`);
+
+    return {
+      success: true,
+      status: 201,
+      message: 'Lists merged',
+      data: {
+        listId: newListId.toString(),
+        name,
+        mergedFrom: listIds,
+        contactCount,
+        duplicatesSkipped: duplicates
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error merging lists:', error);
+    return { success: false, status: 500, message: 'Error merging lists', error: error.message };
+  }
+}
+
+module.exports = {
+  ACTIVE_CAMPAIGN_STATUSES,
+  appendContacts,
+  appendContactsFromFile,
+  updateContact,
+  deleteContact,
+  dedupeList,
+  mergeLists
+};
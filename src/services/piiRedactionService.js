@@ -0,0 +1,339 @@
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const {
+  redactText,
+  redactValue,
+  validatePiiPolicy,
+  resolvePiiPolicy,
+  appliesTo
+} = require('../apps/helper/piiRedaction.js');
+
+/**
+ * PII Redaction Service
+ *
+ * Applies a client's redaction policy (client.piiRedaction, see helper/piiRedaction.js) where call
+ * data leaves the call:
+ *   - transcripts  bot transcripts are redacted before they are stored in logData (and merged into
+ *                  plivoHangupData). The original is kept encrypted in `piiVault` so roles listed in
+ *                  unredactedRoles can still read it (GET /pii/calls/{callUUID}/transcript?unredacted=true)
+ *   - webhooks     post-call webhook payloads and email bodies (postCallActionRunner)
+ *   - exports      campaign reports and CSV downloads (getReportByCampId)
+ * Request logs (apiLogger) are always redacted with every detector - they're platform logs, not
+ * client data, and nobody needs an unredacted view of them.
+ */
+
+const VAULT_COLLECTION = 'piiVault';
+const POLICY_CACHE_TTL = 60 * 1000;
+
+// Transcript fields of a bot log (logData) - everything else in it is call metadata
+const TRANSCRIPT_FIELDS = ['messages', 'chat', 'chat_history', 'transcript', 'summary', 'lead_analysis'];
+
+const policyCache = new Map(); // clientId -> { policy, loadedAt }
+
+async function getCollections() {
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+  return {
+    clients: database.collection("client"),
+    vault: database.collection(VAULT_COLLECTION),
+    logData: database.collection("logData"),
+    activeCalls: database.collection("activeCalls"),
+    hangupData: database.collection("plivoHangupData")
+  };
+}
+
+// =============================================================================
+// POLICY (client.piiRedaction)
+// =============================================================================
+
+/**
+ * Effective redaction policy of a client (cached for a minute - it's read on every webhook and report)
+ * @param {string} clientId - Client ID
+ * @returns {Promise<Object>} Policy; the disabled default when the client is unknown
+ */
+async function getClientPiiPolicy(clientId) {
+  const key = clientId ? clientId.toString() : null;
+  if (!key || !ObjectId.isValid(key)) {
+    return resolvePiiPolicy(null);
+  }
+
+  const cached = policyCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < POLICY_CACHE_TTL) {
+    return cached.policy;
+  }
+
+  const { clients } = await getCollections();
+  const clientDoc = await clients.findOne({ _id: new ObjectId(key) }, { projection: { piiRedaction: 1 } });
+  const policy = resolvePiiPolicy(clientDoc?.piiRedaction);
+  policyCache.set(key, { policy, loadedAt: Date.now() });
+  return policy;
+}
+
+/**
+ * PII redaction policy of a client
+ * @param {string} clientId - Client ID
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function getPiiPolicy(clientId) {
+  try {
+    if (!ObjectId.isValid(clientId)) {
+      return { success: false, status: 400, message: 'Invalid client ID' };
+    }
+    const { clients } = await getCollections();
+    const clientDoc = await clients.findOne({ _id: new ObjectId(clientId) }, { projection: { piiRedaction: 1 } });
+    if (!clientDoc) {
+      return { success: false, status: 404, message: 'Client not found' };
+    }
+    return { success: true, status: 200, data: resolvePiiPolicy(clientDoc.piiRedaction) };
+  } catch (error) {
+    console.error('❌ Error fetching PII policy:', error);
+    return { success: false, status: 500, message: 'Error fetching PII policy', error: error.message };
+  }
+}
+
+/**
+ * Update a client's PII redaction policy
+ * @param {string} clientId - Client ID
+ * @param {Object} input - Partial policy { enabled, types, mask, apply, unredactedRoles }
+ * @param {string} updatedBy - Who changed it
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function updatePiiPolicy(clientId, input, updatedBy) {
+  try {
+    const validation = validatePiiPolicy(input);
+    if (!validation.valid) {
+      return { success: false, status: 400, message: validation.error };
+    }
+    if (!ObjectId.isValid(clientId)) {
+      return { success: false, status: 400, message: 'Invalid client ID' };
+    }
+
+    const update = { 'piiRedaction.updatedAt': new Date(), 'piiRedaction.updatedBy': updatedBy || null };
+    for (const [key, value] of Object.entries(validation.value)) {
+      if (key === 'apply') {
+        for (const [target, enabled] of Object.entries(value)) {
+          update[`piiRedaction.apply.${target}`] = enabled;
+        }
+      } else {
+        update[`piiRedaction.${key}`] = value;
+      }
+    }
+
+    const { clients } = await getCollections();
+    const result = await clients.updateOne({ _id: new ObjectId(clientId) }, { $set: update });
+    if (result.matchedCount === 0) {
+      return { success: false, status: 404, message: 'Client not found' };
+    }
+
+    policyCache.delete(clientId.toString());
+    return { success: true, status: 200, message: 'PII policy updated', data: await getClientPiiPolicy(clientId) };
+  } catch (error) {
+    console.error('❌ Error updating PII policy:', error);
+    return { success: false, status: 500, message: 'Error updating PII policy', error: error.message };
+  }
+}
+
+/**
+ * Whether a caller may see unredacted data of a client
+ * @param {Object} viewer - { superKey, role }
+ * @param {Object} policy - Effective policy
+ * @returns {boolean}
+ */
+function canViewUnredacted(viewer, policy) {
+  if (viewer?.superKey) return true;
+  return Boolean(viewer?.role && policy.unredactedRoles.includes(viewer.role));
+}
+
+// =============================================================================
+// TRANSCRIPTS
+// =============================================================================
+
+async function resolveCallClientId(collections, data) {
+  const explicit = data.clientId || data.client_id;
+  if (explicit) return explicit.toString();
+  if (!data.callUUID) return null;
+
+  const call = await collections.activeCalls.findOne(
+    { $or: [{ callUUID: data.callUUID }, { twilioCallSid: data.callUUID }] },
+    { projection: { clientId: 1 } }
+  );
+  return call?.clientId ? call.clientId.toString() : null;
+}
+
+/**
+ * Redact a bot log in place before it is stored (saveLogData)
+ * The original transcript fields go to piiVault, encrypted; the log is only redacted once they are
+ * there. Never throws - if redaction fails the log is stored as received rather than lost.
+ * @param {Object} data - Bot log payload (mutated)
+ * @returns {Promise<{redacted: boolean, findings?: Object}>}
+ */
+async function redactTranscriptForStorage(data) {
+  try {
+    const collections = await getCollections();
+    const clientId = await resolveCallClientId(collections, data);
+    const policy = await getClientPiiPolicy(clientId);
+    if (!appliesTo(policy, 'transcripts')) {
+      return { redacted: false };
+    }
+
+    const original = {};
+    const redacted = {};
+    const findings = {};
+    for (const field of TRANSCRIPT_FIELDS) {
+      if (data[field] === undefined || data[field] === null) continue;
+      original[field] = data[field];
+      redacted[field] = redactValue(data[field], policy, findings);
+    }
+    if (Object.keys(findings).length === 0) {
+      return { redacted: false };
+    }
+
+    const TelephonyCredentialsService = require('./telephonyCredentialsService');
+    await collections.vault.insertOne({
+      callUUID: data.callUUID || null,
+      clientId,
+      fields: TelephonyCredentialsService.encrypt(JSON.stringify(original)),
+      findings,
+      createdAt: new Date()
+    });
+    Object.assign(data, redacted, { piiRedacted: true });
+
+    console.log(`🔒 Transcript redacted for call ${data.callUUID}: ${Object.entries(findings).map(([type, count]) => `${count} ${type}`).join(', ')}`);
+    return { redacted: true, findings };
+  } catch (error) {
+    console.error(`❌ Error redacting transcript for ${data?.callUUID}:`, error);
+    return { redacted: false };
+  }
+}
+
+/**
+ * Transcript of a call - unredacted only for permitted viewers
+ * @param {string} callUUID - Call UUID
+ * @param {string|null} clientId - Owning client (null = superadmin)
+ * @param {Object} options - { unredacted, viewer: { superKey, role } }
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function getCallTranscript(callUUID, clientId, { unredacted = false, viewer = {} } = {}) {
+  try {
+    const collections = await getCollections();
+    const hangup = await collections.hangupData.findOne(
+      { $or: [{ CallUUID: callUUID }, { callUUID }] },
+      { projection: { clientId: 1 } }
+    );
+    const ownerId = hangup?.clientId ? hangup.clientId.toString() : await resolveCallClientId(collections, { callUUID });
+    if (!ownerId || (clientId && ownerId !== clientId.toString())) {
+      return { success: false, status: 404, message: 'Call not found' };
+    }
+
+    const [log] = await collections.logData.find({ callUUID }).sort({ _id: -1 }).limit(1).toArray();
+    if (!log) {
+      return { success: false, status: 404, message: 'No transcript for this call' };
+    }
+
+    const transcript = {};
+    for (const field of TRANSCRIPT_FIELDS) {
+      if (log[field] !== undefined) transcript[field] = log[field];
+    }
+
+    let revealed = false;
+    if (unredacted && log.piiRedacted) {
+      const policy = await getClientPiiPolicy(ownerId);
+      if (!canViewUnredacted(viewer, policy)) {
+        return { success: false, status: 403, message: 'Your role is not permitted to view unredacted transcripts' };
+      }
+      const [entry] = await collections.vault.find({ callUUID }).sort({ createdAt: -1 }).limit(1).toArray();
+      if (entry) {
+        const TelephonyCredentialsService = require('./telephonyCredentialsService');
+        Object.assign(transcript, JSON.parse(TelephonyCredentialsService.decrypt(entry.fields)));
+        revealed = true;
+      }
+    }
+
+    return {
+      success: true,
+      status: 200,
+      data: {
+        callUUID,
+        redacted: Boolean(log.piiRedacted) && !revealed,
+        ...transcript
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error fetching call transcript:', error);
+    return { success: false, status: 500, message: 'Error fetching transcript', error: error.message };
+  }
+}
+
+// =============================================================================
+// WEBHOOKS, EXPORTS, LOGS
+// =============================================================================
+
+/**
+ * Redact a value leaving the platform for a client, if the client's policy covers the target
+ * @param {string} clientId - Client whose policy applies
+ * @param {string} target - webhooks or exports
+ * @param {*} value - Payload / records
+ * @returns {Promise<{value: *, redacted: boolean}>}
+ */
+async function redactForClient(clientId, target, value) {
+  const policy = await getClientPiiPolicy(clientId);
+  if (!appliesTo(policy, target)) {
+    return { value, redacted: false };
+  }
+  return { value: redactValue(value, policy), redacted: true };
+}
+
+/**
+ * Campaign report rows for a caller - redacted per the exports policy unless an unredacted view
+ * was asked for by a permitted viewer
+ * @param {string} clientId - Owning client
+ * @param {Array<Object>} records - Report rows
+ * @param {Object} options - { unredacted, viewer: { superKey, role } }
+ * @returns {Promise<{success: boolean, status: number, records?: Array, redacted?: boolean, message?: string}>}
+ */
+async function prepareExportRecords(clientId, records, { unredacted = false, viewer = {} } = {}) {
+  const policy = await getClientPiiPolicy(clientId);
+  if (!appliesTo(policy, 'exports')) {
+    return { success: true, status: 200, records, redacted: false };
+  }
+  if (unredacted) {
+    if (!canViewUnredacted(viewer, policy)) {
+      return { success: false, status: 403, message: 'Your role is not permitted to view unredacted reports' };
+    }
+    return { success: true, status: 200, records, redacted: false };
+  }
+  return { success: true, status: 200, records: records.map(record => redactValue(record, policy)), redacted: true };
+}
+
+/**
+ * Redact a request log entry (apiLogger) - every detector, no client policy
+ * @param {*} value - Body or URL
+ * @returns {*}
+ */
+function redactForLog(value) {
+  return typeof value === 'string' ? redactText(value).text : redactValue(value);
+}
+
+/**
+ * Try a policy on sample text without saving it
+ * @param {string} text - Sample text
+ * @param {Object} policy - Effective policy (types, mask)
+ * @returns {{text: string, findings: Object}}
+ */
+function previewRedaction(text, policy) {
+  return redactText(text, policy);
+}
+
+module.exports = {
+  TRANSCRIPT_FIELDS,
+  getClientPiiPolicy,
+  getPiiPolicy,
+  updatePiiPolicy,
+  canViewUnredacted,
+  redactTranscriptForStorage,
+  getCallTranscript,
+  redactForClient,
+  prepareExportRecords,
+  redactForLog,
+  previewRedaction
+};
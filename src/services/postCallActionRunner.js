@@ -16,6 +16,9 @@ const axios = require('axios');
  *
  * Each action has a condition that is evaluated against the report.
  * Conditions: "always", "column == 'value'", "column != 'value'"
+ *
+ * What leaves the platform (webhook bodies, WhatsApp template variables, email subject/body) is
+ * PII-redacted when the client's policy covers webhooks. Recipients and conditions use the raw report.
  */
 
 // =============================================================================
@@ -78,7 +81,7 @@ function buildReport(mergedRecord, assistantDoc) {
 // ACTION EXECUTORS
 // =============================================================================
 
-async function executeWebhook(action, report) {
+async function executeWebhook(action, report, content = report) {
   const { url, method, headers, api_key } = action.config || {};
 
   if (!url) throw new Error('Webhook URL is required');
@@ -98,11 +101,11 @@ async function executeWebhook(action, report) {
   }
 
   // Map report columns to body if column_mapping exists, otherwise send full report
-  let body = report;
+  let body = content;
   if (action.config.column_mapping && typeof action.config.column_mapping === 'object') {
     body = {};
     Object.entries(action.config.column_mapping).forEach(([bodyKey, reportColumn]) => {
-      body[bodyKey] = report[reportColumn] || '';
+      body[bodyKey] = content[reportColumn] || '';
     });
   }
 
@@ -117,7 +120,7 @@ async function executeWebhook(action, report) {
   return { status: response.status, data: response.data };
 }
 
-async function executeWhatsApp(action, report) {
+async function executeWhatsApp(action, report, content = report) {
   const { tool_id, recipient_column, template_variable_mapping } = action.config || {};
 
   if (!tool_id || !recipient_column) {
@@ -135,7 +138,7 @@ async function executeWhatsApp(action, report) {
   // Map template variables from report columns
   if (template_variable_mapping && typeof template_variable_mapping === 'object') {
     Object.entries(template_variable_mapping).forEach(([templateVar, reportColumn]) => {
-      args[templateVar] = report[reportColumn] || '';
+      args[templateVar] = content[reportColumn] || '';
     });
   }
 
@@ -160,7 +163,7 @@ async function executeWhatsApp(action, report) {
   return response.data;
 }
 
-async function executeEmail(action, report) {
+async function executeEmail(action, report, content = report) {
   const { tool_id, recipient_column, subject_template, body_template } = action.config || {};
 
   if (!tool_id || !recipient_column) {
@@ -174,9 +177,9 @@ async function executeEmail(action, report) {
 
   // Replace {{column}} placeholders in subject and body
   let subject = subject_template || 'Call Report';
-  let body = body_template || JSON.stringify(report, null, 2);
+  let body = body_template || JSON.stringify(content, null, 2);
 
-  Object.entries(report).forEach(([key, value]) => {
+  Object.entries(content).forEach(([key, value]) => {
     const regex = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
     subject = subject.replace(regex, String(value));
     body = body.replace(regex, String(value));
@@ -204,7 +207,7 @@ async function executeEmail(action, report) {
 }
 
 async function executeScheduleCall(action, report) {
-  const { target_agent_id, delay, context_columns } = action.config || {};
+  const { target_agent_id, delay, schedule_at, timezone, context_columns } = action.config || {};
 
   if (!target_agent_id) {
     throw new Error('Schedule call action requires target_agent_id');
@@ -231,6 +234,8 @@ async function executeScheduleCall(action, report) {
     fromNumber: report.from || '',
     toNumber,
     delay: delay || '24h',
+    scheduleAt: schedule_at || null,
+    timezone: timezone || null,
     context,
     scheduledByAgentId: action.agent_id || null,
     scheduledByCallUUID: report.callUUID || null
@@ -258,6 +263,10 @@ async function runPostCallActions(mergedRecord, assistantId) {
     const report = buildReport(mergedRecord, assistant);
     report._clientId = assistant.clientId; // Attach for schedule_call
 
+    // Payload content sent to third parties - redacted per the client's PII policy
+    const { redactForClient } = require('./piiRedactionService');
+    const { value: content } = await redactForClient(assistant.clientId, 'webhooks', report);
+
     console.log(`🔄 Running ${assistant.post_call_actions.length} post-call action(s) for call ${report.callUUID}`);
 
     const results = await Promise.allSettled(
@@ -275,13 +284,13 @@ async function runPostCallActions(mergedRecord, assistantId) {
           let result;
           switch (action.type) {
             case 'webhook':
-              result = await executeWebhook(action, report);
+              result = await executeWebhook(action, report, content);
               break;
             case 'whatsapp':
-              result = await executeWhatsApp(action, report);
+              result = await executeWhatsApp(action, report, content);
               break;
             case 'email':
-              result = await executeEmail(action, report);
+              result = await executeEmail(action, report, content);
               break;
             case 'schedule_call':
               result = await executeScheduleCall(action, report);
@@ -0,0 +1,485 @@
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { toE164 } = require('../apps/helper/phoneNumber.js');
+
+/**
+ * Provider Failover
+ *
+ * Per-client routing policy between Plivo, Twilio, Exotel and SIP trunks (client.providerRouting):
+ *   { enabled, primary, secondary, failoverOn: ['auth', 'network', 'server', 'rate_limit'],
+ *     fromNumberMap: { '+9180XXXXXXXX': '+1415XXXXXXX' }, secondaryFromNumber }
+ * When the primary provider rejects a call with an error class listed in failoverOn, CallProviderService
+ * retries the same call on the secondary provider with an equivalent from-number:
+ *   1. fromNumberMap[from]
+ *   2. the same number, when it is mapped to the secondary provider (phoneProviders) or validated on
+ *      the client's secondary credentials
+ *   3. secondaryFromNumber
+ *   4. the first voice number validated on the client's secondary credentials
+ * Without an equivalent number there is no failover - dialing from an arbitrary number is worse than failing.
+ * A timeout or a request that got no response (class 'timeout') never fails over: the primary may have
+ * placed the call anyway, and dialing again would ring the contact twice.
+ *
+ * Circuit breaker: outcomes per provider account (<provider>:client:<clientId> for client credentials,
+ * <provider>:system for the platform account) are counted in `providerCircuitBreakers`, shared by every
+ * container. Once a window has PROVIDER_BREAKER_MIN_CALLS calls and at least PROVIDER_BREAKER_ERROR_RATE
+ * of them failed with a failover-class error, the breaker opens and calls go straight to the secondary for
+ * PROVIDER_BREAKER_COOLDOWN_MS (timeouts count as failures here - they say the provider is struggling).
+ * After the cooldown the breaker is half-open: exactly one call is let through as the trial while the
+ * others keep going to the secondary. The trial's outcome closes the breaker or opens it again; a trial
+ * that never reports back is handed to another call after another cooldown.
+ */
+
+const BREAKER_COLLECTION = 'providerCircuitBreakers';
+
+const PROVIDERS = ['plivo', 'twilio', 'exotel', 'sip'];
+const ERROR_CLASSES = ['auth', 'network', 'server', 'rate_limit', 'from_number', 'invalid_request'];
+const DEFAULT_FAILOVER_ON = ['auth', 'network', 'server', 'rate_limit'];
+// Outcome of the dial request unknown - counts against the breaker, never fails the call over
+const TIMEOUT_ERROR_CLASS = 'timeout';
+const BREAKER_ERROR_CLASSES = [...DEFAULT_FAILOVER_ON, TIMEOUT_ERROR_CLASS];
+
+const BREAKER_WINDOW_MS = parseInt(process.env.PROVIDER_BREAKER_WINDOW_MS) || 60 * 1000;
+const BREAKER_MIN_CALLS = parseInt(process.env.PROVIDER_BREAKER_MIN_CALLS) || 10;
+const BREAKER_ERROR_RATE = parseFloat(process.env.PROVIDER_BREAKER_ERROR_RATE) || 0.5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.PROVIDER_BREAKER_COOLDOWN_MS) || 60 * 1000;
+const ROUTING_CACHE_MS = 30 * 1000;
+
+// Connection never established - the provider can't have seen the request
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+// Twilio REST error codes that mean the from-number can't be used on this account
+const TWILIO_FROM_NUMBER_CODES = [21210, 21212, 21606, 21608, 21659];
+
+// Routing policies, cached briefly - campaigns ask for every contact
+const routingCache = new Map();
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Validate a client.providerRouting object (superadmin/client updates)
+ * @param {Object|null} providerRouting - Routing policy (null = single provider, no failover)
+ * @returns {{providerRouting?: Object|null, error?: string}}
+ */
+function validateProviderRouting(providerRouting) {
+  if (providerRouting === null) return { providerRouting: null };
+  if (typeof providerRouting !== 'object' || Array.isArray(providerRouting)) {
+    return { error: 'providerRouting must be an object: { enabled, primary, secondary, failoverOn, fromNumberMap, secondaryFromNumber }' };
+  }
+
+  const allowed = ['enabled', 'primary', 'secondary', 'failoverOn', 'fromNumberMap', 'secondaryFromNumber'];
+  for (const field of Object.keys(providerRouting)) {
+    if (!allowed.includes(field)) {
+      return { error: `Unknown providerRouting field "${field}". Allowed: ${allowed.join(', ')}` };
+    }
+  }
+
+  const primary = providerRouting.primary ? String(providerRouting.primary).toLowerCase() : null;
+  if (primary && !PROVIDERS.includes(primary)) {
+    return { error: `providerRouting.primary must be one of: ${PROVIDERS.join(', ')} (or null to follow the from-number mapping)` };
+  }
+
+  const secondary = providerRouting.secondary ? String(providerRouting.secondary).toLowerCase() : null;
+  if (!secondary || !PROVIDERS.includes(secondary)) {
+    return { error: `providerRouting.secondary must be one of: ${PROVIDERS.join(', ')}` };
+  }
+  if (primary === secondary) {
+    return { error: 'providerRouting.primary and providerRouting.secondary must be different providers' };
+  }
+
+  let failoverOn = DEFAULT_FAILOVER_ON;
+  if (providerRouting.failoverOn !== undefined && providerRouting.failoverOn !== null) {
+    if (!Array.isArray(providerRouting.failoverOn) || providerRouting.failoverOn.length === 0) {
+      return { error: `providerRouting.failoverOn must be a non-empty array of: ${ERROR_CLASSES.join(', ')}` };
+    }
+    if (providerRouting.failoverOn.includes(TIMEOUT_ERROR_CLASS)) {
+      return { error: 'providerRouting.failoverOn cannot include timeout - a timed-out call may already be ringing on the primary' };
+    }
+    const invalid = providerRouting.failoverOn.filter(errorClass => !ERROR_CLASSES.includes(errorClass));
+    if (invalid.length > 0) {
+      return { error: `Unknown providerRouting.failoverOn error class(es): ${invalid.join(', ')}. Allowed: ${ERROR_CLASSES.join(', ')}` };
+    }
+    failoverOn = [...new Set(providerRouting.failoverOn)];
+  }
+
+  const fromNumberMap = {};
+  if (providerRouting.fromNumberMap !== undefined && providerRouting.fromNumberMap !== null) {
+    if (typeof providerRouting.fromNumberMap !== 'object' || Array.isArray(providerRouting.fromNumberMap)) {
+      return { error: 'providerRouting.fromNumberMap must be an object of { primaryFromNumber: secondaryFromNumber }' };
+    }
+    for (const [primaryNumber, secondaryNumber] of Object.entries(providerRouting.fromNumberMap)) {
+      const primaryE164 = toE164(primaryNumber);
+      const secondaryE164 = toE164(secondaryNumber);
+      if (!primaryE164 || !secondaryE164) {
+        return { error: `Invalid providerRouting.fromNumberMap entry: ${primaryNumber} -> ${secondaryNumber}` };
+      }
+      fromNumberMap[primaryE164] = secondaryE164;
+    }
+  }
+
+  let secondaryFromNumber = null;
+  if (providerRouting.secondaryFromNumber) {
+    secondaryFromNumber = toE164(providerRouting.secondaryFromNumber);
+    if (!secondaryFromNumber) {
+      return { error: `Invalid providerRouting.secondaryFromNumber: ${providerRouting.secondaryFromNumber}` };
+    }
+  }
+
+  return {
+    providerRouting: {
+      enabled: providerRouting.enabled !== false,
+      primary,
+      secondary,
+      failoverOn,
+      fromNumberMap,
+      secondaryFromNumber
+    }
+  };
+}
+
+/**
+ * The client's routing policy
+ * @param {string|ObjectId} clientId - Client ID
+ * @returns {Promise<Object|null>} Enabled policy, or null (no failover)
+ */
+async function getProviderRouting(clientId) {
+  const key = clientId ? clientId.toString() : null;
+  if (!key || !ObjectId.isValid(key)) return null;
+
+  const cached = routingCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.policy;
+  }
+
+  let policy = null;
+  try {
+    await connectToMongo();
+    const clientDoc = await client.db("talkGlimpass").collection("client").findOne(
+      { _id: new ObjectId(key) },
+      { projection: { providerRouting: 1 } }
+    );
+    if (clientDoc?.providerRouting?.enabled && clientDoc.providerRouting.secondary) {
+      policy = {
+        failoverOn: DEFAULT_FAILOVER_ON,
+        fromNumberMap: {},
+        ...clientDoc.providerRouting
+      };
+    }
+  } catch (error) {
+    // Routing policy is an optimization - never block a call on it
+    console.error(`❌ Error loading provider routing for client ${key}:`, error.message);
+    return null;
+  }
+
+  routingCache.set(key, { policy, expiresAt: Date.now() + ROUTING_CACHE_MS });
+  return policy;
+}
+
+/**
+ * Drop a cached routing policy (after the client document changes)
+ * @param {string} [clientId] - Client ID, omit to clear all
+ */
+function clearProviderRoutingCache(clientId) {
+  if (clientId) {
+    routingCache.delete(clientId.toString());
+  } else {
+    routingCache.clear();
+  }
+}
+
+// =============================================================================
+// ERROR CLASSIFICATION
+// =============================================================================
+
+/**
+ * Classify a failed adapter result
+ * @param {Object} callResult - Adapter result ({ success: false, error, errorDetails })
+ * @returns {string} 'auth' | 'network' | 'server' | 'rate_limit' | 'from_number' | 'invalid_request' | 'timeout'
+ */
+function classifyProviderError(callResult) {
+  const details = callResult?.errorDetails || {};
+  const status = Number(details.status) || null;
+  const code = details.code;
+  const message = String(callResult?.error || '').toLowerCase();
+
+  if (status === 401 || status === 403 || code === 20003 || message.includes('credentials') || message.includes('not configured')) {
+    return 'auth';
+  }
+  if (status === 429 || code === 20429) {
+    return 'rate_limit';
+  }
+  if (TWILIO_FROM_NUMBER_CODES.includes(code)) {
+    return 'from_number';
+  }
+  if (status >= 500) {
+    return 'server';
+  }
+  if (status >= 400) {
+    return 'invalid_request';
+  }
+  if (NETWORK_ERROR_CODES.includes(code) || message.includes('unable to connect')) {
+    return 'network';
+  }
+  // Timed out, reset or no HTTP response at all - the provider may have placed the call
+  return TIMEOUT_ERROR_CLASS;
+}
+
+// =============================================================================
+// CIRCUIT BREAKER
+// =============================================================================
+
+/**
+ * Breaker key for a provider account
+ * @param {string} provider - Provider name
+ * @param {Object} credentials - Credentials used for the call
+ * @param {string} clientId - Client ID
+ * @returns {string}
+ */
+function getBreakerKey(provider, credentials, clientId) {
+  return credentials?.isClientSpecific && clientId
+    ? `${provider}:client:${clientId}`
+    : `${provider}:system`;
+}
+
+/**
+ * Whether calls should skip this provider account
+ * After the cooldown the first caller claims the trial (half_open) and gets false; everyone else
+ * keeps getting true until the trial reports back through recordProviderOutcome.
+ * @param {string} breakerKey - Breaker key (getBreakerKey)
+ * @returns {Promise<boolean>} true while open, cooling down or waiting on another call's trial
+ */
+async function isCircuitOpen(breakerKey) {
+  try {
+    await connectToMongo();
+    const collection = client.db("talkGlimpass").collection(BREAKER_COLLECTION);
+    const breaker = await collection.findOne(
+      { _id: breakerKey },
+      { projection: { state: 1, openUntil: 1, trialStartedAt: 1 } }
+    );
+    if (!breaker || breaker.state === 'closed') return false;
+
+    const now = new Date();
+    if (breaker.state === 'open' && breaker.openUntil > now) return true;
+
+    // Claim the trial - a trial that never reported back is up for grabs after another cooldown
+    const claimed = await collection.updateOne(
+      {
+        _id: breakerKey,
+        $or: [
+          { state: 'open', openUntil: { $lte: now } },
+          { state: 'half_open', trialStartedAt: { $lt: new Date(now.getTime() - BREAKER_COOLDOWN_MS) } }
+        ]
+      },
+      { $set: { state: 'half_open', trialStartedAt: now } }
+    );
+    if (claimed.modifiedCount > 0) {
+      console.log(`🔌 Circuit breaker ${breakerKey} half-open - letting one trial call through`);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`❌ Error reading circuit breaker ${breakerKey}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Record a call attempt against a provider account and open/close its breaker
+ * @param {string} breakerKey - Breaker key (getBreakerKey)
+ * @param {string|null} errorClass - null on success, else classifyProviderError result
+ * @returns {Promise<void>}
+ */
+async function recordProviderOutcome(breakerKey, errorClass) {
+  // Bad numbers and bad requests say nothing about the provider's health
+  const failed = errorClass !== null && BREAKER_ERROR_CLASSES.includes(errorClass);
+  const now = new Date();
+
+  try {
+    await connectToMongo();
+    const collection = client.db("talkGlimpass").collection(BREAKER_COLLECTION);
+
+    // Count the attempt in the current window (a stale window starts over)
+    const startsOver = { $or: [{ $not: ['$windowStart'] }, { $lt: ['$windowStart', new Date(now.getTime() - BREAKER_WINDOW_MS)] }] };
+    const breaker = await collection.findOneAndUpdate(
+      { _id: breakerKey },
+      [{
+        $set: {
+          state: { $ifNull: ['$state', 'closed'] },
+          windowStart: { $cond: [startsOver, now, '$windowStart'] },
+          calls: { $add: [{ $cond: [startsOver, 0, '$calls'] }, 1] },
+          failures: { $add: [{ $cond: [startsOver, 0, '$failures'] }, failed ? 1 : 0] },
+          lastOutcomeAt: now,
+          ...(failed ? { lastErrorClass: errorClass, lastFailureAt: now } : {})
+        }
+      }],
+      { upsert: true, returnDocument: 'after' }
+    );
+    if (!breaker) return;
+
+    if (breaker.state === 'open' || breaker.state === 'half_open') {
+      // Calls that were already in flight when it opened
+      if (breaker.state === 'open' && breaker.openUntil > now) return;
+
+      // The trial call decides (or, without a secondary to route to, the first call after the cooldown)
+      if (failed) {
+        const reopened = await collection.updateOne(
+          { _id: breakerKey, state: breaker.state },
+          {
+            $set: { state: 'open', openUntil: new Date(now.getTime() + BREAKER_COOLDOWN_MS), openedAt: now, calls: 0, failures: 0, windowStart: now },
+            $unset: { trialStartedAt: '' }
+          }
+        );
+        if (reopened.modifiedCount > 0) {
+          console.warn(`🔌 Circuit breaker ${breakerKey} re-opened after failed trial call (${errorClass})`);
+        }
+      } else {
+        const closed = await collection.updateOne(
+          { _id: breakerKey, state: breaker.state },
+          { $set: { state: 'closed', closedAt: now, calls: 0, failures: 0, windowStart: now }, $unset: { openUntil: '', trialStartedAt: '' } }
+        );
+        if (closed.modifiedCount > 0) {
+          console.log(`✅ Circuit breaker ${breakerKey} closed - provider recovered`);
+        }
+      }
+      return;
+    }
+
+    if (failed && breaker.calls >= BREAKER_MIN_CALLS && breaker.failures / breaker.calls >= BREAKER_ERROR_RATE) {
+      const opened = await collection.updateOne(
+        { _id: breakerKey, state: 'closed' },
+        { $set: { state: 'open', openedAt: now, openUntil: new Date(now.getTime() + BREAKER_COOLDOWN_MS), openReason: errorClass } }
+      );
+      if (opened.modifiedCount > 0) {
+        console.warn(`🔌 Circuit breaker ${breakerKey} OPEN: ${breaker.failures}/${breaker.calls} calls failed in the last window (last: ${errorClass})`);
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Error recording provider outcome for ${breakerKey}:`, error.message);
+  }
+}
+
+/**
+ * Circuit breaker state for monitoring
+ * @param {Object} [filter] - { provider }
+ * @returns {Promise<{success: boolean, status: number, message: string, data?: Object}>}
+ */
+async function getCircuitBreakerStatus(filter = {}) {
+  try {
+    await connectToMongo();
+    const query = PROVIDERS.includes(filter.provider) ? { _id: { $regex: `^${filter.provider}:` } } : {};
+    const breakers = await client.db("talkGlimpass").collection(BREAKER_COLLECTION)
+      .find(query)
+      .sort({ _id: 1 })
+      .toArray();
+
+    const now = new Date();
+    return {
+      success: true,
+      status: 200,
+      message: 'Circuit breaker status retrieved successfully',
+      data: {
+        settings: {
+          windowMs: BREAKER_WINDOW_MS,
+          minCalls: BREAKER_MIN_CALLS,
+          errorRate: BREAKER_ERROR_RATE,
+          cooldownMs: BREAKER_COOLDOWN_MS
+        },
+        breakers: breakers.map(breaker => ({
+          key: breaker._id,
+          state: breaker.state === 'open' && breaker.openUntil <= now ? 'half_open' : breaker.state,
+          calls: breaker.calls || 0,
+          failures: breaker.failures || 0,
+          windowStart: breaker.windowStart || null,
+          openedAt: breaker.openedAt || null,
+          openUntil: breaker.state === 'open' ? breaker.openUntil : null,
+          trialStartedAt: breaker.state === 'half_open' ? breaker.trialStartedAt : null,
+          openReason: breaker.openReason || null,
+          lastErrorClass: breaker.lastErrorClass || null,
+          lastFailureAt: breaker.lastFailureAt || null
+        }))
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error getting circuit breaker status:', error);
+    return { success: false, status: 500, message: 'Failed to get circuit breaker status', error: error.message };
+  }
+}
+
+/**
+ * Close a breaker by hand (e.g. after fixing credentials)
+ * @param {string} breakerKey - Breaker key
+ * @returns {Promise<{success: boolean, status: number, message: string}>}
+ */
+async function resetCircuitBreaker(breakerKey) {
+  try {
+    await connectToMongo();
+    const result = await client.db("talkGlimpass").collection(BREAKER_COLLECTION).updateOne(
+      { _id: breakerKey },
+      { $set: { state: 'closed', closedAt: new Date(), calls: 0, failures: 0, windowStart: new Date() }, $unset: { openUntil: '', trialStartedAt: '' } }
+    );
+    if (result.matchedCount === 0) {
+      return { success: false, status: 404, message: `Circuit breaker ${breakerKey} not found` };
+    }
+    console.log(`🔌 Circuit breaker ${breakerKey} reset manually`);
+    return { success: true, status: 200, message: `Circuit breaker ${breakerKey} closed` };
+  } catch (error) {
+    console.error('❌ Error resetting circuit breaker:', error);
+    return { success: false, status: 500, message: 'Failed to reset circuit breaker', error: error.message };
+  }
+}
+
+// =============================================================================
+// FAILOVER FROM-NUMBER
+// =============================================================================
+
+/**
+ * Equivalent from-number on the secondary provider
+ * @param {Object} policy - Routing policy
+ * @param {string} from - From-number used on the primary
+ * @param {Object} providerMapping - PhoneProviderService.getProvider(from) result
+ * @param {Object} secondaryCredentials - Client credentials for the secondary provider
+ * @returns {string|null} null = no equivalent number, don't fail over
+ */
+function resolveFailoverFrom(policy, from, providerMapping, secondaryCredentials) {
+  const fromE164 = toE164(from) || from;
+  if (policy.fromNumberMap?.[fromE164]) {
+    return policy.fromNumberMap[fromE164];
+  }
+
+  if (providerMapping?.provider === policy.secondary && !providerMapping.isDefault) {
+    return from;
+  }
+
+  const validatedNumbers = secondaryCredentials?.isClientSpecific
+    ? (secondaryCredentials.validatedPhoneNumbers || []).filter(phone => !phone.capabilities || phone.capabilities.voice !== false)
+    : [];
+  const normalizedFrom = String(from).replace(/^\+/, '').replace(/\s+/g, '');
+  if (validatedNumbers.some(phone => phone.phoneNumber === normalizedFrom || phone.phoneNumber === from)) {
+    return from;
+  }
+
+  if (policy.secondaryFromNumber) {
+    return policy.secondaryFromNumber;
+  }
+
+  if (validatedNumbers.length > 0) {
+    return toE164(validatedNumbers[0].phoneNumber) || validatedNumbers[0].phoneNumber;
+  }
+  return null;
+}
+
+module.exports = {
+  PROVIDERS,
+  ERROR_CLASSES,
+  DEFAULT_FAILOVER_ON,
+  validateProviderRouting,
+  getProviderRouting,
+  clearProviderRoutingCache,
+  classifyProviderError,
+  getBreakerKey,
+  isCircuitOpen,
+  recordProviderOutcome,
+  getCircuitBreakerStatus,
+  resetCircuitBreaker,
+  resolveFailoverFrom
+};
@@ -129,6 +129,176 @@ class ProviderMetadataService {
         ]
       },
 
+      exotel: {
+        name: "exotel",
+        displayName: "Exotel Voice",
+        description: "Voice calls via Exotel (Voicebot app streaming)",
+        isDefault: false,
+        capabilities: ["voice"],
+        category: "telephony",
+        logoUrl: "/assets/providers/exotel-logo.svg",
+        docsUrl: "https://developer.exotel.com/api/",
+
+        requiredFields: [
+          {
+            key: "accountSid",
+            label: "Account SID",
+            type: "text",
+            placeholder: "yourcompany1",
+            helpText: "Account SID from Exotel dashboard (API settings)",
+            order: 1
+          },
+          {
+            key: "apiKey",
+            label: "API Key",
+            type: "password",
+            validation: {
+              minLength: 10,
+              message: "API key must be at least 10 characters"
+            },
+            helpText: "API key (username) from Exotel API settings",
+            order: 2
+          },
+          {
+            key: "authToken",
+            label: "API Token",
+            type: "password",
+            validation: {
+              minLength: 10,
+              message: "API token must be at least 10 characters"
+            },
+            helpText: "API token (password) from Exotel API settings",
+            order: 3
+          },
+          {
+            key: "appId",
+            label: "Voicebot App ID",
+            type: "text",
+            placeholder: "808269",
+            validation: {
+              pattern: "^[0-9]+$",
+              message: "Must be the numeric Exotel app (flow) ID"
+            },
+            helpText: "Exotel app whose Voicebot applet uses the signed dynamic URL from GET /exotel/applet-urls",
+            order: 4
+          }
+        ],
+
+        optionalFields: [
+          {
+            key: "subdomain",
+            label: "API Region",
+            type: "select",
+            options: [
+              { value: "api.exotel.com", label: "Singapore (api.exotel.com)" },
+              { value: "api.in.exotel.com", label: "Mumbai (api.in.exotel.com)" }
+            ],
+            defaultValue: "api.exotel.com",
+            order: 5
+          },
+          {
+            key: "phoneNumbers",
+            label: "ExoPhones",
+            type: "array",
+            placeholder: "+918047495083",
+            helpText: "Comma-separated ExoPhones owned by this account",
+            order: 6
+          }
+        ]
+      },
+
+      sip: {
+        name: "sip",
+        displayName: "SIP Trunk (Asterisk ARI)",
+        description: "Voice calls over your own SIP trunk, originated through an Asterisk ARI-compatible interface",
+        isDefault: false,
+        capabilities: ["voice"],
+        category: "telephony",
+        logoUrl: "/assets/providers/sip-logo.svg",
+        docsUrl: "https://docs.asterisk.org/Configuration/Interfaces/Asterisk-REST-Interface-ARI/",
+
+        requiredFields: [
+          {
+            key: "ariUrl",
+            label: "ARI Base URL",
+            type: "text",
+            placeholder: "https://pbx.example.com:8089/ari",
+            validation: {
+              pattern: "^https?://[^\\s]+$",
+              message: "Must be an http(s) URL, e.g. https://pbx.example.com:8089/ari"
+            },
+            helpText: "Base URL of the ARI HTTP interface (POST {ariUrl}/channels originates calls)",
+            order: 1
+          },
+          {
+            key: "accountSid",
+            label: "ARI Username",
+            type: "text",
+            placeholder: "glimpass",
+            helpText: "ARI user from ari.conf",
+            order: 2
+          },
+          {
+            key: "authToken",
+            label: "ARI Password",
+            type: "password",
+            validation: {
+              minLength: 8,
+              message: "ARI password must be at least 8 characters"
+            },
+            helpText: "Password of the ARI user - also signs the callbacks your gateway sends us",
+            order: 3
+          },
+          {
+            key: "endpointTemplate",
+            label: "Dial Endpoint",
+            type: "text",
+            placeholder: "PJSIP/{number}@carrier-trunk",
+            validation: {
+              pattern: "\\{(number|e164)\\}",
+              message: "Must contain {number} (digits only) or {e164} (with leading +)"
+            },
+            helpText: "Channel endpoint the callee is dialed on; {number} is replaced with the destination",
+            order: 4
+          }
+        ],
+
+        optionalFields: [
+          {
+            key: "stasisApp",
+            label: "Stasis App",
+            type: "text",
+            placeholder: "glimpass",
+            defaultValue: "glimpass",
+            helpText: "ARI application that answers the channel, fetches GLIMPASS_STREAM_INSTRUCTION_URL and posts events to GLIMPASS_EVENTS_URL",
+            order: 5
+          },
+          {
+            key: "callerIdName",
+            label: "Caller ID Name",
+            type: "text",
+            placeholder: "Acme Support",
+            order: 6
+          },
+          {
+            key: "ringTimeout",
+            label: "Ring Timeout (seconds)",
+            type: "text",
+            placeholder: "45",
+            defaultValue: "45",
+            order: 7
+          },
+          {
+            key: "phoneNumbers",
+            label: "Trunk DIDs",
+            type: "array",
+            placeholder: "+914071234567",
+            helpText: "Comma-separated numbers presented as caller ID on this trunk",
+            order: 8
+          }
+        ]
+      },
+
       wati: {
         name: "wati",
         displayName: "WATI WhatsApp Business API",
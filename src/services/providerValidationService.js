@@ -208,6 +208,180 @@ class ProviderValidationService {
     }
   }
   
+  /**
+   * Test Exotel credentials by listing the account's ExoPhones
+   * @param {Object} credentials - Exotel credentials
+   * @returns {Promise<Object>} Validation result
+   */
+  static async validateExotelCredentials(credentials) {
+    const startTime = Date.now();
+    
+    try {
+      const { accountSid, apiKey, authToken, appId } = credentials;
+      const subdomain = credentials.subdomain || 'api.exotel.com';
+      
+      if (!accountSid || !apiKey || !authToken) {
+        return {
+          valid: false,
+          error: 'Missing accountSid, apiKey or authToken'
+        };
+      }
+      
+      console.log(`🟠 Testing Exotel credentials: ${accountSid}...`);
+      
+      const authHeader = Buffer.from(`${apiKey}:${authToken}`).toString('base64');
+      
+      // ExoPhone listing doubles as the authentication test
+      let phoneNumbers = [];
+      try {
+        const response = await axios.get(`https://${subdomain}/v2_beta/Accounts/${accountSid}/IncomingPhoneNumbers`, {
+          headers: {
+            'Authorization': `Basic ${authHeader}`,
+            'Accept': 'application/json'
+          },
+          timeout: 10000
+        });
+        
+        phoneNumbers = (response.data.incoming_phone_numbers || []).map(number => ({
+          phoneNumber: number.phone_number,
+          friendlyName: number.friendly_name,
+          region: number.region || null,
+          type: number.number_type,
+          capabilities: {
+            voice: number.capabilities?.voice !== false,
+            sms: Boolean(number.capabilities?.sms)
+          }
+        }));
+        
+        console.log(`📞 Found ${phoneNumbers.length} ExoPhones`);
+      } catch (error) {
+        console.error(`❌ Exotel account verification failed:`, error.response?.data || error.message);
+        return {
+          valid: false,
+          error: `Invalid Exotel credentials: ${error.response?.data?.RestException?.Message || error.message}`,
+          testDuration: Date.now() - startTime
+        };
+      }
+      
+      return {
+        valid: true,
+        account: {
+          sid: accountSid,
+          subdomain: subdomain,
+          voicebotAppConfigured: Boolean(appId)
+        },
+        phoneNumbers: phoneNumbers,
+        testDuration: Date.now() - startTime,
+        testedAt: new Date().toISOString()
+      };
+      
+    } catch (error) {
+      console.error('❌ Exotel validation error:', error);
+      return {
+        valid: false,
+        error: `Exotel validation failed: ${error.message}`,
+        testDuration: Date.now() - startTime
+      };
+    }
+  }
+  
+  /**
+   * Test SIP trunk credentials against the ARI interface
+   * @param {Object} credentials - SIP credentials (ariUrl, accountSid = ARI user, authToken = ARI password)
+   * @returns {Promise<Object>} Validation result
+   */
+  static async validateSipCredentials(credentials) {
+    const startTime = Date.now();
+    
+    try {
+      const { accountSid, authToken, endpointTemplate } = credentials;
+      const ariUrl = (credentials.ariUrl || '').replace(/\/$/, '');
+      const stasisApp = credentials.stasisApp || 'glimpass';
+      
+      if (!ariUrl || !accountSid || !authToken) {
+        return {
+          valid: false,
+          error: 'Missing ariUrl, accountSid (ARI username) or authToken (ARI password)'
+        };
+      }
+      
+      console.log(`🟣 Testing SIP/ARI credentials: ${ariUrl}...`);
+      
+      const authHeader = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
+      const requestOptions = {
+        headers: {
+          'Authorization': `Basic ${authHeader}`,
+          'Accept': 'application/json'
+        },
+        timeout: 10000
+      };
+      
+      // Test 1: ARI authentication + Asterisk info
+      let asteriskInfo;
+      try {
+        const response = await axios.get(`${ariUrl}/asterisk/info`, requestOptions);
+        asteriskInfo = response.data || {};
+        console.log(`✅ ARI reachable: Asterisk ${asteriskInfo.system?.version || 'unknown version'}`);
+      } catch (error) {
+        console.error(`❌ ARI verification failed:`, error.response?.data || error.message);
+        return {
+          valid: false,
+          error: `Invalid SIP/ARI credentials: ${error.response?.data?.message || error.message}`,
+          testDuration: Date.now() - startTime
+        };
+      }
+      
+      // Test 2: Is the Stasis app connected? Calls land in it - without it they'd ring and drop
+      let stasisAppConnected = null;
+      try {
+        const response = await axios.get(`${ariUrl}/applications`, requestOptions);
+        stasisAppConnected = (response.data || []).some(app => app.name === stasisApp);
+        if (!stasisAppConnected) {
+          console.warn(`⚠️ Stasis app "${stasisApp}" is not connected to ARI`);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not list ARI applications: ${error.message}`);
+      }
+      
+      // Trunk DIDs can't be discovered over ARI - report the configured ones
+      const configuredNumbers = Array.isArray(credentials.phoneNumbers)
+        ? credentials.phoneNumbers
+        : String(credentials.phoneNumbers || '').split(',');
+      const phoneNumbers = configuredNumbers
+        .map(number => String(number).trim())
+        .filter(number => number.length > 0)
+        .map(number => ({
+          phoneNumber: number,
+          friendlyName: 'Trunk DID',
+          capabilities: { voice: true, sms: false },
+          source: 'configured'
+        }));
+      
+      return {
+        valid: true,
+        account: {
+          ariUrl: ariUrl,
+          asteriskVersion: asteriskInfo.system?.version || null,
+          entityId: asteriskInfo.system?.entity_id || null,
+          stasisApp: stasisApp,
+          stasisAppConnected: stasisAppConnected,
+          endpointTemplate: endpointTemplate || null
+        },
+        phoneNumbers: phoneNumbers,
+        testDuration: Date.now() - startTime,
+        testedAt: new Date().toISOString()
+      };
+      
+    } catch (error) {
+      console.error('❌ SIP validation error:', error);
+      return {
+        valid: false,
+        error: `SIP validation failed: ${error.message}`,
+        testDuration: Date.now() - startTime
+      };
+    }
+  }
+  
   /**
    * Test WATI credentials by making API call
    * @param {Object} credentials - WATI credentials
@@ -390,6 +564,12 @@ class ProviderValidationService {
         
       case 'plivo':
         return await this.validatePlivoCredentials(credentials);
+
+      case 'exotel':
+        return await this.validateExotelCredentials(credentials);
+
+      case 'sip':
+        return await this.validateSipCredentials(credentials);
         
       case 'wati':
         return await this.validateWatiCredentials(credentials);
@@ -424,6 +604,15 @@ class ProviderValidationService {
         'Account info fetching',
         'Phone numbers listing'
       ],
+      exotel: [
+        'Account authentication',
+        'ExoPhones listing'
+      ],
+      sip: [
+        'ARI authentication',
+        'Asterisk info fetching',
+        'Stasis app connection check'
+      ],
       wati: [
         'Instance authentication',
         'Business profile fetching'
@@ -0,0 +1,698 @@
+const axios = require('axios');
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const {
+  ARCHIVE_PROVIDERS,
+  ARCHIVE_STATUSES,
+  validateRecordingSettings,
+  buildRecordingPath,
+  getRecordingDownloadRequest,
+  verifyPlaybackToken
+} = require('../apps/helper/recordingArchive.js');
+const {
+  getStorageBackend,
+  saveRecording,
+  deleteStoredRecording,
+  getPlaybackUrl,
+  openLocalRecording
+} = require('./recordingStorageService.js');
+
+/**
+ * Recording Archive Service
+ *
+ * Copies every call recording (Plivo, Twilio, Exotel) off the provider into our own storage
+ * (recordingStorageService) and manages it from there:
+ *   - queue      the provider's recording callback queues the call in `recordingArchives`
+ *                (one document per call, unique callUUID)
+ *   - archive    the recording-archive job downloads it with the client's provider credentials and
+ *                stores it; failed downloads retry with backoff (pending → archiving → archived | failed)
+ *   - retention  the recording-retention job deletes recordings older than the client's
+ *                recordingSettings.retentionDays
+ *   - playback   short-lived signed URLs, only issued to the owning client
+ *   - deletion   on request (privacy): the stored copy, the provider's copy where the provider has a
+ *                delete API, and the recording URLs on our call records. The archive document stays
+ *                as the audit record (status 'deleted', deletedAt, deletedBy, reason).
+ */
+
+const ARCHIVE_COLLECTION = 'recordingArchives';
+const ARCHIVE_BATCH_SIZE = parseInt(process.env.RECORDING_ARCHIVE_BATCH_SIZE) || 10;
+const ARCHIVE_MAX_ATTEMPTS = parseInt(process.env.RECORDING_ARCHIVE_MAX_ATTEMPTS) || 5;
+const ARCHIVE_RETRY_BASE_MS = 60 * 1000;
+const ARCHIVE_STALE_MS = 15 * 60 * 1000; // 'archiving' longer than this = the container died mid-copy
+const DOWNLOAD_TIMEOUT = parseInt(process.env.RECORDING_DOWNLOAD_TIMEOUT) || 120000;
+const PURGE_BATCH_SIZE = parseInt(process.env.RECORDING_PURGE_BATCH_SIZE) || 200;
+const PLAYBACK_TTL_SECONDS = Math.min(parseInt(process.env.RECORDING_PLAYBACK_TTL) || 300, 3600);
+const MAX_ARCHIVES_PAGE = 200;
+
+const DEFAULT_SETTINGS = { archiveEnabled: true, retentionDays: null, bucket: null };
+
+// One archive per call (unique callUUID, scripts/create-indexes.js) - repeated provider callbacks can't queue a second copy
+async function getCollections() {
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+
+  return {
+    archives: database.collection(ARCHIVE_COLLECTION),
+    clients: database.collection("client"),
+    activeCalls: database.collection("activeCalls"),
+    recordData: database.collection("plivoRecordData"),
+    hangupData: database.collection("plivoHangupData")
+  };
+}
+
+function toPublicArchive(archive) {
+  return {
+    callUUID: archive.callUUID,
+    clientId: archive.clientId,
+    campaignId: archive.campaignId,
+    provider: archive.provider,
+    status: archive.status,
+    backend: archive.backend || null,
+    contentType: archive.contentType || null,
+    size: archive.size || null,
+    attempts: archive.attempts || 0,
+    lastError: archive.lastError || null,
+    archivedAt: archive.archivedAt || null,
+    deletedAt: archive.deletedAt || null,
+    deletedBy: archive.deletedBy || null,
+    deletionReason: archive.deletionReason || null,
+    createdAt: archive.createdAt
+  };
+}
+
+// Archive of a call, scoped to the client when one is given (another client's call is a 404)
+async function findArchive(archives, callUUID, clientId) {
+  const query = { callUUID };
+  if (clientId) query.clientId = clientId.toString();
+  return archives.findOne(query);
+}
+
+// =============================================================================
+// SETTINGS (client.recordingSettings)
+// =============================================================================
+
+async function loadRecordingSettings(clients, clientId) {
+  if (!ObjectId.isValid(clientId)) return null;
+  const clientDoc = await clients.findOne(
+    { _id: new ObjectId(clientId.toString()) },
+    { projection: { recordingSettings: 1 } }
+  );
+  return clientDoc ? { ...DEFAULT_SETTINGS, ...(clientDoc.recordingSettings || {}) } : null;
+}
+
+/**
+ * Recording archive settings of a client
+ * @param {string} clientId - Client ID
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function getRecordingSettings(clientId) {
+  try {
+    const { clients } = await getCollections();
+    const settings = await loadRecordingSettings(clients, clientId);
+    if (!settings) {
+      return { success: false, status: 404, message: 'Client not found' };
+    }
+    return { success: true, status: 200, data: settings };
+  } catch (error) {
+    console.error('❌ Error fetching recording settings:', error);
+    return { success: false, status: 500, message: 'Error fetching recording settings', error: error.message };
+  }
+}
+
+/**
+ * Update a client's recording archive settings
+ * @param {string} clientId - Client ID
+ * @param {Object} input - { archiveEnabled, retentionDays, bucket }
+ * @param {Object} options - { allowBucket } (superadmin only)
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function updateRecordingSettings(clientId, input, { allowBucket = false } = {}) {
+  try {
+    const validation = validateRecordingSettings(input, allowBucket);
+    if (!validation.valid) {
+      return { success: false, status: 400, message: validation.error };
+    }
+    if (!ObjectId.isValid(clientId)) {
+      return { success: false, status: 400, message: 'Invalid client ID' };
+    }
+
+    const update = { 'recordingSettings.updatedAt': new Date() };
+    for (const [key, value] of Object.entries(validation.value)) {
+      update[`recordingSettings.${key}`] = value;
+    }
+
+    const { clients } = await getCollections();
+    const result = await clients.updateOne({ _id: new ObjectId(clientId) }, { $set: update });
+    if (result.matchedCount === 0) {
+      return { success: false, status: 404, message: 'Client not found' };
+    }
+
+    return {
+      success: true,
+      status: 200,
+      message: 'Recording settings updated',
+      data: await loadRecordingSettings(clients, clientId)
+    };
+  } catch (error) {
+    console.error('❌ Error updating recording settings:', error);
+    return { success: false, status: 500, message: 'Error updating recording settings', error: error.message };
+  }
+}
+
+// =============================================================================
+// QUEUE + ARCHIVE
+// =============================================================================
+
+/**
+ * Queue a recording for archival (called from the provider recording callbacks)
+ * Never throws - a failure here must not fail the provider's webhook.
+ * @param {Object} recording - { callUUID, provider, sourceUrl, recordingId, clientId, campaignId }
+ *   clientId/campaignId are looked up from activeCalls / plivoHangupData when the callback lacks them
+ * @returns {Promise<{queued: boolean, reason?: string}>}
+ */
+async function queueRecordingArchive(recording) {
+  try {
+    const { callUUID, provider, sourceUrl } = recording;
+    if (!callUUID || !sourceUrl || !ARCHIVE_PROVIDERS.includes(provider)) {
+      return { queued: false, reason: 'missing callUUID, recording URL or supported provider' };
+    }
+
+    const { archives, clients, activeCalls, hangupData } = await getCollections();
+
+    let { clientId, campaignId } = recording;
+    if (!clientId) {
+      const callRecord = await activeCalls.findOne({ callUUID }, { projection: { clientId: 1, campaignId: 1 } })
+        || await hangupData.findOne({ CallUUID: callUUID }, { projection: { clientId: 1, campId: 1 } });
+      clientId = callRecord?.clientId;
+      campaignId = campaignId || callRecord?.campaignId || callRecord?.campId;
+    }
+    if (!clientId) {
+      console.warn(`⚠️ Recording for ${callUUID} has no owning client - not archived`);
+      return { queued: false, reason: 'unknown client' };
+    }
+
+    const settings = await loadRecordingSettings(clients, clientId);
+    if (settings && settings.archiveEnabled === false) {
+      return { queued: false, reason: 'archiving disabled for client' };
+    }
+
+    const now = new Date();
+    const result = await archives.updateOne(
+      { callUUID },
+      {
+        $setOnInsert: {
+          callUUID,
+          clientId: clientId.toString(),
+          campaignId: campaignId ? campaignId.toString() : null,
+          provider,
+          sourceUrl,
+          recordingId: recording.recordingId || null,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: now,
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount === 0) {
+      return { queued: false, reason: 'already queued' };
+    }
+    console.log(`🗄️ Recording queued for archival: ${callUUID} (${provider})`);
+    return { queued: true };
+  } catch (error) {
+    console.error(`❌ Error queueing recording archive for ${recording?.callUUID}:`, error);
+    return { queued: false, reason: error.message };
+  }
+}
+
+async function getProviderCredentials(provider, clientId) {
+  const TelephonyCredentialsService = require('./telephonyCredentialsService');
+  return TelephonyCredentialsService.getCredentials(clientId, provider);
+}
+
+async function downloadAndStore(archive, settings) {
+  const credentials = await getProviderCredentials(archive.provider, archive.clientId);
+  const request = getRecordingDownloadRequest(archive.provider, archive.sourceUrl, credentials);
+
+  const response = await axios({
+    method: 'GET',
+    url: request.url,
+    auth: request.auth,
+    responseType: 'stream',
+    timeout: DOWNLOAD_TIMEOUT
+  });
+
+  const contentType = (response.headers['content-type'] || 'audio/mpeg').split(';')[0].trim();
+  const storagePath = buildRecordingPath(archive.clientId, archive.callUUID, contentType);
+  const stored = await saveRecording(storagePath, response.data, {
+    contentType,
+    bucket: settings?.bucket || null,
+    metadata: { clientId: archive.clientId, callUUID: archive.callUUID, provider: archive.provider }
+  });
+  if (!stored.success) {
+    throw new Error(stored.error);
+  }
+  return { ...stored, contentType };
+}
+
+/**
+ * Copy one queued recording into storage
+ * @param {Object} archive - recordingArchives document (pending, or archiving but stale)
+ * @returns {Promise<{status: string, error?: string}>} archived, retrying, failed or skipped
+ */
+async function archiveRecording(archive) {
+  const { archives, clients } = await getCollections();
+
+  // Claim it - the scheduler runs the job on one container, but a manual retry may race it
+  const claimed = await archives.findOneAndUpdate(
+    {
+      _id: archive._id,
+      $or: [
+        { status: 'pending' },
+        { status: 'archiving', updatedAt: { $lt: new Date(Date.now() - ARCHIVE_STALE_MS) } }
+      ]
+    },
+    { $set: { status: 'archiving', updatedAt: new Date() }, $inc: { attempts: 1 } },
+    { returnDocument: 'after' }
+  );
+  if (!claimed) {
+    return { status: 'skipped' };
+  }
+
+  try {
+    const settings = await loadRecordingSettings(clients, claimed.clientId);
+    const stored = await downloadAndStore(claimed, settings);
+
+    await archives.updateOne(
+      { _id: claimed._id, status: 'archiving' },
+      {
+        $set: {
+          status: 'archived',
+          backend: stored.backend,
+          bucket: stored.bucket,
+          storagePath: stored.storagePath,
+          contentType: stored.contentType,
+          size: stored.size,
+          archivedAt: new Date(),
+          lastError: null,
+          nextAttemptAt: null,
+          updatedAt: new Date()
+        }
+      }
+    );
+    console.log(`✅ Recording archived: ${claimed.callUUID} → ${stored.backend}:${stored.storagePath}`);
+    return { status: 'archived' };
+  } catch (error) {
+    const message = error.response ? `Download failed with HTTP ${error.response.status}` : error.message;
+    const exhausted = claimed.attempts >= ARCHIVE_MAX_ATTEMPTS;
+    await archives.updateOne(
+      { _id: claimed._id, status: 'archiving' },
+      {
+        $set: {
+          status: exhausted ? 'failed' : 'pending',
+          lastError: message,
+          nextAttemptAt: exhausted ? null : new Date(Date.now() + ARCHIVE_RETRY_BASE_MS * 2 ** (claimed.attempts - 1)),
+          updatedAt: new Date()
+        }
+      }
+    );
+    console.error(`❌ Recording archive ${exhausted ? 'failed' : 'attempt failed'} for ${claimed.callUUID} (attempt ${claimed.attempts}): ${message}`);
+    return { status: exhausted ? 'failed' : 'retrying', error: message };
+  }
+}
+
+/**
+ * Archive due recordings (recording-archive job)
+ * @param {Object} options - { isLeaseLost } stops between recordings once the job lease is gone
+ * @returns {Promise<{archived: number, retrying: number, failed: number, backend: string}>}
+ */
+async function processDueArchives({ isLeaseLost = () => false } = {}) {
+  const { archives } = await getCollections();
+  const due = await archives.find({
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { status: 'archiving', updatedAt: { $lt: new Date(Date.now() - ARCHIVE_STALE_MS) } }
+    ]
+  }).sort({ nextAttemptAt: 1 }).limit(ARCHIVE_BATCH_SIZE).toArray();
+
+  const summary = { archived: 0, retrying: 0, failed: 0, backend: getStorageBackend() };
+  for (const archive of due) {
+    if (isLeaseLost()) break;
+    const outcome = await archiveRecording(archive);
+    if (summary[outcome.status] !== undefined) summary[outcome.status]++;
+  }
+  return summary;
+}
+
+/**
+ * Re-queue a failed (or pending) archive to run on the next job pass
+ * @param {string} callUUID - Call UUID
+ * @param {string|null} clientId - Owning client (null = superadmin)
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function retryRecordingArchive(callUUID, clientId) {
+  try {
+    const { archives } = await getCollections();
+    const archive = await findArchive(archives, callUUID, clientId);
+    if (!archive) {
+      return { success: false, status: 404, message: 'No recording archive for this call' };
+    }
+    if (!['pending', 'failed'].includes(archive.status)) {
+      return { success: false, status: 409, message: `Recording is ${archive.status} - only pending or failed archives can be retried` };
+    }
+
+    await archives.updateOne(
+      { _id: archive._id, status: archive.status },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), updatedAt: new Date() } }
+    );
+    return { success: true, status: 200, message: 'Recording queued for archival', data: { callUUID, status: 'pending' } };
+  } catch (error) {
+    console.error('❌ Error retrying recording archive:', error);
+    return { success: false, status: 500, message: 'Error retrying recording archive', error: error.message };
+  }
+}
+
+// =============================================================================
+// READ + PLAYBACK
+// =============================================================================
+
+/**
+ * Archive status of a call's recording
+ * @param {string} callUUID - Call UUID
+ * @param {string|null} clientId - Owning client (null = superadmin)
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function getRecordingArchive(callUUID, clientId) {
+  try {
+    const { archives } = await getCollections();
+    const archive = await findArchive(archives, callUUID, clientId);
+    if (!archive) {
+      return { success: false, status: 404, message: 'No recording archive for this call' };
+    }
+    return { success: true, status: 200, data: toPublicArchive(archive) };
+  } catch (error) {
+    console.error('❌ Error fetching recording archive:', error);
+    return { success: false, status: 500, message: 'Error fetching recording archive', error: error.message };
+  }
+}
+
+/**
+ * List recording archives
+ * @param {Object} filters - { clientId, status, campaignId, limit, skip }
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function listRecordingArchives(filters = {}) {
+  try {
+    if (filters.status && !ARCHIVE_STATUSES.includes(filters.status)) {
+      return { success: false, status: 400, message: `status must be one of: ${ARCHIVE_STATUSES.join(', ')}` };
+    }
+
+    const query = {};
+    if (filters.clientId) query.clientId = filters.clientId.toString();
+    if (filters.status) query.status = filters.status;
+    if (filters.campaignId) query.campaignId = filters.campaignId.toString();
+
+    const limit = Math.min(parseInt(filters.limit) || 50, MAX_ARCHIVES_PAGE);
+    const skip = Math.max(parseInt(filters.skip) || 0, 0);
+
+    const { archives } = await getCollections();
+    const [items, total] = await Promise.all([
+      archives.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+      archives.countDocuments(query)
+    ]);
+
+    return {
+      success: true,
+      status: 200,
+      data: { archives: items.map(toPublicArchive), total, limit, skip }
+    };
+  } catch (error) {
+    console.error('❌ Error listing recording archives:', error);
+    return { success: false, status: 500, message: 'Error listing recording archives', error: error.message };
+  }
+}
+
+/**
+ * Short-lived playback URL of an archived recording
+ * @param {string} callUUID - Call UUID
+ * @param {string|null} clientId - Owning client (null = superadmin)
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function createPlaybackUrl(callUUID, clientId) {
+  try {
+    const { archives } = await getCollections();
+    const archive = await findArchive(archives, callUUID, clientId);
+    if (!archive) {
+      return { success: false, status: 404, message: 'No recording archive for this call' };
+    }
+    if (archive.status === 'deleted') {
+      return { success: false, status: 410, message: 'Recording has been deleted' };
+    }
+    if (archive.status !== 'archived') {
+      return { success: false, status: 409, message: `Recording is not archived yet (${archive.status})` };
+    }
+
+    const playback = await getPlaybackUrl(archive, PLAYBACK_TTL_SECONDS);
+    if (!playback.success) {
+      return { success: false, status: 502, message: 'Could not create playback URL', error: playback.error };
+    }
+
+    return {
+      success: true,
+      status: 200,
+      data: {
+        callUUID,
+        url: playback.url,
+        expiresAt: playback.expiresAt,
+        contentType: archive.contentType
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error creating recording playback URL:', error);
+    return { success: false, status: 500, message: 'Error creating playback URL', error: error.message };
+  }
+}
+
+/**
+ * Resolve a local-backend playback token to the stored file
+ * @param {string} token - Token from a /recordings/playback URL
+ * @returns {Promise<{success: boolean, status: number, message?: string, stream?: Stream, size?: number, contentType?: string}>}
+ */
+async function openPlaybackStream(token) {
+  const verified = verifyPlaybackToken(token);
+  if (!verified.valid || !ObjectId.isValid(verified.claims?.archiveId)) {
+    return { success: false, status: 403, message: verified.error || 'Invalid playback token' };
+  }
+
+  const { archives } = await getCollections();
+  const archive = await archives.findOne({ _id: new ObjectId(verified.claims.archiveId) });
+  if (!archive || archive.status !== 'archived' || archive.backend !== 'local') {
+    return { success: false, status: 404, message: 'Recording not found' };
+  }
+
+  const file = await openLocalRecording(archive.storagePath);
+  if (!file) {
+    return { success: false, status: 404, message: 'Recording not found' };
+  }
+  return { success: true, status: 200, stream: file.stream, size: file.size, contentType: archive.contentType || 'audio/mpeg' };
+}
+
+// =============================================================================
+// DELETION + RETENTION
+// =============================================================================
+
+// Delete the provider's copy - Exotel has no recording delete API, so it reports 'unsupported'
+async function deleteProviderRecording(recording) {
+  const { provider, sourceUrl, recordingId, clientId } = recording;
+  if (provider === 'exotel') {
+    return 'unsupported';
+  }
+
+  const credentials = await getProviderCredentials(provider, clientId);
+  const auth = { username: credentials.accountSid, password: credentials.authToken };
+  let url;
+  if (provider === 'twilio' && /api\.twilio\.com/.test(sourceUrl || '')) {
+    url = `${sourceUrl.replace(/\.(mp3|wav|json)$/i, '')}.json`;
+  } else if (provider === 'plivo' && recordingId) {
+    url = `https://api.plivo.com/v1/Account/${credentials.accountSid}/Recording/${recordingId}/`;
+  } else {
+    return 'unsupported';
+  }
+
+  try {
+    await axios.delete(url, { auth, timeout: 30000 });
+    return 'deleted';
+  } catch (error) {
+    if (error.response?.status === 404) return 'deleted';
+    console.error(`❌ Error deleting ${provider} recording for ${recording.callUUID}:`, error.message);
+    return 'failed';
+  }
+}
+
+// Strip recording URLs from our call records so reports stop linking to the provider copy
+async function stripRecordingUrls(collections, callUUID, deletedAt) {
+  await Promise.all([
+    collections.recordData.updateMany(
+      { CallUUID: callUUID },
+      { $unset: { RecordUrl: '', RecordingUrl: '' }, $set: { recordingDeletedAt: deletedAt } }
+    ),
+    collections.hangupData.updateMany(
+      { CallUUID: callUUID },
+      { $unset: { RecordUrl: '', recordingUrl: '', RecordingUrl: '' }, $set: { recordingDeletedAt: deletedAt } }
+    )
+  ]);
+}
+
+// Provider details of a recording that was never archived (archiving disabled, or callback not queued)
+async function findUnarchivedRecording(collections, callUUID, clientId) {
+  const hangup = await collections.hangupData.findOne(
+    { CallUUID: callUUID },
+    { projection: { clientId: 1, campId: 1, provider: 1, RecordUrl: 1, recordingUrl: 1 } }
+  );
+  const record = await collections.recordData.findOne({ CallUUID: callUUID });
+  const ownerId = hangup?.clientId?.toString() || record?.clientId?.toString() || null;
+  if (!ownerId || (clientId && ownerId !== clientId.toString())) {
+    return null;
+  }
+
+  return {
+    callUUID,
+    clientId: ownerId,
+    campaignId: hangup?.campId || record?.campId || null,
+    provider: (record?.Provider || hangup?.provider || 'plivo').toLowerCase(),
+    sourceUrl: record?.RecordUrl || record?.RecordingUrl || hangup?.recordingUrl || hangup?.RecordUrl || null,
+    recordingId: record?.RecordingID || record?.RecordingSid || null
+  };
+}
+
+/**
+ * Delete a call's recording everywhere we can (privacy request or retention)
+ * @param {string} callUUID - Call UUID
+ * @param {string|null} clientId - Owning client (null = superadmin)
+ * @param {Object} options - { deletedBy, reason, deleteFromProvider }
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function deleteRecording(callUUID, clientId, { deletedBy, reason = null, deleteFromProvider = true } = {}) {
+  try {
+    const collections = await getCollections();
+    const { archives } = collections;
+
+    const archive = await findArchive(archives, callUUID, clientId);
+    if (archive?.status === 'deleted') {
+      return { success: false, status: 410, message: 'Recording has already been deleted' };
+    }
+    if (archive?.status === 'archiving') {
+      return { success: false, status: 409, message: 'Recording is being archived - try again in a minute' };
+    }
+
+    const recording = archive || await findUnarchivedRecording(collections, callUUID, clientId);
+    if (!recording) {
+      return { success: false, status: 404, message: 'Recording not found' };
+    }
+
+    if (recording.status === 'archived') {
+      const removed = await deleteStoredRecording(recording);
+      if (!removed.success) {
+        return { success: false, status: 502, message: 'Could not delete the archived recording', error: removed.error };
+      }
+    }
+
+    const providerDeletion = deleteFromProvider ? await deleteProviderRecording(recording) : 'skipped';
+    const deletedAt = new Date();
+    await stripRecordingUrls(collections, callUUID, deletedAt);
+
+    // The archive record is the deletion audit trail - and blocks a late provider callback from
+    // queueing the recording again, which is why unarchived recordings get one too
+    const { sourceUrl, ...recordingDetails } = recording;
+    await archives.updateOne(
+      { callUUID },
+      {
+        $set: {
+          status: 'deleted',
+          deletedAt,
+          deletedBy: deletedBy || null,
+          deletionReason: reason,
+          providerDeletion,
+          nextAttemptAt: null,
+          updatedAt: deletedAt
+        },
+        $unset: { sourceUrl: '' },
+        ...(archive ? {} : { $setOnInsert: { ...recordingDetails, attempts: 0, createdAt: deletedAt } })
+      },
+      { upsert: true }
+    );
+
+    console.log(`🗑️ Recording deleted for ${callUUID} by ${deletedBy || 'system'} (provider copy: ${providerDeletion})`);
+    return {
+      success: true,
+      status: 200,
+      message: 'Recording deleted',
+      data: { callUUID, deletedAt, providerDeletion }
+    };
+  } catch (error) {
+    console.error('❌ Error deleting recording:', error);
+    return { success: false, status: 500, message: 'Error deleting recording', error: error.message };
+  }
+}
+
+/**
+ * Delete archived recordings past their client's retention period (recording-retention job)
+ * @param {Object} options - { isLeaseLost } stops between recordings once the job lease is gone
+ * @returns {Promise<{clients: number, deleted: number, failed: number}>}
+ */
+async function purgeExpiredRecordings({ isLeaseLost = () => false } = {}) {
+  const { archives, clients } = await getCollections();
+  const retainingClients = await clients.find(
+    { 'recordingSettings.retentionDays': { $gt: 0 } },
+    { projection: { 'recordingSettings.retentionDays': 1 } }
+  ).toArray();
+
+  const summary = { clients: retainingClients.length, deleted: 0, failed: 0 };
+  let budget = PURGE_BATCH_SIZE;
+
+  for (const clientDoc of retainingClients) {
+    if (budget <= 0 || isLeaseLost()) break;
+    const cutoff = new Date(Date.now() - clientDoc.recordingSettings.retentionDays * 24 * 60 * 60 * 1000);
+    const expired = await archives.find(
+      { clientId: clientDoc._id.toString(), status: 'archived', archivedAt: { $lt: cutoff } },
+      { projection: { callUUID: 1 } }
+    ).limit(budget).toArray();
+
+    for (const archive of expired) {
+      if (isLeaseLost()) break;
+      budget--;
+      const result = await deleteRecording(archive.callUUID, clientDoc._id.toString(), {
+        deletedBy: 'retention-policy',
+        reason: `Retention period of ${clientDoc.recordingSettings.retentionDays} days elapsed`
+      });
+      if (result.success) summary.deleted++;
+      else summary.failed++;
+    }
+  }
+
+  if (summary.deleted + summary.failed > 0) {
+    console.log(`🗑️ Recording retention: ${summary.deleted} deleted, ${summary.failed} failed`);
+  }
+  if (summary.failed > 0 && summary.deleted === 0) {
+    throw new Error(`Recording retention could not delete any of ${summary.failed} expired recordings`);
+  }
+  return summary;
+}
+
+module.exports = {
+  getRecordingSettings,
+  updateRecordingSettings,
+  queueRecordingArchive,
+  archiveRecording,
+  processDueArchives,
+  retryRecordingArchive,
+  getRecordingArchive,
+  listRecordingArchives,
+  createPlaybackUrl,
+  openPlaybackStream,
+  deleteRecording,
+  purgeExpiredRecordings
+};
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { signPlaybackToken } = require('../apps/helper/recordingArchive.js');
+
+/**
+ * Recording Storage
+ *
+ * Where archived call recordings live. Two backends, chosen by RECORDING_STORAGE_BACKEND:
+ *   - gcs    the client's bucket (client.recordingSettings.bucket) or RECORDING_GCS_BUCKET, via
+ *            gcsService; playback is a V4 signed URL straight from GCS
+ *   - local  files under RECORDING_LOCAL_DIR for dev/testing; playback is a signed, expiring
+ *            /recordings/playback/{token} URL served by this app
+ * Each archive record keeps the backend and bucket it was written to, so switching the backend
+ * doesn't orphan recordings archived before the switch.
+ */
+
+const STORAGE_BACKENDS = ['gcs', 'local'];
+const LOCAL_ROOT = path.resolve(process.env.RECORDING_LOCAL_DIR || path.join(process.cwd(), 'storage', 'recordings'));
+
+function getStorageBackend() {
+  const configured = (process.env.RECORDING_STORAGE_BACKEND || '').toLowerCase();
+  if (STORAGE_BACKENDS.includes(configured)) {
+    return configured;
+  }
+  return process.env.NODE_ENV === 'production' ? 'gcs' : 'local';
+}
+
+function getDefaultBucket() {
+  return process.env.RECORDING_GCS_BUCKET || process.env.GCS_BUCKET_NAME;
+}
+
+// Absolute path of a stored recording - refuses paths that escape the storage root
+function resolveLocalPath(storagePath) {
+  const fullPath = path.resolve(LOCAL_ROOT, storagePath);
+  if (!fullPath.startsWith(LOCAL_ROOT + path.sep)) {
+    throw new Error(`Invalid recording path: ${storagePath}`);
+  }
+  return fullPath;
+}
+
+/**
+ * Store a recording
+ * @param {string} storagePath - Path from buildRecordingPath
+ * @param {Stream} source - Audio stream
+ * @param {Object} options - { contentType, bucket, metadata }
+ * @returns {Promise<{success: boolean, backend?: string, bucket?: string|null, storagePath?: string, size?: number, error?: string}>}
+ */
+async function saveRecording(storagePath, source, options = {}) {
+  const backend = getStorageBackend();
+
+  if (backend === 'gcs') {
+    const bucket = options.bucket || getDefaultBucket();
+    if (!bucket) {
+      return { success: false, error: 'No recording bucket configured (RECORDING_GCS_BUCKET)' };
+    }
+    const { uploadStream } = require('./gcsService');
+    const upload = await uploadStream(storagePath, source, {
+      bucketName: bucket,
+      contentType: options.contentType,
+      metadata: options.metadata
+    });
+    if (!upload.success) {
+      return { success: false, error: upload.error || upload.message };
+    }
+    return { success: true, backend, bucket, storagePath, size: upload.data.size };
+  }
+
+  try {
+    const fullPath = resolveLocalPath(storagePath);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+
+    let size = 0;
+    source.on('data', (chunk) => { size += chunk.length; });
+    await pipeline(source, fs.createWriteStream(fullPath));
+
+    return { success: true, backend, bucket: null, storagePath, size };
+  } catch (error) {
+    console.error('❌ Error writing recording to local storage:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a stored recording (already-missing files count as deleted)
+ * @param {Object} archive - recordingArchives document
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function deleteStoredRecording(archive) {
+  if (archive.backend === 'gcs') {
+    const { deleteFile } = require('./gcsService');
+    const result = await deleteFile(archive.storagePath, archive.bucket, { ignoreNotFound: true });
+    return result.success ? { success: true } : { success: false, error: result.error || result.message };
+  }
+
+  try {
+    await fs.promises.rm(resolveLocalPath(archive.storagePath), { force: true });
+    return { success: true };
+  } catch (error) {
+    console.error('❌ Error deleting local recording:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Short-lived playback URL of a stored recording
+ * @param {Object} archive - recordingArchives document
+ * @param {number} ttlSeconds - URL lifetime
+ * @returns {Promise<{success: boolean, url?: string, expiresAt?: Date, error?: string}>}
+ */
+async function getPlaybackUrl(archive, ttlSeconds) {
+  if (archive.backend === 'gcs') {
+    const { getSignedReadUrl } = require('./gcsService');
+    const signed = await getSignedReadUrl(archive.storagePath, ttlSeconds, archive.bucket);
+    return signed.success
+      ? { success: true, url: signed.data.url, expiresAt: signed.data.expiresAt }
+      : { success: false, error: signed.error || signed.message };
+  }
+
+  const baseUrl = (process.env.BASE_URL || 'https://application.glimpass.com').replace(/\/$/, '');
+  const { token, expiresAt } = signPlaybackToken({ archiveId: archive._id.toString() }, ttlSeconds);
+  return { success: true, url: `${baseUrl}/recordings/playback/${token}`, expiresAt };
+}
+
+/**
+ * Open a recording stored on the local backend
+ * @param {string} storagePath - Stored path
+ * @returns {Promise<{stream: fs.ReadStream, size: number}|null>} null when the file is gone
+ */
+async function openLocalRecording(storagePath) {
+  const fullPath = resolveLocalPath(storagePath);
+  try {
+    const stats = await fs.promises.stat(fullPath);
+    return { stream: fs.createReadStream(fullPath), size: stats.size };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  getStorageBackend,
+  saveRecording,
+  deleteStoredRecording,
+  getPlaybackUrl,
+  openLocalRecording
+};
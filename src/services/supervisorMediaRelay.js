@@ -0,0 +1,191 @@
+const { WebSocketServer } = require('ws');
+const { createClient } = require('redis');
+const { createTrackMixer } = require('../apps/helper/mulawAudio.js');
+
+/**
+ * Supervisor Media Relay
+ *
+ * Listen sessions on calls still with the AI agent (supervisorMonitoringService, media: 'stream')
+ * use two provider media streams, both signed like callback URLs:
+ *   - /supervisor/media/{provider}/source  a listen-only fork of the call's stream (both tracks)
+ *   - /supervisor/media/{provider}/listen   the supervisor's leg, which plays what it is sent
+ * The source's tracks are mixed into 20 ms frames and published on a Redis channel per session, so
+ * the two WebSockets may land on different containers. The fork is started once the supervisor's
+ * stream is connected and stopped when it goes away; when the fork ends (call hung up or bridged)
+ * the session ends too.
+ */
+
+const MEDIA_PATH_PATTERN = /^\/supervisor\/media\/(plivo|twilio)\/(source|listen)\/?$/;
+
+let publisher = null;
+let subscriber = null;
+
+function createRedisConnection(label) {
+  const connection = createClient({
+    socket: {
+      host: process.env.REDIS_HOST || '10.50.107.67',
+      port: process.env.REDIS_PORT || 6379,
+      reconnectStrategy: (retries) => Math.min(retries * 50, 3000)
+    }
+  });
+  connection.on('error', (err) => {
+    console.error(`Supervisor relay Redis ${label} error:`, err);
+  });
+  return connection;
+}
+
+async function getPublisher() {
+  if (!publisher) {
+    publisher = createRedisConnection('publisher');
+    await publisher.connect();
+  }
+  return publisher;
+}
+
+async function getSubscriber() {
+  if (!subscriber) {
+    subscriber = createRedisConnection('subscriber');
+    await subscriber.connect();
+  }
+  return subscriber;
+}
+
+function getListenChannel(sessionId) {
+  return `supervisor:listen:${sessionId}`;
+}
+
+// Signed parameters ride in the query string (Plivo) or the start message's customParameters (Twilio)
+async function verifyMediaStream(provider, role, req, startMessage) {
+  const { verifySignedUrlParams } = require('../middleware/webhookSignatureMiddleware');
+  const url = new URL(req.url, 'http://localhost');
+  const params = {
+    ...Object.fromEntries(url.searchParams),
+    ...(startMessage.start?.customParameters || {})
+  };
+  const result = await verifySignedUrlParams(provider, `/supervisor/media/${provider}/${role}`, params);
+  return { ...result, sessionId: params.sessionId || null };
+}
+
+function toPlayMessage(provider, streamSid, payload) {
+  if (provider === 'twilio') {
+    return JSON.stringify({ event: 'media', streamSid, media: { payload } });
+  }
+  return JSON.stringify({
+    event: 'playAudio',
+    media: { contentType: 'audio/x-mulaw', sampleRate: 8000, payload }
+  });
+}
+
+async function startSource(ws, provider, stream) {
+  ws.on('close', async () => {
+    const { endSupervisorSession } = require('./supervisorMonitoringService');
+    await endSupervisorSession(stream.sessionId, stream.clientId, 'call_stream_ended');
+  });
+
+  const redis = await getPublisher();
+  const channel = getListenChannel(stream.sessionId);
+  const mixer = createTrackMixer((frame) => {
+    redis.publish(channel, frame.toString('base64')).catch(err => {
+      console.error('❌ Error publishing supervisor listen audio:', err.message);
+    });
+  });
+
+  ws.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+    if (message.event === 'media') {
+      mixer.push(message.media?.track, message.media?.payload);
+    }
+  });
+}
+
+async function startListener(ws, provider, stream, startMessage) {
+  const { startListenFork, stopListenFork } = require('./supervisorMonitoringService');
+  const redis = await getSubscriber();
+  const channel = getListenChannel(stream.sessionId);
+  const streamSid = startMessage.streamSid || null;
+
+  const onFrame = (payload) => {
+    if (ws.readyState === ws.OPEN) ws.send(toPlayMessage(provider, streamSid, payload));
+  };
+
+  // Runs on close, and again if the stream closed while it was being set up
+  const release = async () => {
+    try {
+      await redis.unsubscribe(channel, onFrame);
+      await stopListenFork(stream.sessionId, stream.clientId);
+    } catch (error) {
+      console.error(`❌ Error closing supervisor listen stream ${stream.sessionId}:`, error.message);
+    }
+  };
+  ws.on('close', release);
+
+  await redis.subscribe(channel, onFrame);
+  const forkId = ws.readyState === ws.OPEN ? await startListenFork(stream.sessionId, stream.clientId) : null;
+  if (ws.readyState !== ws.OPEN) {
+    await release();
+  } else if (!forkId) {
+    console.warn(`⚠️ Supervisor session ${stream.sessionId} has nothing to listen to - closing its stream`);
+    ws.close();
+  }
+}
+
+function handleMediaConnection(ws, req, provider, role) {
+  ws.once('message', async (data) => {
+    try {
+      // Plivo and Twilio both open with 'start' (Twilio sends 'connected' first)
+      let message = JSON.parse(data);
+      if (message.event === 'connected') {
+        message = await new Promise(resolve => ws.once('message', next => resolve(JSON.parse(next))));
+      }
+      if (message.event !== 'start') {
+        ws.close(1008, 'Expected start message');
+        return;
+      }
+
+      const stream = await verifyMediaStream(provider, role, req, message);
+      if (!stream.valid || !stream.sessionId) {
+        console.warn(`🚫 Rejected supervisor ${role} stream (${provider}): ${stream.reason || 'missing_session'}`);
+        ws.close(1008, 'Invalid signature');
+        return;
+      }
+
+      if (role === 'source') {
+        await startSource(ws, provider, stream);
+      } else {
+        await startListener(ws, provider, stream, message);
+      }
+    } catch (error) {
+      console.error(`❌ Error in supervisor ${role} stream (${provider}):`, error.message);
+      ws.close(1011, 'Supervisor stream error');
+    }
+  });
+}
+
+/**
+ * Serve the supervisor media streams on the HTTP server's WebSocket upgrades
+ * @param {http.Server} server - The app's HTTP server
+ * @returns {WebSocketServer}
+ */
+function attachSupervisorMediaRelay(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const match = MEDIA_PATH_PATTERN.exec(new URL(req.url, 'http://localhost').pathname);
+    if (!match) {
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => handleMediaConnection(ws, req, match[1], match[2]));
+  });
+
+  return wss;
+}
+
+module.exports = {
+  attachSupervisorMediaRelay
+};
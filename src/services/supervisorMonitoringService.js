@@ -0,0 +1,630 @@
+const axios = require('axios');
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const { getClientDefaultCountry, resolveDefaultCountry } = require('../apps/helper/phoneNumber.js');
+const { getBridgeName, buildPlivoBridgeXml } = require('../apps/helper/callControl.js');
+const {
+  SUPERVISOR_PROVIDERS,
+  SESSION_STATUSES,
+  validateSupervisorSessionRequest,
+  validateSupervisorSettings,
+  getAvailableModes,
+  getSupervisorLegOptions,
+  getSessionMedia,
+  toMediaStreamTarget,
+  buildPlivoListenXml,
+  buildTwilioListenTwiml
+} = require('../apps/helper/supervisorMonitoring.js');
+const { getActiveCallsMonitoring } = require('./activeCallsMonitoringService.js');
+const { findCall, bridgeCall, getCallCredentials } = require('./callControlService.js');
+
+/**
+ * Supervisor Monitoring Service
+ *
+ * Live listen / whisper / barge on calls. Builds on getActiveCallsMonitoring for the call list and
+ * on the call-control bridge (Plivo MultiPartyCall, Twilio Conference) for the media: a session
+ * dials the supervisor's phone or SIP leg into the call's bridge with the mode's mute/coach settings.
+ * The caller is moved into the bridge only once the supervisor has answered, so an unanswered barge
+ * leaves the AI agent on the call. Listening to a call still with the AI agent doesn't touch the
+ * call at all: the supervisor's leg plays a fork of the call's media stream (supervisorMediaRelay).
+ *
+ * Every session is an audit record in `supervisorSessions` - who monitored which call, in which
+ * mode, from which number, and its lifecycle (requested → answered → ended) with timestamps.
+ */
+
+const SESSIONS_COLLECTION = 'supervisorSessions';
+const MAX_SESSIONS_PAGE = 200;
+
+function toPlivoNumber(number) {
+  return number.startsWith('sip:') ? number : number.replace(/^\+/, '');
+}
+
+function plivoAuth(credentials) {
+  return { auth: { username: credentials.accountSid, password: credentials.authToken }, timeout: 15000 };
+}
+
+async function getSignedSessionUrl(provider, path, session) {
+  const { buildSignedCallbackUrl } = require('../middleware/webhookSignatureMiddleware');
+  return buildSignedCallbackUrl(provider, path, session.clientId, {
+    callUUID: session.callUUID,
+    sessionId: session._id.toString()
+  });
+}
+
+async function getSessionsCollection() {
+  await connectToMongo();
+  return client.db("talkGlimpass").collection(SESSIONS_COLLECTION);
+}
+
+async function recordSessionEvent(sessionId, event, fields = {}) {
+  const sessions = await getSessionsCollection();
+  await sessions.updateOne(
+    { _id: new ObjectId(sessionId.toString()) },
+    {
+      $set: { ...fields, updatedAt: new Date() },
+      $push: { events: { event, at: new Date(), ...(fields.error ? { error: fields.error } : {}) } }
+    }
+  );
+}
+
+// =============================================================================
+// SETTINGS (client.supervisorMonitoring)
+// =============================================================================
+
+/**
+ * Supervisor monitoring settings of a client
+ * @param {string} clientId - Client ID
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function getSupervisorSettings(clientId) {
+  try {
+    await connectToMongo();
+    const clientDoc = await client.db("talkGlimpass").collection("client").findOne(
+      { _id: new ObjectId(clientId) },
+      { projection: { supervisorMonitoring: 1 } }
+    );
+    if (!clientDoc) {
+      return { success: false, status: 404, message: 'Client not found' };
+    }
+
+    return {
+      success: true,
+      status: 200,
+      data: clientDoc.supervisorMonitoring || { enabled: false, numbers: [], modes: [] }
+    };
+  } catch (error) {
+    console.error('❌ Error fetching supervisor settings:', error);
+    return { success: false, status: 500, message: 'Error fetching supervisor settings', error: error.message };
+  }
+}
+
+/**
+ * Replace a client's supervisor monitoring settings
+ * @param {string} clientId - Client ID
+ * @param {Object} input - { enabled, numbers, modes }
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function updateSupervisorSettings(clientId, input) {
+  try {
+    const validation = validateSupervisorSettings(input, await getClientDefaultCountry(clientId));
+    if (!validation.valid) {
+      return { success: false, status: 400, message: validation.error };
+    }
+
+    await connectToMongo();
+    const result = await client.db("talkGlimpass").collection("client").updateOne(
+      { _id: new ObjectId(clientId) },
+      { $set: { supervisorMonitoring: { ...validation.value, updatedAt: new Date() } } }
+    );
+    if (result.matchedCount === 0) {
+      return { success: false, status: 404, message: 'Client not found' };
+    }
+
+    return { success: true, status: 200, message: 'Supervisor settings updated', data: validation.value };
+  } catch (error) {
+    console.error('❌ Error updating supervisor settings:', error);
+    return { success: false, status: 500, message: 'Error updating supervisor settings', error: error.message };
+  }
+}
+
+// =============================================================================
+// MONITORING
+// =============================================================================
+
+/**
+ * Live calls with their monitoring options and open supervisor sessions
+ * @param {Object} filters - { clientId, limit }
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function getMonitorableCalls(filters = {}) {
+  try {
+    const monitoring = await getActiveCallsMonitoring({
+      clientId: filters.clientId || null,
+      includeCalls: true,
+      limit: filters.limit || 100
+    });
+    if (!monitoring.success) {
+      return { success: false, status: 500, message: 'Error fetching active calls', error: monitoring.error };
+    }
+
+    const calls = monitoring.data.activeCalls.calls;
+    const sessions = await getSessionsCollection();
+    const openSessions = calls.length > 0
+      ? await sessions.find(
+        { callUUID: { $in: calls.map(call => call.callUUID) }, status: { $in: ['dialing', 'active'] } },
+        { projection: { callUUID: 1, mode: 1, supervisor: 1, status: 1, startedAt: 1 } }
+      ).toArray()
+      : [];
+
+    return {
+      success: true,
+      status: 200,
+      data: {
+        timestamp: monitoring.data.timestamp,
+        total: calls.length,
+        calls: calls.map(call => ({
+          ...call,
+          monitoring: {
+            availableModes: getAvailableModes(call),
+            sessions: openSessions.filter(session => session.callUUID === call.callUUID)
+          }
+        }))
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error fetching monitorable calls:', error);
+    return { success: false, status: 500, message: 'Error fetching monitorable calls', error: error.message };
+  }
+}
+
+// =============================================================================
+// SESSIONS
+// =============================================================================
+
+async function dialSupervisorLeg(callRecord, session, credentials) {
+  const { muted, coach } = getSupervisorLegOptions(session.mode);
+
+  if (callRecord.provider === 'twilio' && session.media === 'stream') {
+    const twilio = require('twilio');
+    const listenUrl = await getSignedSessionUrl('twilio', '/supervisor/media/twilio/listen', session);
+    const { streamUrl, parameters } = toMediaStreamTarget(listenUrl);
+    const call = await twilio(credentials.accountSid, credentials.authToken).calls.create({
+      from: callRecord.from,
+      to: session.supervisorNumber,
+      twiml: buildTwilioListenTwiml(streamUrl, parameters),
+      statusCallback: await getSignedSessionUrl('twilio', '/supervisor/twilio/leg-status', session),
+      statusCallbackEvent: ['answered', 'completed'],
+      statusCallbackMethod: 'POST'
+    });
+    return call.sid;
+  }
+
+  if (callRecord.provider === 'twilio') {
+    // Creates the bridge conference if the caller isn't in it yet - they're moved in when this leg answers
+    const twilio = require('twilio');
+    const participant = await twilio(credentials.accountSid, credentials.authToken)
+      .conferences(session.bridge)
+      .participants.create({
+        from: callRecord.from,
+        to: session.supervisorNumber,
+        muted,
+        beep: 'false',
+        startConferenceOnEnter: false,
+        endConferenceOnExit: false,
+        ...(coach ? { coaching: true, callSidToCoach: callRecord.bridge.agentLegId } : {}),
+        statusCallback: await getSignedSessionUrl('twilio', '/supervisor/twilio/leg-status', session),
+        statusCallbackEvent: ['answered', 'completed'],
+        statusCallbackMethod: 'POST'
+      });
+    return participant.callSid;
+  }
+
+  const accountUrl = `https://api.plivo.com/v1/Account/${credentials.accountSid}`;
+  const response = await axios.post(`${accountUrl}/Call/`, {
+    from: toPlivoNumber(callRecord.from),
+    to: toPlivoNumber(session.supervisorNumber),
+    answer_url: await getSignedSessionUrl('plivo', '/supervisor/plivo/join-xml', session),
+    answer_method: 'POST',
+    hangup_url: await getSignedSessionUrl('plivo', '/supervisor/plivo/leg-status', session),
+    hangup_method: 'POST'
+  }, plivoAuth(credentials));
+  return response.data?.request_uuid || null;
+}
+
+async function hangupSupervisorLeg(session) {
+  const credentials = await getCallCredentials(session.clientId, session.provider);
+  try {
+    if (session.provider === 'twilio') {
+      const twilio = require('twilio');
+      await twilio(credentials.accountSid, credentials.authToken).calls(session.legId).update({ status: 'completed' });
+    } else {
+      // Before the answer callback legId is the request_uuid - cancel the pending request instead
+      const path = session.answeredAt ? `Call/${session.legId}` : `Request/${session.legId}`;
+      await axios.delete(`https://api.plivo.com/v1/Account/${credentials.accountSid}/${path}/`, plivoAuth(credentials));
+    }
+  } catch (hangupError) {
+    // The leg may already be gone - the session is closed either way
+    console.log(`⚠️ Supervisor leg hangup response: ${hangupError.response?.data?.error || hangupError.message}`);
+  }
+}
+
+// Move the caller into the bridge for an answered supervisor leg (no-op once the call is bridged)
+async function bridgeSessionCall(session) {
+  const { callRecord } = await findCall(session.callUUID, session.clientId?.toString() || null);
+  if (!callRecord || callRecord.status !== 'ongoing') {
+    throw new Error(`Call ${session.callUUID} is no longer connected`);
+  }
+  const credentials = await getCallCredentials(session.clientId, session.provider);
+  await bridgeCall({ ...callRecord, provider: session.provider }, credentials);
+}
+
+// An answered supervisor leg - bridge sessions move the caller in first; a failed bridge fails the session
+async function activateAnsweredSession(session, fields = {}) {
+  if (session.media !== 'stream') {
+    try {
+      await bridgeSessionCall(session);
+    } catch (bridgeError) {
+      const errorMessage = bridgeError.response?.data?.error || bridgeError.message;
+      console.error(`❌ Supervisor ${session.mode} on ${session.callUUID} could not bridge the call:`, errorMessage);
+      await recordSessionEvent(session._id, 'failed', { ...fields, status: 'failed', endedAt: new Date(), error: errorMessage });
+      return false;
+    }
+  }
+
+  await recordSessionEvent(session._id, 'answered', { ...fields, status: 'active', answeredAt: new Date() });
+  return true;
+}
+
+/**
+ * Dial a supervisor into a live call
+ * @param {Object} request
+ * @param {string} request.callUUID - Call to monitor
+ * @param {string} request.mode - listen, whisper or barge
+ * @param {string} request.supervisorNumber - Phone number or sip: URI to dial
+ * @param {string|null} request.clientId - Owning client; null = superadmin
+ * @param {string} request.supervisor - Who asked (user email or 'superadmin')
+ * @returns {Promise<{success: boolean, status: number, message: string, data?: Object}>}
+ */
+async function startSupervisorSession({ callUUID, mode, supervisorNumber, clientId = null, supervisor }) {
+  try {
+    const { callRecord } = await findCall(callUUID, clientId);
+    if (!callRecord) {
+      return { success: false, status: 404, message: `Call ${callUUID} not found` };
+    }
+
+    const provider = callRecord.provider || 'plivo';
+    if (!SUPERVISOR_PROVIDERS.includes(provider)) {
+      return { success: false, status: 400, message: `Supervisor monitoring is not available for ${provider} calls` };
+    }
+
+    await connectToMongo();
+    const clientDoc = await client.db("talkGlimpass").collection("client").findOne(
+      { _id: callRecord.clientId },
+      { projection: { supervisorMonitoring: 1, defaultCountry: 1 } }
+    );
+
+    const validation = validateSupervisorSessionRequest({ mode, supervisorNumber }, resolveDefaultCountry(clientDoc));
+    if (!validation.valid) {
+      return { success: false, status: 400, message: validation.error };
+    }
+    const { destination } = validation.value;
+
+    // Superadmin may monitor any call; client users only in the modes and from the numbers they registered
+    if (clientId) {
+      const settings = clientDoc?.supervisorMonitoring;
+      if (!settings?.enabled) {
+        return { success: false, status: 403, message: 'Supervisor monitoring is not enabled for this account' };
+      }
+      if (!(settings.modes || []).includes(validation.value.mode)) {
+        return { success: false, status: 403, message: `Supervisor mode ${validation.value.mode} is not enabled for this account` };
+      }
+      if (!(settings.numbers || []).includes(destination)) {
+        return { success: false, status: 403, message: `${destination} is not a registered supervisor number` };
+      }
+    }
+
+    const availableModes = getAvailableModes({ ...callRecord, provider });
+    if (!availableModes.includes(validation.value.mode)) {
+      const reason = availableModes.length === 0
+        ? `Call ${callRecord.callUUID} is not connected (status: ${callRecord.status})`
+        : `Call ${callRecord.callUUID} supports ${availableModes.join(', ')} right now${callRecord.bridge ? '' : ' - it is still with the AI agent'}`;
+      return { success: false, status: 409, message: reason };
+    }
+
+    const sessions = await getSessionsCollection();
+    const session = {
+      clientId: callRecord.clientId,
+      callUUID: callRecord.callUUID,
+      campaignId: callRecord.campaignId || null,
+      provider,
+      mode: validation.value.mode,
+      media: getSessionMedia(callRecord, validation.value.mode),
+      supervisor: supervisor || null,
+      supervisorNumber: destination,
+      bridge: getBridgeName(callRecord.callUUID),
+      legId: null,
+      forkId: null,
+      status: 'dialing',
+      startedAt: new Date(),
+      answeredAt: null,
+      endedAt: null,
+      events: [{ event: 'requested', at: new Date() }],
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    const { insertedId } = await sessions.insertOne(session);
+    session._id = insertedId;
+
+    try {
+      const credentials = await getCallCredentials(callRecord.clientId, provider);
+      const legId = await dialSupervisorLeg({ ...callRecord, provider }, session, credentials);
+      await sessions.updateOne({ _id: insertedId }, { $set: { legId, updatedAt: new Date() } });
+      session.legId = legId;
+    } catch (dialError) {
+      const errorMessage = dialError.response?.data?.error || dialError.message;
+      console.error(`❌ Supervisor ${session.mode} on ${callRecord.callUUID} failed:`, errorMessage);
+      await recordSessionEvent(insertedId, 'failed', { status: 'failed', endedAt: new Date(), error: errorMessage });
+      return { success: false, status: 502, message: 'Failed to dial supervisor', error: errorMessage };
+    }
+
+    console.log(`🎧 Supervisor ${session.supervisor} ${session.mode} on ${callRecord.callUUID} via ${destination}`);
+
+    return { success: true, status: 201, message: `Dialing supervisor (${session.mode})`, data: session };
+  } catch (error) {
+    console.error('❌ Error starting supervisor session:', error);
+    return { success: false, status: 500, message: 'Error starting supervisor session', error: error.message };
+  }
+}
+
+/**
+ * Hang up a supervisor's leg
+ * @param {string} sessionId - Session ID
+ * @param {string|null} clientId - Owning client; null = superadmin
+ * @param {string} endedBy - Who asked
+ * @returns {Promise<{success: boolean, status: number, message: string}>}
+ */
+async function endSupervisorSession(sessionId, clientId = null, endedBy = null) {
+  try {
+    if (!ObjectId.isValid(sessionId)) {
+      return { success: false, status: 400, message: 'Invalid session ID' };
+    }
+
+    const sessions = await getSessionsCollection();
+    const query = { _id: new ObjectId(sessionId) };
+    if (clientId) query.clientId = new ObjectId(clientId);
+
+    const session = await sessions.findOne(query);
+    if (!session) {
+      return { success: false, status: 404, message: 'Supervisor session not found' };
+    }
+    if (!['dialing', 'active'].includes(session.status)) {
+      return { success: false, status: 409, message: `Supervisor session already ${session.status}` };
+    }
+
+    if (session.legId) {
+      await hangupSupervisorLeg(session);
+    }
+
+    await recordSessionEvent(session._id, 'ended', { status: 'ended', endedAt: new Date(), endedBy: endedBy || null });
+    await stopListenFork(session._id);
+    console.log(`🎧 Supervisor session ${sessionId} ended by ${endedBy || 'unknown'}`);
+
+    return { success: true, status: 200, message: 'Supervisor session ended' };
+  } catch (error) {
+    console.error('❌ Error ending supervisor session:', error);
+    return { success: false, status: 500, message: 'Error ending supervisor session', error: error.message };
+  }
+}
+
+/**
+ * Supervisor session audit log
+ * @param {string|null} clientId - Owning client; null = superadmin (all clients)
+ * @param {Object} filters - callUUID, supervisor, status, mode, limit, skip
+ * @returns {Promise<{success: boolean, status: number, data?: Array, total?: number}>}
+ */
+async function listSupervisorSessions(clientId, filters = {}) {
+  try {
+    const query = {};
+    if (clientId) query.clientId = new ObjectId(clientId);
+    if (filters.callUUID) query.callUUID = filters.callUUID;
+    if (filters.supervisor) query.supervisor = filters.supervisor;
+    if (filters.mode) query.mode = filters.mode;
+    if (filters.status) {
+      const statuses = String(filters.status).split(',').filter(status => SESSION_STATUSES.includes(status));
+      if (statuses.length > 0) query.status = { $in: statuses };
+    }
+
+    const limit = Math.min(parseInt(filters.limit) || 50, MAX_SESSIONS_PAGE);
+    const skip = parseInt(filters.skip) || 0;
+
+    const sessions = await getSessionsCollection();
+    const [data, total] = await Promise.all([
+      sessions.find(query).sort({ startedAt: -1 }).skip(skip).limit(limit).toArray(),
+      sessions.countDocuments(query)
+    ]);
+
+    return { success: true, status: 200, data, total, limit, skip };
+  } catch (error) {
+    console.error('❌ Error listing supervisor sessions:', error);
+    return { success: false, status: 500, message: 'Error listing supervisor sessions', error: error.message };
+  }
+}
+
+// =============================================================================
+// PROVIDER CALLBACKS
+// =============================================================================
+
+// Callback URLs carry sessionId unsigned - the signed clientId must own the session
+function callbackSessionQuery(sessionId, clientId) {
+  const query = { _id: new ObjectId(sessionId) };
+  if (clientId && ObjectId.isValid(clientId)) query.clientId = new ObjectId(clientId);
+  return query;
+}
+
+/**
+ * Plivo XML for an answered supervisor leg
+ * @param {string} sessionId - Session ID
+ * @param {string} legCallUUID - CallUUID of the supervisor leg
+ * @param {string|null} clientId - clientId the callback URL was signed for
+ * @returns {Promise<string|null>} null when the session is gone or closed
+ */
+async function getSupervisorJoinXml(sessionId, legCallUUID, clientId = null) {
+  if (!ObjectId.isValid(sessionId)) return null;
+
+  const sessions = await getSessionsCollection();
+  const session = await sessions.findOne(callbackSessionQuery(sessionId, clientId));
+  if (!session || session.status !== 'dialing') return null;
+
+  const activated = await activateAnsweredSession(session, legCallUUID ? { legId: legCallUUID } : {});
+  if (!activated) return null;
+
+  if (session.media === 'stream') {
+    const listenUrl = await getSignedSessionUrl('plivo', '/supervisor/media/plivo/listen', session);
+    return buildPlivoListenXml(toMediaStreamTarget(listenUrl).url);
+  }
+
+  const { muted, coach } = getSupervisorLegOptions(session.mode);
+  return buildPlivoBridgeXml(session.bridge, { role: 'Supervisor', mute: muted, coachMode: coach, endOnExit: false });
+}
+
+/**
+ * Supervisor leg status from the provider (answered / hung up)
+ * @param {string} sessionId - Session ID
+ * @param {string} status - Provider call status
+ * @param {string|null} clientId - clientId the callback URL was signed for
+ * @returns {Promise<void>}
+ */
+async function handleSupervisorLegStatus(sessionId, status, clientId = null) {
+  if (!ObjectId.isValid(sessionId)) return;
+
+  const sessions = await getSessionsCollection();
+  const session = await sessions.findOne(callbackSessionQuery(sessionId, clientId));
+  if (!session || !['dialing', 'active'].includes(session.status)) return;
+
+  const normalized = String(status || '').toLowerCase();
+  if (['in-progress', 'answered'].includes(normalized)) {
+    // Plivo legs are activated by join-xml; Twilio legs here
+    if (session.status === 'dialing' && session.provider === 'twilio') {
+      const activated = await activateAnsweredSession(session);
+      if (!activated && session.legId) await hangupSupervisorLeg(session);
+    }
+    return;
+  }
+
+  const answered = session.status === 'active';
+  await recordSessionEvent(session._id, answered ? 'ended' : 'failed', {
+    status: answered ? 'ended' : 'failed',
+    endedAt: new Date(),
+    ...(answered ? {} : { error: `Supervisor leg not answered (${normalized || 'unknown'})` })
+  });
+  await stopListenFork(session._id);
+}
+
+// =============================================================================
+// LISTEN STREAMS (calls still with the AI agent)
+// =============================================================================
+
+/**
+ * Fork the call's media stream to the relay once the supervisor's listen stream is connected
+ * @param {string} sessionId - Session ID
+ * @param {string|null} clientId - clientId the stream URL was signed for
+ * @returns {Promise<string|null>} Provider stream id, null when the session has nothing to fork
+ */
+async function startListenFork(sessionId, clientId = null) {
+  if (!ObjectId.isValid(sessionId)) return null;
+
+  const sessions = await getSessionsCollection();
+  const session = await sessions.findOne(callbackSessionQuery(sessionId, clientId));
+  if (!session || session.status !== 'active' || session.media !== 'stream' || session.forkId) return null;
+
+  const { callRecord } = await findCall(session.callUUID, session.clientId?.toString() || null);
+  if (!callRecord || callRecord.status !== 'ongoing') {
+    throw new Error(`Call ${session.callUUID} is no longer connected`);
+  }
+
+  const credentials = await getCallCredentials(session.clientId, session.provider);
+  const sourceUrl = await getSignedSessionUrl(session.provider, `/supervisor/media/${session.provider}/source`, session);
+  const { url, streamUrl, parameters } = toMediaStreamTarget(sourceUrl);
+
+  let forkId;
+  if (session.provider === 'twilio') {
+    if (!callRecord.twilioCallSid) {
+      throw new Error('Twilio CallSid not recorded for this call');
+    }
+    const twilio = require('twilio');
+    const streamParameters = {};
+    Object.entries(parameters).forEach(([name, value], index) => {
+      streamParameters[`parameter${index + 1}.name`] = name;
+      streamParameters[`parameter${index + 1}.value`] = value;
+    });
+    const stream = await twilio(credentials.accountSid, credentials.authToken)
+      .calls(callRecord.twilioCallSid)
+      .streams.create({ url: streamUrl, track: 'both_tracks', ...streamParameters });
+    forkId = stream.sid;
+  } else {
+    const response = await axios.post(`https://api.plivo.com/v1/Account/${credentials.accountSid}/Call/${callRecord.callUUID}/Stream/`, {
+      service_url: url,
+      bidirectional: false,
+      audio_track: 'both',
+      content_type: 'audio/x-mulaw;rate=8000'
+    }, plivoAuth(credentials));
+    forkId = response.data?.stream_id || null;
+  }
+
+  await sessions.updateOne(
+    { _id: session._id },
+    { $set: { forkId, forkCallId: callRecord.twilioCallSid || callRecord.callUUID, updatedAt: new Date() } }
+  );
+  console.log(`🎧 Listen fork ${forkId} of ${session.callUUID} started for supervisor session ${sessionId}`);
+  return forkId;
+}
+
+/**
+ * Stop a session's media stream fork (once - later calls find no fork)
+ * @param {string} sessionId - Session ID
+ * @param {string|null} clientId - clientId the stream URL was signed for
+ * @returns {Promise<void>}
+ */
+async function stopListenFork(sessionId, clientId = null) {
+  if (!ObjectId.isValid(sessionId.toString())) return;
+
+  const sessions = await getSessionsCollection();
+  const session = await sessions.findOneAndUpdate(
+    { ...callbackSessionQuery(sessionId.toString(), clientId), forkId: { $type: 'string' } },
+    { $set: { forkId: null, updatedAt: new Date() } },
+    { returnDocument: 'before' }
+  );
+  if (!session) return;
+
+  try {
+    const credentials = await getCallCredentials(session.clientId, session.provider);
+    if (session.provider === 'twilio') {
+      const twilio = require('twilio');
+      await twilio(credentials.accountSid, credentials.authToken)
+        .calls(session.forkCallId)
+        .streams(session.forkId)
+        .update({ status: 'stopped' });
+    } else {
+      await axios.delete(
+        `https://api.plivo.com/v1/Account/${credentials.accountSid}/Call/${session.forkCallId}/Stream/${session.forkId}/`,
+        plivoAuth(credentials)
+      );
+    }
+  } catch (stopError) {
+    // The call (and its streams) may already be gone
+    console.log(`⚠️ Listen fork stop response: ${stopError.response?.data?.error || stopError.message}`);
+  }
+}
+
+module.exports = {
+  getSupervisorSettings,
+  updateSupervisorSettings,
+  getMonitorableCalls,
+  startSupervisorSession,
+  endSupervisorSession,
+  listSupervisorSessions,
+  getSupervisorJoinXml,
+  handleSupervisorLegStatus,
+  startListenFork,
+  stopListenFork
+};
@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { ObjectId } = require('mongodb');
+const { connectToMongo, client } = require('../../models/mongodb.js');
+const {
+  ROLE_PERMISSIONS,
+  canManageRole,
+  validateInvitation,
+  validateMemberUpdate,
+  validatePassword
+} = require('../apps/helper/teamRoles.js');
+
+/**
+ * Team Service
+ *
+ * Team members of a client account (collection `teamMembers`). The client account login stays the
+ * owner; members are invited by email with a role, accept with a one-time link that sets their
+ * password, and then log in through the same /interlogue/get-client endpoint. Their JWT carries the
+ * memberId, and authMiddleware re-reads the member on every request so role changes and disabling
+ * take effect immediately.
+ *
+ * Invitation tokens are only stored hashed; the link is returned once to whoever sent the invite.
+ */
+
+const BCRYPT_ROUNDS = 12;
+const INVITE_TTL_HOURS = parseInt(process.env.TEAM_INVITE_TTL_HOURS) || 72;
+
+// An email belongs to one member of one client (unique index, scripts/create-indexes.js) - login looks members up by email alone
+async function getCollections() {
+  await connectToMongo();
+  const database = client.db("talkGlimpass");
+  return { members: database.collection("teamMembers"), clients: database.collection("client") };
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function sanitizeMember(member) {
+  const { passwordHash, inviteTokenHash, ...safe } = member;
+  return safe;
+}
+
+function newInvitation() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000);
+  const baseUrl = (process.env.TEAM_INVITE_URL || `${process.env.BASE_URL || 'https://application.glimpass.com'}/accept-invite`).replace(/\/$/, '');
+  return { token, tokenHash: hashToken(token), expiresAt, url: `${baseUrl}?token=${token}` };
+}
+
+async function findClientMember(members, clientId, memberId) {
+  if (!ObjectId.isValid(memberId)) return null;
+  return members.findOne({ _id: new ObjectId(memberId), clientId: clientId.toString() });
+}
+
+// =============================================================================
+// MEMBERS
+// =============================================================================
+
+/**
+ * Members of a client
+ * @param {string} clientId - Client ID
+ * @param {Object} filters - { status }
+ * @returns {Promise<{success: boolean, status: number, data?: Array, message?: string}>}
+ */
+async function listMembers(clientId, { status } = {}) {
+  try {
+    const { members } = await getCollections();
+    const query = { clientId: clientId.toString() };
+    if (status) query.status = status;
+
+    const docs = await members.find(query).sort({ createdAt: 1 }).toArray();
+    return { success: true, status: 200, data: docs.map(sanitizeMember) };
+  } catch (error) {
+    console.error('❌ Error listing team members:', error);
+    return { success: false, status: 500, message: 'Error listing team members', error: error.message };
+  }
+}
+
+/**
+ * Invite someone to a client's team
+ * @param {string} clientId - Client ID
+ * @param {Object} input - { email, name, role }
+ * @param {Object} actor - { role, email } of the inviter
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function inviteMember(clientId, input, actor) {
+  try {
+    const validation = validateInvitation(input);
+    if (!validation.valid) {
+      return { success: false, status: 400, message: validation.error };
+    }
+    const { email, name, role } = validation.value;
+
+    if (!canManageRole(actor.role, role)) {
+      return { success: false, status: 403, message: `Your role cannot invite ${role} members` };
+    }
+
+    const { members, clients } = await getCollections();
+    const emailMatch = { $regex: new RegExp(`^${escapeRegex(email)}$`, 'i') };
+    if (await clients.findOne({ email: emailMatch }, { projection: { _id: 1 } })) {
+      return { success: false, status: 409, message: 'This email already has its own account' };
+    }
+
+    const existing = await members.findOne({ email });
+    if (existing) {
+      const message = existing.clientId === clientId.toString() && existing.status === 'invited'
+        ? 'This email already has a pending invitation - resend it instead'
+        : 'This email is already a team member';
+      return { success: false, status: 409, message };
+    }
+
+    const invitation = newInvitation();
+    const now = new Date();
+    const doc = {
+      clientId: clientId.toString(),
+      email,
+      name,
+      role,
+      status: 'invited',
+      inviteTokenHash: invitation.tokenHash,
+      inviteExpiresAt: invitation.expiresAt,
+      invitedBy: actor.email,
+      createdAt: now,
+      updatedAt: now
+    };
+    const result = await members.insertOne(doc);
+
+    console.log(`👥 ${actor.email} invited ${email} as ${role} (client ${clientId})`);
+    return {
+      success: true,
+      status: 201,
+      message: 'Invitation created - share the invite link with the member',
+      data: {
+        member: sanitizeMember({ _id: result.insertedId, ...doc }),
+        inviteUrl: invitation.url,
+        expiresAt: invitation.expiresAt
+      }
+    };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { success: false, status: 409, message: 'This email is already a team member' };
+    }
+    console.error('❌ Error inviting team member:', error);
+    return { success: false, status: 500, message: 'Error inviting team member', error: error.message };
+  }
+}
+
+/**
+ * Issue a new invitation link for a pending member (the previous link stops working)
+ * @param {string} clientId - Client ID
+ * @param {string} memberId - Member ID
+ * @param {Object} actor - { role, email }
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function resendInvitation(clientId, memberId, actor) {
+  try {
+    const { members } = await getCollections();
+    const member = await findClientMember(members, clientId, memberId);
+    if (!member) {
+      return { success: false, status: 404, message: 'Team member not found' };
+    }
+    if (member.status !== 'invited') {
+      return { success: false, status: 409, message: 'Invitation already accepted' };
+    }
+    if (!canManageRole(actor.role, member.role)) {
+      return { success: false, status: 403, message: `Your role cannot manage ${member.role} members` };
+    }
+
+    const invitation = newInvitation();
+    await members.updateOne(
+      { _id: member._id },
+      { $set: { inviteTokenHash: invitation.tokenHash, inviteExpiresAt: invitation.expiresAt, invitedBy: actor.email, updatedAt: new Date() } }
+    );
+
+    return {
+      success: true,
+      status: 200,
+      message: 'Invitation renewed',
+      data: { inviteUrl: invitation.url, expiresAt: invitation.expiresAt }
+    };
+  } catch (error) {
+    console.error('❌ Error resending invitation:', error);
+    return { success: false, status: 500, message: 'Error resending invitation', error: error.message };
+  }
+}
+
+/**
+ * Accept an invitation and set a password
+ * @param {Object} input - { token, password, name }
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function acceptInvitation({ token, password, name } = {}) {
+  try {
+    if (typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+      return { success: false, status: 400, message: 'Invalid invitation token' };
+    }
+    const passwordCheck = validatePassword(password);
+    if (!passwordCheck.valid) {
+      return { success: false, status: 400, message: passwordCheck.error };
+    }
+
+    const { members } = await getCollections();
+    const member = await members.findOne({ inviteTokenHash: hashToken(token), status: 'invited' });
+    if (!member || member.inviteExpiresAt < new Date()) {
+      return { success: false, status: 410, message: 'Invitation is invalid or has expired - ask for a new one' };
+    }
+
+    const update = {
+      status: 'active',
+      passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      acceptedAt: new Date(),
+      updatedAt: new Date()
+    };
+    if (typeof name === 'string' && name.trim()) {
+      update.name = name.trim().slice(0, 100);
+    }
+
+    // Claim the token atomically so a link can't be used twice
+    const result = await members.updateOne(
+      { _id: member._id, inviteTokenHash: member.inviteTokenHash, status: 'invited' },
+      { $set: update, $unset: { inviteTokenHash: '', inviteExpiresAt: '' } }
+    );
+    if (result.modifiedCount === 0) {
+      return { success: false, status: 410, message: 'Invitation is invalid or has expired - ask for a new one' };
+    }
+
+    console.log(`👥 ${member.email} joined client ${member.clientId} as ${member.role}`);
+    return {
+      success: true,
+      status: 200,
+      message: 'Invitation accepted - you can now log in',
+      data: { email: member.email, role: member.role }
+    };
+  } catch (error) {
+    console.error('❌ Error accepting invitation:', error);
+    return { success: false, status: 500, message: 'Error accepting invitation', error: error.message };
+  }
+}
+
+/**
+ * Change a member's role or enable/disable them
+ * @param {string} clientId - Client ID
+ * @param {string} memberId - Member ID
+ * @param {Object} input - { role, status }
+ * @param {Object} actor - { role, email, memberId }
+ * @returns {Promise<{success: boolean, status: number, data?: Object, message?: string}>}
+ */
+async function updateMember(clientId, memberId, input, actor) {
+  try {
+    const validation = validateMemberUpdate(input);
+    if (!validation.valid) {
+      return { success: false, status: 400, message: validation.error };
+    }
+    if (actor.memberId && actor.memberId === memberId) {
+      return { success: false, status: 403, message: 'You cannot change your own role or status' };
+    }
+
+    const { members } = await getCollections();
+    const member = await findClientMember(members, clientId, memberId);
+    if (!member) {
+      return { success: false, status: 404, message: 'Team member not found' };
+    }
+    if (!canManageRole(actor.role, member.role) || (validation.value.role && !canManageRole(actor.role, validation.value.role))) {
+      return { success: false, status: 403, message: `Your role cannot make this change` };
+    }
+    if (validation.value.status && member.status === 'invited') {
+      return { success: false, status: 409, message: 'Invitation not accepted yet - remove the member to revoke it' };
+    }
+
+    const updated = await members.findOneAndUpdate(
+      { _id: member._id },
+      { $set: { ...validation.value, updatedAt: new Date(), updatedBy: actor.email } },
+      { returnDocument: 'after' }
+    );
+
+    console.log(`👥 ${actor.email} updated ${member.email}: ${JSON.stringify(validation.value)}`);
+    return { success: true, status: 200, message: 'Team member updated', data: sanitizeMember(updated) };
+  } catch (error) {
+    console.error('❌ Error updating team member:', error);
+    return { success: false, status: 500, message: 'Error updating team member', error: error.message };
+  }
+}
+
+/**
+ * Remove a member (or revoke a pending invitation)
+ * @param {string} clientId - Client ID
+ * @param {string} memberId - Member ID
+ * @param {Object} actor - { role, email, memberId }
+ * @returns {Promise<{success: boolean, status: number, message?: string}>}
+ */
+async function removeMember(clientId, memberId, actor) {
+  try {
+    if (actor.memberId && actor.memberId === memberId) {
+      return { success: false, status: 403, message: 'You cannot remove yourself' };
+    }
+
+    const { members } = await getCollections();
+    const member = await findClientMember(members, clientId, memberId);
+    if (!member) {
+      return { success: false, status: 404, message: 'Team member not found' };
+    }
+    if (!canManageRole(actor.role, member.role)) {
+      return { success: false, status: 403, message: `Your role cannot manage ${member.role} members` };
+    }
+
+    await members.deleteOne({ _id: member._id });
+
+    console.log(`👥 ${actor.email} removed ${member.email} from client ${clientId}`);
+    return { success: true, status: 200, message: member.status === 'invited' ? 'Invitation revoked' : 'Team member removed' };
+  } catch (error) {
+    console.error('❌ Error removing team member:', error);
+    return { success: false, status: 500, message: 'Error removing team member', error: error.message };
+  }
+}
+
+// =============================================================================
+// AUTHENTICATION
+// =============================================================================
+
+/**
+ * Check a team member's login
+ * @param {string} email - Email
+ * @param {string} password - Password
+ * @returns {Promise<{member: Object, clientData: Object}|null>} null when the credentials don't match an active member
+ */
+async function authenticateMember(email, password) {
+  const { members, clients } = await getCollections();
+  const member = await members.findOne({ email: String(email).trim().toLowerCase(), status: 'active' });
+  if (!member?.passwordHash || !(await bcrypt.compare(String(password), member.passwordHash))) {
+    return null;
+  }
+
+  const clientData = await clients.findOne(
+    { _id: new ObjectId(member.clientId) },
+    { projection: { password: 0, internalNotes: 0 } }
+  );
+  if (!clientData) {
+    return null;
+  }
+
+  await members.updateOne({ _id: member._id }, { $set: { lastLoginAt: new Date() } });
+  return { member: sanitizeMember(member), clientData };
+}
+
+/**
+ * Permissions of a role, for the UI
+ * @param {string} role - Role name
+ * @returns {Array<string>}
+ */
+function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+module.exports = {
+  listMembers,
+  inviteMember,
+  resendInvitation,
+  acceptInvitation,
+  updateMember,
+  removeMember,
+  authenticateMember,
+  getRolePermissions
+};
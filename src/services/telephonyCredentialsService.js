@@ -431,6 +431,20 @@ class TelephonyCredentialsService {
         accountSid: process.env.TWILIO_ACCOUNT_SID || 'AC_default_sid',
         authToken: process.env.TWILIO_AUTH_TOKEN || 'default_token'
       },
+      exotel: {
+        accountSid: process.env.EXOTEL_ACCOUNT_SID,
+        apiKey: process.env.EXOTEL_AUTH_KEY,
+        authToken: process.env.EXOTEL_AUTH_TOKEN,
+        appId: process.env.EXOTEL_APP_ID,
+        subdomain: process.env.EXOTEL_SUBDOMAIN || 'api.exotel.com'
+      },
+      sip: {
+        ariUrl: process.env.SIP_ARI_URL,
+        accountSid: process.env.SIP_ARI_USERNAME,
+        authToken: process.env.SIP_ARI_PASSWORD,
+        endpointTemplate: process.env.SIP_ENDPOINT_TEMPLATE,
+        stasisApp: process.env.SIP_STASIS_APP || 'glimpass'
+      },
       wati: {
         wati_api_key: process.env.WATI_API_KEY || 'default_wati_key',
         wati_instance_id: process.env.WATI_INSTANCE_ID || 'default_instance'
@@ -0,0 +1,470 @@
+const { connectToMongo, client } = require('../../../models/mongodb.js');
+const { ObjectId } = require('mongodb');
+const { CALL_CONTROL_ACTIONS } = require('../../apps/helper/callControl.js');
+
+/**
+ * Call Control Tool Service
+ *
+ * Lets a bot act on the call it is on (hang up, send DTMF, play/speak, hold, transfer to a human):
+ * - Call control tool definitions (callControlTools collection) - which actions the bot may take
+ *   and the named transfer targets it may hand the caller to
+ * - Agent assignments (agentCallControlTools collection)
+ * - Bot integration for MCP (the MCP server calls /call-control/:callUUID/:action)
+ */
+
+// =============================================================================
+// HELPER: Validate tool configuration
+// =============================================================================
+
+function validateToolConfig(toolData, { partial = false } = {}) {
+  if (toolData.allowed_actions !== undefined || !partial) {
+    const actions = toolData.allowed_actions;
+    if (!Array.isArray(actions) || actions.length === 0) {
+      return { valid: false, error: 'allowed_actions must be a non-empty array' };
+    }
+    const unknown = actions.filter(action => !CALL_CONTROL_ACTIONS.includes(action));
+    if (unknown.length > 0) {
+      return { valid: false, error: `Unsupported actions: ${unknown.join(', ')}. Supported: ${CALL_CONTROL_ACTIONS.join(', ')}` };
+    }
+  }
+
+  if (toolData.transfer_targets !== undefined) {
+    if (!Array.isArray(toolData.transfer_targets)) {
+      return { valid: false, error: 'transfer_targets must be an array' };
+    }
+    const names = new Set();
+    for (const target of toolData.transfer_targets) {
+      if (!target?.name || !target?.number) {
+        return { valid: false, error: 'Each transfer target needs a name and a number' };
+      }
+      if (names.has(target.name.toLowerCase())) {
+        return { valid: false, error: `Duplicate transfer target: ${target.name}` };
+      }
+      names.add(target.name.toLowerCase());
+    }
+  }
+
+  if (!partial && toolData.allowed_actions.includes('transfer') && !toolData.transfer_targets?.length) {
+    return { valid: false, error: 'transfer_targets are required when transfer is allowed' };
+  }
+
+  return { valid: true };
+}
+
+function normalizeTransferTargets(targets = []) {
+  return targets.map(target => ({
+    name: String(target.name).trim(),
+    number: String(target.number).trim(),
+    description: target.description || '',
+    whisper: target.whisper || null
+  }));
+}
+
+// =============================================================================
+// CALL CONTROL TOOL INSTANCES MANAGEMENT
+// =============================================================================
+
+async function getCallControlTools(clientId, filters = {}) {
+  try {
+    await connectToMongo();
+    const db = client.db('glimpass');
+
+    const query = { client_id: clientId, ...filters };
+    const tools = await db.collection('callControlTools').find(query).toArray();
+
+    return {
+      success: true,
+      status: 200,
+      message: 'Call control tools retrieved successfully',
+      data: tools,
+      count: tools.length
+    };
+  } catch (error) {
+    console.error('Error fetching call control tools:', error);
+    return {
+      success: false,
+      status: 500,
+      message: 'Error fetching call control tools',
+      error: error.message
+    };
+  }
+}
+
+async function createCallControlTool(toolData) {
+  try {
+    await connectToMongo();
+    const db = client.db('glimpass');
+
+    if (!toolData.tool_name) {
+      return { success: false, status: 400, message: 'tool_name is required' };
+    }
+
+    const validation = validateToolConfig(toolData);
+    if (!validation.valid) {
+      return { success: false, status: 400, message: validation.error };
+    }
+
+    const existingTool = await db.collection('callControlTools')
+      .findOne({
+        client_id: toolData.client_id,
+        tool_name: toolData.tool_name
+      });
+
+    if (existingTool) {
+      return {
+        success: false,
+        status: 400,
+        message: `Call control tool '${toolData.tool_name}' already exists for this client`
+      };
+    }
+
+    const tool = {
+      client_id: toolData.client_id,
+      tool_name: toolData.tool_name,
+      description: toolData.description || 'Control the current call',
+      allowed_actions: toolData.allowed_actions,
+      transfer_targets: normalizeTransferTargets(toolData.transfer_targets),
+      enabled: toolData.enabled !== undefined ? toolData.enabled : true,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    const result = await db.collection('callControlTools').insertOne(tool);
+
+    return {
+      success: true,
+      status: 201,
+      message: 'Call control tool created successfully',
+      data: { _id: result.insertedId, ...tool }
+    };
+  } catch (error) {
+    console.error('Error creating call control tool:', error);
+    return {
+      success: false,
+      status: 500,
+      message: 'Error creating call control tool',
+      error: error.message
+    };
+  }
+}
+
+async function getCallControlToolById(toolId, clientId) {
+  try {
+    await connectToMongo();
+    const db = client.db('glimpass');
+
+    const tool = await db.collection('callControlTools')
+      .findOne({
+        _id: new ObjectId(toolId),
+        client_id: clientId
+      });
+
+    if (!tool) {
+      return { success: false, status: 404, message: 'Call control tool not found' };
+    }
+
+    return { success: true, status: 200, data: tool };
+  } catch (error) {
+    console.error('Error fetching call control tool:', error);
+    return { success: false, status: 500, message: 'Error fetching call control tool', error: error.message };
+  }
+}
+
+async function updateCallControlTool(toolId, clientId, updateData) {
+  try {
+    await connectToMongo();
+    const db = client.db('glimpass');
+
+    const validation = validateToolConfig(updateData, { partial: true });
+    if (!validation.valid) {
+      return { success: false, status: 400, message: validation.error };
+    }
+
+    const { _id, client_id, created_at, ...fields } = updateData;
+    if (fields.transfer_targets) {
+      fields.transfer_targets = normalizeTransferTargets(fields.transfer_targets);
+    }
+
+    const result = await db.collection('callControlTools')
+      .findOneAndUpdate(
+        { _id: new ObjectId(toolId), client_id: clientId },
+        { $set: { ...fields, updated_at: new Date() } },
+        { returnDocument: 'after' }
+      );
+
+    if (!result) {
+      return { success: false, status: 404, message: 'Call control tool not found' };
+    }
+
+    return { success: true, status: 200, message: 'Call control tool updated successfully', data: result };
+  } catch (error) {
+    console.error('Error updating call control tool:', error);
+    return { success: false, status: 500, message: 'Error updating call control tool', error: error.message };
+  }
+}
+
+async function deleteCallControlTool(toolId, clientId) {
+  try {
+    await connectToMongo();
+    const db = client.db('glimpass');
+
+    const assignmentCount = await db.collection('agentCallControlTools')
+      .countDocuments({ 'assigned_tools.call_control_tool_id': new ObjectId(toolId) });
+
+    if (assignmentCount > 0) {
+      return {
+        success: false,
+        status: 400,
+        message: `Cannot delete. Tool is assigned to ${assignmentCount} agents.`
+      };
+    }
+
+    const result = await db.collection('callControlTools')
+      .deleteOne({ _id: new ObjectId(toolId), client_id: clientId });
+
+    if (result.deletedCount === 0) {
+      return { success: false, status: 404, message: 'Call control tool not found' };
+    }
+
+    return { success: true, status: 200, message: 'Call control tool deleted successfully' };
+  } catch (error) {
+    console.error('Error deleting call control tool:', error);
+    return { success: false, status: 500, message: 'Error deleting call control tool', error: error.message };
+  }
+}
+
+// =============================================================================
+// AGENT ASSIGNMENTS
+// =============================================================================
+
+// Client that owns the assistant (assistants live in talkGlimpass), or null
+async function getAssistantClientId(agentId) {
+  if (!ObjectId.isValid(agentId)) return null;
+  const assistant = await client.db('talkGlimpass').collection('assistant')
+    .findOne({ _id: new ObjectId(agentId) }, { projection: { clientId: 1 } });
+  return assistant?.clientId ? assistant.clientId.toString() : null;
+}
+
+/**
+ * Call control tools assigned to an agent
+ * @param {string} agentId - Assistant ID
+ * @param {string} clientId - Caller's client; omitted for bot/MCP lookups, which use the assistant's owner
+ */
+async function getAgentCallControlTools(agentId, clientId = null) {
+  try {
+    await connectToMongo();
+    const db = client.db('glimpass');
+
+    const ownerId = clientId || await getAssistantClientId(agentId);
+    const assignment = ownerId && await db.collection('agentCallControlTools')
+      .findOne({ agent_id: agentId, client_id: ownerId });
+
+    if (!assignment) {
+      return {
+        success: true,
+        status: 200,
+        message: 'No call control tools assigned to agent',
+        data: { agent_id: agentId, assigned_tools: [] }
+      };
+    }
+
+    const enrichedTools = await Promise.all(
+      assignment.assigned_tools.map(async (assignedTool) => {
+        const tool = await db.collection('callControlTools')
+          .findOne({ _id: assignedTool.call_control_tool_id, client_id: ownerId });
+        return { ...assignedTool, tool_details: tool };
+      })
+    );
+
+    return {
+      success: true,
+      status: 200,
+      message: 'Agent call control tools retrieved successfully',
+      data: { ...assignment, assigned_tools: enrichedTools }
+    };
+  } catch (error) {
+    console.error('Error fetching agent call control tools:', error);
+    return { success: false, status: 500, message: 'Error fetching agent call control tools', error: error.message };
+  }
+}
+
+async function assignCallControlToolToAgent(agentId, clientId, assignmentData) {
+  try {
+    await connectToMongo();
+    const db = client.db('glimpass');
+
+    const toolId = assignmentData.call_control_tool_id || assignmentData.toolId || assignmentData.tool_id;
+    if (!toolId) {
+      return { success: false, status: 400, message: 'call_control_tool_id or toolId is required' };
+    }
+
+    if (await getAssistantClientId(agentId) !== clientId.toString()) {
+      return { success: false, status: 404, message: 'Assistant not found or does not belong to client' };
+    }
+
+    const tool = await db.collection('callControlTools')
+      .findOne({ _id: new ObjectId(toolId), client_id: clientId });
+
+    if (!tool) {
+      return { success: false, status: 404, message: 'Call control tool not found or does not belong to client' };
+    }
+
+    const assignment = {
+      call_control_tool_id: new ObjectId(toolId),
+      enabled: assignmentData.enabled !== undefined ? assignmentData.enabled : true
+    };
+
+    const existingAssignment = await db.collection('agentCallControlTools')
+      .findOne({
+        agent_id: agentId,
+        client_id: clientId,
+        'assigned_tools.call_control_tool_id': assignment.call_control_tool_id
+      });
+
+    if (existingAssignment) {
+      return { success: false, status: 400, message: 'Call control tool already assigned to agent' };
+    }
+
+    const result = await db.collection('agentCallControlTools')
+      .findOneAndUpdate(
+        { agent_id: agentId, client_id: clientId },
+        {
+          $push: { assigned_tools: assignment },
+          $setOnInsert: { agent_id: agentId, client_id: clientId, created_at: new Date() },
+          $set: { updated_at: new Date() }
+        },
+        { upsert: true, returnDocument: 'after' }
+      );
+
+    return { success: true, status: 200, message: 'Call control tool assigned to agent successfully', data: result };
+  } catch (error) {
+    console.error('Error assigning call control tool to agent:', error);
+    return { success: false, status: 500, message: 'Error assigning call control tool to agent', error: error.message };
+  }
+}
+
+async function removeCallControlToolFromAgent(agentId, clientId, toolId) {
+  try {
+    await connectToMongo();
+    const db = client.db('glimpass');
+
+    const result = await db.collection('agentCallControlTools')
+      .findOneAndUpdate(
+        { agent_id: agentId, client_id: clientId },
+        {
+          $pull: { assigned_tools: { call_control_tool_id: new ObjectId(toolId) } },
+          $set: { updated_at: new Date() }
+        },
+        { returnDocument: 'after' }
+      );
+
+    if (!result) {
+      return { success: false, status: 404, message: 'Agent assignment not found' };
+    }
+
+    return { success: true, status: 200, message: 'Call control tool removed from agent successfully' };
+  } catch (error) {
+    console.error('Error removing call control tool from agent:', error);
+    return { success: false, status: 500, message: 'Error removing call control tool from agent', error: error.message };
+  }
+}
+
+async function toggleCallControlToolForAgent(agentId, clientId, toolId, enabled) {
+  try {
+    await connectToMongo();
+    const db = client.db('glimpass');
+
+    const result = await db.collection('agentCallControlTools')
+      .findOneAndUpdate(
+        { agent_id: agentId, client_id: clientId, 'assigned_tools.call_control_tool_id': new ObjectId(toolId) },
+        { $set: { 'assigned_tools.$.enabled': enabled, updated_at: new Date() } },
+        { returnDocument: 'after' }
+      );
+
+    if (!result) {
+      return { success: false, status: 404, message: 'Call control tool assignment not found' };
+    }
+
+    return { success: true, status: 200, message: `Call control tool ${enabled ? 'enabled' : 'disabled'} for agent` };
+  } catch (error) {
+    console.error('Error toggling call control tool:', error);
+    return { success: false, status: 500, message: 'Error toggling call control tool', error: error.message };
+  }
+}
+
+// =============================================================================
+// BOT INTEGRATION
+// =============================================================================
+
+async function getCallControlConfigForBot(agentId) {
+  try {
+    await connectToMongo();
+    const db = client.db('glimpass');
+
+    const ownerId = await getAssistantClientId(agentId);
+    const assignment = ownerId && await db.collection('agentCallControlTools')
+      .findOne({ agent_id: agentId, client_id: ownerId });
+
+    if (!assignment) {
+      return { success: false, status: 404, message: 'No call control tools assigned to agent' };
+    }
+
+    const enabledTools = assignment.assigned_tools.filter(t => t.enabled);
+    const toolIds = enabledTools.map(t => t.call_control_tool_id);
+
+    const tools = await db.collection('callControlTools')
+      .find({ _id: { $in: toolIds }, client_id: assignment.client_id, enabled: { $ne: false } }).toArray();
+
+    const callControlTools = enabledTools.map(assignedTool => {
+      const tool = tools.find(t => t._id.toString() === assignedTool.call_control_tool_id.toString());
+      if (!tool) return null;
+
+      return {
+        call_control_tool_id: tool._id.toString(),
+        tool_name: tool.tool_name,
+        description: tool.description,
+        allowed_actions: tool.allowed_actions,
+        transfer_targets: tool.transfer_targets || [],
+        mcp_identifier: 'call_control',
+        mcp_config: {
+          name: 'call-control-internal-server',
+          transport: {
+            type: 'http',
+            path: `/mcp/call-control/${agentId}`,
+            headers: {
+              'Authorization': `Bearer ${process.env.SUPER_KEY}`,
+              'Content-Type': 'application/json'
+            }
+          }
+        },
+        strategy: 'immediate',
+        enabled: assignedTool.enabled
+      };
+    }).filter(t => t !== null);
+
+    return {
+      success: true,
+      status: 200,
+      agent_id: agentId,
+      client_id: assignment.client_id,
+      call_control_tools: callControlTools,
+      total_tools: callControlTools.length
+    };
+  } catch (error) {
+    console.error('Error getting call control config for bot:', error);
+    return { success: false, status: 500, message: 'Error retrieving call control configuration', error: error.message };
+  }
+}
+
+module.exports = {
+  getCallControlTools,
+  createCallControlTool,
+  getCallControlToolById,
+  updateCallControlTool,
+  deleteCallControlTool,
+  getAgentCallControlTools,
+  assignCallControlToolToAgent,
+  removeCallControlToolFromAgent,
+  toggleCallControlToolForAgent,
+  getCallControlConfigForBot
+};
@@ -1,5 +1,13 @@
 const { connectToMongo, client } = require('../../../models/mongodb.js');
 const { ObjectId } = require('mongodb');
+const {
+  DEFAULT_CALLING_TIMEZONE,
+  isValidTimezone,
+  getLocalParts,
+  zonedTimeToUtc,
+  resolveContactTimezone
+} = require('../../apps/helper/callingHours.js');
+const { getNumberLookupVariants, getClientDefaultCountry } = require('../../apps/helper/phoneNumber.js');
 
 /**
  * Schedule Call Tool Service
@@ -7,10 +15,19 @@ const { ObjectId } = require('mongodb');
  * Manages schedule call tool configurations and scheduled call instances:
  * - Schedule call tool definitions (scheduleCallTools collection)
  * - Agent assignments (agentScheduleCallTools collection)
- * - Scheduled call instances (scheduledCalls collection)
+ * - Scheduled call instances (scheduledCalls collection) - created by the MCP tool and post-call
+ *   actions, listed / rescheduled / cancelled by the client, dialed by the scheduled-calls job
  * - Bot integration for MCP
+ *
+ * A call's time is either a relative delay ('24h', '30m', '2d') or an absolute time: an ISO
+ * timestamp or a phrase like 'tomorrow 5pm', 'monday 10:30', 'today evening'. Phrases without
+ * an explicit offset are read in the `timezone` given, else the callee's timezone (number prefix),
+ * else DEFAULT_CALLING_TIMEZONE.
  */
 
+const SCHEDULED_CALL_STATUSES = ['pending', 'executing', 'executed', 'failed', 'suppressed', 'cancelled'];
+const MAX_SCHEDULED_CALLS_PAGE = 200;
+
 // =============================================================================
 // HELPER: Parse delay string to milliseconds
 // =============================================================================
@@ -30,6 +47,167 @@ function parseDelay(delayStr) {
   return null;
 }
 
+// =============================================================================
+// HELPER: Parse absolute / natural-language times
+// =============================================================================
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const NAMED_TIMES = { morning: [10, 0], noon: [12, 0], afternoon: [15, 0], evening: [18, 0], tonight: [20, 0] };
+
+// '5pm', '5:30 pm', '17:00', 'noon', 'evening' -> [hour, minute]
+function parseClockTime(text) {
+  if (NAMED_TIMES[text]) return NAMED_TIMES[text];
+
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  if (minute > 59) return null;
+
+  if (match[3]) {
+    if (hour < 1 || hour > 12) return null;
+    if (match[3] === 'pm' && hour !== 12) hour += 12;
+    if (match[3] === 'am' && hour === 12) hour = 0;
+  } else if (hour > 23) {
+    return null;
+  }
+  return [hour, minute];
+}
+
+// 'today', 'tomorrow', 'day after tomorrow', '[next] friday', '2026-11-02' -> day offset or date parts
+function parseDayPhrase(text, today) {
+  if (text === 'today' || text === 'tonight') return { offset: 0 };
+  if (text === 'tomorrow') return { offset: 1 };
+  if (text === 'day after tomorrow') return { offset: 2 };
+
+  const isoDate = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (isoDate) {
+    const [year, month, day] = isoDate.slice(1).map(value => parseInt(value, 10));
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return { year, month, day };
+  }
+
+  const weekday = text.match(/^(next |this )?([a-z]+)$/);
+  const weekdayIndex = weekday ? WEEKDAYS.findIndex(name => name === weekday[2] || name.slice(0, 3) === weekday[2]) : -1;
+  if (weekdayIndex === -1) return null;
+
+  let offset = (weekdayIndex - today.weekday + 7) % 7;
+  if (weekday[1] === 'next ' && offset === 0) offset = 7;
+  return { offset, weekday: true };
+}
+
+/**
+ * Parse an absolute or natural-language call time
+ * @param {string} input - ISO timestamp ('2026-11-02T17:00:00+05:30', '2026-11-02 17:00'), or a
+ *   phrase: 'tomorrow 5pm', 'today at 17:30', 'friday evening', 'next monday 10am', '5pm', 'in 2 hours'
+ * @param {string} timeZone - IANA timezone for wall-clock phrases
+ * @param {Date} now - Reference time
+ * @returns {{executeAt?: Date, error?: string}}
+ */
+function parseScheduleTime(input, timeZone = DEFAULT_CALLING_TIMEZONE, now = new Date()) {
+  if (!input || typeof input !== 'string') {
+    return { error: 'Time is required' };
+  }
+  const text = input.trim().toLowerCase().replace(/\s+/g, ' ');
+
+  // Relative: '24h', 'in 2 hours'
+  const delayMs = parseDelay(text.replace(/^in /, ''));
+  if (delayMs) {
+    return { executeAt: new Date(now.getTime() + delayMs) };
+  }
+
+  // ISO timestamp with an offset is unambiguous
+  if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}(:\d{2}(\.\d+)?)?(z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    const executeAt = new Date(input.trim());
+    return Number.isNaN(executeAt.getTime()) ? { error: `Invalid timestamp: '${input}'` } : { executeAt };
+  }
+
+  // '<day> [at] <time>' or '<time> [on] <day>' or just '<time>'
+  const today = getLocalParts(now, timeZone);
+  const phrase = text.replace(/^(\d{4}-\d{2}-\d{2})t/, '$1 ').replace(/(\d{2}:\d{2}):\d{2}(\.\d+)?/, '$1');
+  let dayText = null;
+  let timeText = phrase;
+  const parts = phrase.match(/^(.+?)\s+(?:at\s+)?(\S+(?:\s?[ap]m)?)$/);
+  const reversed = phrase.match(/^(\S+(?:\s?[ap]m)?)\s+(?:on\s+)?(.+)$/);
+
+  if (parts && parseDayPhrase(parts[1], today) && parseClockTime(parts[2])) {
+    dayText = parts[1];
+    timeText = parts[2];
+  } else if (reversed && parseClockTime(reversed[1]) && parseDayPhrase(reversed[2], today)) {
+    timeText = reversed[1];
+    dayText = reversed[2];
+  } else if (phrase === 'tonight') {
+    dayText = 'tonight';
+    timeText = 'tonight';
+  }
+
+  const clock = parseClockTime(timeText);
+  if (!clock) {
+    return { error: `Could not understand time '${input}'. Use e.g. '24h', 'tomorrow 5pm', 'friday 10:30am' or an ISO timestamp` };
+  }
+
+  let year = today.year;
+  let month = today.month;
+  let day = today.day;
+  let rollDays = 0;
+
+  if (dayText) {
+    const dayPhrase = parseDayPhrase(dayText, today);
+    if (dayPhrase.year) {
+      ({ year, month, day } = dayPhrase);
+    } else {
+      const target = new Date(Date.UTC(today.year, today.month - 1, today.day + dayPhrase.offset));
+      year = target.getUTCFullYear();
+      month = target.getUTCMonth() + 1;
+      day = target.getUTCDate();
+      // 'friday 5pm' said on Friday after 5pm means next Friday
+      if (dayPhrase.weekday && dayPhrase.offset === 0) rollDays = 7;
+    }
+  } else {
+    rollDays = 1; // '5pm' after 5pm means tomorrow
+  }
+
+  let executeAt = zonedTimeToUtc(year, month, day, clock[0], clock[1], timeZone);
+  if (executeAt <= now && rollDays) {
+    const next = new Date(Date.UTC(year, month - 1, day + rollDays));
+    executeAt = zonedTimeToUtc(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), clock[0], clock[1], timeZone);
+  }
+
+  if (Number.isNaN(executeAt.getTime())) {
+    return { error: `Invalid date in '${input}'` };
+  }
+  return { executeAt };
+}
+
+/**
+ * Work out when a scheduled call should run
+ * @param {Object} data - { delay, scheduleAt, timezone, toNumber }
+ *   `scheduleAt` (absolute or natural language) wins over `delay`; `delay` may also hold a phrase
+ * @returns {{executeAt?: Date, timezone?: string, error?: string}}
+ */
+function resolveExecuteAt({ delay, scheduleAt, timezone, toNumber }) {
+  if (timezone && !isValidTimezone(timezone)) {
+    return { error: `Invalid timezone: '${timezone}'` };
+  }
+  const timeZone = timezone || resolveContactTimezone({ number: toNumber }).timezone;
+  const input = scheduleAt || delay;
+
+  if (!input) {
+    return { error: "delay or scheduleAt is required. Use e.g. '24h', 'tomorrow 5pm' or an ISO timestamp" };
+  }
+
+  const { executeAt, error } = parseScheduleTime(String(input), timeZone);
+  if (error) {
+    return { error: scheduleAt ? error : `Invalid delay format: '${delay}'. Use e.g. '24h', '2h', '30m', '1d' or 'tomorrow 5pm'` };
+  }
+  if (executeAt <= new Date()) {
+    return { error: `Scheduled time ${executeAt.toISOString()} is in the past` };
+  }
+  return { executeAt, timezone: timeZone };
+}
+
 // =============================================================================
 // SCHEDULE CALL TOOL INSTANCES MANAGEMENT
 // =============================================================================
@@ -342,9 +520,9 @@ async function createScheduledCall(data) {
     await connectToMongo();
     const db = client.db('glimpass');
 
-    const delayMs = parseDelay(data.delay);
-    if (!delayMs) {
-      return { success: false, status: 400, message: `Invalid delay format: '${data.delay}'. Use e.g. '24h', '2h', '30m', '1d'` };
+    const { executeAt, timezone, error } = resolveExecuteAt(data);
+    if (error) {
+      return { success: false, status: 400, message: error };
     }
 
     const scheduledCall = {
@@ -353,8 +531,10 @@ async function createScheduledCall(data) {
       fromNumber: data.fromNumber,
       toNumber: data.toNumber,
       context: data.context || '',
-      delay: data.delay,
-      executeAt: new Date(Date.now() + delayMs),
+      delay: data.scheduleAt ? null : data.delay,
+      scheduleAt: data.scheduleAt || null,
+      timezone,
+      executeAt,
       status: 'pending',
       scheduledByAgentId: data.scheduledByAgentId || null,
       scheduledByCallUUID: data.scheduledByCallUUID || null,
@@ -411,6 +591,229 @@ async function updateScheduledCallStatus(callId, status, metadata = {}) {
   }
 }
 
+// =============================================================================
+// SCHEDULED CALLS (Client management)
+// =============================================================================
+
+function parseDateFilter(value, name) {
+  if (value === undefined || value === null || value === '') return { date: null };
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? { error: `Invalid ${name} date: '${value}'` } : { date };
+}
+
+/**
+ * List a client's scheduled calls
+ * @param {string} clientId - Client ID
+ * @param {Object} filters - { status (comma-separated), agentId, callUUID, number, from, to, limit, skip }
+ *   from/to bound executeAt; callUUID is the call that scheduled the follow-up
+ * @returns {Promise<Object>} Standard service response
+ */
+async function listScheduledCalls(clientId, filters = {}) {
+  try {
+    const query = { clientId: clientId.toString() };
+
+    if (filters.status) {
+      const statuses = String(filters.status).split(',').map(status => status.trim()).filter(Boolean);
+      const unknown = statuses.filter(status => !SCHEDULED_CALL_STATUSES.includes(status));
+      if (unknown.length > 0) {
+        return { success: false, status: 400, message: `Invalid status: ${unknown.join(', ')}. Allowed: ${SCHEDULED_CALL_STATUSES.join(', ')}` };
+      }
+      query.status = { $in: statuses };
+    }
+    if (filters.agentId) {
+      query.targetAgentId = filters.agentId;
+    }
+    if (filters.callUUID) {
+      query.scheduledByCallUUID = filters.callUUID;
+    }
+    if (filters.number) {
+      query.toNumber = { $in: getNumberLookupVariants(filters.number, await getClientDefaultCountry(clientId)) };
+    }
+
+    const from = parseDateFilter(filters.from, 'from');
+    const to = parseDateFilter(filters.to, 'to');
+    if (from.error || to.error) {
+      return { success: false, status: 400, message: from.error || to.error };
+    }
+    if (from.date || to.date) {
+      query.executeAt = {};
+      if (from.date) query.executeAt.$gte = from.date;
+      if (to.date) query.executeAt.$lte = to.date;
+    }
+
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), MAX_SCHEDULED_CALLS_PAGE);
+    const skip = Math.max(parseInt(filters.skip) || 0, 0);
+
+    await connectToMongo();
+    const collection = client.db('glimpass').collection('scheduledCalls');
+    const [calls, total] = await Promise.all([
+      collection.find(query).sort({ executeAt: 1 }).skip(skip).limit(limit).toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return {
+      success: true,
+      status: 200,
+      message: 'Scheduled calls retrieved successfully',
+      data: calls,
+      count: calls.length,
+      total,
+      limit,
+      skip
+    };
+  } catch (error) {
+    console.error('Error listing scheduled calls:', error);
+    return { success: false, status: 500, message: 'Error listing scheduled calls', error: error.message };
+  }
+}
+
+async function getScheduledCall(callId, clientId) {
+  try {
+    if (!ObjectId.isValid(callId)) {
+      return { success: false, status: 400, message: 'Invalid scheduled call ID' };
+    }
+
+    await connectToMongo();
+    const scheduledCall = await client.db('glimpass').collection('scheduledCalls')
+      .findOne({ _id: new ObjectId(callId), clientId: clientId.toString() });
+
+    if (!scheduledCall) {
+      return { success: false, status: 404, message: 'Scheduled call not found' };
+    }
+
+    return { success: true, status: 200, data: scheduledCall };
+  } catch (error) {
+    console.error('Error fetching scheduled call:', error);
+    return { success: false, status: 500, message: 'Error fetching scheduled call', error: error.message };
+  }
+}
+
+/**
+ * Move a pending scheduled call to a new time
+ * @param {string} callId - Scheduled call ID
+ * @param {string} clientId - Client ID
+ * @param {Object} timing - { scheduleAt, delay, timezone } (see resolveExecuteAt)
+ * @returns {Promise<Object>} Standard service response
+ */
+async function rescheduleScheduledCall(callId, clientId, timing = {}) {
+  try {
+    const existing = await getScheduledCall(callId, clientId);
+    if (!existing.success) return existing;
+
+    const scheduledCall = existing.data;
+    if (scheduledCall.status !== 'pending') {
+      return { success: false, status: 409, message: `Only pending calls can be rescheduled (status: ${scheduledCall.status})` };
+    }
+
+    const { executeAt, timezone, error } = resolveExecuteAt({ ...timing, toNumber: scheduledCall.toNumber });
+    if (error) {
+      return { success: false, status: 400, message: error };
+    }
+
+    const now = new Date();
+    const result = await client.db('glimpass').collection('scheduledCalls').findOneAndUpdate(
+      { _id: scheduledCall._id, clientId: clientId.toString(), status: 'pending' },
+      {
+        $set: {
+          executeAt,
+          timezone,
+          delay: timing.scheduleAt ? null : timing.delay,
+          scheduleAt: timing.scheduleAt || null,
+          rescheduledAt: now,
+          updatedAt: now
+        },
+        $inc: { rescheduleCount: 1 },
+        $push: { rescheduleHistory: { from: scheduledCall.executeAt, to: executeAt, at: now } }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!result) {
+      return { success: false, status: 409, message: 'Scheduled call is no longer pending' };
+    }
+
+    return { success: true, status: 200, message: `Call rescheduled to ${executeAt.toISOString()}`, data: result };
+  } catch (error) {
+    console.error('Error rescheduling scheduled call:', error);
+    return { success: false, status: 500, message: 'Error rescheduling scheduled call', error: error.message };
+  }
+}
+
+/**
+ * Cancel a pending scheduled call
+ * @param {string} callId - Scheduled call ID
+ * @param {string} clientId - Client ID
+ * @param {Object} options - { reason, cancelledBy }
+ * @returns {Promise<Object>} Standard service response
+ */
+async function cancelScheduledCall(callId, clientId, { reason = null, cancelledBy = null } = {}) {
+  try {
+    const existing = await getScheduledCall(callId, clientId);
+    if (!existing.success) return existing;
+
+    if (existing.data.status !== 'pending') {
+      return { success: false, status: 409, message: `Only pending calls can be cancelled (status: ${existing.data.status})` };
+    }
+
+    const now = new Date();
+    const result = await client.db('glimpass').collection('scheduledCalls').findOneAndUpdate(
+      { _id: existing.data._id, clientId: clientId.toString(), status: 'pending' },
+      { $set: { status: 'cancelled', cancelledAt: now, cancelReason: reason, cancelledBy, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+
+    if (!result) {
+      return { success: false, status: 409, message: 'Scheduled call is no longer pending' };
+    }
+
+    return { success: true, status: 200, message: 'Scheduled call cancelled', data: result };
+  } catch (error) {
+    console.error('Error cancelling scheduled call:', error);
+    return { success: false, status: 500, message: 'Error cancelling scheduled call', error: error.message };
+  }
+}
+
+/**
+ * Cancel every pending scheduled call to a number (any stored format of the number matches)
+ * @param {string} clientId - Client ID
+ * @param {string} number - Destination number
+ * @param {Object} options - { reason, cancelledBy, agentId }
+ * @returns {Promise<Object>} Standard service response with cancelledCount
+ */
+async function cancelScheduledCallsForNumber(clientId, number, { reason = null, cancelledBy = null, agentId = null } = {}) {
+  try {
+    if (!number) {
+      return { success: false, status: 400, message: 'number is required' };
+    }
+
+    const query = {
+      clientId: clientId.toString(),
+      status: 'pending',
+      toNumber: { $in: getNumberLookupVariants(number, await getClientDefaultCountry(clientId)) }
+    };
+    if (agentId) {
+      query.targetAgentId = agentId;
+    }
+
+    await connectToMongo();
+    const now = new Date();
+    const result = await client.db('glimpass').collection('scheduledCalls').updateMany(
+      query,
+      { $set: { status: 'cancelled', cancelledAt: now, cancelReason: reason, cancelledBy, updatedAt: now } }
+    );
+
+    return {
+      success: true,
+      status: 200,
+      message: `Cancelled ${result.modifiedCount} pending scheduled call(s) to ${number}`,
+      data: { cancelledCount: result.modifiedCount }
+    };
+  } catch (error) {
+    console.error('Error cancelling scheduled calls for number:', error);
+    return { success: false, status: 500, message: 'Error cancelling scheduled calls', error: error.message };
+  }
+}
+
 // =============================================================================
 // BOT INTEGRATION
 // =============================================================================
@@ -476,7 +879,10 @@ async function getScheduleCallConfigForBot(agentId) {
 }
 
 module.exports = {
+  SCHEDULED_CALL_STATUSES,
   parseDelay,
+  parseScheduleTime,
+  resolveExecuteAt,
   getScheduleCallTools,
   createScheduleCallTool,
   getScheduleCallToolById,
@@ -489,5 +895,10 @@ module.exports = {
   createScheduledCall,
   getPendingScheduledCalls,
   updateScheduledCallStatus,
+  listScheduledCalls,
+  getScheduledCall,
+  rescheduleScheduledCall,
+  cancelScheduledCall,
+  cancelScheduledCallsForNumber,
   getScheduleCallConfigForBot
 };
@@ -0,0 +1,53 @@
+// models/mongodb.js needs a URI; the bucket helpers never connect
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/test';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  RATE_LIMIT_WINDOW,
+  validateRateLimits,
+  buildBuckets,
+  getRetryAfterMs
+} = require('../src/services/callRateLimitService.js');
+
+test('buildBuckets takes from the number, client and global buckets', () => {
+  const buckets = buildBuckets(
+    { callsPerMinute: 10, callsPerMinutePerNumber: 4, burst: 20 },
+    { clientId: 'client-1', from: '098765 43210' },
+    100
+  );
+  assert.deepStrictEqual(buckets, [
+    { key: 'from:+919876543210', scope: 'from_number', ratePerMinute: 4, capacity: 4 },
+    { key: 'client:client-1', scope: 'client', ratePerMinute: 10, capacity: 20 },
+    { key: 'global', scope: 'global', ratePerMinute: 100, capacity: 100 }
+  ]);
+});
+
+test('buildBuckets skips disabled limits and defaults capacity to the rate', () => {
+  const buckets = buildBuckets(
+    { callsPerMinute: 10, callsPerMinutePerNumber: 0, burst: null },
+    { clientId: 'client-1', from: '+919876543210' },
+    0
+  );
+  assert.deepStrictEqual(buckets, [{ key: 'client:client-1', scope: 'client', ratePerMinute: 10, capacity: 10 }]);
+  assert.deepStrictEqual(buildBuckets({ callsPerMinute: 0, callsPerMinutePerNumber: 0, burst: null }, {}, 0), []);
+});
+
+test('getRetryAfterMs waits for the bucket to refill one whole token', () => {
+  const perMinute = (rate) => ({ ratePerMinute: rate });
+  assert.strictEqual(getRetryAfterMs(perMinute(10), 0.5), Math.ceil(RATE_LIMIT_WINDOW / 20));
+  assert.strictEqual(getRetryAfterMs(perMinute(60), 0), Math.ceil(RATE_LIMIT_WINDOW / 60));
+  assert.strictEqual(getRetryAfterMs(perMinute(10), 1), 0);
+});
+
+test('validateRateLimits accepts whole numbers and rejects unknown fields', () => {
+  assert.deepStrictEqual(validateRateLimits({ callsPerMinute: '30', burst: 60, callsPerMinutePerNumber: null }), {
+    rateLimits: { callsPerMinute: 30, burst: 60 }
+  });
+  assert.deepStrictEqual(validateRateLimits(null), { rateLimits: null });
+  assert.match(validateRateLimits({ callsPerMinute: -1 }).error, /whole number/);
+  assert.match(validateRateLimits({ callsPerMinute: 1.5 }).error, /whole number/);
+  assert.match(validateRateLimits({ perHour: 5 }).error, /Unknown rateLimits field/);
+  assert.match(validateRateLimits([]).error, /must be an object/);
+});
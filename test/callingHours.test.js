@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  validateCallingHours,
+  isWithinCallingHours,
+  getNextWindowStart,
+  findNextDialableContact
+} = require('../src/apps/helper/callingHours.js');
+
+// Monday 11:30 in Asia/Kolkata, 02:00 in America/New_York
+const now = new Date('2026-10-19T06:00:00Z');
+const weekdays = { enabled: true, days: [1, 2, 3, 4, 5, 6], start: '10:00', end: '19:00', timezone: 'Asia/Kolkata' };
+
+test('validateCallingHours accepts day numbers, numeric strings and names', () => {
+  const result = validateCallingHours({ days: ['1', 2, 'tue', 'Wednesday', ' 4 '], start: '10:00', end: '19:00' });
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.value.days, [1, 2, 3, 4]);
+});
+
+test('validateCallingHours rejects bad days, times and timezones', () => {
+  assert.strictEqual(validateCallingHours({ days: ['7'], start: '10:00', end: '19:00' }).valid, false);
+  assert.strictEqual(validateCallingHours({ days: ['funday'], start: '10:00', end: '19:00' }).valid, false);
+  assert.strictEqual(validateCallingHours({ start: '10:00', end: '10:00' }).valid, false);
+  assert.strictEqual(validateCallingHours({ start: '9am', end: '19:00' }).valid, false);
+  assert.strictEqual(validateCallingHours({ start: '10:00', end: '19:00', timezone: 'Mars/Base' }).valid, false);
+});
+
+test('isWithinCallingHours evaluates the window in the given timezone', () => {
+  assert.strictEqual(isWithinCallingHours(weekdays, 'Asia/Kolkata', now), true);
+  assert.strictEqual(isWithinCallingHours(weekdays, 'America/New_York', now), false);
+  assert.strictEqual(isWithinCallingHours({ ...weekdays, days: [0] }, 'Asia/Kolkata', now), false);
+});
+
+test('isWithinCallingHours covers the early hours after an allowed day in overnight windows', () => {
+  const sundayNights = { enabled: true, days: [0], start: '20:00', end: '02:00' };
+  // Monday 01:30 in New York - still Sunday night's window
+  const mondayEarly = new Date('2026-10-19T05:30:00Z');
+  assert.strictEqual(isWithinCallingHours(sundayNights, 'America/New_York', mondayEarly), true);
+  // Monday 11:00 in Kolkata - outside any window
+  assert.strictEqual(isWithinCallingHours(sundayNights, 'Asia/Kolkata', mondayEarly), false);
+  // Sunday 23:00 in New York
+  assert.strictEqual(isWithinCallingHours(sundayNights, 'America/New_York', new Date('2026-10-19T03:00:00Z')), true);
+});
+
+test('getNextWindowStart converts the local window start to UTC, across DST changes', () => {
+  assert.strictEqual(getNextWindowStart(weekdays, 'America/New_York', now).toISOString(), '2026-10-19T14:00:00.000Z');
+  // Saturday afternoon EDT; New York leaves DST on Sunday 1 November
+  const weekdaysOnly = { ...weekdays, days: [1, 2, 3, 4, 5] };
+  assert.strictEqual(getNextWindowStart(weekdaysOnly, 'America/New_York', new Date('2026-10-31T20:00:00Z')).toISOString(), '2026-11-02T15:00:00.000Z');
+  assert.strictEqual(getNextWindowStart({ ...weekdays, days: [] }, 'Asia/Kolkata', now), null);
+});
+
+test('findNextDialableContact skips contacts outside their window', () => {
+  const contacts = [{ number: '+12125550100' }, { number: '+12125550101' }, { number: '+919876543210' }];
+  assert.deepStrictEqual(findNextDialableContact(weekdays, contacts, 0, now), { index: 2, nextWindowAt: null });
+});
+
+test('findNextDialableContact reports the earliest window when no contact can be dialed', () => {
+  const contacts = [{ number: '+12125550100' }, { number: '+447911123456' }];
+  const result = findNextDialableContact(weekdays, contacts, 0, now);
+  assert.strictEqual(result.index, -1);
+  // 10:00 in London (BST) comes before 10:00 in New York
+  assert.strictEqual(result.nextWindowAt.toISOString(), '2026-10-19T09:00:00.000Z');
+  assert.deepStrictEqual(findNextDialableContact(weekdays, contacts, 2, now), { index: -1, nextWindowAt: null });
+});
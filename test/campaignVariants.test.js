@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MIN_VARIANT_SAMPLE, compareProportions } = require('../src/apps/helper/campaignVariants.js');
+
+test('compareProportions needs MIN_VARIANT_SAMPLE calls per variant', () => {
+  const small = { successes: 5, trials: MIN_VARIANT_SAMPLE - 1 };
+  assert.deepStrictEqual(compareProportions(small, { successes: 50, trials: 100 }), { indicator: 'insufficient_data' });
+});
+
+test('compareProportions flags significant differences', () => {
+  const control = { successes: 100, trials: 1000 };
+  const better = compareProportions({ successes: 150, trials: 1000 }, control);
+  assert.strictEqual(better.indicator, 'better');
+  assert.ok(better.zScore > 0 && better.pValue < 0.05);
+
+  assert.strictEqual(compareProportions(control, { successes: 150, trials: 1000 }).indicator, 'worse');
+});
+
+test('compareProportions reports small differences as not significant', () => {
+  const result = compareProportions({ successes: 52, trials: 500 }, { successes: 50, trials: 500 });
+  assert.strictEqual(result.indicator, 'not_significant');
+  assert.ok(result.pValue > 0.05);
+});
+
+test('compareProportions handles identical all-or-nothing outcomes', () => {
+  const none = { successes: 0, trials: 100 };
+  assert.deepStrictEqual(compareProportions(none, none), { indicator: 'not_significant', zScore: 0, pValue: 1 });
+});
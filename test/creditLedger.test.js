@@ -0,0 +1,66 @@
+// models/mongodb.js needs a URI; these helpers and validation paths never connect
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/test';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('mongodb');
+
+const {
+  ENTRY_TYPES,
+  postingsBalance,
+  getIdempotencyKey,
+  buildStatementLines,
+  postLedgerEntry
+} = require('../src/apps/billing/creditLedger.js');
+
+const clientId = '64b7f0c2a1b2c3d4e5f60718';
+
+test('postingsBalance requires zero-sum postings that move the amount on the wallet', () => {
+  assert.strictEqual(postingsBalance(-42, [
+    { account: 'client_wallet', amount: -42 },
+    { account: 'usage:telephony', amount: 42 }
+  ]), true);
+  assert.strictEqual(postingsBalance(0.3, [
+    { account: 'client_wallet', amount: 0.1 },
+    { account: 'client_wallet', amount: 0.2 },
+    { account: 'payments', amount: -0.3 }
+  ]), true);
+  assert.strictEqual(postingsBalance(-42, [
+    { account: 'client_wallet', amount: -42 },
+    { account: 'usage:telephony', amount: 40 }
+  ]), false);
+  assert.strictEqual(postingsBalance(-42, [
+    { account: 'usage:ai', amount: -42 },
+    { account: 'usage:telephony', amount: 42 }
+  ]), false);
+});
+
+test('getIdempotencyKey keys referenced entries on type and reference', () => {
+  const entryId = new ObjectId();
+  assert.strictEqual(getIdempotencyKey('call_debit', 'call-uuid-1', entryId), 'call_debit:call-uuid-1');
+  assert.strictEqual(getIdempotencyKey('topup', 'pay_1', entryId), getIdempotencyKey('topup', 'pay_1', new ObjectId()));
+  assert.notStrictEqual(getIdempotencyKey('topup', 'pay_1', entryId), getIdempotencyKey('call_debit', 'pay_1', entryId));
+  assert.strictEqual(getIdempotencyKey('superadmin_correction', null, entryId), `superadmin_correction:${entryId}`);
+});
+
+test('buildStatementLines keeps a running balance and credit/debit totals', () => {
+  const entry = (amount) => ({ _id: new ObjectId(), amount, entryType: 'call_debit', createdAt: new Date() });
+  const result = buildStatementLines(100, [entry(-12.5), entry(500), entry(-0.1), entry(-0.2)]);
+
+  assert.deepStrictEqual(result.entries.map(line => line.balance), [87.5, 587.5, 587.4, 587.2]);
+  assert.strictEqual(result.closingBalance, 587.2);
+  assert.strictEqual(result.totalCredits, 500);
+  assert.strictEqual(result.totalDebits, 12.8);
+  assert.deepStrictEqual(buildStatementLines(25, []), { entries: [], closingBalance: 25, totalCredits: 0, totalDebits: 0 });
+});
+
+test('postLedgerEntry rejects invalid entries before touching the ledger', async () => {
+  const post = (entry) => postLedgerEntry({ clientId, entryType: ENTRY_TYPES.TOPUP, amount: 10, ...entry });
+
+  assert.match((await post({ clientId: 'not-an-id' })).error, /clientId/);
+  assert.match((await post({ entryType: 'gift' })).error, /Invalid ledger entry type/);
+  assert.match((await post({ entryType: ENTRY_TYPES.OPENING_BALANCE })).error, /Invalid ledger entry type/);
+  assert.match((await post({ amount: 0 })).error, /non-zero/);
+  assert.match((await post({ amount: 'ten' })).error, /non-zero/);
+  assert.match((await post({ postings: [{ account: 'client_wallet', amount: 10 }] })).error, /must balance/);
+});
@@ -0,0 +1,64 @@
+// models/mongodb.js needs a URI; the parsers never connect
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/test';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  parsePhoneNumber,
+  toE164,
+  normalizeCountry,
+  getNumberLookupVariants,
+  getLegacyPhoneKey,
+  resolveDefaultCountry
+} = require('../src/apps/helper/phoneNumber.js');
+
+test('toE164 reads national numbers in the default country', () => {
+  assert.strictEqual(toE164('098765 43210', 'IN'), '+919876543210');
+  assert.strictEqual(toE164('0501234567', 'AE'), '+971501234567');
+  assert.strictEqual(toE164('(415) 555-0123', 'US'), '+14155550123');
+  assert.strictEqual(toE164('1-415-555-0123', 'US'), '+14155550123');
+});
+
+test('toE164 reads numbers that carry a country code', () => {
+  assert.strictEqual(toE164('919876543210', 'IN'), '+919876543210');
+  assert.strictEqual(toE164('+44 (0)7911 123456', 'IN'), '+447911123456');
+  assert.strictEqual(toE164('0044 7911 123456', 'IN'), '+447911123456');
+  assert.strictEqual(toE164('971501234567', 'IN'), '+971501234567');
+});
+
+test('parsePhoneNumber prefers the default country when a calling code is shared', () => {
+  assert.strictEqual(parsePhoneNumber('+16135550123', 'CA').country, 'CA');
+  assert.strictEqual(parsePhoneNumber('+16135550123', 'US').country, 'US');
+});
+
+test('parsePhoneNumber accepts well-formed numbers for countries without rules only with "+"', () => {
+  assert.deepStrictEqual(parsePhoneNumber('+8613800138000', 'IN'), {
+    valid: true,
+    e164: '+8613800138000',
+    country: null,
+    callingCode: null,
+    nationalNumber: null
+  });
+  assert.strictEqual(parsePhoneNumber('8613800138000', 'IN').valid, false);
+});
+
+test('parsePhoneNumber rejects malformed numbers', () => {
+  assert.strictEqual(parsePhoneNumber('', 'IN').error, 'Phone number is required');
+  assert.match(parsePhoneNumber('98765abc', 'IN').error, /Invalid characters/);
+  assert.match(parsePhoneNumber('12345', 'IN').error, /Invalid India phone number/);
+  assert.match(parsePhoneNumber('+91 12345', 'IN').error, /Not a valid India number/);
+  assert.strictEqual(toE164('0123456789', 'IN'), null);
+});
+
+test('getNumberLookupVariants lists every stored format of a number', () => {
+  assert.deepStrictEqual(getNumberLookupVariants('+919876543210', 'IN').sort(), ['+919876543210', '09876543210', '919876543210', '9876543210'].sort());
+  assert.deepStrictEqual(getNumberLookupVariants('abc-123', 'IN'), ['abc-123', '123', '+123']);
+});
+
+test('country helpers normalise codes and fall back to the default', () => {
+  assert.strictEqual(normalizeCountry(' gb '), 'GB');
+  assert.strictEqual(normalizeCountry('ZZ'), null);
+  assert.strictEqual(resolveDefaultCountry({ defaultCountry: 'ae' }), 'AE');
+  assert.strictEqual(getLegacyPhoneKey('+91 98765 43210'), '9876543210');
+});
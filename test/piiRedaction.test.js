@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { passesLuhn, passesVerhoeff, redactText, redactValue } = require('../src/apps/helper/piiRedaction.js');
+
+test('passesLuhn accepts valid card numbers only', () => {
+  assert.strictEqual(passesLuhn('4111111111111111'), true);
+  assert.strictEqual(passesLuhn('5500005555555559'), true);
+  assert.strictEqual(passesLuhn('4111111111111112'), false);
+});
+
+test('passesVerhoeff accepts valid Aadhaar numbers only', () => {
+  assert.strictEqual(passesVerhoeff('234123412346'), true);
+  assert.strictEqual(passesVerhoeff('499118665246'), true);
+  assert.strictEqual(passesVerhoeff('234123412345'), false);
+});
+
+test('redactText masks every detector type', () => {
+  const result = redactText('Card 4111 1111 1111 1111, aadhaar 2341 2341 2346, call +91 98765 43210, mail ravi@example.com, PAN ABCPE1234F');
+  assert.strictEqual(result.text, 'Card [CARD], aadhaar [AADHAAR], call [PHONE], mail [EMAIL], PAN [PAN]');
+  assert.deepStrictEqual(result.findings, { card: 1, aadhaar: 1, pan: 1, email: 1, phone: 1 });
+});
+
+test('redactText leaves digit runs that fail the checksum', () => {
+  const result = redactText('Order 4111 1111 1111 1112 ref 2341 2341 2345', { types: ['card', 'aadhaar'] });
+  assert.strictEqual(result.text, 'Order 4111 1111 1111 1112 ref 2341 2341 2345');
+  assert.deepStrictEqual(result.findings, {});
+});
+
+test('redactText keeps the last four digits with the partial mask', () => {
+  assert.strictEqual(redactText('call 9876543210', { mask: 'partial' }).text, 'call [PHONE xxxx3210]');
+});
+
+test('redactValue masks names and text but not identifiers', () => {
+  const findings = {};
+  const redacted = redactValue(
+    { callUUID: '9876543210', name: 'Ravi', notes: ['reach me at ravi@example.com'] },
+    {},
+    findings
+  );
+  assert.deepStrictEqual(redacted, { callUUID: '9876543210', name: '[NAME]', notes: ['reach me at [EMAIL]'] });
+  assert.deepStrictEqual(findings, { name: 1, email: 1 });
+});
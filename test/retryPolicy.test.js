@@ -0,0 +1,53 @@
+// models/mongodb.js (loaded through scheduleCallService) needs a URI; these helpers never connect
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/test';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { evaluateRetry, validateRetryPolicy } = require('../src/apps/helper/retryPolicy.js');
+
+const policy = {
+  enabled: true,
+  maxAttempts: 3,
+  rules: { NO_ANSWER: '2h', USER_BUSY: '30m', INVALID_NUMBER: 'never' }
+};
+const now = new Date('2026-10-19T06:00:00Z');
+
+test('evaluateRetry schedules a retry after the rule delay', () => {
+  const result = evaluateRetry(policy, { hangupCause: 'NO_ANSWER', attemptNumber: 1 }, now);
+  assert.strictEqual(result.retry, true);
+  assert.strictEqual(result.nextAttempt, 2);
+  assert.strictEqual(result.executeAt.toISOString(), '2026-10-19T08:00:00.000Z');
+});
+
+test('evaluateRetry folds provider causes into rule keys', () => {
+  const result = evaluateRetry(policy, { hangupCause: 'Busy Line', attemptNumber: 1 }, now);
+  assert.strictEqual(result.cause, 'USER_BUSY');
+  assert.strictEqual(result.executeAt.toISOString(), '2026-10-19T06:30:00.000Z');
+});
+
+test('evaluateRetry never retries answered calls', () => {
+  assert.strictEqual(evaluateRetry(policy, { hangupCause: 'NORMAL_CLEARING' }, now).reason, 'answered');
+  assert.strictEqual(evaluateRetry(policy, { hangupCause: 'NO_ANSWER', duration: 12 }, now).reason, 'answered');
+});
+
+test('evaluateRetry stops at maxAttempts', () => {
+  const result = evaluateRetry(policy, { hangupCause: 'NO_ANSWER', attemptNumber: 3 }, now);
+  assert.deepStrictEqual(result, { retry: false, reason: 'max_attempts_reached', cause: 'NO_ANSWER' });
+});
+
+test('evaluateRetry honours never and missing rules', () => {
+  assert.strictEqual(evaluateRetry(policy, { hangupCause: 'UNALLOCATED_NUMBER' }, now).reason, 'never_retry');
+  assert.strictEqual(evaluateRetry(policy, { hangupCause: 'CALL_REJECTED' }, now).reason, 'no_rule');
+  assert.strictEqual(evaluateRetry({ ...policy, enabled: false }, { hangupCause: 'NO_ANSWER' }, now).reason, 'policy_disabled');
+});
+
+test('validateRetryPolicy rejects bad delays and answered causes', () => {
+  assert.strictEqual(validateRetryPolicy({ rules: { NO_ANSWER: 'soon' } }).valid, false);
+  assert.strictEqual(validateRetryPolicy({ rules: { NORMAL_CLEARING: '1h' } }).valid, false);
+  assert.deepStrictEqual(validateRetryPolicy({ maxAttempts: 2, rules: { busy: '30M' } }).value, {
+    enabled: true,
+    maxAttempts: 2,
+    rules: { USER_BUSY: '30m' }
+  });
+});
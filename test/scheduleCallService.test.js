@@ -0,0 +1,38 @@
+// models/mongodb.js needs a URI; the parsers never connect
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/test';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseDelay, parseScheduleTime } = require('../src/services/tools/scheduleCallService.js');
+
+// Monday 11:30 in Asia/Kolkata
+const now = new Date('2026-10-19T06:00:00Z');
+const timeZone = 'Asia/Kolkata';
+
+const executeAtOf = (input) => parseScheduleTime(input, timeZone, now).executeAt?.toISOString();
+
+test('parseDelay reads minutes, hours and days', () => {
+  assert.strictEqual(parseDelay('30m'), 30 * 60 * 1000);
+  assert.strictEqual(parseDelay('2 hours'), 2 * 60 * 60 * 1000);
+  assert.strictEqual(parseDelay('1d'), 24 * 60 * 60 * 1000);
+  assert.strictEqual(parseDelay('soon'), null);
+  assert.strictEqual(parseDelay(''), null);
+});
+
+test('parseScheduleTime reads relative delays and ISO timestamps', () => {
+  assert.strictEqual(executeAtOf('in 2 hours'), '2026-10-19T08:00:00.000Z');
+  assert.strictEqual(executeAtOf('2026-11-02T17:00:00+05:30'), '2026-11-02T11:30:00.000Z');
+});
+
+test('parseScheduleTime reads day and time phrases in the contact timezone', () => {
+  assert.strictEqual(executeAtOf('5pm'), '2026-10-19T11:30:00.000Z');
+  assert.strictEqual(executeAtOf('tomorrow 5pm'), '2026-10-20T11:30:00.000Z');
+  assert.strictEqual(executeAtOf('friday evening'), '2026-10-23T12:30:00.000Z');
+  assert.strictEqual(executeAtOf('next monday 10am'), '2026-10-26T04:30:00.000Z');
+});
+
+test('parseScheduleTime reports phrases it cannot read', () => {
+  assert.match(parseScheduleTime('whenever', timeZone, now).error, /Could not understand time/);
+  assert.strictEqual(parseScheduleTime('', timeZone, now).error, 'Time is required');
+});
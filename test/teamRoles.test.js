@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { hasPermission, canManageRole } = require('../src/apps/helper/teamRoles.js');
+
+test('owners manage every member role, including admins', () => {
+  for (const role of ['admin', 'campaign_manager', 'analyst', 'billing_only', 'read_only']) {
+    assert.strictEqual(canManageRole('owner', role), true, role);
+  }
+});
+
+test('admins manage roles below admin only', () => {
+  assert.strictEqual(canManageRole('admin', 'admin'), false);
+  assert.strictEqual(canManageRole('admin', 'campaign_manager'), true);
+  assert.strictEqual(canManageRole('admin', 'read_only'), true);
+});
+
+test('nobody can grant owner, and roles without team:manage manage nobody', () => {
+  assert.strictEqual(canManageRole('owner', 'owner'), false);
+  assert.strictEqual(canManageRole('campaign_manager', 'analyst'), false);
+  assert.strictEqual(canManageRole('read_only', 'read_only'), false);
+  assert.strictEqual(canManageRole('unknown', 'analyst'), false);
+});
+
+test('billing_only can top up but not see campaigns', () => {
+  assert.strictEqual(hasPermission('billing_only', 'billing:topup'), true);
+  assert.strictEqual(hasPermission('billing_only', 'campaigns:view'), false);
+  assert.strictEqual(hasPermission('analyst', 'campaigns:manage'), false);
+});